@@ -1,4 +1,14 @@
 import pg from "pg";
+import {
+  SOURCE_REGISTRY,
+  TRACKED_EVENT_FIELDS,
+  sourcePriority,
+  lockedFieldsFor,
+  fieldStamps,
+  trackedValue,
+  changedTrackedFields
+} from "./source-registry.js";
+import { foldSearchText, foldSqlExpr } from "./search-fold.js";
 
 // ✅ stejný limit jako v serveru (fallback), aby se do DB neukládaly extrémy
 const MAX_DURATION_MINUTES = Math.max(60, Number(process.env.DURATION_MAX_MINUTES || 4320)); // 3 dny
@@ -35,6 +45,7 @@ export async function initDb() {
 
       status_text TEXT,
       event_type TEXT,
+      event_subtype TEXT,
 
       description_raw TEXT,
 
@@ -49,11 +60,22 @@ export async function initDb() {
       is_major_event BOOLEAN NOT NULL DEFAULT FALSE,
       major_reason TEXT,
       status_source TEXT,
+      status_phase TEXT,
+      status_phase_at TIMESTAMPTZ,
+      stale_review TEXT,
+      stale_review_at TIMESTAMPTZ,
+      stale_policy TEXT,
+      duration_confidence SMALLINT,
+      duration_confidence_reasons TEXT,
+      duration_confidence_at TIMESTAMPTZ,
+      duration_reviewed_min INTEGER,
+      incident_cluster_id TEXT,
       source_kind TEXT,
       source_note TEXT,
       manual_detail_text TEXT,
       manual_detail_source TEXT,
       manual_detail_updated_at TIMESTAMPTZ,
+      field_sources JSONB NOT NULL DEFAULT '{}'::jsonb,
 
       lat DOUBLE PRECISION,
       lon DOUBLE PRECISION,
@@ -126,6 +148,9 @@ export async function initDb() {
       updated_count INTEGER NOT NULL DEFAULT 0,
       closed_count INTEGER NOT NULL DEFAULT 0,
       geocoded_count INTEGER NOT NULL DEFAULT 0,
+      rejected_count INTEGER NOT NULL DEFAULT 0,
+      schema_version INTEGER,
+      key_name TEXT,
       error_text TEXT,
       ip TEXT,
       user_agent TEXT,
@@ -134,6 +159,187 @@ export async function initDb() {
   `);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ingest_log_created_at ON ingest_log(created_at DESC);`);
 
+  // API klíče jednotlivých zařízení (ESP krabičky): uložen jen sha256 klíče.
+  // previous_key_sha256 = starý klíč po rotaci, platí do previous_expires_at (přeflashování zařízení).
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ingest_keys (
+      id BIGSERIAL PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      key_sha256 TEXT UNIQUE NOT NULL,
+      key_prefix TEXT NOT NULL,
+      source_label TEXT,
+      scopes TEXT[] NOT NULL DEFAULT '{ingest}',
+      expires_at TIMESTAMPTZ,
+      last_used_at TIMESTAMPTZ,
+      last_used_ip TEXT,
+      revoked_at TIMESTAMPTZ,
+      rotated_at TIMESTAMPTZ,
+      previous_key_sha256 TEXT,
+      previous_expires_at TIMESTAMPTZ,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ingest_keys_previous ON ingest_keys(previous_key_sha256) WHERE previous_key_sha256 IS NOT NULL;`);
+  // Druh zdroje v registru priorit (esp, rss, county…); NULL = zařízení si ho volí v těle, výchozí esp.
+  await pool.query(`ALTER TABLE ingest_keys ADD COLUMN IF NOT EXISTS source_kind TEXT;`);
+
+  // Historie změn událostí: co se změnilo, z jaké na jakou hodnotu, kdo/jaký zdroj.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS event_revisions (
+      id BIGSERIAL PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      source_kind TEXT,
+      changed_fields TEXT[] NOT NULL DEFAULT '{}',
+      diff JSONB NOT NULL DEFAULT '{}'::jsonb,
+      user_id BIGINT,
+      username TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_event_revisions_event ON event_revisions(event_id, created_at DESC);`);
+
+  // Idempotence ingest dávek: stejný klíč = dávka se znovu nezpracuje, vrátí se uložená odpověď.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ingest_batches (
+      idempotency_key TEXT PRIMARY KEY,
+      source TEXT,
+      source_kind TEXT,
+      payload_sha TEXT,
+      item_count INTEGER NOT NULL DEFAULT 0,
+      response JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ingest_batches_expires_at ON ingest_batches(expires_at);`);
+
+  // Pravidla klasifikace typu/podtypu události (pořadí = priorita, první shoda vyhrává).
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS classifier_rules (
+      id BIGSERIAL PRIMARY KEY,
+      position INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      match_mode TEXT NOT NULL DEFAULT 'keyword',
+      pattern TEXT NOT NULL,
+      fields TEXT[] NOT NULL DEFAULT ARRAY['title']::text[],
+      event_type TEXT NOT NULL,
+      event_subtype TEXT,
+      subtype_label TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_by TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Kdy událost poprvé dosáhla fáze ze slovníku stavových frází (open, localized, …, closed).
+  // from_text = čas z popisu HZS ("lokalizace: …"), má přednost před okamžikem zachycení změny.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS event_status_phases (
+      event_id TEXT NOT NULL,
+      phase TEXT NOT NULL,
+      reached_at TIMESTAMPTZ NOT NULL,
+      source_kind TEXT,
+      from_text BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (event_id, phase)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_event_status_phases_reached ON event_status_phases(reached_at DESC);`);
+
+  // Eskalace stupně poplachu (I. → II. → III. …): kdy událost poprvé dosáhla daného stupně.
+  // Snížení stupně se nezapisuje, první dosažení zůstává (stejně jako u event_status_phases).
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS event_alarm_escalations (
+      event_id TEXT NOT NULL,
+      alarm_level INTEGER NOT NULL,
+      alarm_level_text TEXT,
+      from_level INTEGER,
+      reached_at TIMESTAMPTZ NOT NULL,
+      source_kind TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (event_id, alarm_level)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_event_alarm_escalations_reached ON event_alarm_escalations(reached_at DESC);`);
+
+  // Shluky souvisejících událostí (vichřice = desítky technických pomocí v okolních obcích).
+  // Počítá je server (runIncidentClustering); id = CL_<id první události>, aby bylo mezi běhy stabilní.
+  // hull = obalová křivka [[lat, lon], …], weather = křížová kontrola s regionálními zónami počasí.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS incident_clusters (
+      id TEXT PRIMARY KEY,
+      event_type TEXT,
+      event_count INTEGER NOT NULL,
+      started_at TIMESTAMPTZ,
+      last_event_at TIMESTAMPTZ,
+      center_lat DOUBLE PRECISION,
+      center_lon DOUBLE PRECISION,
+      radius_km DOUBLE PRECISION,
+      hull JSONB,
+      cities TEXT[],
+      storm_like BOOLEAN NOT NULL DEFAULT FALSE,
+      peak_events INTEGER,
+      weather_zones TEXT[],
+      weather JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_incident_clusters_last_event ON incident_clusters(last_event_at DESC);`);
+
+  // Sloučené duplicity: alias_id = id zrušené události, event_id = událost, do které byla sloučena.
+  // Ingest pod aliasem pak zapisuje rovnou do sloučené události.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS event_aliases (
+      alias_id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      snapshot JSONB,
+      merged_by TEXT,
+      merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_event_aliases_event ON event_aliases(event_id);`);
+
+  // Fronta kandidátů na duplicitu (event_a < event_b). dismissed/merged se znovu nenavrhují.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS event_duplicate_candidates (
+      id BIGSERIAL PRIMARY KEY,
+      event_a TEXT NOT NULL,
+      event_b TEXT NOT NULL,
+      score REAL NOT NULL,
+      reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+      status TEXT NOT NULL DEFAULT 'pending',
+      detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      reviewed_at TIMESTAMPTZ,
+      reviewed_by TEXT,
+      UNIQUE (event_a, event_b)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_event_duplicate_candidates_status ON event_duplicate_candidates(status, score DESC);`);
+
+  // Surový archiv ingestu: každá položka přesně tak, jak přišla (kvůli přehrání po změně parseru).
+  // Stejný obsah se neukládá znovu, jen se posune last_received_at a seen_count.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ingest_raw_items (
+      id BIGSERIAL PRIMARY KEY,
+      source_kind TEXT NOT NULL,
+      source TEXT,
+      item_id TEXT,
+      schema_version INTEGER,
+      payload JSONB NOT NULL,
+      payload_sha TEXT NOT NULL,
+      first_received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      seen_count INTEGER NOT NULL DEFAULT 1,
+      UNIQUE (source_kind, payload_sha)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ingest_raw_items_last_received ON ingest_raw_items(last_received_at DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ingest_raw_items_item ON ingest_raw_items(item_id, last_received_at DESC);`);
+
 
   // ---------------- AUTH TABLES ----------------
   await pool.query(`
@@ -177,6 +383,104 @@ export async function initDb() {
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ops_requests_status ON ops_requests(status);`);
   await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_ops_requests_pending_user ON ops_requests(user_id) WHERE status='pending';`);
 
+  // Uložené předvolby filtrů (per uživatel). filters = stejné klíče jako query string dashboardu.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_filter_presets (
+      id BIGSERIAL PRIMARY KEY,
+      user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_user_filter_presets_name ON user_filter_presets(user_id, lower(name));`);
+
+  // Odběry exportů: předvolba filtrů + formát + rozvrh + transport. preset_id bez FK – smazaná
+  // předvolba se projeví chybou doručení, ne tichým přepnutím na export všeho.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS export_subscriptions (
+      id BIGSERIAL PRIMARY KEY,
+      user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      preset_id BIGINT,
+      format TEXT NOT NULL DEFAULT 'csv',
+      schedule TEXT NOT NULL DEFAULT 'daily',
+      transport TEXT NOT NULL DEFAULT 'outbox',
+      target TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      last_period_key TEXT,
+      last_attempt_key TEXT,
+      last_attempt_at TIMESTAMPTZ,
+      attempts INT NOT NULL DEFAULT 0,
+      last_status TEXT,
+      last_error TEXT,
+      last_delivered_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_export_subscriptions_user ON export_subscriptions(user_id);`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS export_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      subscription_id BIGINT NOT NULL REFERENCES export_subscriptions(id) ON DELETE CASCADE,
+      period_key TEXT NOT NULL,
+      trigger TEXT NOT NULL DEFAULT 'schedule',
+      transport TEXT NOT NULL,
+      target TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      file_name TEXT,
+      bytes INT,
+      rows INT,
+      error TEXT,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_export_deliveries_sub ON export_deliveries(subscription_id, started_at DESC);`);
+
+  // Odchozí webhooky (admin): filtry jako u sledování, podpis HMAC tajemstvím webhooku.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id BIGSERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      events TEXT[] NOT NULL DEFAULT ARRAY['created','closed','escalated','reopened']::text[],
+      filter_types TEXT[] NOT NULL DEFAULT '{}'::text[],
+      filter_cities TEXT[] NOT NULL DEFAULT '{}'::text[],
+      major_only BOOLEAN NOT NULL DEFAULT FALSE,
+      alarm_level_gte INT,
+      created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Fronta + log doručení. pending = čeká na (další) pokus v next_attempt_at.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      webhook_id BIGINT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event_id TEXT,
+      event_kind TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_http_status INT,
+      last_error TEXT,
+      duration_ms INT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      delivered_at TIMESTAMPTZ
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status='pending';`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, created_at DESC);`);
+
 
   await pool.query(`
     CREATE TABLE IF NOT EXISTS audit_log (
@@ -219,6 +523,7 @@ export async function initDb() {
   const adds = [
     ["events", "city_text", "TEXT"],
     ["events", "event_type", "TEXT"],
+    ["events", "event_subtype", "TEXT"],
     ["events", "description_raw", "TEXT"],
     ["events", "start_time_iso", "TEXT"],
     ["events", "end_time_iso", "TEXT"],
@@ -234,11 +539,26 @@ export async function initDb() {
     ["events", "is_major_event", "BOOLEAN"],
     ["events", "major_reason", "TEXT"],
     ["events", "status_source", "TEXT"],
+    ["events", "status_phase", "TEXT"],
+    ["events", "status_phase_at", "TIMESTAMPTZ"],
+    ["events", "stale_review", "TEXT"],
+    ["events", "stale_review_at", "TIMESTAMPTZ"],
+    ["events", "stale_policy", "TEXT"],
+    ["events", "duration_confidence", "SMALLINT"],
+    ["events", "duration_confidence_reasons", "TEXT"],
+    ["events", "duration_confidence_at", "TIMESTAMPTZ"],
+    ["events", "duration_reviewed_min", "INTEGER"],
+    ["events", "incident_cluster_id", "TEXT"],
     ["events", "source_kind", "TEXT"],
     ["events", "source_note", "TEXT"],
     ["events", "manual_detail_text", "TEXT"],
     ["events", "manual_detail_source", "TEXT"],
-    ["events", "manual_detail_updated_at", "TIMESTAMPTZ"]
+    ["events", "manual_detail_updated_at", "TIMESTAMPTZ"],
+    ["events", "field_sources", "JSONB NOT NULL DEFAULT '{}'::jsonb"],
+    ["event_status_phases", "from_text", "BOOLEAN NOT NULL DEFAULT FALSE"],
+    ["ingest_log", "rejected_count", "INTEGER NOT NULL DEFAULT 0"],
+    ["ingest_log", "schema_version", "INTEGER"],
+    ["ingest_log", "key_name", "TEXT"]
   ];
 
   for (const [t, c, typ] of adds) {
@@ -250,6 +570,37 @@ export async function initDb() {
     }
   }
 
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_events_stale_review ON events(stale_review, stale_review_at DESC) WHERE stale_review IS NOT NULL;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_events_duration_confidence ON events(duration_confidence) WHERE duration_confidence IS NOT NULL;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_events_incident_cluster ON events(incident_cluster_id) WHERE incident_cluster_id IS NOT NULL;`);
+
+  // Fulltext: vlastní IMMUTABLE odstranění diakritiky (rozšíření unaccent nemusí být k dispozici
+  // a navíc není IMMUTABLE, takže by nešlo do generovaného sloupce). Váhy: A titulek, B místo,
+  // C ruční poznámka, D popis z RSS.
+  // Tabulka je sdílená s JS (search-fold.js); když se změní, uložené search_tsv se přepočítá.
+  const unaccentBody = `SELECT ${foldSqlExpr("t")}`;
+  const prevUnaccent = await pool.query(`SELECT prosrc FROM pg_proc WHERE proname = 'fw_unaccent' LIMIT 1`);
+  const unaccentChanged = !!prevUnaccent.rows[0] && prevUnaccent.rows[0].prosrc.trim() !== unaccentBody;
+  await pool.query(`
+    CREATE OR REPLACE FUNCTION fw_unaccent(t TEXT) RETURNS TEXT
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $fn$${unaccentBody}$fn$;
+  `);
+  if (unaccentChanged && (await colExists("events", "search_tsv"))) {
+    console.log("[db] fw_unaccent změněna – přepočítávám search_tsv");
+    await pool.query(`ALTER TABLE events DROP COLUMN search_tsv`);
+  }
+  if (!(await colExists("events", "search_tsv"))) {
+    await pool.query(`
+      ALTER TABLE events ADD COLUMN search_tsv tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', fw_unaccent(title)), 'A')
+        || setweight(to_tsvector('simple', fw_unaccent(place_text)), 'B')
+        || setweight(to_tsvector('simple', fw_unaccent(manual_detail_text)), 'C')
+        || setweight(to_tsvector('simple', fw_unaccent(description_raw)), 'D')
+      ) STORED
+    `);
+  }
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_events_search_tsv ON events USING GIN (search_tsv);`);
+
   await pool.query(`
     UPDATE events
     SET is_closed = COALESCE(is_closed, FALSE),
@@ -433,6 +784,81 @@ export async function getLongestCutoffIso() {
   return v || new Date().toISOString();
 }
 
+export async function runInTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Meta pro celou ingest dávku jedním dotazem (id -> řádek).
+export async function getEventMetaMany(ids, client = pool) {
+  const list = [...new Set((ids || []).map(String).filter(Boolean))];
+  const out = new Map();
+  if (!list.length) return out;
+  const res = await client.query(
+    `SELECT id, is_closed, first_seen_at, start_time_iso, end_time_iso, duration_min, alarm_level, is_major_event, status_text, status_source, source_kind, source_note, lat, lon
+     FROM events WHERE id = ANY($1::text[])`,
+    [list]
+  );
+  for (const row of res.rows) out.set(String(row.id), row);
+  return out;
+}
+
+export async function getIngestBatch(key) {
+  const res = await pool.query(
+    `SELECT idempotency_key, source, source_kind, payload_sha, item_count, response, created_at, expires_at
+     FROM ingest_batches WHERE idempotency_key = $1 AND expires_at > NOW()`,
+    [key]
+  );
+  return res.rows[0] || null;
+}
+
+// Zabere klíč dávky uvnitř ingest transakce. false = dávku už zpracovává / zpracoval někdo jiný.
+export async function claimIngestBatch(client, { key, source = null, sourceKind = null, payloadSha = null, itemCount = 0, ttlMinutes = 1440 } = {}) {
+  const ttl = Math.max(1, Math.min(Number(ttlMinutes || 0) || 1440, 7 * 1440));
+  const res = await client.query(
+    `
+    INSERT INTO ingest_batches (idempotency_key, source, source_kind, payload_sha, item_count, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + ($6::text || ' minutes')::interval)
+    ON CONFLICT (idempotency_key) DO UPDATE SET
+      source = EXCLUDED.source,
+      source_kind = EXCLUDED.source_kind,
+      payload_sha = EXCLUDED.payload_sha,
+      item_count = EXCLUDED.item_count,
+      response = NULL,
+      created_at = NOW(),
+      expires_at = EXCLUDED.expires_at
+    WHERE ingest_batches.expires_at <= NOW()
+    RETURNING idempotency_key
+    `,
+    [key, source, sourceKind, payloadSha, Number(itemCount || 0), ttl]
+  );
+  return res.rowCount > 0;
+}
+
+export async function saveIngestBatchResponse(key, response) {
+  await pool.query(
+    `UPDATE ingest_batches SET response = $2::jsonb WHERE idempotency_key = $1`,
+    [key, JSON.stringify(response ?? null)]
+  );
+  // úklid prošlých klíčů
+  await pool.query(`DELETE FROM ingest_batches WHERE expires_at < NOW() - interval '1 day'`);
+}
+
+// Uvolní zabraný klíč, ke kterému se nepodařilo uložit odpověď – jinak by retry až do TTL končil 409.
+export async function releaseIngestBatch(key) {
+  await pool.query(`DELETE FROM ingest_batches WHERE idempotency_key = $1 AND response IS NULL`, [key]);
+}
+
 export async function getEventMeta(id) {
   const res = await pool.query(
     `SELECT id, is_closed, first_seen_at, start_time_iso, end_time_iso, duration_min, alarm_level, is_major_event, status_text, source_kind, source_note FROM events WHERE id=$1`,
@@ -441,202 +867,673 @@ export async function getEventMeta(id) {
   return res.rows[0] || null;
 }
 
-export async function upsertEvent(ev) {
-  const isIncomingClosed = ev.statusSource === "explicit_closed" || ev.isClosed === true;
+// ---------------- SOURCE REGISTRY (priorita zdrojů + pravidla důvěry) ----------------
+// Registr a pravidla priorit jsou v source-registry.js; tady jen zápis razítek do field_sources.
 
-  // DŮLEŽITÉ:
-  // Pokud RSS pošle událost už rovnou jako ukončenou a nedodá skutečný čas konce,
-  // nesmíme si konec vymýšlet podle aktuálního času. Vznikaly tím falešné délky 10–14 minut.
-  // Konec doplníme jen tehdy, když ho zdroj/ruční editace opravdu pošle.
-  const normalizedEndTimeIso = ev.endTimeIso || null;
+const TRACKED_EVENT_SELECT = `
+  id, place_text, city_text, status_text, event_type, event_subtype,
+  start_time_iso, end_time_iso, duration_min, duration_source,
+  is_closed, status_source, status_phase,
+  alarm_level, alarm_level_text, is_major_event, major_reason,
+  lat, lon, field_sources
+`;
 
-  let normalizedDurationMin = clampDuration(ev.durationMin);
-  const hasRealEndTime = !!normalizedEndTimeIso;
-  if (isIncomingClosed && hasRealEndTime && normalizedDurationMin == null) {
-    const startRaw = ev.startTimeIso || ev.pubDate || null;
-    const start = startRaw ? new Date(startRaw) : null;
-    const end = normalizedEndTimeIso ? new Date(normalizedEndTimeIso) : null;
-    if (start && end && !Number.isNaN(start.getTime()) && !Number.isNaN(end.getTime())) {
-      normalizedDurationMin = clampDuration((end.getTime() - start.getTime()) / 60000);
-    }
+// geo_source ("manual", "manual_event_edit", "auto", "local", …) -> zdroj v registru
+function sourceKindForGeoSource(geoSource) {
+  return String(geoSource || "").startsWith("manual") ? "manual" : "geocode";
+}
+
+// Jeden zápis do události: zamkne řádek, zjistí zamčená pole, provede write(client, locked)
+// a zapíše do field_sources, který zdroj pole naposledy nastavil.
+// stampChanged=false: zapíše se jen to, co volající výslovně uvedl v assertedFields (ruční úprava).
+// client = běžící transakce (ingest dávka); jinak si zápis otevře vlastní.
+// Každá skutečná změna sledovaných polí se zapíše i do event_revisions (action + actor).
+// Změna status_phase se zapíše do event_status_phases (phaseAt = kdy fáze nastala, jinak odhad).
+// Zvýšení alarm_level se zapíše do event_alarm_escalations a vrátí jako escalation.
+async function writeEventWithSources(id, sourceKind, write, {
+  assertedFields = [],
+  releasedFields = [],
+  stampChanged = true,
+  action = "update",
+  actor = null,
+  phaseAt = null,
+  client: outerClient = null
+} = {}) {
+  if (!outerClient) {
+    return runInTransaction(client => writeEventWithSources(id, sourceKind, write, {
+      assertedFields, releasedFields, stampChanged, action, actor, phaseAt, client
+    }));
   }
 
-  const dur = normalizedDurationMin;
+  const client = outerClient;
+  const beforeRes = await client.query(`SELECT ${TRACKED_EVENT_SELECT} FROM events WHERE id=$1 FOR UPDATE`, [id]);
+  const before = beforeRes.rows[0] || null;
+  const locked = lockedFieldsFor(sourceKind, before?.field_sources);
 
-  await pool.query(
-    `
-    INSERT INTO events (
-      id, title, link, pub_date,
-      place_text, city_text, status_text, event_type,
-      description_raw,
-      start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-      alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
-      source_kind, source_note,
-      first_seen_at, last_seen_at
-    )
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,COALESCE($22::text, CASE WHEN $12::integer IS NOT NULL AND NULLIF($11::text,'' ) IS NOT NULL THEN 'rss_end_time' ELSE NULL END),$13,$14,$15,$16,$17,$18,$20,$21, NOW(), NOW())
-    ON CONFLICT (id) DO UPDATE SET
-      title = EXCLUDED.title,
-      link = EXCLUDED.link,
-      pub_date = EXCLUDED.pub_date,
-
-      place_text = COALESCE(EXCLUDED.place_text, events.place_text),
-      city_text  = COALESCE(EXCLUDED.city_text,  events.city_text),
-
-      status_text = COALESCE(EXCLUDED.status_text, events.status_text),
-      event_type  = COALESCE(EXCLUDED.event_type, events.event_type),
-      description_raw = COALESCE(EXCLUDED.description_raw, events.description_raw),
-
-      start_time_iso = COALESCE(EXCLUDED.start_time_iso, events.start_time_iso),
-      end_time_iso   = CASE
-        WHEN EXCLUDED.status_source = 'explicit_open' THEN NULL
-        WHEN NULLIF(EXCLUDED.end_time_iso,'' ) IS NOT NULL THEN EXCLUDED.end_time_iso
-        WHEN (EXCLUDED.status_source = 'explicit_closed' OR EXCLUDED.is_closed = TRUE) AND events.is_closed = FALSE THEN
-          to_char((NOW() AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS"Z"')
-        ELSE events.end_time_iso
-      END,
+  await write(client, locked, before);
 
-      duration_min = CASE
-        WHEN EXCLUDED.status_source = 'explicit_open' THEN NULL
-        WHEN EXCLUDED.duration_min IS NOT NULL THEN EXCLUDED.duration_min
-        WHEN events.duration_min IS NOT NULL AND events.duration_min > $19 THEN NULL
-        WHEN (EXCLUDED.status_source = 'explicit_closed' OR EXCLUDED.is_closed = TRUE)
-             AND events.is_closed = FALSE
-             AND events.status_source = 'explicit_open'
-             AND events.duration_min IS NULL THEN
-          (
-            CASE
-              -- Fallback bez RSS ukončení: čas změny na ukončená - pub_date/start_time.
-              WHEN ROUND(EXTRACT(EPOCH FROM (NOW() - COALESCE(NULLIF(events.pub_date,'' )::timestamptz, NULLIF(events.start_time_iso,'' )::timestamptz, events.first_seen_at, events.created_at))) / 60.0)::int <= 0 THEN NULL
-              WHEN ROUND(EXTRACT(EPOCH FROM (NOW() - COALESCE(NULLIF(events.pub_date,'' )::timestamptz, NULLIF(events.start_time_iso,'' )::timestamptz, events.first_seen_at, events.created_at))) / 60.0)::int > $19 THEN NULL
-              ELSE ROUND(EXTRACT(EPOCH FROM (NOW() - COALESCE(NULLIF(events.pub_date,'' )::timestamptz, NULLIF(events.start_time_iso,'' )::timestamptz, events.first_seen_at, events.created_at))) / 60.0)::int
-            END
-          )
-        ELSE events.duration_min
-      END,
+  const afterRes = await client.query(`SELECT ${TRACKED_EVENT_SELECT} FROM events WHERE id=$1`, [id]);
+  const after = afterRes.rows[0] || null;
+  const changed = changedTrackedFields(before, after);
 
-      duration_source = CASE
-        WHEN EXCLUDED.status_source = 'explicit_open' THEN NULL
-        WHEN EXCLUDED.duration_min IS NOT NULL THEN COALESCE(EXCLUDED.duration_source, 'rss_end_time')
-        WHEN (EXCLUDED.status_source = 'explicit_closed' OR EXCLUDED.is_closed = TRUE) AND events.is_closed = FALSE AND events.status_source = 'explicit_open' AND events.duration_min IS NULL THEN 'observed_first_seen_to_close_update'
-        ELSE events.duration_source
-      END,
+  const stamped = [...new Set([...(stampChanged ? changed : []), ...assertedFields])]
+    .filter(f => TRACKED_EVENT_FIELDS.includes(f) && !locked.includes(f));
+  const released = releasedFields.filter(f => !stamped.includes(f));
 
-      is_closed = CASE
-        WHEN EXCLUDED.status_source = 'explicit_open' THEN FALSE
-        WHEN EXCLUDED.status_source = 'explicit_closed' THEN TRUE
-        WHEN EXCLUDED.is_closed = TRUE THEN TRUE
-        ELSE events.is_closed
-      END,
+  if (after && (stamped.length || released.length)) {
+    const at = new Date().toISOString();
+    const stamps = fieldStamps(sourceKind, stamped, at);
+    await client.query(
+      `UPDATE events SET field_sources = (COALESCE(field_sources, '{}'::jsonb) - $2::text[]) || $3::jsonb WHERE id=$1`,
+      [id, released, JSON.stringify(stamps)]
+    );
+  }
+
+  if (after && changed.length) {
+    await insertEventRevision(client, {
+      eventId: id,
+      action: before ? action : `${action}_create`,
+      sourceKind,
+      changedFields: changed,
+      diff: revisionDiff(before, after, changed),
+      actor
+    });
+  }
+
+  if (after?.status_phase && changed.includes("status_phase")) {
+    await recordStatusPhase(client, id, after.status_phase, statusPhaseReachedAt(before, after, phaseAt), sourceKind);
+  }
+
+  const escalation = after && changed.includes("alarm_level")
+    ? await recordAlarmEscalation(client, id, before, after, sourceKind)
+    : null;
+
+  return { before, after, changed, locked, escalation };
+}
+
+function validIsoOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
 
-      alarm_level = COALESCE(EXCLUDED.alarm_level, events.alarm_level),
-      alarm_level_text = COALESCE(EXCLUDED.alarm_level_text, events.alarm_level_text),
-      is_major_event = (COALESCE(events.is_major_event, FALSE) OR COALESCE(EXCLUDED.is_major_event, FALSE)),
-      major_reason = COALESCE(EXCLUDED.major_reason, events.major_reason),
-      status_source = COALESCE(EXCLUDED.status_source, events.status_source),
-      source_kind = COALESCE(EXCLUDED.source_kind, events.source_kind),
-      source_note = COALESCE(EXCLUDED.source_note, events.source_note),
+// Kdy událost fázi dosáhla: zdroj ví přesně (phaseAt) > konec zásahu u ukončení
+// > začátek u první fáze nové události > okamžik, kdy jsme změnu zachytili.
+function statusPhaseReachedAt(before, after, phaseAt) {
+  return validIsoOrNull(phaseAt) ||
+    (after.is_closed ? validIsoOrNull(after.end_time_iso) : null) ||
+    (!before ? validIsoOrNull(after.start_time_iso) : null) ||
+    new Date().toISOString();
+}
 
-      last_seen_at = NOW()
+// První dosažení fáze zůstává (znovuotevření ho nepřepíše); status_phase_at = vstup do aktuální fáze.
+async function recordStatusPhase(db, eventId, phase, reachedAt, sourceKind = null) {
+  await db.query(
+    `
+    INSERT INTO event_status_phases (event_id, phase, reached_at, source_kind)
+    VALUES ($1, $2, $3::timestamptz, $4)
+    ON CONFLICT (event_id, phase) DO NOTHING
     `,
-    [
-      ev.id,
-      ev.title,
-      ev.link,
-      ev.pubDate || null,
-      ev.placeText || null,
-      ev.cityText || null,
-      ev.statusText || null,
-      ev.eventType || null,
-      ev.descriptionRaw || null,
-      ev.startTimeIso || null,
-      normalizedEndTimeIso,
-      dur,
-      !!ev.isClosed,
-      Number.isFinite(Number(ev.alarmLevel)) ? Number(ev.alarmLevel) : null,
-      ev.alarmLevelText || null,
-      !!ev.isMajorEvent,
-      ev.majorReason || null,
-      ev.statusSource || null,
-      MAX_DURATION_MINUTES,
-      ev.sourceKind || null,
-      ev.sourceNote || null,
-      ev.durationSource || null
-    ]
+    [eventId, phase, reachedAt, sourceKind]
   );
+  await db.query(`UPDATE events SET status_phase_at = $2::timestamptz WHERE id = $1`, [eventId, reachedAt]);
 }
 
-export async function updateEventCoords(id, lat, lon, source = "manual", note = "") {
-  await pool.query(
-    `UPDATE events
-     SET lat=$2, lon=$3, geo_source=$4, geo_note=$5, geo_updated_at=NOW()
-     WHERE id=$1`,
-    [id, lat, lon, source, note]
+// Nová událost dostane první stupeň k času začátku, zvýšení u existující k okamžiku zachycení.
+// Vrací { event_id, from_level, to_level, alarm_level_text, reached_at } jen pro nově dosažený stupeň.
+async function recordAlarmEscalation(db, eventId, before, after, sourceKind = null) {
+  const from = Number(before?.alarm_level || 0);
+  const to = Number(after?.alarm_level || 0);
+  if (!Number.isInteger(to) || to < 1 || to <= from) return null;
+
+  const reachedAt = (!before ? validIsoOrNull(after.start_time_iso) : null) || new Date().toISOString();
+  const r = await db.query(
+    `
+    INSERT INTO event_alarm_escalations (event_id, alarm_level, alarm_level_text, from_level, reached_at, source_kind)
+    VALUES ($1, $2, $3, $4, $5::timestamptz, $6)
+    ON CONFLICT (event_id, alarm_level) DO NOTHING
+    RETURNING reached_at
+    `,
+    [eventId, to, after.alarm_level_text || null, before ? from : null, reachedAt, sourceKind]
   );
+  if (!r.rowCount) return null;
+
+  return {
+    event_id: eventId,
+    from_level: before ? from : null,
+    to_level: to,
+    alarm_level_text: after.alarm_level_text || null,
+    reached_at: r.rows[0].reached_at
+  };
 }
 
-export async function clearEventCoords(id) {
-  await pool.query(
-    `UPDATE events SET lat=NULL, lon=NULL, geo_source=NULL, geo_note=NULL, geo_updated_at=NOW() WHERE id=$1`,
-    [id]
+export async function listEventAlarmEscalations(eventId) {
+  const r = await pool.query(
+    `SELECT alarm_level, alarm_level_text, from_level, reached_at, source_kind FROM event_alarm_escalations WHERE event_id = $1 ORDER BY reached_at ASC, alarm_level ASC`,
+    [eventId]
   );
+  return r.rows || [];
 }
 
-export async function updateEventDuration(id, durationMin) {
-  const dur = clampDuration(durationMin);
-  await pool.query(`UPDATE events SET duration_min=$2 WHERE id=$1`, [id, dur]);
+// Časy fází přečtené z popisu ({ localized: iso, extinguished: iso }) přepíší odhad ze zachycení změny.
+async function recordPhaseTimesFromText(db, eventId, phaseTimes = {}, sourceKind = null) {
+  let written = 0;
+  for (const [phase, at] of Object.entries(phaseTimes || {})) {
+    const iso = validIsoOrNull(at);
+    if (!iso) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const r = await db.query(
+      `
+      INSERT INTO event_status_phases (event_id, phase, reached_at, source_kind, from_text)
+      VALUES ($1, $2, $3::timestamptz, $4, TRUE)
+      ON CONFLICT (event_id, phase) DO UPDATE SET
+        reached_at = EXCLUDED.reached_at,
+        source_kind = EXCLUDED.source_kind,
+        from_text = TRUE
+      WHERE event_status_phases.from_text = FALSE OR event_status_phases.reached_at <> EXCLUDED.reached_at
+      `,
+      [eventId, phase, iso, sourceKind]
+    );
+    written += r.rowCount || 0;
+  }
+  return written;
 }
 
-export async function autoCloseStaleOpenEvents({ staleMinutes = 20, limit = 200 } = {}) {
-  const stale = Math.max(2, Number(staleMinutes || 0));
-  const lim = Math.max(1, Math.min(Number(limit || 0) || 200, 2000));
+// Doplnění časů fází z uloženého popisu (zpětně pro starší události). Vrací počet nově zapsaných / opravených fází.
+export async function backfillEventPhaseTimes(eventId, phaseTimes = {}, sourceKind = "recheck") {
+  return await recordPhaseTimesFromText(pool, eventId, phaseTimes, sourceKind);
+}
 
-  // Kandidáti: otevřené události, které nebyly vidět déle než staleMinutes.
-  // Uzavřeme je "na základě ESP dat" – end_time = last_seen_at a dopočítáme duration.
-  const res = await pool.query(
-    `
-    WITH candidates AS (
-      SELECT
-        id,
-        last_seen_at,
-        COALESCE(NULLIF(start_time_iso,'' )::timestamptz, first_seen_at, created_at) AS start_ts
-      FROM events
-      WHERE is_closed = FALSE
-        AND last_seen_at < (NOW() - ($1::text || ' minutes')::interval)
-      ORDER BY last_seen_at ASC
-      LIMIT $2
-    )
-    UPDATE events e
-    SET
-      is_closed = TRUE,
-      end_time_iso = to_char((c.last_seen_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS"Z"'),
-      duration_min = (
-        CASE
-          WHEN ROUND(EXTRACT(EPOCH FROM (c.last_seen_at - c.start_ts)) / 60.0)::int <= 0 THEN NULL
-          WHEN ROUND(EXTRACT(EPOCH FROM (c.last_seen_at - c.start_ts)) / 60.0)::int > $3 THEN NULL
-          ELSE ROUND(EXTRACT(EPOCH FROM (c.last_seen_at - c.start_ts)) / 60.0)::int
-        END
-      ),
-      duration_source = 'estimated_stale_close',
-      status_text = CASE
-        WHEN e.status_text IS NULL OR LOWER(e.status_text) LIKE '%prob%' OR LOWER(e.status_text) LIKE '%aktiv%' THEN 'ukončená'
-        ELSE e.status_text
-      END
-    FROM candidates c
-    WHERE e.id = c.id
-    RETURNING e.id, e.duration_min, e.end_time_iso;
-    `,
-    [stale, lim, MAX_DURATION_MINUTES]
+export async function listEventStatusPhases(eventId) {
+  const r = await pool.query(
+    `SELECT phase, reached_at, source_kind, from_text FROM event_status_phases WHERE event_id = $1 ORDER BY reached_at ASC, phase ASC`,
+    [eventId]
   );
+  return r.rows || [];
+}
 
-  return res.rows;
+function revisionValue(row, field) {
+  if (!row) return null;
+  if (field === "coords") return row.lat == null || row.lon == null ? null : { lat: Number(row.lat), lon: Number(row.lon) };
+  return row[field] ?? null;
 }
 
+function revisionDiff(before, after, fields) {
+  return Object.fromEntries(fields.map(f => [f, { old: revisionValue(before, f), new: revisionValue(after, f) }]));
+}
 
-export async function repairClosedEventsMissingEndTime({ limit = 500 } = {}) {
-  const lim = Math.max(1, Math.min(Number(limit || 0) || 500, 5000));
+async function insertEventRevision(client, { eventId, action, sourceKind = null, changedFields = [], diff = {}, actor = null }) {
+  await client.query(
+    `
+    INSERT INTO event_revisions (event_id, action, source_kind, changed_fields, diff, user_id, username)
+    VALUES ($1, $2, $3, $4::text[], $5::jsonb, $6, $7)
+    `,
+    [eventId, action, sourceKind, changedFields, JSON.stringify(diff), actor?.userId || null, actor?.username || null]
+  );
+}
 
-  const res = await pool.query(
+export async function getEventRevisions(eventId, { limit = 200 } = {}) {
+  const lim = Math.max(1, Math.min(Number(limit || 200), 1000));
+  const r = await pool.query(
+    `
+    SELECT id, event_id, action, source_kind, changed_fields, diff, user_id, username, created_at
+    FROM event_revisions
+    WHERE event_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+    `,
+    [eventId, lim]
+  );
+  return r.rows || [];
+}
+
+// CASE pro pole, které může být zamčené zdrojem s vyšší prioritou ($n = text[] zamčených polí).
+function guardField(field, expr, lockedParam, table = "events") {
+  return `CASE WHEN '${field}' = ANY(${lockedParam}::text[]) THEN ${table}.${field} ELSE ${expr} END`;
+}
+
+export async function upsertEvent(ev, { client = null } = {}) {
+  const isIncomingClosed = ev.statusSource === "explicit_closed" || ev.isClosed === true;
+  const sourceKind = ev.sourceKind || "esp";
+
+  // DŮLEŽITÉ:
+  // Pokud RSS pošle událost už rovnou jako ukončenou a nedodá skutečný čas konce,
+  // nesmíme si konec vymýšlet podle aktuálního času. Vznikaly tím falešné délky 10–14 minut.
+  // Konec doplníme jen tehdy, když ho zdroj/ruční editace opravdu pošle.
+  const normalizedEndTimeIso = ev.endTimeIso || null;
+
+  let normalizedDurationMin = clampDuration(ev.durationMin);
+  const hasRealEndTime = !!normalizedEndTimeIso;
+  if (isIncomingClosed && hasRealEndTime && normalizedDurationMin == null) {
+    const startRaw = ev.startTimeIso || ev.pubDate || null;
+    const start = startRaw ? new Date(startRaw) : null;
+    const end = normalizedEndTimeIso ? new Date(normalizedEndTimeIso) : null;
+    if (start && end && !Number.isNaN(start.getTime()) && !Number.isNaN(end.getTime())) {
+      normalizedDurationMin = clampDuration((end.getTime() - start.getTime()) / 60000);
+    }
+  }
+
+  const dur = normalizedDurationMin;
+
+  // Pole zamčená zdrojem s vyšší prioritou ($23) zůstávají beze změny.
+  const g = (field, expr) => guardField(field, expr, "$23");
+
+  return writeEventWithSources(ev.id, sourceKind, async (client, locked) => {
+    await client.query(
+      `
+      INSERT INTO events (
+        id, title, link, pub_date,
+        place_text, city_text, status_text, event_type,
+        description_raw,
+        start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
+        alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+        source_kind, source_note,
+        event_subtype, status_phase,
+        first_seen_at, last_seen_at
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,COALESCE($22::text, CASE WHEN $12::integer IS NOT NULL AND NULLIF($11::text,'' ) IS NOT NULL THEN 'rss_end_time' ELSE NULL END),$13,$14,$15,$16,$17,$18,$20,$21,$24,$25, NOW(), NOW())
+      ON CONFLICT (id) DO UPDATE SET
+        title = EXCLUDED.title,
+        link = EXCLUDED.link,
+        pub_date = EXCLUDED.pub_date,
+
+        place_text = ${g("place_text", "COALESCE(EXCLUDED.place_text, events.place_text)")},
+        city_text  = ${g("city_text", "COALESCE(EXCLUDED.city_text,  events.city_text)")},
+
+        status_text = ${g("status_text", "COALESCE(EXCLUDED.status_text, events.status_text)")},
+        event_type  = ${g("event_type", "COALESCE(EXCLUDED.event_type, events.event_type)")},
+        -- Podtyp patří k typu: když je typ zamčený (ruční úprava), nemění se ani podtyp.
+        event_subtype = CASE WHEN 'event_type' = ANY($23::text[]) THEN events.event_subtype
+          ELSE ${g("event_subtype", "CASE WHEN EXCLUDED.event_type IS NULL THEN events.event_subtype ELSE EXCLUDED.event_subtype END")} END,
+        description_raw = COALESCE(EXCLUDED.description_raw, events.description_raw),
+
+        start_time_iso = ${g("start_time_iso", "COALESCE(EXCLUDED.start_time_iso, events.start_time_iso)")},
+        end_time_iso   = ${g("end_time_iso", `CASE
+          WHEN EXCLUDED.status_source = 'explicit_open' THEN NULL
+          WHEN NULLIF(EXCLUDED.end_time_iso,'' ) IS NOT NULL THEN EXCLUDED.end_time_iso
+          WHEN (EXCLUDED.status_source = 'explicit_closed' OR EXCLUDED.is_closed = TRUE) AND events.is_closed = FALSE THEN
+            to_char((NOW() AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS"Z"')
+          ELSE events.end_time_iso
+        END`)},
+
+        duration_min = ${g("duration_min", `CASE
+          WHEN EXCLUDED.status_source = 'explicit_open' THEN NULL
+          WHEN EXCLUDED.duration_min IS NOT NULL THEN EXCLUDED.duration_min
+          WHEN events.duration_min IS NOT NULL AND events.duration_min > $19 THEN NULL
+          WHEN (EXCLUDED.status_source = 'explicit_closed' OR EXCLUDED.is_closed = TRUE)
+               AND events.is_closed = FALSE
+               AND events.status_source = 'explicit_open'
+               AND events.duration_min IS NULL THEN
+            (
+              CASE
+                -- Fallback bez RSS ukončení: čas změny na ukončená - pub_date/start_time.
+                WHEN ROUND(EXTRACT(EPOCH FROM (NOW() - COALESCE(NULLIF(events.pub_date,'' )::timestamptz, NULLIF(events.start_time_iso,'' )::timestamptz, events.first_seen_at, events.created_at))) / 60.0)::int <= 0 THEN NULL
+                WHEN ROUND(EXTRACT(EPOCH FROM (NOW() - COALESCE(NULLIF(events.pub_date,'' )::timestamptz, NULLIF(events.start_time_iso,'' )::timestamptz, events.first_seen_at, events.created_at))) / 60.0)::int > $19 THEN NULL
+                ELSE ROUND(EXTRACT(EPOCH FROM (NOW() - COALESCE(NULLIF(events.pub_date,'' )::timestamptz, NULLIF(events.start_time_iso,'' )::timestamptz, events.first_seen_at, events.created_at))) / 60.0)::int
+              END
+            )
+          ELSE events.duration_min
+        END`)},
+
+        duration_source = ${g("duration_source", `CASE
+          WHEN EXCLUDED.status_source = 'explicit_open' THEN NULL
+          WHEN EXCLUDED.duration_min IS NOT NULL THEN COALESCE(EXCLUDED.duration_source, 'rss_end_time')
+          WHEN (EXCLUDED.status_source = 'explicit_closed' OR EXCLUDED.is_closed = TRUE) AND events.is_closed = FALSE AND events.status_source = 'explicit_open' AND events.duration_min IS NULL THEN 'observed_first_seen_to_close_update'
+          ELSE events.duration_source
+        END`)},
+
+        is_closed = ${g("is_closed", `CASE
+          WHEN EXCLUDED.status_source = 'explicit_open' THEN FALSE
+          WHEN EXCLUDED.status_source = 'explicit_closed' THEN TRUE
+          WHEN EXCLUDED.is_closed = TRUE THEN TRUE
+          ELSE events.is_closed
+        END`)},
+
+        alarm_level = ${g("alarm_level", "COALESCE(EXCLUDED.alarm_level, events.alarm_level)")},
+        alarm_level_text = ${g("alarm_level_text", "COALESCE(EXCLUDED.alarm_level_text, events.alarm_level_text)")},
+        is_major_event = ${g("is_major_event", "(COALESCE(events.is_major_event, FALSE) OR COALESCE(EXCLUDED.is_major_event, FALSE))")},
+        major_reason = ${g("major_reason", "COALESCE(EXCLUDED.major_reason, events.major_reason)")},
+        status_source = ${g("status_source", "COALESCE(EXCLUDED.status_source, events.status_source)")},
+        -- Fáze patří ke stavu: ručně zamčený stav (otevřeno/ukončeno) nepřepíše ani fáze ze zdroje.
+        status_phase = CASE WHEN 'is_closed' = ANY($23::text[]) THEN events.status_phase
+          ELSE ${g("status_phase", "COALESCE(EXCLUDED.status_phase, events.status_phase)")} END,
+        source_kind = COALESCE(EXCLUDED.source_kind, events.source_kind),
+        source_note = COALESCE(EXCLUDED.source_note, events.source_note),
+
+        -- Znovu viděná událost už na potvrzení auto-close nečeká.
+        stale_review = CASE WHEN events.stale_review IN ('awaiting_close', 'kept_open') THEN NULL ELSE events.stale_review END,
+        stale_review_at = CASE WHEN events.stale_review IN ('awaiting_close', 'kept_open') THEN NULL ELSE events.stale_review_at END,
+
+        last_seen_at = NOW()
+      `,
+      [
+        ev.id,
+        ev.title,
+        ev.link,
+        ev.pubDate || null,
+        ev.placeText || null,
+        ev.cityText || null,
+        ev.statusText || null,
+        ev.eventType || null,
+        ev.descriptionRaw || null,
+        ev.startTimeIso || null,
+        normalizedEndTimeIso,
+        dur,
+        !!ev.isClosed,
+        Number.isFinite(Number(ev.alarmLevel)) ? Number(ev.alarmLevel) : null,
+        ev.alarmLevelText || null,
+        !!ev.isMajorEvent,
+        ev.majorReason || null,
+        ev.statusSource || null,
+        MAX_DURATION_MINUTES,
+        ev.sourceKind || null,
+        ev.sourceNote || null,
+        ev.durationSource || null,
+        locked,
+        ev.eventSubtype || null,
+        ev.statusPhase || null
+      ]
+    );
+    await recordPhaseTimesFromText(client, ev.id, ev.phaseTimes, sourceKind);
+  }, { client, action: "ingest", phaseAt: ev.statusPhaseAt || null });
+}
+
+export async function updateEventCoords(id, lat, lon, source = "manual", note = "", { actor = null } = {}) {
+  const sourceKind = sourceKindForGeoSource(source);
+  const r = await writeEventWithSources(id, sourceKind, async (client, locked) => {
+    if (locked.includes("coords")) return;
+    await client.query(
+      `UPDATE events
+       SET lat=$2, lon=$3, geo_source=$4, geo_note=$5, geo_updated_at=NOW()
+       WHERE id=$1`,
+      [id, lat, lon, source, note]
+    );
+  }, { assertedFields: sourceKind === "manual" ? ["coords"] : [], action: "coords", actor });
+  return !r.locked.includes("coords");
+}
+
+export async function clearEventCoords(id, { source = "manual", actor = null } = {}) {
+  // Smazání pozice uvolní i nárok na souřadnice, ať je geokodér může znovu doplnit.
+  await writeEventWithSources(id, sourceKindForGeoSource(source), async (client) => {
+    await client.query(
+      `UPDATE events SET lat=NULL, lon=NULL, geo_source=NULL, geo_note=NULL, geo_updated_at=NOW() WHERE id=$1`,
+      [id]
+    );
+  }, { releasedFields: ["coords"], stampChanged: false, action: "coords_clear", actor });
+}
+
+export async function updateEventDuration(id, durationMin) {
+  const dur = clampDuration(durationMin);
+  await pool.query(`UPDATE events SET duration_min=$2 WHERE id=$1`, [id, dur]);
+}
+
+// Stav nastavený stickým zdrojem s vyšší prioritou (ruční "probíhá") auto-close nepřebije.
+function staleCloseBlockingKinds() {
+  const stalePriority = sourcePriority("stale_close", "is_closed");
+  return Object.entries(SOURCE_REGISTRY)
+    .filter(([kind, def]) => def.sticky && sourcePriority(kind, "is_closed") > stalePriority)
+    .map(([kind]) => kind);
+}
+
+function staleCloseStamps() {
+  const stamp = { source: "stale_close", priority: sourcePriority("stale_close", "is_closed"), at: new Date().toISOString() };
+  return Object.fromEntries(
+    ["is_closed", "end_time_iso", "duration_min", "duration_source", "status_text", "status_phase"].map(f => [f, stamp])
+  );
+}
+
+// Kandidáti na auto-close: otevřené události, které nebyly vidět aspoň minMinutes.
+// Kterou politiku použít (práh, grace, potvrzení) rozhoduje server podle typu / stupně poplachu.
+// Události už označené politikou z skipPolicies (režim „jen s potvrzením“) se znovu neprochází.
+export async function listStaleOpenEvents({ minMinutes = 20, limit = 200, skipPolicies = [] } = {}) {
+  const stale = Math.max(2, Number(minMinutes || 0));
+  const lim = Math.max(1, Math.min(Number(limit || 0) || 200, 2000));
+  const r = await pool.query(
+    `
+    SELECT
+      id, event_type, alarm_level, is_major_event,
+      last_seen_at, stale_review, stale_review_at, stale_policy,
+      FLOOR(EXTRACT(EPOCH FROM (NOW() - last_seen_at)) / 60.0)::int AS unseen_min
+    FROM events
+    WHERE is_closed = FALSE
+      AND last_seen_at < (NOW() - ($1::text || ' minutes')::interval)
+      AND COALESCE(field_sources->'is_closed'->>'source', '') <> ALL($3::text[])
+      AND COALESCE(stale_review, '') <> 'kept_open'
+      AND NOT (COALESCE(stale_review, '') = 'awaiting_close' AND COALESCE(stale_policy, '') = ANY($4::text[]))
+    ORDER BY last_seen_at ASC
+    LIMIT $2
+    `,
+    [stale, lim, staleCloseBlockingKinds(), skipPolicies]
+  );
+  return r.rows || [];
+}
+
+// Označí neviděné otevřené události k potvrzení (grace perioda nebo politika bez auto-close).
+// Vrací id nově označených.
+export async function flagStaleEventsForReview(items = []) {
+  if (!items.length) return [];
+  const r = await pool.query(
+    `
+    UPDATE events e
+    SET stale_review = 'awaiting_close',
+        stale_review_at = NOW(),
+        stale_policy = x.policy
+    FROM unnest($1::text[], $2::text[]) AS x(id, policy)
+    WHERE e.id = x.id
+      AND e.is_closed = FALSE
+      AND COALESCE(e.stale_review, '') <> 'kept_open'
+      AND (COALESCE(e.stale_review, '') <> 'awaiting_close' OR e.stale_policy IS DISTINCT FROM x.policy)
+    RETURNING e.id
+    `,
+    [items.map(x => x.id), items.map(x => x.policy || null)]
+  );
+  return (r.rows || []).map(x => x.id);
+}
+
+// Uzavření neviděných událostí "na základě ESP dat" – end_time = last_seen_at a dopočítáme duration.
+// items: [{ id, policy, minutes }] – minutes je pojistka proti souběhu (mezitím znovu viděná událost se nezavře).
+// review: "pending" = automaticky, čeká na kontrolu adminem; "confirmed" = zavřel admin z fronty.
+// onlyReview: zavřít jen událost v daném stavu fronty (admin nezavře událost, která mezitím znovu přišla).
+export async function autoCloseStaleOpenEvents({ items = [], review = "pending", onlyReview = null, actor = null } = {}) {
+  if (!items.length) return [];
+  const stamps = staleCloseStamps();
+  const action = review === "confirmed" ? "stale_close_confirmed" : "auto_close";
+
+  return runInTransaction(async (client) => {
+    const res = await client.query(
+      `
+      WITH candidates AS (
+        SELECT
+          ev.id,
+          x.policy,
+          ev.last_seen_at,
+          COALESCE(NULLIF(ev.start_time_iso,'' )::timestamptz, ev.first_seen_at, ev.created_at) AS start_ts,
+          ev.is_closed AS old_is_closed,
+          ev.end_time_iso AS old_end_time_iso,
+          ev.duration_min AS old_duration_min,
+          ev.duration_source AS old_duration_source,
+          ev.status_text AS old_status_text,
+          ev.status_phase AS old_status_phase
+        FROM unnest($1::text[], $2::text[], $3::int[]) AS x(id, policy, minutes)
+        JOIN events ev ON ev.id = x.id
+        WHERE ev.is_closed = FALSE
+          AND ev.last_seen_at <= (NOW() - (x.minutes::text || ' minutes')::interval)
+          AND COALESCE(ev.field_sources->'is_closed'->>'source', '') <> ALL($5::text[])
+          AND ($8::text IS NULL OR ev.stale_review = $8::text)
+        FOR UPDATE OF ev
+      )
+      UPDATE events e
+      SET
+        is_closed = TRUE,
+        end_time_iso = to_char((c.last_seen_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS"Z"'),
+        duration_min = (
+          CASE
+            WHEN ROUND(EXTRACT(EPOCH FROM (c.last_seen_at - c.start_ts)) / 60.0)::int <= 0 THEN NULL
+            WHEN ROUND(EXTRACT(EPOCH FROM (c.last_seen_at - c.start_ts)) / 60.0)::int > $4 THEN NULL
+            ELSE ROUND(EXTRACT(EPOCH FROM (c.last_seen_at - c.start_ts)) / 60.0)::int
+          END
+        ),
+        duration_source = 'estimated_stale_close',
+        status_text = CASE
+          WHEN e.status_text IS NULL OR LOWER(e.status_text) LIKE '%prob%' OR LOWER(e.status_text) LIKE '%aktiv%' THEN 'ukončená'
+          ELSE e.status_text
+        END,
+        status_phase = 'closed',
+        stale_review = $7,
+        stale_review_at = NOW(),
+        stale_policy = COALESCE(c.policy, e.stale_policy),
+        field_sources = COALESCE(e.field_sources, '{}'::jsonb) || $6::jsonb
+      FROM candidates c
+      WHERE e.id = c.id
+      RETURNING e.id, e.duration_min, e.end_time_iso, e.is_closed, e.duration_source, e.status_text, e.status_phase,
+        c.old_is_closed, c.old_end_time_iso, c.old_duration_min, c.old_duration_source, c.old_status_text, c.old_status_phase;
+      `,
+      [
+        items.map(x => x.id),
+        items.map(x => x.policy || null),
+        items.map(x => Math.max(0, Math.round(Number(x.minutes) || 0))),
+        MAX_DURATION_MINUTES,
+        staleCloseBlockingKinds(),
+        JSON.stringify(stamps),
+        review,
+        onlyReview
+      ]
+    );
+
+    for (const row of res.rows) {
+      const before = {
+        is_closed: row.old_is_closed,
+        end_time_iso: row.old_end_time_iso,
+        duration_min: row.old_duration_min,
+        duration_source: row.old_duration_source,
+        status_text: row.old_status_text,
+        status_phase: row.old_status_phase
+      };
+      const changed = Object.keys(before).filter(f => trackedValue(before, f) !== trackedValue(row, f));
+      // eslint-disable-next-line no-await-in-loop
+      await insertEventRevision(client, {
+        eventId: row.id,
+        action,
+        sourceKind: "stale_close",
+        changedFields: changed,
+        diff: revisionDiff(before, row, changed),
+        actor
+      });
+      // eslint-disable-next-line no-await-in-loop
+      await recordStatusPhase(client, row.id, "closed", row.end_time_iso, "stale_close");
+    }
+
+    return res.rows.map(r => ({ id: r.id, duration_min: r.duration_min, end_time_iso: r.end_time_iso }));
+  });
+}
+
+// Fronta ke kontrole: neviděné otevřené čekající na uzavření + automaticky uzavřené čekající na potvrzení.
+export async function listStaleReviewEvents(limit = 200) {
+  const lim = Math.max(1, Math.min(Number(limit || 200), 1000));
+  const r = await pool.query(
+    `
+    SELECT
+      id, title, city_text, place_text, event_type, event_subtype,
+      alarm_level, alarm_level_text, is_major_event, is_closed,
+      start_time_iso, end_time_iso, duration_min, duration_source,
+      first_seen_at, last_seen_at,
+      stale_review, stale_review_at, stale_policy,
+      FLOOR(EXTRACT(EPOCH FROM (NOW() - last_seen_at)) / 60.0)::int AS unseen_min
+    FROM events
+    WHERE (stale_review = 'awaiting_close' AND is_closed = FALSE)
+       OR (stale_review = 'pending' AND is_closed = TRUE)
+    ORDER BY (stale_review = 'awaiting_close') DESC, stale_review_at DESC
+    LIMIT $1
+    `,
+    [lim]
+  );
+  return r.rows || [];
+}
+
+// Rozhodnutí admina z fronty: potvrzení auto-close ("pending" -> "confirmed"),
+// nebo ponechání neviděné události otevřené ("awaiting_close" -> "kept_open" do dalšího výskytu).
+export async function setStaleReview(id, { from, to, isClosed }) {
+  const r = await pool.query(
+    `
+    UPDATE events
+    SET stale_review = $3, stale_review_at = NOW()
+    WHERE id = $1 AND stale_review = $2 AND is_closed = $4
+    RETURNING id
+    `,
+    [id, from, to, !!isClosed]
+  );
+  return (r.rows || []).length > 0;
+}
+
+// Vrácení předčasného auto-close: událost je znovu aktivní a do dalšího výskytu ji closer nezavře.
+// Stav se razítkuje zdrojem stale_close, takže ho další ingest (ESP/RSS) normálně přepíše.
+export async function reopenStaleClosedEvent(id, { actor = null } = {}) {
+  const stamps = staleCloseStamps();
+  return runInTransaction(async (client) => {
+    const r = await client.query(
+      `
+      WITH old AS (
+        SELECT id, is_closed, end_time_iso, duration_min, duration_source, status_text, status_phase
+        FROM events
+        WHERE id = $1 AND is_closed = TRUE AND stale_review = 'pending' AND duration_source = 'estimated_stale_close'
+        FOR UPDATE
+      )
+      UPDATE events e
+      SET
+        is_closed = FALSE,
+        end_time_iso = NULL,
+        duration_min = NULL,
+        duration_source = NULL,
+        status_text = CASE WHEN e.status_text = 'ukončená' THEN NULL ELSE e.status_text END,
+        status_phase = (
+          SELECT p.phase FROM event_status_phases p
+          WHERE p.event_id = e.id AND p.phase <> 'closed'
+          ORDER BY p.reached_at DESC
+          LIMIT 1
+        ),
+        stale_review = 'kept_open',
+        stale_review_at = NOW(),
+        field_sources = COALESCE(e.field_sources, '{}'::jsonb) || $2::jsonb
+      FROM old
+      WHERE e.id = old.id
+      RETURNING e.is_closed, e.end_time_iso, e.duration_min, e.duration_source, e.status_text, e.status_phase,
+        old.is_closed AS old_is_closed, old.end_time_iso AS old_end_time_iso, old.duration_min AS old_duration_min,
+        old.duration_source AS old_duration_source, old.status_text AS old_status_text, old.status_phase AS old_status_phase
+      `,
+      [id, JSON.stringify(stamps)]
+    );
+    const row = r.rows?.[0];
+    if (!row) return false;
+
+    const before = Object.fromEntries(
+      ["is_closed", "end_time_iso", "duration_min", "duration_source", "status_text", "status_phase"].map(f => [f, row[`old_${f}`]])
+    );
+    const changed = Object.keys(before).filter(f => trackedValue(before, f) !== trackedValue(row, f));
+    await client.query(
+      `DELETE FROM event_status_phases WHERE event_id = $1 AND phase = 'closed' AND source_kind = 'stale_close'`,
+      [id]
+    );
+    await client.query(
+      `UPDATE events SET status_phase_at = (SELECT MAX(reached_at) FROM event_status_phases WHERE event_id = $1) WHERE id = $1`,
+      [id]
+    );
+    await insertEventRevision(client, {
+      eventId: id,
+      action: "stale_reopen",
+      sourceKind: "stale_close",
+      changedFields: changed,
+      diff: revisionDiff(before, row, changed),
+      actor
+    });
+    return true;
+  });
+}
+
+
+export async function repairClosedEventsMissingEndTime({ limit = 500 } = {}) {
+  const lim = Math.max(1, Math.min(Number(limit || 0) || 500, 5000));
+
+  const res = await pool.query(
     `
     WITH candidates AS (
       SELECT
@@ -678,41 +1575,49 @@ export async function repairClosedEventsMissingEndTime({ limit = 500 } = {}) {
 
 
 
-export async function updateEventStatusFromRecheck(id, { isClosed = null, statusSource = null, statusText = null } = {}) {
-  await pool.query(
-    `
-    UPDATE events
-    SET
-      is_closed = CASE
-        WHEN $2::boolean IS NULL THEN is_closed
-        ELSE $2::boolean
-      END,
-      status_source = COALESCE($3::text, status_source),
-      status_text = COALESCE($4::text, status_text),
-      end_time_iso = CASE
-        WHEN $2::boolean = FALSE THEN NULL
-        ELSE end_time_iso
-      END,
-      duration_min = CASE
-        WHEN $2::boolean = FALSE THEN NULL
-        ELSE duration_min
-      END,
-      duration_source = CASE
-        WHEN $2::boolean = FALSE THEN NULL
-        ELSE duration_source
-      END
-    WHERE id = $1
-    `,
-    [id, isClosed, statusSource, statusText]
-  );
+export async function updateEventStatusFromRecheck(id, { isClosed = null, statusSource = null, statusText = null, statusPhase = null } = {}, { actor = null } = {}) {
+  const g = (field, expr) => guardField(field, expr, "$5");
+  const r = await writeEventWithSources(id, "recheck", async (client, locked) => {
+    await client.query(
+      `
+      UPDATE events
+      SET
+        is_closed = ${g("is_closed", `CASE
+          WHEN $2::boolean IS NULL THEN is_closed
+          ELSE $2::boolean
+        END`)},
+        status_source = ${g("status_source", "COALESCE($3::text, status_source)")},
+        status_text = ${g("status_text", "COALESCE($4::text, status_text)")},
+        status_phase = CASE WHEN 'is_closed' = ANY($5::text[]) THEN status_phase
+          ELSE ${g("status_phase", "COALESCE($6::text, status_phase)")} END,
+        end_time_iso = ${g("end_time_iso", `CASE
+          WHEN $2::boolean = FALSE THEN NULL
+          ELSE end_time_iso
+        END`)},
+        duration_min = ${g("duration_min", `CASE
+          WHEN $2::boolean = FALSE THEN NULL
+          ELSE duration_min
+        END`)},
+        duration_source = ${g("duration_source", `CASE
+          WHEN $2::boolean = FALSE THEN NULL
+          ELSE duration_source
+        END`)}
+      WHERE id = $1
+      `,
+      [id, isClosed, statusSource, statusText, locked, statusPhase]
+    );
+  }, { action: "recheck", actor });
+  return r.changed.length > 0;
 }
 
 
-export async function insertManualEvent(ev) {
+export async function insertManualEvent(ev, { actor = null } = {}) {
   const id = ev.id || `MANUAL_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`;
   const dur = clampDuration(ev.durationMin);
+  const at = new Date().toISOString();
+  const fieldSources = fieldStamps("manual", TRACKED_EVENT_FIELDS, at);
 
-  await pool.query(
+  const r = await pool.query(
     `
     INSERT INTO events (
       id, title, link, pub_date,
@@ -722,19 +1627,23 @@ export async function insertManualEvent(ev) {
       alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
       source_kind, source_note,
       lat, lon, geo_source, geo_note, geo_updated_at,
+      field_sources,
+      event_subtype, status_phase,
       first_seen_at, last_seen_at
     )
     VALUES (
       $1,$2,$3,$4,
       $5,$6,$7,$8,
       $9,
-      $10,$11,$12,$13,
+      $10,$11,$12,CASE WHEN $12::integer IS NULL THEN NULL ELSE 'manual' END,$13,
       $14,$15,$16,$17,$18,
       'manual',$19,
       $20::double precision,$21::double precision,
       CASE WHEN $20::double precision IS NULL OR $21::double precision IS NULL THEN NULL ELSE 'manual_event_create' END,
       CASE WHEN $20::double precision IS NULL OR $21::double precision IS NULL THEN NULL ELSE 'Ručně zadáno při vytvoření výjezdu' END,
       CASE WHEN $20::double precision IS NULL OR $21::double precision IS NULL THEN NULL ELSE NOW() END,
+      $22::jsonb,
+      $23,$24,
       NOW(), NOW()
     )
     RETURNING *
@@ -760,10 +1669,29 @@ export async function insertManualEvent(ev) {
       ev.statusSource || "manual",
       ev.sourceNote || "Ručně doplněno přes admin",
       Number.isFinite(Number(ev.lat)) ? Number(ev.lat) : null,
-      Number.isFinite(Number(ev.lon)) ? Number(ev.lon) : null
+      Number.isFinite(Number(ev.lon)) ? Number(ev.lon) : null,
+      JSON.stringify(fieldSources),
+      ev.eventSubtype || null,
+      ev.statusPhase || null
     ]
   );
 
+  const created = r.rows[0] || null;
+  const changed = changedTrackedFields(null, created);
+  if (created && changed.length) {
+    await insertEventRevision(pool, {
+      eventId: id,
+      action: "manual_create",
+      sourceKind: "manual",
+      changedFields: changed,
+      diff: revisionDiff(null, created, changed),
+      actor
+    });
+  }
+  if (created?.status_phase) {
+    await recordStatusPhase(pool, id, created.status_phase, statusPhaseReachedAt(null, created, null), "manual");
+  }
+
   return id;
 }
 
@@ -776,6 +1704,9 @@ export async function insertIngestLog({
   updatedCount = 0,
   closedCount = 0,
   geocodedCount = 0,
+  rejectedCount = 0,
+  schemaVersion = null,
+  keyName = null,
   errorText = null,
   ip = null,
   userAgent = null
@@ -784,9 +1715,9 @@ export async function insertIngestLog({
     `
     INSERT INTO ingest_log (
       source, source_kind, received_count, accepted_count, new_count, updated_count,
-      closed_count, geocoded_count, error_text, ip, user_agent
+      closed_count, geocoded_count, error_text, ip, user_agent, rejected_count, schema_version, key_name
     )
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
     RETURNING id
     `,
     [
@@ -800,7 +1731,10 @@ export async function insertIngestLog({
       Number(geocodedCount || 0),
       errorText ? String(errorText).slice(0, 2000) : null,
       ip || null,
-      userAgent || null
+      userAgent || null,
+      Number(rejectedCount || 0),
+      Number.isFinite(Number(schemaVersion)) && schemaVersion != null ? Number(schemaVersion) : null,
+      keyName || null
     ]
   );
   return r.rows?.[0]?.id || null;
@@ -812,7 +1746,7 @@ export async function getIngestDiagnostics({ limit = 20 } = {}) {
   const logs = await pool.query(
     `
     SELECT id, source, source_kind, received_count, accepted_count, new_count, updated_count,
-           closed_count, geocoded_count, error_text, ip, user_agent, created_at
+           closed_count, geocoded_count, rejected_count, schema_version, key_name, error_text, ip, user_agent, created_at
     FROM ingest_log
     ORDER BY created_at DESC
     LIMIT $1
@@ -869,16 +1803,735 @@ export async function getIngestDiagnostics({ limit = 20 } = {}) {
   };
 }
 
+// Aktivita ingest zdrojů pro watchdog: poslední běh, poslední úspěšný běh a typický rozestup
+// mezi úspěšnými dávkami (medián za okno). Ruční zápisy ("manual") nejsou pravidelný zdroj.
+export async function getIngestSourceActivity({ windowHours = 168 } = {}) {
+  const hours = Math.max(1, Math.min(Number(windowHours || 168), 24 * 31));
+
+  const r = await pool.query(
+    `
+    WITH recent AS (
+      SELECT COALESCE(source, 'unknown') AS source, COALESCE(source_kind, 'esp') AS source_kind,
+             created_at, error_text
+      FROM ingest_log
+      WHERE created_at >= NOW() - ($1::int * interval '1 hour')
+        AND COALESCE(source_kind, '') <> 'manual'
+    ),
+    gaps AS (
+      SELECT source, source_kind,
+             EXTRACT(EPOCH FROM (created_at - LAG(created_at) OVER (PARTITION BY source, source_kind ORDER BY created_at))) AS gap_sec
+      FROM recent
+      WHERE error_text IS NULL
+    ),
+    cadence AS (
+      SELECT source, source_kind,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY gap_sec) AS median_gap_sec
+      FROM gaps
+      WHERE gap_sec IS NOT NULL AND gap_sec > 0
+      GROUP BY source, source_kind
+    )
+    SELECT r.source, r.source_kind,
+           COUNT(*)::int AS runs,
+           COUNT(*) FILTER (WHERE r.error_text IS NOT NULL)::int AS errors,
+           MAX(r.created_at) AS last_at,
+           MAX(r.created_at) FILTER (WHERE r.error_text IS NULL) AS last_ok_at,
+           (ARRAY_AGG(r.error_text ORDER BY r.created_at DESC))[1] AS last_error,
+           c.median_gap_sec
+    FROM recent r
+    LEFT JOIN cadence c ON c.source = r.source AND c.source_kind = r.source_kind
+    GROUP BY r.source, r.source_kind, c.median_gap_sec
+    ORDER BY MAX(r.created_at) DESC
+    `,
+    [hours]
+  );
+
+  return (r.rows || []).map(row => ({
+    ...row,
+    median_gap_sec: row.median_gap_sec == null ? null : Number(row.median_gap_sec)
+  }));
+}
+
+// ---------------- KLASIFIKACE TYPU (pravidla) ----------------
+const CLASSIFIER_RULE_COLUMNS = `id, position, name, match_mode, pattern, fields, event_type, event_subtype, subtype_label, enabled, updated_by, updated_at`;
+
+export async function listClassifierRules() {
+  const r = await pool.query(`SELECT ${CLASSIFIER_RULE_COLUMNS} FROM classifier_rules ORDER BY position ASC, id ASC`);
+  return r.rows || [];
+}
+
+// Pravidla se ukládají vždy celá (editor v adminu posílá celý seřazený seznam).
+export async function replaceClassifierRules(rules = [], updatedBy = null) {
+  return runInTransaction(async (client) => {
+    await client.query(`DELETE FROM classifier_rules`);
+    let position = 0;
+    for (const rule of rules) {
+      position++;
+      // eslint-disable-next-line no-await-in-loop
+      await client.query(
+        `
+        INSERT INTO classifier_rules (position, name, match_mode, pattern, fields, event_type, event_subtype, subtype_label, enabled, updated_by)
+        VALUES ($1,$2,$3,$4,$5::text[],$6,$7,$8,$9,$10)
+        `,
+        [
+          position,
+          rule.name,
+          rule.match_mode,
+          rule.pattern,
+          rule.fields,
+          rule.event_type,
+          rule.event_subtype || null,
+          rule.subtype_label || null,
+          rule.enabled !== false,
+          updatedBy
+        ]
+      );
+    }
+    const r = await client.query(`SELECT ${CLASSIFIER_RULE_COLUMNS} FROM classifier_rules ORDER BY position ASC, id ASC`);
+    return r.rows || [];
+  });
+}
+
+// Stránkování přes všechny události pro přepočet typu (afterId = poslední id předchozí stránky).
+export async function listEventsForReclassify({ afterId = "", limit = 500 } = {}) {
+  const lim = Math.max(1, Math.min(Number(limit || 500), 2000));
+  const r = await pool.query(
+    `
+    SELECT id, title, description_raw, event_type, event_subtype, source_kind
+    FROM events
+    WHERE id > $1
+    ORDER BY id ASC
+    LIMIT $2
+    `,
+    [String(afterId || ""), lim]
+  );
+  return r.rows || [];
+}
+
+// Vzorek posledních událostí pro náhled změn pravidel.
+export async function listRecentEventsForClassifierSample(limit = 300) {
+  const lim = Math.max(1, Math.min(Number(limit || 300), 2000));
+  const r = await pool.query(
+    `
+    SELECT id, title, description_raw, event_type, event_subtype
+    FROM events
+    ORDER BY COALESCE(last_seen_at, created_at) DESC
+    LIMIT $1
+    `,
+    [lim]
+  );
+  return r.rows || [];
+}
+
+// Vzorek uložených textů pro regresní test slovníku stavových frází.
+export async function listEventsForStatusSample(limit = 500) {
+  const lim = Math.max(1, Math.min(Number(limit || 500), 5000));
+  const r = await pool.query(
+    `
+    SELECT id, title, status_text, description_raw, is_closed, status_source, status_phase
+    FROM events
+    WHERE description_raw IS NOT NULL OR status_text IS NOT NULL
+    ORDER BY created_at DESC
+    LIMIT $1
+    `,
+    [lim]
+  );
+  return r.rows || [];
+}
+
+// ---------------- DUPLICITY + SLOUČENÍ UDÁLOSTÍ ----------------
+const DUPLICATE_EVENT_TIME_SQL = (t) => `COALESCE(NULLIF(${t}.pub_date,'')::timestamptz, NULLIF(${t}.start_time_iso,'')::timestamptz, ${t}.first_seen_at, ${t}.created_at)`;
+
+export async function resolveEventAliases(ids, client = pool) {
+  const list = [...new Set((ids || []).map(String).filter(Boolean))];
+  const out = new Map();
+  if (!list.length) return out;
+  const r = await client.query(`SELECT alias_id, event_id FROM event_aliases WHERE alias_id = ANY($1::text[])`, [list]);
+  for (const row of r.rows) out.set(String(row.alias_id), String(row.event_id));
+  return out;
+}
+
+export async function resolveEventId(id) {
+  const aliases = await resolveEventAliases([id]);
+  return aliases.get(String(id)) || String(id);
+}
+
+// Páry událostí blízko sebe v čase a zároveň ve stejné obci nebo do maxDistanceKm.
+// Skóre počítá server (scoreDuplicatePair); tady jen hrubé předfiltrování.
+export async function listDuplicateCandidatePairs({ sinceHours = 72, windowMinutes = 90, maxDistanceKm = 3, limit = 500 } = {}) {
+  const r = await pool.query(
+    `
+    WITH ev AS (
+      SELECT e.id, e.title, e.event_type, e.city_text, e.place_text, e.lat, e.lon, e.source_kind,
+             e.is_closed, e.alarm_level, ${DUPLICATE_EVENT_TIME_SQL("e")} AS ts
+      FROM events e
+      WHERE COALESCE(e.last_seen_at, e.created_at) >= NOW() - ($1::int * interval '1 hour')
+    )
+    SELECT a.id AS a_id, a.title AS a_title, a.event_type AS a_event_type, a.city_text AS a_city_text,
+           a.place_text AS a_place_text, a.lat AS a_lat, a.lon AS a_lon, a.source_kind AS a_source_kind, a.ts AS a_ts,
+           b.id AS b_id, b.title AS b_title, b.event_type AS b_event_type, b.city_text AS b_city_text,
+           b.place_text AS b_place_text, b.lat AS b_lat, b.lon AS b_lon, b.source_kind AS b_source_kind, b.ts AS b_ts
+    FROM ev a
+    JOIN ev b ON a.id < b.id
+     AND b.ts BETWEEN a.ts - ($2::int * interval '1 minute') AND a.ts + ($2::int * interval '1 minute')
+    WHERE (
+        (NULLIF(lower(trim(a.city_text)), '') IS NOT NULL AND lower(trim(a.city_text)) = lower(trim(b.city_text)))
+        OR (
+          a.lat IS NOT NULL AND a.lon IS NOT NULL AND b.lat IS NOT NULL AND b.lon IS NOT NULL
+          AND sqrt(power((a.lat - b.lat) * 111.32, 2) + power((a.lon - b.lon) * 111.32 * cos(radians(a.lat)), 2)) <= $3
+        )
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM event_duplicate_candidates c
+        WHERE c.event_a = a.id AND c.event_b = b.id AND c.status <> 'pending'
+      )
+    ORDER BY abs(EXTRACT(EPOCH FROM (a.ts - b.ts))) ASC
+    LIMIT $4
+    `,
+    [Math.max(1, Number(sinceHours) || 72), Math.max(1, Number(windowMinutes) || 90), Math.max(0.1, Number(maxDistanceKm) || 3), Math.max(1, Math.min(Number(limit) || 500, 5000))]
+  );
+  return r.rows || [];
+}
+
+export async function upsertDuplicateCandidates(pairs = []) {
+  let saved = 0;
+  for (const p of pairs) {
+    const [a, b] = [String(p.a), String(p.b)].sort();
+    // eslint-disable-next-line no-await-in-loop
+    const r = await pool.query(
+      `
+      INSERT INTO event_duplicate_candidates (event_a, event_b, score, reasons)
+      VALUES ($1, $2, $3, $4::jsonb)
+      ON CONFLICT (event_a, event_b) DO UPDATE SET
+        score = EXCLUDED.score,
+        reasons = EXCLUDED.reasons,
+        updated_at = NOW()
+      WHERE event_duplicate_candidates.status = 'pending'
+      `,
+      [a, b, Number(p.score), JSON.stringify(p.reasons || [])]
+    );
+    saved += r.rowCount || 0;
+  }
+  return saved;
+}
+
+// ---------------- SHLUKY UDÁLOSTÍ (incident clusters) ----------------
+
+// Události s polohou za posledních sinceHours + všechny členy shluků, které do okna zasahují
+// (shluk se tak přepočítá celý, i když začal dřív).
+export async function listEventsForClustering({ sinceHours = 48 } = {}) {
+  const r = await pool.query(
+    `
+    SELECT e.id, e.title, e.event_type, e.event_subtype, e.city_text, e.place_text,
+           e.lat, e.lon, e.is_closed, e.incident_cluster_id, ${DUPLICATE_EVENT_TIME_SQL("e")} AS ts
+    FROM events e
+    WHERE e.lat IS NOT NULL AND e.lon IS NOT NULL
+      AND (
+        ${DUPLICATE_EVENT_TIME_SQL("e")} >= NOW() - ($1::int * interval '1 hour')
+        OR e.incident_cluster_id IN (
+          SELECT c.id FROM incident_clusters c WHERE c.last_event_at >= NOW() - ($1::int * interval '1 hour')
+        )
+      )
+    ORDER BY ts ASC, e.id ASC
+    `,
+    [Math.max(1, Number(sinceHours) || 48)]
+  );
+  return r.rows || [];
+}
+
+// Nahradí shluky z okna novým výsledkem: clusters = [{ id, event_ids, … }], examinedIds = všechny
+// přepočítané události (ty, co do žádného shluku nepatří, přijdou o incident_cluster_id).
+export async function saveIncidentClusters({ clusters = [], examinedIds = [] } = {}) {
+  return runInTransaction(async (client) => {
+    const ids = clusters.map(c => c.id);
+    for (const c of clusters) {
+      // eslint-disable-next-line no-await-in-loop
+      await client.query(
+        `
+        INSERT INTO incident_clusters (
+          id, event_type, event_count, started_at, last_event_at,
+          center_lat, center_lon, radius_km, hull, cities, storm_like, peak_events, weather_zones, weather, updated_at
+        )
+        VALUES ($1, $2, $3, $4::timestamptz, $5::timestamptz, $6, $7, $8, $9::jsonb, $10::text[], $11, $12, $13::text[], $14::jsonb, NOW())
+        ON CONFLICT (id) DO UPDATE SET
+          event_type = EXCLUDED.event_type,
+          event_count = EXCLUDED.event_count,
+          started_at = EXCLUDED.started_at,
+          last_event_at = EXCLUDED.last_event_at,
+          center_lat = EXCLUDED.center_lat,
+          center_lon = EXCLUDED.center_lon,
+          radius_km = EXCLUDED.radius_km,
+          hull = EXCLUDED.hull,
+          cities = EXCLUDED.cities,
+          storm_like = EXCLUDED.storm_like,
+          peak_events = EXCLUDED.peak_events,
+          weather_zones = EXCLUDED.weather_zones,
+          weather = EXCLUDED.weather,
+          updated_at = NOW()
+        `,
+        [
+          c.id, c.event_type, c.event_count, c.started_at, c.last_event_at,
+          c.center_lat, c.center_lon, c.radius_km, JSON.stringify(c.hull || []), c.cities || [],
+          !!c.storm_like, c.peak_events ?? null, c.weather_zones || [], c.weather ? JSON.stringify(c.weather) : null
+        ]
+      );
+      // eslint-disable-next-line no-await-in-loop
+      await client.query(
+        `UPDATE events SET incident_cluster_id = $1 WHERE id = ANY($2::text[]) AND incident_cluster_id IS DISTINCT FROM $1`,
+        [c.id, c.event_ids]
+      );
+    }
+
+    const assigned = clusters.flatMap(c => c.event_ids);
+    const released = await client.query(
+      `
+      UPDATE events SET incident_cluster_id = NULL
+      WHERE id = ANY($1::text[]) AND incident_cluster_id IS NOT NULL AND NOT (id = ANY($2::text[]))
+      `,
+      [examinedIds, assigned]
+    );
+    // Shluk, který po přepočtu nemá žádného člena (rozpadl se / sloučil do jiného), zmizí.
+    const removed = await client.query(
+      `
+      DELETE FROM incident_clusters c
+      WHERE NOT (c.id = ANY($1::text[]))
+        AND NOT EXISTS (SELECT 1 FROM events e WHERE e.incident_cluster_id = c.id)
+      `,
+      [ids]
+    );
+    return { saved: clusters.length, released: released.rowCount || 0, removed: removed.rowCount || 0 };
+  });
+}
+
+const INCIDENT_CLUSTER_MEMBERS_SQL = `
+  (
+    SELECT json_agg(json_build_object(
+      'id', e.id, 'title', e.title, 'event_type', e.event_type, 'event_subtype', e.event_subtype,
+      'city_text', e.city_text, 'place_text', e.place_text, 'is_closed', e.is_closed,
+      'lat', e.lat, 'lon', e.lon, 'ts', ${DUPLICATE_EVENT_TIME_SQL("e")}
+    ) ORDER BY ${DUPLICATE_EVENT_TIME_SQL("e")}, e.id)
+    FROM events e WHERE e.incident_cluster_id = c.id
+  ) AS events,
+  (SELECT COUNT(*)::int FROM events e WHERE e.incident_cluster_id = c.id AND e.is_closed = FALSE) AS open_count`;
+
+export async function listIncidentClusters({ sinceHours = 24, stormOnly = false, activeOnly = false, limit = 50 } = {}) {
+  const r = await pool.query(
+    `
+    SELECT c.*, ${INCIDENT_CLUSTER_MEMBERS_SQL}
+    FROM incident_clusters c
+    WHERE c.last_event_at >= NOW() - ($1::int * interval '1 hour')
+      AND ($2::boolean = FALSE OR c.storm_like = TRUE)
+      AND ($3::boolean = FALSE OR EXISTS (SELECT 1 FROM events e WHERE e.incident_cluster_id = c.id AND e.is_closed = FALSE))
+    ORDER BY EXISTS (SELECT 1 FROM events e WHERE e.incident_cluster_id = c.id AND e.is_closed = FALSE) DESC, c.last_event_at DESC
+    LIMIT $4
+    `,
+    [Math.max(1, Number(sinceHours) || 24), !!stormOnly, !!activeOnly, Math.max(1, Math.min(Number(limit) || 50, 500))]
+  );
+  return r.rows || [];
+}
+
+export async function getIncidentCluster(id) {
+  const r = await pool.query(`SELECT c.*, ${INCIDENT_CLUSTER_MEMBERS_SQL} FROM incident_clusters c WHERE c.id = $1`, [id]);
+  return r.rows?.[0] || null;
+}
+
+const DUPLICATE_EVENT_COLUMNS = (t, prefix) => [
+  "id", "title", "link", "event_type", "city_text", "place_text", "status_text", "is_closed",
+  "pub_date", "start_time_iso", "lat", "lon", "source_kind", "alarm_level", "first_seen_at"
+].map(c => `${t}.${c} AS ${prefix}_${c}`).join(", ");
+
+export async function listDuplicateQueue({ status = "pending", limit = 100 } = {}) {
+  const lim = Math.max(1, Math.min(Number(limit || 100), 500));
+  const r = await pool.query(
+    `
+    SELECT c.id, c.event_a, c.event_b, c.score, c.reasons, c.status, c.detected_at, c.updated_at, c.reviewed_at, c.reviewed_by,
+           ${DUPLICATE_EVENT_COLUMNS("a", "a")},
+           ${DUPLICATE_EVENT_COLUMNS("b", "b")}
+    FROM event_duplicate_candidates c
+    JOIN events a ON a.id = c.event_a
+    JOIN events b ON b.id = c.event_b
+    WHERE c.status = $1
+    ORDER BY c.score DESC, c.detected_at DESC
+    LIMIT $2
+    `,
+    [String(status || "pending"), lim]
+  );
+  return r.rows || [];
+}
+
+export async function getDuplicateCandidate(id) {
+  const r = await pool.query(`SELECT * FROM event_duplicate_candidates WHERE id=$1`, [id]);
+  return r.rows[0] || null;
+}
+
+export async function setDuplicateCandidateStatus(id, status, reviewedBy = null) {
+  const r = await pool.query(
+    `UPDATE event_duplicate_candidates SET status=$2, reviewed_at=NOW(), reviewed_by=$3, updated_at=NOW() WHERE id=$1 RETURNING *`,
+    [id, status, reviewedBy]
+  );
+  return r.rows[0] || null;
+}
+
+// Sloučení dropId do keepId: prázdná pole doplní ze zrušené události, historie a aliasy se
+// přesunou, zrušená událost se smaže a její id zůstane jako alias (snapshot pro dohledání).
+export async function mergeEvents(keepId, dropId, { actor = null } = {}) {
+  if (!keepId || !dropId || String(keepId) === String(dropId)) {
+    const e = new Error("invalid_merge_pair");
+    e.statusCode = 400;
+    throw e;
+  }
+
+  return runInTransaction(async (client) => {
+    const rows = await client.query(`SELECT * FROM events WHERE id = ANY($1::text[]) ORDER BY id FOR UPDATE`, [[keepId, dropId]]);
+    const drop = rows.rows.find(r => String(r.id) === String(dropId));
+    if (rows.rows.length !== 2 || !drop) {
+      const e = new Error("event_not_found");
+      e.statusCode = 404;
+      throw e;
+    }
+
+    const g = (field, expr) => guardField(field, expr, "$3", "k");
+    const result = await writeEventWithSources(keepId, "merge", async (c, locked) => {
+      const coordsLocked = locked.includes("coords");
+      await c.query(
+        `
+        UPDATE events k SET
+          place_text = ${g("place_text", "COALESCE(k.place_text, d.place_text)")},
+          city_text = ${g("city_text", "COALESCE(k.city_text, d.city_text)")},
+          status_text = ${g("status_text", "COALESCE(k.status_text, d.status_text)")},
+          event_type = ${g("event_type", "COALESCE(NULLIF(k.event_type, 'other'), d.event_type, k.event_type)")},
+          description_raw = COALESCE(k.description_raw, d.description_raw),
+          start_time_iso = ${g("start_time_iso", "COALESCE(k.start_time_iso, d.start_time_iso)")},
+          end_time_iso = ${g("end_time_iso", "COALESCE(k.end_time_iso, d.end_time_iso)")},
+          duration_min = ${g("duration_min", "COALESCE(k.duration_min, d.duration_min)")},
+          duration_source = ${g("duration_source", "CASE WHEN k.duration_min IS NULL THEN d.duration_source ELSE k.duration_source END")},
+          alarm_level = ${g("alarm_level", "GREATEST(k.alarm_level, d.alarm_level)")},
+          alarm_level_text = ${g("alarm_level_text", "CASE WHEN COALESCE(d.alarm_level, 0) > COALESCE(k.alarm_level, 0) THEN d.alarm_level_text ELSE COALESCE(k.alarm_level_text, d.alarm_level_text) END")},
+          is_major_event = ${g("is_major_event", "(COALESCE(k.is_major_event, FALSE) OR COALESCE(d.is_major_event, FALSE))")},
+          major_reason = ${g("major_reason", "COALESCE(k.major_reason, d.major_reason)")},
+          manual_detail_text = COALESCE(k.manual_detail_text, d.manual_detail_text),
+          manual_detail_source = CASE WHEN k.manual_detail_text IS NULL THEN d.manual_detail_source ELSE k.manual_detail_source END,
+          manual_detail_updated_at = CASE WHEN k.manual_detail_text IS NULL THEN d.manual_detail_updated_at ELSE k.manual_detail_updated_at END,
+          lat = CASE WHEN $4::boolean OR (k.lat IS NOT NULL AND k.lon IS NOT NULL) THEN k.lat ELSE d.lat END,
+          lon = CASE WHEN $4::boolean OR (k.lat IS NOT NULL AND k.lon IS NOT NULL) THEN k.lon ELSE d.lon END,
+          geo_source = CASE WHEN $4::boolean OR (k.lat IS NOT NULL AND k.lon IS NOT NULL) THEN k.geo_source ELSE d.geo_source END,
+          geo_note = CASE WHEN $4::boolean OR (k.lat IS NOT NULL AND k.lon IS NOT NULL) THEN k.geo_note ELSE d.geo_note END,
+          first_seen_at = LEAST(k.first_seen_at, d.first_seen_at),
+          last_seen_at = GREATEST(k.last_seen_at, d.last_seen_at)
+        FROM events d
+        WHERE k.id = $1 AND d.id = $2
+        `,
+        [keepId, dropId, locked, coordsLocked]
+      );
+    }, { client, action: "merge", actor });
+
+    await client.query(`UPDATE event_revisions SET event_id=$1 WHERE event_id=$2`, [keepId, dropId]);
+    await client.query(`UPDATE event_aliases SET event_id=$1 WHERE event_id=$2`, [keepId, dropId]);
+    // Fáze: u sloučené události platí dřívější dosažení z obou.
+    await client.query(
+      `
+      INSERT INTO event_status_phases (event_id, phase, reached_at, source_kind)
+      SELECT $1, phase, reached_at, source_kind FROM event_status_phases WHERE event_id = $2
+      ON CONFLICT (event_id, phase) DO UPDATE SET reached_at = LEAST(event_status_phases.reached_at, EXCLUDED.reached_at)
+      `,
+      [keepId, dropId]
+    );
+    await client.query(`DELETE FROM event_status_phases WHERE event_id=$1`, [dropId]);
+    // Eskalace stejně: dřívější dosažení stupně z obou událostí.
+    await client.query(
+      `
+      INSERT INTO event_alarm_escalations (event_id, alarm_level, alarm_level_text, from_level, reached_at, source_kind)
+      SELECT $1, alarm_level, alarm_level_text, from_level, reached_at, source_kind FROM event_alarm_escalations WHERE event_id = $2
+      ON CONFLICT (event_id, alarm_level) DO UPDATE SET reached_at = LEAST(event_alarm_escalations.reached_at, EXCLUDED.reached_at)
+      `,
+      [keepId, dropId]
+    );
+    await client.query(`DELETE FROM event_alarm_escalations WHERE event_id=$1`, [dropId]);
+    await client.query(
+      `
+      INSERT INTO event_aliases (alias_id, event_id, snapshot, merged_by)
+      VALUES ($1, $2, $3::jsonb, $4)
+      ON CONFLICT (alias_id) DO UPDATE SET event_id = EXCLUDED.event_id, snapshot = EXCLUDED.snapshot, merged_by = EXCLUDED.merged_by, merged_at = NOW()
+      `,
+      [dropId, keepId, JSON.stringify(drop), actor?.username || null]
+    );
+    await insertEventRevision(client, {
+      eventId: keepId,
+      action: "merge",
+      sourceKind: "merge",
+      changedFields: ["merged_from"],
+      diff: { merged_from: { old: null, new: dropId } },
+      actor
+    });
+    await client.query(`DELETE FROM events WHERE id=$1`, [dropId]);
+
+    const [a, b] = [String(keepId), String(dropId)].sort();
+    await client.query(
+      `UPDATE event_duplicate_candidates SET status='merged', reviewed_at=NOW(), reviewed_by=$3, updated_at=NOW() WHERE event_a=$1 AND event_b=$2`,
+      [a, b, actor?.username || null]
+    );
+    // Ostatní návrhy se zrušenou událostí ztratily smysl; detektor je případně navrhne znovu proti keepId.
+    await client.query(`DELETE FROM event_duplicate_candidates WHERE status='pending' AND (event_a=$1 OR event_b=$1)`, [dropId]);
+
+    return { keepId, dropId, filled: result.changed, locked: result.locked };
+  });
+}
+
+// ---------------- RAW INGEST ARCHIVE + REPROCESS ----------------
+export async function archiveRawIngestItems({ sourceKind, source = null, schemaVersion = null, items = [] } = {}) {
+  if (!Array.isArray(items) || !items.length) return 0;
+  // DISTINCT ON: stejná položka dvakrát v jedné dávce by jinak shodila ON CONFLICT DO UPDATE.
+  const r = await pool.query(
+    `
+    INSERT INTO ingest_raw_items (source_kind, source, item_id, schema_version, payload, payload_sha)
+    SELECT DISTINCT ON (md5(elem::text))
+           $1, $2, NULLIF(elem->>'id', ''), $3, elem, md5(elem::text)
+    FROM jsonb_array_elements($4::jsonb) AS elem
+    ON CONFLICT (source_kind, payload_sha) DO UPDATE SET
+      last_received_at = NOW(),
+      seen_count = ingest_raw_items.seen_count + 1,
+      source = COALESCE(EXCLUDED.source, ingest_raw_items.source)
+    `,
+    [sourceKind, source, schemaVersion, JSON.stringify(items)]
+  );
+  return r.rowCount || 0;
+}
+
+export async function purgeRawIngestItems(olderThanDays) {
+  const days = Number(olderThanDays);
+  if (!Number.isFinite(days) || days <= 0) return 0;
+  const r = await pool.query(
+    `DELETE FROM ingest_raw_items WHERE last_received_at < NOW() - ($1::int * interval '1 day')`,
+    [Math.round(days)]
+  );
+  return r.rowCount || 0;
+}
+
+// Poslední verze každé položky přijaté v rozsahu (podle last_received_at).
+export async function listRawIngestForReplay({ from, to, sourceKind = null, limit = 5000 } = {}) {
+  const lim = Math.max(1, Math.min(Number(limit || 5000), 20000));
+  const r = await pool.query(
+    `
+    SELECT * FROM (
+      SELECT DISTINCT ON (item_id)
+             id, source_kind, source, item_id, schema_version, payload, first_received_at, last_received_at, seen_count
+      FROM ingest_raw_items
+      WHERE item_id IS NOT NULL
+        AND last_received_at >= $1 AND last_received_at < $2
+        AND ($3::text IS NULL OR source_kind = $3)
+      ORDER BY item_id, last_received_at DESC
+    ) latest
+    ORDER BY last_received_at ASC
+    LIMIT $4
+    `,
+    [from, to, sourceKind, lim]
+  );
+  return r.rows || [];
+}
+
+// Události z rozsahu, které v archivu nejsou (vznikly před archivem) – přehrají se z uloženého textu.
+export async function listUnarchivedEventsForReplay({ from, to, sourceKind = null, limit = 5000 } = {}) {
+  const lim = Math.max(1, Math.min(Number(limit || 5000), 20000));
+  const r = await pool.query(
+    `
+    SELECT e.id, e.title, e.link, e.pub_date, e.description_raw, e.status_text, e.place_text,
+           COALESCE(e.source_kind, 'esp') AS source_kind
+    FROM events e
+    WHERE COALESCE(e.first_seen_at, e.created_at) >= $1 AND COALESCE(e.first_seen_at, e.created_at) < $2
+      AND COALESCE(e.source_kind, 'esp') <> 'manual'
+      AND ($3::text IS NULL OR COALESCE(e.source_kind, 'esp') = $3)
+      AND NOT EXISTS (SELECT 1 FROM ingest_raw_items r WHERE r.item_id = e.id)
+    ORDER BY COALESCE(e.first_seen_at, e.created_at) ASC
+    LIMIT $4
+    `,
+    [from, to, sourceKind, lim]
+  );
+  return r.rows || [];
+}
+
+export async function getTrackedEventsMany(ids) {
+  const list = [...new Set((ids || []).map(String).filter(Boolean))];
+  const out = new Map();
+  if (!list.length) return out;
+  const r = await pool.query(`SELECT ${TRACKED_EVENT_SELECT}, title FROM events WHERE id = ANY($1::text[])`, [list]);
+  for (const row of r.rows) out.set(String(row.id), row);
+  return out;
+}
+
+// Pole, která smí přepsat reprocess (vše odvozené z textu zdroje; souřadnice ne).
+export const REPROCESS_EVENT_FIELDS = [
+  "event_type", "event_subtype", "status_text", "status_source", "status_phase", "is_closed",
+  "start_time_iso", "end_time_iso", "duration_min", "duration_source",
+  "alarm_level", "alarm_level_text", "is_major_event", "major_reason",
+  "city_text", "place_text"
+];
+
+// Zápis výsledku přehrání. patch = { field: { old, new } }; pole, které se mezitím změnilo
+// (aktuální hodnota už není "old") nebo je zamčené vyšším zdrojem, se přeskočí.
+// action: "reprocess" (přehrání ingestu) | "reclassify" (přepočet typu podle pravidel).
+export async function applyEventReprocessPatch(id, sourceKind, patch = {}, { actor = null, action = "reprocess" } = {}) {
+  let drifted = [];
+  let skippedLocked = [];
+  const r = await writeEventWithSources(id, sourceKind, async (client, locked, before) => {
+    if (!before) return;
+    const sets = [];
+    const params = [id];
+    for (const [field, change] of Object.entries(patch)) {
+      if (!REPROCESS_EVENT_FIELDS.includes(field)) continue;
+      if (locked.includes(field)) {
+        skippedLocked.push(field);
+        continue;
+      }
+      if (trackedValue(before, field) !== trackedValue({ [field]: change.old }, field)) {
+        drifted.push(field);
+        continue;
+      }
+      params.push(change.new);
+      sets.push(`${field} = $${params.length}`);
+    }
+    if (!sets.length) return;
+    await client.query(`UPDATE events SET ${sets.join(", ")} WHERE id = $1`, params);
+  }, { action, actor });
+  return { changed: r.changed, locked: skippedLocked, drifted };
+}
+
+// ---------------- INGEST KEYS (API klíče zařízení) ----------------
+const INGEST_KEY_PUBLIC_COLUMNS = `
+  id, name, key_prefix, source_label, source_kind, scopes, expires_at, last_used_at, last_used_ip,
+  revoked_at, rotated_at, previous_expires_at, created_by, created_at
+`;
+
+export async function listIngestKeys() {
+  const r = await pool.query(`SELECT ${INGEST_KEY_PUBLIC_COLUMNS} FROM ingest_keys ORDER BY revoked_at IS NOT NULL, name ASC`);
+  return r.rows || [];
+}
+
+export async function createIngestKey({ name, keySha256, keyPrefix, sourceLabel = null, sourceKind = null, scopes = ["ingest"], expiresAt = null, createdBy = null }) {
+  const r = await pool.query(
+    `
+    INSERT INTO ingest_keys (name, key_sha256, key_prefix, source_label, source_kind, scopes, expires_at, created_by)
+    VALUES ($1,$2,$3,$4,$5,$6::text[],$7,$8)
+    RETURNING ${INGEST_KEY_PUBLIC_COLUMNS}
+    `,
+    [name, keySha256, keyPrefix, sourceLabel, sourceKind, scopes, expiresAt, createdBy]
+  );
+  return r.rows[0];
+}
+
+export async function updateIngestKey(id, patch = {}) {
+  const fields = [];
+  const params = [id];
+  let i = 2;
+
+  if (patch.name != null) {
+    fields.push(`name=$${i++}`);
+    params.push(String(patch.name));
+  }
+  if (patch.sourceLabel !== undefined) {
+    fields.push(`source_label=$${i++}`);
+    params.push(patch.sourceLabel || null);
+  }
+  if (patch.sourceKind !== undefined) {
+    fields.push(`source_kind=$${i++}`);
+    params.push(patch.sourceKind || null);
+  }
+  if (patch.scopes != null) {
+    fields.push(`scopes=$${i++}::text[]`);
+    params.push(patch.scopes);
+  }
+  if (patch.expiresAt !== undefined) {
+    fields.push(`expires_at=$${i++}`);
+    params.push(patch.expiresAt || null);
+  }
+  if (patch.revoked != null) {
+    // Zneplatnění ruší i starý klíč z rotace – ztracené zařízení nesmí projít ani přes něj.
+    fields.push(patch.revoked ? "revoked_at=COALESCE(revoked_at, NOW()), previous_key_sha256=NULL, previous_expires_at=NULL" : "revoked_at=NULL");
+  }
+
+  if (!fields.length) {
+    const r = await pool.query(`SELECT ${INGEST_KEY_PUBLIC_COLUMNS} FROM ingest_keys WHERE id=$1`, [id]);
+    return r.rows[0] || null;
+  }
+
+  const r = await pool.query(
+    `UPDATE ingest_keys SET ${fields.join(", ")} WHERE id=$1 RETURNING ${INGEST_KEY_PUBLIC_COLUMNS}`,
+    params
+  );
+  return r.rows[0] || null;
+}
+
+// Rotace: nový klíč platí hned, starý ještě graceMinutes (0 = okamžitě neplatný).
+export async function rotateIngestKey(id, { keySha256, keyPrefix, graceMinutes = 0 }) {
+  const grace = Math.max(0, Math.min(Number(graceMinutes || 0), 7 * 24 * 60));
+  const r = await pool.query(
+    `
+    UPDATE ingest_keys
+    SET previous_key_sha256 = CASE WHEN $4::int > 0 THEN key_sha256 ELSE NULL END,
+        previous_expires_at = CASE WHEN $4::int > 0 THEN NOW() + ($4::int * interval '1 minute') ELSE NULL END,
+        key_sha256 = $2,
+        key_prefix = $3,
+        rotated_at = NOW()
+    WHERE id=$1 AND revoked_at IS NULL
+    RETURNING ${INGEST_KEY_PUBLIC_COLUMNS}
+    `,
+    [id, keySha256, keyPrefix, grace]
+  );
+  return r.rows[0] || null;
+}
+
+// Vyhledání podle sha256 klíče (aktuální nebo starý v ochranné lhůtě po rotaci).
+// Kontrolu expirace/zneplatnění dělá volající, ať umí vrátit konkrétní chybu.
+export async function findIngestKeyBySha(keySha256) {
+  const r = await pool.query(
+    `
+    SELECT ${INGEST_KEY_PUBLIC_COLUMNS},
+           (key_sha256 <> $1) AS via_previous_key
+    FROM ingest_keys
+    WHERE key_sha256 = $1
+       OR (previous_key_sha256 = $1 AND previous_expires_at > NOW())
+    LIMIT 1
+    `,
+    [keySha256]
+  );
+  return r.rows[0] || null;
+}
+
+// I zneplatněné klíče se počítají – jakmile existuje první klíč zařízení, sdílený API_KEY končí.
+export async function countIngestKeys() {
+  const r = await pool.query(`SELECT COUNT(*)::int AS n FROM ingest_keys`);
+  return r.rows[0]?.n || 0;
+}
+
+export async function touchIngestKey(id, ip = null) {
+  // Stačí minutová přesnost – ESP posílá každých pár sekund a nechceme zápis na každý request.
+  await pool.query(
+    `
+    UPDATE ingest_keys
+    SET last_used_at = NOW(), last_used_ip = $2
+    WHERE id=$1 AND (last_used_at IS NULL OR last_used_at < NOW() - interval '1 minute')
+    `,
+    [id, ip || null]
+  );
+}
+
 export async function searchEventsAdmin({ q = "", limit = 50 } = {}) {
   const lim = Math.max(1, Math.min(Number(limit || 50), 200));
   const query = String(q || "").trim();
 
   const params = [];
   let where = "TRUE";
+  let rank = "0";
 
   if (query) {
-    params.push(`%${query}%`);
-    where = `(title ILIKE $1 OR city_text ILIKE $1 OR place_text ILIKE $1 OR id ILIKE $1 OR event_type ILIKE $1)`;
+    params.push(`%${likeEscape(query)}%`);
+    const tsq = searchTsQuery(query);
+    // ID / typ přesně přes ILIKE, text (titulek, popis, místo, ruční poznámka) fulltextem.
+    if (tsq) {
+      params.push(tsq);
+      rank = `ts_rank_cd(search_tsv, to_tsquery('simple', $2))`;
+      where = `(search_tsv @@ to_tsquery('simple', $2) OR city_text ILIKE $1 OR id ILIKE $1 OR event_type ILIKE $1)`;
+    } else {
+      where = `(title ILIKE $1 OR city_text ILIKE $1 OR place_text ILIKE $1 OR id ILIKE $1 OR event_type ILIKE $1)`;
+    }
   }
 
   params.push(lim);
@@ -886,13 +2539,15 @@ export async function searchEventsAdmin({ q = "", limit = 50 } = {}) {
   const r = await pool.query(
     `
     SELECT
-      id, title, pub_date, city_text, place_text, status_text, event_type,
+      id, title, pub_date, city_text, place_text, status_text, event_type, event_subtype,
+      description_raw, manual_detail_text,
       start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
       alarm_level, alarm_level_text, is_major_event, major_reason,
-      source_kind, source_note, lat, lon, created_at, last_seen_at
+      source_kind, source_note, lat, lon, created_at, last_seen_at,
+      ${rank} AS search_rank
     FROM events
     WHERE ${where}
-    ORDER BY COALESCE(NULLIF(pub_date,'' )::timestamptz, NULLIF(start_time_iso,'' )::timestamptz, created_at) DESC, created_at DESC
+    ORDER BY search_rank DESC, COALESCE(NULLIF(pub_date,'' )::timestamptz, NULLIF(start_time_iso,'' )::timestamptz, created_at) DESC, created_at DESC
     LIMIT $${params.length}
     `,
     params
@@ -959,6 +2614,102 @@ export async function clearObservedDurations({ limit = 10000 } = {}) {
   return r.rows || [];
 }
 
+// ---------------- Spolehlivost délek ----------------
+// Skóre počítá server (zdroj délky, mezera last_seen × konec, odlehlé hodnoty pro typ / město);
+// tady jen vstupní data a hromadný zápis.
+
+export async function listDurationsForScoring({ sinceDays = 365 } = {}) {
+  const days = Math.max(1, Math.min(Number(sinceDays || 365), 3650));
+  const r = await pool.query(
+    `
+    SELECT
+      id, event_type, city_text, place_text, is_closed,
+      duration_min, duration_source, end_time_iso, last_seen_at,
+      duration_confidence, duration_confidence_reasons, duration_reviewed_min
+    FROM events
+    WHERE first_seen_at >= NOW() - ($1::text || ' days')::interval
+      AND (duration_min IS NOT NULL OR duration_confidence IS NOT NULL)
+    `,
+    [days]
+  );
+  return r.rows || [];
+}
+
+// items: [{ id, confidence, reasons }] – reasons = kódy oddělené čárkou; confidence null = délka chybí.
+export async function updateDurationConfidence(items = []) {
+  if (!items.length) return 0;
+  const r = await pool.query(
+    `
+    UPDATE events e
+    SET duration_confidence = x.confidence,
+        duration_confidence_reasons = x.reasons,
+        duration_confidence_at = NOW()
+    FROM unnest($1::text[], $2::int[], $3::text[]) AS x(id, confidence, reasons)
+    WHERE e.id = x.id
+    `,
+    [items.map(x => x.id), items.map(x => x.confidence), items.map(x => x.reasons || null)]
+  );
+  return r.rowCount || 0;
+}
+
+export async function listSuspiciousDurations({ maxConfidence = 50, limit = 100 } = {}) {
+  const lim = Math.max(1, Math.min(Number(limit || 100), 500));
+  const r = await pool.query(
+    `
+    SELECT
+      id, title, link, city_text, place_text, event_type, event_subtype,
+      start_time_iso, end_time_iso, duration_min, duration_source,
+      first_seen_at, last_seen_at,
+      duration_confidence, duration_confidence_reasons, duration_confidence_at
+    FROM events
+    WHERE is_closed = TRUE
+      AND duration_min IS NOT NULL
+      AND duration_confidence IS NOT NULL
+      AND duration_confidence < $1
+    ORDER BY duration_confidence ASC, duration_min DESC
+    LIMIT $2
+    `,
+    [Number(maxConfidence), lim]
+  );
+  return r.rows || [];
+}
+
+// Admin délku potvrdil: platí, dokud se duration_min nezmění (pak se znovu hodnotí).
+export async function confirmEventDuration(id) {
+  const r = await pool.query(
+    `
+    UPDATE events
+    SET duration_reviewed_min = duration_min,
+        duration_confidence = 100,
+        duration_confidence_reasons = 'reviewed',
+        duration_confidence_at = NOW()
+    WHERE id = $1 AND duration_min IS NOT NULL
+    RETURNING id
+    `,
+    [id]
+  );
+  return (r.rows || []).length > 0;
+}
+
+// Admin délku zahodil: ruční zápis (sticky), aby ji automatický zdroj hned nevrátil.
+export async function clearEventDuration(id, { actor = null } = {}) {
+  const r = await writeEventWithSources(id, "manual", async (client) => {
+    await client.query(
+      `
+      UPDATE events
+      SET duration_min = NULL,
+          duration_source = NULL,
+          duration_confidence = NULL,
+          duration_confidence_reasons = NULL,
+          duration_confidence_at = NOW()
+      WHERE id = $1
+      `,
+      [id]
+    );
+  }, { assertedFields: ["duration_min", "duration_source"], stampChanged: false, action: "duration_clear", actor });
+  return !!r.before;
+}
+
 export async function getCachedGeocode(placeText) {
   const res = await pool.query(
     `SELECT lat, lon FROM geocode_cache WHERE place_text=$1`,
@@ -1060,7 +2811,135 @@ function buildMonthSql(month, params, iStart) {
   return { clauses, nextI: i };
 }
 
-export async function getEventsFiltered(filters, limit = 400) {
+// ---------------- FULLTEXT ----------------
+// Diakritika se skládá tabulkou ze search-fold.js – stejnou jako fw_unaccent v SQL.
+
+// Hledané výrazy -> prefixy slov. Čeština skloňuje, takže u delších slov uřízneme koncovku
+// ("čpavek" -> "cpav" najde i "čpavku", "Pražská" -> "prazs" i "Pražské"). Max 8 slov.
+export function searchTerms(q) {
+  return [...new Set(foldSearchText(q)
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 2)
+    .map(w => (/^\d+$/.test(w) ? w : w.length >= 6 ? w.slice(0, -2) : w.length === 5 ? w.slice(0, -1) : w)))]
+    .slice(0, 8);
+}
+
+// tsquery z bezpečných tokenů (jen [a-z0-9]) – všechny výrazy musí sedět (AND).
+function searchTsQuery(q) {
+  const terms = searchTerms(q);
+  return terms.length ? terms.map(t => `${t}:*`).join(" & ") : "";
+}
+
+// Datum YYYY-MM-DD = celý den v Praze (do = včetně), jinak ISO čas.
+function buildDateRangeSql(from, to, params, iStart) {
+  const clauses = [];
+  let i = iStart;
+  const t = eventTimeSql();
+  const isDay = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+  if (from) {
+    clauses.push(isDay(from)
+      ? `(${t} AT TIME ZONE 'Europe/Prague')::date >= $${i}::date`
+      : `${t} >= $${i}::timestamptz`);
+    params.push(from);
+    i++;
+  }
+  if (to) {
+    clauses.push(isDay(to)
+      ? `(${t} AT TIME ZONE 'Europe/Prague')::date <= $${i}::date`
+      : `${t} <= $${i}::timestamptz`);
+    params.push(to);
+    i++;
+  }
+  return { clauses, nextI: i };
+}
+
+function likeEscape(s) {
+  return String(s).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// Rozšířené filtry (fulltext, rozsah dat, více obcí, okres, stupeň poplachu, souřadnice, délka, okruh).
+// Sdílí výpis, počet, statistiky i exporty – filtry chybějící v objektu se ignorují.
+function buildExtendedFiltersSql(filters = {}, params, iStart) {
+  const clauses = [];
+  let i = iStart;
+  let searchParam = null;
+
+  const tsq = searchTsQuery(filters.q);
+  if (tsq) {
+    clauses.push(`search_tsv @@ to_tsquery('simple', $${i})`);
+    params.push(tsq);
+    searchParam = `$${i}`;
+    i++;
+  }
+
+  const range = buildDateRangeSql(String(filters.from || ""), String(filters.to || ""), params, i);
+  clauses.push(...range.clauses);
+  i = range.nextI;
+
+  const cities = Array.isArray(filters.cities) ? filters.cities.filter(Boolean) : [];
+  if (cities.length) {
+    clauses.push(`(COALESCE(city_text,'') ILIKE ANY($${i}::text[]) OR COALESCE(place_text,'') ILIKE ANY($${i}::text[]))`);
+    params.push(cities.map(c => `%${likeEscape(c)}%`));
+    i++;
+  }
+
+  // Okres není samostatný sloupec – v RSS je v popisu ("okres Praha-východ"), u části míst i v place_text.
+  const district = String(filters.district || "").trim();
+  if (district) {
+    clauses.push(`(COALESCE(description_raw,'') ILIKE $${i} OR COALESCE(place_text,'') ILIKE $${i})`);
+    params.push(`%okres ${likeEscape(district)}%`);
+    i++;
+  }
+
+  if (Number.isFinite(filters.alarmLevelGte)) {
+    clauses.push(`COALESCE(alarm_level, 0) >= $${i}`);
+    params.push(filters.alarmLevelGte);
+    i++;
+  }
+
+  if (filters.majorOnly) clauses.push(`(COALESCE(alarm_level, 0) >= 2 OR COALESCE(is_major_event, FALSE) = TRUE)`);
+
+  if (filters.hasCoords === true) clauses.push(`(lat IS NOT NULL AND lon IS NOT NULL)`);
+  if (filters.hasCoords === false) clauses.push(`(lat IS NULL OR lon IS NULL)`);
+
+  if (Number.isFinite(filters.durationMinGte)) {
+    clauses.push(`duration_min >= $${i}`);
+    params.push(filters.durationMinGte);
+    i++;
+  }
+  if (Number.isFinite(filters.durationMinLte)) {
+    clauses.push(`duration_min <= $${i}`);
+    params.push(filters.durationMinLte);
+    i++;
+  }
+
+  // Okruh: hrubý obdélník (levné odfiltrování) + haversine na přesnou vzdálenost.
+  const near = filters.near;
+  if (near && Number.isFinite(near.lat) && Number.isFinite(near.lon) && Number.isFinite(near.radiusKm)) {
+    const dLat = near.radiusKm / 111.32;
+    const dLon = near.radiusKm / (111.32 * Math.max(0.01, Math.cos(near.lat * Math.PI / 180)));
+    clauses.push(`(
+      lat BETWEEN $${i + 3} AND $${i + 4} AND lon BETWEEN $${i + 5} AND $${i + 6}
+      AND 2 * 6371 * asin(sqrt(
+        power(sin(radians(lat - $${i}) / 2), 2)
+        + cos(radians($${i})) * cos(radians(lat)) * power(sin(radians(lon - $${i + 1}) / 2), 2)
+      )) <= $${i + 2}
+    )`);
+    params.push(near.lat, near.lon, near.radiusKm, near.lat - dLat, near.lat + dLat, near.lon - dLon, near.lon + dLon);
+    i += 7;
+  }
+
+  return { clauses, nextI: i, searchParam };
+}
+
+// Filtr typu: "fire" = celý typ, "fire:chimney" = jen daný podtyp ($n = text[]).
+function eventTypeFilterSql(param) {
+  return `(event_type = ANY(${param}::text[]) OR (event_type || ':' || COALESCE(event_subtype, '')) = ANY(${param}::text[]))`;
+}
+
+// WHERE pro veřejné filtry (typ, obec/text, stav, den, měsíc + rozšířené) – sdílí výpis, počet i živý stream.
+function buildEventFiltersWhere(filters = {}) {
   const types = Array.isArray(filters?.types) ? filters.types : [];
   const city = String(filters?.city || "").trim();
   const status = String(filters?.status || "all").toLowerCase();
@@ -1072,7 +2951,7 @@ export async function getEventsFiltered(filters, limit = 400) {
   let i = 1;
 
   if (types.length) {
-    where.push(`event_type = ANY($${i}::text[])`);
+    where.push(eventTypeFilterSql(`$${i}`));
     params.push(types);
     i++;
   }
@@ -1094,15 +2973,55 @@ export async function getEventsFiltered(filters, limit = 400) {
   where.push(...mWin.clauses);
   i = mWin.nextI;
 
-  const sql =
-    `
-    SELECT
+  const ext = buildExtendedFiltersSql(filters, params, i);
+  where.push(...ext.clauses);
+  i = ext.nextI;
+
+  return { where, params, nextI: i, searchParam: ext.searchParam };
+}
+
+// ---------------- FÁZE ZÁSAHU: čas do lokalizace / likvidace ----------------
+// Minuty od začátku zásahu do první lokalizace / likvidace (event_status_phases).
+// Hodnota mimo 0..MAX_DURATION_MINUTES (špatné datum v popisu) = NULL.
+
+function phaseReachedSql(phase, t = "events") {
+  return `(SELECT MIN(p.reached_at) FROM event_status_phases p WHERE p.event_id = ${t}.id AND p.phase = '${phase}')`;
+}
+
+function phaseMinutesSql(phase, t = "events") {
+  const start = `COALESCE(NULLIF(COALESCE(NULLIF(${t}.start_time_iso,''), ${t}.pub_date),'')::timestamptz, ${t}.first_seen_at)`;
+  return `(
+    SELECT CASE WHEN x.m < 0 OR x.m > ${MAX_DURATION_MINUTES} THEN NULL ELSE x.m END
+    FROM (SELECT ROUND(EXTRACT(EPOCH FROM (${phaseReachedSql(phase, t)} - ${start})) / 60.0)::int AS m) x
+  )`;
+}
+
+// Časová osa eskalací stupně poplachu – jen u událostí od II. stupně / významných (karta významných událostí).
+function alarmEscalationsSql(t = "events") {
+  return `(
+    CASE WHEN COALESCE(${t}.alarm_level, 0) >= 2 OR COALESCE(${t}.is_major_event, FALSE) = TRUE THEN (
+      SELECT json_agg(json_build_object('level', x.alarm_level, 'text', x.alarm_level_text, 'at', x.reached_at) ORDER BY x.reached_at, x.alarm_level)
+      FROM event_alarm_escalations x WHERE x.event_id = ${t}.id
+    ) END
+  )`;
+}
+
+function phaseTimeColumns(t = "events") {
+  return `
+      ${phaseReachedSql("localized", t)} AS localized_at,
+      ${phaseReachedSql("extinguished", t)} AS extinguished_at,
+      ${phaseMinutesSql("localized", t)} AS time_to_localize_min,
+      ${phaseMinutesSql("extinguished", t)} AS time_to_extinguish_min`;
+}
+
+const EVENT_LIST_COLUMNS = `
       id, title, link, pub_date,
       place_text, city_text,
-      status_text, event_type,
+      status_text, event_type, event_subtype,
       description_raw,
       start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-      alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+      alarm_level, alarm_level_text, is_major_event, major_reason, status_source, status_phase, status_phase_at,
+      duration_confidence, duration_confidence_reasons,
       manual_detail_text, manual_detail_source, manual_detail_updated_at,
       (
         is_closed = FALSE
@@ -1120,11 +3039,25 @@ export async function getEventsFiltered(filters, limit = 400) {
           ELSE 0
         END
       ) AS carryover_days,
+      ${phaseTimeColumns()},
+      ${alarmEscalationsSql()} AS alarm_escalations,
+      incident_cluster_id,
       lat, lon,
       first_seen_at, last_seen_at, created_at
+`;
+
+export async function getEventsFiltered(filters, limit = 400) {
+  const { where, params, nextI: i, searchParam } = buildEventFiltersWhere(filters);
+  // S fulltextem řadíme hlavně podle relevance, jinak aktivní/významné nahoru.
+  const rankSql = searchParam ? `ts_rank_cd(search_tsv, to_tsquery('simple', ${searchParam}))` : null;
+
+  const sql =
+    `
+    SELECT ${EVENT_LIST_COLUMNS}${rankSql ? `, ${rankSql} AS search_rank` : ""}
     FROM events
     ${where.length ? "WHERE " + where.join(" AND ") : ""}
     ORDER BY
+      ${rankSql ? `${rankSql} DESC,` : ""}
       CASE
         WHEN is_closed = FALSE AND (COALESCE(alarm_level, 0) >= 3 OR COALESCE(is_major_event, FALSE) = TRUE) THEN 0
         WHEN is_closed = FALSE AND COALESCE(alarm_level, 0) >= 2 THEN 1
@@ -1137,45 +3070,95 @@ export async function getEventsFiltered(filters, limit = 400) {
     LIMIT $${i}
     `;
 
-  params.push(limit);
-
-  const res = await pool.query(sql, params);
-  return res.rows;
-}
-
-
-export async function countEventsFiltered(filters = {}) {
-  const types = Array.isArray(filters?.types) ? filters.types : [];
-  const city = String(filters?.city || "").trim();
-  const status = String(filters?.status || "all").toLowerCase();
-  const day = String(filters?.day || "all").toLowerCase();
-  const month = String(filters?.month || "").trim();
-
-  const where = [];
-  const params = [];
-  let i = 1;
+  params.push(limit);
 
-  if (types.length) {
-    where.push(`event_type = ANY($${i}::text[])`);
-    params.push(types);
-    i++;
+  const res = await pool.query(sql, params);
+  return res.rows;
+}
+
+// ---------------- STRÁNKOVÁNÍ /api/events (keyset / cursor) ----------------
+// Řazení vždy podle (klíč, čas, id) ve stejném směru – trojice je jednoznačná, takže stránky
+// se nepřekrývají ani při zápisech mezi dotazy. Hodnoty do kurzoru bereme jako text přímo z SQL
+// (časy v mikrosekundách by přes JS Date ztratily přesnost a stránka by přeskočila řádky).
+export const EVENT_PAGE_SORTS = {
+  time: { sql: () => eventTimeSql(), cast: "timestamptz" },
+  duration: { sql: () => "COALESCE(duration_min, -1)", cast: "int" },
+  city: { sql: () => "lower(COALESCE(NULLIF(city_text,''), NULLIF(place_text,''), ''))", cast: "text" },
+  type: { sql: () => "(COALESCE(event_type,'other') || ':' || COALESCE(event_subtype,''))", cast: "text" },
+  alarm: { sql: () => "COALESCE(alarm_level, 0)", cast: "int" },
+  relevance: { sql: (searchParam) => `ts_rank_cd(search_tsv, to_tsquery('simple', ${searchParam}))`, cast: "real", needsSearch: true }
+};
+
+export async function getEventsPage(filters, { sort = "time", dir = "desc", cursor = null, limit = 50 } = {}) {
+  const { where, params, nextI, searchParam } = buildEventFiltersWhere(filters);
+  let i = nextI;
+
+  const def = EVENT_PAGE_SORTS[sort] && (!EVENT_PAGE_SORTS[sort].needsSearch || searchParam) ? EVENT_PAGE_SORTS[sort] : EVENT_PAGE_SORTS.time;
+  const sortKey = EVENT_PAGE_SORTS[sort] === def ? sort : "time";
+  const desc = String(dir).toLowerCase() !== "asc";
+  const op = desc ? "<" : ">";
+  const ord = desc ? "DESC" : "ASC";
+  const keySql = def.sql(searchParam);
+  const timeSql = eventTimeSql();
+  const isTime = sortKey === "time";
+
+  // Kurzor platí jen pro stejné řazení – jinak začínáme od začátku.
+  if (cursor && cursor.s === sortKey && cursor.d === (desc ? "desc" : "asc") && Array.isArray(cursor.v)) {
+    if (isTime && cursor.v.length === 2) {
+      where.push(`(${timeSql}, id) ${op} ($${i}::timestamptz, $${i + 1}::text)`);
+      params.push(cursor.v[0], cursor.v[1]);
+      i += 2;
+    } else if (!isTime && cursor.v.length === 3) {
+      where.push(`(${keySql}, ${timeSql}, id) ${op} ($${i}::${def.cast}, $${i + 1}::timestamptz, $${i + 2}::text)`);
+      params.push(cursor.v[0], cursor.v[1], cursor.v[2]);
+      i += 3;
+    }
   }
 
-  if (city) {
-    where.push(`(COALESCE(city_text,'') ILIKE $${i} OR COALESCE(place_text,'') ILIKE $${i} OR COALESCE(title,'') ILIKE $${i} OR COALESCE(description_raw,'') ILIKE $${i})`);
-    params.push(`%${city}%`);
-    i++;
+  const lim = Math.max(1, Math.min(500, Number(limit) || 50));
+  params.push(lim + 1);
+
+  const res = await pool.query(
+    `
+    SELECT ${EVENT_LIST_COLUMNS},
+      (${keySql})::text AS _sort_key,
+      (${timeSql})::text AS _sort_time
+      ${searchParam ? `, ts_rank_cd(search_tsv, to_tsquery('simple', ${searchParam})) AS search_rank` : ""}
+    FROM events
+    ${where.length ? "WHERE " + where.join(" AND ") : ""}
+    ORDER BY ${isTime ? `${timeSql} ${ord}, id ${ord}` : `${keySql} ${ord}, ${timeSql} ${ord}, id ${ord}`}
+    LIMIT $${i}
+    `,
+    params
+  );
+
+  const rows = res.rows.slice(0, lim);
+  const last = res.rows.length > lim ? rows[rows.length - 1] : null;
+  const nextCursor = last
+    ? { s: sortKey, d: desc ? "desc" : "asc", v: isTime ? [last._sort_time, String(last.id)] : [last._sort_key, last._sort_time, String(last.id)] }
+    : null;
+  for (const r of rows) {
+    delete r._sort_key;
+    delete r._sort_time;
   }
+  return { rows, nextCursor, sort: sortKey, dir: desc ? "desc" : "asc" };
+}
 
-  if (status === "open") where.push(`is_closed = FALSE`);
-  if (status === "closed") where.push(`is_closed = TRUE`);
+// Které z ids (právě zapsaných) odpovídají filtrům – řádky ve stejném tvaru jako /api/events.
+export async function getEventsFilteredByIds(filters, ids = []) {
+  const list = [...new Set((ids || []).map(String).filter(Boolean))];
+  if (!list.length) return [];
+  const { where, params, nextI: i } = buildEventFiltersWhere(filters);
+  where.push(`id = ANY($${i}::text[])`);
+  params.push(list);
 
-  const dayWin = buildTimeWindowSql(day, params, i);
-  where.push(...dayWin.clauses);
-  i = dayWin.nextI;
+  const res = await pool.query(`SELECT ${EVENT_LIST_COLUMNS} FROM events WHERE ${where.join(" AND ")}`, params);
+  return res.rows;
+}
 
-  const mWin = buildMonthSql(month, params, i);
-  where.push(...mWin.clauses);
+
+export async function countEventsFiltered(filters = {}) {
+  const { where, params } = buildEventFiltersWhere(filters);
 
   const r = await pool.query(
     `SELECT COUNT(*)::int AS total FROM events ${where.length ? "WHERE " + where.join(" AND ") : ""}`,
@@ -1192,15 +3175,21 @@ export async function getStatsFiltered(filters) {
   const status = String(filters?.status || "all").toLowerCase();
   const day = String(filters?.day || "all").toLowerCase();
   const month = String(filters?.month || "").trim();
+  // Jen spolehlivé délky: uzavřené s nízkým skóre vypadnou z nejdelších (neohodnocené zůstávají).
+  const minConfidence = Number.isFinite(Number(filters?.minDurationConfidence)) && filters?.minDurationConfidence != null
+    ? Number(filters.minDurationConfidence)
+    : null;
 
   const cutoffIso = await getLongestCutoffIso();
+  // Vlastní rozsah od–do nahrazuje výchozí okno posledních 30 dní.
+  const hasRange = !!(filters?.from || filters?.to);
 
-  const where30 = [`created_at >= NOW() - INTERVAL '30 days'`];
+  const where30 = hasRange ? [] : [`created_at >= NOW() - INTERVAL '30 days'`];
   const params30 = [];
   let i30 = 1;
 
   if (types.length) {
-    where30.push(`event_type = ANY($${i30}::text[])`);
+    where30.push(eventTypeFilterSql(`$${i30}`));
     params30.push(types);
     i30++;
   }
@@ -1222,7 +3211,11 @@ export async function getStatsFiltered(filters) {
   where30.push(...mWin30.clauses);
   i30 = mWin30.nextI;
 
-  const where30Sql = `WHERE ${where30.join(" AND ")}`;
+  const ext30 = buildExtendedFiltersSql(filters, params30, i30);
+  where30.push(...ext30.clauses);
+  i30 = ext30.nextI;
+
+  const where30Sql = where30.length ? `WHERE ${where30.join(" AND ")}` : "";
 
   const byDay = await pool.query(
     `
@@ -1248,6 +3241,44 @@ export async function getStatsFiltered(filters) {
     params30
   );
 
+  const bySubtype = await pool.query(
+    `
+    SELECT COALESCE(event_type,'other') AS type, event_subtype AS subtype, COUNT(*)::int AS count
+    FROM events
+    ${where30Sql}
+    GROUP BY type, subtype
+    ORDER BY count DESC;
+    `,
+    params30
+  );
+
+  // Fáze ze slovníku stavových frází: aktuální fáze událostí a kolik událostí které fáze dosáhlo po dnech.
+  const byPhase = await pool.query(
+    `
+    SELECT COALESCE(status_phase, CASE WHEN is_closed THEN 'closed' ELSE 'unknown' END) AS phase, COUNT(*)::int AS count
+    FROM events
+    ${where30Sql}
+    GROUP BY phase
+    ORDER BY count DESC;
+    `,
+    params30
+  );
+
+  const phaseByDay = await pool.query(
+    `
+    SELECT
+      to_char(((p.reached_at AT TIME ZONE 'Europe/Prague')::date), 'YYYY-MM-DD') AS day,
+      p.phase,
+      COUNT(*)::int AS count
+    FROM event_status_phases p
+    WHERE p.event_id IN (SELECT id FROM events ${where30Sql})
+      ${hasRange ? "" : "AND p.reached_at >= NOW() - INTERVAL '30 days'"}
+    GROUP BY day, p.phase
+    ORDER BY day ASC, p.phase ASC;
+    `,
+    params30
+  );
+
   const openVsClosed = await pool.query(
     `
     SELECT
@@ -1264,7 +3295,7 @@ export async function getStatsFiltered(filters) {
   let iAll = 1;
 
   if (types.length) {
-    whereAll.push(`event_type = ANY($${iAll}::text[])`);
+    whereAll.push(eventTypeFilterSql(`$${iAll}`));
     paramsAll.push(types);
     iAll++;
   }
@@ -1280,6 +3311,10 @@ export async function getStatsFiltered(filters) {
   whereAll.push(...mWinAll.clauses);
   iAll = mWinAll.nextI;
 
+  const extAll = buildExtendedFiltersSql(filters, paramsAll, iAll);
+  whereAll.push(...extAll.clauses);
+  iAll = extAll.nextI;
+
   const whereAllSql = whereAll.length ? `WHERE ${whereAll.join(" AND ")}` : "";
 
   const topCities = await pool.query(
@@ -1311,7 +3346,7 @@ export async function getStatsFiltered(filters) {
     let iL = 1;
 
     if (types.length) {
-      whereLongest.push(`event_type = ANY($${iL}::text[])`);
+      whereLongest.push(eventTypeFilterSql(`$${iL}`));
       paramsLongest.push(types);
       iL++;
     }
@@ -1321,6 +3356,10 @@ export async function getStatsFiltered(filters) {
       iL++;
     }
 
+    const extL = buildExtendedFiltersSql(filters, paramsLongest, iL);
+    whereLongest.push(...extL.clauses);
+    iL = extL.nextI;
+
     // TOP za měsíc dává smysl jen pro uzavřené s uloženou délkou
     whereLongest.push(`is_closed = TRUE`);
     whereLongest.push(`duration_min IS NOT NULL AND duration_min > 0 AND duration_min <= $${iL}`);
@@ -1340,6 +3379,12 @@ export async function getStatsFiltered(filters) {
     paramsLongest.push(String(month).trim());
     iL++;
 
+    if (minConfidence != null) {
+      whereLongest.push(`COALESCE(duration_confidence, 100) >= $${iL}`);
+      paramsLongest.push(minConfidence);
+      iL++;
+    }
+
     const whereLongestSql = `WHERE ${whereLongest.join(" AND ")}`;
 
     const longest = await pool.query(
@@ -1353,6 +3398,8 @@ export async function getStatsFiltered(filters) {
         start_time_iso,
         end_time_iso,
         is_closed,
+        duration_confidence,
+        ${phaseTimeColumns()},
         created_at
       FROM events
       ${whereLongestSql}
@@ -1369,7 +3416,7 @@ export async function getStatsFiltered(filters) {
     let iL = 1;
 
     if (types.length) {
-      whereLongest.push(`event_type = ANY($${iL}::text[])`);
+      whereLongest.push(eventTypeFilterSql(`$${iL}`));
       paramsLongest.push(types);
       iL++;
     }
@@ -1378,6 +3425,10 @@ export async function getStatsFiltered(filters) {
       paramsLongest.push(`%${city}%`);
       iL++;
     }
+
+    const extL = buildExtendedFiltersSql(filters, paramsLongest, iL);
+    whereLongest.push(...extL.clauses);
+    iL = extL.nextI;
     if (status === "open") whereLongest.push(`is_closed = FALSE`);
     if (status === "closed") whereLongest.push(`is_closed = TRUE`);
 
@@ -1386,6 +3437,12 @@ export async function getStatsFiltered(filters) {
     paramsLongest.push(cutoffIso);
     iL++;
 
+    if (minConfidence != null) {
+      whereLongest.push(`(NOT is_closed OR COALESCE(duration_confidence, 100) >= $${iL})`);
+      paramsLongest.push(minConfidence);
+      iL++;
+    }
+
     const whereLongestSql = `WHERE ${whereLongest.join(" AND ")}`;
 
     const longest = await pool.query(
@@ -1415,6 +3472,8 @@ export async function getStatsFiltered(filters) {
         start_time_iso,
         end_time_iso,
         is_closed,
+        duration_confidence,
+        ${phaseTimeColumns()},
         created_at
       FROM events
       ${whereLongestSql}
@@ -1447,6 +3506,9 @@ export async function getStatsFiltered(filters) {
   return {
     byDay: byDay.rows,
     byType: byType.rows,
+    bySubtype: bySubtype.rows,
+    byPhase: byPhase.rows,
+    phaseByDay: phaseByDay.rows,
     topCities: topCities.rows,
     openVsClosed: openVsClosed.rows[0] || { open: 0, closed: 0 },
     longest: longestRows,
@@ -1506,6 +3568,358 @@ export async function createOpsRequest(userId) {
   return r.rows[0] || null;
 }
 
+// ---------------- FILTER PRESETS ----------------
+export async function listUserFilterPresets(userId) {
+  const r = await pool.query(
+    `SELECT id, name, filters, created_at, updated_at
+     FROM user_filter_presets
+     WHERE user_id=$1
+     ORDER BY lower(name) ASC`,
+    [userId]
+  );
+  return r.rows || [];
+}
+
+export async function getUserFilterPreset(userId, id) {
+  const r = await pool.query(
+    `SELECT id, name, filters, created_at, updated_at
+     FROM user_filter_presets
+     WHERE user_id=$1 AND id=$2`,
+    [userId, id]
+  );
+  return r.rows[0] || null;
+}
+
+// Uložení pod stejným názvem (bez ohledu na velikost písmen) přepíše filtry existující předvolby.
+export async function saveUserFilterPreset({ userId, name, filters = {} }) {
+  const r = await pool.query(
+    `INSERT INTO user_filter_presets (user_id, name, filters)
+     VALUES ($1, $2, $3::jsonb)
+     ON CONFLICT (user_id, lower(name)) DO UPDATE
+       SET name=EXCLUDED.name, filters=EXCLUDED.filters, updated_at=NOW()
+     RETURNING id, name, filters, created_at, updated_at, (xmax = 0) AS created`,
+    [userId, name, JSON.stringify(filters || {})]
+  );
+  return r.rows[0] || null;
+}
+
+export async function deleteUserFilterPreset(userId, id) {
+  const r = await pool.query(
+    `DELETE FROM user_filter_presets WHERE user_id=$1 AND id=$2 RETURNING id, name`,
+    [userId, id]
+  );
+  return r.rows[0] || null;
+}
+
+// ---------------- EXPORT SUBSCRIPTIONS ----------------
+const EXPORT_SUBSCRIPTION_COLUMNS = `
+      s.id, s.user_id, s.name, s.preset_id, s.format, s.schedule, s.transport, s.target, s.enabled,
+      s.last_period_key, s.last_attempt_key, s.last_attempt_at, s.attempts,
+      s.last_status, s.last_error, s.last_delivered_at, s.created_at, s.updated_at,
+      p.name AS preset_name`;
+
+export async function listExportSubscriptions(userId) {
+  const r = await pool.query(
+    `SELECT ${EXPORT_SUBSCRIPTION_COLUMNS}
+     FROM export_subscriptions s
+     LEFT JOIN user_filter_presets p ON p.id = s.preset_id AND p.user_id = s.user_id
+     WHERE s.user_id=$1
+     ORDER BY lower(s.name) ASC, s.id ASC`,
+    [userId]
+  );
+  return r.rows || [];
+}
+
+// Pro plánovač – aktivní odběry všech (nezablokovaných) uživatelů.
+export async function listEnabledExportSubscriptions() {
+  const r = await pool.query(
+    `SELECT ${EXPORT_SUBSCRIPTION_COLUMNS}, u.username, u.role AS user_role
+     FROM export_subscriptions s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN user_filter_presets p ON p.id = s.preset_id AND p.user_id = s.user_id
+     WHERE s.enabled = TRUE AND u.is_enabled = TRUE
+     ORDER BY s.id ASC`
+  );
+  return r.rows || [];
+}
+
+export async function getExportSubscription(userId, id) {
+  const r = await pool.query(
+    `SELECT ${EXPORT_SUBSCRIPTION_COLUMNS}
+     FROM export_subscriptions s
+     LEFT JOIN user_filter_presets p ON p.id = s.preset_id AND p.user_id = s.user_id
+     WHERE s.user_id=$1 AND s.id=$2`,
+    [userId, id]
+  );
+  return r.rows[0] || null;
+}
+
+export async function createExportSubscription({ userId, name, presetId = null, format, schedule, transport, target = null, enabled = true, lastPeriodKey = null }) {
+  const r = await pool.query(
+    `INSERT INTO export_subscriptions (user_id, name, preset_id, format, schedule, transport, target, enabled, last_period_key)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [userId, name, presetId, format, schedule, transport, target, !!enabled, lastPeriodKey]
+  );
+  return getExportSubscription(userId, r.rows[0].id);
+}
+
+// patch: jen předané klíče; změna rozvrhu posouvá last_period_key, aby se hned neposílalo zpětně.
+export async function updateExportSubscription(userId, id, patch = {}) {
+  const map = {
+    name: "name",
+    presetId: "preset_id",
+    format: "format",
+    schedule: "schedule",
+    transport: "transport",
+    target: "target",
+    enabled: "enabled",
+    lastPeriodKey: "last_period_key"
+  };
+  const sets = [];
+  const params = [userId, id];
+  for (const [key, col] of Object.entries(map)) {
+    if (!(key in patch)) continue;
+    params.push(patch[key]);
+    sets.push(`${col}=$${params.length}`);
+  }
+  if (!sets.length) return getExportSubscription(userId, id);
+  const r = await pool.query(
+    `UPDATE export_subscriptions SET ${sets.join(", ")}, updated_at=NOW()
+     WHERE user_id=$1 AND id=$2
+     RETURNING id`,
+    params
+  );
+  return r.rows[0] ? getExportSubscription(userId, id) : null;
+}
+
+export async function deleteExportSubscription(userId, id) {
+  const r = await pool.query(
+    `DELETE FROM export_subscriptions WHERE user_id=$1 AND id=$2 RETURNING id, name`,
+    [userId, id]
+  );
+  return r.rows[0] || null;
+}
+
+// Výsledek pokusu o doručení za období; úspěch posune last_period_key, neúspěch jen počítá pokusy.
+export async function markExportSubscriptionAttempt(id, { periodKey, ok, error = null, advancePeriod = true }) {
+  await pool.query(
+    `UPDATE export_subscriptions
+     SET attempts = CASE WHEN last_attempt_key IS NOT DISTINCT FROM $2 THEN attempts + 1 ELSE 1 END,
+         last_attempt_key=$2,
+         last_attempt_at=NOW(),
+         last_status=$3,
+         last_error=$4,
+         last_delivered_at = CASE WHEN $3 = 'ok' THEN NOW() ELSE last_delivered_at END,
+         last_period_key = CASE WHEN $3 = 'ok' AND $5 THEN $2 ELSE last_period_key END
+     WHERE id=$1`,
+    [id, periodKey, ok ? "ok" : "failed", error, !!advancePeriod]
+  );
+}
+
+export async function insertExportDelivery({ subscriptionId, periodKey, trigger = "schedule", transport, target = null }) {
+  const r = await pool.query(
+    `INSERT INTO export_deliveries (subscription_id, period_key, trigger, transport, target)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [subscriptionId, periodKey, trigger, transport, target]
+  );
+  return r.rows[0]?.id || null;
+}
+
+export async function finishExportDelivery(id, { status, fileName = null, bytes = null, rows = null, error = null, target = null }) {
+  const r = await pool.query(
+    `UPDATE export_deliveries
+     SET status=$2, file_name=$3, bytes=$4, rows=$5, error=$6, target=COALESCE($7, target), finished_at=NOW()
+     WHERE id=$1
+     RETURNING id, subscription_id, period_key, trigger, transport, target, status, file_name, bytes, rows, error, started_at, finished_at`,
+    [id, status, fileName, bytes, rows, error, target]
+  );
+  return r.rows[0] || null;
+}
+
+export async function listExportDeliveries(subscriptionId, limit = 20) {
+  const r = await pool.query(
+    `SELECT id, subscription_id, period_key, trigger, transport, target, status, file_name, bytes, rows, error, started_at, finished_at
+     FROM export_deliveries
+     WHERE subscription_id=$1
+     ORDER BY started_at DESC, id DESC
+     LIMIT $2`,
+    [subscriptionId, limit]
+  );
+  return r.rows || [];
+}
+
+// "running" starší než hodina = proces spadl uprostřed doručení.
+export async function pruneExportDeliveries(retentionDays = 90) {
+  await pool.query(
+    `UPDATE export_deliveries SET status='failed', error=COALESCE(error, 'interrupted'), finished_at=NOW()
+     WHERE status='running' AND started_at < NOW() - INTERVAL '1 hour'`
+  );
+  const r = await pool.query(
+    `DELETE FROM export_deliveries WHERE started_at < NOW() - ($1::int * INTERVAL '1 day')`,
+    [retentionDays]
+  );
+  return r.rowCount || 0;
+}
+
+// ---------------- WEBHOOKS ----------------
+const WEBHOOK_COLUMNS = `
+      w.id, w.name, w.url, w.secret, w.enabled, w.events, w.filter_types, w.filter_cities,
+      w.major_only, w.alarm_level_gte, w.created_by, w.created_at, w.updated_at`;
+
+export async function listWebhooks({ enabledOnly = false } = {}) {
+  const r = await pool.query(
+    `SELECT ${WEBHOOK_COLUMNS},
+       (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status='pending') AS pending_count,
+       (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status='failed'
+          AND d.created_at > NOW() - INTERVAL '24 hours') AS failed_24h,
+       (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status='ok') AS last_ok_at
+     FROM webhooks w
+     ${enabledOnly ? "WHERE w.enabled = TRUE" : ""}
+     ORDER BY lower(w.name) ASC, w.id ASC`
+  );
+  return r.rows || [];
+}
+
+export async function getWebhook(id) {
+  const r = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks w WHERE w.id=$1`, [id]);
+  return r.rows[0] || null;
+}
+
+export async function createWebhook({ name, url, secret, enabled = true, events, filterTypes = [], filterCities = [], majorOnly = false, alarmLevelGte = null, createdBy = null }) {
+  const r = await pool.query(
+    `INSERT INTO webhooks (name, url, secret, enabled, events, filter_types, filter_cities, major_only, alarm_level_gte, created_by)
+     VALUES ($1, $2, $3, $4, $5::text[], $6::text[], $7::text[], $8, $9, $10)
+     RETURNING id`,
+    [name, url, secret, !!enabled, events, filterTypes, filterCities, !!majorOnly, alarmLevelGte, createdBy]
+  );
+  return getWebhook(r.rows[0].id);
+}
+
+export async function updateWebhook(id, patch = {}) {
+  const map = {
+    name: ["name", ""],
+    url: ["url", ""],
+    secret: ["secret", ""],
+    enabled: ["enabled", ""],
+    events: ["events", "::text[]"],
+    filterTypes: ["filter_types", "::text[]"],
+    filterCities: ["filter_cities", "::text[]"],
+    majorOnly: ["major_only", ""],
+    alarmLevelGte: ["alarm_level_gte", ""]
+  };
+  const sets = [];
+  const params = [id];
+  for (const [key, [col, cast]] of Object.entries(map)) {
+    if (!(key in patch)) continue;
+    params.push(patch[key]);
+    sets.push(`${col}=$${params.length}${cast}`);
+  }
+  if (!sets.length) return getWebhook(id);
+  const r = await pool.query(`UPDATE webhooks SET ${sets.join(", ")}, updated_at=NOW() WHERE id=$1 RETURNING id`, params);
+  return r.rows[0] ? getWebhook(id) : null;
+}
+
+export async function deleteWebhook(id) {
+  const r = await pool.query(`DELETE FROM webhooks WHERE id=$1 RETURNING id, name, url`, [id]);
+  return r.rows[0] || null;
+}
+
+// status "sending" = odesílá se hned mimo frontu (test), worker ho nevyzvedne.
+export async function enqueueWebhookDeliveries(items = []) {
+  if (!items.length) return [];
+  const r = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_id, event_kind, payload, status, attempts)
+     SELECT x.webhook_id, x.event_id, x.event_kind, x.payload, COALESCE(x.status, 'pending'), COALESCE(x.attempts, 0)
+     FROM jsonb_to_recordset($1::jsonb) AS x(webhook_id BIGINT, event_id TEXT, event_kind TEXT, payload JSONB, status TEXT, attempts INT)
+     RETURNING id`,
+    [JSON.stringify(items.map(it => ({
+      webhook_id: it.webhookId,
+      event_id: it.eventId == null ? null : String(it.eventId),
+      event_kind: it.kind,
+      payload: it.payload,
+      status: it.status || null,
+      attempts: it.attempts ?? null
+    })))]
+  );
+  return (r.rows || []).map(x => x.id);
+}
+
+// Splatné pokusy; attempts se zvedá hned při vyzvednutí, takže pád uprostřed se nepočítá jako úspěch.
+export async function claimDueWebhookDeliveries(limit = 20) {
+  const r = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET attempts = d.attempts + 1, next_attempt_at = NOW() + INTERVAL '10 minutes'
+     FROM webhooks w
+     WHERE d.id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE status='pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     ) AND w.id = d.webhook_id
+     RETURNING d.id, d.webhook_id, d.event_id, d.event_kind, d.payload, d.attempts, d.created_at,
+       w.url, w.secret, w.enabled`,
+    [limit]
+  );
+  return r.rows || [];
+}
+
+export async function finishWebhookDelivery(id, { status, httpStatus = null, error = null, durationMs = null, nextAttemptAt = null }) {
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status=$2, last_http_status=$3, last_error=$4, duration_ms=$5,
+         next_attempt_at=COALESCE($6::timestamptz, next_attempt_at),
+         delivered_at = CASE WHEN $2 = 'ok' THEN NOW() ELSE delivered_at END
+     WHERE id=$1`,
+    [id, status, httpStatus, error, durationMs, nextAttemptAt]
+  );
+}
+
+export async function listWebhookDeliveries(webhookId, { limit = 50, status = null } = {}) {
+  const params = [webhookId, limit];
+  let statusSql = "";
+  if (status) {
+    params.push(status);
+    statusSql = `AND status=$${params.length}`;
+  }
+  const r = await pool.query(
+    `SELECT id, webhook_id, event_id, event_kind, status, attempts, next_attempt_at,
+            last_http_status, last_error, duration_ms, created_at, delivered_at
+     FROM webhook_deliveries
+     WHERE webhook_id=$1 ${statusSql}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    params
+  );
+  return r.rows || [];
+}
+
+// Znovu zařadit neúspěšné doručení (ruční "zkusit znovu" z logu).
+export async function retryWebhookDelivery(webhookId, id) {
+  const r = await pool.query(
+    `UPDATE webhook_deliveries SET status='pending', attempts=0, next_attempt_at=NOW(), last_error=NULL
+     WHERE webhook_id=$1 AND id=$2 AND status='failed'
+     RETURNING id`,
+    [webhookId, id]
+  );
+  return r.rows[0] || null;
+}
+
+// Úklid logu + testy, které uvízly ve stavu "sending" (pád procesu během odeslání) – worker je nevyzvedne.
+export async function pruneWebhookDeliveries(retentionDays = 30) {
+  await pool.query(
+    `UPDATE webhook_deliveries SET status='failed', last_error=COALESCE(last_error, 'interrupted')
+     WHERE status='sending' AND created_at < NOW() - INTERVAL '10 minutes'`
+  );
+  const r = await pool.query(
+    `DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - ($1::int * INTERVAL '1 day')`,
+    [retentionDays]
+  );
+  return r.rowCount || 0;
+}
+
 export async function listPendingOpsRequests(limit = 50) {
   const r = await pool.query(
     `SELECT r.id, r.user_id, r.requested_at, u.username
@@ -1690,10 +4104,11 @@ export async function getEventsForPeriod(startIso, endExclusiveIso) {
     SELECT
       id, title, link, pub_date,
       place_text, city_text,
-      status_text, event_type,
+      status_text, event_type, event_subtype,
       description_raw,
       start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-      alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+      alarm_level, alarm_level_text, is_major_event, major_reason, status_source, status_phase, status_phase_at,
+      duration_confidence, duration_confidence_reasons,
       manual_detail_text, manual_detail_source, manual_detail_updated_at,
       (
         is_closed = FALSE
@@ -1711,6 +4126,7 @@ export async function getEventsForPeriod(startIso, endExclusiveIso) {
           ELSE 0
         END
       ) AS carryover_days,
+      ${phaseTimeColumns()},
       lat, lon,
       first_seen_at, last_seen_at, created_at
     FROM events
@@ -1727,9 +4143,9 @@ export async function getEventsForPeriod(startIso, endExclusiveIso) {
 
 export async function getEventById(id) {
   const r = await pool.query(
-    `SELECT id, title, link, pub_date, place_text, city_text, status_text, event_type,
+    `SELECT id, title, link, pub_date, place_text, city_text, status_text, event_type, event_subtype,
             description_raw, start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-            alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+            alarm_level, alarm_level_text, is_major_event, major_reason, status_source, status_phase, status_phase_at,
             manual_detail_text, manual_detail_source, manual_detail_updated_at,
             lat, lon, first_seen_at, last_seen_at, created_at, geo_source, geo_note, geo_updated_at
      FROM events
@@ -1742,7 +4158,7 @@ export async function getEventById(id) {
 
 export async function listEventsWithCoords(limit = 100) {
   const r = await pool.query(
-    `SELECT id, title, city_text, place_text, status_text, event_type, pub_date,
+    `SELECT id, title, city_text, place_text, status_text, event_type, event_subtype, pub_date,
             alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
             manual_detail_text, manual_detail_source, manual_detail_updated_at,
             lat, lon, geo_source, geo_note, geo_updated_at, last_seen_at
@@ -1763,10 +4179,10 @@ export async function listEventsForMajorBackfill(limit = 5000) {
     `
     SELECT
       id, title, link, pub_date,
-      place_text, city_text, status_text, event_type,
+      place_text, city_text, status_text, event_type, event_subtype,
       description_raw,
       start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-      alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+      alarm_level, alarm_level_text, is_major_event, major_reason, status_source, status_phase, status_phase_at,
       first_seen_at, last_seen_at, created_at
     FROM events
     ORDER BY COALESCE(NULLIF(pub_date,'' )::timestamptz, created_at) DESC, created_at DESC
@@ -1777,41 +4193,48 @@ export async function listEventsForMajorBackfill(limit = 5000) {
   return r.rows || [];
 }
 
-export async function updateEventMajorAnalysis(id, patch = {}) {
-  await pool.query(
-    `
-    UPDATE events
-    SET
-      alarm_level = $2,
-      alarm_level_text = $3,
-      is_major_event = $4,
-      major_reason = $5,
-      status_source = COALESCE($6, status_source),
-      is_closed = CASE
-        WHEN $6 = 'explicit_open' THEN FALSE
-        WHEN $6 = 'explicit_closed' THEN TRUE
-        ELSE is_closed
-      END,
-      end_time_iso = CASE
-        WHEN $6 = 'explicit_open' THEN NULL
-        ELSE end_time_iso
-      END,
-      duration_min = CASE
-        WHEN $6 = 'explicit_open' THEN NULL
-        ELSE duration_min
-      END,
-      last_seen_at = last_seen_at
-    WHERE id = $1
-    `,
-    [
-      id,
-      Number.isFinite(Number(patch.alarmLevel)) ? Number(patch.alarmLevel) : null,
-      patch.alarmLevelText || null,
-      !!patch.isMajorEvent,
-      patch.majorReason || null,
-      patch.statusSource || null
-    ]
-  );
+export async function updateEventMajorAnalysis(id, patch = {}, { actor = null } = {}) {
+  const g = (field, expr) => guardField(field, expr, "$7");
+  await writeEventWithSources(id, "recheck", async (client, locked) => {
+    await client.query(
+      `
+      UPDATE events
+      SET
+        alarm_level = ${g("alarm_level", "$2")},
+        alarm_level_text = ${g("alarm_level_text", "$3")},
+        is_major_event = ${g("is_major_event", "$4")},
+        major_reason = ${g("major_reason", "$5")},
+        status_source = ${g("status_source", "COALESCE($6, status_source)")},
+        status_phase = CASE WHEN 'is_closed' = ANY($7::text[]) THEN status_phase
+          ELSE ${g("status_phase", "COALESCE($8::text, status_phase)")} END,
+        is_closed = ${g("is_closed", `CASE
+          WHEN $6 = 'explicit_open' THEN FALSE
+          WHEN $6 = 'explicit_closed' THEN TRUE
+          ELSE is_closed
+        END`)},
+        end_time_iso = ${g("end_time_iso", `CASE
+          WHEN $6 = 'explicit_open' THEN NULL
+          ELSE end_time_iso
+        END`)},
+        duration_min = ${g("duration_min", `CASE
+          WHEN $6 = 'explicit_open' THEN NULL
+          ELSE duration_min
+        END`)},
+        last_seen_at = last_seen_at
+      WHERE id = $1
+      `,
+      [
+        id,
+        Number.isFinite(Number(patch.alarmLevel)) ? Number(patch.alarmLevel) : null,
+        patch.alarmLevelText || null,
+        !!patch.isMajorEvent,
+        patch.majorReason || null,
+        patch.statusSource || null,
+        locked,
+        patch.statusPhase || null
+      ]
+    );
+  }, { action: "major_backfill", actor });
 }
 
 export async function getMajorEventsSummary(limit = 20) {
@@ -1820,10 +4243,11 @@ export async function getMajorEventsSummary(limit = 20) {
     `
     SELECT
       id, title, link, pub_date,
-      city_text, place_text, status_text, event_type,
+      city_text, place_text, status_text, event_type, event_subtype,
       is_closed,
       alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
       start_time_iso, end_time_iso, duration_min,
+      ${alarmEscalationsSql()} AS alarm_escalations,
       created_at, last_seen_at
     FROM events
     WHERE is_major_event = TRUE OR alarm_level >= 3
@@ -1842,12 +4266,12 @@ export async function getEventForManualEdit(id) {
     `
     SELECT
       id, title, link, pub_date,
-      place_text, city_text, status_text, event_type,
+      place_text, city_text, status_text, event_type, event_subtype,
       description_raw,
       start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-      alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+      alarm_level, alarm_level_text, is_major_event, major_reason, status_source, status_phase, status_phase_at,
       manual_detail_text, manual_detail_source, manual_detail_updated_at,
-      lat, lon,
+      lat, lon, field_sources,
       first_seen_at, last_seen_at, created_at
     FROM events
     WHERE id = $1
@@ -1857,71 +4281,82 @@ export async function getEventForManualEdit(id) {
   return r.rows?.[0] || null;
 }
 
-export async function updateEventManualMeta(id, patch = {}) {
+export async function updateEventManualMeta(id, patch = {}, { actor = null } = {}) {
   const hasCoords =
     Number.isFinite(Number(patch.lat)) &&
     Number.isFinite(Number(patch.lon));
 
   const clearCoords = patch.clearCoords === true;
 
-  await pool.query(
-    `
-    UPDATE events
-    SET
-      is_closed = $2,
-      status_text = $3,
-      status_source = 'manual',
-      alarm_level = $4,
-      alarm_level_text = $5,
-      is_major_event = $6,
-      major_reason = $7,
-      start_time_iso = $8,
-      end_time_iso = $9,
-      duration_min = $10,
-      lat = CASE
-        WHEN $11::boolean = TRUE THEN NULL
-        WHEN $12::boolean = TRUE THEN $13
-        ELSE lat
-      END,
-      lon = CASE
-        WHEN $11::boolean = TRUE THEN NULL
-        WHEN $12::boolean = TRUE THEN $14
-        ELSE lon
-      END,
-      geo_source = CASE
-        WHEN $11::boolean = TRUE THEN NULL
-        WHEN $12::boolean = TRUE THEN 'manual_event_edit'
-        ELSE geo_source
-      END,
-      geo_note = CASE
-        WHEN $11::boolean = TRUE THEN NULL
-        WHEN $12::boolean = TRUE THEN 'Ručně nastaveno v editaci výjezdu'
-        ELSE geo_note
-      END,
-      geo_updated_at = CASE
-        WHEN $11::boolean = TRUE OR $12::boolean = TRUE THEN NOW()
-        ELSE geo_updated_at
-      END,
-      last_seen_at = NOW()
-    WHERE id = $1
-    `,
-    [
-      id,
-      !!patch.isClosed,
-      patch.statusText || null,
-      Number.isFinite(Number(patch.alarmLevel)) ? Number(patch.alarmLevel) : null,
-      patch.alarmLevelText || null,
-      !!patch.isMajorEvent,
-      patch.majorReason || null,
-      patch.startTimeIso || null,
-      patch.endTimeIso || null,
-      Number.isFinite(Number(patch.durationMin)) ? Number(patch.durationMin) : null,
-      clearCoords,
-      hasCoords,
-      hasCoords ? Number(patch.lat) : null,
-      hasCoords ? Number(patch.lon) : null
-    ]
-  );
+  // Co admin výslovně nastavil, to si "zamkne" (priorita manual). Pole z releasedFields
+  // naopak vrací automatice – např. stav "Nechat aktuální / automatiku".
+  const assertedFields = [...(patch.assertedFields || [])];
+  if (hasCoords) assertedFields.push("coords");
+  const releasedFields = [...(patch.releasedFields || [])];
+  if (clearCoords) releasedFields.push("coords");
+
+  return await writeEventWithSources(id, "manual", async (client) => {
+    await client.query(
+      `
+      UPDATE events
+      SET
+        is_closed = $2,
+        status_text = $3,
+        status_source = 'manual',
+        status_phase = COALESCE($15::text, status_phase),
+        alarm_level = $4,
+        alarm_level_text = $5,
+        is_major_event = $6,
+        major_reason = $7,
+        start_time_iso = $8,
+        end_time_iso = $9,
+        duration_min = $10,
+        lat = CASE
+          WHEN $11::boolean = TRUE THEN NULL
+          WHEN $12::boolean = TRUE THEN $13
+          ELSE lat
+        END,
+        lon = CASE
+          WHEN $11::boolean = TRUE THEN NULL
+          WHEN $12::boolean = TRUE THEN $14
+          ELSE lon
+        END,
+        geo_source = CASE
+          WHEN $11::boolean = TRUE THEN NULL
+          WHEN $12::boolean = TRUE THEN 'manual_event_edit'
+          ELSE geo_source
+        END,
+        geo_note = CASE
+          WHEN $11::boolean = TRUE THEN NULL
+          WHEN $12::boolean = TRUE THEN 'Ručně nastaveno v editaci výjezdu'
+          ELSE geo_note
+        END,
+        geo_updated_at = CASE
+          WHEN $11::boolean = TRUE OR $12::boolean = TRUE THEN NOW()
+          ELSE geo_updated_at
+        END,
+        last_seen_at = NOW()
+      WHERE id = $1
+      `,
+      [
+        id,
+        !!patch.isClosed,
+        patch.statusText || null,
+        Number.isFinite(Number(patch.alarmLevel)) ? Number(patch.alarmLevel) : null,
+        patch.alarmLevelText || null,
+        !!patch.isMajorEvent,
+        patch.majorReason || null,
+        patch.startTimeIso || null,
+        patch.endTimeIso || null,
+        Number.isFinite(Number(patch.durationMin)) ? Number(patch.durationMin) : null,
+        clearCoords,
+        hasCoords,
+        hasCoords ? Number(patch.lat) : null,
+        hasCoords ? Number(patch.lon) : null,
+        patch.statusPhase || null
+      ]
+    );
+  }, { assertedFields, releasedFields, stampChanged: false, action: "manual_edit", actor });
 }
 
 // ---------------- OWN EVENT DETAIL / MANUAL NOTES ----------------
@@ -1930,11 +4365,13 @@ export async function getEventDetailById(id) {
     `
     SELECT
       id, title, link, pub_date,
-      place_text, city_text, status_text, event_type,
+      place_text, city_text, status_text, event_type, event_subtype,
       description_raw,
       start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-      alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+      alarm_level, alarm_level_text, is_major_event, major_reason, status_source, status_phase, status_phase_at,
+      duration_confidence, duration_confidence_reasons,
       manual_detail_text, manual_detail_source, manual_detail_updated_at,
+      ${phaseTimeColumns()},
       lat, lon,
       first_seen_at, last_seen_at, created_at
     FROM events
@@ -1957,10 +4394,10 @@ export async function updateEventManualDetail(id, patch = {}) {
     WHERE id = $1
     RETURNING
       id, title, link, pub_date,
-      place_text, city_text, status_text, event_type,
+      place_text, city_text, status_text, event_type, event_subtype,
       description_raw,
       start_time_iso, end_time_iso, duration_min, duration_source, is_closed,
-      alarm_level, alarm_level_text, is_major_event, major_reason, status_source,
+      alarm_level, alarm_level_text, is_major_event, major_reason, status_source, status_phase, status_phase_at,
       manual_detail_text, manual_detail_source, manual_detail_updated_at,
       lat, lon,
       first_seen_at, last_seen_at, created_at
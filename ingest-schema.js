@@ -0,0 +1,215 @@
+import { ingestSourceKinds } from "./source-registry.js";
+
+// ======================
+// FireWatchCZ – schéma ingest payloadu (v1 / v2)
+// ======================
+// Payload: { schemaVersion?, source, sourceKind?, batchId?, items: [ … ] }
+// v1 = dnešní tvar z firmware ESP (výchozí, když schemaVersion chybí). Pole mají aliasy
+//      (descriptionRaw/descRaw/description, statusText/status_text, isClosed/is_closed, …),
+//      neznámá pole se ignorují a vadné volitelné pole se jen zahodí s varováním.
+// v2 = normalizovaný tvar: každé pole jediným názvem, povinný "source", neznámé pole
+//      nebo špatný typ = položka se odmítne.
+// Chybějící id/title/link odmítá obě verze. Důvody odmítnutí se vrací po položkách v odpovědi
+// a počet odmítnutých se ukládá do ingest_log.rejected_count. Popis: GET /api/ingest/schema.
+// Čistá validace bez DB a serveru (testy v test/ingest-schema.test.js); buildIngestRecord je v server.js.
+
+// ✅ stejný limit jako v serveru (fallback), aby validace pustila stejné délky jako uložení
+const MAX_DURATION_MINUTES = Math.max(60, Number(process.env.DURATION_MAX_MINUTES || 4320)); // 3 dny
+
+export const INGEST_SCHEMA_VERSIONS = [1, 2];
+export const INGEST_DEFAULT_SCHEMA_VERSION = 1;
+
+export const INGEST_ITEM_FIELDS = {
+  id: { type: "string", required: true, maxLength: 200, description: "Stabilní ID události (guid z RSS)." },
+  title: { type: "string", required: true, maxLength: 500, description: "Titulek: typ události – obec." },
+  link: { type: "url", required: true, maxLength: 1000, description: "Odkaz na detail události (http/https)." },
+  pubDate: { type: "date", description: "Čas vyhlášení (ISO 8601 nebo RFC 822 z RSS)." },
+  description: { type: "string", maxLength: 20000, description: "Surový text popisu (stav, ukončení:, okres)." },
+  statusText: { type: "string", maxLength: 500, description: "Stav události, jak ho uvádí zdroj." },
+  placeText: { type: "string", maxLength: 300, description: "Místo / okres ze zdroje." },
+  cityText: { type: "string", maxLength: 300, description: "Obec, pokud ji zdroj zná." },
+  eventType: { type: "string", maxLength: 100, description: "Typ události; bez něj se určí z titulku." },
+  startTimeIso: { type: "date", description: "Začátek zásahu, když se liší od pubDate." },
+  endTimeIso: { type: "date", description: "Ukončení zásahu." },
+  durationMin: { type: "integer", min: 1, max: MAX_DURATION_MINUTES, description: "Délka zásahu v minutách." },
+  isClosed: { type: "boolean", description: "true = událost je ukončená." },
+  alarmLevel: { type: "alarm", min: 1, max: 4, maxLength: 60, description: "Stupeň poplachu 1–4 (v1 i textem, např. „III.“)." },
+  alarmLevelText: { type: "string", maxLength: 100, description: "Stupeň poplachu slovy, jak ho uvádí zdroj." }
+};
+
+// v1: kanonické pole <- názvy, které dnešní firmware posílá (první neprázdný vyhrává).
+export const INGEST_V1_ALIASES = {
+  description: ["descriptionRaw", "descRaw", "description"],
+  statusText: ["statusText", "status_text"],
+  isClosed: ["isClosed", "is_closed"],
+  pubDate: ["pubDate", "pub_date"],
+  startTimeIso: ["startTimeIso", "start_time_iso"],
+  alarmLevel: ["alarmLevel", "alarm_level", "alarm_degree", "poplachovy_stupen", "grade"],
+  alarmLevelText: ["alarmLevelText", "alarm_level_text"]
+};
+
+// "2", 2, "v2" -> 2; nepodporovaná verze -> null. Chybějící = výchozí v1.
+export function parseIngestSchemaVersion(raw = INGEST_DEFAULT_SCHEMA_VERSION) {
+  const v = Number(String(raw ?? INGEST_DEFAULT_SCHEMA_VERSION).replace(/^v/i, ""));
+  return INGEST_SCHEMA_VERSIONS.includes(v) ? v : null;
+}
+
+export function ingestIssue(field, code, message) {
+  return { field, code, message };
+}
+
+// Kontrola jedné hodnoty podle INGEST_ITEM_FIELDS. Vrací { value } nebo { issue }.
+function checkIngestField(name, spec, raw, version) {
+  let value = raw;
+  if (value === undefined || value === null || value === "") {
+    return spec.required ? { issue: ingestIssue(name, "missing_field", "povinné pole chybí nebo je prázdné") } : { value: undefined };
+  }
+
+  switch (spec.type) {
+    case "string":
+    case "url":
+    case "date":
+      // v1 firmware občas posílá id jako číslo – to ještě převedeme.
+      if (version === 1 && name === "id" && typeof value === "number" && Number.isFinite(value)) value = String(value);
+      if (typeof value !== "string") return { issue: ingestIssue(name, "invalid_type", `očekáván text, přišlo ${typeof value}`) };
+      value = value.trim();
+      if (!value) {
+        return spec.required ? { issue: ingestIssue(name, "missing_field", "povinné pole je prázdné") } : { value: undefined };
+      }
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return { issue: ingestIssue(name, "too_long", `max. ${spec.maxLength} znaků, přišlo ${value.length}`) };
+      }
+      if (spec.type === "url" && !/^https?:\/\/\S+$/i.test(value)) {
+        return { issue: ingestIssue(name, "invalid_url", "očekávána adresa http(s)://…") };
+      }
+      if (spec.type === "date" && Number.isNaN(new Date(value).getTime())) {
+        return { issue: ingestIssue(name, "invalid_date", `neznámý formát data: ${value.slice(0, 60)}`) };
+      }
+      return { value };
+
+    case "integer":
+      // v1 bralo i desetinná čísla a zaokrouhlovalo je.
+      if (version === 1 && typeof value === "number" && Number.isFinite(value)) value = Math.round(value);
+      if (typeof value !== "number" || !Number.isInteger(value)) {
+        return { issue: ingestIssue(name, "invalid_type", `očekáváno celé číslo, přišlo ${JSON.stringify(value).slice(0, 40)}`) };
+      }
+      if ((spec.min != null && value < spec.min) || (spec.max != null && value > spec.max)) {
+        return { issue: ingestIssue(name, "out_of_range", `povolený rozsah ${spec.min}–${spec.max}`) };
+      }
+      return { value };
+
+    case "alarm":
+      // v1 firmware posílá stupeň i textem ("III.", "3. stupeň") – rozpozná ho až analyzeMajorEvent.
+      if (version === 1 && typeof value === "string") {
+        value = value.trim();
+        if (!value) return { value: undefined };
+        if (value.length > spec.maxLength) {
+          return { issue: ingestIssue(name, "too_long", `max. ${spec.maxLength} znaků, přišlo ${value.length}`) };
+        }
+        return { value };
+      }
+      return checkIngestField(name, { ...spec, type: "integer" }, value, version);
+
+    case "boolean":
+      if (typeof value !== "boolean") return { issue: ingestIssue(name, "invalid_type", `očekáváno true/false, přišlo ${typeof value}`) };
+      return { value };
+
+    default:
+      return { value };
+  }
+}
+
+// Položka -> kanonický tvar pro buildIngestRecord, nebo seznam důvodů odmítnutí.
+export function normalizeIngestItem(it, version) {
+  if (!it || typeof it !== "object" || Array.isArray(it)) {
+    return { item: null, errors: [ingestIssue(null, "not_an_object", "položka musí být JSON objekt")], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const out = {};
+
+  if (version >= 2) {
+    for (const key of Object.keys(it)) {
+      if (!INGEST_ITEM_FIELDS[key]) errors.push(ingestIssue(key, "unknown_field", "pole není ve schématu v2"));
+    }
+  }
+
+  for (const [name, spec] of Object.entries(INGEST_ITEM_FIELDS)) {
+    let raw = it[name];
+    if (version === 1 && INGEST_V1_ALIASES[name]) {
+      const alias = INGEST_V1_ALIASES[name].find(a => it[a] !== undefined && it[a] !== null && it[a] !== "");
+      raw = alias ? it[alias] : undefined;
+    }
+
+    const { value, issue } = checkIngestField(name, spec, raw, version);
+    if (issue) {
+      // v1: vadné volitelné pole zahodíme a položku pustíme dál (tak se to chovalo vždy).
+      if (version === 1 && !spec.required) warnings.push(issue);
+      else errors.push(issue);
+      continue;
+    }
+    if (value !== undefined) out[name] = value;
+  }
+
+  if (errors.length) return { item: null, errors, warnings };
+
+  const { description, ...rest } = out;
+  return { item: description !== undefined ? { ...rest, descriptionRaw: description } : rest, errors, warnings };
+}
+
+// Validace celé dávky. Duplicitní id: platí poslední výskyt, dřívější dostanou varování.
+export function validateIngestItems(items, version = INGEST_DEFAULT_SCHEMA_VERSION) {
+  const accepted = [];
+  const rejected = [];
+  const warnings = [];
+  const lastIndexById = new Map();
+
+  (items || []).forEach((it, index) => {
+    const { item, errors, warnings: itemWarnings } = normalizeIngestItem(it, version);
+    const id = item?.id ?? (typeof it?.id === "string" || typeof it?.id === "number" ? String(it.id) : null);
+    if (itemWarnings.length) warnings.push({ index, id, issues: itemWarnings });
+    if (!item) {
+      rejected.push({ index, id, issues: errors });
+      return;
+    }
+    const prevIndex = lastIndexById.get(item.id);
+    if (prevIndex != null) {
+      warnings.push({ index: prevIndex, id: item.id, issues: [ingestIssue("id", "duplicate_in_batch", `nahrazeno položkou #${index}`)] });
+    }
+    lastIndexById.set(item.id, index);
+    accepted.push(item);
+  });
+
+  return { items: accepted, rejected, warnings };
+}
+
+export function ingestSchemaDescription() {
+  const fields = (version) => Object.fromEntries(Object.entries(INGEST_ITEM_FIELDS).map(([name, spec]) => [name, {
+    type: spec.type,
+    required: !!spec.required,
+    ...(spec.maxLength ? { max_length: spec.maxLength } : {}),
+    ...(spec.min != null ? { min: spec.min, max: spec.max } : {}),
+    ...(version === 1 && INGEST_V1_ALIASES[name] ? { aliases: INGEST_V1_ALIASES[name] } : {}),
+    description: spec.description
+  }]));
+
+  return {
+    default_version: INGEST_DEFAULT_SCHEMA_VERSION,
+    versions: {
+      1: {
+        payload: { schemaVersion: "1 (volitelné)", source: "text (doporučeno)", sourceKind: `${ingestSourceKinds().join(" | ")} (volitelné, výchozí podle klíče / esp)`, batchId: "text (volitelné)", items: "pole položek" },
+        unknown_fields: "ignore",
+        invalid_optional_field: "warning",
+        fields: fields(1)
+      },
+      2: {
+        payload: { schemaVersion: 2, source: "text (povinné)", sourceKind: `${ingestSourceKinds().join(" | ")} (volitelné, výchozí podle klíče / esp)`, batchId: "text (volitelné)", items: "pole položek" },
+        unknown_fields: "reject",
+        invalid_optional_field: "reject",
+        fields: fields(2)
+      }
+    },
+    issue_codes: ["missing_field", "invalid_type", "invalid_url", "invalid_date", "too_long", "out_of_range", "unknown_field", "not_an_object", "duplicate_in_batch"]
+  };
+}
@@ -1,6 +1,7 @@
-let map, markersLayer, chart;
+let map, markersLayer, chart, phaseChart;
 let hzsLayer, hzsStationsToggleEl;
 let routesLayer, vehiclesLayer;
+let clustersLayer, clustersToggleEl;
 
 // OPS auth state (musí být nahoře kvůli TTS, které může běžet už při prvním loadu)
 let currentUser = null; // {id, username, role}
@@ -95,10 +96,12 @@ let lastGoodItemsSnapshot = [];
 let lastGoodStatsSnapshot = null;
 let lastGoodLoadAt = 0;
 let latestStatsSnapshot = null;
+let latestDataHealth = null;
 
 const audioState = {
   enabled: false,
   gongOnShift: true,
+  gongOnEscalation: true,
   volume: 0.7,
   rate: 1.05,
   quiet: false, // 22:00–06:00
@@ -191,6 +194,7 @@ function loadAudioPrefs() {
     const j = JSON.parse(raw);
     if (typeof j.enabled === "boolean") audioState.enabled = j.enabled;
     if (typeof j.gongOnShift === "boolean") audioState.gongOnShift = j.gongOnShift;
+    if (typeof j.gongOnEscalation === "boolean") audioState.gongOnEscalation = j.gongOnEscalation;
     if (typeof j.volume === "number") audioState.volume = clamp(j.volume, 0, 1);
     if (typeof j.rate === "number") audioState.rate = clamp(j.rate, 0.8, 1.4);
     if (typeof j.quiet === "boolean") audioState.quiet = j.quiet;
@@ -204,6 +208,7 @@ function saveAudioPrefs() {
     localStorage.setItem(LS_AUDIO, JSON.stringify({
       enabled: audioState.enabled,
       gongOnShift: audioState.gongOnShift,
+      gongOnEscalation: audioState.gongOnEscalation,
       volume: audioState.volume,
       rate: audioState.rate,
       quiet: audioState.quiet
@@ -319,14 +324,36 @@ async function playGongOnce() {
   }
 }
 
-function canAnnounceNow() {
+// urgent = eskalace na III. stupeň a výš: hlásí se i v tichých hodinách (ne při 🔇 nebo vypnutém audiu).
+function canAnnounceNow({ urgent = false } = {}) {
   if (masterMute) return false;
   if (!isOps()) return false;
   if (!audioState.enabled) return false;
-  if (inQuietHours()) return false;
+  if (!urgent && inQuietHours()) return false;
   return true;
 }
 
+// Poplachový gong při eskalaci: počet úderů = stupeň (II. = 2×, III. = 3×, zvláštní = 4×),
+// aby se dal rozeznat od jednoho úderu při předání směny.
+async function playEscalationGong(level) {
+  if (masterMute) return;
+  if (!audioState.gongOnEscalation) return;
+  const a = ensureGong();
+  a.volume = clamp(audioState.volume, 0, 1);
+  const strokes = clamp(Number(level) || 2, 2, 4);
+  for (let i = 0; i < strokes; i++) {
+    try {
+      a.currentTime = 0;
+      await a.play();
+    } catch {
+      return;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(r => setTimeout(r, i === strokes - 1 ? 1800 : 700));
+  }
+  try { a.pause(); } catch {}
+}
+
 function formatDurationSpeechFromMinutes(min) {
   if (!Number.isFinite(min) || min <= 0) return "0 minut";
   const totalMin = Math.round(min);
@@ -384,7 +411,7 @@ function buildBriefingText() {
     parts.push(`Aktivní události: ${open}.`);
     const longest = pickLongestActive(items);
     if (longest) {
-      const meta = typeMeta(longest.event_type);
+      const meta = typeMeta(longest.event_type, longest.event_subtype);
       const city = (longest.city_text || longest.place_text || "").trim();
       const dur = formatDurationSpeechFromMinutes(Number(longest.duration_min));
       const base = city ? `${meta.label} v ${city}` : meta.label;
@@ -394,7 +421,7 @@ function buildBriefingText() {
 
   const last = pickLastByPubDate(items);
   if (last) {
-    const meta = typeMeta(last.event_type);
+    const meta = typeMeta(last.event_type, last.event_subtype);
     const city = (last.city_text || last.place_text || "").trim();
     const base = city ? `${meta.label} — ${city}` : meta.label;
     parts.push(`Poslední nová: ${base}.`);
@@ -455,7 +482,7 @@ async function runBriefing() {
 }
 
 function buildNewEventText(ev) {
-  const meta = typeMeta(ev.event_type);
+  const meta = typeMeta(ev.event_type, ev.event_subtype);
   const city = ev.city_text || ev.place_text || "";
   const title = (ev.title || "").trim();
 
@@ -497,11 +524,51 @@ function buildShiftText(mode) {
   return `Střídání směn. Režim ${modeTxt}. Nyní směna ${s.cur}.`;
 }
 
-function audioOnNewEvent(ev) {
-  if (!canAnnounceNow()) return;
-  // nové události: BEZ gongu (podle domluvy)
-  const text = buildNewEventText(ev);
-  queueTask(() => speak(text));
+const ALARM_LEVEL_ROMAN = ["", "I.", "II.", "III.", "IV."];
+// TTS římské číslice nečte spolehlivě
+const ALARM_LEVEL_SPOKEN = ["", "první", "druhý", "třetí", "zvláštní"];
+
+function alarmLevelName(level, text = "") {
+  const n = Number(level || 0);
+  if (text) return text;
+  return n >= 4 ? "zvláštní stupeň poplachu" : `${ALARM_LEVEL_ROMAN[n] || `${n}.`} stupeň poplachu`;
+}
+
+function buildEscalationText(ev, escalation) {
+  const level = Number(escalation?.to_level || ev?.alarm_level || 0);
+  const city = ev?.city_text || ev?.place_text || "";
+  const parts = [escalation?.from_level ? "Eskalace." : "Nová událost.", `${ALARM_LEVEL_SPOKEN[Math.min(level, 4)] || level} stupeň poplachu.`];
+  parts.push(typeMeta(ev?.event_type, ev?.event_subtype).label + ".");
+  if (city) parts.push("Místo: " + city + ".");
+  if (level >= 3) parts.push(parts[1]);
+  return parts.join(" ");
+}
+
+// Klíč "id:stupeň" – eskalace přijde ze SSE i z porovnání snapshotů, ohlásí se jednou.
+const announcedEscalationKeys = new Set();
+
+function audioOnNewEvent(ev, { escalation = null } = {}) {
+  const level = Number(escalation?.to_level || ev?.alarm_level || 0);
+  const isEscalation = !!escalation || level >= escalationMinLevel;
+
+  if (!isEscalation) {
+    if (!canAnnounceNow()) return;
+    // nové události: BEZ gongu (podle domluvy)
+    const text = buildNewEventText(ev);
+    queueTask(() => speak(text));
+    return;
+  }
+
+  // eskalace / nová událost od II. stupně: poplachový gong + stupeň (III. stupeň se opakuje)
+  const key = `${ev?.id || escalation?.id}:${level}`;
+  if (announcedEscalationKeys.has(key)) return;
+  announcedEscalationKeys.add(key);
+  if (!canAnnounceNow({ urgent: level >= 3 })) return;
+  const text = buildEscalationText(ev, escalation);
+  queueTask(async () => {
+    await playEscalationGong(level);
+    await speak(text);
+  });
 }
 
 function ensureSummarySchedule() {
@@ -580,8 +647,71 @@ const TYPE = {
   other: { emoji: "❓", label: "jiné", cls: "marker-other" }
 };
 
-function typeMeta(t) {
-  return TYPE[t] || TYPE.other;
+// Podtypy (komín, porost, …) určují pravidla klasifikace na serveru; popisky z /api/event-types.
+const SUBTYPE_EMOJI = {
+  chimney: "🏭",
+  building: "🏠",
+  vegetation: "🌾",
+  vehicle: "🚙",
+  hazmat: "☣️",
+  water: "🌊",
+  animal: "🐾",
+  storm: "🌪️"
+};
+
+let eventTypeCatalog = [];
+
+function subtypeLabelFor(type, subtype) {
+  if (!subtype) return "";
+  const entry = eventTypeCatalog.find(t => t.type === type) || null;
+  const sub = (entry?.subtypes || []).find(x => x.subtype === subtype)
+    || eventTypeCatalog.flatMap(t => t.subtypes || []).find(x => x.subtype === subtype);
+  return sub?.label || subtype;
+}
+
+function typeMeta(t, subtype = null) {
+  const base = TYPE[t] || TYPE.other;
+  if (!subtype) return base;
+  return {
+    ...base,
+    emoji: SUBTYPE_EMOJI[subtype] || base.emoji,
+    label: `${base.label} – ${subtypeLabelFor(t, subtype)}`
+  };
+}
+
+function renderTypeSelectOptions() {
+  const sel = document.getElementById("typeSelect");
+  if (!sel || !eventTypeCatalog.length) return;
+  const current = sel.value;
+
+  sel.innerHTML = `<option value="">vše</option>` + eventTypeCatalog.map((t) => {
+    const label = (TYPE[t.type] || TYPE.other).label;
+    if (!t.subtypes?.length) return `<option value="${escapeHtml(t.type)}">${escapeHtml(label)}</option>`;
+    return `
+      <optgroup label="${escapeHtml(label)}">
+        <option value="${escapeHtml(t.type)}">${escapeHtml(label)} – vše</option>
+        ${t.subtypes.map(sub => `<option value="${escapeHtml(`${t.type}:${sub.subtype}`)}">${escapeHtml(label)} – ${escapeHtml(sub.label)}</option>`).join("")}
+      </optgroup>
+    `;
+  }).join("");
+
+  sel.value = [...sel.options].some(o => o.value === current) ? current : "";
+}
+
+async function loadEventTypeCatalog() {
+  try {
+    const r = await fetch("/api/event-types", { cache: "no-store" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) return;
+    eventTypeCatalog = Array.isArray(j.types) ? j.types : [];
+    renderTypeSelectOptions();
+    if (latestItemsSnapshot?.length) {
+      renderEventsTable();
+      renderMap(latestItemsSnapshot);
+    }
+  } catch (e) {
+    console.warn("[event-types]", e);
+  }
 }
 
 function statusEmoji(isClosed) {
@@ -636,6 +766,8 @@ function initMap() {
   hzsLayer = L.layerGroup();
   routesLayer = L.layerGroup().addTo(map);
   vehiclesLayer = L.layerGroup().addTo(map);
+  // shluky souvisejících událostí (obalové křivky) – pod markery
+  clustersLayer = L.layerGroup().addTo(map);
 
   // admin pick coords (klik do mapy)
   map.on("click", (e) => {
@@ -816,6 +948,13 @@ function formatDate(d) {
   }
 }
 
+function formatClockTime(d) {
+  if (!d) return "";
+  const dt = new Date(d);
+  if (isNaN(dt.getTime())) return "";
+  return dt.toLocaleTimeString("cs-CZ", { hour: "2-digit", minute: "2-digit" });
+}
+
 function formatDuration(min) {
   if (!Number.isFinite(min) || min <= 0) return "—";
   const h = Math.floor(min / 60);
@@ -847,12 +986,32 @@ function getEventsTableLimit() {
   return Number.isFinite(v) ? Math.max(10, Math.min(v, 200)) : 25;
 }
 
+// Rozšířené filtry (/api/events, /api/stats, exporty i živý stream je chápou stejně).
+function appendExtendedFilterParams(params, filters) {
+  if (filters.q) params.set("q", filters.q);
+  if (filters.from) params.set("from", filters.from);
+  if (filters.to) params.set("to", filters.to);
+  if (filters.cities) params.set("cities", filters.cities);
+  if (filters.district) params.set("district", filters.district);
+  if (filters.alarmLevelGte) params.set("alarm_level_gte", filters.alarmLevelGte);
+  if (filters.majorOnly) params.set("major_only", "1");
+  if (filters.hasCoords) params.set("has_coords", filters.hasCoords);
+  if (filters.durationMinGte) params.set("duration_min_gte", filters.durationMinGte);
+  if (filters.durationMinLte) params.set("duration_min_lte", filters.durationMinLte);
+  if (filters.near) {
+    params.set("near", filters.near);
+    if (filters.radiusKm) params.set("radius_km", filters.radiusKm);
+  }
+  return params;
+}
+
 function buildEventsQuery(filters) {
   const params = new URLSearchParams();
   if (filters.day && filters.day !== "all") params.set("day", filters.day);
   if (filters.type) params.set("type", filters.type);
   if (filters.city) params.set("city", filters.city);
   if (filters.status && filters.status !== "all") params.set("status", filters.status);
+  appendExtendedFilterParams(params, filters);
   params.set("limit", String(getEventsTableLimit()));
   params.set("limit", String(getEventsApiLimit()));
   // month zde úmyslně není
@@ -866,6 +1025,8 @@ function buildStatsQuery(filters) {
   if (filters.city) params.set("city", filters.city);
   if (filters.status && filters.status !== "all") params.set("status", filters.status);
   if (filters.month) params.set("month", filters.month);
+  if (filters.durationQuality === "reliable") params.set("duration_quality", "reliable");
+  appendExtendedFilterParams(params, filters);
   return params.toString();
 }
 
@@ -875,6 +1036,7 @@ function buildExportQuery(filters) {
   if (filters.type) params.set("type", filters.type);
   if (filters.city) params.set("city", filters.city);
   if (filters.status && filters.status !== "all") params.set("status", filters.status);
+  appendExtendedFilterParams(params, filters);
   // month zde úmyslně není (export = tabulka/události podle filtrů)
   return params.toString();
 }
@@ -930,13 +1092,29 @@ function eventBelongsToSelectedDayStrict(it, dayFilter) {
 
 
 function getFiltersFromUi() {
+  const val = (id) => String(document.getElementById(id)?.value || "").trim();
+  const from = val("fromInput");
+  const to = val("toInput");
   return {
-    day: document.getElementById("daySelect").value,
+    // Rozsah od–do nahrazuje volbu dne.
+    day: from || to ? "all" : document.getElementById("daySelect").value,
+    q: val("searchInput"),
     type: document.getElementById("typeSelect").value,
     city: document.getElementById("cityInput").value.trim(),
     status: document.getElementById("statusSelect").value,
     month: document.getElementById("monthInput")?.value || "",
-    majorOnly: !!document.getElementById("majorOnlyCheck")?.checked
+    durationQuality: document.getElementById("durationQualitySelect")?.value || "all",
+    majorOnly: !!document.getElementById("majorOnlyCheck")?.checked,
+    from,
+    to,
+    cities: val("citiesInput"),
+    district: val("districtInput"),
+    alarmLevelGte: val("alarmLevelSelect"),
+    hasCoords: val("hasCoordsSelect"),
+    durationMinGte: val("durationMinGteInput"),
+    durationMinLte: val("durationMinLteInput"),
+    near: val("nearInput").replace(/\s+/g, ""),
+    radiusKm: val("radiusKmInput")
   };
 }
 
@@ -989,12 +1167,44 @@ function majorReasonText(it) {
   return it?.major_reason || it?.majorReason || "";
 }
 
+// Fáze zásahu ze slovníku stavových frází (posílá /api/stats jako statusPhases).
+let statusPhaseCatalog = [];
+
+function statusPhaseLabel(key) {
+  return statusPhaseCatalog.find(p => p.key === key)?.label || key || "";
+}
+
 function statusLabelForEvent(it) {
+  // Mezifáze (lokalizováno, likvidováno, …) má přednost před obecným "probíhá zásah".
+  if (!it?.is_closed && it?.status_phase && it.status_phase !== "open" && statusPhaseCatalog.some(p => p.key === it.status_phase && !p.closed)) {
+    return statusPhaseLabel(it.status_phase).toLowerCase();
+  }
   if (it?.status_source === "explicit_open" || it?.statusSource === "explicit_open") return "probíhá zásah";
   if (it?.status_source === "explicit_closed" || it?.statusSource === "explicit_closed") return "ukončená";
   return it?.is_closed ? "ukončená" : "aktivní";
 }
 
+function alarmLevelCls(level) {
+  const n = Number(level || 0);
+  return n >= 4 ? "alarm-special" : n >= 3 ? "alarm-major" : n >= 2 ? "alarm-medium" : "alarm-low";
+}
+
+// Časová osa eskalací (alarm_escalations z /api/events): I. 12:03 → II. 12:40 → III. 13:10
+function alarmEscalationTimelineHtml(steps) {
+  const list = Array.isArray(steps) ? steps : [];
+  if (!list.length) return "";
+  return `<div class="escalationTimeline">${list.map(st => {
+    // list = { level, text, at }, detail = { alarm_level, alarm_level_text, reached_at }
+    const level = Number(st.level ?? st.alarm_level ?? 0);
+    const at = st.at || st.reached_at;
+    return `
+      <span class="escalationStep ${alarmLevelCls(level)}" title="${escapeHtml(`${alarmLevelName(level, st.text || st.alarm_level_text)} • ${formatDate(at)}`)}">
+        <b>${escapeHtml(level >= 4 ? "zvl." : ALARM_LEVEL_ROMAN[level] || String(level))}</b> ${escapeHtml(formatClockTime(at))}
+      </span>
+    `;
+  }).join(`<span class="escalationArrow">→</span>`)}</div>`;
+}
+
 function isMajorEventItem(it) {
   return !!it?.is_major_event || Number(it?.alarm_level || 0) >= 3;
 }
@@ -1030,13 +1240,14 @@ function renderMajorEvents(items = []) {
   }
 
   list.innerHTML = major.slice(0, 8).map(it => {
-    const meta = typeMeta(it.event_type);
+    const meta = typeMeta(it.event_type, it.event_subtype);
     return `
       <div class="majorEventItem ${Number(it.alarm_level || 0) >= 4 ? "alarm-special" : "alarm-major"}">
         <div>
           <b>${meta.emoji} ${escapeHtml(it.title || "")}</b>
           <span>${escapeHtml(it.city_text || it.place_text || "")} • ${statusEmoji(it.is_closed)} ${escapeHtml(statusLabelForEvent(it))} ${carryoverBadgeHtml(it)}</span>
           <small>${escapeHtml(majorReasonText(it) || "významná událost")}</small>
+          ${alarmEscalationTimelineHtml(it.alarm_escalations)}
         </div>
         <div>${alarmLevelBadge(it)} <button type="button" class="btn miniBtn adminOnly majorManualEditBtn" data-event-id="${escapeHtml(it.id || "")}">Edit</button></div>
       </div>
@@ -1087,10 +1298,35 @@ function tableEditButtonHtml(it) {
 }
 
 
+// Práh spolehlivosti délky posílá server ve statistikách (FIREWATCH_DURATION_MIN_CONFIDENCE).
+let durationMinConfidence = 50;
+const DURATION_REASON_LABELS = {
+  end_missing: "chybí čas konce",
+  end_after_last_seen: "konec až po posledním výskytu",
+  seen_long_after_end: "událost chodila ještě dlouho po konci",
+  very_short: "velmi krátká",
+  outlier_type_long: "nezvykle dlouhá pro typ",
+  outlier_type_short: "nezvykle krátká pro typ",
+  outlier_city_long: "nezvykle dlouhá pro typ v obci",
+  outlier_city_short: "nezvykle krátká pro typ v obci",
+  reviewed: "potvrzeno adminem"
+};
+
+function durationReasonsText(reasons) {
+  return String(reasons || "").split(",").filter(Boolean)
+    .map(code => (code.startsWith("source:") ? `zdroj ${code.slice(7)}` : (DURATION_REASON_LABELS[code] || code)))
+    .join(", ");
+}
+
 function durationBadgeHtml(it) {
-  // Původ délky (RSS / sledováno / odhad) je interní informace.
-  // Nezobrazuje se ve veřejném přehledu ani běžně adminovi.
-  return "";
+  // Jen spolehlivost uzavřené délky; původ (RSS / sledováno / odhad) je interní a vidí ho jen admin v titulku.
+  if (!it?.is_closed || it.duration_confidence == null || it.duration_min == null) return "";
+  const score = Number(it.duration_confidence);
+  if (score >= 75) return "";
+  const low = score < durationMinConfidence;
+  const isAdmin = typeof isCurrentUserAdmin === "function" && isCurrentUserAdmin();
+  const title = `Spolehlivost délky ${score} %${isAdmin && it.duration_confidence_reasons ? ` – ${durationReasonsText(it.duration_confidence_reasons)}` : ""}`;
+  return `<span class="durationBadge ${low ? "low" : "medium"}" title="${escapeHtml(title)}">${low ? "⚠ nejistá" : "≈ odhad"}</span>`;
 }
 
 
@@ -1105,7 +1341,7 @@ function compactTitleForMobile(title = "", city = "") {
 }
 
 function eventMobileCardHtml(it) {
-  const meta = typeMeta(it.event_type);
+  const meta = typeMeta(it.event_type, it.event_subtype);
   const timeValue = it.pub_date || it.start_time_iso || it.created_at || "";
   const city = it.city_text || it.place_text || "";
   const title = compactTitleForMobile(it.title || "", city);
@@ -1125,12 +1361,13 @@ function eventMobileCardHtml(it) {
         <div class="eventMobileTitleBlock">
           <h3>${escapeHtml(title)}</h3>
           <p>${escapeHtml(city || "Místo neurčeno")}</p>
+          ${it.search_snippet?.field && it.search_snippet.field !== "title" ? searchSnippetHtml(it.search_snippet) : ""}
         </div>
         <span class="eventMobileState">${statusEmoji(it.is_closed)} ${escapeHtml(statusText)}</span>
       </div>
       <div class="eventMobileMeta">
         <span>🕒 ${escapeHtml(formatDate(timeValue))}</span>
-        <span>⏱️ ${escapeHtml(formatDuration(durationValue))}</span>
+        <span>⏱️ ${escapeHtml(formatDuration(durationValue))} ${durationBadgeHtml(it)}</span>
       </div>
       <div class="eventMobileBadges">
         ${alarmHtml || ""}
@@ -1155,6 +1392,21 @@ function renderMobileEventCards(items) {
   box.innerHTML = safeItems.map(eventMobileCardHtml).join("");
 }
 
+// Úryvek z fulltextu: { label, text, hits: [[od, do]] } -> HTML se zvýrazněnými slovy.
+function searchSnippetHtml(snippet) {
+  if (!snippet?.text) return "";
+  const text = String(snippet.text);
+  let out = "";
+  let pos = 0;
+  for (const [a, b] of Array.isArray(snippet.hits) ? snippet.hits : []) {
+    if (a < pos || b > text.length) continue;
+    out += `${escapeHtml(text.slice(pos, a))}<mark>${escapeHtml(text.slice(a, b))}</mark>`;
+    pos = b;
+  }
+  out += escapeHtml(text.slice(pos));
+  return `<div class="searchSnippet"><span class="muted">${escapeHtml(snippet.label || "")}:</span> ${out}</div>`;
+}
+
 function renderTable(items) {
   const tbody = document.getElementById("eventsTbody");
   if (!tbody) return;
@@ -1165,7 +1417,7 @@ function renderTable(items) {
   renderMobileEventCards(safeItems);
 
   for (const it of safeItems) {
-    const meta = typeMeta(it.event_type);
+    const meta = typeMeta(it.event_type, it.event_subtype);
     const tr = document.createElement("tr");
 
     if (typeof isMajorEventItem === "function" && isMajorEventItem(it)) {
@@ -1184,15 +1436,16 @@ function renderTable(items) {
     const durationValue = typeof liveDurationForEvent === "function" ? liveDurationForEvent(it) : it.duration_min;
     const titleShort = title.length > 82 ? `${title.slice(0, 82).trim()}…` : title;
     const stateClass = it.is_closed ? "stateClosed" : "stateOpen";
+    const snippetHtml = it.search_snippet?.field && it.search_snippet.field !== "title" ? searchSnippetHtml(it.search_snippet) : "";
 
     tr.innerHTML = `
       <td>${escapeHtml(formatDate(timeValue))}</td>
       <td title="${escapeHtml(meta.label || it.event_type || "")}">${escapeHtml(meta.emoji || "")}</td>
-      <td title="${escapeHtml(title)}"><span class="eventTitleCompact">${escapeHtml(titleShort)}</span></td>
+      <td title="${escapeHtml(title)}"><span class="eventTitleCompact">${escapeHtml(titleShort)}</span>${snippetHtml}</td>
       <td>${escapeHtml(city)}</td>
       <td><span class="eventStateBadge ${stateClass}">${statusEmoji(it.is_closed)} ${escapeHtml(statusText)}</span> ${carryHtml}</td>
       <td>${alarmHtml || '<span class="muted">—</span>'}</td>
-      <td>${escapeHtml(formatDuration(durationValue))}</td>
+      <td>${escapeHtml(formatDuration(durationValue))} ${durationBadgeHtml(it)}</td>
       <td>${eventDetailButtonHtml(it)}</td>
       <td>${tableEditButtonHtml(it)}</td>
     `;
@@ -1202,18 +1455,204 @@ function renderTable(items) {
 
   const info = document.getElementById("eventsTableCountInfo");
   if (info) {
-    const total = Number(latestEventsTotalMatching || safeItems.length || 0);
+    const total = Number(eventsTable.total || safeItems.length || 0);
     const shown = safeItems.length;
     info.textContent = total > shown
-      ? `Zobrazeno ${shown} z ${total} událostí podle aktuálních filtrů.`
+      ? `Zobrazeno ${shown} z ${total} událostí podle aktuálních filtrů${eventsTable.cursor ? " – další se načtou při rolování." : "."}`
       : `Zobrazeno ${shown} událostí podle aktuálních filtrů.`;
   }
+  syncEventsTableSortUi();
 
   bindInlineTableEditButtons();
   syncAdminVisibility?.();
 }
+// ==============================
+// TABULKA VÝJEZDŮ – stránkování kurzorem, řazení sloupců, nekonečné rolování
+// ==============================
+// Mapa a přehled dál berou celý den z /api/events (bez sort=); tabulka a mobilní karty mají
+// vlastní stránkovaný výpis (/api/events?sort=…&cursor=…), takže jde listovat i staršími událostmi.
+const EVENTS_TABLE_DEFAULT_DIR = { time: "desc", duration: "desc", city: "asc", type: "asc", alarm: "desc", relevance: "desc" };
+const eventsTable = { sort: "time", dir: "desc", userSorted: false, rows: [], cursor: null, total: 0, loading: false, query: "", seq: 0 };
+
+function eventsTablePageSize() {
+  return getEventsTableLimit();
+}
+
+// Při fulltextu řadíme podle relevance, dokud si uživatel nevybere sloupec sám.
+function eventsTableEffectiveSort(filters = getFiltersFromUi()) {
+  if (!eventsTable.userSorted && filters.q) return { sort: "relevance", dir: "desc" };
+  if (eventsTable.sort === "relevance" && !filters.q) return { sort: "time", dir: "desc" };
+  return { sort: eventsTable.sort, dir: eventsTable.dir };
+}
+
+function eventsTableBaseQuery() {
+  const filters = getFiltersFromUi();
+  // Stejný fallback jako přehled: město bez událostí dnes -> všechny dny.
+  const params = new URLSearchParams(buildEventsQuery(liveUsesCityFallback ? { ...filters, day: "all" } : filters));
+  const { sort, dir } = eventsTableEffectiveSort(filters);
+  params.set("sort", sort);
+  params.set("dir", dir);
+  params.set("limit", String(eventsTablePageSize()));
+  return params.toString();
+}
+
+async function loadEventsTablePage({ reset = false } = {}) {
+  const query = eventsTableBaseQuery();
+  if (reset) {
+    eventsTable.seq += 1;
+    eventsTable.query = query;
+    eventsTable.cursor = null;
+    eventsTable.loading = false;
+  } else if (!eventsTable.cursor || eventsTable.loading) {
+    return;
+  }
+
+  const seq = eventsTable.seq;
+  eventsTable.loading = true;
+  syncEventsTableLoader();
+  try {
+    const cursorPart = !reset && eventsTable.cursor ? `&cursor=${encodeURIComponent(eventsTable.cursor)}` : "";
+    const r = await fetch(`/api/events?${eventsTable.query}${cursorPart}&_=${Date.now()}`, { cache: "no-store" });
+    const j = await r.json();
+    if (seq !== eventsTable.seq) return;
+    if (!r.ok || !j.ok) throw new Error(j.error || "bad http");
+
+    const items = Array.isArray(j.items) ? j.items : [];
+    if (reset) {
+      eventsTable.rows = items;
+    } else {
+      const seen = new Set(eventsTable.rows.map(it => String(it.id)));
+      eventsTable.rows = eventsTable.rows.concat(items.filter(it => !seen.has(String(it.id))));
+    }
+    eventsTable.cursor = j.next_cursor || null;
+    eventsTable.total = Number(j.total_matching || eventsTable.rows.length || 0);
+    renderEventsTable();
+  } catch (e) {
+    if (seq !== eventsTable.seq) return;
+    console.warn("[events-table]", e);
+    const info = document.getElementById("eventsTableCountInfo");
+    if (info) info.textContent = `Načtení tabulky selhalo: ${e?.message || e}`;
+  } finally {
+    if (seq === eventsTable.seq) {
+      eventsTable.loading = false;
+      syncEventsTableLoader();
+    }
+  }
+}
+
+// Po loadAll: ruční načtení / změna filtrů tabulku vždy resetuje; automatický refresh jen
+// když je vidět první stránka – jinak by uživateli odskočilo rolování (změny dorovná živý stream).
+function refreshEventsTable({ auto = false } = {}) {
+  const query = eventsTableBaseQuery();
+  if (auto && query === eventsTable.query && eventsTable.rows.length > eventsTablePageSize()) return;
+  loadEventsTablePage({ reset: true });
+}
+
+function renderEventsTable() {
+  renderTable(eventsTable.rows);
+  syncEventsTableLoader();
+}
+
+function eventsTableRowTimeMs(it) {
+  const t = new Date(it?.pub_date || it?.start_time_iso || it?.created_at || 0).getTime();
+  return Number.isFinite(t) ? t : 0;
+}
+
+// Živá změna ze streamu: řádek v tabulce nahradíme / odebereme; nová událost se přidá nahoru
+// jen při řazení od nejnovějších (jinde by její místo záviselo na nenačtených stránkách).
+function applyLiveEventToTable(payload) {
+  if (!payload?.id) return;
+  const id = String(payload.id);
+  const idx = eventsTable.rows.findIndex(it => String(it.id) === id);
+
+  if (!payload.in_filter) {
+    if (idx < 0) return;
+    eventsTable.rows.splice(idx, 1);
+    eventsTable.total = Math.max(0, eventsTable.total - 1);
+  } else if (idx >= 0) {
+    eventsTable.rows[idx] = { ...payload.event, search_snippet: payload.event.search_snippet || eventsTable.rows[idx].search_snippet };
+  } else {
+    eventsTable.total += 1;
+    const { sort, dir } = eventsTableEffectiveSort();
+    const first = eventsTable.rows[0];
+    if (sort !== "time" || dir !== "desc" || (first && eventsTableRowTimeMs(payload.event) < eventsTableRowTimeMs(first))) {
+      renderEventsTable();
+      return;
+    }
+    eventsTable.rows.unshift(payload.event);
+  }
+  renderEventsTable();
+}
+
+function setEventsTableSort(sort) {
+  if (!EVENTS_TABLE_DEFAULT_DIR[sort]) return;
+  const current = eventsTableEffectiveSort();
+  eventsTable.dir = current.sort === sort
+    ? (current.dir === "desc" ? "asc" : "desc")
+    : EVENTS_TABLE_DEFAULT_DIR[sort];
+  eventsTable.sort = sort;
+  eventsTable.userSorted = true;
+  loadEventsTablePage({ reset: true });
+}
+
+function syncEventsTableSortUi() {
+  const { sort, dir } = eventsTableEffectiveSort();
+  document.querySelectorAll("#eventsTableCard th[data-sort]").forEach((th) => {
+    const active = th.getAttribute("data-sort") === sort;
+    th.classList.toggle("sortActive", active);
+    th.setAttribute("aria-sort", active ? (dir === "asc" ? "ascending" : "descending") : "none");
+    th.dataset.sortDir = active ? dir : "";
+  });
+  const sel = document.getElementById("eventsSortSelect");
+  if (sel) {
+    const relevanceOpt = sel.querySelector('option[value="relevance:desc"]');
+    if (relevanceOpt) relevanceOpt.hidden = sort !== "relevance" && !getFiltersFromUi().q;
+    sel.value = `${sort}:${dir}`;
+  }
+}
+
+function syncEventsTableLoader() {
+  const more = document.getElementById("eventsTableMoreBtn");
+  if (!more) return;
+  more.hidden = !eventsTable.cursor;
+  more.disabled = eventsTable.loading;
+  more.textContent = eventsTable.loading ? "Načítám…" : "Načíst další";
+}
+
+function wireEventsTablePaging() {
+  document.querySelectorAll("#eventsTableCard th[data-sort]").forEach((th) => {
+    th.tabIndex = 0;
+    th.addEventListener("click", () => setEventsTableSort(th.getAttribute("data-sort")));
+    th.addEventListener("keydown", (ev) => {
+      if (ev.key !== "Enter" && ev.key !== " ") return;
+      ev.preventDefault();
+      setEventsTableSort(th.getAttribute("data-sort"));
+    });
+  });
+
+  document.getElementById("eventsSortSelect")?.addEventListener("change", (ev) => {
+    const [sort, dir] = String(ev.target.value || "time:desc").split(":");
+    if (!EVENTS_TABLE_DEFAULT_DIR[sort]) return;
+    eventsTable.sort = sort;
+    eventsTable.dir = dir === "asc" ? "asc" : "desc";
+    eventsTable.userSorted = true;
+    loadEventsTablePage({ reset: true });
+  });
+
+  document.getElementById("eventsTableMoreBtn")?.addEventListener("click", () => loadEventsTablePage());
+
+  // Nekonečné rolování: zarážka pod tabulkou i mobilními kartami (záložní tlačítko "Načíst další").
+  const sentinel = document.getElementById("eventsTableSentinel");
+  if (sentinel && "IntersectionObserver" in window) {
+    const io = new IntersectionObserver((entries) => {
+      if (entries.some(e => e.isIntersecting) && eventsTable.cursor && !eventsTable.loading) loadEventsTablePage();
+    }, { rootMargin: "300px 0px" });
+    io.observe(sentinel);
+  }
+}
+
 function makeEventIcon(eventType, it = null) {
-  const meta = typeMeta(eventType);
+  const meta = typeMeta(eventType, it?.event_subtype);
   return L.divIcon({
     className: `fw-emoji-wrap ${meta.cls} ${isMajorEventItem(it) ? "fw-major-marker" : ""}`,
     html: `<div class="fw-emoji">${isMajorEventItem(it) ? "🚨" : meta.emoji}</div>`,
@@ -1229,10 +1668,12 @@ function renderMap(items) {
   for (const it of items) {
     if (!hasValidCoords(it)) continue;
     const marker = L.marker([Number(it.lat), Number(it.lon)], { icon: makeEventIcon(it.event_type, it) });
+    const cluster = it.incident_cluster_id ? latestClusters.find(c => c.id === it.incident_cluster_id) : null;
     marker.bindPopup(`
       <b>${escapeHtml(it.title)}</b><br>
       <span style="opacity:.85">${escapeHtml(it.city_text || it.place_text || "")}</span><br>
       <span style="opacity:.75">${statusEmoji(it.is_closed)} ${it.is_closed ? "ukončená" : "aktivní"}</span><br>
+      ${cluster ? `<span style="opacity:.75">${cluster.storm_like ? "⛈️" : "🔗"} ${escapeHtml(cluster.label)} (${Number(cluster.event_count)} událostí)</span><br>` : ""}
       <a href="${escapeHtml(it.link)}" target="_blank" rel="noopener">detail</a>
     `);
     marker.addTo(markersLayer);
@@ -1243,6 +1684,119 @@ function renderMap(items) {
     // nezoomuj úplně agresivně (ať to neskáče)
     // map.fitBounds(pts, { padding: [24, 24] });
   }
+
+  renderClusterLayer(latestClusters);
+}
+
+// ==============================
+// SHLUKY UDÁLOSTÍ (/api/clusters) – obalové křivky v mapě + souhrn v přehledu
+// ==============================
+let latestClusters = [];
+
+function clusterHoursForFilters(filters = getFiltersFromUi()) {
+  if (filters.day === "today") return 24;
+  if (filters.day === "yesterday") return 48;
+  return 24 * 7;
+}
+
+function clusterTimeSpan(c) {
+  const from = formatClockTime(c.started_at);
+  const to = formatClockTime(c.last_event_at);
+  return from === to ? from : `${from}–${to}`;
+}
+
+function clusterWeatherText(c) {
+  const w = c.weather;
+  if (!c.storm_like || !w) return "";
+  if (w.confirmed) return `počasí: ${w.factors.join(", ")}`;
+  return w.available ? "počasí: bez bouřky/větru v zónách" : "počasí: bez dat";
+}
+
+function clusterPopupHtml(c) {
+  const zones = (c.weather_zones || []).map(z => z.name).join(", ");
+  return `
+    <b>${c.storm_like ? "⛈️" : "🔗"} ${escapeHtml(c.label)}</b><br>
+    <span style="opacity:.85">${Number(c.event_count)} událostí • aktivní ${Number(c.open_count)} • ${escapeHtml(clusterTimeSpan(c))}</span><br>
+    <span style="opacity:.75">${escapeHtml((c.cities || []).slice(0, 6).join(", "))}</span><br>
+    ${zones ? `<span style="opacity:.75">Zóny: ${escapeHtml(zones)}</span><br>` : ""}
+    ${clusterWeatherText(c) ? `<span style="opacity:.75">${escapeHtml(clusterWeatherText(c))}</span>` : ""}
+  `;
+}
+
+function renderClusterLayer(clusters = []) {
+  if (!clustersLayer) return;
+  clustersLayer.clearLayers();
+  for (const c of clusters) {
+    const style = {
+      color: c.storm_like ? "#7aa2ff" : "#ff9a45",
+      weight: 2,
+      dashArray: c.open_count > 0 ? null : "6 6",
+      fillOpacity: c.open_count > 0 ? 0.16 : 0.07
+    };
+    const hull = (c.hull || []).filter(p => Number.isFinite(Number(p?.[0])) && Number.isFinite(Number(p?.[1])));
+    // Více událostí ve stejné obci = stejné souřadnice; místo obalu pak kruh kolem středu.
+    const shape = hull.length >= 3
+      ? L.polygon(hull, style)
+      : L.circle([Number(c.center?.lat), Number(c.center?.lon)], { ...style, radius: Math.max(1, Number(c.radius_km) || 0) * 1000 + 500 });
+    shape.bindPopup(clusterPopupHtml(c));
+    shape.addTo(clustersLayer);
+  }
+}
+
+function renderClusterOverview(clusters = []) {
+  const box = document.getElementById("overviewClusters");
+  if (!box) return;
+  const shown = [...clusters]
+    .sort((a, b) => (b.open_count > 0) - (a.open_count > 0) || (b.storm_like - a.storm_like) || new Date(b.last_event_at) - new Date(a.last_event_at))
+    .slice(0, 4);
+  if (!shown.length) {
+    box.hidden = true;
+    box.innerHTML = "";
+    return;
+  }
+  box.hidden = false;
+  box.innerHTML = shown.map(c => `
+    <button class="v28ClusterItem ${c.storm_like ? "storm" : ""} ${c.open_count > 0 ? "active" : ""}" data-cluster-id="${escapeHtml(c.id)}" type="button">
+      <strong>${c.storm_like ? "⛈️" : "🔗"} ${escapeHtml(c.label)} • ${Number(c.event_count)}×</strong>
+      <span>${escapeHtml((c.cities || []).slice(0, 3).join(", "))}${(c.cities || []).length > 3 ? ` +${c.cities.length - 3}` : ""} • ${escapeHtml(clusterTimeSpan(c))}${c.open_count > 0 ? ` • aktivní ${Number(c.open_count)}` : ""}</span>
+      ${clusterWeatherText(c) ? `<small>${escapeHtml(clusterWeatherText(c))}</small>` : ""}
+    </button>
+  `).join("");
+}
+
+async function loadIncidentClusters() {
+  try {
+    const r = await fetch(`/api/clusters?hours=${clusterHoursForFilters()}&_=${Date.now()}`, { cache: "no-store" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "clusters failed");
+    latestClusters = Array.isArray(j.items) ? j.items : [];
+  } catch (e) {
+    console.warn("[clusters]", e);
+    return;
+  }
+  if (!clustersToggleEl || clustersToggleEl.checked) renderClusterLayer(latestClusters);
+  renderClusterOverview(latestClusters);
+}
+
+function wireClusterOverview() {
+  document.getElementById("overviewClusters")?.addEventListener("click", (ev) => {
+    const id = ev.target.closest("[data-cluster-id]")?.dataset.clusterId;
+    const c = latestClusters.find(x => x.id === id);
+    if (!c || !map) return;
+    const pts = (c.hull || []).length ? c.hull : [[c.center.lat, c.center.lon]];
+    document.getElementById("mapCard")?.scrollIntoView({ behavior: "smooth", block: "start" });
+    try { map.fitBounds(pts, { padding: [40, 40], maxZoom: 12 }); } catch {}
+  });
+
+  clustersToggleEl = document.getElementById("clustersToggle");
+  clustersToggleEl?.addEventListener("change", () => {
+    if (clustersToggleEl.checked) {
+      clustersLayer.addTo(map);
+      renderClusterLayer(latestClusters);
+    } else {
+      try { map.removeLayer(clustersLayer); } catch { /* ignore */ }
+    }
+  });
 }
 
 function safeInvalidateMap() {
@@ -1285,6 +1839,50 @@ function renderChart(byDay) {
   });
 }
 
+// Kolik událostí kterou fázi zásahu poprvé dosáhlo, po dnech (skládaný sloupcový graf).
+function renderPhaseChart(phaseByDay, byPhase) {
+  const ctx = document.getElementById("chartPhases");
+  const summary = document.getElementById("phaseSummary");
+  if (summary) {
+    summary.textContent = (byPhase || [])
+      .map(x => `${x.phase === "unknown" ? "neznámá" : statusPhaseLabel(x.phase)} ${Number(x.count || 0)}`)
+      .join(" • ") || "Bez dat";
+  }
+  if (!ctx) return;
+
+  const days = [...new Set((phaseByDay || []).map(x => x.day))].sort();
+  const phases = statusPhaseCatalog.length
+    ? statusPhaseCatalog.map(p => p.key)
+    : [...new Set((phaseByDay || []).map(x => x.phase))];
+  const counts = new Map((phaseByDay || []).map(x => [`${x.day}|${x.phase}`, Number(x.count || 0)]));
+  const datasets = phases.map(key => ({
+    label: statusPhaseLabel(key),
+    data: days.map(day => counts.get(`${day}|${key}`) || 0)
+  }));
+
+  if (phaseChart) {
+    phaseChart.data.labels = days;
+    phaseChart.data.datasets = datasets;
+    phaseChart.update();
+    return;
+  }
+
+  phaseChart = new Chart(ctx, {
+    type: "bar",
+    data: { labels: days, datasets },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { labels: { color: "#c8d2e3", boxWidth: 12 } }
+      },
+      scales: {
+        x: { stacked: true, ticks: { color: "#c8d2e3" } },
+        y: { stacked: true, ticks: { color: "#c8d2e3" }, beginAtZero: true }
+      }
+    }
+  });
+}
+
 function renderCounts(openCount, closedCount) {
   document.getElementById("openCount").textContent = String(openCount ?? "—");
   document.getElementById("closedCount").textContent = String(closedCount ?? "—");
@@ -1307,7 +1905,11 @@ function renderLongest(list) {
   for (const it of list) {
     const div = document.createElement("div");
     div.className = "listItem";
-    div.innerHTML = `<b>${escapeHtml(it.city || it.place_text || "")}</b><span>${escapeHtml(formatDuration(it.duration_min))}</span>`;
+    const phaseParts = [
+      it.time_to_localize_min != null ? `lokalizace za ${formatDuration(Number(it.time_to_localize_min))}` : "",
+      it.time_to_extinguish_min != null ? `likvidace za ${formatDuration(Number(it.time_to_extinguish_min))}` : ""
+    ].filter(Boolean);
+    div.innerHTML = `<b>${escapeHtml(it.city || it.place_text || "")}</b><span>${escapeHtml(formatDuration(it.duration_min))} ${durationBadgeHtml(it)}</span>${phaseParts.length ? `<small class="muted">${escapeHtml(phaseParts.join(" • "))}</small>` : ""}`;
     wrap.appendChild(div);
   }
 }
@@ -1642,6 +2244,7 @@ async function loadAll(options = {}) {
     if (!isAutoRefresh) setStatus("načítám…", true);
 
     const filters = getFiltersFromUi();
+    syncFiltersToUrl(filters);
     const qEvents = buildEventsQuery(filters);
     const qStats = buildStatsQuery(filters);
 
@@ -1681,33 +2284,13 @@ async function loadAll(options = {}) {
       return;
     }
 
-    // snapshot pro audio souhrn
-    latestItemsSnapshot = items;
-    latestStatsSnapshot = statsJson;
-    window.latestItemsSnapshot = items;
-    window.latestStatsSnapshot = statsJson;
-
-    if (items.length > 0) {
-      lastGoodItemsSnapshot = items;
-      lastGoodStatsSnapshot = statsJson;
-      lastGoodLoadAt = Date.now();
-    }
-
-    renderTable(items);
-    renderMajorEvents(items);
-    updateCommandOverview(items, statsJson);
-    renderMap(items);
-
-    // ✅ simulace výjezdu HZS (jen NOVÉ + AKTIVNÍ)
-    updateSimsFromItems(items);
-
-    renderChart(statsJson.byDay || []);
-    renderCounts(statsJson.openCount, statsJson.closedCount);
-    if (typeof renderActiveClosedTypeBreakdown === "function") {
-      renderActiveClosedTypeBreakdown(items);
-    }
-    renderTopCities(statsJson.topCities || []);
-    renderLongest(statsJson.longest || []);
+    liveUsesCityFallback = usedCityDayFallback;
+    renderDashboardData(items, statsJson, { primeWatch: !isAutoRefresh });
+    refreshEventsTable({ auto: isAutoRefresh });
+    lastFullLoadAt = Date.now();
+    loadDataHealth();
+    loadIncidentClusters();
+    connectLiveStream();
 
     const missing = items.filter(x => !hasValidCoords(x)).length;
     setStatus(`OK • ${items.length} záznamů • bez souřadnic ${missing}${usedCityDayFallback ? " • město zobrazeno ze všech dnů" : ""}`, true);
@@ -1726,1519 +2309,3132 @@ async function loadAll(options = {}) {
   }
 }
 
-function resetFilters() {
-  const dayEl = document.getElementById("daySelect");
-  if (dayEl) dayEl.value = "today";
-  document.getElementById("typeSelect").value = "";
-  document.getElementById("cityInput").value = "";
-  document.getElementById("statusSelect").value = "all";
-  const monthEl = document.getElementById("monthInput");
-  if (monthEl) monthEl.value = "";
-}
-
-function exportWithFilters(kind) {
-  const filters = getFiltersFromUi();
-  const q = buildExportQuery(filters);
-  const url = kind === "pdf"
-    ? `/api/export.pdf${q ? `?${q}` : ""}`
-    : `/api/export.csv${q ? `?${q}` : ""}`;
-  window.open(url, "_blank");
-}
+// Vykreslení přehledu z událostí + statistik (plné načtení i živé změny ze streamu).
+// primeWatch: ruční načtení – sledování bez uložené historie (první spuštění) si události
+// jen zapamatuje; živý stream a auto-refresh volají vždy s primeWatch=false.
+function renderDashboardData(items, statsJson, { primeWatch = false } = {}) {
+  // snapshot pro audio souhrn
+  latestItemsSnapshot = items;
+  latestStatsSnapshot = statsJson;
+  window.latestItemsSnapshot = items;
+  window.latestStatsSnapshot = statsJson;
 
+  if (items.length > 0) {
+    lastGoodItemsSnapshot = items;
+    lastGoodStatsSnapshot = statsJson;
+    lastGoodLoadAt = Date.now();
+  }
 
+  detectAlarmEscalations(items, { prime: primeWatch });
+  renderMajorEvents(items);
+  updateCommandOverview(items, statsJson);
+  renderMap(items);
 
+  // ✅ simulace výjezdu HZS (jen NOVÉ + AKTIVNÍ)
+  updateSimsFromItems(items);
+  const freshForWatch = items.filter(it => !watchKnownIds.has(String(it.id)));
+  freshForWatch.forEach(it => watchKnownIds.add(String(it.id)));
+  processWatchNotifications(freshForWatch, { initial: primeWatch });
 
-function setReportsMessage(text, isError = false) {
-  const detail = document.getElementById("reportDetail");
-  if (!detail) return;
-  detail.innerHTML = `<div class="${isError ? "err" : "muted"}">${escapeHtml(String(text || ""))}</div>`;
+  if (Array.isArray(statsJson?.statusPhases)) statusPhaseCatalog = statsJson.statusPhases;
+  if (Number.isFinite(Number(statsJson?.durationQuality?.minConfidence))) durationMinConfidence = Number(statsJson.durationQuality.minConfidence);
+  renderChart(statsJson?.byDay || []);
+  renderPhaseChart(statsJson?.phaseByDay || [], statsJson?.byPhase || []);
+  renderCounts(statsJson?.openCount, statsJson?.closedCount);
+  if (typeof renderActiveClosedTypeBreakdown === "function") {
+    renderActiveClosedTypeBreakdown(items);
+  }
+  renderTopCities(statsJson?.topCities || []);
+  renderLongest(statsJson?.longest || []);
 }
 
 // ==============================
-// ARCHIV ANALYTICKÝCH SOUHRNŮ
+// ESKALACE STUPNĚ POPLACHU (SSE event_escalated + porovnání snapshotů jako záloha)
 // ==============================
-
-function defaultReportKey(type) {
-  const d = new Date();
-  if (type === "day") {
-    d.setDate(d.getDate() - 1);
-    return d.toISOString().slice(0, 10);
-  }
-  if (type === "week") {
-    const tmp = new Date(d);
-    tmp.setDate(tmp.getDate() - 7);
-    const onejan = new Date(tmp.getFullYear(), 0, 1);
-    const week = Math.ceil((((tmp - onejan) / 86400000) + onejan.getDay() + 1) / 7);
-    return `${tmp.getFullYear()}-W${String(week).padStart(2, "0")}`;
+// Server posílá eskalace všem klientům bez ohledu na filtry; při pollingu se zvýšení
+// stupně pozná z rozdílu proti minulému snapshotu. III. stupeň zůstává v banneru do potvrzení.
+let escalationMinLevel = 2;
+const ESCALATION_BANNER_MS = 3 * 60 * 1000;
+const alarmLevelById = new Map();
+let alarmLevelsPrimed = false;
+let activeEscalations = [];
+
+function detectAlarmEscalations(items, { prime = false } = {}) {
+  const silent = prime || !alarmLevelsPrimed;
+  alarmLevelsPrimed = true;
+  for (const it of items || []) {
+    if (!it?.id) continue;
+    const id = String(it.id);
+    const level = Number(it.alarm_level || 0);
+    const prev = alarmLevelById.get(id);
+    alarmLevelById.set(id, Math.max(level, prev || 0));
+    if (it.is_closed && activeEscalations.some(x => x.id === id)) {
+      activeEscalations = activeEscalations.filter(x => x.id !== id);
+      renderEscalationBanner();
+    }
+    if (silent || it.is_closed || level < escalationMinLevel) continue;
+    if (prev != null && level <= prev) continue;
+    handleAlarmEscalation({
+      id,
+      from_level: prev != null ? prev : null,
+      to_level: level,
+      alarm_level_text: it.alarm_level_text || "",
+      reached_at: new Date().toISOString(),
+      event: it
+    });
   }
-  d.setMonth(d.getMonth() - 1);
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
 }
 
-function reportTypeName(type) {
-  if (type === "month") return "měsíční";
-  if (type === "week") return "týdenní";
-  if (type === "day") return "denní";
-  return type;
-}
+function handleAlarmEscalation(esc) {
+  if (!esc?.id || Number(esc.to_level || 0) < escalationMinLevel) return;
+  const id = String(esc.id);
+  const level = Number(esc.to_level);
+  alarmLevelById.set(id, Math.max(level, alarmLevelById.get(id) || 0));
+  const ev = { ...(esc.event || {}), id };
 
-async function loadReportsArchive() {
-  const box = document.getElementById("reportsList");
-  if (!box) return;
+  if (!activeEscalations.some(x => x.id === id && x.to_level >= level)) {
+    activeEscalations = [
+      { ...esc, id, to_level: level, event: ev, shown_at: Date.now() },
+      ...activeEscalations.filter(x => x.id !== id)
+    ].slice(0, 5);
+    renderEscalationBanner();
+  }
 
-  box.innerHTML = `<div class="muted">Načítám archiv…</div>`;
+  audioOnNewEvent(ev, { escalation: esc });
+}
 
-  try {
-    const r = await fetch("/api/reports?limit=80", { cache: "no-store" });
-    const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.error || "reports failed");
+function renderEscalationBanner() {
+  const box = document.getElementById("escalationBanner");
+  if (!box) return;
+  const now = Date.now();
+  activeEscalations = activeEscalations.filter(x => x.to_level >= 3 || now - x.shown_at < ESCALATION_BANNER_MS);
+  const top = Math.max(0, ...activeEscalations.map(x => x.to_level));
+  document.body.classList.toggle("escalationAlarm", top >= 3);
 
-    const reports = j.reports || [];
-    if (!reports.length) {
-      box.innerHTML = `<div class="muted">Zatím není uložený žádný souhrn. Klikni na „Doplnit automatiku“ nebo vygeneruj konkrétní období.</div>`;
-      return;
-    }
+  if (!activeEscalations.length) {
+    box.hidden = true;
+    box.innerHTML = "";
+    return;
+  }
 
-    box.innerHTML = reports.map(rep => `
-      <button class="reportItem" data-report-type="${escapeHtml(rep.period_type)}" data-report-key="${escapeHtml(rep.period_key)}">
-        <span>
-          <b>${escapeHtml(rep.title || rep.period_key)}</b>
-          <small>${escapeHtml(reportTypeName(rep.period_type))} • ${escapeHtml(rep.period_start || "")} – ${escapeHtml(rep.period_end || "")}</small>
-        </span>
-        <span class="reportItemNums">${Number(rep.total_events || 0)} událostí</span>
-      </button>
-    `).join("");
+  box.hidden = false;
+  box.className = `escalationBanner ${alarmLevelCls(top)}`;
+  box.innerHTML = activeEscalations.map(x => {
+    const ev = x.event || {};
+    const from = x.from_level ? `z ${ALARM_LEVEL_ROMAN[x.from_level] || x.from_level} stupně` : "nová událost";
+    return `
+      <div class="escalationBannerItem ${alarmLevelCls(x.to_level)}" data-escalation-id="${escapeHtml(x.id)}">
+        <div>
+          <b>${x.to_level >= 3 ? "🚨" : "⚠️"} ${escapeHtml(alarmLevelName(x.to_level, x.alarm_level_text).toUpperCase())}</b>
+          <span>${escapeHtml(ev.title || x.id)}${ev.city_text || ev.place_text ? ` • ${escapeHtml(ev.city_text || ev.place_text)}` : ""}</span>
+          <small>${escapeHtml(from)} • ${escapeHtml(formatClockTime(x.reached_at))}</small>
+        </div>
+        <div class="btnRow">
+          ${eventDetailButtonHtml(ev)}
+          <button class="btn miniBtn" type="button" data-escalation-ack="1">Beru na vědomí</button>
+        </div>
+      </div>
+    `;
+  }).join("");
+}
 
-    box.querySelectorAll(".reportItem").forEach(btn => {
-      btn.addEventListener("click", () => openReportDetail(btn.dataset.reportType, btn.dataset.reportKey));
-    });
-  } catch (e) {
-    box.innerHTML = `<div class="err">Archiv souhrnů se nepodařilo načíst.</div>`;
+function wireEscalationBanner() {
+  const box = document.getElementById("escalationBanner");
+  box?.addEventListener("click", (ev) => {
+    if (!ev.target.closest("[data-escalation-ack]")) return;
+    const id = ev.target.closest("[data-escalation-id]")?.dataset.escalationId;
+    activeEscalations = activeEscalations.filter(x => x.id !== id);
+    renderEscalationBanner();
+  });
+  // II. stupeň zmizí sám po pár minutách
+  setInterval(() => { if (activeEscalations.length) renderEscalationBanner(); }, 30 * 1000);
+}
+
+// ==============================
+// ŽIVÝ STREAM (/api/events/stream, SSE) – polling jen jako záloha
+// ==============================
+let liveStream = null;
+let liveStreamQuery = "";
+let liveStreamHadError = false;
+let liveUsesCityFallback = false;
+let liveReloadTimer = null;
+let lastFullLoadAt = 0;
+const watchKnownIds = new Set();
+
+function liveStreamOpen() {
+  return !!liveStream && liveStream.readyState === 1;
+}
+
+// Stejné pořadí jako ORDER BY v getEventsFiltered: aktivní významné, aktivní, pak podle času.
+function liveEventRank(it) {
+  const level = Number(it?.alarm_level || 0);
+  const major = !!it?.is_major_event;
+  if (!it?.is_closed && (level >= 3 || major)) return 0;
+  if (!it?.is_closed && level >= 2) return 1;
+  if (!it?.is_closed) return 2;
+  if (level >= 3 || major) return 3;
+  return 4;
+}
+
+function liveEventTimeMs(it) {
+  const ms = new Date(it?.pub_date || it?.start_time_iso || it?.created_at || 0).getTime();
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+function sortLiveItems(items) {
+  return items.sort((a, b) =>
+    liveEventRank(a) - liveEventRank(b) ||
+    liveEventTimeMs(b) - liveEventTimeMs(a) ||
+    new Date(b.created_at || 0).getTime() - new Date(a.created_at || 0).getTime()
+  );
+}
+
+// Když se data nedají bezpečně poskládat lokálně, stáhneme je celá (s malým zpožděním).
+function scheduleLiveReload() {
+  if (liveReloadTimer) return;
+  liveReloadTimer = setTimeout(() => {
+    liveReloadTimer = null;
+    loadAll({ auto: true });
+  }, 1500);
+}
+
+function applyLiveEvent(type, payload) {
+  if (!payload?.id) return;
+  if (liveUsesCityFallback || inFlight) {
+    scheduleLiveReload();
+    return;
+  }
+
+  const id = String(payload.id);
+  const items = (latestItemsSnapshot || []).filter(it => String(it.id) !== id);
+  const existed = items.length !== (latestItemsSnapshot || []).length;
+  if (!payload.in_filter) {
+    if (!existed) return;
+  } else {
+    items.push(payload.event);
   }
+
+  sortLiveItems(items);
+  if (items.length > getEventsApiLimit()) items.length = getEventsApiLimit();
+  if (payload.in_filter && !existed) latestEventsTotalMatching += 1;
+  else if (!payload.in_filter) latestEventsTotalMatching = Math.max(0, latestEventsTotalMatching - 1);
+
+  renderDashboardData(items, latestStatsSnapshot, { primeWatch: false });
+  applyLiveEventToTable(payload);
+  const missing = items.filter(x => !hasValidCoords(x)).length;
+  setStatus(`OK • ${items.length} záznamů • bez souřadnic ${missing} • živě`, true);
 }
 
-function renderReportDetail(rep) {
-  const box = document.getElementById("reportDetail");
-  if (!box || !rep) return;
+function applyLiveStats(stats) {
+  if (!stats?.ok) return;
+  renderDashboardData(latestItemsSnapshot || [], stats, { primeWatch: false });
+}
 
-  const d = rep.data || {};
-  box.innerHTML = `
-    <div class="reportDetailHead">
-      <div>
-        <h3>${escapeHtml(rep.title || "Souhrn")}</h3>
-        <p>${escapeHtml(rep.period_start || "")} – ${escapeHtml(rep.period_end || "")}</p>
-      </div>
-      <div class="btnRow">
-        <a class="btn primary" target="_blank" href="/api/reports/${encodeURIComponent(rep.period_type)}/${encodeURIComponent(rep.period_key)}.pdf">Export PDF / tisk</a>
-        <button class="btn" onclick="window.print()">Tisk stránky</button>
-      </div>
-    </div>
+function connectLiveStream() {
+  if (typeof EventSource === "undefined") return;
+  const query = buildStatsQuery(getFiltersFromUi());
+  if (liveStream && liveStreamQuery === query) return;
 
-    <p class="reportSummary">${escapeHtml(d.summary || "")}</p>
+  try { liveStream?.close(); } catch {}
+  liveStreamQuery = query;
+  liveStreamHadError = false;
 
-    <div class="reportKpis">
-      <div><span>Celkem</span><b>${Number(rep.total_events || 0)}</b></div>
-      <div><span>Aktivní</span><b>${Number(rep.open_count || 0)}</b></div>
-      <div><span>Ukončené</span><b>${Number(rep.closed_count || 0)}</b></div>
-      <div><span>Bez GPS</span><b>${Number(rep.missing_coords_count || 0)}</b></div>
-      <div><span>Průměr / den</span><b>${Number(d.avg_per_day || 0)}</b></div>
-    </div>
+  const es = new EventSource(`/api/events/stream${query ? `?${query}` : ""}`);
+  liveStream = es;
 
-    <div class="reportColumns">
-      <div class="reportPanel">
-        <h4>Typy událostí</h4>
-        ${(d.type_stats || []).slice(0, 12).map(x => `<div class="reportRow"><span>${escapeHtml(x.name)}</span><b>${x.count} (${x.percent} %)</b></div>`).join("") || "<p class='muted'>Bez dat</p>"}
-      </div>
-      <div class="reportPanel">
-        <h4>TOP města</h4>
-        ${(d.top_cities || []).slice(0, 12).map(x => `<div class="reportRow"><span>${escapeHtml(x.name)}</span><b>${x.count}</b></div>`).join("") || "<p class='muted'>Bez dat</p>"}
-      </div>
-      <div class="reportPanel">
-        <h4>Nejvytíženější dny</h4>
-        ${(d.busiest_days || []).slice(0, 10).map(x => `<div class="reportRow"><span>${escapeHtml(x.day)}</span><b>${x.count}</b></div>`).join("") || "<p class='muted'>Bez dat</p>"}
-      </div>
-      <div class="reportPanel">
-        <h4>Nejdelší zásahy</h4>
-        ${(d.longest || []).slice(0, 10).map(x => `<div class="reportLong"><b>${escapeHtml(x.duration_text || "")}</b><span>${escapeHtml(x.date || "")} • ${escapeHtml(x.type || "")} • ${escapeHtml(x.city || "")}<br>${escapeHtml(x.title || "")}</span></div>`).join("") || "<p class='muted'>Bez dat</p>"}
-      </div>
-    </div>
-  `;
+  es.addEventListener("hello", (msg) => {
+    // Po výpadku mohly změny propadnout – jednou vše dorovnáme.
+    if (liveStreamHadError) scheduleLiveReload();
+    liveStreamHadError = false;
+    try {
+      const min = Number(JSON.parse(msg.data)?.escalation_min_level);
+      if (Number.isFinite(min) && min >= 2) escalationMinLevel = min;
+    } catch {}
+  });
+  es.addEventListener("clusters_changed", () => loadIncidentClusters());
+  es.addEventListener("event_escalated", (msg) => {
+    try { handleAlarmEscalation(JSON.parse(msg.data)); } catch (e) { console.warn("[live]", e); }
+  });
+  for (const type of ["event_created", "event_updated", "event_closed"]) {
+    es.addEventListener(type, (msg) => {
+      try { applyLiveEvent(type, JSON.parse(msg.data)); } catch (e) { console.warn("[live]", e); }
+    });
+  }
+  es.addEventListener("stats_changed", (msg) => {
+    try { applyLiveStats(JSON.parse(msg.data)); } catch (e) { console.warn("[live]", e); }
+  });
+  es.onerror = () => {
+    // EventSource se znovu připojí sám (retry ze serveru); mezitím jede polling.
+    liveStreamHadError = true;
+  };
 }
 
-async function openReportDetail(type, key) {
-  const box = document.getElementById("reportDetail");
-  if (box) box.innerHTML = `<div class="muted">Načítám souhrn…</div>`;
+// ==============================
+// STAV INGESTU (/health watchdog) -> dataStatusStrip
+// ==============================
+const INGEST_SOURCE_STATUS_LABELS = {
+  ok: "aktivní",
+  pending: "čeká na data",
+  silent: "mlčí",
+  failing: "hlásí chyby",
+  inactive: "vyřazen",
+  unknown: "neznámý stav"
+};
 
-  try {
-    const r = await fetch(`/api/reports/${encodeURIComponent(type)}/${encodeURIComponent(key)}`, { cache: "no-store" });
-    const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.error || "report detail failed");
-    renderReportDetail(j.report);
-  } catch (e) {
-    if (box) box.innerHTML = `<div class="err">Souhrn se nepodařilo otevřít.</div>`;
+function ingestSourceKindLabel(kind) {
+  return String(kind || "zdroj").toUpperCase();
+}
+
+// Za každý typ zdroje jedna položka: stačí jeden živý ESP/RSS, jinak nejkratší ticho.
+function dataHealthSourceText(sources) {
+  const byKind = new Map();
+  for (const src of sources) {
+    if (!byKind.has(src.kind)) byKind.set(src.kind, []);
+    byKind.get(src.kind).push(src);
   }
+
+  return [...byKind.entries()].map(([kind, list]) => {
+    const label = ingestSourceKindLabel(kind);
+    if (list.some(x => x.status === "ok")) return `${label} aktivní`;
+    const down = list.filter(x => x.status === "silent" || x.status === "failing");
+    if (down.length) {
+      const minSilent = Math.min(...down.map(x => Number(x.silent_for_min || 0)));
+      return `⚠ ${label} ${down.some(x => x.status === "silent") ? "mlčí" : "hlásí chyby"} ${minSilent} min`;
+    }
+    return `${label} čeká na data`;
+  }).join(" • ");
 }
 
-async function generateSelectedReport() {
-  const typeEl = document.getElementById("reportTypeSelect");
-  const keyEl = document.getElementById("reportKeyInput");
-  if (!typeEl || !keyEl) return;
+function renderDataHealthStrip() {
+  const item = document.getElementById("dataStripOnline");
+  const label = document.getElementById("dataStripOnlineLabel");
+  const stripSource = document.getElementById("dataStripSource");
+  const health = latestDataHealth;
 
-  const type = typeEl.value;
-  const key = keyEl.value.trim() || defaultReportKey(type);
-  keyEl.value = key;
+  let state = "online";
+  let text = "Data online";
+  if (!health) {
+    state = "offline";
+    text = "Server nedostupný";
+  } else if (health.status === "degraded") {
+    state = "warn";
+    text = "Výpadek zdroje";
+  }
 
-  try {
-    const r = await fetch("/api/reports/generate", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ type, key, force: true })
-    });
-    const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.error || "generate failed");
-    await loadReportsArchive();
-    renderReportDetail(j.report);
-  } catch (e) {
-    alert("Souhrn se nepodařilo vygenerovat: " + (e.message || e));
+  if (item) {
+    item.classList.toggle("warn", state === "warn");
+    item.classList.toggle("offline", state === "offline");
+  }
+  if (label) label.textContent = text;
+
+  const sources = Array.isArray(health?.ingest?.sources) ? health.ingest.sources : [];
+  if (stripSource && sources.length) {
+    stripSource.textContent = dataHealthSourceText(sources);
+    stripSource.title = sources
+      .map(x => `${ingestSourceKindLabel(x.kind)} ${x.name}: ${INGEST_SOURCE_STATUS_LABELS[x.status] || x.status}${x.last_at ? ` • poslední data ${formatDate(x.last_at)}` : ""}`)
+      .join("\n");
   }
 }
 
-async function runReportsAutomationNow() {
+async function loadDataHealth() {
   try {
-    const r = await fetch("/api/reports/automation/run", { method: "POST" });
+    const r = await fetch(`/health?_=${Date.now()}`, { cache: "no-store" });
     const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.error || "automation failed");
-    await loadReportsArchive();
-  } catch (e) {
-    alert("Automatika souhrnů se nepodařila spustit: " + (e.message || e));
+    latestDataHealth = r.ok && j?.ok ? j : null;
+  } catch {
+    latestDataHealth = null;
   }
+  renderDataHealthStrip();
 }
 
-function wireReportsArchive() {
-  const typeEl = document.getElementById("reportTypeSelect");
-  const keyEl = document.getElementById("reportKeyInput");
+function resetFilters() {
+  const dayEl = document.getElementById("daySelect");
+  if (dayEl) dayEl.value = "today";
+  document.getElementById("typeSelect").value = "";
+  document.getElementById("cityInput").value = "";
+  document.getElementById("statusSelect").value = "all";
+  const monthEl = document.getElementById("monthInput");
+  if (monthEl) monthEl.value = "";
+  const durationQualityEl = document.getElementById("durationQualitySelect");
+  if (durationQualityEl) durationQualityEl.value = "all";
+  applyExtendedFiltersToUi({});
+}
 
-  if (typeEl && keyEl) {
-    keyEl.value = keyEl.value || defaultReportKey(typeEl.value);
-    typeEl.addEventListener("change", () => {
-      keyEl.value = defaultReportKey(typeEl.value);
-    });
+function exportWithFilters(kind) {
+  const filters = getFiltersFromUi();
+  const params = new URLSearchParams(buildExportQuery(filters));
+  // Předvolba jen pro popisek v exportu – filtry z UI se posílají vždy, takže export sedí s tabulkou.
+  const preset = activeFilterPreset(filters);
+  if (preset) params.set("preset", String(preset.id));
+  if (kind === "pdf") {
+    // Souhrn, mapa a tabulka jsou vždy; detailní stránky (s ruční poznámkou) jen na přání.
+    const details = document.getElementById("exportPdfDetailsSelect")?.value || "";
+    if (details) params.set("details", details);
+    const q = params.toString();
+    window.open(`/api/export.pdf${q ? `?${q}` : ""}`, "_blank");
+    return;
   }
-
-  document.getElementById("refreshReportsBtn")?.addEventListener("click", loadReportsArchive);
-  document.getElementById("generateReportBtn")?.addEventListener("click", generateSelectedReport);
-  document.getElementById("runReportsAutomationBtn")?.addEventListener("click", runReportsAutomationNow);
-
-  loadReportsArchive();
+  // csv_all = CSV se všemi sloupci; ostatní formáty dostanou všechny sloupce i bez parametru.
+  const format = document.getElementById("exportFormatSelect")?.value || "csv";
+  params.set("format", format === "csv_all" ? "csv" : format);
+  if (format === "csv_all") params.set("columns", "all");
+  window.open(`/api/export?${params.toString()}`, "_blank");
 }
 
 
 
+
 // ==============================
-// LANDING PAGE / PUBLIC PRESENTATION
+// PŘEDVOLBY FILTRŮ + SDÍLITELNÁ URL
 // ==============================
+// Stejné klíče jako query string /api/events a uložené předvolby na serveru.
 
-const LS_LANDING_DISMISSED = "fwcz_landingDismissed";
-
-function setLandingVisible(visible) {
-  const landing = document.getElementById("landingPage");
-  if (!landing) return;
-  landing.style.display = visible ? "" : "none";
-  document.body.classList.toggle("landingVisible", visible);
+const FILTER_URL_KEYS = [
+  "q", "day", "type", "city", "status", "month", "duration_quality",
+  "from", "to", "cities", "district", "alarm_level_gte", "major_only", "has_coords",
+  "duration_min_gte", "duration_min_lte", "near", "radius_km", "preset"
+];
+let filterPresets = [];
+let pendingUrlPresetId = "";
+
+function filtersToPresetParams(filters = getFiltersFromUi()) {
+  const out = { day: filters.day || "today" };
+  if (filters.type) out.type = filters.type;
+  if (filters.city) out.city = filters.city;
+  if (filters.status && filters.status !== "all") out.status = filters.status;
+  if (filters.month) out.month = filters.month;
+  if (filters.durationQuality === "reliable") out.duration_quality = "reliable";
+  for (const [k, v] of appendExtendedFilterParams(new URLSearchParams(), filters)) out[k] = v;
+  return out;
 }
 
-function showLandingPage() {
-  localStorage.removeItem(LS_LANDING_DISMISSED);
-  setLandingVisible(true);
-  window.scrollTo({ top: 0, behavior: "smooth" });
+function presetParamsEqual(a = {}, b = {}) {
+  const norm = (x) => ({ ...x, day: x.day || "today" });
+  const na = norm(a);
+  const nb = norm(b);
+  const keys = new Set([...Object.keys(na), ...Object.keys(nb)]);
+  return [...keys].every(k => String(na[k] ?? "") === String(nb[k] ?? ""));
 }
 
-function openDashboardFromLanding() {
-  localStorage.setItem(LS_LANDING_DISMISSED, "1");
-  setLandingVisible(false);
-
-  const filters = document.querySelector(".filters");
-  if (filters) {
-    filters.scrollIntoView({ behavior: "smooth", block: "start" });
+function applyPresetParamsToUi(params = {}) {
+  const dayEl = document.getElementById("daySelect");
+  if (dayEl) dayEl.value = ["today", "yesterday", "all"].includes(params.day) ? params.day : "today";
+
+  const typeEl = document.getElementById("typeSelect");
+  if (typeEl) {
+    const type = String(params.type || "");
+    // Podtypy se do selectu doplní až z katalogu – dočasná volba zajistí, že je renderTypeSelectOptions zachová.
+    if (type && ![...typeEl.options].some(o => o.value === type)) {
+      typeEl.add(new Option(type, type));
+    }
+    typeEl.value = type;
   }
-}
-
-function initLandingPage() {
-  const shouldHide = localStorage.getItem(LS_LANDING_DISMISSED) === "1";
-  setLandingVisible(!shouldHide);
 
-  document.getElementById("landingDashboardBtn")?.addEventListener("click", openDashboardFromLanding);
-  document.getElementById("landingHomeBtn")?.addEventListener("click", showLandingPage);
+  const cityEl = document.getElementById("cityInput");
+  if (cityEl) cityEl.value = String(params.city || "");
+  const statusEl = document.getElementById("statusSelect");
+  if (statusEl) statusEl.value = ["open", "closed"].includes(params.status) ? params.status : "all";
+  const monthEl = document.getElementById("monthInput");
+  if (monthEl) monthEl.value = /^\d{4}-\d{2}$/.test(String(params.month || "")) ? params.month : "";
+  const dqEl = document.getElementById("durationQualitySelect");
+  if (dqEl) dqEl.value = params.duration_quality === "reliable" ? "reliable" : "all";
+  applyExtendedFiltersToUi(params);
+}
 
-  document.getElementById("landingLoginBtn")?.addEventListener("click", () => {
-    openDashboardFromLanding();
-    document.getElementById("loginBtn")?.click();
+function applyExtendedFiltersToUi(params = {}) {
+  const set = (id, v) => {
+    const el = document.getElementById(id);
+    if (el) el.value = String(v ?? "");
+  };
+  const isDay = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || ""));
+  // Datumové pole umí jen den – přesný čas z odkazu zkrátíme na datum.
+  set("fromInput", isDay(params.from) ? params.from : String(params.from || "").slice(0, 10));
+  set("toInput", isDay(params.to) ? params.to : String(params.to || "").slice(0, 10));
+  set("searchInput", params.q);
+  set("citiesInput", params.cities);
+  set("districtInput", params.district);
+  set("alarmLevelSelect", ["2", "3", "4"].includes(String(params.alarm_level_gte)) ? params.alarm_level_gte : "");
+  set("hasCoordsSelect", ["0", "1"].includes(String(params.has_coords)) ? params.has_coords : "");
+  set("durationMinGteInput", params.duration_min_gte);
+  set("durationMinLteInput", params.duration_min_lte);
+  set("nearInput", params.near);
+  set("radiusKmInput", params.near ? params.radius_km : "");
+  const majorEl = document.getElementById("majorOnlyCheck");
+  if (majorEl) majorEl.checked = ["1", "true"].includes(String(params.major_only || ""));
+  syncExtendedFiltersSummary();
+}
+
+function syncExtendedFiltersSummary() {
+  const params = appendExtendedFilterParams(new URLSearchParams(), getFiltersFromUi());
+  params.delete("radius_km");
+  params.delete("q");
+  const n = [...params.keys()].length;
+  const countEl = document.getElementById("filtersAdvancedCount");
+  if (countEl) countEl.textContent = n ? `(${n} aktivní)` : "";
+  const box = document.getElementById("filtersAdvanced");
+  if (box && n) box.open = true;
+}
+
+function wireExtendedFilters() {
+  // Vybraný rozsah od–do přebíjí "Den" – přepneme select, ať UI neukazuje něco jiného, než se filtruje.
+  ["fromInput", "toInput"].forEach((id) => {
+    document.getElementById(id)?.addEventListener("change", () => {
+      const dayEl = document.getElementById("daySelect");
+      if (dayEl && (document.getElementById("fromInput")?.value || document.getElementById("toInput")?.value)) dayEl.value = "all";
+    });
   });
-
-  document.getElementById("landingRegisterBtn")?.addEventListener("click", () => {
-    openDashboardFromLanding();
-    document.getElementById("registerBtn")?.click();
+  // Hledání v textu míří typicky do historie – "dnes" by výsledky zbytečně ořízlo.
+  const searchEl = document.getElementById("searchInput");
+  searchEl?.addEventListener("change", () => {
+    const dayEl = document.getElementById("daySelect");
+    if (dayEl && searchEl.value.trim() && dayEl.value === "today") dayEl.value = "all";
+  });
+  searchEl?.addEventListener("keydown", (ev) => {
+    if (ev.key !== "Enter") return;
+    ev.preventDefault();
+    searchEl.dispatchEvent(new Event("change"));
+    loadAll();
+  });
+  document.getElementById("nearFromMapBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    if (!map) return;
+    const c = map.getCenter();
+    const nearEl = document.getElementById("nearInput");
+    if (nearEl) nearEl.value = `${c.lat.toFixed(5)},${c.lng.toFixed(5)}`;
+    const radiusEl = document.getElementById("radiusKmInput");
+    if (radiusEl && !radiusEl.value) radiusEl.value = "10";
+    syncExtendedFiltersSummary();
+  });
+  document.querySelectorAll("#filtersAdvanced input, #filtersAdvanced select").forEach((el) => {
+    el.addEventListener("change", syncExtendedFiltersSummary);
   });
 }
 
+// Vybraná předvolba platí jen dokud UI odpovídá jejím filtrům.
+function activeFilterPreset(filters = getFiltersFromUi()) {
+  const id = document.getElementById("filterPresetSelect")?.value || "";
+  if (!id) return null;
+  const preset = filterPresets.find(p => String(p.id) === String(id));
+  if (!preset || !presetParamsEqual(preset.filters, filtersToPresetParams(filters))) return null;
+  return preset;
+}
 
+function filtersShareUrl(filters = getFiltersFromUi()) {
+  const params = new URLSearchParams();
+  const p = filtersToPresetParams(filters);
+  if (p.day === "today") delete p.day;
+  for (const [k, v] of Object.entries(p)) params.set(k, v);
+  const preset = activeFilterPreset(filters);
+  if (preset) params.set("preset", String(preset.id));
+
+  const url = new URL(window.location.href);
+  FILTER_URL_KEYS.forEach(k => url.searchParams.delete(k));
+  for (const [k, v] of params) url.searchParams.set(k, v);
+  return url.toString();
+}
+
+// Volá se při každém načtení dashboardu – záložka/odkaz pak obnoví stejný pohled.
+function syncFiltersToUrl(filters = getFiltersFromUi()) {
+  const sel = document.getElementById("filterPresetSelect");
+  if (sel?.value && !activeFilterPreset(filters)) sel.value = "";
+  try {
+    const next = filtersShareUrl(filters);
+    if (next !== window.location.href) window.history.replaceState(null, "", next);
+  } catch {
+    // ignore (např. file:// nebo sandbox)
+  }
+}
 
+function applyFiltersFromUrl() {
+  const q = new URLSearchParams(window.location.search);
+  if (!FILTER_URL_KEYS.some(k => q.has(k))) return;
+  const params = {};
+  FILTER_URL_KEYS.forEach(k => {
+    const v = String(q.get(k) || "").trim();
+    if (v && k !== "preset") params[k] = v;
+  });
+  applyPresetParamsToUi(params);
+  pendingUrlPresetId = String(q.get("preset") || "");
+}
 
-// ==============================
-// FireWatchCZ Web v1.5 – Statistiky PRO
-// ==============================
+function setFilterPresetMsg(text, ok = true) {
+  msg("filterPresetMsg", text, ok);
+}
 
-function signText(n) {
-  const num = Number(n || 0);
-  if (num > 0) return `+${num}`;
-  return String(num);
+function renderFilterPresetSelect() {
+  const sel = document.getElementById("filterPresetSelect");
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = `<option value="">— vlastní filtr —</option>` + filterPresets
+    .map(p => `<option value="${escapeHtml(String(p.id))}">${escapeHtml(p.name)}</option>`)
+    .join("");
+  sel.value = filterPresets.some(p => String(p.id) === current) ? current : "";
+  renderWatchPresetSelect();
+}
+
+async function loadFilterPresets() {
+  if (!currentUser) {
+    filterPresets = [];
+    renderFilterPresetSelect();
+    return;
+  }
+  try {
+    const r = await apiFetch("/api/filter-presets", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "load_failed");
+    filterPresets = Array.isArray(j.items) ? j.items : [];
+  } catch (e) {
+    filterPresets = [];
+    setFilterPresetMsg(`Předvolby se nepodařilo načíst: ${e?.message || e}`, false);
+  }
+  renderFilterPresetSelect();
+  refreshWatchPresetSnapshot();
+
+  // Odkaz s ?preset= – vybereme předvolbu; filtry z URL mají přednost, jinak se použijí filtry předvolby.
+  if (pendingUrlPresetId) {
+    const preset = filterPresets.find(p => String(p.id) === pendingUrlPresetId);
+    pendingUrlPresetId = "";
+    if (!preset) return;
+    const sel = document.getElementById("filterPresetSelect");
+    const urlHasFilters = FILTER_URL_KEYS.some(k => k !== "preset" && new URLSearchParams(window.location.search).has(k));
+    if (!urlHasFilters) applyPresetParamsToUi(preset.filters);
+    if (sel) sel.value = String(preset.id);
+    if (!urlHasFilters) loadAll();
+  }
+}
+
+function onFilterPresetSelected() {
+  const id = document.getElementById("filterPresetSelect")?.value || "";
+  const preset = filterPresets.find(p => String(p.id) === id);
+  if (!preset) return;
+  applyPresetParamsToUi(preset.filters);
+  setFilterPresetMsg(`Předvolba „${preset.name}“ použita.`);
+  loadAll();
+}
+
+async function saveCurrentFilterPreset() {
+  const current = activeFilterPreset();
+  const name = prompt("Název předvolby (stejný název přepíše existující):", current?.name || "");
+  if (name == null || !name.trim()) return;
+  try {
+    const r = await apiFetch("/api/filter-presets", {
+      method: "POST",
+      body: JSON.stringify({ name: name.trim(), filters: filtersToPresetParams() })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "save_failed");
+    await loadFilterPresets();
+    const sel = document.getElementById("filterPresetSelect");
+    if (sel) sel.value = String(j.preset.id);
+    syncFiltersToUrl();
+    setFilterPresetMsg(`Předvolba „${j.preset.name}“ uložena.`);
+  } catch (e) {
+    setFilterPresetMsg(`Uložení selhalo: ${e?.message || e}`, false);
+  }
 }
 
-function signClass(n) {
-  const num = Number(n || 0);
-  if (num > 0) return "up";
-  if (num < 0) return "down";
-  return "same";
+async function deleteSelectedFilterPreset() {
+  const id = document.getElementById("filterPresetSelect")?.value || "";
+  const preset = filterPresets.find(p => String(p.id) === id);
+  if (!preset) {
+    setFilterPresetMsg("Vyber předvolbu, kterou chceš smazat.", false);
+    return;
+  }
+  if (!confirm(`Smazat předvolbu „${preset.name}“?`)) return;
+  try {
+    const r = await apiFetch(`/api/filter-presets/${encodeURIComponent(id)}`, { method: "DELETE" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "delete_failed");
+    await loadFilterPresets();
+    syncFiltersToUrl();
+    setFilterPresetMsg(`Předvolba „${preset.name}“ smazána.`);
+  } catch (e) {
+    setFilterPresetMsg(`Smazání selhalo: ${e?.message || e}`, false);
+  }
 }
 
-function formatHour(hour) {
-  return `${String(hour).padStart(2, "0")}:00`;
+async function copyFiltersShareUrl() {
+  const url = filtersShareUrl();
+  try {
+    await navigator.clipboard.writeText(url);
+    setFilterPresetMsg("Odkaz na aktuální filtry zkopírován.");
+  } catch {
+    prompt("Odkaz na aktuální filtry:", url);
+  }
 }
 
-function renderStatsPro(stats) {
-  const summary = document.getElementById("statsProSummary");
-  const typeBox = document.getElementById("statsProTypeTrend");
-  const cityBox = document.getElementById("statsProCityGrowth");
-  const hoursBox = document.getElementById("statsProHours");
-  const heatBox = document.getElementById("statsProHeatmap");
+function wireFilterPresets() {
+  document.getElementById("filterPresetSelect")?.addEventListener("change", onFilterPresetSelected);
+  document.getElementById("filterPresetSaveBtn")?.addEventListener("click", saveCurrentFilterPreset);
+  document.getElementById("filterPresetDeleteBtn")?.addEventListener("click", deleteSelectedFilterPreset);
+  document.getElementById("filterShareBtn")?.addEventListener("click", copyFiltersShareUrl);
+}
 
-  if (summary) {
-    summary.innerHTML = `
-      <div class="statsProKpi">
-        <span>Aktuální období</span>
-        <b>${Number(stats.current?.total || 0)}</b>
-        <small>${escapeHtml(stats.current?.start || "")} – ${escapeHtml(stats.current?.end || "")}</small>
-      </div>
-      <div class="statsProKpi">
-        <span>Předchozí období</span>
-        <b>${Number(stats.previous?.total || 0)}</b>
-        <small>${escapeHtml(stats.previous?.start || "")} – ${escapeHtml(stats.previous?.end || "")}</small>
-      </div>
-      <div class="statsProKpi ${signClass(stats.comparison?.diff)}">
-        <span>Rozdíl</span>
-        <b>${signText(stats.comparison?.diff || 0)}</b>
-        <small>${Number(stats.comparison?.diffPercent || 0)} %</small>
-      </div>
-      <div class="statsProKpi">
-        <span>Aktivní / ukončené</span>
-        <b>${Number(stats.current?.open || 0)} / ${Number(stats.current?.closed || 0)}</b>
-        <small>Bez GPS: ${Number(stats.current?.missingCoords || 0)}</small>
-      </div>
-      <div class="statsProKpi">
-        <span>Nejaktivnější hodina</span>
-        <b>${formatHour(stats.busiestHour?.hour || 0)}</b>
-        <small>${Number(stats.busiestHour?.count || 0)} událostí</small>
-      </div>
-    `;
+// ==============================
+// ODBĚRY EXPORTŮ (plánované doručení CSV / PDF / JSON podle předvolby)
+// ==============================
+let exportSubs = { items: [], formats: [], schedules: {}, transports: [], max: 0 };
+
+const EXPORT_SUB_TARGET_HINT = {
+  smtp: "e-mail (více adres oddělte čárkou)",
+  webhook: "https://… (soubor se pošle jako POST)",
+  outbox: "bez cíle – soubor se uloží na server"
+};
+
+const EXPORT_DELIVERY_STATUS = { ok: "doručeno", failed: "chyba", running: "probíhá" };
+
+function setExportSubsMsg(text, ok = true) {
+  const el = document.getElementById("exportSubsMsg");
+  if (!el) return;
+  el.textContent = text || "";
+  el.classList.toggle("err", !ok);
+}
+
+function fmtExportSubTime(v) {
+  if (!v) return "—";
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? String(v) : d.toLocaleString("cs-CZ");
+}
+
+async function loadExportSubscriptions() {
+  if (!currentUser) {
+    exportSubs = { items: [], formats: [], schedules: {}, transports: [], max: 0 };
+    renderExportSubscriptions();
+    return;
+  }
+  try {
+    const r = await apiFetch("/api/export-subscriptions", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "load_failed");
+    exportSubs = {
+      items: Array.isArray(j.items) ? j.items : [],
+      formats: j.formats || [],
+      schedules: j.schedules || {},
+      transports: j.transports || [],
+      max: Number(j.max || 0)
+    };
+  } catch (e) {
+    setExportSubsMsg(`Odběry se nepodařilo načíst: ${e?.message || e}`, false);
   }
+  renderExportSubscriptions();
+}
 
-  if (typeBox) {
-    const rows = stats.typeTrend || [];
-    typeBox.innerHTML = rows.length ? rows.map(x => `
-      <div class="statsProRow">
-        <span>${escapeHtml(x.name)}</span>
-        <b>${Number(x.current || 0)}</b>
-        <em class="${signClass(x.diff)}">${signText(x.diff)} / ${Number(x.percent || 0)} %</em>
-      </div>
-    `).join("") : `<div class="muted">Bez dat</div>`;
+function renderExportSubsForm() {
+  const presetSel = document.getElementById("exportSubPresetSelect");
+  if (presetSel) {
+    const current = presetSel.value;
+    presetSel.innerHTML = `<option value="">— všechny události —</option>` +
+      filterPresets.map(p => `<option value="${escapeHtml(String(p.id))}">${escapeHtml(p.name)}</option>`).join("");
+    presetSel.value = [...presetSel.options].some(o => o.value === current) ? current : "";
   }
 
-  if (cityBox) {
-    const rows = stats.cityGrowth || [];
-    cityBox.innerHTML = rows.length ? rows.map(x => `
-      <div class="statsProRow">
-        <span>${escapeHtml(x.name)}</span>
-        <b>${Number(x.current || 0)}</b>
-        <em class="${signClass(x.diff)}">${signText(x.diff)}</em>
-      </div>
-    `).join("") : `<div class="muted">Bez dat</div>`;
+  const formatSel = document.getElementById("exportSubFormatSelect");
+  if (formatSel && exportSubs.formats.length && formatSel.options.length !== exportSubs.formats.length) {
+    formatSel.innerHTML = exportSubs.formats.map(f => `<option value="${escapeHtml(f)}">${escapeHtml(f.toUpperCase())}</option>`).join("");
   }
 
-  if (hoursBox) {
-    const rows = stats.hourStats || [];
-    const max = Math.max(1, ...rows.map(x => Number(x.count || 0)));
-    hoursBox.innerHTML = rows.map(x => `
-      <div class="hourBar" title="${formatHour(x.hour)} – ${Number(x.count || 0)} událostí">
-        <span>${String(x.hour).padStart(2, "0")}</span>
-        <i style="height:${Math.max(4, Math.round((Number(x.count || 0) / max) * 92))}%"></i>
-        <b>${Number(x.count || 0)}</b>
-      </div>
+  const scheduleSel = document.getElementById("exportSubScheduleSelect");
+  const schedules = Object.entries(exportSubs.schedules);
+  if (scheduleSel && schedules.length && scheduleSel.options.length !== schedules.length) {
+    scheduleSel.innerHTML = schedules.map(([k, label]) => `<option value="${escapeHtml(k)}">${escapeHtml(label)}</option>`).join("");
+  }
+
+  const transportSel = document.getElementById("exportSubTransportSelect");
+  if (transportSel && exportSubs.transports.length) {
+    const current = transportSel.value;
+    transportSel.innerHTML = exportSubs.transports.map(t => `
+      <option value="${escapeHtml(t.id)}" ${t.available ? "" : "disabled"}>${escapeHtml(t.label)}${t.available ? (t.allowed_domains ? ` (jen @${escapeHtml(t.allowed_domains.join(", @"))})` : "") : (t.admin_only ? " (jen admin)" : " (nenastaveno)")}</option>
     `).join("");
+    const fallback = exportSubs.transports.find(t => t.available)?.id || "outbox";
+    transportSel.value = exportSubs.transports.some(t => t.id === current && t.available) ? current : fallback;
   }
+  syncExportSubTargetInput();
+}
 
-  if (heatBox) {
-    const rows = stats.heatmap || [];
-    const max = Math.max(1, ...rows.map(x => Number(x.count || 0)));
-    heatBox.innerHTML = rows.map(x => {
-      const count = Number(x.count || 0);
-      const level = count <= 0 ? 0 : Math.max(1, Math.ceil((count / max) * 5));
-      return `<div class="heatCell level${level}" title="${escapeHtml(x.day)} – ${count} událostí">
-        <span>${escapeHtml(String(x.day || "").slice(8, 10))}</span>
-        <b>${count}</b>
-      </div>`;
-    }).join("");
+function syncExportSubTargetInput() {
+  const transport = document.getElementById("exportSubTransportSelect")?.value || "outbox";
+  const input = document.getElementById("exportSubTargetInput");
+  if (!input) return;
+  input.placeholder = EXPORT_SUB_TARGET_HINT[transport] || "";
+  input.disabled = transport === "outbox";
+  if (transport === "outbox") input.value = "";
+}
+
+function renderExportSubscriptions() {
+  renderExportSubsForm();
+  const box = document.getElementById("exportSubsList");
+  if (!box) return;
+  if (!exportSubs.items.length) {
+    box.innerHTML = `<div class="muted">Zatím žádný odběr. Vyberte předvolbu, formát a rozvrh níže.</div>`;
+    return;
   }
+  const transportLabel = (id) => exportSubs.transports.find(t => t.id === id)?.label || id;
+  box.innerHTML = exportSubs.items.map(s => {
+    const status = s.last_status
+      ? `<span class="exportSubStatus ${s.last_status === "ok" ? "ok" : "failed"}">${escapeHtml(EXPORT_DELIVERY_STATUS[s.last_status] || s.last_status)}</span>`
+      : `<span class="exportSubStatus">zatím nedoručeno</span>`;
+    const deliveries = (s.deliveries || []).map(d => `
+      <li>
+        <span class="exportSubStatus ${escapeHtml(d.status)}">${escapeHtml(EXPORT_DELIVERY_STATUS[d.status] || d.status)}</span>
+        ${escapeHtml(fmtExportSubTime(d.started_at))} • období ${escapeHtml(d.period_key)}${d.trigger === "manual" ? " • ručně" : ""}
+        ${d.rows != null ? ` • ${Number(d.rows)} záznamů` : ""}
+        ${d.error ? `<span class="err"> – ${escapeHtml(d.error)}</span>` : ""}
+      </li>
+    `).join("");
+    return `
+      <div class="exportSubItem${s.enabled ? "" : " paused"}" data-sub-id="${escapeHtml(String(s.id))}">
+        <div class="exportSubHead">
+          <b>${escapeHtml(s.name)}</b>
+          ${status}
+        </div>
+        <div class="exportSubMeta">
+          ${escapeHtml(s.preset_id ? (s.preset_name || "smazaná předvolba") : "všechny události")} •
+          ${escapeHtml(String(s.format).toUpperCase())} •
+          ${escapeHtml(s.schedule_label || s.schedule)} •
+          ${escapeHtml(transportLabel(s.transport))}${s.target ? ` → ${escapeHtml(s.target)}` : ""}
+        </div>
+        <div class="exportSubMeta">
+          ${s.enabled ? `Další doručení: ${escapeHtml(fmtExportSubTime(s.next_run_at))}` : "Pozastaveno"}
+          ${s.last_delivered_at ? ` • naposledy doručeno ${escapeHtml(fmtExportSubTime(s.last_delivered_at))}` : ""}
+        </div>
+        ${s.last_status === "failed" && s.last_error ? `<div class="err">Poslední chyba: ${escapeHtml(s.last_error)}</div>` : ""}
+        <div class="btnRow">
+          <button class="btn" data-sub-action="run">Odeslat teď</button>
+          <button class="btn" data-sub-action="toggle">${s.enabled ? "Pozastavit" : "Obnovit"}</button>
+          <button class="btn" data-sub-action="delete">Smazat</button>
+        </div>
+        ${deliveries ? `<ul class="exportSubDeliveries">${deliveries}</ul>` : ""}
+      </div>
+    `;
+  }).join("");
 }
 
-async function loadStatsPro() {
-  const preset = document.getElementById("statsProPreset")?.value || "month";
-  const btn = document.getElementById("loadStatsProBtn");
-  const old = btn?.textContent || "Načíst PRO statistiky";
-  const summary = document.getElementById("statsProSummary");
-  const typeBox = document.getElementById("statsProTypeTrend");
-  const cityBox = document.getElementById("statsProCityGrowth");
-  const hoursBox = document.getElementById("statsProHours");
-  const heatBox = document.getElementById("statsProHeatmap");
+async function createExportSubscription() {
+  const body = {
+    name: document.getElementById("exportSubNameInput")?.value || "",
+    preset_id: document.getElementById("exportSubPresetSelect")?.value || null,
+    format: document.getElementById("exportSubFormatSelect")?.value || "csv",
+    schedule: document.getElementById("exportSubScheduleSelect")?.value || "daily",
+    transport: document.getElementById("exportSubTransportSelect")?.value || "outbox",
+    target: document.getElementById("exportSubTargetInput")?.value || ""
+  };
+  try {
+    const r = await apiFetch("/api/export-subscriptions", { method: "POST", body: JSON.stringify(body) });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "save_failed");
+    const nameInput = document.getElementById("exportSubNameInput");
+    if (nameInput) nameInput.value = "";
+    setExportSubsMsg(`Odběr „${j.item.name}“ uložen. První soubor přijde ${fmtExportSubTime(j.item.next_run_at)}.`);
+    await loadExportSubscriptions();
+  } catch (e) {
+    setExportSubsMsg(`Odběr se nepodařilo uložit: ${e?.message || e}`, false);
+  }
+}
 
-  if (summary) summary.innerHTML = `<div class="statsProLoading">Načítám PRO statistiky…</div>`;
-  if (typeBox) typeBox.innerHTML = `<div class="muted">Načítám…</div>`;
-  if (cityBox) cityBox.innerHTML = `<div class="muted">Načítám…</div>`;
-  if (hoursBox) hoursBox.innerHTML = `<div class="muted">Načítám…</div>`;
-  if (heatBox) heatBox.innerHTML = `<div class="muted">Načítám…</div>`;
+async function onExportSubAction(ev) {
+  const btn = ev.target.closest("[data-sub-action]");
+  if (!btn) return;
+  const id = btn.closest("[data-sub-id]")?.dataset.subId;
+  const sub = exportSubs.items.find(s => String(s.id) === String(id));
+  if (!sub) return;
+  const action = btn.dataset.subAction;
 
+  if (action === "delete" && !confirm(`Smazat odběr „${sub.name}“?`)) return;
+  btn.disabled = true;
   try {
-    if (btn) {
-      btn.disabled = true;
-      btn.textContent = "Načítám…";
+    let r;
+    if (action === "run") {
+      setExportSubsMsg(`Odesílám „${sub.name}“…`);
+      r = await apiFetch(`/api/export-subscriptions/${encodeURIComponent(id)}/run`, { method: "POST" });
+    } else if (action === "toggle") {
+      r = await apiFetch(`/api/export-subscriptions/${encodeURIComponent(id)}`, { method: "PUT", body: JSON.stringify({ enabled: !sub.enabled }) });
+    } else {
+      r = await apiFetch(`/api/export-subscriptions/${encodeURIComponent(id)}`, { method: "DELETE" });
     }
-
-    const r = await fetch(`/api/stats/pro?preset=${encodeURIComponent(preset)}&_=${Date.now()}`, { cache: "no-store" });
     const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.error || "stats pro failed");
-
-    renderStatsPro(j.stats);
+    if (action === "run") {
+      const d = j.delivery;
+      if (d?.status === "ok") setExportSubsMsg(`Doručeno (${Number(d.rows || 0)} záznamů, období ${d.period_key}).`);
+      else setExportSubsMsg(`Doručení selhalo: ${d?.error || j.error || r.status}`, false);
+    } else if (!r.ok || !j.ok) {
+      throw new Error(j.error || "action_failed");
+    } else {
+      setExportSubsMsg(action === "delete" ? "Odběr smazán." : (sub.enabled ? "Odběr pozastaven." : "Odběr obnoven."));
+    }
   } catch (e) {
-    const summary = document.getElementById("statsProSummary");
-    if (summary) summary.innerHTML = `<div class="err">Statistiky PRO se nepodařilo načíst: ${escapeHtml(String(e.message || e))}</div>`;
+    setExportSubsMsg(`Akce se nezdařila: ${e?.message || e}`, false);
   } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = old;
-    }
+    btn.disabled = false;
+    loadExportSubscriptions();
   }
 }
 
-function wireStatsPro() {
-  document.getElementById("loadStatsProBtn")?.addEventListener("click", loadStatsPro);
-  document.getElementById("statsProPreset")?.addEventListener("change", loadStatsPro);
-  loadStatsPro();
+function wireExportSubscriptions() {
+  document.getElementById("exportSubAddBtn")?.addEventListener("click", createExportSubscription);
+  document.getElementById("exportSubTransportSelect")?.addEventListener("change", syncExportSubTargetInput);
+  document.getElementById("exportSubsRefreshBtn")?.addEventListener("click", loadExportSubscriptions);
+  document.getElementById("exportSubsList")?.addEventListener("click", onExportSubAction);
 }
 
 
+function setReportsMessage(text, isError = false) {
+  const detail = document.getElementById("reportDetail");
+  if (!detail) return;
+  detail.innerHTML = `<div class="${isError ? "err" : "muted"}">${escapeHtml(String(text || ""))}</div>`;
+}
 
 // ==============================
-// FireWatchCZ Web v1.6 – Notifikace a odběry
+// ARCHIV ANALYTICKÝCH SOUHRNŮ
 // ==============================
 
-const FW_WATCH_SETTINGS_KEY = "fwcz_watchSettings_v1";
-const FW_WATCH_SEEN_KEY = "fwcz_watchSeenEvents_v1";
-const FW_WATCH_HISTORY_KEY = "fwcz_watchHistory_v1";
-
-const FW_TYPE_ALIASES = {
-  fire: ["fire", "požár", "pozar"],
-  traffic: ["traffic", "dopravní", "nehoda", "dn"],
-  tech: ["tech", "technická", "technicka"],
-  rescue: ["rescue", "záchrana", "zachrana"],
-  false_alarm: ["false_alarm", "planý", "plany", "poplach"],
-  other: ["other", "jiné", "jine"]
-};
-
-function loadWatchSettings() {
-  try {
-    return JSON.parse(localStorage.getItem(FW_WATCH_SETTINGS_KEY) || "{}");
-  } catch {
-    return {};
+function defaultReportKey(type) {
+  const d = new Date();
+  if (type === "day") {
+    d.setDate(d.getDate() - 1);
+    return d.toISOString().slice(0, 10);
+  }
+  if (type === "week") {
+    const tmp = new Date(d);
+    tmp.setDate(tmp.getDate() - 7);
+    const onejan = new Date(tmp.getFullYear(), 0, 1);
+    const week = Math.ceil((((tmp - onejan) / 86400000) + onejan.getDay() + 1) / 7);
+    return `${tmp.getFullYear()}-W${String(week).padStart(2, "0")}`;
   }
+  d.setMonth(d.getMonth() - 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
 }
 
-function saveWatchSettings(settings) {
-  localStorage.setItem(FW_WATCH_SETTINGS_KEY, JSON.stringify(settings || {}));
+function reportTypeName(type) {
+  if (type === "month") return "měsíční";
+  if (type === "week") return "týdenní";
+  if (type === "day") return "denní";
+  return type;
 }
 
-function loadWatchSeen() {
-  try {
-    const arr = JSON.parse(localStorage.getItem(FW_WATCH_SEEN_KEY) || "[]");
-    return new Set(Array.isArray(arr) ? arr : []);
-  } catch {
-    return new Set();
-  }
-}
+async function loadReportsArchive() {
+  const box = document.getElementById("reportsList");
+  if (!box) return;
 
-function saveWatchSeen(set) {
-  const arr = [...set].slice(-500);
-  localStorage.setItem(FW_WATCH_SEEN_KEY, JSON.stringify(arr));
-}
+  box.innerHTML = `<div class="muted">Načítám archiv…</div>`;
 
-function loadWatchHistory() {
   try {
-    const arr = JSON.parse(localStorage.getItem(FW_WATCH_HISTORY_KEY) || "[]");
-    return Array.isArray(arr) ? arr : [];
-  } catch {
-    return [];
-  }
-}
+    const r = await fetch("/api/reports?limit=80", { cache: "no-store" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "reports failed");
 
-function saveWatchHistory(arr) {
-  localStorage.setItem(FW_WATCH_HISTORY_KEY, JSON.stringify((arr || []).slice(0, 30)));
-}
+    const reports = j.reports || [];
+    if (!reports.length) {
+      box.innerHTML = `<div class="muted">Zatím není uložený žádný souhrn. Klikni na „Doplnit automatiku“ nebo vygeneruj konkrétní období.</div>`;
+      return;
+    }
 
-function normalizeWatchText(text) {
-  return String(text || "")
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase()
-    .trim();
-}
+    box.innerHTML = reports.map(rep => `
+      <button class="reportItem" data-report-type="${escapeHtml(rep.period_type)}" data-report-key="${escapeHtml(rep.period_key)}">
+        <span>
+          <b>${escapeHtml(rep.title || rep.period_key)}</b>
+          <small>${escapeHtml(reportTypeName(rep.period_type))} • ${escapeHtml(rep.period_start || "")} – ${escapeHtml(rep.period_end || "")}</small>
+        </span>
+        <span class="reportItemNums">${Number(rep.total_events || 0)} událostí</span>
+      </button>
+    `).join("");
 
-function eventTypeKey(ev) {
-  const raw = normalizeWatchText(ev.event_type || ev.type || ev.kind || ev.category || ev.title || "");
-  for (const [key, aliases] of Object.entries(FW_TYPE_ALIASES)) {
-    if (aliases.some(a => raw.includes(normalizeWatchText(a)))) return key;
+    box.querySelectorAll(".reportItem").forEach(btn => {
+      btn.addEventListener("click", () => openReportDetail(btn.dataset.reportType, btn.dataset.reportKey));
+    });
+  } catch (e) {
+    box.innerHTML = `<div class="err">Archiv souhrnů se nepodařilo načíst.</div>`;
   }
-  return "other";
 }
 
-function eventCityText(ev) {
-  return String(ev.city_text || ev.place_text || ev.city || ev.place || ev.title || "");
-}
-
-function watchEventMatches(ev, settings) {
-  if (!settings || settings.enabled === false) return false;
+function renderReportDetail(rep) {
+  const box = document.getElementById("reportDetail");
+  if (!box || !rep) return;
 
-  const cities = Array.isArray(settings.cities) ? settings.cities : [];
-  const types = Array.isArray(settings.types) ? settings.types : [];
+  const d = rep.data || {};
+  box.innerHTML = `
+    <div class="reportDetailHead">
+      <div>
+        <h3>${escapeHtml(rep.title || "Souhrn")}</h3>
+        <p>${escapeHtml(rep.period_start || "")} – ${escapeHtml(rep.period_end || "")}</p>
+      </div>
+      <div class="btnRow">
+        <a class="btn primary" target="_blank" href="/api/reports/${encodeURIComponent(rep.period_type)}/${encodeURIComponent(rep.period_key)}.pdf">Export PDF / tisk</a>
+        <button class="btn" onclick="window.print()">Tisk stránky</button>
+      </div>
+    </div>
 
-  const cityOk = !cities.length || cities.some(city => {
-    const wanted = normalizeWatchText(city);
-    const hay = normalizeWatchText(`${eventCityText(ev)} ${ev.title || ""}`);
-    return wanted && hay.includes(wanted);
-  });
+    <p class="reportSummary">${escapeHtml(d.summary || "")}</p>
+    ${d.duration_quality?.excluded ? `<p class="muted">Bez ${Number(d.duration_quality.excluded)} délek s nízkou spolehlivostí (pod ${Number(d.duration_quality.min_confidence)} %).</p>` : ""}
 
-  const typeKey = eventTypeKey(ev);
-  const typeOk = !types.length || types.includes(typeKey);
+    <div class="reportKpis">
+      <div><span>Celkem</span><b>${Number(rep.total_events || 0)}</b></div>
+      <div><span>Aktivní</span><b>${Number(rep.open_count || 0)}</b></div>
+      <div><span>Ukončené</span><b>${Number(rep.closed_count || 0)}</b></div>
+      <div><span>Bez GPS</span><b>${Number(rep.missing_coords_count || 0)}</b></div>
+      <div><span>Průměr / den</span><b>${Number(d.avg_per_day || 0)}</b></div>
+    </div>
 
-  return cityOk && typeOk;
+    <div class="reportColumns">
+      <div class="reportPanel">
+        <h4>Typy událostí</h4>
+        ${(d.type_stats || []).slice(0, 12).map(x => `<div class="reportRow"><span>${escapeHtml(x.name)}</span><b>${x.count} (${x.percent} %)</b></div>`).join("") || "<p class='muted'>Bez dat</p>"}
+      </div>
+      <div class="reportPanel">
+        <h4>TOP města</h4>
+        ${(d.top_cities || []).slice(0, 12).map(x => `<div class="reportRow"><span>${escapeHtml(x.name)}</span><b>${x.count}</b></div>`).join("") || "<p class='muted'>Bez dat</p>"}
+      </div>
+      <div class="reportPanel">
+        <h4>Nejvytíženější dny</h4>
+        ${(d.busiest_days || []).slice(0, 10).map(x => `<div class="reportRow"><span>${escapeHtml(x.day)}</span><b>${x.count}</b></div>`).join("") || "<p class='muted'>Bez dat</p>"}
+      </div>
+      <div class="reportPanel">
+        <h4>Nejdelší zásahy</h4>
+        ${(d.longest || []).slice(0, 10).map(x => `<div class="reportLong"><b>${escapeHtml(x.duration_text || "")}</b><span>${escapeHtml(x.date || "")} • ${escapeHtml(x.type || "")} • ${escapeHtml(x.city || "")}<br>${escapeHtml(x.title || "")}</span></div>`).join("") || "<p class='muted'>Bez dat</p>"}
+      </div>
+      <div class="reportPanel">
+        <h4>Doby fází (medián)</h4>
+        ${[{ name: "Celkem", ...(d.phase_times?.overall || {}) }, ...(d.phase_times?.byType || [])]
+          .filter(x => x.to_localize?.count || x.to_extinguish?.count)
+          .map(x => `<div class="reportRow"><span>${escapeHtml(x.name)}</span><b>${escapeHtml(x.to_localize?.count ? formatDuration(Number(x.to_localize.median)) : "—")} / ${escapeHtml(x.to_extinguish?.count ? formatDuration(Number(x.to_extinguish.median)) : "—")}</b></div>`)
+          .join("") || "<p class='muted'>Bez časů lokalizace / likvidace</p>"}
+      </div>
+    </div>
+  `;
 }
 
-function watchNotificationTitle(ev) {
-  const type = fwPrettyType?.(ev.event_type || ev.type || "other") || "událost";
-  return `Nová událost: ${String(type).replace(/^[^\s]+\s*/, "")}`;
-}
+async function openReportDetail(type, key) {
+  const box = document.getElementById("reportDetail");
+  if (box) box.innerHTML = `<div class="muted">Načítám souhrn…</div>`;
 
-function watchNotificationBody(ev) {
-  const city = ev.city_text || ev.place_text || "neznámé místo";
-  return `${ev.title || "Nová událost"}\n${city}`;
+  try {
+    const r = await fetch(`/api/reports/${encodeURIComponent(type)}/${encodeURIComponent(key)}`, { cache: "no-store" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "report detail failed");
+    renderReportDetail(j.report);
+  } catch (e) {
+    if (box) box.innerHTML = `<div class="err">Souhrn se nepodařilo otevřít.</div>`;
+  }
 }
 
-async function requestBrowserNotifications() {
-  if (!("Notification" in window)) {
-    setWatchMsg("Tento prohlížeč nepodporuje webové notifikace.", false);
-    return false;
+async function generateSelectedReport() {
+  const typeEl = document.getElementById("reportTypeSelect");
+  const keyEl = document.getElementById("reportKeyInput");
+  if (!typeEl || !keyEl) return;
+
+  const type = typeEl.value;
+  const key = keyEl.value.trim() || defaultReportKey(type);
+  keyEl.value = key;
+
+  try {
+    const r = await fetch("/api/reports/generate", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type, key, force: true })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "generate failed");
+    await loadReportsArchive();
+    renderReportDetail(j.report);
+  } catch (e) {
+    alert("Souhrn se nepodařilo vygenerovat: " + (e.message || e));
   }
+}
 
-  if (Notification.permission === "granted") {
-    setWatchMsg("Notifikace jsou povolené.", true);
-    return true;
+async function runReportsAutomationNow() {
+  try {
+    const r = await fetch("/api/reports/automation/run", { method: "POST" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "automation failed");
+    await loadReportsArchive();
+  } catch (e) {
+    alert("Automatika souhrnů se nepodařila spustit: " + (e.message || e));
   }
+}
 
-  if (Notification.permission === "denied") {
-    setWatchMsg("Notifikace jsou v prohlížeči zakázané. Povol je v nastavení webu/prohlížeče.", false);
-    return false;
+function wireReportsArchive() {
+  const typeEl = document.getElementById("reportTypeSelect");
+  const keyEl = document.getElementById("reportKeyInput");
+
+  if (typeEl && keyEl) {
+    keyEl.value = keyEl.value || defaultReportKey(typeEl.value);
+    typeEl.addEventListener("change", () => {
+      keyEl.value = defaultReportKey(typeEl.value);
+    });
   }
 
-  const result = await Notification.requestPermission();
-  const ok = result === "granted";
-  setWatchMsg(ok ? "Notifikace povoleny." : "Notifikace nebyly povoleny.", ok);
-  return ok;
+  document.getElementById("refreshReportsBtn")?.addEventListener("click", loadReportsArchive);
+  document.getElementById("generateReportBtn")?.addEventListener("click", generateSelectedReport);
+  document.getElementById("runReportsAutomationBtn")?.addEventListener("click", runReportsAutomationNow);
+
+  loadReportsArchive();
 }
 
-function showWatchBrowserNotification(ev) {
-  if (!("Notification" in window) || Notification.permission !== "granted") return;
 
-  const n = new Notification(watchNotificationTitle(ev), {
-    body: watchNotificationBody(ev),
-    tag: `fwcz-event-${ev.id || ev.link || ev.title}`,
-    renotify: false,
-    icon: "/favicon.ico"
-  });
 
-  n.onclick = () => {
-    window.focus();
-    try {
-      document.getElementById("eventsTable")?.scrollIntoView({ behavior: "smooth", block: "start" });
-    } catch {}
-    n.close();
-  };
-}
+// ==============================
+// LANDING PAGE / PUBLIC PRESENTATION
+// ==============================
 
-function setWatchMsg(text, ok = true) {
-  const el = document.getElementById("watchMsg");
-  if (!el) return;
-  el.textContent = text || "";
-  el.style.color = ok ? "rgba(120,255,180,0.9)" : "rgba(255,140,140,0.95)";
+const LS_LANDING_DISMISSED = "fwcz_landingDismissed";
+
+function setLandingVisible(visible) {
+  const landing = document.getElementById("landingPage");
+  if (!landing) return;
+  landing.style.display = visible ? "" : "none";
+  document.body.classList.toggle("landingVisible", visible);
 }
 
-function readWatchForm() {
-  const citiesRaw = document.getElementById("watchCitiesInput")?.value || "";
-  const cities = citiesRaw
-    .split(",")
-    .map(x => x.trim())
-    .filter(Boolean);
+function showLandingPage() {
+  localStorage.removeItem(LS_LANDING_DISMISSED);
+  setLandingVisible(true);
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
 
-  const types = [...document.querySelectorAll(".watchTypeCheck:checked")]
-    .map(x => x.value);
+function openDashboardFromLanding() {
+  localStorage.setItem(LS_LANDING_DISMISSED, "1");
+  setLandingVisible(false);
 
-  return {
-    enabled: true,
-    cities,
-    types,
-    savedAt: new Date().toISOString()
-  };
+  const filters = document.querySelector(".filters");
+  if (filters) {
+    filters.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
 }
 
-function fillWatchForm(settings) {
-  const cityInput = document.getElementById("watchCitiesInput");
-  if (cityInput) cityInput.value = (settings.cities || []).join(", ");
+function initLandingPage() {
+  const shouldHide = localStorage.getItem(LS_LANDING_DISMISSED) === "1";
+  setLandingVisible(!shouldHide);
 
-  document.querySelectorAll(".watchTypeCheck").forEach(ch => {
-    ch.checked = Array.isArray(settings.types) && settings.types.includes(ch.value);
+  document.getElementById("landingDashboardBtn")?.addEventListener("click", openDashboardFromLanding);
+  document.getElementById("landingHomeBtn")?.addEventListener("click", showLandingPage);
+
+  document.getElementById("landingLoginBtn")?.addEventListener("click", () => {
+    openDashboardFromLanding();
+    document.getElementById("loginBtn")?.click();
+  });
+
+  document.getElementById("landingRegisterBtn")?.addEventListener("click", () => {
+    openDashboardFromLanding();
+    document.getElementById("registerBtn")?.click();
   });
 }
 
-function renderWatchSummary() {
-  const settings = loadWatchSettings();
-  const box = document.getElementById("watchSummary");
-  if (!box) return;
 
-  const cities = settings.cities?.length ? settings.cities.join(", ") : "všechna města";
-  const types = settings.types?.length
-    ? settings.types.map(t => {
-        if (t === "fire") return "🔥 požár";
-        if (t === "traffic") return "🚗 dopravní nehoda";
-        if (t === "tech") return "🛠 technická pomoc";
-        if (t === "rescue") return "🚑 záchrana";
-        if (t === "false_alarm") return "🚫 planý poplach";
-        return "❓ jiné";
-      }).join(", ")
-    : "všechny typy";
 
-  const perm = ("Notification" in window) ? Notification.permission : "nepodporováno";
 
-  box.innerHTML = `
-    <div><b>Města:</b> ${escapeHtml(cities)}</div>
-    <div><b>Typy:</b> ${escapeHtml(types)}</div>
-    <div><b>Notifikace:</b> ${escapeHtml(perm)}</div>
-  `;
+// ==============================
+// FireWatchCZ Web v1.5 – Statistiky PRO
+// ==============================
+
+function signText(n) {
+  const num = Number(n || 0);
+  if (num > 0) return `+${num}`;
+  return String(num);
 }
 
-function renderWatchHistory() {
-  const box = document.getElementById("watchHistory");
-  if (!box) return;
+function signClass(n) {
+  const num = Number(n || 0);
+  if (num > 0) return "up";
+  if (num < 0) return "down";
+  return "same";
+}
 
-  const hist = loadWatchHistory();
-  if (!hist.length) {
-    box.innerHTML = "Zatím žádné upozornění.";
-    return;
-  }
+function formatHour(hour) {
+  return `${String(hour).padStart(2, "0")}:00`;
+}
 
-  box.innerHTML = hist.slice(0, 8).map(item => `
-    <div class="watchHistoryItem">
-      <b>${escapeHtml(item.title || "Událost")}</b>
-      <span>${escapeHtml(item.city || "")} • ${escapeHtml(item.time || "")}</span>
-    </div>
-  `).join("");
-}
-
-function addWatchHistory(ev) {
-  const hist = loadWatchHistory();
-  const item = {
-    id: ev.id || ev.link || ev.title,
-    title: ev.title || "Událost",
-    city: ev.city_text || ev.place_text || "",
-    time: new Date().toLocaleString("cs-CZ")
-  };
-  hist.unshift(item);
-  saveWatchHistory(hist);
-  renderWatchHistory();
-}
-
-function processWatchNotifications(items, { initial = false } = {}) {
-  if (!Array.isArray(items) || !items.length) return;
-
-  const settings = loadWatchSettings();
-  if (!settings || settings.enabled === false) return;
-
-  const seen = loadWatchSeen();
+function renderStatsPro(stats) {
+  const summary = document.getElementById("statsProSummary");
+  const typeBox = document.getElementById("statsProTypeTrend");
+  const cityBox = document.getElementById("statsProCityGrowth");
+  const hoursBox = document.getElementById("statsProHours");
+  const heatBox = document.getElementById("statsProHeatmap");
+  const phaseBox = document.getElementById("statsProPhaseTimes");
+  const phaseOverall = stats.phaseTimes?.overall || {};
+  const phaseMedian = (seg) => (seg?.count ? formatDuration(Number(seg.median)) : "—");
 
-  // První načtení: jen si zapamatujeme současné události, aby web neposlal hromadu starých upozornění.
-  if (initial && seen.size === 0) {
-    items.forEach(ev => seen.add(String(ev.id || ev.link || ev.title || "")));
-    saveWatchSeen(seen);
-    return;
+  if (summary) {
+    summary.innerHTML = `
+      <div class="statsProKpi">
+        <span>Aktuální období</span>
+        <b>${Number(stats.current?.total || 0)}</b>
+        <small>${escapeHtml(stats.current?.start || "")} – ${escapeHtml(stats.current?.end || "")}</small>
+      </div>
+      <div class="statsProKpi">
+        <span>Předchozí období</span>
+        <b>${Number(stats.previous?.total || 0)}</b>
+        <small>${escapeHtml(stats.previous?.start || "")} – ${escapeHtml(stats.previous?.end || "")}</small>
+      </div>
+      <div class="statsProKpi ${signClass(stats.comparison?.diff)}">
+        <span>Rozdíl</span>
+        <b>${signText(stats.comparison?.diff || 0)}</b>
+        <small>${Number(stats.comparison?.diffPercent || 0)} %</small>
+      </div>
+      <div class="statsProKpi">
+        <span>Aktivní / ukončené</span>
+        <b>${Number(stats.current?.open || 0)} / ${Number(stats.current?.closed || 0)}</b>
+        <small>Bez GPS: ${Number(stats.current?.missingCoords || 0)}</small>
+      </div>
+      <div class="statsProKpi">
+        <span>Nejaktivnější hodina</span>
+        <b>${formatHour(stats.busiestHour?.hour || 0)}</b>
+        <small>${Number(stats.busiestHour?.count || 0)} událostí</small>
+      </div>
+      <div class="statsProKpi">
+        <span>Do lokalizace / likvidace</span>
+        <b>${escapeHtml(phaseMedian(phaseOverall.to_localize))} / ${escapeHtml(phaseMedian(phaseOverall.to_extinguish))}</b>
+        <small>medián • ${Number(phaseOverall.to_localize?.count || 0)} / ${Number(phaseOverall.to_extinguish?.count || 0)} zásahů</small>
+      </div>
+    `;
   }
 
-  for (const ev of items) {
-    const id = String(ev.id || ev.link || ev.title || "");
-    if (!id || seen.has(id)) continue;
+  if (phaseBox) {
+    const rows = stats.phaseTimes?.byType || [];
+    phaseBox.innerHTML = rows.length ? rows.map(x => `
+      <div class="statsProRow" title="Lokalizace → likvidace: ${escapeHtml(phaseMedian(x.localize_to_extinguish))}; likvidace → ukončení: ${escapeHtml(phaseMedian(x.extinguish_to_close))}">
+        <span>${escapeHtml(x.name)}</span>
+        <b>${escapeHtml(phaseMedian(x.to_localize))}</b>
+        <em>${escapeHtml(phaseMedian(x.to_extinguish))}</em>
+      </div>
+    `).join("") : `<div class="muted">Bez časů lokalizace / likvidace</div>`;
+  }
 
-    seen.add(id);
+  if (typeBox) {
+    const rows = stats.typeTrend || [];
+    typeBox.innerHTML = rows.length ? rows.map(x => `
+      <div class="statsProRow">
+        <span>${escapeHtml(x.name)}</span>
+        <b>${Number(x.current || 0)}</b>
+        <em class="${signClass(x.diff)}">${signText(x.diff)} / ${Number(x.percent || 0)} %</em>
+      </div>
+    `).join("") : `<div class="muted">Bez dat</div>`;
+  }
 
-    if (watchEventMatches(ev, settings)) {
-      showWatchBrowserNotification(ev);
-      addWatchHistory(ev);
-    }
+  if (cityBox) {
+    const rows = stats.cityGrowth || [];
+    cityBox.innerHTML = rows.length ? rows.map(x => `
+      <div class="statsProRow">
+        <span>${escapeHtml(x.name)}</span>
+        <b>${Number(x.current || 0)}</b>
+        <em class="${signClass(x.diff)}">${signText(x.diff)}</em>
+      </div>
+    `).join("") : `<div class="muted">Bez dat</div>`;
   }
 
-  saveWatchSeen(seen);
-}
+  if (hoursBox) {
+    const rows = stats.hourStats || [];
+    const max = Math.max(1, ...rows.map(x => Number(x.count || 0)));
+    hoursBox.innerHTML = rows.map(x => `
+      <div class="hourBar" title="${formatHour(x.hour)} – ${Number(x.count || 0)} událostí">
+        <span>${String(x.hour).padStart(2, "0")}</span>
+        <i style="height:${Math.max(4, Math.round((Number(x.count || 0) / max) * 92))}%"></i>
+        <b>${Number(x.count || 0)}</b>
+      </div>
+    `).join("");
+  }
 
-function saveWatchFromUi() {
-  const settings = readWatchForm();
-  saveWatchSettings(settings);
-  renderWatchSummary();
-  setWatchMsg("Sledování uloženo. Upozornění se zobrazí u nových odpovídajících událostí.", true);
+  if (heatBox) {
+    const rows = stats.heatmap || [];
+    const max = Math.max(1, ...rows.map(x => Number(x.count || 0)));
+    heatBox.innerHTML = rows.map(x => {
+      const count = Number(x.count || 0);
+      const level = count <= 0 ? 0 : Math.max(1, Math.ceil((count / max) * 5));
+      return `<div class="heatCell level${level}" title="${escapeHtml(x.day)} – ${count} událostí">
+        <span>${escapeHtml(String(x.day || "").slice(8, 10))}</span>
+        <b>${count}</b>
+      </div>`;
+    }).join("");
+  }
 }
 
-async function testWatchNotification() {
-  const ok = await requestBrowserNotifications();
-  if (!ok) return;
+async function loadStatsPro() {
+  const preset = document.getElementById("statsProPreset")?.value || "month";
+  const btn = document.getElementById("loadStatsProBtn");
+  const old = btn?.textContent || "Načíst PRO statistiky";
+  const summary = document.getElementById("statsProSummary");
+  const typeBox = document.getElementById("statsProTypeTrend");
+  const cityBox = document.getElementById("statsProCityGrowth");
+  const hoursBox = document.getElementById("statsProHours");
+  const heatBox = document.getElementById("statsProHeatmap");
+  const phaseBox = document.getElementById("statsProPhaseTimes");
 
-  showWatchBrowserNotification({
-    id: "test-" + Date.now(),
-    event_type: "fire",
-    title: "Testovací upozornění FireWatch CZ",
-    city_text: "Testovací město"
-  });
+  if (summary) summary.innerHTML = `<div class="statsProLoading">Načítám PRO statistiky…</div>`;
+  if (phaseBox) phaseBox.innerHTML = `<div class="muted">Načítám…</div>`;
+  if (typeBox) typeBox.innerHTML = `<div class="muted">Načítám…</div>`;
+  if (cityBox) cityBox.innerHTML = `<div class="muted">Načítám…</div>`;
+  if (hoursBox) hoursBox.innerHTML = `<div class="muted">Načítám…</div>`;
+  if (heatBox) heatBox.innerHTML = `<div class="muted">Načítám…</div>`;
 
-  setWatchMsg("Testovací notifikace odeslána.", true);
-}
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Načítám…";
+    }
 
-function wireWatchNotifications() {
-  const settings = loadWatchSettings();
-  fillWatchForm(settings);
-  renderWatchSummary();
-  renderWatchHistory();
+    const durationQuality = document.getElementById("durationQualitySelect")?.value === "reliable" ? "&duration_quality=reliable" : "";
+    const r = await fetch(`/api/stats/pro?preset=${encodeURIComponent(preset)}${durationQuality}&_=${Date.now()}`, { cache: "no-store" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "stats pro failed");
 
-  document.getElementById("saveWatchBtn")?.addEventListener("click", saveWatchFromUi);
-  document.getElementById("enableBrowserNotifBtn")?.addEventListener("click", requestBrowserNotifications);
-  document.getElementById("testWatchNotifBtn")?.addEventListener("click", testWatchNotification);
+    renderStatsPro(j.stats);
+  } catch (e) {
+    const summary = document.getElementById("statsProSummary");
+    if (summary) summary.innerHTML = `<div class="err">Statistiky PRO se nepodařilo načíst: ${escapeHtml(String(e.message || e))}</div>`;
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
+    }
+  }
 }
 
+function wireStatsPro() {
+  document.getElementById("loadStatsProBtn")?.addEventListener("click", loadStatsPro);
+  document.getElementById("statsProPreset")?.addEventListener("change", loadStatsPro);
+  loadStatsPro();
+}
 
 
 
 // ==============================
-// FireWatchCZ Web v2.0 – Professional layout
+// FireWatchCZ Web v1.6 – Notifikace a odběry
 // ==============================
 
-function wireProfessionalLayout() {
-  syncAdminVisibility();
-  rerenderCurrentTableForAdminButtons();
-  const sidebar = document.getElementById("fwSidebar");
-  const toggle = document.getElementById("mobileSidebarToggle");
+const FW_WATCH_SETTINGS_KEY = "fwcz_watchSettings_v1";
+const FW_WATCH_SEEN_KEY = "fwcz_watchSeenEvents_v1";
+const FW_WATCH_HISTORY_KEY = "fwcz_watchHistory_v1";
 
-  function closeMobileSidebar() {
-    document.body.classList.remove("fwSidebarOpen");
+const FW_TYPE_ALIASES = {
+  fire: ["fire", "požár", "pozar"],
+  traffic: ["traffic", "dopravní", "nehoda", "dn"],
+  tech: ["tech", "technická", "technicka"],
+  rescue: ["rescue", "záchrana", "zachrana"],
+  false_alarm: ["false_alarm", "planý", "plany", "poplach"],
+  other: ["other", "jiné", "jine"]
+};
+
+function loadWatchSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(FW_WATCH_SETTINGS_KEY) || "{}");
+  } catch {
+    return {};
   }
+}
 
-  toggle?.addEventListener("click", () => {
-    document.body.classList.toggle("fwSidebarOpen");
-  });
+function saveWatchSettings(settings) {
+  localStorage.setItem(FW_WATCH_SETTINGS_KEY, JSON.stringify(settings || {}));
+}
 
-  document.querySelectorAll("[data-scroll-target]").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const id = btn.getAttribute("data-scroll-target");
-      if (!id) return;
+function loadWatchSeen() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(FW_WATCH_SEEN_KEY) || "[]");
+    return new Set(Array.isArray(arr) ? arr : []);
+  } catch {
+    return new Set();
+  }
+}
 
-      if (id === "adminBtn") {
-        document.getElementById("adminBtn")?.click();
-        closeMobileSidebar();
-        return;
-      }
+function saveWatchSeen(set) {
+  const arr = [...set].slice(-500);
+  localStorage.setItem(FW_WATCH_SEEN_KEY, JSON.stringify(arr));
+}
 
-      const el = document.getElementById(id);
-      if (!el) {
-        closeMobileSidebar();
-        return;
-      }
+function loadWatchHistory() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(FW_WATCH_HISTORY_KEY) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
 
-      if (id === "talkLauncherCard" && !document.body.classList.contains("isTalkOpen")) {
-        document.getElementById("toggleTalkBtn")?.click();
-      }
+function saveWatchHistory(arr) {
+  localStorage.setItem(FW_WATCH_HISTORY_KEY, JSON.stringify((arr || []).slice(0, 30)));
+}
 
-      el.scrollIntoView({ behavior: "smooth", block: "start" });
-      closeMobileSidebar();
-    });
-  });
+function normalizeWatchText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
 
-  // Zvýraznění sidebar položek podle aktuální pozice
-  const buttons = [...document.querySelectorAll(".fwSidebarNav [data-scroll-target]")];
-  const targets = buttons
-    .map(btn => ({ btn, el: document.getElementById(btn.getAttribute("data-scroll-target")) }))
-    .filter(x => x.el);
+function eventTypeKey(ev) {
+  const raw = normalizeWatchText(ev.event_type || ev.type || ev.kind || ev.category || ev.title || "");
+  for (const [key, aliases] of Object.entries(FW_TYPE_ALIASES)) {
+    if (aliases.some(a => raw.includes(normalizeWatchText(a)))) return key;
+  }
+  return "other";
+}
 
-  if ("IntersectionObserver" in window && targets.length) {
-    const observer = new IntersectionObserver((entries) => {
-      const visible = entries
-        .filter(e => e.isIntersecting)
-        .sort((a, b) => b.intersectionRatio - a.intersectionRatio)[0];
+function eventCityText(ev) {
+  return String(ev.city_text || ev.place_text || ev.city || ev.place || ev.title || "");
+}
 
-      if (!visible) return;
+function watchEventMatches(ev, settings) {
+  if (!settings || settings.enabled === false) return false;
 
-      buttons.forEach(b => b.classList.remove("is-active"));
-      const active = targets.find(x => x.el === visible.target);
-      active?.btn?.classList.add("is-active");
-    }, {
-      root: null,
-      threshold: [0.18, 0.35, 0.55],
-      rootMargin: "-15% 0px -65% 0px"
-    });
+  const cities = Array.isArray(settings.cities) ? settings.cities : [];
+  const types = Array.isArray(settings.types) ? settings.types : [];
 
-    targets.forEach(x => observer.observe(x.el));
-  }
+  const cityOk = !cities.length || cities.some(city => {
+    const wanted = normalizeWatchText(city);
+    const hay = normalizeWatchText(`${eventCityText(ev)} ${ev.title || ""}`);
+    return wanted && hay.includes(wanted);
+  });
+
+  const typeKey = eventTypeKey(ev);
+  const typeOk = !types.length || types.includes(typeKey);
+
+  return cityOk && typeOk && watchPresetMatches(ev, settings.preset);
 }
 
+// Předvolba filtrů ve sledování: typ (i podtyp), obce, stav a stupeň poplachu. Den/období u nových událostí nedávají smysl.
+function watchPresetMatches(ev, preset) {
+  const f = preset?.filters;
+  if (!f) return true;
 
+  if (f.type) {
+    const wanted = String(f.type).split(",").map(x => x.trim()).filter(Boolean);
+    const type = String(ev.event_type || "other");
+    const full = ev.event_subtype ? `${type}:${ev.event_subtype}` : type;
+    if (!wanted.some(w => w === type || w === full)) return false;
+  }
 
+  if (f.city) {
+    const hay = normalizeWatchText(`${eventCityText(ev)} ${ev.place_text || ""}`);
+    if (!hay.includes(normalizeWatchText(f.city))) return false;
+  }
 
-// ==============================
-// FireWatchCZ Web v2.1 – Regionální počasí × události
-// ==============================
+  if (f.cities) {
+    const hay = normalizeWatchText(`${eventCityText(ev)} ${ev.place_text || ""}`);
+    const wanted = String(f.cities).split(",").map(normalizeWatchText).filter(Boolean);
+    if (wanted.length && !wanted.some(c => hay.includes(c))) return false;
+  }
 
-let __regionalWeatherLastData = null;
+  if (f.status === "open" && ev.is_closed) return false;
+  if (f.status === "closed" && !ev.is_closed) return false;
+  if (f.alarm_level_gte && Number(ev.alarm_level || 0) < Number(f.alarm_level_gte)) return false;
+  if (f.major_only && !(Number(ev.alarm_level || 0) >= 2 || ev.is_major_event)) return false;
+  return true;
+}
 
-function riskLevelClass(level) {
-  const l = String(level || "").toLowerCase();
-  if (l.includes("vysok")) return "high";
-  if (l.includes("střed") || l.includes("stred")) return "medium";
-  if (l.includes("zvý") || l.includes("zvys")) return "elevated";
-  return "normal";
+function renderWatchPresetSelect() {
+  const sel = document.getElementById("watchPresetSelect");
+  if (!sel) return;
+  const saved = loadWatchSettings().preset;
+  const options = filterPresets.map(p => `<option value="${escapeHtml(String(p.id))}">${escapeHtml(p.name)}</option>`);
+  // Uložená předvolba může být smazaná nebo ještě nenačtená – necháme ji ve výběru, ať se nepřepíše omylem.
+  if (saved?.id && !filterPresets.some(p => String(p.id) === String(saved.id))) {
+    options.push(`<option value="${escapeHtml(String(saved.id))}">${escapeHtml(saved.name || "předvolba")} (uložená kopie)</option>`);
+  }
+  sel.innerHTML = `<option value="">— bez předvolby —</option>` + options.join("");
+  sel.value = saved?.id ? String(saved.id) : "";
 }
 
-function riskText(risk) {
-  if (!risk) return "běžné";
-  const impacts = Array.isArray(risk.impacts) && risk.impacts.length ? ` • ${risk.impacts.join(", ")}` : "";
-  return `${risk.level || "běžné"} (${Number(risk.score || 0)}/100)${impacts}`;
+// Sledování drží kopii filtrů předvolby (funguje i bez přihlášení); po načtení předvoleb ji aktualizujeme.
+function refreshWatchPresetSnapshot() {
+  const settings = loadWatchSettings();
+  if (!settings.preset?.id) return;
+  const fresh = filterPresets.find(p => String(p.id) === String(settings.preset.id));
+  if (!fresh || (presetParamsEqual(fresh.filters, settings.preset.filters) && fresh.name === settings.preset.name)) return;
+  saveWatchSettings({ ...settings, preset: { id: fresh.id, name: fresh.name, filters: fresh.filters || {} } });
+  renderWatchSummary();
 }
 
-function formatRegionalWeatherDay(day) {
-  if (!day) return "—";
-  return String(day).split("-").reverse().join(".");
+function watchNotificationTitle(ev) {
+  const type = fwPrettyType?.(ev.event_type || ev.type || "other") || "událost";
+  return `Nová událost: ${String(type).replace(/^[^\s]+\s*/, "")}`;
 }
 
-function renderRegionalWeather(data) {
-  __regionalWeatherLastData = data;
-  updateCommandOverview(window.latestItemsSnapshot || [], window.latestStatsSnapshot || null);
+function watchNotificationBody(ev) {
+  const city = ev.city_text || ev.place_text || "neznámé místo";
+  return `${ev.title || "Nová událost"}\n${city}`;
+}
 
-  const summaryBox = document.getElementById("regionalWeatherSummary");
-  const highlightsBox = document.getElementById("regionalWeatherHighlights");
-  const zonesBox = document.getElementById("regionalWeatherZones");
-  const detailBox = document.getElementById("regionalWeatherDetail");
+async function requestBrowserNotifications() {
+  if (!("Notification" in window)) {
+    setWatchMsg("Tento prohlížeč nepodporuje webové notifikace.", false);
+    return false;
+  }
 
-  const summary = data.summary || {};
-  const zones = data.zones || [];
+  if (Notification.permission === "granted") {
+    setWatchMsg("Notifikace jsou povolené.", true);
+    return true;
+  }
 
-  if (summaryBox) {
-    summaryBox.innerHTML = `
-      <div class="regionalWeatherLead">
-        <b>${escapeHtml(summary.text || "Regionální počasí načteno.")}</b>
-        <span>Zdroj: ${escapeHtml(data.source || "Open‑Meteo")} • období ${escapeHtml(data.period?.start || "")} – ${escapeHtml(data.period?.end || "")}</span>
-      </div>
-    `;
+  if (Notification.permission === "denied") {
+    setWatchMsg("Notifikace jsou v prohlížeči zakázané. Povol je v nastavení webu/prohlížeče.", false);
+    return false;
   }
 
-  if (highlightsBox) {
-    const strongestWind = summary.strongestWind;
-    const strongestRain = summary.strongestRain;
-    const mostEvents = summary.mostEvents;
-    const highestRisk = summary.highestRisk;
-    const tomorrowRisk = summary.tomorrowHighestRisk;
+  const result = await Notification.requestPermission();
+  const ok = result === "granted";
+  setWatchMsg(ok ? "Notifikace povoleny." : "Notifikace nebyly povoleny.", ok);
+  return ok;
+}
 
-    highlightsBox.innerHTML = `
-      <div class="regionalWeatherKpi">
-        <span>💨 Nejvyšší vítr</span>
-        <b>${escapeHtml(strongestWind?.zoneName || "—")}</b>
-        <small>${Math.round(Number(strongestWind?.current?.gustKmh || 0))} km/h nárazy</small>
-      </div>
-      <div class="regionalWeatherKpi">
-        <span>🌧️ Nejvíce srážek teď</span>
-        <b>${escapeHtml(strongestRain?.zoneName || "—")}</b>
-        <small>${Number(strongestRain?.current?.rainMm || 0).toFixed(1)} mm</small>
-      </div>
-      <div class="regionalWeatherKpi">
-        <span>📍 Nejvíce událostí</span>
-        <b>${escapeHtml(mostEvents?.zoneName || "—")}</b>
-        <small>${Number(mostEvents?.events?.total || 0)} za období</small>
-      </div>
-      <div class="regionalWeatherKpi ${riskLevelClass(highestRisk?.current?.risk?.level)}">
-        <span>⚠️ Aktuální riziko</span>
-        <b>${escapeHtml(highestRisk?.zoneName || "—")}</b>
-        <small>${escapeHtml(riskText(highestRisk?.current?.risk))}</small>
-      </div>
-      <div class="regionalWeatherKpi ${riskLevelClass(tomorrowRisk?.tomorrow?.risk?.level)}">
-        <span>🔮 Zítra / 24 h</span>
-        <b>${escapeHtml(tomorrowRisk?.zoneName || "—")}</b>
-        <small>${escapeHtml(riskText(tomorrowRisk?.tomorrow?.risk))}</small>
-      </div>
-    `;
-  }
+function showWatchBrowserNotification(ev) {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
 
-  if (zonesBox) {
-    zonesBox.innerHTML = zones.map(zone => {
-      const risk = zone.current?.risk || {};
-      const todayRisk = zone.today?.risk || null;
-      const tomorrowRisk = zone.tomorrow?.risk || null;
-      return `
-        <button type="button" class="regionalZoneCard ${riskLevelClass(risk.level)}" data-weather-zone="${escapeHtml(zone.zoneId)}">
-          <div class="regionalZoneHead">
-            <strong>${escapeHtml(zone.zoneName)}</strong>
-            <span>${escapeHtml(zone.current?.weatherEmoji || "🌡️")} ${escapeHtml(zone.current?.weatherLabel || "")}</span>
-          </div>
-          <div class="regionalZoneMetrics">
-            <span>🌡️ ${Number(zone.current?.temp || 0).toFixed(1)} °C</span>
-            <span>💨 ${Math.round(Number(zone.current?.gustKmh || 0))} km/h</span>
-            <span>🌧️ ${Number(zone.current?.rainMm || 0).toFixed(1)} mm</span>
-            <span>📍 ${Number(zone.events?.total || 0)} událostí</span>
-          </div>
-          <div class="regionalZoneRisk">
-            Dnes: ${escapeHtml(riskText(todayRisk || risk))}
-          </div>
-          <div class="regionalZoneTomorrow">
-            Zítra: ${escapeHtml(riskText(tomorrowRisk))}
-          </div>
-        </button>
-      `;
-    }).join("");
+  const n = new Notification(watchNotificationTitle(ev), {
+    body: watchNotificationBody(ev),
+    tag: `fwcz-event-${ev.id || ev.link || ev.title}`,
+    renotify: false,
+    icon: "/favicon.ico"
+  });
 
-    zonesBox.querySelectorAll("[data-weather-zone]").forEach(btn => {
-      btn.addEventListener("click", () => {
-        const zone = zones.find(z => z.zoneId === btn.getAttribute("data-weather-zone"));
-        if (zone) renderRegionalWeatherDetail(zone);
-      });
-    });
-  }
+  n.onclick = () => {
+    window.focus();
+    try {
+      document.getElementById("eventsTable")?.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch {}
+    n.close();
+  };
+}
 
-  if (detailBox && zones.length && !detailBox.innerHTML.trim()) {
-    renderRegionalWeatherDetail(zones[0], { scroll: false });
-  }
+function setWatchMsg(text, ok = true) {
+  const el = document.getElementById("watchMsg");
+  if (!el) return;
+  el.textContent = text || "";
+  el.style.color = ok ? "rgba(120,255,180,0.9)" : "rgba(255,140,140,0.95)";
 }
 
-function renderRegionalWeatherDetail(zone, opts = {}) {
-  const box = document.getElementById("regionalWeatherDetail");
-  if (!box || !zone) return;
+function readWatchForm() {
+  const citiesRaw = document.getElementById("watchCitiesInput")?.value || "";
+  const cities = citiesRaw
+    .split(",")
+    .map(x => x.trim())
+    .filter(Boolean);
 
-  const insights = zone.insights || [];
-  const todayWindows = zone.today?.hourlyRisk || [];
-  const tomorrowWindows = zone.tomorrow?.hourlyRisk || [];
-  const daily = zone.daily || [];
+  const types = [...document.querySelectorAll(".watchTypeCheck:checked")]
+    .map(x => x.value);
 
-  box.innerHTML = `
-    <div class="regionalDetailHead">
-      <div>
-        <h3>${escapeHtml(zone.zoneName)}</h3>
-        <p>Detail počasí, dnešního rizika, zítřejšího výhledu a vazby na události.</p>
-      </div>
-      <div class="regionalDetailBadge ${riskLevelClass(zone.current?.risk?.level)}">
-        ${escapeHtml(riskText(zone.current?.risk))}
-      </div>
-    </div>
+  const presetId = document.getElementById("watchPresetSelect")?.value || "";
+  const found = filterPresets.find(p => String(p.id) === presetId);
+  const previous = loadWatchSettings().preset;
+  const preset = found
+    ? { id: found.id, name: found.name, filters: found.filters || {} }
+    : (presetId && String(previous?.id) === presetId ? previous : null);
 
-    <div class="regionalDetailGrid">
-      <div class="regionalDetailPanel">
-        <h4>Dnešní vývoj</h4>
-        ${todayWindows.length ? todayWindows.map(w => `
-          <div class="regionalWeatherWindow ${riskLevelClass(w.level)}">
-            <b>${escapeHtml(w.window)}</b>
-            <span>${escapeHtml(w.weatherEmoji || "")} ${escapeHtml(w.weatherLabel || "")} • ${escapeHtml(riskText(w))}</span>
-            <small>nárazy ${Math.round(Number(w.maxGustKmh || 0))} km/h • déšť ${Number(w.rainMm || 0).toFixed(1)} mm</small>
-          </div>
-        `).join("") : `<div class="muted">Bez hodinové analýzy.</div>`}
-      </div>
+  return {
+    enabled: true,
+    cities,
+    types,
+    preset,
+    savedAt: new Date().toISOString()
+  };
+}
 
-      <div class="regionalDetailPanel">
-        <h4>Následující den</h4>
-        ${tomorrowWindows.length ? tomorrowWindows.map(w => `
-          <div class="regionalWeatherWindow ${riskLevelClass(w.level)}">
-            <b>${escapeHtml(w.window)}</b>
-            <span>${escapeHtml(w.weatherEmoji || "")} ${escapeHtml(w.weatherLabel || "")} • ${escapeHtml(riskText(w))}</span>
-            <small>nárazy ${Math.round(Number(w.maxGustKmh || 0))} km/h • déšť ${Number(w.rainMm || 0).toFixed(1)} mm</small>
-          </div>
-        `).join("") : `<div class="muted">Bez výhledu.</div>`}
-      </div>
-    </div>
+function fillWatchForm(settings) {
+  const cityInput = document.getElementById("watchCitiesInput");
+  if (cityInput) cityInput.value = (settings.cities || []).join(", ");
 
-    <div class="regionalDetailGrid">
-      <div class="regionalDetailPanel">
-        <h4>Self analytika regionu</h4>
-        ${insights.map(item => `
-          <div class="regionalWeatherInsight ${escapeHtml(item.level || "info")}">
-            <span>${escapeHtml(item.icon || "🌡️")}</span>
-            <div>
-              <b>${escapeHtml(item.title || "")}</b>
-              <p>${escapeHtml(item.text || "")}</p>
-            </div>
-          </div>
-        `).join("")}
-      </div>
+  document.querySelectorAll(".watchTypeCheck").forEach(ch => {
+    ch.checked = Array.isArray(settings.types) && settings.types.includes(ch.value);
+  });
+  renderWatchPresetSelect();
+}
 
-      <div class="regionalDetailPanel">
-        <h4>Události v regionu</h4>
-        <div class="regionalEventStats">
-          <div><span>Celkem</span><b>${Number(zone.events?.total || 0)}</b></div>
-          <div><span>Technická</span><b>${Number(zone.events?.tech || 0)}</b></div>
-          <div><span>Dopravní</span><b>${Number(zone.events?.traffic || 0)}</b></div>
-          <div><span>Požár</span><b>${Number(zone.events?.fire || 0)}</b></div>
-          <div><span>GPS</span><b>${Number(zone.events?.assignedByGps || 0)}</b></div>
-          <div><span>Alias</span><b>${Number(zone.events?.assignedByAlias || 0)}</b></div>
-        </div>
-      </div>
-    </div>
+function renderWatchSummary() {
+  const settings = loadWatchSettings();
+  const box = document.getElementById("watchSummary");
+  if (!box) return;
 
-    <div class="regionalDetailPanel">
-      <h4>Denní přehled počasí × události</h4>
-      <div class="regionalDailyRows">
-        ${daily.slice(-14).reverse().map(day => `
-          <div class="regionalDailyRow ${riskLevelClass(day.risk?.level)}">
-            <span><b>${escapeHtml(formatRegionalWeatherDay(day.day))}</b><small>${escapeHtml(day.weatherEmoji || "")} ${escapeHtml(day.weatherLabel || "")}</small></span>
-            <span>🌡️ ${Number(day.avgTemp || 0).toFixed(1)} °C</span>
-            <span>💨 ${Math.round(Number(day.maxGustKmh || 0))} km/h</span>
-            <span>🌧️ ${Number(day.rainMm || 0).toFixed(1)} mm</span>
-            <span>📍 ${Number(day.events?.total || 0)} událostí</span>
-          </div>
-        `).join("")}
-      </div>
-    </div>
+  const cities = settings.cities?.length ? settings.cities.join(", ") : "všechna města";
+  const types = settings.types?.length
+    ? settings.types.map(t => {
+        if (t === "fire") return "🔥 požár";
+        if (t === "traffic") return "🚗 dopravní nehoda";
+        if (t === "tech") return "🛠 technická pomoc";
+        if (t === "rescue") return "🚑 záchrana";
+        if (t === "false_alarm") return "🚫 planý poplach";
+        return "❓ jiné";
+      }).join(", ")
+    : "všechny typy";
+
+  const perm = ("Notification" in window) ? Notification.permission : "nepodporováno";
+
+  const preset = settings.preset?.name || "žádná";
+
+  box.innerHTML = `
+    <div><b>Města:</b> ${escapeHtml(cities)}</div>
+    <div><b>Typy:</b> ${escapeHtml(types)}</div>
+    <div><b>Předvolba filtrů:</b> ${escapeHtml(preset)}</div>
+    <div><b>Notifikace:</b> ${escapeHtml(perm)}</div>
   `;
+}
 
-  if (opts.scroll !== false) { try { box.scrollIntoView({ behavior: "smooth", block: "nearest" }); } catch {} }
+function renderWatchHistory() {
+  const box = document.getElementById("watchHistory");
+  if (!box) return;
+
+  const hist = loadWatchHistory();
+  if (!hist.length) {
+    box.innerHTML = "Zatím žádné upozornění.";
+    return;
+  }
+
+  box.innerHTML = hist.slice(0, 8).map(item => `
+    <div class="watchHistoryItem">
+      <b>${escapeHtml(item.title || "Událost")}</b>
+      <span>${escapeHtml(item.city || "")} • ${escapeHtml(item.time || "")}</span>
+    </div>
+  `).join("");
 }
 
-async function loadRegionalWeather() {
-  const btn = document.getElementById("loadRegionalWeatherBtn");
-  const old = btn?.textContent || "Načíst regionální počasí";
-  const days = document.getElementById("regionalWeatherDays")?.value || "30";
-  const summary = document.getElementById("regionalWeatherSummary");
-  const zones = document.getElementById("regionalWeatherZones");
-  const detail = document.getElementById("regionalWeatherDetail");
+function addWatchHistory(ev) {
+  const hist = loadWatchHistory();
+  const item = {
+    id: ev.id || ev.link || ev.title,
+    title: ev.title || "Událost",
+    city: ev.city_text || ev.place_text || "",
+    time: new Date().toLocaleString("cs-CZ")
+  };
+  hist.unshift(item);
+  saveWatchHistory(hist);
+  renderWatchHistory();
+}
+
+function processWatchNotifications(items, { initial = false } = {}) {
+  if (!Array.isArray(items) || !items.length) return;
+
+  const settings = loadWatchSettings();
+  if (!settings || settings.enabled === false) return;
+
+  const seen = loadWatchSeen();
+
+  // První načtení: jen si zapamatujeme současné události, aby web neposlal hromadu starých upozornění.
+  if (initial && seen.size === 0) {
+    items.forEach(ev => seen.add(String(ev.id || ev.link || ev.title || "")));
+    saveWatchSeen(seen);
+    return;
+  }
+
+  for (const ev of items) {
+    const id = String(ev.id || ev.link || ev.title || "");
+    if (!id || seen.has(id)) continue;
+
+    seen.add(id);
+
+    if (watchEventMatches(ev, settings)) {
+      showWatchBrowserNotification(ev);
+      addWatchHistory(ev);
+    }
+  }
+
+  saveWatchSeen(seen);
+}
+
+function saveWatchFromUi() {
+  const settings = readWatchForm();
+  saveWatchSettings(settings);
+  renderWatchSummary();
+  setWatchMsg("Sledování uloženo. Upozornění se zobrazí u nových odpovídajících událostí.", true);
+}
+
+async function testWatchNotification() {
+  const ok = await requestBrowserNotifications();
+  if (!ok) return;
+
+  showWatchBrowserNotification({
+    id: "test-" + Date.now(),
+    event_type: "fire",
+    title: "Testovací upozornění FireWatch CZ",
+    city_text: "Testovací město"
+  });
+
+  setWatchMsg("Testovací notifikace odeslána.", true);
+}
+
+function wireWatchNotifications() {
+  const settings = loadWatchSettings();
+  fillWatchForm(settings);
+  renderWatchSummary();
+  renderWatchHistory();
+
+  document.getElementById("saveWatchBtn")?.addEventListener("click", saveWatchFromUi);
+  document.getElementById("enableBrowserNotifBtn")?.addEventListener("click", requestBrowserNotifications);
+  document.getElementById("testWatchNotifBtn")?.addEventListener("click", testWatchNotification);
+}
+
+
+
+
+// ==============================
+// FireWatchCZ Web v2.0 – Professional layout
+// ==============================
+
+function wireProfessionalLayout() {
+  syncAdminVisibility();
+  rerenderCurrentTableForAdminButtons();
+  const sidebar = document.getElementById("fwSidebar");
+  const toggle = document.getElementById("mobileSidebarToggle");
+
+  function closeMobileSidebar() {
+    document.body.classList.remove("fwSidebarOpen");
+  }
+
+  toggle?.addEventListener("click", () => {
+    document.body.classList.toggle("fwSidebarOpen");
+  });
+
+  document.querySelectorAll("[data-scroll-target]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const id = btn.getAttribute("data-scroll-target");
+      if (!id) return;
+
+      if (id === "adminBtn") {
+        document.getElementById("adminBtn")?.click();
+        closeMobileSidebar();
+        return;
+      }
+
+      const el = document.getElementById(id);
+      if (!el) {
+        closeMobileSidebar();
+        return;
+      }
+
+      if (id === "talkLauncherCard" && !document.body.classList.contains("isTalkOpen")) {
+        document.getElementById("toggleTalkBtn")?.click();
+      }
+
+      el.scrollIntoView({ behavior: "smooth", block: "start" });
+      closeMobileSidebar();
+    });
+  });
+
+  // Zvýraznění sidebar položek podle aktuální pozice
+  const buttons = [...document.querySelectorAll(".fwSidebarNav [data-scroll-target]")];
+  const targets = buttons
+    .map(btn => ({ btn, el: document.getElementById(btn.getAttribute("data-scroll-target")) }))
+    .filter(x => x.el);
+
+  if ("IntersectionObserver" in window && targets.length) {
+    const observer = new IntersectionObserver((entries) => {
+      const visible = entries
+        .filter(e => e.isIntersecting)
+        .sort((a, b) => b.intersectionRatio - a.intersectionRatio)[0];
+
+      if (!visible) return;
+
+      buttons.forEach(b => b.classList.remove("is-active"));
+      const active = targets.find(x => x.el === visible.target);
+      active?.btn?.classList.add("is-active");
+    }, {
+      root: null,
+      threshold: [0.18, 0.35, 0.55],
+      rootMargin: "-15% 0px -65% 0px"
+    });
+
+    targets.forEach(x => observer.observe(x.el));
+  }
+}
+
+
+
+
+// ==============================
+// FireWatchCZ Web v2.1 – Regionální počasí × události
+// ==============================
+
+let __regionalWeatherLastData = null;
+
+function riskLevelClass(level) {
+  const l = String(level || "").toLowerCase();
+  if (l.includes("vysok")) return "high";
+  if (l.includes("střed") || l.includes("stred")) return "medium";
+  if (l.includes("zvý") || l.includes("zvys")) return "elevated";
+  return "normal";
+}
+
+function riskText(risk) {
+  if (!risk) return "běžné";
+  const impacts = Array.isArray(risk.impacts) && risk.impacts.length ? ` • ${risk.impacts.join(", ")}` : "";
+  return `${risk.level || "běžné"} (${Number(risk.score || 0)}/100)${impacts}`;
+}
+
+function formatRegionalWeatherDay(day) {
+  if (!day) return "—";
+  return String(day).split("-").reverse().join(".");
+}
+
+function renderRegionalWeather(data) {
+  __regionalWeatherLastData = data;
+  updateCommandOverview(window.latestItemsSnapshot || [], window.latestStatsSnapshot || null);
+
+  const summaryBox = document.getElementById("regionalWeatherSummary");
+  const highlightsBox = document.getElementById("regionalWeatherHighlights");
+  const zonesBox = document.getElementById("regionalWeatherZones");
+  const detailBox = document.getElementById("regionalWeatherDetail");
+
+  const summary = data.summary || {};
+  const zones = data.zones || [];
+
+  if (summaryBox) {
+    summaryBox.innerHTML = `
+      <div class="regionalWeatherLead">
+        <b>${escapeHtml(summary.text || "Regionální počasí načteno.")}</b>
+        <span>Zdroj: ${escapeHtml(data.source || "Open‑Meteo")} • období ${escapeHtml(data.period?.start || "")} – ${escapeHtml(data.period?.end || "")}</span>
+      </div>
+    `;
+  }
+
+  if (highlightsBox) {
+    const strongestWind = summary.strongestWind;
+    const strongestRain = summary.strongestRain;
+    const mostEvents = summary.mostEvents;
+    const highestRisk = summary.highestRisk;
+    const tomorrowRisk = summary.tomorrowHighestRisk;
+
+    highlightsBox.innerHTML = `
+      <div class="regionalWeatherKpi">
+        <span>💨 Nejvyšší vítr</span>
+        <b>${escapeHtml(strongestWind?.zoneName || "—")}</b>
+        <small>${Math.round(Number(strongestWind?.current?.gustKmh || 0))} km/h nárazy</small>
+      </div>
+      <div class="regionalWeatherKpi">
+        <span>🌧️ Nejvíce srážek teď</span>
+        <b>${escapeHtml(strongestRain?.zoneName || "—")}</b>
+        <small>${Number(strongestRain?.current?.rainMm || 0).toFixed(1)} mm</small>
+      </div>
+      <div class="regionalWeatherKpi">
+        <span>📍 Nejvíce událostí</span>
+        <b>${escapeHtml(mostEvents?.zoneName || "—")}</b>
+        <small>${Number(mostEvents?.events?.total || 0)} za období</small>
+      </div>
+      <div class="regionalWeatherKpi ${riskLevelClass(highestRisk?.current?.risk?.level)}">
+        <span>⚠️ Aktuální riziko</span>
+        <b>${escapeHtml(highestRisk?.zoneName || "—")}</b>
+        <small>${escapeHtml(riskText(highestRisk?.current?.risk))}</small>
+      </div>
+      <div class="regionalWeatherKpi ${riskLevelClass(tomorrowRisk?.tomorrow?.risk?.level)}">
+        <span>🔮 Zítra / 24 h</span>
+        <b>${escapeHtml(tomorrowRisk?.zoneName || "—")}</b>
+        <small>${escapeHtml(riskText(tomorrowRisk?.tomorrow?.risk))}</small>
+      </div>
+    `;
+  }
+
+  if (zonesBox) {
+    zonesBox.innerHTML = zones.map(zone => {
+      const risk = zone.current?.risk || {};
+      const todayRisk = zone.today?.risk || null;
+      const tomorrowRisk = zone.tomorrow?.risk || null;
+      return `
+        <button type="button" class="regionalZoneCard ${riskLevelClass(risk.level)}" data-weather-zone="${escapeHtml(zone.zoneId)}">
+          <div class="regionalZoneHead">
+            <strong>${escapeHtml(zone.zoneName)}</strong>
+            <span>${escapeHtml(zone.current?.weatherEmoji || "🌡️")} ${escapeHtml(zone.current?.weatherLabel || "")}</span>
+          </div>
+          <div class="regionalZoneMetrics">
+            <span>🌡️ ${Number(zone.current?.temp || 0).toFixed(1)} °C</span>
+            <span>💨 ${Math.round(Number(zone.current?.gustKmh || 0))} km/h</span>
+            <span>🌧️ ${Number(zone.current?.rainMm || 0).toFixed(1)} mm</span>
+            <span>📍 ${Number(zone.events?.total || 0)} událostí</span>
+          </div>
+          <div class="regionalZoneRisk">
+            Dnes: ${escapeHtml(riskText(todayRisk || risk))}
+          </div>
+          <div class="regionalZoneTomorrow">
+            Zítra: ${escapeHtml(riskText(tomorrowRisk))}
+          </div>
+        </button>
+      `;
+    }).join("");
+
+    zonesBox.querySelectorAll("[data-weather-zone]").forEach(btn => {
+      btn.addEventListener("click", () => {
+        const zone = zones.find(z => z.zoneId === btn.getAttribute("data-weather-zone"));
+        if (zone) renderRegionalWeatherDetail(zone);
+      });
+    });
+  }
+
+  if (detailBox && zones.length && !detailBox.innerHTML.trim()) {
+    renderRegionalWeatherDetail(zones[0], { scroll: false });
+  }
+}
+
+function renderRegionalWeatherDetail(zone, opts = {}) {
+  const box = document.getElementById("regionalWeatherDetail");
+  if (!box || !zone) return;
+
+  const insights = zone.insights || [];
+  const todayWindows = zone.today?.hourlyRisk || [];
+  const tomorrowWindows = zone.tomorrow?.hourlyRisk || [];
+  const daily = zone.daily || [];
+
+  box.innerHTML = `
+    <div class="regionalDetailHead">
+      <div>
+        <h3>${escapeHtml(zone.zoneName)}</h3>
+        <p>Detail počasí, dnešního rizika, zítřejšího výhledu a vazby na události.</p>
+      </div>
+      <div class="regionalDetailBadge ${riskLevelClass(zone.current?.risk?.level)}">
+        ${escapeHtml(riskText(zone.current?.risk))}
+      </div>
+    </div>
+
+    <div class="regionalDetailGrid">
+      <div class="regionalDetailPanel">
+        <h4>Dnešní vývoj</h4>
+        ${todayWindows.length ? todayWindows.map(w => `
+          <div class="regionalWeatherWindow ${riskLevelClass(w.level)}">
+            <b>${escapeHtml(w.window)}</b>
+            <span>${escapeHtml(w.weatherEmoji || "")} ${escapeHtml(w.weatherLabel || "")} • ${escapeHtml(riskText(w))}</span>
+            <small>nárazy ${Math.round(Number(w.maxGustKmh || 0))} km/h • déšť ${Number(w.rainMm || 0).toFixed(1)} mm</small>
+          </div>
+        `).join("") : `<div class="muted">Bez hodinové analýzy.</div>`}
+      </div>
+
+      <div class="regionalDetailPanel">
+        <h4>Následující den</h4>
+        ${tomorrowWindows.length ? tomorrowWindows.map(w => `
+          <div class="regionalWeatherWindow ${riskLevelClass(w.level)}">
+            <b>${escapeHtml(w.window)}</b>
+            <span>${escapeHtml(w.weatherEmoji || "")} ${escapeHtml(w.weatherLabel || "")} • ${escapeHtml(riskText(w))}</span>
+            <small>nárazy ${Math.round(Number(w.maxGustKmh || 0))} km/h • déšť ${Number(w.rainMm || 0).toFixed(1)} mm</small>
+          </div>
+        `).join("") : `<div class="muted">Bez výhledu.</div>`}
+      </div>
+    </div>
+
+    <div class="regionalDetailGrid">
+      <div class="regionalDetailPanel">
+        <h4>Self analytika regionu</h4>
+        ${insights.map(item => `
+          <div class="regionalWeatherInsight ${escapeHtml(item.level || "info")}">
+            <span>${escapeHtml(item.icon || "🌡️")}</span>
+            <div>
+              <b>${escapeHtml(item.title || "")}</b>
+              <p>${escapeHtml(item.text || "")}</p>
+            </div>
+          </div>
+        `).join("")}
+      </div>
+
+      <div class="regionalDetailPanel">
+        <h4>Události v regionu</h4>
+        <div class="regionalEventStats">
+          <div><span>Celkem</span><b>${Number(zone.events?.total || 0)}</b></div>
+          <div><span>Technická</span><b>${Number(zone.events?.tech || 0)}</b></div>
+          <div><span>Dopravní</span><b>${Number(zone.events?.traffic || 0)}</b></div>
+          <div><span>Požár</span><b>${Number(zone.events?.fire || 0)}</b></div>
+          <div><span>GPS</span><b>${Number(zone.events?.assignedByGps || 0)}</b></div>
+          <div><span>Alias</span><b>${Number(zone.events?.assignedByAlias || 0)}</b></div>
+        </div>
+      </div>
+    </div>
+
+    <div class="regionalDetailPanel">
+      <h4>Denní přehled počasí × události</h4>
+      <div class="regionalDailyRows">
+        ${daily.slice(-14).reverse().map(day => `
+          <div class="regionalDailyRow ${riskLevelClass(day.risk?.level)}">
+            <span><b>${escapeHtml(formatRegionalWeatherDay(day.day))}</b><small>${escapeHtml(day.weatherEmoji || "")} ${escapeHtml(day.weatherLabel || "")}</small></span>
+            <span>🌡️ ${Number(day.avgTemp || 0).toFixed(1)} °C</span>
+            <span>💨 ${Math.round(Number(day.maxGustKmh || 0))} km/h</span>
+            <span>🌧️ ${Number(day.rainMm || 0).toFixed(1)} mm</span>
+            <span>📍 ${Number(day.events?.total || 0)} událostí</span>
+          </div>
+        `).join("")}
+      </div>
+    </div>
+  `;
+
+  if (opts.scroll !== false) { try { box.scrollIntoView({ behavior: "smooth", block: "nearest" }); } catch {} }
+}
+
+async function loadRegionalWeather() {
+  const btn = document.getElementById("loadRegionalWeatherBtn");
+  const old = btn?.textContent || "Načíst regionální počasí";
+  const days = document.getElementById("regionalWeatherDays")?.value || "30";
+  const summary = document.getElementById("regionalWeatherSummary");
+  const zones = document.getElementById("regionalWeatherZones");
+  const detail = document.getElementById("regionalWeatherDetail");
+
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Načítám…";
+    }
+
+    if (summary) summary.innerHTML = `<div class="regionalWeatherLoading">Načítám počasí pro regiony Středočeského kraje…</div>`;
+    if (zones) zones.innerHTML = "";
+    if (detail) detail.innerHTML = "";
+
+    const r = await fetch(`/api/weather/regions/anomalies?days=${encodeURIComponent(days)}&_=${Date.now()}`, { cache: "no-store" });
+    const j = await r.json();
+
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "regional weather failed");
+
+    renderRegionalWeather(j.weather);
+  } catch (e) {
+    if (summary) summary.innerHTML = `<div class="err">Regionální počasí se nepodařilo načíst: ${escapeHtml(String(e.message || e))}</div>`;
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
+    }
+  }
+}
+
+function wireRegionalWeather() {
+  document.getElementById("loadRegionalWeatherBtn")?.addEventListener("click", loadRegionalWeather);
+  document.getElementById("regionalWeatherDays")?.addEventListener("change", loadRegionalWeather);
+  loadRegionalWeather();
+}
+
+
+
+
+// ==============================
+// FireWatchCZ Web v2.2 – zpětný přepočet významných událostí
+// ==============================
+
+
+function setMajorBackfillStatus(text) {
+  ["majorBackfillStatus", "adminMajorBackfillStatus"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text || "";
+  });
+}
+
+async function runMajorEventsBackfill() {
+  const btn = document.getElementById("majorBackfillBtn");
+  const status = document.getElementById("majorBackfillStatus");
+  const adminStatus = document.getElementById("adminMajorBackfillStatus");
+  const old = btn?.textContent || "Přepočítat významné události";
+
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Přepočítávám…";
+    }
+    setMajorBackfillStatus("Procházím uložené události v databázi…");
+
+    const r = await fetch("/api/admin/major-events/backfill", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ limit: 10000 })
+    });
+    const j = await r.json();
+
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "backfill failed");
+
+    setMajorBackfillStatus(`Hotovo: zkontrolováno ${j.scanned}, upraveno ${j.updated}, významné ${j.major}, znovu otevřeno ${j.reopened}.`);
+
+    await loadAll();
+  } catch (e) {
+    setMajorBackfillStatus(`Nepodařilo se přepočítat: ${String(e.message || e)}`);
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
+    }
+  }
+}
+
+async function reloadMajorEventsFromServer() {
+  const status = document.getElementById("majorBackfillStatus");
+  try {
+    setMajorBackfillStatus("Načítám významné události…");
+    const r = await fetch("/api/admin/major-events?limit=50", { credentials: "include", cache: "no-store" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "major list failed");
+    renderMajorEvents(j.items || []);
+    setMajorBackfillStatus(`Načteno ${Number(j.items?.length || 0)} významných událostí.`);
+  } catch (e) {
+    setMajorBackfillStatus(`Nepodařilo se načíst významné události: ${String(e.message || e)}`);
+  }
+}
+
+function wireMajorEventsBackfill() {
+  document.getElementById("majorBackfillBtn")?.addEventListener("click", runMajorEventsBackfill);
+  document.getElementById("adminMajorBackfillBtn")?.addEventListener("click", runMajorEventsBackfill);
+  document.getElementById("majorReloadBtn")?.addEventListener("click", reloadMajorEventsFromServer);
+  document.getElementById("adminMajorReloadBtn")?.addEventListener("click", reloadMajorEventsFromServer);
+}
+
+
+
+
+// ==============================
+// FireWatchCZ v2.3 – přehlednější hlavní stránka
+// ==============================
+
+function updateCommandOverview(items = [], stats = null) {
+  const status = document.getElementById("commandOverviewStatus");
+  const lastUpdate = document.getElementById("overviewLastUpdate");
+  const mapCount = document.getElementById("overviewMapCount");
+  const majorCount = document.getElementById("overviewMajorCount");
+  const openCount = document.getElementById("overviewOpenCount");
+  const totalCount = document.getElementById("overviewTotalCount");
+  const missingCount = document.getElementById("overviewMissingCount");
+  const weatherRisk = document.getElementById("overviewWeatherRisk");
+  const primary = document.getElementById("overviewPrimaryIncident");
+  const filterLabel = document.getElementById("overviewFilterLabel");
+  const dataHealth = document.getElementById("overviewDataHealth");
+
+  const safeItems = Array.isArray(items) ? items : [];
+  const mapped = safeItems.filter(x => typeof hasValidCoords === "function" ? hasValidCoords(x) : (Number.isFinite(Number(x.lat)) && Number.isFinite(Number(x.lon)))).length;
+  const missing = Math.max(0, safeItems.length - mapped);
+  const major = safeItems.filter(x => typeof isMajorEventItem === "function" ? isMajorEventItem(x) : false).length;
+  const open = safeItems.filter(x => !x.is_closed).length;
+  const closed = safeItems.filter(x => !!x.is_closed).length;
+  const carryover = safeItems.filter(x => typeof isImportantCarryoverEvent === "function" && isImportantCarryoverEvent(x) && (x.is_carryover_active || Number(x.carryover_days || 0) > 0)).length;
+
+  if (mapCount) mapCount.textContent = `${mapped}`;
+  if (majorCount) majorCount.textContent = `${major}`;
+  if (openCount) openCount.textContent = `${open}`;
+  if (totalCount) totalCount.textContent = `${safeItems.length}`;
+  if (missingCount) missingCount.textContent = `${missing}`;
+
+  if (status) {
+    const state = open > 0 ? "AKTIVNÍ PROVOZ" : "KLIDOVÝ PŘEHLED";
+    status.textContent = `${state} • ${safeItems.length} záznamů`;
+  }
+
+  if (lastUpdate) {
+    try {
+      lastUpdate.textContent = `aktualizováno ${new Intl.DateTimeFormat("cs-CZ", { hour: "2-digit", minute: "2-digit", second: "2-digit" }).format(new Date())}`;
+    } catch {
+      lastUpdate.textContent = "aktualizováno nyní";
+    }
+  }
+
+  const stripUpdated = document.getElementById("dataStripUpdated");
+  const stripLastEvent = document.getElementById("dataStripLastEvent");
+  const stripSource = document.getElementById("dataStripSource");
+  if (stripUpdated) {
+    try {
+      stripUpdated.textContent = new Intl.DateTimeFormat("cs-CZ", { hour: "2-digit", minute: "2-digit", second: "2-digit" }).format(new Date());
+    } catch {
+      stripUpdated.textContent = "nyní";
+    }
+  }
+  if (stripLastEvent) {
+    const newest = safeItems
+      .map(x => x?.pub_date || x?.start_time_iso || x?.created_at || "")
+      .filter(Boolean)
+      .sort((a, b) => new Date(b).getTime() - new Date(a).getTime())[0];
+    stripLastEvent.textContent = newest ? formatDate(newest) : "bez dat";
+  }
+  if (stripSource && !latestDataHealth?.ingest?.sources?.length) {
+    stripSource.textContent = safeItems.length ? "RSS aktivní" : "čekám na data";
+  }
+
+  if (filterLabel) {
+    const f = typeof getFiltersFromUi === "function" ? getFiltersFromUi() : {};
+    const dayMap = { today: "dnes", yesterday: "včera", all: "vše" };
+    const statusMap = { all: "vše", open: "aktivní", closed: "ukončené" };
+    filterLabel.textContent = `Filtr: ${dayMap[f.day] || f.day || "—"} • ${f.type || "vše"} • ${statusMap[f.status] || f.status || "vše"}${f.city ? ` • ${f.city}` : ""}`;
+  }
+
+  if (dataHealth) {
+    if (safeItems.length === 0) {
+      dataHealth.textContent = "Stav dat: bez záznamů pro filtr";
+      dataHealth.className = "warn";
+    } else if (missing > 0) {
+      dataHealth.textContent = `Stav dat: ${missing} bez GPS`;
+      dataHealth.className = "warn";
+    } else {
+      dataHealth.textContent = "Stav dat: GPS kompletní";
+      dataHealth.className = "ok";
+    }
+  }
+
+  if (primary) {
+    const openSorted = safeItems
+      .filter(x => !x.is_closed)
+      .map(x => ({ ...x, __duration: typeof liveDurationForEvent === "function" ? Number(liveDurationForEvent(x) || 0) : Number(x.duration_min || 0) }))
+      .sort((a, b) => b.__duration - a.__duration);
+
+    if (openSorted.length) {
+      const it = openSorted[0];
+      const meta = typeof typeMeta === "function" ? typeMeta(it.event_type, it.event_subtype) : { emoji: "•" };
+      primary.innerHTML = `<strong>${meta.emoji || "•"} ${escapeHtml(it.title || "Aktivní zásah")}</strong><span>${escapeHtml(it.city_text || it.place_text || "")} • ${escapeHtml(formatDuration(it.__duration))}${carryover ? ` • přesah ${carryover}` : ""}</span>`;
+    } else {
+      primary.innerHTML = `<strong>✅ Bez aktivního zásahu</strong><span>${closed} ukončených v aktuálním filtru</span>`;
+    }
+  }
+
+  if (weatherRisk && __regionalWeatherLastData?.summary?.highestRisk) {
+    const z = __regionalWeatherLastData.summary.highestRisk;
+    weatherRisk.textContent = `Počasí: ${z.zoneName || "bez zvýšeného rizika"}`;
+  } else if (weatherRisk) {
+    weatherRisk.textContent = "Počasí: načítá se";
+  }
+}
+
+function wireCommandOverviewNav() {
+  document.querySelectorAll(".commandTile[data-scroll-target], .v28KpiTile[data-scroll-target], .quickJump[data-scroll-target], .fwSidebarNav [data-scroll-target]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const id = btn.getAttribute("data-scroll-target");
+      const el = id ? document.getElementById(id) : null;
+      if (el) el.scrollIntoView({ behavior: "smooth", block: "start" });
+    });
+  });
+}
+
+
+
+
+
+let __manualMapPickMode = false;
+let __manualMapPickMarker = null;
+
+function setManualCoords(lat, lon) {
+  const latInput = document.getElementById("manualEventLat");
+  const lonInput = document.getElementById("manualEventLon");
+  if (latInput) latInput.value = Number(lat).toFixed(6);
+  if (lonInput) lonInput.value = Number(lon).toFixed(6);
+
+  const hint = document.getElementById("manualCoordsHint");
+  if (hint) hint.textContent = `Vybraná pozice: ${Number(lat).toFixed(6)}, ${Number(lon).toFixed(6)}`;
+
+  if (map && window.L) {
+    if (__manualMapPickMarker) {
+      __manualMapPickMarker.setLatLng([Number(lat), Number(lon)]);
+    } else {
+      __manualMapPickMarker = L.marker([Number(lat), Number(lon)], {
+        title: "Ručně vybraná poloha výjezdu"
+      }).addTo(map);
+    }
+  }
+}
+
+function clearManualCoordsInputs() {
+  const latInput = document.getElementById("manualEventLat");
+  const lonInput = document.getElementById("manualEventLon");
+  if (latInput) latInput.value = "";
+  if (lonInput) lonInput.value = "";
+
+  const hint = document.getElementById("manualCoordsHint");
+  if (hint) hint.textContent = "Souřadnice budou ponechané prázdné / smažou se po uložení.";
+
+  if (__manualMapPickMarker && map) {
+    try { map.removeLayer(__manualMapPickMarker); } catch {}
+    __manualMapPickMarker = null;
+  }
+}
+
+function startManualMapPick() {
+  __manualMapPickMode = true;
+
+  const back = document.getElementById("manualEventModalBackdrop");
+  if (back) back.style.display = "none";
+
+  const restore = document.getElementById("restoreAdminPanelBtn");
+  if (restore) {
+    restore.style.display = "";
+    restore.textContent = "Zpět k úpravě výjezdu";
+  }
+
+  const hint = document.getElementById("manualCoordsHint");
+  if (hint) hint.textContent = "Režim výběru na mapě aktivní. Klikni do mapy na místo výjezdu.";
+
+  if (map) {
+    try {
+      map.getContainer().classList.add("mapPickMode");
+      map.once("click", (ev) => {
+        __manualMapPickMode = false;
+        try { map.getContainer().classList.remove("mapPickMode"); } catch {}
+        setManualCoords(ev.latlng.lat, ev.latlng.lng);
+
+        const modal = document.getElementById("manualEventModalBackdrop");
+        if (modal) modal.style.display = "flex";
+        if (restore) restore.style.display = "none";
+      });
+    } catch {}
+  } else {
+    alert("Mapa zatím není připravená.");
+    if (back) back.style.display = "flex";
+  }
+}
+
+function restoreManualModalAfterMapPick() {
+  __manualMapPickMode = false;
+  try { if (map) map.getContainer().classList.remove("mapPickMode"); } catch {}
+  const modal = document.getElementById("manualEventModalBackdrop");
+  if (modal) modal.style.display = "flex";
+  const restore = document.getElementById("restoreAdminPanelBtn");
+  if (restore) restore.style.display = "none";
+}
+
+
+// ==============================
+// FireWatchCZ Web v2.4 – ruční editace události
+// ==============================
+
+let __manualEventCurrentId = null;
+
+function toLocalDateTimeInput(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function fromLocalDateTimeInput(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString();
+}
+
+function syncManualEndInput() {
+  const mode = document.getElementById("manualEventStatusMode")?.value || "auto";
+  const end = document.getElementById("manualEventEnd");
+  const endLabel = document.getElementById("manualEventEndLabel");
+  const endHint = document.getElementById("manualEventEndHint");
+
+  if (!end) return;
+
+  if (mode === "open") {
+    end.value = "";
+    end.disabled = true;
+    endLabel?.classList.add("is-disabled");
+    if (endHint) endHint.textContent = "Aktivní zásah nemá konec. Délka se počítá průběžně od začátku do aktuálního času.";
+  } else {
+    end.disabled = false;
+    endLabel?.classList.remove("is-disabled");
+    if (endHint) endHint.textContent = "U aktivního zásahu se konec nevyplňuje. Doplní se až po ukončení.";
+  }
+}
+
+function updateManualEventComputed() {
+  syncManualEndInput();
+
+  const box = document.getElementById("manualEventComputed");
+  if (!box) return;
+
+  const mode = document.getElementById("manualEventStatusMode")?.value || "auto";
+  const startValue = document.getElementById("manualEventStart")?.value || "";
+  const endValue = document.getElementById("manualEventEnd")?.value || "";
+
+  const start = startValue ? new Date(startValue) : null;
+  const end = endValue ? new Date(endValue) : null;
+
+  if (!start || Number.isNaN(start.getTime())) {
+    box.textContent = "Délka se spočítá po zadání začátku zásahu.";
+    return;
+  }
+
+  if (mode === "open") {
+    const minutes = Math.max(0, Math.round((new Date() - start) / 60000));
+    box.textContent = `Zásah je nastavený jako AKTIVNÍ. Konec není potřeba zadávat. Průběžná délka: ${formatDuration(minutes)}.`;
+    return;
+  }
+
+  if (mode === "closed") {
+    if (!end || Number.isNaN(end.getTime())) {
+      box.textContent = "U ukončeného zásahu můžeš zadat konec. Když ho necháš prázdný, při uložení se použije aktuální čas.";
+      return;
+    }
+    if (end < start) {
+      box.textContent = "Pozor: konec zásahu je před začátkem.";
+      return;
+    }
+    const minutes = Math.max(0, Math.round((end - start) / 60000));
+    box.textContent = `Nová délka zásahu: ${formatDuration(minutes)}.`;
+    return;
+  }
+
+  box.textContent = "Automatika ponechá aktuální stav, ručně se uloží hlavně stupeň poplachu a významnost.";
+}
+
+const FIELD_SOURCE_LABELS = {
+  is_closed: "stav",
+  end_time_iso: "konec",
+  start_time_iso: "začátek",
+  alarm_level: "stupeň",
+  coords: "pozice"
+};
+
+function fieldSourcesSummaryHtml(fieldSources) {
+  const fs = fieldSources && typeof fieldSources === "object" ? fieldSources : {};
+  const parts = Object.entries(FIELD_SOURCE_LABELS)
+    .filter(([field]) => fs[field]?.source)
+    .map(([field, label]) => `${label}: ${escapeHtml(fs[field].source)}`);
+  return parts.length ? `<small>Poslední zdroj polí – ${parts.join(" • ")}</small>` : "";
+}
+
+async function openManualEventEditor(id) {
+  if (!id) return;
+  __manualEventCurrentId = id;
+
+  const back = document.getElementById("manualEventModalBackdrop");
+  const status = document.getElementById("manualEventStatus");
+  const info = document.getElementById("manualEventInfo");
+
+  try {
+    if (back) back.style.display = "flex";
+    if (status) status.textContent = "Načítám událost…";
+
+    const r = await fetch(`/api/admin/events/${encodeURIComponent(id)}/manual`, {
+      credentials: "include",
+      cache: "no-store"
+    });
+    const j = await r.json();
+
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "manual event load failed");
+
+    const ev = j.event;
+
+    if (info) {
+      info.innerHTML = `
+        <b>${escapeHtml(ev.title || "")}</b>
+        <span>${escapeHtml(ev.city_text || ev.place_text || "")} • ${escapeHtml(ev.status_text || "")}</span>
+        <small>ID: ${escapeHtml(ev.id || "")}</small>
+        ${fieldSourcesSummaryHtml(ev.field_sources)}
+      `;
+    }
+
+    const mode = ev.status_source === "manual"
+      ? (ev.is_closed ? "closed" : "open")
+      : "auto";
+
+    document.getElementById("manualEventStatusMode").value = mode;
+    document.getElementById("manualEventAlarmLevel").value = ev.alarm_level ? String(ev.alarm_level) : "";
+    document.getElementById("manualEventIsMajor").checked = !!ev.is_major_event;
+    document.getElementById("manualEventMajorReason").value = ev.major_reason || "";
+    document.getElementById("manualEventStart").value = toLocalDateTimeInput(ev.start_time_iso || ev.pub_date || ev.first_seen_at || ev.created_at);
+    document.getElementById("manualEventEnd").value = toLocalDateTimeInput(ev.end_time_iso);
+
+    const latInput = document.getElementById("manualEventLat");
+    const lonInput = document.getElementById("manualEventLon");
+    const lat = Number(String(ev.lat ?? "").replace(",", "."));
+    const lon = Number(String(ev.lon ?? "").replace(",", "."));
+    if (latInput) latInput.value = Number.isFinite(lat) ? lat.toFixed(6) : "";
+    if (lonInput) lonInput.value = Number.isFinite(lon) ? lon.toFixed(6) : "";
+
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      setManualCoords(lat, lon);
+    } else {
+      const hint = document.getElementById("manualCoordsHint");
+      if (hint) hint.textContent = "Tento výjezd zatím nemá uloženou pozici. Zadej souřadnice nebo klikni na mapu.";
+      if (__manualMapPickMarker && map) {
+        try { map.removeLayer(__manualMapPickMarker); } catch {}
+        __manualMapPickMarker = null;
+      }
+    }
+
+    if (status) status.textContent = "";
+    syncManualEndInput();
+    updateManualEventComputed();
+  } catch (e) {
+    if (status) status.textContent = `Nepodařilo se načíst událost: ${String(e.message || e)}`;
+  }
+}
+
+function closeManualEventEditor() {
+  const back = document.getElementById("manualEventModalBackdrop");
+  if (back) back.style.display = "none";
+  __manualEventCurrentId = null;
+}
+
+async function saveManualEventEditor() {
+  if (!__manualEventCurrentId) return;
+
+  const status = document.getElementById("manualEventStatus");
+  const btn = document.getElementById("manualEventSaveBtn");
+  const old = btn?.textContent || "Uložit a přepočítat";
+
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Ukládám…";
+    }
+    if (status) status.textContent = "Ukládám ruční úpravu…";
+
+    const manualStatusMode = document.getElementById("manualEventStatusMode")?.value || "auto";
+    const payload = {
+      statusMode: manualStatusMode,
+      alarmLevel: document.getElementById("manualEventAlarmLevel")?.value || "",
+      isMajorEvent: !!document.getElementById("manualEventIsMajor")?.checked,
+      majorReason: document.getElementById("manualEventMajorReason")?.value || "",
+      startTimeIso: fromLocalDateTimeInput(document.getElementById("manualEventStart")?.value || ""),
+      endTimeIso: manualStatusMode === "open" ? null : fromLocalDateTimeInput(document.getElementById("manualEventEnd")?.value || ""),
+      lat: document.getElementById("manualEventLat")?.value || "",
+      lon: document.getElementById("manualEventLon")?.value || "",
+      clearCoords: !document.getElementById("manualEventLat")?.value && !document.getElementById("manualEventLon")?.value
+    };
+
+    const r = await fetch(`/api/admin/events/${encodeURIComponent(__manualEventCurrentId)}/manual`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify(payload)
+    });
+    const j = await r.json();
+
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "manual event save failed");
+
+    if (status) status.textContent = "Uloženo. Přepočítávám přehled…";
+    await loadAll(true);
+    closeManualEventEditor();
+  } catch (e) {
+    if (status) status.textContent = `Nepodařilo se uložit: ${String(e.message || e)}`;
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
+    }
+  }
+}
+
+
+
+function wireManualEventEditorDelegated() {
+  if (window.__manualEventDelegatedBound) return;
+  window.__manualEventDelegatedBound = true;
+
+  document.addEventListener("click", (ev) => {
+    const target = ev.target;
+    if (!target) return;
+
+    if (target.closest?.("#manualEventCloseBtn") || target.closest?.("#manualEventCancelBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      closeManualEventEditor();
+      return;
+    }
+
+    if (target.closest?.("#manualEventSaveBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      saveManualEventEditor();
+      return;
+    }
+
+    if (target.closest?.("#manualPickOnMapBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      startManualMapPick();
+      return;
+    }
+
+    if (target.closest?.("#manualClearCoordsBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      clearManualCoordsInputs();
+      return;
+    }
+
+    if (target.closest?.("#restoreAdminPanelBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      restoreManualModalAfterMapPick();
+      return;
+    }
+  });
 
-  try {
-    if (btn) {
-      btn.disabled = true;
-      btn.textContent = "Načítám…";
+  document.addEventListener("change", (ev) => {
+    const id = ev.target?.id;
+    if (["manualEventStatusMode", "manualEventStart", "manualEventEnd"].includes(id)) {
+      updateManualEventComputed();
     }
+  });
 
-    if (summary) summary.innerHTML = `<div class="regionalWeatherLoading">Načítám počasí pro regiony Středočeského kraje…</div>`;
-    if (zones) zones.innerHTML = "";
-    if (detail) detail.innerHTML = "";
+  document.addEventListener("input", (ev) => {
+    const id = ev.target?.id;
+    if (["manualEventStart", "manualEventEnd"].includes(id)) {
+      updateManualEventComputed();
+    }
+  });
+}
 
-    const r = await fetch(`/api/weather/regions/anomalies?days=${encodeURIComponent(days)}&_=${Date.now()}`, { cache: "no-store" });
-    const j = await r.json();
 
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "regional weather failed");
+function wireManualEventEditor() {
+  wireManualEventEditorDelegated();
+  document.getElementById("manualEventCloseBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); closeManualEventEditor(); });
+  document.getElementById("manualEventCancelBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); closeManualEventEditor(); });
+  document.getElementById("manualEventSaveBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); saveManualEventEditor(); });
+  document.getElementById("manualPickOnMapBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); startManualMapPick(); });
+  document.getElementById("manualClearCoordsBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); clearManualCoordsInputs(); });
+  document.getElementById("restoreAdminPanelBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); restoreManualModalAfterMapPick(); });
 
-    renderRegionalWeather(j.weather);
-  } catch (e) {
-    if (summary) summary.innerHTML = `<div class="err">Regionální počasí se nepodařilo načíst: ${escapeHtml(String(e.message || e))}</div>`;
-  } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = old;
-    }
-  }
-}
+  ["manualEventStatusMode", "manualEventStart", "manualEventEnd"].forEach((id) => {
+    document.getElementById(id)?.addEventListener("change", updateManualEventComputed);
+    document.getElementById(id)?.addEventListener("input", updateManualEventComputed);
+  });
 
-function wireRegionalWeather() {
-  document.getElementById("loadRegionalWeatherBtn")?.addEventListener("click", loadRegionalWeather);
-  document.getElementById("regionalWeatherDays")?.addEventListener("change", loadRegionalWeather);
-  loadRegionalWeather();
+  document.getElementById("manualEventAlarmLevel")?.addEventListener("change", () => {
+    const level = Number(document.getElementById("manualEventAlarmLevel")?.value || 0);
+    const isMajor = document.getElementById("manualEventIsMajor");
+    const reason = document.getElementById("manualEventMajorReason");
+    if (isMajor && level >= 3) isMajor.checked = true;
+    if (reason && level >= 3 && !reason.value.trim()) {
+      reason.value = level >= 4 ? "IV. / zvláštní stupeň poplachu" : "III. stupeň poplachu";
+    }
+  });
 }
 
 
 
 
 // ==============================
-// FireWatchCZ Web v2.2 – zpětný přepočet významných událostí
+// FireWatchCZ v2.4 fix – viditelný admin seznam pro ruční úpravy
 // ==============================
 
+let __manualQuickItems = [];
 
-function setMajorBackfillStatus(text) {
-  ["majorBackfillStatus", "adminMajorBackfillStatus"].forEach((id) => {
-    const el = document.getElementById(id);
-    if (el) el.textContent = text || "";
+
+function renderManualQuickListTarget(listId, statusId, searchId, items = __manualQuickItems) {
+  const list = document.getElementById(listId);
+  const status = document.getElementById(statusId);
+  if (!list) return;
+
+  const q = String(document.getElementById(searchId)?.value || "").toLowerCase().trim();
+  const filtered = items.filter((it) => {
+    if (!q) return true;
+    return `${it.title || ""} ${it.city_text || ""} ${it.place_text || ""} ${it.status_text || ""}`.toLowerCase().includes(q);
+  });
+
+  if (status) status.textContent = `${filtered.length} / ${items.length} událostí`;
+
+  if (!filtered.length) {
+    list.innerHTML = `<div class="muted">Žádná událost pro zadaný filtr.</div>`;
+    return;
+  }
+
+  list.innerHTML = filtered.slice(0, 80).map((it) => {
+    const meta = typeMeta(it.event_type, it.event_subtype);
+    const alarm = alarmLevelBadge(it);
+    return `
+      <div class="manualQuickItem ${isMajorEventItem(it) ? "is-major" : ""}">
+        <div>
+          <b>${meta.emoji} ${escapeHtml(it.title || "")}</b>
+          <span>${escapeHtml(it.city_text || it.place_text || "")} • ${statusEmoji(it.is_closed)} ${escapeHtml(statusLabelForEvent(it))}</span>
+          <small>${escapeHtml(formatDate(it.pub_date))} ${alarm ? " • " : ""}${alarm}</small>
+        </div>
+        <button type="button" class="btn primary miniBtn manualQuickEditBtn" data-event-id="${escapeHtml(it.id || "")}">Upravit stav / stupeň</button>
+      </div>
+    `;
+  }).join("");
+
+  list.querySelectorAll(".manualQuickEditBtn").forEach((btn) => {
+    btn.addEventListener("click", () => openManualEventEditor(btn.getAttribute("data-event-id")));
   });
 }
 
-async function runMajorEventsBackfill() {
-  const btn = document.getElementById("majorBackfillBtn");
-  const status = document.getElementById("majorBackfillStatus");
-  const adminStatus = document.getElementById("adminMajorBackfillStatus");
-  const old = btn?.textContent || "Přepočítat významné události";
+
+function renderManualQuickList(items = __manualQuickItems) {
+  renderManualQuickListTarget("manualQuickList", "manualQuickStatus", "manualQuickSearch", items);
+  renderManualQuickListTarget("adminManualQuickList", "adminManualQuickStatus", "adminManualQuickSearch", items);
+}
+
+async function loadManualQuickEvents() {
+  const btns = [
+    document.getElementById("manualQuickLoadBtn"),
+    document.getElementById("adminManualQuickLoadBtn")
+  ].filter(Boolean);
+  const old = btns.map((b) => b.textContent);
+  const status = document.getElementById("manualQuickStatus");
 
   try {
-    if (btn) {
-      btn.disabled = true;
-      btn.textContent = "Přepočítávám…";
-    }
-    setMajorBackfillStatus("Procházím uložené události v databázi…");
+    btns.forEach((b) => {
+      b.disabled = true;
+      b.textContent = "Načítám…";
+    });
+    if (status) status.textContent = "Načítám poslední události…";
 
-    const r = await fetch("/api/admin/major-events/backfill", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: "include",
-      body: JSON.stringify({ limit: 10000 })
+    // Použijeme aktuální veřejný endpoint s limitem; admin edit je stále chráněný vlastním endpointem.
+    const params = new URLSearchParams({
+      day: "all",
+      type: "all",
+      status: "all",
+      limit: "300",
+      _: String(Date.now())
     });
+
+    const r = await fetch(`/api/events?${params.toString()}`, { credentials: "include", cache: "no-store" });
     const j = await r.json();
 
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "backfill failed");
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "events load failed");
 
-    setMajorBackfillStatus(`Hotovo: zkontrolováno ${j.scanned}, upraveno ${j.updated}, významné ${j.major}, znovu otevřeno ${j.reopened}.`);
+    __manualQuickItems = Array.isArray(j.items) ? j.items : [];
+    renderManualQuickList(__manualQuickItems);
 
-    await loadAll();
-  } catch (e) {
-    setMajorBackfillStatus(`Nepodařilo se přepočítat: ${String(e.message || e)}`);
-  } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = old;
+    const adminList = document.getElementById("adminManualQuickList");
+    const adminModalVisible = document.getElementById("modalBackdrop")?.style.display !== "none" && adminList;
+    if (!adminModalVisible) {
+      const card = document.getElementById("manualEventQuickCard");
+      if (card) card.scrollIntoView({ behavior: "smooth", block: "start" });
     }
-  }
-}
-
-async function reloadMajorEventsFromServer() {
-  const status = document.getElementById("majorBackfillStatus");
-  try {
-    setMajorBackfillStatus("Načítám významné události…");
-    const r = await fetch("/api/admin/major-events?limit=50", { credentials: "include", cache: "no-store" });
-    const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "major list failed");
-    renderMajorEvents(j.items || []);
-    setMajorBackfillStatus(`Načteno ${Number(j.items?.length || 0)} významných událostí.`);
   } catch (e) {
-    setMajorBackfillStatus(`Nepodařilo se načíst významné události: ${String(e.message || e)}`);
+    if (status) status.textContent = `Nepodařilo se načíst: ${String(e.message || e)}`;
+  } finally {
+    btns.forEach((b, i) => {
+      b.disabled = false;
+      b.textContent = old[i] || "Načíst";
+    });
   }
 }
 
-function wireMajorEventsBackfill() {
-  document.getElementById("majorBackfillBtn")?.addEventListener("click", runMajorEventsBackfill);
-  document.getElementById("adminMajorBackfillBtn")?.addEventListener("click", runMajorEventsBackfill);
-  document.getElementById("majorReloadBtn")?.addEventListener("click", reloadMajorEventsFromServer);
-  document.getElementById("adminMajorReloadBtn")?.addEventListener("click", reloadMajorEventsFromServer);
+function wireManualQuickEditList() {
+  document.getElementById("manualQuickLoadBtn")?.addEventListener("click", loadManualQuickEvents);
+  document.getElementById("adminManualQuickLoadBtn")?.addEventListener("click", loadManualQuickEvents);
+  document.getElementById("manualQuickSearch")?.addEventListener("input", () => renderManualQuickList());
+  document.getElementById("adminManualQuickSearch")?.addEventListener("input", () => renderManualQuickList());
 }
 
 
 
 
 // ==============================
-// FireWatchCZ v2.3 – přehlednější hlavní stránka
+// FireWatchCZ v2.5 – vlastní detail události a poznámky
 // ==============================
 
-function updateCommandOverview(items = [], stats = null) {
-  const status = document.getElementById("commandOverviewStatus");
-  const lastUpdate = document.getElementById("overviewLastUpdate");
-  const mapCount = document.getElementById("overviewMapCount");
-  const majorCount = document.getElementById("overviewMajorCount");
-  const openCount = document.getElementById("overviewOpenCount");
-  const totalCount = document.getElementById("overviewTotalCount");
-  const missingCount = document.getElementById("overviewMissingCount");
-  const weatherRisk = document.getElementById("overviewWeatherRisk");
-  const primary = document.getElementById("overviewPrimaryIncident");
-  const filterLabel = document.getElementById("overviewFilterLabel");
-  const dataHealth = document.getElementById("overviewDataHealth");
-
-  const safeItems = Array.isArray(items) ? items : [];
-  const mapped = safeItems.filter(x => typeof hasValidCoords === "function" ? hasValidCoords(x) : (Number.isFinite(Number(x.lat)) && Number.isFinite(Number(x.lon)))).length;
-  const missing = Math.max(0, safeItems.length - mapped);
-  const major = safeItems.filter(x => typeof isMajorEventItem === "function" ? isMajorEventItem(x) : false).length;
-  const open = safeItems.filter(x => !x.is_closed).length;
-  const closed = safeItems.filter(x => !!x.is_closed).length;
-  const carryover = safeItems.filter(x => typeof isImportantCarryoverEvent === "function" && isImportantCarryoverEvent(x) && (x.is_carryover_active || Number(x.carryover_days || 0) > 0)).length;
-
-  if (mapCount) mapCount.textContent = `${mapped}`;
-  if (majorCount) majorCount.textContent = `${major}`;
-  if (openCount) openCount.textContent = `${open}`;
-  if (totalCount) totalCount.textContent = `${safeItems.length}`;
-  if (missingCount) missingCount.textContent = `${missing}`;
-
-  if (status) {
-    const state = open > 0 ? "AKTIVNÍ PROVOZ" : "KLIDOVÝ PŘEHLED";
-    status.textContent = `${state} • ${safeItems.length} záznamů`;
-  }
-
-  if (lastUpdate) {
-    try {
-      lastUpdate.textContent = `aktualizováno ${new Intl.DateTimeFormat("cs-CZ", { hour: "2-digit", minute: "2-digit", second: "2-digit" }).format(new Date())}`;
-    } catch {
-      lastUpdate.textContent = "aktualizováno nyní";
-    }
-  }
-
-  const stripUpdated = document.getElementById("dataStripUpdated");
-  const stripLastEvent = document.getElementById("dataStripLastEvent");
-  const stripSource = document.getElementById("dataStripSource");
-  if (stripUpdated) {
-    try {
-      stripUpdated.textContent = new Intl.DateTimeFormat("cs-CZ", { hour: "2-digit", minute: "2-digit", second: "2-digit" }).format(new Date());
-    } catch {
-      stripUpdated.textContent = "nyní";
-    }
-  }
-  if (stripLastEvent) {
-    const newest = safeItems
-      .map(x => x?.pub_date || x?.start_time_iso || x?.created_at || "")
-      .filter(Boolean)
-      .sort((a, b) => new Date(b).getTime() - new Date(a).getTime())[0];
-    stripLastEvent.textContent = newest ? formatDate(newest) : "bez dat";
-  }
-  if (stripSource) {
-    stripSource.textContent = safeItems.length ? "RSS aktivní" : "čekám na data";
-  }
-
-  if (filterLabel) {
-    const f = typeof getFiltersFromUi === "function" ? getFiltersFromUi() : {};
-    const dayMap = { today: "dnes", yesterday: "včera", all: "vše" };
-    const statusMap = { all: "vše", open: "aktivní", closed: "ukončené" };
-    filterLabel.textContent = `Filtr: ${dayMap[f.day] || f.day || "—"} • ${f.type || "vše"} • ${statusMap[f.status] || f.status || "vše"}${f.city ? ` • ${f.city}` : ""}`;
-  }
+let __eventDetailCurrentId = null;
+let __eventDetailCurrentEvent = null;
 
-  if (dataHealth) {
-    if (safeItems.length === 0) {
-      dataHealth.textContent = "Stav dat: bez záznamů pro filtr";
-      dataHealth.className = "warn";
-    } else if (missing > 0) {
-      dataHealth.textContent = `Stav dat: ${missing} bez GPS`;
-      dataHealth.className = "warn";
-    } else {
-      dataHealth.textContent = "Stav dat: GPS kompletní";
-      dataHealth.className = "ok";
-    }
-  }
+const EVENT_HISTORY_FIELD_LABELS = {
+  status_text: "stav",
+  is_closed: "ukončeno",
+  start_time_iso: "začátek",
+  end_time_iso: "konec",
+  duration_min: "délka",
+  duration_source: "zdroj délky",
+  status_source: "zdroj stavu",
+  alarm_level: "stupeň",
+  alarm_level_text: "stupeň (text)",
+  is_major_event: "významná",
+  major_reason: "důvod významu",
+  city_text: "město",
+  place_text: "místo",
+  event_type: "typ",
+  coords: "pozice",
+  event_subtype: "podtyp",
+  status_phase: "fáze",
+  merged_from: "sloučeno z"
+};
 
-  if (primary) {
-    const openSorted = safeItems
-      .filter(x => !x.is_closed)
-      .map(x => ({ ...x, __duration: typeof liveDurationForEvent === "function" ? Number(liveDurationForEvent(x) || 0) : Number(x.duration_min || 0) }))
-      .sort((a, b) => b.__duration - a.__duration);
+const EVENT_HISTORY_ACTION_LABELS = {
+  create: "Událost zachycena",
+  update: "Aktualizace",
+  ingest_create: "Událost zachycena",
+  ingest: "Aktualizace ze zdroje",
+  manual_create: "Ručně založeno",
+  manual_edit: "Ruční úprava",
+  recheck: "Přepočet stavu",
+  major_backfill: "Přepočet stupně",
+  reprocess: "Přehrání ingestu",
+  reclassify: "Přepočet typu",
+  merge: "Sloučení duplicit",
+  auto_close: "Automaticky ukončeno",
+  coords: "Změna pozice",
+  coords_clear: "Pozice smazána"
+};
 
-    if (openSorted.length) {
-      const it = openSorted[0];
-      const meta = typeof typeMeta === "function" ? typeMeta(it.event_type) : { emoji: "•" };
-      primary.innerHTML = `<strong>${meta.emoji || "•"} ${escapeHtml(it.title || "Aktivní zásah")}</strong><span>${escapeHtml(it.city_text || it.place_text || "")} • ${escapeHtml(formatDuration(it.__duration))}${carryover ? ` • přesah ${carryover}` : ""}</span>`;
-    } else {
-      primary.innerHTML = `<strong>✅ Bez aktivního zásahu</strong><span>${closed} ukončených v aktuálním filtru</span>`;
-    }
-  }
+function eventHistoryValueText(field, value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "coords") return `${Number(value.lat).toFixed(5)}, ${Number(value.lon).toFixed(5)}`;
+  if (field === "is_closed" || field === "is_major_event") return value ? "ano" : "ne";
+  if (field === "duration_min") return formatDuration(Number(value));
+  if (field === "start_time_iso" || field === "end_time_iso") return detailDateText(value);
+  if (field === "event_type") return typeMeta(value).label || String(value);
+  if (field === "event_subtype") return subtypeLabelFor(null, value);
+  return String(value);
+}
+
+function eventHistoryItemClass(rev) {
+  const closed = rev.diff?.is_closed;
+  if (closed && closed.new === true) return rev.action === "auto_close" ? "auto" : "close";
+  if (closed && closed.new === false && closed.old === true) return "reopen";
+  if ((rev.changed_fields || []).length === 1 && rev.changed_fields[0] === "coords") return "coords";
+  return "";
+}
 
-  if (weatherRisk && __regionalWeatherLastData?.summary?.highestRisk) {
-    const z = __regionalWeatherLastData.summary.highestRisk;
-    weatherRisk.textContent = `Počasí: ${z.zoneName || "bez zvýšeného rizika"}`;
-  } else if (weatherRisk) {
-    weatherRisk.textContent = "Počasí: načítá se";
-  }
+function eventHistoryItemHtml(rev) {
+  const fields = Array.isArray(rev.changed_fields) ? rev.changed_fields : [];
+  const who = [rev.source_kind, rev.username].filter(Boolean).join(" • ");
+  const changes = fields.map((f) => {
+    const d = rev.diff?.[f] || {};
+    return `<li>${escapeHtml(EVENT_HISTORY_FIELD_LABELS[f] || f)}: ${escapeHtml(eventHistoryValueText(f, d.old))} → <b>${escapeHtml(eventHistoryValueText(f, d.new))}</b></li>`;
+  }).join("");
+
+  return `
+    <div class="eventHistoryItem ${eventHistoryItemClass(rev)}">
+      <div class="eventHistoryHead">
+        <b>${escapeHtml(EVENT_HISTORY_ACTION_LABELS[rev.action] || rev.action || "Změna")}</b>
+        <small>${escapeHtml(detailDateText(rev.created_at))}</small>
+        ${who ? `<small>${escapeHtml(who)}</small>` : ""}
+      </div>
+      <ul class="eventHistoryChanges">${changes}</ul>
+    </div>
+  `;
 }
 
-function wireCommandOverviewNav() {
-  document.querySelectorAll(".commandTile[data-scroll-target], .v28KpiTile[data-scroll-target], .quickJump[data-scroll-target], .fwSidebarNav [data-scroll-target]").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const id = btn.getAttribute("data-scroll-target");
-      const el = id ? document.getElementById(id) : null;
-      if (el) el.scrollIntoView({ behavior: "smooth", block: "start" });
-    });
-  });
+async function loadEventHistory(id) {
+  const box = document.getElementById("eventDetailHistory");
+  if (!box || !id) return;
+  box.innerHTML = `<div class="muted">Načítám historii…</div>`;
+
+  try {
+    const r = await fetch(`/api/events/${encodeURIComponent(id)}/history`, { credentials: "include", cache: "no-store" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "history load failed");
+    if (id !== __eventDetailCurrentId) return;
+
+    const items = Array.isArray(j.items) ? j.items : [];
+    box.innerHTML = items.length
+      ? items.map(eventHistoryItemHtml).join("")
+      : `<div class="muted">Zatím bez zaznamenaných změn.</div>`;
+  } catch (e) {
+    box.innerHTML = `<div class="err">Historii se nepodařilo načíst: ${escapeHtml(String(e.message || e))}</div>`;
+  }
 }
 
+async function openEventDetailModal(id) {
+  if (!id) return;
+  __eventDetailCurrentId = id;
 
+  const back = document.getElementById("eventDetailModalBackdrop");
+  const status = document.getElementById("eventDetailStatus");
+  const header = document.getElementById("eventDetailHeader");
+  const summary = document.getElementById("eventDetailSummary");
+  const publicText = document.getElementById("eventDetailPublicText");
 
+  try {
+    if (back) back.style.display = "flex";
+    if (status) status.textContent = "Načítám detail…";
+    if (header) header.innerHTML = "";
+    if (summary) summary.innerHTML = "";
+    if (publicText) publicText.innerHTML = `<div class="muted">Načítám…</div>`;
 
+    const r = await fetch(`/api/events/${encodeURIComponent(id)}/detail`, {
+      credentials: "include",
+      cache: "no-store"
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "detail load failed");
 
-let __manualMapPickMode = false;
-let __manualMapPickMarker = null;
+    const ev = j.event;
+    __eventDetailCurrentEvent = ev;
 
-function setManualCoords(lat, lon) {
-  const latInput = document.getElementById("manualEventLat");
-  const lonInput = document.getElementById("manualEventLon");
-  if (latInput) latInput.value = Number(lat).toFixed(6);
-  if (lonInput) lonInput.value = Number(lon).toFixed(6);
+    const meta = typeMeta(ev.event_type, ev.event_subtype);
+    if (header) {
+      header.innerHTML = `
+        <div>
+          <h3>${meta.emoji} ${escapeHtml(ev.title || "")}</h3>
+          <p>${escapeHtml(ev.city_text || ev.place_text || "")} • ${statusEmoji(ev.is_closed)} ${escapeHtml(statusLabelForEvent(ev))}</p>
+        </div>
+        <div>${alarmLevelBadge(ev)}</div>
+      `;
+    }
 
-  const hint = document.getElementById("manualCoordsHint");
-  if (hint) hint.textContent = `Vybraná pozice: ${Number(lat).toFixed(6)}, ${Number(lon).toFixed(6)}`;
+    if (summary) {
+      summary.innerHTML = `
+        ${eventDetailLine("Čas", detailDateText(ev.pub_date || ev.start_time_iso || ev.created_at))}
+        ${eventDetailLine("Město / místo", ev.city_text || ev.place_text || "")}
+        ${eventDetailLine("Typ", `${meta.emoji} ${meta.label || ev.event_type || ""}`)}
+        ${eventDetailLine("Stav", statusLabelForEvent(ev))}
+        ${(ev.status_phases || []).length ? eventDetailLine("Průběh", ev.status_phases.map(p => `${p.label} ${detailDateText(p.reached_at)}`).join(" → ")) : ""}
+        ${ev.time_to_localize_min != null ? eventDetailLine("Do lokalizace", formatDuration(Number(ev.time_to_localize_min))) : ""}
+        ${ev.time_to_extinguish_min != null ? eventDetailLine("Do likvidace", formatDuration(Number(ev.time_to_extinguish_min))) : ""}
+        ${eventDetailLine("Délka", formatDuration(liveDurationForEvent(ev)))}
+        ${ev.is_closed && ev.duration_confidence != null ? eventDetailLine("Spolehlivost délky", `${Number(ev.duration_confidence)} %`) : ""}
+        ${eventDetailLine("Stupeň", ev.alarm_level_text || "")}
+        ${(ev.alarm_escalations || []).length > 1 ? eventDetailLine("Eskalace", ev.alarm_escalations.map(x => `${ALARM_LEVEL_ROMAN[x.alarm_level] || "zvl."} ${detailDateText(x.reached_at)}`).join(" → ")) : ""}
+        ${eventDetailLine("Význam", ev.major_reason || (ev.is_major_event ? "významná událost" : ""))}
+      `;
+    }
 
-  if (map && window.L) {
-    if (__manualMapPickMarker) {
-      __manualMapPickMarker.setLatLng([Number(lat), Number(lon)]);
-    } else {
-      __manualMapPickMarker = L.marker([Number(lat), Number(lon)], {
-        title: "Ručně vybraná poloha výjezdu"
-      }).addTo(map);
+    const savedText = ev.manual_detail_text || "";
+    const savedSource = ev.manual_detail_source || "";
+    if (publicText) {
+      publicText.innerHTML = savedText
+        ? `<div class="manualPublicText">${escapeHtml(savedText).replace(/\n/g, "<br>")}</div>${savedSource ? `<div class="manualPublicSource">Zdroj/poznámka: ${escapeHtml(savedSource)}</div>` : ""}${ev.manual_detail_updated_at ? `<div class="manualPublicUpdated">Upraveno: ${escapeHtml(detailDateText(ev.manual_detail_updated_at))}</div>` : ""}`
+        : `<div class="muted">Zatím není uložený vlastní detail. Admin ho může doplnit z veřejně dostupných informací.</div>`;
     }
-  }
-}
 
-function clearManualCoordsInputs() {
-  const latInput = document.getElementById("manualEventLat");
-  const lonInput = document.getElementById("manualEventLon");
-  if (latInput) latInput.value = "";
-  if (lonInput) lonInput.value = "";
+    const textInput = document.getElementById("eventDetailTextInput");
+    const sourceInput = document.getElementById("eventDetailSourceInput");
+    if (textInput) textInput.value = savedText;
+    if (sourceInput) sourceInput.value = savedSource;
 
-  const hint = document.getElementById("manualCoordsHint");
-  if (hint) hint.textContent = "Souřadnice budou ponechané prázdné / smažou se po uložení.";
+    const sourceLink = document.getElementById("eventDetailSourceLink");
+    if (sourceLink && ev.link) {
+      sourceLink.href = ev.link;
+      sourceLink.style.display = "";
+    } else if (sourceLink) {
+      sourceLink.removeAttribute("href");
+      sourceLink.style.display = "none";
+    }
 
-  if (__manualMapPickMarker && map) {
-    try { map.removeLayer(__manualMapPickMarker); } catch {}
-    __manualMapPickMarker = null;
+    syncAdminVisibility?.();
+    if (status) status.textContent = "";
+    loadEventHistory(id);
+  } catch (e) {
+    if (publicText) publicText.innerHTML = `<div class="err">Detail se nepodařilo načíst: ${escapeHtml(String(e.message || e))}</div>`;
+    if (status) status.textContent = "";
   }
 }
 
-function startManualMapPick() {
-  __manualMapPickMode = true;
-
-  const back = document.getElementById("manualEventModalBackdrop");
+function closeEventDetailModal() {
+  const back = document.getElementById("eventDetailModalBackdrop");
   if (back) back.style.display = "none";
+  __eventDetailCurrentId = null;
+  __eventDetailCurrentEvent = null;
+}
 
-  const restore = document.getElementById("restoreAdminPanelBtn");
-  if (restore) {
-    restore.style.display = "";
-    restore.textContent = "Zpět k úpravě výjezdu";
-  }
+async function saveEventDetailText() {
+  if (!__eventDetailCurrentId) return;
 
-  const hint = document.getElementById("manualCoordsHint");
-  if (hint) hint.textContent = "Režim výběru na mapě aktivní. Klikni do mapy na místo výjezdu.";
+  const btn = document.getElementById("eventDetailSaveBtn");
+  const status = document.getElementById("eventDetailStatus");
+  const old = btn?.textContent || "Uložit detail";
 
-  if (map) {
-    try {
-      map.getContainer().classList.add("mapPickMode");
-      map.once("click", (ev) => {
-        __manualMapPickMode = false;
-        try { map.getContainer().classList.remove("mapPickMode"); } catch {}
-        setManualCoords(ev.latlng.lat, ev.latlng.lng);
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Ukládám…";
+    }
+    if (status) status.textContent = "Ukládám vlastní detail…";
 
-        const modal = document.getElementById("manualEventModalBackdrop");
-        if (modal) modal.style.display = "flex";
-        if (restore) restore.style.display = "none";
-      });
-    } catch {}
-  } else {
-    alert("Mapa zatím není připravená.");
-    if (back) back.style.display = "flex";
+    const payload = {
+      manualDetailText: document.getElementById("eventDetailTextInput")?.value || "",
+      manualDetailSource: document.getElementById("eventDetailSourceInput")?.value || ""
+    };
+
+    const r = await fetch(`/api/admin/events/${encodeURIComponent(__eventDetailCurrentId)}/detail`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify(payload)
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "detail save failed");
+
+    if (status) status.textContent = "Uloženo.";
+    await openEventDetailModal(__eventDetailCurrentId);
+    await loadAll();
+  } catch (e) {
+    if (status) status.textContent = `Nepodařilo se uložit: ${String(e.message || e)}`;
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
+    }
   }
 }
 
-function restoreManualModalAfterMapPick() {
-  __manualMapPickMode = false;
-  try { if (map) map.getContainer().classList.remove("mapPickMode"); } catch {}
-  const modal = document.getElementById("manualEventModalBackdrop");
-  if (modal) modal.style.display = "flex";
-  const restore = document.getElementById("restoreAdminPanelBtn");
-  if (restore) restore.style.display = "none";
+function findEventIdFromDetailRow(el) {
+  const direct = el?.getAttribute?.("data-event-id");
+  if (direct) return direct;
+
+  const tr = el?.closest?.("tr");
+  if (!tr) return null;
+
+  const editBtn = tr.querySelector?.(".tableManualEditBtn, .manualEditEventBtn");
+  if (editBtn?.getAttribute("data-event-id")) return editBtn.getAttribute("data-event-id");
+
+  const allRows = Array.from(document.querySelectorAll("#eventsTbody tr"));
+  const idx = allRows.indexOf(tr);
+  const items = eventsTable.rows || [];
+  return idx >= 0 && items[idx]?.id ? items[idx].id : null;
 }
 
+function wireEventDetailModal() {
+  if (window.__eventDetailModalBound) return;
+  window.__eventDetailModalBound = true;
+
+  document.addEventListener("click", (ev) => {
+    const detailBtn = ev.target?.closest?.(".eventDetailBtn");
+    if (detailBtn) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      openEventDetailModal(detailBtn.getAttribute("data-event-id"));
+      return;
+    }
+
+    const oldDetailAnchor = ev.target?.closest?.("a");
+    if (oldDetailAnchor && oldDetailAnchor.textContent?.trim()?.toLowerCase() === "detail" && oldDetailAnchor.closest?.("#eventsTbody")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      const id = findEventIdFromDetailRow(oldDetailAnchor);
+      if (id) openEventDetailModal(id);
+      return;
+    }
+
 
-// ==============================
-// FireWatchCZ Web v2.4 – ruční editace události
-// ==============================
+    if (ev.target?.closest?.("#eventDetailCloseBtn") || ev.target?.closest?.("#eventDetailCancelBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      closeEventDetailModal();
+      return;
+    }
 
-let __manualEventCurrentId = null;
+    if (ev.target?.closest?.("#eventDetailSaveBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      saveEventDetailText();
+      return;
+    }
 
-function toLocalDateTimeInput(value) {
-  if (!value) return "";
-  const d = new Date(value);
-  if (Number.isNaN(d.getTime())) return "";
-  const pad = (n) => String(n).padStart(2, "0");
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    if (ev.target?.closest?.("#eventDetailEditEventBtn")) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      if (__eventDetailCurrentId) openManualEventEditor(__eventDetailCurrentId);
+      return;
+    }
+  });
 }
 
-function fromLocalDateTimeInput(value) {
-  if (!value) return null;
-  const d = new Date(value);
-  if (Number.isNaN(d.getTime())) return null;
-  return d.toISOString();
-}
 
-function syncManualEndInput() {
-  const mode = document.getElementById("manualEventStatusMode")?.value || "auto";
-  const end = document.getElementById("manualEventEnd");
-  const endLabel = document.getElementById("manualEventEndLabel");
-  const endHint = document.getElementById("manualEventEndHint");
 
-  if (!end) return;
 
-  if (mode === "open") {
-    end.value = "";
-    end.disabled = true;
-    endLabel?.classList.add("is-disabled");
-    if (endHint) endHint.textContent = "Aktivní zásah nemá konec. Délka se počítá průběžně od začátku do aktuálního času.";
-  } else {
-    end.disabled = false;
-    endLabel?.classList.remove("is-disabled");
-    if (endHint) endHint.textContent = "U aktivního zásahu se konec nevyplňuje. Doplní se až po ukončení.";
-  }
-}
 
-function updateManualEventComputed() {
-  syncManualEndInput();
 
-  const box = document.getElementById("manualEventComputed");
-  if (!box) return;
 
-  const mode = document.getElementById("manualEventStatusMode")?.value || "auto";
-  const startValue = document.getElementById("manualEventStart")?.value || "";
-  const endValue = document.getElementById("manualEventEnd")?.value || "";
 
-  const start = startValue ? new Date(startValue) : null;
-  const end = endValue ? new Date(endValue) : null;
 
-  if (!start || Number.isNaN(start.getTime())) {
-    box.textContent = "Délka se spočítá po zadání začátku zásahu.";
-    return;
-  }
 
-  if (mode === "open") {
-    const minutes = Math.max(0, Math.round((new Date() - start) / 60000));
-    box.textContent = `Zásah je nastavený jako AKTIVNÍ. Konec není potřeba zadávat. Průběžná délka: ${formatDuration(minutes)}.`;
-    return;
-  }
+async function recheckEventStatusesAdmin() {
+  const status = document.getElementById("adminMajorBackfillStatus") || document.getElementById("adminDurationRecomputeStatus");
+  const btn = document.getElementById("adminRecheckStatusesBtn");
+  const old = btn?.textContent || "Překontrolovat stavy z RSS";
 
-  if (mode === "closed") {
-    if (!end || Number.isNaN(end.getTime())) {
-      box.textContent = "U ukončeného zásahu můžeš zadat konec. Když ho necháš prázdný, při uložení se použije aktuální čas.";
-      return;
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Kontroluji…";
     }
-    if (end < start) {
-      box.textContent = "Pozor: konec zásahu je před začátkem.";
-      return;
+    if (status) status.textContent = "Překontrolovávám stavy podle uloženého RSS textu…";
+
+    const r = await fetch("/api/admin/recheck-event-statuses", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ limit: 10000 })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "recheck failed");
+
+    if (status) {
+      status.textContent = `Hotovo: zkontrolováno ${Number(j.scanned || 0)}, opraveno ${Number(j.changed || 0)}, znovu otevřeno ${Number(j.reopened || 0)}.`;
+    }
+    await loadAll(true);
+  } catch (e) {
+    if (status) status.textContent = `Kontrola stavů selhala: ${String(e.message || e)}`;
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
     }
-    const minutes = Math.max(0, Math.round((end - start) / 60000));
-    box.textContent = `Nová délka zásahu: ${formatDuration(minutes)}.`;
-    return;
   }
-
-  box.textContent = "Automatika ponechá aktuální stav, ručně se uloží hlavně stupeň poplachu a významnost.";
 }
 
-async function openManualEventEditor(id) {
-  if (!id) return;
-  __manualEventCurrentId = id;
-
-  const back = document.getElementById("manualEventModalBackdrop");
-  const status = document.getElementById("manualEventStatus");
-  const info = document.getElementById("manualEventInfo");
+async function backfillPhaseTimesAdmin() {
+  const status = document.getElementById("adminMajorBackfillStatus");
+  const btn = document.getElementById("adminPhaseTimesBackfillBtn");
+  const old = btn?.textContent || "Doplnit časy lokalizace / likvidace";
 
   try {
-    if (back) back.style.display = "flex";
-    if (status) status.textContent = "Načítám událost…";
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Doplňuji…";
+    }
+    if (status) status.textContent = "Hledám časy lokalizace a likvidace v uložených popisech…";
 
-    const r = await fetch(`/api/admin/events/${encodeURIComponent(id)}/manual`, {
+    const r = await fetch("/api/admin/phase-times/backfill", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
       credentials: "include",
-      cache: "no-store"
+      body: JSON.stringify({ limit: 10000 })
     });
     const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "phase times backfill failed");
 
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "manual event load failed");
-
-    const ev = j.event;
-
-    if (info) {
-      info.innerHTML = `
-        <b>${escapeHtml(ev.title || "")}</b>
-        <span>${escapeHtml(ev.city_text || ev.place_text || "")} • ${escapeHtml(ev.status_text || "")}</span>
-        <small>ID: ${escapeHtml(ev.id || "")}</small>
-      `;
+    if (status) {
+      status.textContent = `Hotovo: zkontrolováno ${Number(j.scanned || 0)}, s časy fází ${Number(j.withTimes || 0)}, zapsáno ${Number(j.written || 0)}.`;
     }
+    await loadAll(true);
+  } catch (e) {
+    if (status) status.textContent = `Doplnění časů fází selhalo: ${String(e.message || e)}`;
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
+    }
+  }
+}
 
-    const mode = ev.status_source === "manual"
-      ? (ev.is_closed ? "closed" : "open")
-      : "auto";
-
-    document.getElementById("manualEventStatusMode").value = mode;
-    document.getElementById("manualEventAlarmLevel").value = ev.alarm_level ? String(ev.alarm_level) : "";
-    document.getElementById("manualEventIsMajor").checked = !!ev.is_major_event;
-    document.getElementById("manualEventMajorReason").value = ev.major_reason || "";
-    document.getElementById("manualEventStart").value = toLocalDateTimeInput(ev.start_time_iso || ev.pub_date || ev.first_seen_at || ev.created_at);
-    document.getElementById("manualEventEnd").value = toLocalDateTimeInput(ev.end_time_iso);
+function wireStatusRecheckAdminButton() {
+  document.getElementById("adminRecheckStatusesBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    recheckEventStatusesAdmin();
+  });
+  document.getElementById("adminPhaseTimesBackfillBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    backfillPhaseTimesAdmin();
+  });
+}
 
-    const latInput = document.getElementById("manualEventLat");
-    const lonInput = document.getElementById("manualEventLon");
-    const lat = Number(String(ev.lat ?? "").replace(",", "."));
-    const lon = Number(String(ev.lon ?? "").replace(",", "."));
-    if (latInput) latInput.value = Number.isFinite(lat) ? lat.toFixed(6) : "";
-    if (lonInput) lonInput.value = Number.isFinite(lon) ? lon.toFixed(6) : "";
+async function recomputeObservedDurationsAdmin() {
+  const status = document.getElementById("adminDurationRecomputeStatus");
+  const btn = document.getElementById("adminRecomputeDurationsBtn");
+  const old = btn?.textContent || "Přepočítat sledované délky";
 
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      setManualCoords(lat, lon);
-    } else {
-      const hint = document.getElementById("manualCoordsHint");
-      if (hint) hint.textContent = "Tento výjezd zatím nemá uloženou pozici. Zadej souřadnice nebo klikni na mapu.";
-      if (__manualMapPickMarker && map) {
-        try { map.removeLayer(__manualMapPickMarker); } catch {}
-        __manualMapPickMarker = null;
-      }
+  try {
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = "Přepočítávám…";
     }
+    if (status) status.textContent = "Přepočítávám sledované délky zásahů…";
 
-    if (status) status.textContent = "";
-    syncManualEndInput();
-    updateManualEventComputed();
+    const r = await fetch("/api/admin/recompute-observed-durations", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ limit: 5000 })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "recompute failed");
+
+    if (status) status.textContent = `Hotovo: zpětný bezpečný přepočet ${Number(j.recomputed || 0)} událostí. Nové délky se budou počítat při přechodu aktivní → ukončená.`;
+    await loadAll(true);
   } catch (e) {
-    if (status) status.textContent = `Nepodařilo se načíst událost: ${String(e.message || e)}`;
+    if (status) status.textContent = `Přepočet se nepodařil: ${String(e.message || e)}`;
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = old;
+    }
   }
 }
 
-function closeManualEventEditor() {
-  const back = document.getElementById("manualEventModalBackdrop");
-  if (back) back.style.display = "none";
-  __manualEventCurrentId = null;
-}
-
-async function saveManualEventEditor() {
-  if (!__manualEventCurrentId) return;
-
-  const status = document.getElementById("manualEventStatus");
-  const btn = document.getElementById("manualEventSaveBtn");
-  const old = btn?.textContent || "Uložit a přepočítat";
+async function clearBogusDurationsAdmin() {
+  const status = document.getElementById("adminDurationRecomputeStatus");
+  const btn = document.getElementById("adminClearBogusDurationsBtn");
+  const old = btn?.textContent || "Vyčistit krátké falešné délky";
 
   try {
     if (btn) {
       btn.disabled = true;
-      btn.textContent = "Ukládám…";
+      btn.textContent = "Čistím…";
     }
-    if (status) status.textContent = "Ukládám ruční úpravu…";
-
-    const manualStatusMode = document.getElementById("manualEventStatusMode")?.value || "auto";
-    const payload = {
-      statusMode: manualStatusMode,
-      alarmLevel: document.getElementById("manualEventAlarmLevel")?.value || "",
-      isMajorEvent: !!document.getElementById("manualEventIsMajor")?.checked,
-      majorReason: document.getElementById("manualEventMajorReason")?.value || "",
-      startTimeIso: fromLocalDateTimeInput(document.getElementById("manualEventStart")?.value || ""),
-      endTimeIso: manualStatusMode === "open" ? null : fromLocalDateTimeInput(document.getElementById("manualEventEnd")?.value || ""),
-      lat: document.getElementById("manualEventLat")?.value || "",
-      lon: document.getElementById("manualEventLon")?.value || "",
-      clearCoords: !document.getElementById("manualEventLat")?.value && !document.getElementById("manualEventLon")?.value
-    };
+    if (status) status.textContent = "Mažu chybně dopočítané sledované délky z předchozí verze…";
 
-    const r = await fetch(`/api/admin/events/${encodeURIComponent(__manualEventCurrentId)}/manual`, {
+    const r = await fetch("/api/admin/clear-observed-durations", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include",
-      body: JSON.stringify(payload)
+      body: JSON.stringify({ maxMinutes: 20 })
     });
     const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "clear failed");
 
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "manual event save failed");
-
-    if (status) status.textContent = "Uloženo. Přepočítávám přehled…";
+    if (status) status.textContent = `Hotovo: vyčištěno ${Number(j.cleared || 0)} událostí.`;
     await loadAll(true);
-    closeManualEventEditor();
   } catch (e) {
-    if (status) status.textContent = `Nepodařilo se uložit: ${String(e.message || e)}`;
+    if (status) status.textContent = `Čištění se nepodařilo: ${String(e.message || e)}`;
   } finally {
     if (btn) {
       btn.disabled = false;
@@ -3247,528 +5443,1229 @@ async function saveManualEventEditor() {
   }
 }
 
-
-
-function wireManualEventEditorDelegated() {
-  if (window.__manualEventDelegatedBound) return;
-  window.__manualEventDelegatedBound = true;
-
-  document.addEventListener("click", (ev) => {
-    const target = ev.target;
-    if (!target) return;
-
-    if (target.closest?.("#manualEventCloseBtn") || target.closest?.("#manualEventCancelBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      closeManualEventEditor();
-      return;
-    }
-
-    if (target.closest?.("#manualEventSaveBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      saveManualEventEditor();
-      return;
+async function loadDurationQualityAdmin() {
+  const box = document.getElementById("durationQualityList");
+  try {
+    const r = await apiFetch("/api/admin/duration-quality", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load failed");
+    const items = j.items || [];
+    if (box) {
+      box.innerHTML = items.length ? items.map(it => `
+        <div class="ingestLogItem staleReviewItem" data-dq-id="${escapeHtml(it.id)}">
+          <b>${escapeHtml(it.title || it.id)}${it.city_text || it.place_text ? ` • ${escapeHtml(it.city_text || it.place_text)}` : ""}</b>
+          <span>${escapeHtml(it.type_label || "")} • ${escapeHtml(formatDuration(Number(it.duration_min)))} • skóre ${Number(it.duration_confidence)} %</span>
+          <span class="muted">${escapeHtml(durationReasonsText(it.duration_confidence_reasons))}</span>
+          <div class="btnRow">
+            <button class="btn miniBtn" type="button" data-dq-action="confirm">Délka sedí</button>
+            <button class="btn miniBtn" type="button" data-dq-action="clear">Zahodit délku</button>
+            ${eventDetailButtonHtml(it)}
+          </div>
+        </div>
+      `).join("") : `<div class="muted">Žádné podezřelé délky.</div>`;
     }
+    const last = j.last_run ? ` • hodnoceno ${formatDate(j.last_run.at)} (${Number(j.last_run.examined)} délek)` : "";
+    msg("durationQualityMsg", `${items.length} délek pod ${Number(j.min_confidence)} %${last}`, true);
+  } catch (e) {
+    msg("durationQualityMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
 
-    if (target.closest?.("#manualPickOnMapBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      startManualMapPick();
-      return;
-    }
+async function rescoreDurationQualityAdmin() {
+  msg("durationQualityMsg", "Přepočítávám skóre…", true);
+  try {
+    const r = await apiFetch("/api/admin/duration-quality/rescore", { method: "POST", body: "{}" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error === "duration_scoring_in_progress" ? "přepočet už běží" : (j.detail || j.error || "rescore failed"));
+    await loadDurationQualityAdmin();
+  } catch (e) {
+    msg("durationQualityMsg", `Přepočet selhal: ${String(e.message || e)}`, false);
+  }
+}
 
-    if (target.closest?.("#manualClearCoordsBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      clearManualCoordsInputs();
-      return;
-    }
+async function durationQualityActionAdmin(id, action) {
+  if (action === "clear" && !confirm("Zahodit uloženou délku zásahu? Zůstane prázdná, dokud ji admin ručně nenastaví.")) return;
+  try {
+    const r = await apiFetch(`/api/admin/duration-quality/${encodeURIComponent(id)}`, {
+      method: "POST",
+      body: JSON.stringify({ action })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "action failed");
+    await loadDurationQualityAdmin();
+  } catch (e) {
+    msg("durationQualityMsg", `Akce selhala: ${String(e.message || e)}`, false);
+  }
+}
 
-    if (target.closest?.("#restoreAdminPanelBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      restoreManualModalAfterMapPick();
-      return;
-    }
+function wireDurationAdminButtons() {
+  document.getElementById("durationQualityReloadBtn")?.addEventListener("click", loadDurationQualityAdmin);
+  document.getElementById("durationQualityRescoreBtn")?.addEventListener("click", rescoreDurationQualityAdmin);
+  document.getElementById("durationQualityList")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-dq-action]");
+    const id = btn?.closest("[data-dq-id]")?.dataset.dqId;
+    if (id) durationQualityActionAdmin(id, btn.dataset.dqAction);
   });
 
-  document.addEventListener("change", (ev) => {
-    const id = ev.target?.id;
-    if (["manualEventStatusMode", "manualEventStart", "manualEventEnd"].includes(id)) {
-      updateManualEventComputed();
-    }
+  document.getElementById("adminRecomputeDurationsBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    recomputeObservedDurationsAdmin();
   });
 
-  document.addEventListener("input", (ev) => {
-    const id = ev.target?.id;
-    if (["manualEventStart", "manualEventEnd"].includes(id)) {
-      updateManualEventComputed();
-    }
+  document.getElementById("adminClearBogusDurationsBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    clearBogusDurationsAdmin();
   });
 }
 
+// ==============================
+// Přehrání ingestu (reprocess): náhled -> potvrzení -> průběh
+// ==============================
+let reprocessJobId = null;
 
-function wireManualEventEditor() {
-  wireManualEventEditorDelegated();
-  document.getElementById("manualEventCloseBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); closeManualEventEditor(); });
-  document.getElementById("manualEventCancelBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); closeManualEventEditor(); });
-  document.getElementById("manualEventSaveBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); saveManualEventEditor(); });
-  document.getElementById("manualPickOnMapBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); startManualMapPick(); });
-  document.getElementById("manualClearCoordsBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); clearManualCoordsInputs(); });
-  document.getElementById("restoreAdminPanelBtn")?.addEventListener("click", (ev) => { ev.preventDefault(); restoreManualModalAfterMapPick(); });
+function reprocessChangeText(field, change) {
+  const label = EVENT_HISTORY_FIELD_LABELS[field] || field;
+  return `${label}: ${eventHistoryValueText(field, change.old)} → ${eventHistoryValueText(field, change.new)}`;
+}
 
-  ["manualEventStatusMode", "manualEventStart", "manualEventEnd"].forEach((id) => {
-    document.getElementById(id)?.addEventListener("change", updateManualEventComputed);
-    document.getElementById(id)?.addEventListener("input", updateManualEventComputed);
-  });
+function renderReprocessPreview(job) {
+  const box = document.getElementById("reprocessResults");
+  if (!box) return;
+  const sum = job.summary || {};
+  const fields = Object.entries(sum.fields || {}).map(([f, n]) => `${escapeHtml(EVENT_HISTORY_FIELD_LABELS[f] || f)} ${Number(n)}`).join(" • ");
+  const items = Array.isArray(job.items) ? job.items : [];
 
-  document.getElementById("manualEventAlarmLevel")?.addEventListener("change", () => {
-    const level = Number(document.getElementById("manualEventAlarmLevel")?.value || 0);
-    const isMajor = document.getElementById("manualEventIsMajor");
-    const reason = document.getElementById("manualEventMajorReason");
-    if (isMajor && level >= 3) isMajor.checked = true;
-    if (reason && level >= 3 && !reason.value.trim()) {
-      reason.value = level >= 4 ? "IV. / zvláštní stupeň poplachu" : "III. stupeň poplachu";
-    }
-  });
+  box.innerHTML = `
+    <div class="diagnosticsSummary">
+      <div><b>Prošlo:</b> ${Number(sum.scanned || 0)} (archiv ${Number(sum.from_archive || 0)}, uložený text ${Number(sum.from_stored_text || 0)})${sum.truncated ? " • ⚠ omezeno limitem, zkrať období" : ""}</div>
+      <div><b>Změní se:</b> ${Number(sum.would_change || 0)} událostí${sum.with_locked_fields ? ` • ${Number(sum.with_locked_fields)} s poli zamčenými ruční úpravou (ty se nepřepíšou)` : ""}</div>
+      ${fields ? `<div><b>Pole:</b> ${fields}</div>` : ""}
+      ${sum.rejected_by_schema ? `<div><b>Neplatné archivní položky:</b> ${Number(sum.rejected_by_schema)}</div>` : ""}
+    </div>
+    ${items.map(it => `
+      <div class="ingestLogItem">
+        <b>${escapeHtml(it.title || it.id)}</b>
+        <span>${Object.entries(it.changes || {}).map(([f, c]) => `${(it.locked || []).includes(f) ? "🔒 " : ""}${escapeHtml(reprocessChangeText(f, c))}`).join("<br/>")}</span>
+      </div>
+    `).join("")}
+    ${Number(sum.would_change || 0) > items.length ? `<div class="muted">…a dalších ${Number(sum.would_change) - items.length} událostí.</div>` : ""}
+  `;
 }
 
+async function reprocessPreviewAdmin() {
+  const status = document.getElementById("reprocessStatus");
+  const applyBtn = document.getElementById("reprocessApplyBtn");
+  const from = manualCreateToIso(document.getElementById("reprocessFrom")?.value || "");
+  const to = manualCreateToIso(document.getElementById("reprocessTo")?.value || "");
 
+  if (!from) {
+    if (status) status.textContent = "Zadej začátek období.";
+    return;
+  }
 
+  reprocessJobId = null;
+  if (applyBtn) applyBtn.disabled = true;
+  if (status) status.textContent = "Přehrávám nanečisto…";
 
-// ==============================
-// FireWatchCZ v2.4 fix – viditelný admin seznam pro ruční úpravy
-// ==============================
+  try {
+    const r = await apiFetch("/api/admin/reprocess", {
+      method: "POST",
+      body: JSON.stringify({
+        from,
+        to,
+        source_kind: document.getElementById("reprocessSourceKind")?.value || null,
+        include_unarchived: !!document.getElementById("reprocessIncludeUnarchived")?.checked
+      })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "preview failed");
 
-let __manualQuickItems = [];
+    renderReprocessPreview(j.job);
+    reprocessJobId = Number(j.job.summary?.would_change || 0) > 0 ? j.job.id : null;
+    if (applyBtn) applyBtn.disabled = !reprocessJobId;
+    if (status) status.textContent = reprocessJobId ? "Zkontroluj změny a potvrď tlačítkem „Použít změny“." : "Beze změn.";
+  } catch (e) {
+    if (status) status.textContent = `Náhled selhal: ${String(e.message || e)}`;
+  }
+}
 
+async function reprocessApplyAdmin() {
+  const status = document.getElementById("reprocessStatus");
+  const applyBtn = document.getElementById("reprocessApplyBtn");
+  if (!reprocessJobId) return;
+  if (!confirm("Zapsat změny z náhledu do databáze?")) return;
 
-function renderManualQuickListTarget(listId, statusId, searchId, items = __manualQuickItems) {
-  const list = document.getElementById(listId);
-  const status = document.getElementById(statusId);
-  if (!list) return;
+  if (applyBtn) applyBtn.disabled = true;
+  try {
+    const r = await apiFetch(`/api/admin/reprocess/${encodeURIComponent(reprocessJobId)}/apply`, { method: "POST" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "apply failed");
+
+    let job = j.job;
+    while (job.status === "applying") {
+      if (status) status.textContent = `Zapisuji… ${Number(job.progress?.done || 0)}/${Number(job.progress?.total || 0)}`;
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const r2 = await apiFetch(`/api/admin/reprocess/${encodeURIComponent(job.id)}`, { method: "GET" });
+      const j2 = await r2.json();
+      if (!r2.ok || !j2.ok) throw new Error(j2.error || "status failed");
+      job = j2.job;
+    }
+    if (job.status !== "applied") throw new Error(job.error || job.status);
 
-  const q = String(document.getElementById(searchId)?.value || "").toLowerCase().trim();
-  const filtered = items.filter((it) => {
-    if (!q) return true;
-    return `${it.title || ""} ${it.city_text || ""} ${it.place_text || ""} ${it.status_text || ""}`.toLowerCase().includes(q);
+    const res = job.result || {};
+    if (status) {
+      status.textContent = `Hotovo: zapsáno ${Number(res.applied || 0)}, beze změny ${Number(res.unchanged || 0)}, zamčených polí ${Number(res.locked_fields || 0)}, mezitím změněných ${Number(res.drifted_fields || 0)}, přegeokódováno ${Number(res.geocoded || 0)}${res.failed ? `, chyb ${Number(res.failed)}` : ""}.`;
+    }
+    reprocessJobId = null;
+    await loadAll(true);
+  } catch (e) {
+    if (status) status.textContent = `Zápis selhal: ${String(e.message || e)}`;
+  }
+}
+
+function wireReprocessAdminButtons() {
+  document.getElementById("reprocessPreviewBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    reprocessPreviewAdmin();
   });
+  document.getElementById("reprocessApplyBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    reprocessApplyAdmin();
+  });
+}
 
-  if (status) status.textContent = `${filtered.length} / ${items.length} událostí`;
+// ==============================
+// Duplicitní události: fronta párů -> sloučit / nejsou duplicitní
+// ==============================
+function duplicateReasonText(r) {
+  if (r.code === "time") return `čas ±${Number(r.minutes)} min`;
+  if (r.code === "same_city") return "stejná obec";
+  if (r.code === "same_type") return "stejný typ";
+  if (r.code === "different_type") return "jiný typ";
+  if (r.code === "distance") return `${Number(r.km)} km`;
+  return String(r.code || "");
+}
 
-  if (!filtered.length) {
-    list.innerHTML = `<div class="muted">Žádná událost pro zadaný filtr.</div>`;
+function duplicateSideHtml(ev, pairId, pending) {
+  const when = ev.start_time_iso || ev.pub_date || ev.first_seen_at;
+  return `
+    <div class="duplicateSide">
+      <b>${escapeHtml(ev.title || ev.id)}</b>
+      <span>${escapeHtml(typeMeta(ev.event_type || "other", ev.event_subtype).label || ev.event_type || "")} • ${escapeHtml([ev.city_text, ev.place_text].filter(Boolean).join(", ") || "—")}</span>
+      <span>${escapeHtml(formatDate(when))} • ${escapeHtml(ev.source_kind || "?")} • ${ev.is_closed ? "ukončeno" : "aktivní"} • ${escapeHtml(ev.id)}</span>
+      ${pending ? `<button class="btn" type="button" data-dup-merge="${escapeHtml(String(pairId))}" data-dup-keep="${escapeHtml(ev.id)}">Ponechat tuto</button>` : ""}
+    </div>
+  `;
+}
+
+function renderDuplicatesList(items, status) {
+  const box = document.getElementById("duplicatesList");
+  if (!box) return;
+  if (!items.length) {
+    box.innerHTML = `<div class="muted">Žádné páry.</div>`;
     return;
   }
-
-  list.innerHTML = filtered.slice(0, 80).map((it) => {
-    const meta = typeMeta(it.event_type);
-    const alarm = alarmLevelBadge(it);
-    return `
-      <div class="manualQuickItem ${isMajorEventItem(it) ? "is-major" : ""}">
-        <div>
-          <b>${meta.emoji} ${escapeHtml(it.title || "")}</b>
-          <span>${escapeHtml(it.city_text || it.place_text || "")} • ${statusEmoji(it.is_closed)} ${escapeHtml(statusLabelForEvent(it))}</span>
-          <small>${escapeHtml(formatDate(it.pub_date))} ${alarm ? " • " : ""}${alarm}</small>
-        </div>
-        <button type="button" class="btn primary miniBtn manualQuickEditBtn" data-event-id="${escapeHtml(it.id || "")}">Upravit stav / stupeň</button>
+  const pending = status === "pending";
+  box.innerHTML = items.map(it => `
+    <div class="duplicatePair">
+      <div class="duplicatePairHead">
+        <b>shoda ${Math.round(Number(it.score || 0) * 100)} %</b>
+        <span class="muted">${(it.reasons || []).map(r => escapeHtml(duplicateReasonText(r))).join(" • ")}</span>
+        ${it.reviewed_by ? `<span class="muted">${escapeHtml(it.reviewed_by)} • ${escapeHtml(formatDate(it.reviewed_at))}</span>` : ""}
+        ${pending ? `<button class="btn" type="button" data-dup-dismiss="${escapeHtml(String(it.id))}">Nejsou duplicitní</button>` : ""}
       </div>
-    `;
-  }).join("");
-
-  list.querySelectorAll(".manualQuickEditBtn").forEach((btn) => {
-    btn.addEventListener("click", () => openManualEventEditor(btn.getAttribute("data-event-id")));
-  });
+      <div class="duplicatePairSides">
+        ${duplicateSideHtml(it.a, it.id, pending)}
+        ${duplicateSideHtml(it.b, it.id, pending)}
+      </div>
+    </div>
+  `).join("");
 }
 
-
-function renderManualQuickList(items = __manualQuickItems) {
-  renderManualQuickListTarget("manualQuickList", "manualQuickStatus", "manualQuickSearch", items);
-  renderManualQuickListTarget("adminManualQuickList", "adminManualQuickStatus", "adminManualQuickSearch", items);
+async function loadDuplicatesAdmin() {
+  const status = document.getElementById("duplicatesStatus")?.value || "pending";
+  try {
+    const r = await apiFetch(`/api/admin/duplicates?status=${encodeURIComponent(status)}`, { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load duplicates failed");
+    renderDuplicatesList(j.items || [], status);
+    const scan = j.last_scan;
+    msg("duplicatesMsg", `${(j.items || []).length} párů${scan ? ` • poslední hledání ${formatDate(scan.checked_at)}` : ""}`, true);
+  } catch (e) {
+    msg("duplicatesMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
 }
 
-async function loadManualQuickEvents() {
-  const btns = [
-    document.getElementById("manualQuickLoadBtn"),
-    document.getElementById("adminManualQuickLoadBtn")
-  ].filter(Boolean);
-  const old = btns.map((b) => b.textContent);
-  const status = document.getElementById("manualQuickStatus");
-
+async function scanDuplicatesAdmin() {
+  msg("duplicatesMsg", "Hledám…", true);
   try {
-    btns.forEach((b) => {
-      b.disabled = true;
-      b.textContent = "Načítám…";
-    });
-    if (status) status.textContent = "Načítám poslední události…";
+    const r = await apiFetch("/api/admin/duplicates/scan", { method: "POST" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "scan failed");
+    await loadDuplicatesAdmin();
+  } catch (e) {
+    msg("duplicatesMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
 
-    // Použijeme aktuální veřejný endpoint s limitem; admin edit je stále chráněný vlastním endpointem.
-    const params = new URLSearchParams({
-      day: "all",
-      type: "all",
-      status: "all",
-      limit: "300",
-      _: String(Date.now())
+async function mergeDuplicateAdmin(pairId, keep) {
+  if (!confirm(`Sloučit pár do události ${keep}? Druhá událost zanikne a její id bude směřovat sem.`)) return;
+  try {
+    const r = await apiFetch(`/api/admin/duplicates/${encodeURIComponent(pairId)}/merge`, {
+      method: "POST",
+      body: JSON.stringify({ keep })
     });
-
-    const r = await fetch(`/api/events?${params.toString()}`, { credentials: "include", cache: "no-store" });
     const j = await r.json();
-
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "events load failed");
-
-    __manualQuickItems = Array.isArray(j.items) ? j.items : [];
-    renderManualQuickList(__manualQuickItems);
-
-    const adminList = document.getElementById("adminManualQuickList");
-    const adminModalVisible = document.getElementById("modalBackdrop")?.style.display !== "none" && adminList;
-    if (!adminModalVisible) {
-      const card = document.getElementById("manualEventQuickCard");
-      if (card) card.scrollIntoView({ behavior: "smooth", block: "start" });
-    }
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "merge failed");
+    await loadDuplicatesAdmin();
+    const filled = (j.filled || []).map(f => EVENT_HISTORY_FIELD_LABELS[f] || f).join(", ");
+    msg("duplicatesMsg", `Sloučeno do ${j.keep}${filled ? ` • doplněno: ${filled}` : ""}`, true);
+    await loadAll(true);
   } catch (e) {
-    if (status) status.textContent = `Nepodařilo se načíst: ${String(e.message || e)}`;
-  } finally {
-    btns.forEach((b, i) => {
-      b.disabled = false;
-      b.textContent = old[i] || "Načíst";
-    });
+    msg("duplicatesMsg", `Sloučení selhalo: ${String(e.message || e)}`, false);
   }
 }
 
-function wireManualQuickEditList() {
-  document.getElementById("manualQuickLoadBtn")?.addEventListener("click", loadManualQuickEvents);
-  document.getElementById("adminManualQuickLoadBtn")?.addEventListener("click", loadManualQuickEvents);
-  document.getElementById("manualQuickSearch")?.addEventListener("input", () => renderManualQuickList());
-  document.getElementById("adminManualQuickSearch")?.addEventListener("input", () => renderManualQuickList());
+async function dismissDuplicateAdmin(pairId) {
+  try {
+    const r = await apiFetch(`/api/admin/duplicates/${encodeURIComponent(pairId)}/dismiss`, { method: "POST" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "dismiss failed");
+    await loadDuplicatesAdmin();
+  } catch (e) {
+    msg("duplicatesMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
 }
 
+function wireDuplicatesAdmin() {
+  document.getElementById("duplicatesReloadBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    loadDuplicatesAdmin();
+  });
+  document.getElementById("duplicatesScanBtn")?.addEventListener("click", (ev) => {
+    ev.preventDefault();
+    scanDuplicatesAdmin();
+  });
+  document.getElementById("duplicatesStatus")?.addEventListener("change", () => loadDuplicatesAdmin());
+  document.getElementById("duplicatesList")?.addEventListener("click", (ev) => {
+    const mergeBtn = ev.target.closest("[data-dup-merge]");
+    if (mergeBtn) {
+      mergeDuplicateAdmin(mergeBtn.dataset.dupMerge, mergeBtn.dataset.dupKeep);
+      return;
+    }
+    const dismissBtn = ev.target.closest("[data-dup-dismiss]");
+    if (dismissBtn) dismissDuplicateAdmin(dismissBtn.dataset.dupDismiss);
+  });
+}
 
+// ==============================
+// Klasifikace typů: editor pravidel, test na vzorku, přepočet uložených událostí
+// ==============================
+let classifierDraft = [];
+const CLASSIFIER_TYPE_OPTIONS = ["fire", "traffic", "tech", "rescue", "false_alarm", "other"];
+const CLASSIFIER_SCOPE_ORDER = ["title", "description"];
+
+function classifierRuleRowHtml(rule, idx) {
+  const typeOptions = CLASSIFIER_TYPE_OPTIONS
+    .map(t => `<option value="${t}" ${rule.event_type === t ? "selected" : ""}>${escapeHtml(typeMeta(t).label)}</option>`)
+    .join("");
+  const fields = rule.fields || ["title"];
+  return `
+    <div class="classifierRule ${rule.enabled === false ? "disabled" : ""}" data-idx="${idx}">
+      <div class="classifierRuleOrder">
+        <b>${idx + 1}.</b>
+        <button class="btn" type="button" data-cls-move="-1" title="Výš">↑</button>
+        <button class="btn" type="button" data-cls-move="1" title="Níž">↓</button>
+      </div>
+      <label class="check"><input type="checkbox" data-cls-field="enabled" ${rule.enabled === false ? "" : "checked"}/> <span>zapnuto</span></label>
+      <input class="miniInput" data-cls-field="name" placeholder="Název" value="${escapeHtml(rule.name || "")}"/>
+      <select class="miniSelect" data-cls-field="match_mode">
+        <option value="keyword" ${rule.match_mode === "regex" ? "" : "selected"}>slova</option>
+        <option value="regex" ${rule.match_mode === "regex" ? "selected" : ""}>regex</option>
+      </select>
+      <input class="miniInput classifierPattern" data-cls-field="pattern" placeholder="pozar, horeni / pozar.*komin" value="${escapeHtml(rule.pattern || "")}"/>
+      <label class="check"><input type="checkbox" data-cls-scope="title" ${fields.includes("title") ? "checked" : ""}/> <span>název</span></label>
+      <label class="check"><input type="checkbox" data-cls-scope="description" ${fields.includes("description") ? "checked" : ""}/> <span>popis</span></label>
+      <select class="miniSelect" data-cls-field="event_type">${typeOptions}</select>
+      <input class="miniInput" data-cls-field="event_subtype" placeholder="podtyp (chimney)" value="${escapeHtml(rule.event_subtype || "")}"/>
+      <input class="miniInput" data-cls-field="subtype_label" placeholder="popisek (komín)" value="${escapeHtml(rule.subtype_label || "")}"/>
+      <button class="btn" type="button" data-cls-remove="1">Smazat</button>
+    </div>
+  `;
+}
 
+function renderClassifierRules() {
+  const box = document.getElementById("classifierRules");
+  if (!box) return;
+  box.innerHTML = classifierDraft.length
+    ? classifierDraft.map(classifierRuleRowHtml).join("")
+    : `<div class="muted">Žádná pravidla – všechno bude „jiné“.</div>`;
+}
 
-// ==============================
-// FireWatchCZ v2.5 – vlastní detail události a poznámky
-// ==============================
-
-let __eventDetailCurrentId = null;
-let __eventDetailCurrentEvent = null;
+function classifierIssuesText(issues) {
+  return (issues || []).map(x => (x.index == null ? x.error : `#${Number(x.index) + 1}: ${x.error}`)).join(", ");
+}
 
-async function openEventDetailModal(id) {
-  if (!id) return;
-  __eventDetailCurrentId = id;
+function classifierTargetText(t) {
+  return t?.type ? typeMeta(t.type, t.subtype).label : "—";
+}
 
-  const back = document.getElementById("eventDetailModalBackdrop");
-  const status = document.getElementById("eventDetailStatus");
-  const header = document.getElementById("eventDetailHeader");
-  const summary = document.getElementById("eventDetailSummary");
-  const publicText = document.getElementById("eventDetailPublicText");
+function classifierChangesHtml(items) {
+  return (items || []).map(it => `
+    <div class="ingestLogItem">
+      <b>${escapeHtml(it.title || it.id)}</b>
+      <span>${escapeHtml(classifierTargetText(it.from))} → ${escapeHtml(classifierTargetText(it.to))}${it.rule_name ? ` • ${escapeHtml(it.rule_name)}` : ""}</span>
+    </div>
+  `).join("");
+}
 
+async function loadClassifierRulesAdmin() {
   try {
-    if (back) back.style.display = "flex";
-    if (status) status.textContent = "Načítám detail…";
-    if (header) header.innerHTML = "";
-    if (summary) summary.innerHTML = "";
-    if (publicText) publicText.innerHTML = `<div class="muted">Načítám…</div>`;
+    const r = await apiFetch("/api/admin/classifier/rules", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load rules failed");
+    classifierDraft = (j.rules || []).map(rule => ({ ...rule, fields: [...(rule.fields || ["title"])] }));
+    renderClassifierRules();
+    msg("classifierMsg", `${classifierDraft.length} pravidel`, true);
+  } catch (e) {
+    msg("classifierMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
 
-    const r = await fetch(`/api/events/${encodeURIComponent(id)}/detail`, {
-      credentials: "include",
-      cache: "no-store"
+async function saveClassifierRulesAdmin() {
+  msg("classifierMsg", "Ukládám…", true);
+  try {
+    const r = await apiFetch("/api/admin/classifier/rules", {
+      method: "PUT",
+      body: JSON.stringify({ rules: classifierDraft })
     });
     const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "detail load failed");
-
-    const ev = j.event;
-    __eventDetailCurrentEvent = ev;
+    if (!r.ok || !j.ok) {
+      throw new Error(j.error === "invalid_rules" ? `neplatná pravidla (${classifierIssuesText(j.issues)})` : (j.detail || j.error || "save failed"));
+    }
+    classifierDraft = (j.rules || []).map(rule => ({ ...rule, fields: [...(rule.fields || ["title"])] }));
+    eventTypeCatalog = Array.isArray(j.types) ? j.types : eventTypeCatalog;
+    renderTypeSelectOptions();
+    renderClassifierRules();
+    msg("classifierMsg", "Uloženo. Nové události se třídí podle nových pravidel; uložené přepočítá „Přepočítat typy“.", true);
+  } catch (e) {
+    msg("classifierMsg", `Uložení selhalo: ${String(e.message || e)}`, false);
+  }
+}
 
-    const meta = typeMeta(ev.event_type);
-    if (header) {
-      header.innerHTML = `
-        <div>
-          <h3>${meta.emoji} ${escapeHtml(ev.title || "")}</h3>
-          <p>${escapeHtml(ev.city_text || ev.place_text || "")} • ${statusEmoji(ev.is_closed)} ${escapeHtml(statusLabelForEvent(ev))}</p>
+async function testClassifierRulesAdmin() {
+  const box = document.getElementById("classifierResults");
+  const title = document.getElementById("classifierSampleTitle")?.value || "";
+  const description = document.getElementById("classifierSampleDesc")?.value || "";
+  msg("classifierMsg", "Testuji…", true);
+  try {
+    const r = await apiFetch("/api/admin/classifier/test", {
+      method: "POST",
+      body: JSON.stringify({
+        rules: classifierDraft,
+        samples: title || description ? [{ title, description }] : [],
+        sample_recent: 300
+      })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) {
+      throw new Error(j.error === "invalid_rules" ? `neplatná pravidla (${classifierIssuesText(j.issues)})` : (j.detail || j.error || "test failed"));
+    }
+    const sample = j.samples?.[0];
+    const recent = j.recent || { examined: 0, changed: 0, items: [] };
+    if (box) {
+      box.innerHTML = `
+        <div class="diagnosticsSummary">
+          ${sample ? `<div><b>Vzorek:</b> ${escapeHtml(classifierTargetText(sample.result))}${sample.result.rule_name ? ` (pravidlo „${escapeHtml(sample.result.rule_name)}“)` : " (žádné pravidlo)"}</div>` : ""}
+          <div><b>Posledních ${Number(recent.examined)} událostí:</b> změnil by se typ u ${Number(recent.changed)}</div>
         </div>
-        <div>${alarmLevelBadge(ev)}</div>
+        ${classifierChangesHtml(recent.items)}
       `;
     }
+    msg("classifierMsg", "Test hotov (pravidla zatím neuložena).", true);
+  } catch (e) {
+    msg("classifierMsg", `Test selhal: ${String(e.message || e)}`, false);
+  }
+}
 
-    if (summary) {
-      summary.innerHTML = `
-        ${eventDetailLine("Čas", detailDateText(ev.pub_date || ev.start_time_iso || ev.created_at))}
-        ${eventDetailLine("Město / místo", ev.city_text || ev.place_text || "")}
-        ${eventDetailLine("Typ", `${meta.emoji} ${meta.label || ev.event_type || ""}`)}
-        ${eventDetailLine("Stav", statusLabelForEvent(ev))}
-        ${eventDetailLine("Délka", formatDuration(liveDurationForEvent(ev)))}
-        ${eventDetailLine("Stupeň", ev.alarm_level_text || "")}
-        ${eventDetailLine("Význam", ev.major_reason || (ev.is_major_event ? "významná událost" : ""))}
+async function backfillClassifierAdmin(dryRun) {
+  const box = document.getElementById("classifierResults");
+  if (!dryRun && !confirm("Přepočítat typ a podtyp všech uložených událostí podle uložených pravidel? Ručně nastavený typ zůstane.")) return;
+  msg("classifierMsg", dryRun ? "Počítám náhled…" : "Přepočítávám…", true);
+  try {
+    const r = await apiFetch("/api/admin/classifier/backfill", {
+      method: "POST",
+      body: JSON.stringify({ dry_run: !!dryRun })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "backfill failed");
+    const targets = Object.entries(j.by_target || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, n]) => `${escapeHtml(classifierTargetText({ type: key.split(":")[0], subtype: key.split(":")[1] || null }))} ${Number(n)}`)
+      .join(" • ");
+    if (box) {
+      box.innerHTML = `
+        <div class="diagnosticsSummary">
+          <div><b>Prošlo:</b> ${Number(j.examined)} • <b>${dryRun ? "Změnilo by se" : "Změněno"}:</b> ${dryRun ? Number(j.changed) : Number(j.applied)}${dryRun ? "" : ` • zamčeno ručně ${Number(j.locked)} • mezitím změněno ${Number(j.drifted)}${j.failed ? ` • chyb ${Number(j.failed)}` : ""}`}</div>
+          ${targets ? `<div><b>Nově:</b> ${targets}</div>` : ""}
+        </div>
+        ${classifierChangesHtml(j.items)}
       `;
     }
+    msg("classifierMsg", dryRun ? "Náhled hotov." : "Přepočet hotov.", true);
+    if (!dryRun) await loadAll(true);
+  } catch (e) {
+    msg("classifierMsg", `Přepočet selhal: ${String(e.message || e)}`, false);
+  }
+}
 
-    const savedText = ev.manual_detail_text || "";
-    const savedSource = ev.manual_detail_source || "";
-    if (publicText) {
-      publicText.innerHTML = savedText
-        ? `<div class="manualPublicText">${escapeHtml(savedText).replace(/\n/g, "<br>")}</div>${savedSource ? `<div class="manualPublicSource">Zdroj/poznámka: ${escapeHtml(savedSource)}</div>` : ""}${ev.manual_detail_updated_at ? `<div class="manualPublicUpdated">Upraveno: ${escapeHtml(detailDateText(ev.manual_detail_updated_at))}</div>` : ""}`
-        : `<div class="muted">Zatím není uložený vlastní detail. Admin ho může doplnit z veřejně dostupných informací.</div>`;
+function wireClassifierAdmin() {
+  const box = document.getElementById("classifierRules");
+  const ruleAt = (el) => {
+    const row = el.closest("[data-idx]");
+    return row ? Number(row.dataset.idx) : -1;
+  };
+
+  box?.addEventListener("input", (ev) => {
+    const idx = ruleAt(ev.target);
+    const rule = classifierDraft[idx];
+    if (!rule) return;
+    const field = ev.target.dataset.clsField;
+    if (field === "enabled") rule.enabled = ev.target.checked;
+    else if (field) rule[field] = ev.target.value;
+  });
+  box?.addEventListener("change", (ev) => {
+    const idx = ruleAt(ev.target);
+    const rule = classifierDraft[idx];
+    if (!rule) return;
+    const scope = ev.target.dataset.clsScope;
+    if (scope) {
+      const set = new Set(rule.fields || []);
+      if (ev.target.checked) set.add(scope);
+      else set.delete(scope);
+      rule.fields = CLASSIFIER_SCOPE_ORDER.filter(f => set.has(f));
+    }
+    if (ev.target.dataset.clsField === "enabled") {
+      rule.enabled = ev.target.checked;
+      renderClassifierRules();
+    }
+  });
+  box?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-cls-move], [data-cls-remove]");
+    if (!btn) return;
+    const idx = ruleAt(btn);
+    if (idx < 0) return;
+    if (btn.dataset.clsRemove) {
+      classifierDraft.splice(idx, 1);
+    } else {
+      const to = idx + Number(btn.dataset.clsMove);
+      if (to < 0 || to >= classifierDraft.length) return;
+      const [rule] = classifierDraft.splice(idx, 1);
+      classifierDraft.splice(to, 0, rule);
     }
+    renderClassifierRules();
+  });
 
-    const textInput = document.getElementById("eventDetailTextInput");
-    const sourceInput = document.getElementById("eventDetailSourceInput");
-    if (textInput) textInput.value = savedText;
-    if (sourceInput) sourceInput.value = savedSource;
+  document.getElementById("classifierAddBtn")?.addEventListener("click", () => {
+    classifierDraft.push({ name: "Nové pravidlo", match_mode: "keyword", pattern: "", fields: ["title"], event_type: "other", event_subtype: "", subtype_label: "", enabled: true });
+    renderClassifierRules();
+  });
+  document.getElementById("classifierSaveBtn")?.addEventListener("click", saveClassifierRulesAdmin);
+  document.getElementById("classifierReloadBtn")?.addEventListener("click", loadClassifierRulesAdmin);
+  document.getElementById("classifierTestBtn")?.addEventListener("click", testClassifierRulesAdmin);
+  document.getElementById("classifierBackfillPreviewBtn")?.addEventListener("click", () => backfillClassifierAdmin(true));
+  document.getElementById("classifierBackfillBtn")?.addEventListener("click", () => backfillClassifierAdmin(false));
+}
 
-    const sourceLink = document.getElementById("eventDetailSourceLink");
-    if (sourceLink && ev.link) {
-      sourceLink.href = ev.link;
-      sourceLink.style.display = "";
-    } else if (sourceLink) {
-      sourceLink.removeAttribute("href");
-      sourceLink.style.display = "none";
-    }
+// ==============================
+// Slovník stavových frází: editor fází, regresní test, uložení nové verze
+// ==============================
+let statusDictDraft = null;
+let statusDictDefault = null;
+const STATUS_DICT_LISTS = [
+  ["status_equals", "stav přesně"],
+  ["status_contains", "stav obsahuje"],
+  ["description_contains", "popis obsahuje"],
+  ["text_contains", "záložně v celém textu"],
+  ["loose_status_contains", "volně ve statusText (ingest)"]
+];
 
-    syncAdminVisibility?.();
-    if (status) status.textContent = "";
-  } catch (e) {
-    if (publicText) publicText.innerHTML = `<div class="err">Detail se nepodařilo načíst: ${escapeHtml(String(e.message || e))}</div>`;
-    if (status) status.textContent = "";
-  }
+function cloneStatusDict(dict) {
+  return JSON.parse(JSON.stringify(dict || { version: 1, phases: [] }));
 }
 
-function closeEventDetailModal() {
-  const back = document.getElementById("eventDetailModalBackdrop");
-  if (back) back.style.display = "none";
-  __eventDetailCurrentId = null;
-  __eventDetailCurrentEvent = null;
+function statusDictPhaseHtml(phase, idx) {
+  const lists = STATUS_DICT_LISTS.map(([key, label]) => `
+    <label class="statusDictList">
+      <span>${escapeHtml(label)}</span>
+      <textarea class="miniInput" rows="2" data-sd-list="${key}">${escapeHtml((phase[key] || []).join(", "))}</textarea>
+    </label>
+  `).join("");
+  return `
+    <div class="statusDictPhase" data-idx="${idx}">
+      <div class="statusDictPhaseHead">
+        <b>${idx + 1}.</b>
+        <button class="btn" type="button" data-sd-move="-1" title="Výš">↑</button>
+        <button class="btn" type="button" data-sd-move="1" title="Níž">↓</button>
+        <input class="miniInput" data-sd-field="key" placeholder="klíč (localized)" value="${escapeHtml(phase.key || "")}"/>
+        <input class="miniInput" data-sd-field="label" placeholder="Popisek" value="${escapeHtml(phase.label || "")}"/>
+        <input class="miniInput" data-sd-field="status_text" placeholder="Uložený stav" value="${escapeHtml(phase.status_text || "")}"/>
+        <input class="miniInput statusDictRank" data-sd-field="rank" type="number" title="Pořadí v průběhu zásahu" value="${Number(phase.rank || 0)}"/>
+        <label class="check"><input type="checkbox" data-sd-field="closed" ${phase.closed ? "checked" : ""}/> <span>ukončuje zásah</span></label>
+        <button class="btn" type="button" data-sd-remove="1">Smazat</button>
+      </div>
+      <div class="statusDictLists">${lists}</div>
+    </div>
+  `;
 }
 
-async function saveEventDetailText() {
-  if (!__eventDetailCurrentId) return;
+function renderStatusDictEditor() {
+  const box = document.getElementById("statusDictPhases");
+  if (!box) return;
+  const phases = statusDictDraft?.phases || [];
+  box.innerHTML = phases.length
+    ? phases.map(statusDictPhaseHtml).join("")
+    : `<div class="muted">Slovník nemá žádné fáze.</div>`;
+}
 
-  const btn = document.getElementById("eventDetailSaveBtn");
-  const status = document.getElementById("eventDetailStatus");
-  const old = btn?.textContent || "Uložit detail";
+function statusDictIssuesText(issues) {
+  return (issues || []).map(x => (x.index == null ? `${x.error}${x.phase ? ` (${x.phase})` : ""}` : `#${Number(x.index) + 1}: ${x.error}`)).join(", ");
+}
+
+function statusDictCasesHtml(cases) {
+  return (cases || []).map(c => `
+    <div class="ingestLogItem">
+      <b>${c.skipped ? "⏭️" : c.pass ? "✅" : "❌"} ${escapeHtml(c.name)}</b>
+      <span>čeká ${escapeHtml(c.expect || "nic")} • dostal ${escapeHtml(c.skipped ? "přeskočeno" : (c.got || "nic"))}</span>
+    </div>
+  `).join("");
+}
+
+function statusDictCountsText(counts) {
+  return Object.entries(counts || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, n]) => `${key} ${Number(n)}`)
+    .join(" • ") || "—";
+}
 
+async function loadStatusDictAdmin() {
   try {
-    if (btn) {
-      btn.disabled = true;
-      btn.textContent = "Ukládám…";
+    const r = await apiFetch("/api/admin/status-dictionary", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load dictionary failed");
+    statusDictDraft = cloneStatusDict(j.dictionary);
+    statusDictDefault = j.default || null;
+    renderStatusDictEditor();
+    const version = document.getElementById("statusDictVersion");
+    if (version) {
+      version.textContent = j.is_default
+        ? "výchozí slovník (zatím neuložen)"
+        : `verze ${Number(j.dictionary?.version || 1)}${j.dictionary?.updated_by ? ` • ${j.dictionary.updated_by}` : ""}${j.dictionary?.updated_at ? ` • ${formatDate(j.dictionary.updated_at)}` : ""}`;
     }
-    if (status) status.textContent = "Ukládám vlastní detail…";
-
-    const payload = {
-      manualDetailText: document.getElementById("eventDetailTextInput")?.value || "",
-      manualDetailSource: document.getElementById("eventDetailSourceInput")?.value || ""
-    };
+    const failed = (j.cases || []).filter(c => c.pass === false).length;
+    msg("statusDictMsg", failed ? `Uložený slovník neprochází ${failed} regresními vzorky.` : "", !failed);
+  } catch (e) {
+    msg("statusDictMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
 
-    const r = await fetch(`/api/admin/events/${encodeURIComponent(__eventDetailCurrentId)}/detail`, {
+async function testStatusDictAdmin() {
+  const box = document.getElementById("statusDictResults");
+  msg("statusDictMsg", "Testuji na uložených událostech…", true);
+  try {
+    const r = await apiFetch("/api/admin/status-dictionary/test", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: "include",
-      body: JSON.stringify(payload)
+      body: JSON.stringify({ dictionary: statusDictDraft, limit: 2000 })
     });
     const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "detail save failed");
-
-    if (status) status.textContent = "Uloženo.";
-    await openEventDetailModal(__eventDetailCurrentId);
-    await loadAll();
+    if (!r.ok || !j.ok) {
+      throw new Error(j.error === "invalid_dictionary" ? `neplatný slovník (${statusDictIssuesText(j.issues)})` : (j.detail || j.error || "test failed"));
+    }
+    const sm = j.samples || {};
+    if (box) {
+      box.innerHTML = `
+        <div class="diagnosticsSummary">
+          <div><b>Prošlo událostí:</b> ${Number(sm.examined || 0)} • <b>jiná fáze než s verzí ${Number(j.version || 1)}:</b> ${Number(sm.changed || 0)} • <b>nepoznáno:</b> ${Number(sm.unknown || 0)} • <b>nesedí s uloženým stavem:</b> ${Number(sm.closed_mismatch || 0)}</div>
+          <div><b>Uložená verze:</b> ${escapeHtml(statusDictCountsText(sm.current))}</div>
+          <div><b>Koncept:</b> ${escapeHtml(statusDictCountsText(sm.draft))}</div>
+        </div>
+        ${statusDictCasesHtml(j.cases)}
+        ${(sm.items || []).map(it => `
+          <div class="ingestLogItem">
+            <b>${escapeHtml(it.title || it.id)}</b>
+            <span>„${escapeHtml(it.status_line || "")}“ • ${escapeHtml(it.from || "nic")} → ${escapeHtml(it.to || "nic")}</span>
+          </div>
+        `).join("")}
+      `;
+    }
+    const failed = (j.cases || []).filter(c => c.pass === false).length;
+    msg("statusDictMsg", failed ? `Neprošlo ${failed} regresních vzorků.` : "Regresní vzorky prošly.", !failed);
   } catch (e) {
-    if (status) status.textContent = `Nepodařilo se uložit: ${String(e.message || e)}`;
-  } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = old;
+    msg("statusDictMsg", `Test selhal: ${String(e.message || e)}`, false);
+  }
+}
+
+async function saveStatusDictAdmin(force = false) {
+  const box = document.getElementById("statusDictResults");
+  msg("statusDictMsg", "Ukládám…", true);
+  try {
+    const r = await apiFetch("/api/admin/status-dictionary", {
+      method: "PUT",
+      body: JSON.stringify({ dictionary: statusDictDraft, force })
+    });
+    const j = await r.json();
+    if (r.status === 409 && j.error === "regression_failed") {
+      if (box) box.innerHTML = statusDictCasesHtml(j.cases);
+      const failed = (j.cases || []).filter(c => c.pass === false).length;
+      if (confirm(`Slovník neprochází ${failed} regresními vzorky. Uložit i tak?`)) return saveStatusDictAdmin(true);
+      msg("statusDictMsg", "Neuloženo – neprošlé regresní vzorky.", false);
+      return;
+    }
+    if (!r.ok || !j.ok) {
+      throw new Error(j.error === "invalid_dictionary" ? `neplatný slovník (${statusDictIssuesText(j.issues)})` : (j.detail || j.error || "save failed"));
     }
+    await loadStatusDictAdmin();
+    msg("statusDictMsg", `Uložena verze ${Number(j.dictionary?.version || 0)}. Platí pro nový ingest; uložené události přepočítá „Překontrolovat stavy z RSS“.`, true);
+  } catch (e) {
+    msg("statusDictMsg", `Uložení selhalo: ${String(e.message || e)}`, false);
   }
 }
 
-function findEventIdFromDetailRow(el) {
-  const direct = el?.getAttribute?.("data-event-id");
-  if (direct) return direct;
+function wireStatusDictAdmin() {
+  const box = document.getElementById("statusDictPhases");
+  const phaseAt = (el) => {
+    const row = el.closest("[data-idx]");
+    return row ? statusDictDraft?.phases?.[Number(row.dataset.idx)] : null;
+  };
 
-  const tr = el?.closest?.("tr");
-  if (!tr) return null;
+  box?.addEventListener("input", (ev) => {
+    const phase = phaseAt(ev.target);
+    if (!phase) return;
+    const field = ev.target.dataset.sdField;
+    const list = ev.target.dataset.sdList;
+    if (field === "closed") phase.closed = ev.target.checked;
+    else if (field === "rank") phase.rank = Number(ev.target.value || 0);
+    else if (field) phase[field] = ev.target.value;
+    if (list) phase[list] = ev.target.value.split(",").map(x => x.trim()).filter(Boolean);
+  });
+  box?.addEventListener("change", (ev) => {
+    const phase = phaseAt(ev.target);
+    if (phase && ev.target.dataset.sdField === "closed") phase.closed = ev.target.checked;
+  });
+  box?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-sd-move], [data-sd-remove]");
+    if (!btn || !statusDictDraft) return;
+    const idx = Number(btn.closest("[data-idx]")?.dataset.idx);
+    if (!Number.isInteger(idx)) return;
+    const phases = statusDictDraft.phases;
+    if (btn.dataset.sdRemove) {
+      phases.splice(idx, 1);
+    } else {
+      const to = idx + Number(btn.dataset.sdMove);
+      if (to < 0 || to >= phases.length) return;
+      const [phase] = phases.splice(idx, 1);
+      phases.splice(to, 0, phase);
+    }
+    renderStatusDictEditor();
+  });
 
-  const editBtn = tr.querySelector?.(".tableManualEditBtn, .manualEditEventBtn");
-  if (editBtn?.getAttribute("data-event-id")) return editBtn.getAttribute("data-event-id");
+  document.getElementById("statusDictAddBtn")?.addEventListener("click", () => {
+    if (!statusDictDraft) statusDictDraft = cloneStatusDict(null);
+    statusDictDraft.phases.push({ key: "", label: "", status_text: "", closed: false, rank: 25, status_contains: [] });
+    renderStatusDictEditor();
+  });
+  document.getElementById("statusDictTestBtn")?.addEventListener("click", testStatusDictAdmin);
+  document.getElementById("statusDictSaveBtn")?.addEventListener("click", () => saveStatusDictAdmin(false));
+  document.getElementById("statusDictReloadBtn")?.addEventListener("click", loadStatusDictAdmin);
+  document.getElementById("statusDictDefaultBtn")?.addEventListener("click", () => {
+    if (!statusDictDefault) return;
+    statusDictDraft = { ...cloneStatusDict(statusDictDefault), version: statusDictDraft?.version || 1 };
+    renderStatusDictEditor();
+    msg("statusDictMsg", "Výchozí slovník načten do konceptu – uložením vznikne nová verze.", true);
+  });
+}
 
-  const allRows = Array.from(document.querySelectorAll("#eventsTbody tr"));
-  const idx = allRows.indexOf(tr);
-  const items = window.latestItemsSnapshot || [];
-  return idx >= 0 && items[idx]?.id ? items[idx].id : null;
+// ==============================
+// Auto-close neaktivních událostí: politiky podle typu / stupně + fronta ke kontrole
+// ==============================
+let stalePolicyDraft = null;
+let stalePolicyDefault = null;
+const STALE_MAJOR_LABELS = { any: "významné i běžné", yes: "jen významné", no: "jen běžné" };
+const STALE_MODE_LABELS = { auto: "zavřít automaticky", confirm: "nezavírat – čekat na potvrzení" };
+
+function staleModeOptionsHtml(mode) {
+  return Object.entries(STALE_MODE_LABELS)
+    .map(([value, label]) => `<option value="${value}" ${mode === value ? "selected" : ""}>${escapeHtml(label)}</option>`)
+    .join("");
 }
 
-function wireEventDetailModal() {
-  if (window.__eventDetailModalBound) return;
-  window.__eventDetailModalBound = true;
+function staleLimitsHtml(x) {
+  return `
+    <label class="check"><span>neviděno</span><input class="miniInput staleMinutes" type="number" min="5" data-sp-field="stale_minutes" value="${escapeHtml(x.stale_minutes ?? "")}"/><span>min</span></label>
+    <label class="check"><span>+ grace</span><input class="miniInput staleMinutes" type="number" min="0" data-sp-field="grace_minutes" value="${escapeHtml(x.grace_minutes ?? 0)}"/><span>min</span></label>
+    <select class="miniSelect" data-sp-field="mode">${staleModeOptionsHtml(x.mode)}</select>
+  `;
+}
 
-  document.addEventListener("click", (ev) => {
-    const detailBtn = ev.target?.closest?.(".eventDetailBtn");
-    if (detailBtn) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      openEventDetailModal(detailBtn.getAttribute("data-event-id"));
-      return;
-    }
+function staleRuleRowHtml(rule, idx) {
+  const typeOptions = [`<option value="">všechny typy</option>`, ...CLASSIFIER_TYPE_OPTIONS
+    .map(t => `<option value="${t}" ${rule.event_type === t ? "selected" : ""}>${escapeHtml(typeMeta(t).label)}</option>`)]
+    .join("");
+  const majorOptions = Object.entries(STALE_MAJOR_LABELS)
+    .map(([value, label]) => `<option value="${value}" ${rule.major === value ? "selected" : ""}>${escapeHtml(label)}</option>`)
+    .join("");
+  return `
+    <div class="classifierRule ${rule.enabled === false ? "disabled" : ""}" data-idx="${idx}">
+      <div class="classifierRuleOrder">
+        <b>${idx + 1}.</b>
+        <button class="btn" type="button" data-sp-move="-1" title="Výš">↑</button>
+        <button class="btn" type="button" data-sp-move="1" title="Níž">↓</button>
+      </div>
+      <label class="check"><input type="checkbox" data-sp-field="enabled" ${rule.enabled === false ? "" : "checked"}/> <span>zapnuto</span></label>
+      <input class="miniInput" data-sp-field="name" placeholder="Název" value="${escapeHtml(rule.name || "")}"/>
+      <select class="miniSelect" data-sp-field="event_type">${typeOptions}</select>
+      <label class="check"><span>stupeň ≥</span><input class="miniInput staleMinutes" type="number" min="1" max="5" data-sp-field="min_alarm_level" placeholder="—" value="${escapeHtml(rule.min_alarm_level ?? "")}"/></label>
+      <select class="miniSelect" data-sp-field="major">${majorOptions}</select>
+      ${staleLimitsHtml(rule)}
+      <button class="btn" type="button" data-sp-remove="1">Smazat</button>
+    </div>
+  `;
+}
 
-    const oldDetailAnchor = ev.target?.closest?.("a");
-    if (oldDetailAnchor && oldDetailAnchor.textContent?.trim()?.toLowerCase() === "detail" && oldDetailAnchor.closest?.("#eventsTbody")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      const id = findEventIdFromDetailRow(oldDetailAnchor);
-      if (id) openEventDetailModal(id);
-      return;
+function renderStalePolicyEditor() {
+  const box = document.getElementById("stalePolicyRules");
+  const def = document.getElementById("stalePolicyDefault");
+  const version = document.getElementById("stalePolicyVersion");
+  if (!stalePolicyDraft) return;
+  if (version) {
+    version.textContent = `verze ${Number(stalePolicyDraft.version || 1)}${stalePolicyDraft.updated_by ? ` • ${stalePolicyDraft.updated_by} ${formatDate(stalePolicyDraft.updated_at)}` : " • výchozí"}`;
+  }
+  if (def) def.innerHTML = `<div class="classifierRule" data-default="1"><b>Ostatní události</b>${staleLimitsHtml(stalePolicyDraft.default || {})}</div>`;
+  if (box) {
+    box.innerHTML = stalePolicyDraft.rules.length
+      ? stalePolicyDraft.rules.map(staleRuleRowHtml).join("")
+      : `<div class="muted">Žádná pravidla – platí jen práh pro ostatní události.</div>`;
+  }
+}
+
+function stalePolicyIssuesText(issues) {
+  return (issues || []).map(x => (x.index == null ? x.error : `#${Number(x.index) + 1}: ${x.error}`)).join(", ");
+}
+
+function staleReviewItemHtml(it) {
+  const awaiting = it.stale_review === "awaiting_close";
+  const city = it.city_text || it.place_text || "";
+  const unseen = formatDuration(Number(it.unseen_min || 0));
+  const state = awaiting
+    ? (it.close_at ? `zavře se ${formatDate(it.close_at)}` : "čeká na potvrzení – automaticky se nezavře")
+    : `auto-close ${formatDate(it.stale_review_at)} • délka ${formatDuration(Number(it.duration_min))}${it.seen_after_close ? " • po uzavření znovu zachycena" : ""}`;
+  const buttons = awaiting
+    ? `<button class="btn miniBtn" type="button" data-stale-action="close">Ukončit</button>
+       <button class="btn miniBtn" type="button" data-stale-action="keep_open">Nechat běžet</button>`
+    : `<button class="btn miniBtn" type="button" data-stale-action="confirm">Potvrdit</button>
+       <button class="btn miniBtn" type="button" data-stale-action="reopen">Znovu otevřít</button>`;
+  return `
+    <div class="ingestLogItem staleReviewItem" data-stale-id="${escapeHtml(it.id)}">
+      <b>${escapeHtml(it.title || it.id)}${city ? ` • ${escapeHtml(city)}` : ""}</b>
+      <span>${escapeHtml(it.type_label || "")}${it.alarm_level ? ` • ${escapeHtml(it.alarm_level_text || `${it.alarm_level}. stupeň`)}` : ""} • neviděno ${escapeHtml(unseen)} • politika „${escapeHtml(it.stale_policy || it.policy?.name || "")}“</span>
+      <span>${escapeHtml(state)}</span>
+      <div class="btnRow">${buttons}</div>
+    </div>
+  `;
+}
+
+async function loadStaleReviewAdmin() {
+  const box = document.getElementById("staleReviewList");
+  try {
+    const r = await apiFetch("/api/admin/stale-review", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load review failed");
+    const items = j.items || [];
+    if (box) box.innerHTML = items.length ? items.map(staleReviewItemHtml).join("") : `<div class="muted">Nic ke kontrole.</div>`;
+    const awaiting = items.filter(x => x.stale_review === "awaiting_close").length;
+    msg("staleReviewMsg", `${awaiting} čeká na uzavření • ${items.length - awaiting} auto-close k potvrzení`, true);
+  } catch (e) {
+    msg("staleReviewMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
+
+async function staleReviewActionAdmin(id, action) {
+  if (action === "reopen" && !confirm("Znovu otevřít událost? Konec a délka z auto-close se smažou.")) return;
+  try {
+    const r = await apiFetch(`/api/admin/stale-review/${encodeURIComponent(id)}`, {
+      method: "POST",
+      body: JSON.stringify({ action })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) {
+      throw new Error(j.error === "stale_review_state_changed" ? "událost se mezitím změnila (znovu přišla nebo ji už někdo vyřídil)" : (j.detail || j.error || "action failed"));
     }
+    await loadStaleReviewAdmin();
+    if (action === "close" || action === "reopen") await loadAll(true);
+  } catch (e) {
+    msg("staleReviewMsg", `Akce selhala: ${String(e.message || e)}`, false);
+    await loadStaleReviewAdmin();
+  }
+}
 
+async function loadStalePolicyAdmin() {
+  try {
+    const r = await apiFetch("/api/admin/stale-policy", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load policy failed");
+    stalePolicyDraft = JSON.parse(JSON.stringify(j.policy));
+    stalePolicyDefault = j.default || null;
+    renderStalePolicyEditor();
+    msg("stalePolicyMsg", `${stalePolicyDraft.rules.length} pravidel${j.is_default ? " (výchozí)" : ""}`, true);
+  } catch (e) {
+    msg("stalePolicyMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+  await loadStaleReviewAdmin();
+}
 
-    if (ev.target?.closest?.("#eventDetailCloseBtn") || ev.target?.closest?.("#eventDetailCancelBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      closeEventDetailModal();
-      return;
+async function saveStalePolicyAdmin() {
+  msg("stalePolicyMsg", "Ukládám…", true);
+  try {
+    const r = await apiFetch("/api/admin/stale-policy", {
+      method: "PUT",
+      body: JSON.stringify({ policy: stalePolicyDraft })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) {
+      throw new Error(j.error === "invalid_policy" ? `neplatná politika (${stalePolicyIssuesText(j.issues)})` : (j.detail || j.error || "save failed"));
     }
+    stalePolicyDraft = JSON.parse(JSON.stringify(j.policy));
+    renderStalePolicyEditor();
+    msg("stalePolicyMsg", `Uložena verze ${Number(j.policy?.version || 0)}. Platí od dalšího běhu auto-close.`, true);
+  } catch (e) {
+    msg("stalePolicyMsg", `Uložení selhalo: ${String(e.message || e)}`, false);
+  }
+}
+
+function wireStalePolicyAdmin() {
+  const setField = (target) => {
+    if (!stalePolicyDraft) return false;
+    const field = target.dataset.spField;
+    if (!field) return false;
+    const row = target.closest("[data-idx], [data-default]");
+    const rule = row?.dataset.default ? stalePolicyDraft.default : stalePolicyDraft.rules[Number(row?.dataset.idx)];
+    if (!rule) return false;
+    if (field === "enabled") rule.enabled = target.checked;
+    else if (["stale_minutes", "grace_minutes", "min_alarm_level"].includes(field)) rule[field] = target.value === "" ? null : Number(target.value);
+    else rule[field] = target.value;
+    return field === "enabled";
+  };
 
-    if (ev.target?.closest?.("#eventDetailSaveBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      saveEventDetailText();
-      return;
-    }
+  ["stalePolicyRules", "stalePolicyDefault"].forEach((boxId) => {
+    const box = document.getElementById(boxId);
+    box?.addEventListener("input", (ev) => setField(ev.target));
+    box?.addEventListener("change", (ev) => {
+      if (setField(ev.target)) renderStalePolicyEditor();
+    });
+  });
 
-    if (ev.target?.closest?.("#eventDetailEditEventBtn")) {
-      ev.preventDefault();
-      ev.stopPropagation();
-      if (__eventDetailCurrentId) openManualEventEditor(__eventDetailCurrentId);
-      return;
+  document.getElementById("stalePolicyRules")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-sp-move], [data-sp-remove]");
+    if (!btn || !stalePolicyDraft) return;
+    const idx = Number(btn.closest("[data-idx]")?.dataset.idx);
+    if (!Number.isInteger(idx)) return;
+    const rules = stalePolicyDraft.rules;
+    if (btn.dataset.spRemove) {
+      rules.splice(idx, 1);
+    } else {
+      const to = idx + Number(btn.dataset.spMove);
+      if (to < 0 || to >= rules.length) return;
+      const [rule] = rules.splice(idx, 1);
+      rules.splice(to, 0, rule);
     }
+    renderStalePolicyEditor();
   });
-}
-
-
-
 
+  document.getElementById("staleReviewList")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-stale-action]");
+    const id = btn?.closest("[data-stale-id]")?.dataset.staleId;
+    if (id) staleReviewActionAdmin(id, btn.dataset.staleAction);
+  });
 
+  document.getElementById("stalePolicyAddBtn")?.addEventListener("click", () => {
+    if (!stalePolicyDraft) return;
+    stalePolicyDraft.rules.push({ name: "Nové pravidlo", enabled: true, event_type: "", min_alarm_level: null, major: "any", stale_minutes: 30, grace_minutes: 0, mode: "auto" });
+    renderStalePolicyEditor();
+  });
+  document.getElementById("stalePolicySaveBtn")?.addEventListener("click", saveStalePolicyAdmin);
+  document.getElementById("stalePolicyReloadBtn")?.addEventListener("click", loadStalePolicyAdmin);
+  document.getElementById("stalePolicyDefaultBtn")?.addEventListener("click", () => {
+    if (!stalePolicyDefault || !stalePolicyDraft) return;
+    stalePolicyDraft = { ...JSON.parse(JSON.stringify(stalePolicyDefault)), version: stalePolicyDraft.version };
+    renderStalePolicyEditor();
+    msg("stalePolicyMsg", "Výchozí politika načtena do konceptu – uložením vznikne nová verze.", true);
+  });
+  document.getElementById("staleReviewReloadBtn")?.addEventListener("click", loadStaleReviewAdmin);
+}
 
+// ==============================
+// FireWatchCZ – webhooky (admin)
+// ==============================
 
+const webhooksAdmin = { items: [], kinds: {}, types: [], maxAttempts: 0, editId: null, logId: null };
+const WEBHOOK_DELIVERY_STATUS = { pending: "čeká", sending: "odesílá se", ok: "doručeno", failed: "selhalo" };
+
+function webhookErrorText(j) {
+  const map = {
+    missing_name: "chybí název",
+    name_too_long: "název je příliš dlouhý",
+    invalid_url: "neplatná URL (jen http/https)",
+    secret_too_short: "tajemství musí mít aspoň 16 znaků",
+    missing_events: "vyber aspoň jednu událost",
+    unknown_types: "neznámý typ",
+    too_many_cities: `max. ${j.max} obcí`,
+    bad_alarm_level: "neplatný stupeň poplachu",
+    too_many_webhooks: `max. ${j.max} webhooků`
+  };
+  return map[j.error] || j.detail || j.error || "request failed";
+}
 
+function renderWebhookForm(hook = null) {
+  const eventsBox = document.getElementById("webhookEventsBox");
+  const typesSel = document.getElementById("webhookTypesSelect");
+  const events = hook?.events || Object.keys(webhooksAdmin.kinds);
+  if (eventsBox) {
+    eventsBox.innerHTML = Object.entries(webhooksAdmin.kinds).map(([id, label]) => `
+      <label class="webhookCheck"><input type="checkbox" value="${escapeHtml(id)}"${events.includes(id) ? " checked" : ""}/> ${escapeHtml(label)}</label>
+    `).join("");
+  }
+  if (typesSel) {
+    const selected = hook?.filter_types || [];
+    typesSel.innerHTML = webhooksAdmin.types.map(t => `
+      <option value="${escapeHtml(t.type)}"${selected.includes(t.type) ? " selected" : ""}>${escapeHtml(t.label)}</option>
+    `).join("");
+  }
+  document.getElementById("webhookNameInput").value = hook?.name || "";
+  document.getElementById("webhookUrlInput").value = hook?.url || "";
+  document.getElementById("webhookCitiesInput").value = (hook?.filter_cities || []).join(", ");
+  document.getElementById("webhookAlarmSelect").value = hook?.alarm_level_gte ? String(hook.alarm_level_gte) : "";
+  document.getElementById("webhookMajorInput").checked = !!hook?.major_only;
+  document.getElementById("webhookSecretInput").value = "";
+  document.getElementById("webhookSecretInput").placeholder = hook ? "beze změny" : "min. 16 znaků";
+  document.getElementById("webhookSaveBtn").textContent = hook ? "Uložit změny" : "Přidat webhook";
+  showEl("webhookCancelBtn", !!hook);
+  webhooksAdmin.editId = hook?.id || null;
+}
 
+function webhookFiltersText(h) {
+  const parts = [];
+  if (h.filter_types?.length) {
+    parts.push(h.filter_types.map(t => webhooksAdmin.types.find(x => x.type === t)?.label || t).join(", "));
+  }
+  if (h.filter_cities?.length) parts.push(h.filter_cities.join(", "));
+  if (h.alarm_level_gte) parts.push(`od ${h.alarm_level_gte}. stupně`);
+  if (h.major_only) parts.push("jen velké události");
+  return parts.length ? parts.join(" • ") : "všechny události";
+}
 
-async function recheckEventStatusesAdmin() {
-  const status = document.getElementById("adminMajorBackfillStatus") || document.getElementById("adminDurationRecomputeStatus");
-  const btn = document.getElementById("adminRecheckStatusesBtn");
-  const old = btn?.textContent || "Překontrolovat stavy z RSS";
+function renderWebhooksAdmin() {
+  const box = document.getElementById("webhooksList");
+  if (!box) return;
+  if (!webhooksAdmin.items.length) {
+    box.innerHTML = `<div class="muted">Zatím žádný webhook.</div>`;
+    return;
+  }
+  box.innerHTML = webhooksAdmin.items.map(h => {
+    const health = Number(h.failed_24h) > 0
+      ? `<span class="exportSubStatus failed">${Number(h.failed_24h)}× selhalo za 24 h</span>`
+      : (h.last_ok_at ? `<span class="exportSubStatus ok">OK</span>` : `<span class="exportSubStatus">zatím nedoručeno</span>`);
+    return `
+      <div class="exportSubItem${h.enabled ? "" : " paused"}" data-webhook-id="${escapeHtml(String(h.id))}">
+        <div class="exportSubHead">
+          <b>${escapeHtml(h.name)}</b>
+          ${health}
+        </div>
+        <div class="exportSubMeta webhookUrlText">${escapeHtml(h.url)}</div>
+        <div class="exportSubMeta">
+          ${escapeHtml((h.events || []).map(k => webhooksAdmin.kinds[k] || k).join(", "))} • ${escapeHtml(webhookFiltersText(h))}
+        </div>
+        <div class="exportSubMeta">
+          ${h.enabled ? "Aktivní" : "Pozastaveno"} • tajemství ${escapeHtml(h.secret_hint || "—")}
+          ${Number(h.pending_count) ? ` • ve frontě ${Number(h.pending_count)}` : ""}
+          ${h.last_ok_at ? ` • naposledy doručeno ${escapeHtml(formatDate(h.last_ok_at))}` : ""}
+        </div>
+        <div class="btnRow">
+          <button class="btn miniBtn" type="button" data-webhook-action="test">Test</button>
+          <button class="btn miniBtn" type="button" data-webhook-action="log">Log</button>
+          <button class="btn miniBtn" type="button" data-webhook-action="edit">Upravit</button>
+          <button class="btn miniBtn" type="button" data-webhook-action="toggle">${h.enabled ? "Pozastavit" : "Obnovit"}</button>
+          <button class="btn miniBtn" type="button" data-webhook-action="rotate">Nové tajemství</button>
+          <button class="btn miniBtn" type="button" data-webhook-action="delete">Smazat</button>
+        </div>
+      </div>
+    `;
+  }).join("");
+}
 
+async function loadWebhooksAdmin() {
   try {
-    if (btn) {
-      btn.disabled = true;
-      btn.textContent = "Kontroluji…";
-    }
-    if (status) status.textContent = "Překontrolovávám stavy podle uloženého RSS textu…";
-
-    const r = await fetch("/api/admin/recheck-event-statuses", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: "include",
-      body: JSON.stringify({ limit: 10000 })
-    });
+    const r = await apiFetch("/api/admin/webhooks", { method: "GET" });
     const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "recheck failed");
-
-    if (status) {
-      status.textContent = `Hotovo: zkontrolováno ${Number(j.scanned || 0)}, opraveno ${Number(j.changed || 0)}, znovu otevřeno ${Number(j.reopened || 0)}.`;
-    }
-    await loadAll(true);
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load webhooks failed");
+    const firstLoad = !Object.keys(webhooksAdmin.kinds).length;
+    webhooksAdmin.items = j.items || [];
+    webhooksAdmin.kinds = j.kinds || {};
+    webhooksAdmin.types = j.types || [];
+    webhooksAdmin.maxAttempts = Number(j.max_attempts || 0);
+    if (firstLoad) renderWebhookForm();
+    renderWebhooksAdmin();
+    msg("webhooksMsg", `${webhooksAdmin.items.length} webhooků • max. ${webhooksAdmin.maxAttempts} pokusů na doručení`, true);
   } catch (e) {
-    if (status) status.textContent = `Kontrola stavů selhala: ${String(e.message || e)}`;
-  } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = old;
-    }
+    msg("webhooksMsg", `Chyba: ${String(e.message || e)}`, false);
   }
+  if (webhooksAdmin.logId) await loadWebhookLog();
 }
 
-function wireStatusRecheckAdminButton() {
-  document.getElementById("adminRecheckStatusesBtn")?.addEventListener("click", (ev) => {
-    ev.preventDefault();
-    recheckEventStatusesAdmin();
-  });
-}
-
-async function recomputeObservedDurationsAdmin() {
-  const status = document.getElementById("adminDurationRecomputeStatus");
-  const btn = document.getElementById("adminRecomputeDurationsBtn");
-  const old = btn?.textContent || "Přepočítat sledované délky";
+async function saveWebhookAdmin() {
+  const editId = webhooksAdmin.editId;
+  const body = {
+    name: document.getElementById("webhookNameInput").value,
+    url: document.getElementById("webhookUrlInput").value,
+    events: [...document.querySelectorAll("#webhookEventsBox input:checked")].map(x => x.value),
+    types: [...document.getElementById("webhookTypesSelect").selectedOptions].map(x => x.value),
+    cities: document.getElementById("webhookCitiesInput").value,
+    alarm_level_gte: document.getElementById("webhookAlarmSelect").value,
+    major_only: document.getElementById("webhookMajorInput").checked
+  };
+  const secret = document.getElementById("webhookSecretInput").value.trim();
+  if (secret) body.secret = secret;
 
+  msg("webhooksMsg", "Ukládám…", true);
   try {
-    if (btn) {
-      btn.disabled = true;
-      btn.textContent = "Přepočítávám…";
-    }
-    if (status) status.textContent = "Přepočítávám sledované délky zásahů…";
-
-    const r = await fetch("/api/admin/recompute-observed-durations", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: "include",
-      body: JSON.stringify({ limit: 5000 })
+    const r = await apiFetch(editId ? `/api/admin/webhooks/${encodeURIComponent(editId)}` : "/api/admin/webhooks", {
+      method: editId ? "PUT" : "POST",
+      body: JSON.stringify(body)
     });
     const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "recompute failed");
-
-    if (status) status.textContent = `Hotovo: zpětný bezpečný přepočet ${Number(j.recomputed || 0)} událostí. Nové délky se budou počítat při přechodu aktivní → ukončená.`;
-    await loadAll(true);
+    if (!r.ok || !j.ok) throw new Error(webhookErrorText(j));
+    renderWebhookForm();
+    await loadWebhooksAdmin();
+    msg("webhooksMsg", j.item?.secret ? `Uloženo. Tajemství (zobrazí se jen teď): ${j.item.secret}` : "Uloženo.", true);
   } catch (e) {
-    if (status) status.textContent = `Přepočet se nepodařil: ${String(e.message || e)}`;
-  } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = old;
-    }
+    msg("webhooksMsg", `Uložení selhalo: ${String(e.message || e)}`, false);
   }
 }
 
-async function clearBogusDurationsAdmin() {
-  const status = document.getElementById("adminDurationRecomputeStatus");
-  const btn = document.getElementById("adminClearBogusDurationsBtn");
-  const old = btn?.textContent || "Vyčistit krátké falešné délky";
+async function webhookActionAdmin(id, action) {
+  const hook = webhooksAdmin.items.find(h => String(h.id) === String(id));
+  if (!hook) return;
+  if (action === "edit") {
+    renderWebhookForm(hook);
+    document.getElementById("webhookNameInput")?.focus();
+    return;
+  }
+  if (action === "log") {
+    webhooksAdmin.logId = hook.id;
+    await loadWebhookLog();
+    return;
+  }
+  if (action === "delete" && !confirm(`Smazat webhook „${hook.name}“ včetně logu doručení?`)) return;
+  if (action === "rotate" && !confirm("Vygenerovat nové tajemství? Příjemce musí začít ověřovat podpis novým klíčem.")) return;
 
   try {
-    if (btn) {
-      btn.disabled = true;
-      btn.textContent = "Čistím…";
+    let r;
+    if (action === "test") {
+      msg("webhooksMsg", `Posílám test na ${hook.url}…`, true);
+      r = await apiFetch(`/api/admin/webhooks/${encodeURIComponent(id)}/test`, { method: "POST" });
+    } else if (action === "delete") {
+      r = await apiFetch(`/api/admin/webhooks/${encodeURIComponent(id)}`, { method: "DELETE" });
+    } else {
+      r = await apiFetch(`/api/admin/webhooks/${encodeURIComponent(id)}`, {
+        method: "PUT",
+        body: JSON.stringify(action === "rotate" ? { rotate_secret: true } : { enabled: !hook.enabled })
+      });
     }
-    if (status) status.textContent = "Mažu chybně dopočítané sledované délky z předchozí verze…";
+    const j = await r.json();
+    if (action === "test") {
+      if (j.delivery_id == null) throw new Error(webhookErrorText(j));
+      msg("webhooksMsg", j.ok
+        ? `Test doručen (HTTP ${j.http_status}, ${j.duration_ms} ms).`
+        : `Test selhal: ${j.error || `HTTP ${j.http_status}`}`, !!j.ok);
+    } else {
+      if (!r.ok || !j.ok) throw new Error(webhookErrorText(j));
+      if (action === "delete" && String(webhooksAdmin.logId) === String(id)) webhooksAdmin.logId = null;
+      if (action === "delete" && String(webhooksAdmin.editId) === String(id)) renderWebhookForm();
+    }
+    await loadWebhooksAdmin();
+    if (action === "rotate") msg("webhooksMsg", `Nové tajemství (zobrazí se jen teď): ${j.item?.secret || ""}`, true);
+  } catch (e) {
+    msg("webhooksMsg", `Akce selhala: ${String(e.message || e)}`, false);
+  }
+}
 
-    const r = await fetch("/api/admin/clear-observed-durations", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: "include",
-      body: JSON.stringify({ maxMinutes: 20 })
-    });
+async function loadWebhookLog() {
+  const id = webhooksAdmin.logId;
+  showEl("webhookLogBox", !!id);
+  if (!id) return;
+  const box = document.getElementById("webhookLogList");
+  const hook = webhooksAdmin.items.find(h => String(h.id) === String(id));
+  const title = document.getElementById("webhookLogTitle");
+  if (title) title.textContent = `Log doručení – ${hook?.name || id}`;
+  const status = document.getElementById("webhookLogStatusSelect")?.value || "";
+  try {
+    const r = await apiFetch(`/api/admin/webhooks/${encodeURIComponent(id)}/deliveries?limit=100${status ? `&status=${encodeURIComponent(status)}` : ""}`, { method: "GET" });
     const j = await r.json();
-    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "clear failed");
+    if (!r.ok || !j.ok) throw new Error(j.detail || j.error || "load deliveries failed");
+    const items = j.items || [];
+    if (!box) return;
+    box.innerHTML = items.length ? items.map(d => `
+      <div class="ingestLogItem webhookLogItem" data-delivery-id="${escapeHtml(String(d.id))}">
+        <b>
+          <span class="exportSubStatus ${escapeHtml(d.status)}">${escapeHtml(WEBHOOK_DELIVERY_STATUS[d.status] || d.status)}</span>
+          ${escapeHtml(d.event_kind === "test" ? "test" : (webhooksAdmin.kinds[d.event_kind] || d.event_kind))}${d.event_id ? ` • ${escapeHtml(d.event_id)}` : ""}
+        </b>
+        <span>
+          ${escapeHtml(formatDate(d.created_at))} • pokus ${Number(d.attempts)}/${webhooksAdmin.maxAttempts}
+          ${d.last_http_status ? ` • HTTP ${Number(d.last_http_status)}` : ""}
+          ${d.duration_ms != null ? ` • ${Number(d.duration_ms)} ms` : ""}
+          ${d.status === "pending" && d.attempts ? ` • další pokus ${escapeHtml(formatDate(d.next_attempt_at))}` : ""}
+          ${d.delivered_at ? ` • doručeno ${escapeHtml(formatDate(d.delivered_at))}` : ""}
+        </span>
+        ${d.last_error ? `<span class="err">${escapeHtml(d.last_error)}</span>` : ""}
+        ${d.status === "failed" && d.event_kind !== "test" ? `<div class="btnRow"><button class="btn miniBtn" type="button" data-webhook-retry="1">Zopakovat</button></div>` : ""}
+      </div>
+    `).join("") : `<div class="muted">Žádná doručení.</div>`;
+  } catch (e) {
+    if (box) box.innerHTML = `<div class="err">Chyba: ${escapeHtml(String(e.message || e))}</div>`;
+  }
+}
 
-    if (status) status.textContent = `Hotovo: vyčištěno ${Number(j.cleared || 0)} událostí.`;
-    await loadAll(true);
+async function retryWebhookDeliveryAdmin(deliveryId) {
+  const id = webhooksAdmin.logId;
+  if (!id) return;
+  try {
+    const r = await apiFetch(`/api/admin/webhooks/${encodeURIComponent(id)}/deliveries/${encodeURIComponent(deliveryId)}/retry`, { method: "POST" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error === "delivery_not_found" ? "doručení už není ve stavu „selhalo“" : (j.detail || j.error || "retry failed"));
+    msg("webhooksMsg", "Doručení zařazeno znovu do fronty.", true);
   } catch (e) {
-    if (status) status.textContent = `Čištění se nepodařilo: ${String(e.message || e)}`;
-  } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = old;
-    }
+    msg("webhooksMsg", `Opakování selhalo: ${String(e.message || e)}`, false);
   }
+  await loadWebhookLog();
 }
 
-function wireDurationAdminButtons() {
-  document.getElementById("adminRecomputeDurationsBtn")?.addEventListener("click", (ev) => {
-    ev.preventDefault();
-    recomputeObservedDurationsAdmin();
+function wireWebhooksAdmin() {
+  document.getElementById("webhooksReloadBtn")?.addEventListener("click", loadWebhooksAdmin);
+  document.getElementById("webhookSaveBtn")?.addEventListener("click", saveWebhookAdmin);
+  document.getElementById("webhookCancelBtn")?.addEventListener("click", () => renderWebhookForm());
+  document.getElementById("webhooksList")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-webhook-action]");
+    const id = btn?.closest("[data-webhook-id]")?.dataset.webhookId;
+    if (id) webhookActionAdmin(id, btn.dataset.webhookAction);
   });
-
-  document.getElementById("adminClearBogusDurationsBtn")?.addEventListener("click", (ev) => {
-    ev.preventDefault();
-    clearBogusDurationsAdmin();
+  document.getElementById("webhookLogList")?.addEventListener("click", (ev) => {
+    const id = ev.target.closest("[data-webhook-retry]")?.closest("[data-delivery-id]")?.dataset.deliveryId;
+    if (id) retryWebhookDeliveryAdmin(id);
+  });
+  document.getElementById("webhookLogStatusSelect")?.addEventListener("change", loadWebhookLog);
+  document.getElementById("webhookLogCloseBtn")?.addEventListener("click", () => {
+    webhooksAdmin.logId = null;
+    showEl("webhookLogBox", false);
   });
 }
 
@@ -3901,6 +6798,22 @@ function formatDiagTime(value) {
   catch { return String(value); }
 }
 
+function ingestWatchdogHtml(watchdog) {
+  const sources = Array.isArray(watchdog?.sources) ? watchdog.sources : [];
+  if (!sources.length) return "";
+  return `
+    <div class="ingestWatchdog">
+      <b>Hlídání zdrojů:</b> <span class="muted">kontrola ${escapeHtml(formatDiagTime(watchdog.checked_at))}</span>
+      ${sources.map(src => `
+        <div class="ingestWatchdogItem">
+          <span class="ingestWatchdogBadge ${escapeHtml(src.status)}">${escapeHtml(INGEST_SOURCE_STATUS_LABELS[src.status] || src.status)}</span>
+          <span><b>${escapeHtml(src.source)}</b> (${escapeHtml(src.source_kind)}) • poslední data ${escapeHtml(formatDiagTime(src.last_ok_at))} • ticho ${Number(src.silent_for_min || 0)} / limit ${Number(src.expected_gap_min || 0)} min${src.median_gap_min != null ? ` • obvyklý rozestup ${Number(src.median_gap_min)} min` : ""}${src.errors ? ` • chyb ${Number(src.errors)}` : ""}${src.last_error ? ` • ${escapeHtml(src.last_error)}` : ""}</span>
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
 async function loadIngestDiagnostics() {
   const summary = document.getElementById("ingestDiagnosticsSummary");
   const log = document.getElementById("ingestDiagnosticsLog");
@@ -3932,6 +6845,8 @@ async function loadIngestDiagnostics() {
         <div><b>Čas poslední události:</b> ${escapeHtml(formatDiagTime(lastEventTime))}</div>
         <div><b>Počty:</b> 1 h: ${Number(counts.last1h || 0)} • 6 h: ${Number(counts.last6h || 0)} • 24 h: ${Number(counts.last24h || 0)}</div>
         <div><b>Stav:</b> ${escapeHtml(gapText || "—")}</div>
+        ${Array.isArray(j.sources) && j.sources.length ? `<div><b>Priorita zdrojů:</b> ${j.sources.map(src => `${escapeHtml(src.label || src.kind)} (${Number(src.priority || 0)})`).join(" › ")}</div>` : ""}
+        ${ingestWatchdogHtml(j.watchdog)}
       `;
     }
 
@@ -3941,7 +6856,7 @@ async function loadIngestDiagnostics() {
         ? rows.map((x) => `
           <div class="ingestLogItem">
             <b>${escapeHtml(formatDiagTime(x.created_at))}</b>
-            <span>${escapeHtml(x.source || "unknown")} • přijato ${Number(x.received_count || 0)} • přijato do DB ${Number(x.accepted_count || 0)} • nové ${Number(x.new_count || 0)} • aktualizace ${Number(x.updated_count || 0)}${x.error_text ? ` • chyba: ${escapeHtml(x.error_text)}` : ""}</span>
+            <span>${escapeHtml(x.source || "unknown")}${x.source_kind ? ` (${escapeHtml(x.source_kind)})` : ""} • přijato ${Number(x.received_count || 0)} • přijato do DB ${Number(x.accepted_count || 0)} • nové ${Number(x.new_count || 0)} • aktualizace ${Number(x.updated_count || 0)}${x.key_name ? ` • klíč ${escapeHtml(x.key_name)}` : ""}${Number(x.rejected_count || 0) ? ` • <b>odmítnuto ${Number(x.rejected_count)}</b>` : ""}${x.schema_version ? ` • schéma v${Number(x.schema_version)}` : ""}${x.error_text ? ` • chyba: ${escapeHtml(x.error_text)}` : ""}</span>
           </div>
         `).join("")
         : `<div class="muted">Zatím není žádný ingest log. Začne se plnit po nasazení této verze.</div>`;
@@ -3964,7 +6879,9 @@ async function searchAdminEventsDb() {
   try {
     if (results) results.innerHTML = `<div class="muted">Hledám…</div>`;
     const filters = getFiltersFromUi?.() || {};
-    const current = buildEventsQuery(filters);
+    const currentParams = new URLSearchParams(buildEventsQuery(filters));
+    currentParams.delete("q");
+    const current = currentParams.toString();
     const r = await fetch(`/api/admin/events/search?q=${encodeURIComponent(q)}&limit=50${current ? `&${current}` : ""}`, {
       credentials: "include",
       cache: "no-store"
@@ -3983,6 +6900,7 @@ async function searchAdminEventsDb() {
         <div class="adminSearchItem">
           <b>${escapeHtml(it.title || "")}</b>
           <span>${escapeHtml(it.city_text || it.place_text || "")} • ${escapeHtml(formatDate(it.pub_date || it.start_time_iso || it.created_at))} • ${it.is_closed ? "ukončená" : "aktivní"} • GPS: ${it.lat != null && it.lon != null ? "ano" : "ne"} • v hlavním přehledu: ${it.visible_in_current_overview ? "ano" : "ne"}</span>
+          ${searchSnippetHtml(it.search_snippet)}
           <small>ID: ${escapeHtml(it.id || "")}${it.source_kind === "manual" ? " • admin: ručně doplněno" : ""}</small>
         </div>
       `).join("");
@@ -4025,7 +6943,7 @@ function wireManualCreateAndDiagnostics() {
 document.getElementById("refreshBtn").addEventListener("click", () => { resetFilters(); loadAll(); });
 document.getElementById("applyBtn").addEventListener("click", loadAll);
 document.getElementById("resetBtn").addEventListener("click", () => { resetFilters(); loadAll(); });
-document.getElementById("exportCsvBtn").addEventListener("click", () => exportWithFilters("csv"));
+document.getElementById("exportCsvBtn").addEventListener("click", () => exportWithFilters("data"));
 document.getElementById("exportPdfBtn").addEventListener("click", () => exportWithFilters("pdf"));
 
 // map resize on responsive changes
@@ -4044,7 +6962,19 @@ wireManualEventEditor();
 wireManualCreateAndDiagnostics();
 wireDurationAdminButtons();
 wireStatusRecheckAdminButton();
+wireReprocessAdminButtons();
+wireDuplicatesAdmin();
+wireClassifierAdmin();
+wireStatusDictAdmin();
+wireStalePolicyAdmin();
+wireWebhooksAdmin();
 wireEventDetailModal();
+wireEscalationBanner();
+wireClusterOverview();
+wireFilterPresets();
+wireExportSubscriptions();
+wireExtendedFilters();
+wireEventsTablePaging();
 wireManualQuickEditList();
 wireRegionalWeather();
 wireMajorEventsBackfill();
@@ -4091,14 +7021,20 @@ if (hzsStationsToggleEl) {
 }
 
 stationsReadyPromise = loadStations();
+loadEventTypeCatalog();
 
+applyFiltersFromUrl();
 loadAll();
 
-// AUTO REFRESH každou 1 minutu
+// AUTO REFRESH každou 1 minutu – jen když neběží živý stream (záloha).
 // Každý běh volá loadAll({ auto: true }) a používá cache-busting parametr _=Date.now(),
 // takže dashboard pravidelně stáhne čerstvá data z API bez nutnosti ručně obnovovat stránku.
+// Se živým streamem se celý přehled obnoví jen jednou za LIVE_FULL_REFRESH_MS
+// (přechod dne u filtru "dnes", dopočty délek aktivních zásahů).
 const AUTO_REFRESH_MS = 60 * 1000;
+const LIVE_FULL_REFRESH_MS = 10 * 60 * 1000;
 setInterval(() => {
+  if (liveStreamOpen() && Date.now() - lastFullLoadAt < LIVE_FULL_REFRESH_MS) return;
   loadAll({ auto: true });
 }, AUTO_REFRESH_MS);
 
@@ -4245,9 +7181,14 @@ function renderActiveClosedTypeBreakdown(rows) {
 
   rows.forEach((ev) => {
     const type = fwPrettyType(ev.event_type || ev.type || ev.kind || ev.category);
-    if (!map.has(type)) map.set(type, { active: 0, closed: 0 });
-    if (fwIsClosedEvent(ev)) map.get(type).closed += 1;
-    else map.get(type).active += 1;
+    if (!map.has(type)) map.set(type, { active: 0, closed: 0, subtypes: new Map() });
+    const entry = map.get(type);
+    if (fwIsClosedEvent(ev)) entry.closed += 1;
+    else entry.active += 1;
+    if (ev.event_subtype) {
+      const label = subtypeLabelFor(ev.event_type, ev.event_subtype);
+      entry.subtypes.set(label, (entry.subtypes.get(label) || 0) + 1);
+    }
   });
 
   const items = [...map.entries()]
@@ -4262,6 +7203,7 @@ function renderActiveClosedTypeBreakdown(rows) {
         <span><b>${stats.active}</b> aktivní</span>
         <span><b>${stats.closed}</b> ukončené</span>
       </div>
+      ${stats.subtypes.size ? `<div class="typeBreakdownSubtypes">${[...stats.subtypes.entries()].sort((a, b) => b[1] - a[1]).map(([label, n]) => `${escapeHtml(label)} ${n}`).join(" • ")}</div>` : ""}
     </div>
   `).join("");
 }
@@ -4310,11 +7252,9 @@ function syncPublicGuestUi() {
 
 
 function rerenderCurrentTableForAdminButtons() {
-  if (Array.isArray(window.latestItemsSnapshot)) {
-    try {
-      renderTable(window.latestItemsSnapshot);
-    } catch {}
-  }
+  try {
+    renderEventsTable();
+  } catch {}
 }
 
 async function refreshMe() {
@@ -4352,6 +7292,10 @@ async function refreshMe() {
     window.firewatchOpsRadioSetVisible?.(false);
   }
 
+  showEl("filterPresetField", !!currentUser);
+  showEl("exportSubsCard", !!currentUser);
+  loadFilterPresets().then(loadExportSubscriptions);
+
   syncAdminVisibility();
   syncPublicGuestUi();
 }
@@ -4424,6 +7368,8 @@ function syncAudioUi() {
   if (vol) vol.value = String(Math.round(clamp(audioState.volume, 0, 1) * 100));
   if (rate) rate.value = String(Math.round(clamp(audioState.rate, 0.8, 1.4) * 100));
   if (gongSel) gongSel.value = audioState.gongOnShift ? "on" : "off";
+  const escalationSel = document.getElementById("audioGongOnEscalation");
+  if (escalationSel) escalationSel.value = audioState.gongOnEscalation ? "on" : "off";
   if (quietSel) quietSel.value = audioState.quiet ? "on" : "off";
 }
 
@@ -4462,6 +7408,11 @@ function wireAudioUiOnce() {
     saveAudioPrefs();
   });
 
+  document.getElementById("audioGongOnEscalation")?.addEventListener("change", (ev) => {
+    audioState.gongOnEscalation = (ev.target.value === "on");
+    saveAudioPrefs();
+  });
+
   if (quietSel) quietSel.addEventListener("change", () => {
     audioState.quiet = (quietSel.value === "on");
     saveAudioPrefs();
@@ -4470,6 +7421,12 @@ function wireAudioUiOnce() {
   document.getElementById("audioTestNew")?.addEventListener("click", () => {
     queueTask(() => speak("Test. Nová událost. Technická. Místo: Nehvizdy."));
   });
+  document.getElementById("audioTestEscalation")?.addEventListener("click", () => {
+    queueTask(async () => {
+      await playEscalationGong(3);
+      await speak("Test. Eskalace. Třetí stupeň poplachu. Požár. Místo: Nehvizdy.");
+    });
+  });
   document.getElementById("audioTestSummary")?.addEventListener("click", () => {
     queueTask(() => speak("Test. Souhrn přehledu. Aktivní tři. Ukončené deset."));
   });
@@ -4645,6 +7602,14 @@ async function adminLoadAll() {
     msg("adminUsersMsg", `Chyba: ${String(e.message || e)}`, false);
   }
 
+  await adminLoadIngestKeys();
+  await loadDuplicatesAdmin();
+  await loadClassifierRulesAdmin();
+  await loadStatusDictAdmin();
+  await loadStalePolicyAdmin();
+  await loadWebhooksAdmin();
+  await loadDurationQualityAdmin();
+
   // settings
   try {
     const r2 = await apiFetch("/api/admin/settings", { method: "GET" });
@@ -4755,6 +7720,160 @@ async function adminSaveSettings() {
   }
 }
 
+// ---------- Admin: API klíče zařízení ----------
+function ingestKeyState(k) {
+  if (k.revoked_at) return { cls: "failing", text: "zneplatněn" };
+  if (k.expires_at && new Date(k.expires_at).getTime() <= Date.now()) return { cls: "failing", text: "vypršel" };
+  if (k.previous_expires_at && new Date(k.previous_expires_at).getTime() > Date.now()) {
+    return { cls: "pending", text: `rotace – starý platí do ${formatDiagTime(k.previous_expires_at)}` };
+  }
+  return { cls: "ok", text: "aktivní" };
+}
+
+function showIngestKeySecret(name, secret) {
+  const box = document.getElementById("ingestKeySecret");
+  if (!box) return;
+  box.style.display = "";
+  box.innerHTML = `<b>Nový klíč pro ${escapeHtml(name)}</b> – zobrazí se jen teď, ulož ho do firmware:<br/><code>${escapeHtml(secret)}</code>`;
+}
+
+function renderIngestKeysTable(keys) {
+  const tbody = document.getElementById("ingestKeysTbody");
+  if (!tbody) return;
+
+  tbody.innerHTML = keys.length ? keys.map(k => {
+    const state = ingestKeyState(k);
+    return `
+      <tr>
+        <td>${escapeHtml(k.name)}</td>
+        <td>${escapeHtml(k.source_label || "libovolný")}</td>
+        <td>${escapeHtml(k.source_kind || "libovolný")}</td>
+        <td>${escapeHtml((k.scopes || []).join(", "))}</td>
+        <td><code>${escapeHtml(k.key_prefix)}…</code></td>
+        <td>${escapeHtml(k.expires_at ? formatDiagTime(k.expires_at) : "bez omezení")}</td>
+        <td>${escapeHtml(formatDiagTime(k.last_used_at))}${k.last_used_ip ? `<br/><small>${escapeHtml(k.last_used_ip)}</small>` : ""}</td>
+        <td><span class="ingestWatchdogBadge ${state.cls}">${escapeHtml(state.text)}</span></td>
+        <td>
+          ${k.revoked_at
+            ? `<button class="btn" data-ingest-key-restore="${k.id}" type="button">Obnovit</button>`
+            : `<button class="btn" data-ingest-key-rotate="${k.id}" type="button">Rotovat</button>
+               <button class="btn" data-ingest-key-revoke="${k.id}" type="button">Zneplatnit</button>`}
+        </td>
+      </tr>
+    `;
+  }).join("") : `<tr><td colspan="9" class="muted">Zatím žádné klíče – vytvoř první, sdílený API_KEY je jen dočasný přechod.</td></tr>`;
+
+  tbody.querySelectorAll("[data-ingest-key-rotate]").forEach(btn => {
+    btn.addEventListener("click", () => adminRotateIngestKey(btn.getAttribute("data-ingest-key-rotate")));
+  });
+  tbody.querySelectorAll("[data-ingest-key-revoke]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      if (!confirm("Zneplatnit klíč? Zařízení s tímto klíčem přestane posílat data.")) return;
+      adminPatchIngestKey(btn.getAttribute("data-ingest-key-revoke"), { revoked: true });
+    });
+  });
+  tbody.querySelectorAll("[data-ingest-key-restore]").forEach(btn => {
+    btn.addEventListener("click", () => adminPatchIngestKey(btn.getAttribute("data-ingest-key-restore"), { revoked: false }));
+  });
+}
+
+const LEGACY_KEY_OFF_REASONS = {
+  off: "zapíná se jen FIREWATCH_LEGACY_API_KEY=on",
+  missing_key: "FIREWATCH_LEGACY_API_KEY=on, ale API_KEY chybí",
+  default_key: "API_KEY má veřejně známou výchozí hodnotu – nastav vlastní",
+  device_keys: "existují klíče zařízení"
+};
+
+async function adminLoadIngestKeys() {
+  try {
+    const r = await apiFetch("/api/admin/ingest-keys", { method: "GET" });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "load keys failed");
+    renderIngestKeysTable(j.keys || []);
+    fillIngestKeySourceKinds(j.source_kinds || []);
+
+    const legacy = j.legacy_key_enabled
+      ? "Sdílený API_KEY je aktivní (FIREWATCH_LEGACY_API_KEY=on) – vypne se sám s prvním klíčem zařízení."
+      : `Sdílený API_KEY je vypnutý${LEGACY_KEY_OFF_REASONS[j.legacy_key_off_reason] ? ` (${LEGACY_KEY_OFF_REASONS[j.legacy_key_off_reason]})` : ""}.`;
+    const misconfigured = ["default_key", "missing_key"].includes(j.legacy_key_off_reason);
+    msg("ingestKeysMsg", `${j.keys?.length || 0} klíčů • ${legacy}`, !j.legacy_key_enabled && !misconfigured);
+  } catch (e) {
+    msg("ingestKeysMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
+
+function fillIngestKeySourceKinds(kinds) {
+  const sel = document.getElementById("ingestKeySourceKind");
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = `<option value="">druh: libovolný (esp)</option>` +
+    kinds.map(kind => `<option value="${escapeHtml(kind)}">druh: ${escapeHtml(kind)}</option>`).join("");
+  sel.value = kinds.includes(current) ? current : "";
+}
+
+async function adminCreateIngestKey() {
+  const name = (document.getElementById("ingestKeyName")?.value || "").trim();
+  const sourceLabel = (document.getElementById("ingestKeySource")?.value || "").trim();
+  const sourceKind = document.getElementById("ingestKeySourceKind")?.value || "";
+  const scopes = [];
+  if (document.getElementById("ingestKeyScopeIngest")?.checked) scopes.push("ingest");
+  if (document.getElementById("ingestKeyScopeFixGeocode")?.checked) scopes.push("fix-geocode");
+
+  msg("ingestKeysMsg", "Vytvářím…", true);
+  try {
+    const r = await apiFetch("/api/admin/ingest-keys", {
+      method: "POST",
+      body: JSON.stringify({
+        name,
+        source_label: sourceLabel || null,
+        source_kind: sourceKind || null,
+        scopes,
+        expires_at: manualCreateToIso(document.getElementById("ingestKeyExpires")?.value || "")
+      })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "create failed");
+    showIngestKeySecret(j.key.name, j.secret);
+    await adminLoadIngestKeys();
+  } catch (e) {
+    msg("ingestKeysMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
+
+async function adminPatchIngestKey(id, patch) {
+  msg("ingestKeysMsg", "Ukládám…", true);
+  try {
+    const r = await apiFetch(`/api/admin/ingest-keys/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      body: JSON.stringify(patch)
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "update failed");
+    await adminLoadIngestKeys();
+  } catch (e) {
+    msg("ingestKeysMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
+
+async function adminRotateIngestKey(id) {
+  const grace = prompt("Kolik minut má ještě platit starý klíč (0 = hned neplatný)?", "60");
+  if (grace === null) return;
+
+  msg("ingestKeysMsg", "Rotuji…", true);
+  try {
+    const r = await apiFetch(`/api/admin/ingest-keys/${encodeURIComponent(id)}/rotate`, {
+      method: "POST",
+      body: JSON.stringify({ grace_minutes: Number(grace) || 0 })
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || "rotate failed");
+    showIngestKeySecret(j.key.name, j.secret);
+    await adminLoadIngestKeys();
+  } catch (e) {
+    msg("ingestKeysMsg", `Chyba: ${String(e.message || e)}`, false);
+  }
+}
+
 // ---------- Shift logic ----------
 // Reference: 2026-02-06 je směna C, další den A, další B.
 const SHIFT_ORDER = ["A", "B", "C"]; // index 0..2
@@ -5356,6 +8475,7 @@ function toggleTvMode() {
 
   // admin actions
   document.getElementById("createUserBtn")?.addEventListener("click", adminCreateUser);
+  document.getElementById("ingestKeyCreateBtn")?.addEventListener("click", adminCreateIngestKey);
   document.getElementById("adminSaveSettings")?.addEventListener("click", adminSaveSettings);
 
   // settings + shift
@@ -5704,4 +8824,4 @@ function fwOpenRegisterDialog() {
   });
 })();
 
-document.getElementById("eventsLimitSelect")?.addEventListener("change", () => loadAll());
+document.getElementById("eventsLimitSelect")?.addEventListener("change", () => loadEventsTablePage({ reset: true }));
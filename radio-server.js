@@ -852,6 +852,12 @@ export function attachOpsRadio(server, options = {}) {
     });
   });
 
+  // Systémová zpráva z backendu (watchdog ingestu apod.) – bez odesílatele, jako "FireWatch Talk".
+  function postSystemMessage(room, text) {
+    if (!enabled) return null;
+    return addRoomChatMessage(normalizeRoom(room), null, text, "system", true);
+  }
+
   console.log(`[FW TALK] v0.9 WebSocket/PCM relay běží na /ops-radio | enabled=${enabled} | customRooms=true | lastVoicePerUser=memory`);
-  return { wss };
+  return { wss, postSystemMessage };
 }
@@ -0,0 +1,152 @@
+// ======================
+// FireWatchCZ – parsování RSS/Atom feedů (bez sítě a DB, importují testy)
+// ======================
+// Poller v server.js feed stáhne a sem předá surová data; tady je jen čistá logika.
+
+export const RSS_FEED_KEYS = ["name", "url", "intervalSec", "maxBackoffSec", "enabled"];
+
+// Konfigurace feedů z FIREWATCH_RSS_FEEDS: JSON pole objektů, nebo URL oddělené čárkou.
+// Neplatný JSON = žádné feedy (s chybou v logu), neznámé klíče jen varování.
+export function parseRssFeedsConfig(raw, { intervalSec: defaultIntervalSec = 120, maxBackoffSec: defaultMaxBackoffSec = 1800, log = console } = {}) {
+  const text = String(raw || "").trim();
+  if (!text) return [];
+
+  let list = [];
+  if (text.startsWith("[")) {
+    try {
+      list = JSON.parse(text);
+    } catch (e) {
+      log.error("[rss] FIREWATCH_RSS_FEEDS není validní JSON:", e?.message || e);
+      return [];
+    }
+  } else {
+    // Zkrácený zápis: URL oddělené čárkou, výchozí interval.
+    list = text.split(",").map(s => s.trim()).filter(Boolean).map(url => ({ url }));
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const [i, f] of (Array.isArray(list) ? list : []).entries()) {
+    const unknown = f && typeof f === "object" ? Object.keys(f).filter(k => !RSS_FEED_KEYS.includes(k)) : [];
+    if (unknown.length) log.warn(`[rss] feed #${i + 1}: neznámé klíče ${unknown.join(", ")} (ignoruji)`);
+
+    const url = String(f?.url || "").trim();
+    if (!url) continue;
+    let name = String(f?.name || `rss-${i + 1}`).trim().slice(0, 60);
+    if (seen.has(name)) name = `${name}-${i + 1}`;
+    seen.add(name);
+
+    const intervalSec = Math.max(30, Number(f?.intervalSec || defaultIntervalSec));
+    out.push({
+      name,
+      url,
+      intervalSec,
+      maxBackoffSec: Math.max(intervalSec, Number(f?.maxBackoffSec || defaultMaxBackoffSec)),
+      enabled: f?.enabled !== false
+    });
+  }
+  return out;
+}
+
+// Kódování: charset z Content-Type > encoding z XML deklarace > UTF-8.
+// Feedy HZS bývají i ve windows-1250, r.text() by je rozbil na U+FFFD.
+function feedCharset(buf, contentType) {
+  const fromHeader = String(contentType || "").match(/charset\s*=\s*"?([\w.:-]+)/i);
+  if (fromHeader) return fromHeader[1];
+  const head = Buffer.from(buf.subarray(0, 200)).toString("latin1");
+  const fromDecl = head.match(/^\s*<\?xml[^>]*\bencoding\s*=\s*["']([\w.:-]+)["']/i);
+  return fromDecl ? fromDecl[1] : "utf-8";
+}
+
+export function decodeFeedBuffer(buf, contentType = "") {
+  const bytes = buf instanceof Uint8Array ? buf : Buffer.from(String(buf ?? ""), "utf8");
+  let decoder;
+  try {
+    decoder = new TextDecoder(feedCharset(bytes, contentType));
+  } catch {
+    decoder = new TextDecoder("utf-8");
+  }
+  return decoder.decode(bytes);
+}
+
+export function decodeXmlText(raw) {
+  let s = String(raw ?? "");
+  const cdata = s.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1].trim();
+  s = s.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+  return s
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function xmlTagText(block, tag) {
+  const re = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "i");
+  const m = String(block || "").match(re);
+  return m ? decodeXmlText(m[1]) : "";
+}
+
+function atomLinkHref(block) {
+  const links = String(block || "").match(/<link\b[^>]*>/gi) || [];
+  let fallback = "";
+  for (const l of links) {
+    const href = (l.match(/\bhref\s*=\s*"([^"]*)"/i) || l.match(/\bhref\s*=\s*'([^']*)'/i) || [])[1];
+    if (!href) continue;
+    const rel = (l.match(/\brel\s*=\s*"([^"]*)"/i) || [])[1] || "alternate";
+    if (rel === "alternate") return decodeXmlText(href);
+    if (!fallback) fallback = decodeXmlText(href);
+  }
+  return fallback;
+}
+
+function feedDateToIso(raw) {
+  if (!raw) return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// RSS 2.0 <item> i Atom <entry> -> tvar položky jako z ESP.
+// Bez GUID se jako id bere odkaz; stejné id v jednom feedu = jen první výskyt.
+export function parseFeedItems(xml) {
+  const text = String(xml || "");
+  const out = [];
+
+  const rssItems = text.match(/<item\b[\s\S]*?<\/item>/gi) || [];
+  for (const block of rssItems) {
+    const link = xmlTagText(block, "link");
+    const guid = xmlTagText(block, "guid");
+    out.push({
+      id: guid || link,
+      title: xmlTagText(block, "title"),
+      link: link || (/^https?:\/\//i.test(guid) ? guid : ""),
+      pubDate: feedDateToIso(xmlTagText(block, "pubDate") || xmlTagText(block, "dc:date")),
+      descriptionRaw: xmlTagText(block, "description") || xmlTagText(block, "content:encoded")
+    });
+  }
+
+  if (!rssItems.length) {
+    const atomEntries = text.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+    for (const block of atomEntries) {
+      const link = atomLinkHref(block);
+      out.push({
+        id: xmlTagText(block, "id") || link,
+        title: xmlTagText(block, "title"),
+        link,
+        pubDate: feedDateToIso(xmlTagText(block, "published") || xmlTagText(block, "updated")),
+        descriptionRaw: xmlTagText(block, "summary") || xmlTagText(block, "content")
+      });
+    }
+  }
+
+  const seenIds = new Set();
+  return out.filter(it => {
+    if (!it.id || !it.title || !it.link || seenIds.has(it.id)) return false;
+    seenIds.add(it.id);
+    return true;
+  });
+}
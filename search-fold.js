@@ -0,0 +1,44 @@
+// ---------------- FULLTEXT: odstranění diakritiky ----------------
+// Jediná tabulka pro JS (foldSearchText -> hledané výrazy) i SQL (fw_unaccent -> search_tsv).
+// Dřív JS skládal přes NFD a SQL přes vlastní seznam znaků, takže např. "ł" nebo "ő"
+// se v indexu a v dotazu lišily a hledání nic nenašlo. Teď obě strany dělají totéž translate().
+// Velká písmena rovnou na malý základ – bez lower(), které v Postgresu závisí na locale.
+const FOLD_GROUPS = [
+  ["áàâäãåāăą", "a"],
+  ["çćčĉċ", "c"],
+  ["ďđ", "d"],
+  ["éèêëěēėęĕ", "e"],
+  ["ğ", "g"],
+  ["íìîïīį", "i"],
+  ["ĺľł", "l"],
+  ["ńňñņ", "n"],
+  ["óòôöõőøō", "o"],
+  ["ŕř", "r"],
+  ["śšşș", "s"],
+  ["ťţț", "t"],
+  ["úùûüůűūų", "u"],
+  ["ýÿ", "y"],
+  ["źžż", "z"]
+];
+
+const ASCII_UPPER = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+export const FOLD_FROM = FOLD_GROUPS.map(([from]) => from + from.toUpperCase()).join("") + ASCII_UPPER;
+export const FOLD_TO = FOLD_GROUPS.map(([from, to]) => to.repeat([...from].length * 2)).join("") + ASCII_UPPER.toLowerCase();
+
+// Stejně jako translate() v Postgresu: při opakování znaku platí první výskyt.
+const FOLD_MAP = new Map();
+[...FOLD_FROM].forEach((ch, i) => {
+  if (!FOLD_MAP.has(ch)) FOLD_MAP.set(ch, FOLD_TO[i]);
+});
+
+export function foldSearchText(text) {
+  let out = "";
+  for (const ch of String(text || "")) out += FOLD_MAP.get(ch) ?? ch;
+  return out;
+}
+
+// SQL výraz se stejným složením; tabulka neobsahuje apostrof, takže literál je bezpečný.
+export function foldSqlExpr(arg) {
+  return `translate(COALESCE(${arg}, ''), '${FOLD_FROM}', '${FOLD_TO}')`;
+}
@@ -5,8 +5,23 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
+import net from "net";
+import os from "os";
+import tls from "tls";
+import { Writable } from "stream";
 import bcrypt from "bcryptjs";
 import { attachOpsRadio } from "./radio-server.js";
+import { parseRssFeedsConfig, parseFeedItems, decodeFeedBuffer } from "./rss-feed.js";
+import { lockedFieldsFor, listSourceRegistry, ingestSourceKinds } from "./source-registry.js";
+import { foldSearchText } from "./search-fold.js";
+import {
+  INGEST_SCHEMA_VERSIONS,
+  INGEST_DEFAULT_SCHEMA_VERSION,
+  parseIngestSchemaVersion,
+  ingestIssue,
+  validateIngestItems,
+  ingestSchemaDescription
+} from "./ingest-schema.js";
 
 
 // ======================
@@ -30,6 +45,20 @@ import {
   initDb,
   upsertEvent,
   getEventsFiltered,
+  getEventsPage,
+  EVENT_PAGE_SORTS,
+  getEventsFilteredByIds,
+  listClassifierRules,
+  replaceClassifierRules,
+  listEventsForReclassify,
+  listRecentEventsForClassifierSample,
+  listEventsForStatusSample,
+  listEventStatusPhases,
+  listEventAlarmEscalations,
+  listEventsForClustering,
+  saveIncidentClusters,
+  listIncidentClusters,
+  getIncidentCluster,
   countEventsFiltered,
   getStatsFiltered,
   getCachedGeocode,
@@ -39,16 +68,26 @@ import {
   deleteCachedGeocode,
   getEventsOutsideCz,
   getEventFirstSeen,
-  getEventMeta,
   updateEventDuration,
   getDurationCutoffIso,
   getLongestCutoffIso,
   autoCloseStaleOpenEvents,
+  listStaleOpenEvents,
+  flagStaleEventsForReview,
+  listStaleReviewEvents,
+  setStaleReview,
+  reopenStaleClosedEvent,
   repairClosedEventsMissingEndTime,
   clearEstimatedDurationsForAlreadyClosedEvents,
   clearObservedDurations,
   recomputeObservedDurationsForClosedEvents,
   listEventsForMajorBackfill,
+  listDurationsForScoring,
+  updateDurationConfidence,
+  listSuspiciousDurations,
+  confirmEventDuration,
+  clearEventDuration,
+  backfillEventPhaseTimes,
   updateEventMajorAnalysis,
   updateEventStatusFromRecheck,
   getMajorEventsSummary,
@@ -69,8 +108,58 @@ import {
   deleteExpiredSessions,
   getSessionUserByTokenSha,
   insertAudit,
+  searchTerms,
+  listUserFilterPresets,
+  getUserFilterPreset,
+  saveUserFilterPreset,
+  deleteUserFilterPreset,
+  listExportSubscriptions,
+  listEnabledExportSubscriptions,
+  getExportSubscription,
+  createExportSubscription,
+  updateExportSubscription,
+  deleteExportSubscription,
+  markExportSubscriptionAttempt,
+  insertExportDelivery,
+  finishExportDelivery,
+  listExportDeliveries,
+  pruneExportDeliveries,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  enqueueWebhookDeliveries,
+  claimDueWebhookDeliveries,
+  finishWebhookDelivery,
+  listWebhookDeliveries,
+  retryWebhookDelivery,
+  pruneWebhookDeliveries,
   searchEventsAdmin,
   getIngestDiagnostics,
+  getIngestSourceActivity,
+  listIngestKeys,
+  createIngestKey,
+  updateIngestKey,
+  rotateIngestKey,
+  findIngestKeyBySha,
+  touchIngestKey,
+  countIngestKeys,
+  archiveRawIngestItems,
+  purgeRawIngestItems,
+  listRawIngestForReplay,
+  listUnarchivedEventsForReplay,
+  getTrackedEventsMany,
+  REPROCESS_EVENT_FIELDS,
+  applyEventReprocessPatch,
+  resolveEventAliases,
+  resolveEventId,
+  listDuplicateCandidatePairs,
+  upsertDuplicateCandidates,
+  listDuplicateQueue,
+  getDuplicateCandidate,
+  setDuplicateCandidateStatus,
+  mergeEvents,
   insertIngestLog,
   insertManualEvent,
   setSetting,
@@ -87,7 +176,14 @@ import {
   upsertArchivedReport,
   listArchivedReports,
   getArchivedReport,
-  getEventsForPeriod
+  getEventsForPeriod,
+  runInTransaction,
+  getEventMetaMany,
+  getIngestBatch,
+  claimIngestBatch,
+  saveIngestBatchResponse,
+  releaseIngestBatch,
+  getEventRevisions
 
 } from "./db.js";
 
@@ -98,7 +194,12 @@ const app = express();
 app.use(express.json({ limit: "2mb" }));
 
 // ---------------- CONFIG ----------------
-const API_KEY = process.env.API_KEY || "JPO_KEY_123456";
+// Globální API_KEY = starý sdílený klíč všech ESP. Nová zařízení mají vlastní klíč v ingest_keys.
+// Sdílený klíč je vypnutý, dokud ho admin výslovně nezapne (FIREWATCH_LEGACY_API_KEY=on + vlastní API_KEY).
+// Veřejně známá hodnota JPO_KEY_123456 neprojde nikdy; s prvním klíčem zařízení se vypne sám.
+const LEGACY_DEFAULT_API_KEY = "JPO_KEY_123456";
+const API_KEY = String(process.env.API_KEY || "").trim();
+const LEGACY_API_KEY_OPT_IN = ["1", "true", "on", "yes"].includes(String(process.env.FIREWATCH_LEGACY_API_KEY || "off").toLowerCase());
 const GEOCODE_UA = process.env.GEOCODE_UA || "firewatchcz/1.0 (contact: admin@firewatchcz.local)";
 
 // omez geo na Středočeský kraj (bounding box)
@@ -110,6 +211,7 @@ const STC_STATE_ALLOW = /stredocesky|central bohemia/i;
 // Pokud ESP přestane posílat aktivní událost, po určité době ji uzavřeme:
 // end_time = last_seen_at, duration se dopočítá z startu.
 // (Žádné externí ověřování – jediný zdroj je ESP.)
+// STALE_CLOSE_MINUTES je výchozí práh; podle typu / stupně poplachu ho mění politiky v adminu (stale_close_policy).
 const STALE_CLOSE_MINUTES = Math.max(5, Number(process.env.STALE_CLOSE_MINUTES || 20)); // doporučeno 15–30
 const STALE_CLOSE_INTERVAL_MS = Math.max(30_000, Number(process.env.STALE_CLOSE_INTERVAL_MS || 60_000));
 const STALE_CLOSE_BATCH = Math.max(1, Math.min(2000, Number(process.env.STALE_CLOSE_BATCH || 200)));
@@ -247,11 +349,75 @@ function requireAdmin(req, res, next) {
   });
 }
 
+// Kdo změnu provedl – pro historii událostí (event_revisions).
+function requestActor(req) {
+  return { userId: req.auth?.user?.id || null, username: req.auth?.user?.username || null };
+}
+
 // ---------------- AUTH (ESP ingest key) ----------------
-function requireKey(req, res, next) {
-  const key = req.header("X-API-Key") || "";
-  if (key !== API_KEY) return res.status(401).json({ ok: false, error: "bad key" });
-  next();
+const INGEST_KEY_SCOPES = ["ingest", "fix-geocode"];
+
+// Stav sdíleného klíče: null = aktivní, jinak důvod vypnutí (off, missing_key, default_key, device_keys).
+let legacyApiKeyOffReason = "off";
+
+async function refreshLegacyApiKeyState({ startup = false } = {}) {
+  let reason = null;
+  if (!LEGACY_API_KEY_OPT_IN) reason = "off";
+  else if (!API_KEY) reason = "missing_key";
+  else if (API_KEY === LEGACY_DEFAULT_API_KEY) reason = "default_key";
+  else if (await countIngestKeys() > 0) reason = "device_keys";
+
+  const changed = reason !== legacyApiKeyOffReason;
+  legacyApiKeyOffReason = reason;
+
+  if (!reason && startup) {
+    console.warn("[ingest-key] ⚠️ sdílený API_KEY je aktivní (FIREWATCH_LEGACY_API_KEY=on) – vytvoř klíče zařízení, první z nich ho vypne");
+  } else if (reason === "default_key" && startup) {
+    console.error("[ingest-key] FIREWATCH_LEGACY_API_KEY=on s výchozím API_KEY=JPO_KEY_123456 – sdílený klíč zůstává vypnutý, nastav vlastní hodnotu");
+  } else if (reason === "missing_key" && startup) {
+    console.error("[ingest-key] FIREWATCH_LEGACY_API_KEY=on bez API_KEY – sdílený klíč zůstává vypnutý");
+  } else if (reason === "device_keys" && changed && LEGACY_API_KEY_OPT_IN) {
+    console.warn("[ingest-key] sdílený API_KEY vypnut – existují klíče zařízení (ingest_keys)");
+  }
+}
+
+// X-API-Key -> req.ingestKey = { id, name, source_label, source_kind, scopes, legacy }.
+// requireKey("ingest") / requireKey("fix-geocode") – klíč musí mít daný scope.
+function requireKey(scope) {
+  return (req, res, next) => {
+    const key = String(req.header("X-API-Key") || "");
+    if (!key) return res.status(401).json({ ok: false, error: "bad key" });
+
+    if (!legacyApiKeyOffReason && key === API_KEY) {
+      req.ingestKey = { id: null, name: "legacy", source_label: null, source_kind: null, scopes: INGEST_KEY_SCOPES, legacy: true };
+      return next();
+    }
+
+    findIngestKeyBySha(sha256Hex(key)).then((row) => {
+      if (!row) return res.status(401).json({ ok: false, error: "bad key" });
+      if (row.revoked_at) return res.status(401).json({ ok: false, error: "key_revoked" });
+      if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) {
+        return res.status(401).json({ ok: false, error: "key_expired" });
+      }
+      if (!(row.scopes || []).includes(scope)) {
+        return res.status(403).json({ ok: false, error: "scope_forbidden", scope });
+      }
+
+      req.ingestKey = {
+        id: row.id,
+        name: row.name,
+        source_label: row.source_label || null,
+        source_kind: row.source_kind || null,
+        scopes: row.scopes,
+        legacy: false
+      };
+      touchIngestKey(row.id, getClientIp(req)).catch(() => {});
+      next();
+    }).catch((e) => {
+      console.error("[ingest-key]", e?.message || e);
+      res.status(500).json({ ok: false, error: "key_check_failed" });
+    });
+  };
 }
 
 // ---------------- HELPERS ----------------
@@ -261,7 +427,8 @@ function safeText(v) {
   return s.length ? s : null;
 }
 
-function typeLabel(t) {
+// typeLabel("fire") / typeLabel("fire", "chimney") / typeLabel("fire:chimney") -> "Požár – komín"
+function typeLabel(t, subtype = null) {
   const m = {
     fire: "Požár",
     traffic: "Dopravní nehoda",
@@ -270,17 +437,10 @@ function typeLabel(t) {
     false_alarm: "Planý poplach",
     other: "Ostatní"
   };
-  return m[t] || "Ostatní";
-}
-
-function classifyType(title) {
-  const t = String(title || "").toLowerCase();
-  if (t.includes("požár") || t.includes("pozar")) return "fire";
-  if (t.includes("doprav") || t.includes("nehoda")) return "traffic";
-  if (t.includes("technick") || t.includes("nebezpeč") || t.includes("nebezpec")) return "tech";
-  if (t.includes("záchrana") || t.includes("zachrana") || t.includes("transport")) return "rescue";
-  if (t.includes("planý poplach") || t.includes("plany poplach")) return "false_alarm";
-  return "other";
+  const [type, sub] = String(t || "").includes(":") ? String(t).split(":", 2) : [t, subtype];
+  const base = m[type] || "Ostatní";
+  const subLabel = subtypeLabel(type, sub);
+  return subLabel ? `${base} – ${subLabel}` : base;
 }
 
 
@@ -314,10 +474,48 @@ function pragueLocalToUtcIso(year, monthIndex, day, hour, minute) {
   return new Date(wantedAsUtc - offsetMs).toISOString();
 }
 
+const CZ_MONTHS_GENITIVE = {
+  ledna: 0, února: 1, brezna: 2, března: 2, dubna: 3, května: 4, kvetna: 4,
+  června: 5, cervna: 5, července: 6, cervence: 6, srpna: 7, září: 8, zari: 8,
+  října: 9, rijna: 9, listopadu: 10, prosince: 11
+};
+
+// "<label>: 31. ledna 2026, 15:07" -> ISO (UTC). Když je uveden jen čas ("lokalizace: 15:07"),
+// doplní se den z referenceIso (začátek zásahu); čas dřív než začátek = přes půlnoc, další den.
+function parseLabeledDescriptionTime(desc, labelRe, referenceIso = null) {
+  const full = desc.match(new RegExp(`${labelRe}\\s*:\\s*([0-9]{1,2})\\.\\s*([^\\n,<]+?)\\s*([0-9]{4}),?\\s*([0-9]{1,2})\\s*:\\s*([0-9]{2})`, "i"));
+  if (full) {
+    const mo = CZ_MONTHS_GENITIVE[String(full[2]).trim().toLowerCase()];
+    if (!Number.isFinite(mo)) return null;
+    return pragueLocalToUtcIso(Number(full[3]), mo, Number(full[1]), Number(full[4]), Number(full[5]));
+  }
+
+  const timeOnly = desc.match(new RegExp(`${labelRe}\\s*:\\s*(?:v\\s*)?([0-9]{1,2})\\s*:\\s*([0-9]{2})(?![0-9])`, "i"));
+  if (!timeOnly || !referenceIso) return null;
+  const ref = new Date(referenceIso);
+  if (Number.isNaN(ref.getTime())) return null;
+  const [y, m, d] = new Intl.DateTimeFormat("en-CA", { timeZone: "Europe/Prague", year: "numeric", month: "2-digit", day: "2-digit" })
+    .format(ref)
+    .split("-")
+    .map(Number);
+  let iso = pragueLocalToUtcIso(y, m - 1, d, Number(timeOnly[1]), Number(timeOnly[2]));
+  if (new Date(iso) < ref) iso = pragueLocalToUtcIso(y, m - 1, d + 1, Number(timeOnly[1]), Number(timeOnly[2]));
+  return iso;
+}
+
+// { localized, extinguished } -> ISO jen pro fáze, jejichž čas popis uvádí (klíče fází ze slovníku).
+function descriptionPhaseTimes(times) {
+  return Object.fromEntries(
+    [["localized", times?.localizedIso], ["extinguished", times?.extinguishedIso]].filter(([, at]) => at)
+  );
+}
+
 // popis v RSS bývá: "stav: ...<br>ukončení: ...<br>Město<br>okres ..."
-function parseTimesFromDescription(descRaw) {
+// HZS občas doplní i "lokalizace: …" a "likvidace: …" – časy fází zásahu.
+// referenceIso (pubDate) slouží k doplnění dne u časů bez data.
+function parseTimesFromDescription(descRaw, { referenceIso = null } = {}) {
   const desc = String(descRaw || "");
-  const out = { isClosed: false, startIso: null, endIso: null };
+  const out = { isClosed: false, startIso: null, endIso: null, localizedIso: null, extinguishedIso: null };
 
   const lower = desc.toLowerCase();
 
@@ -325,45 +523,14 @@ function parseTimesFromDescription(descRaw) {
   if (lower.includes("stav:") && lower.includes("ukon")) out.isClosed = true;
   if (lower.includes("ukončení:")) out.isClosed = true;
 
-  // ukončení: 31. ledna 2026, 15:07
-  const mEnd = desc.match(/ukončen[íi]\s*:\s*([0-9]{1,2})\.\s*([^\n,<]+?)\s*([0-9]{4}),?\s*([0-9]{1,2})\s*:\s*([0-9]{2})/i);
-  if (mEnd) {
-    const day = Number(mEnd[1]);
-    const monthName = String(mEnd[2]).trim().toLowerCase();
-    const year = Number(mEnd[3]);
-    const hh = Number(mEnd[4]);
-    const mm = Number(mEnd[5]);
-
-    const months = {
-      ledna: 0, února: 1, brezna: 2, března: 2, dubna: 3, května: 4, kvetna: 4,
-      června: 5, cervna: 5, července: 6, cervence: 6, srpna: 7, září: 8, zari: 8,
-      října: 9, rijna: 9, listopadu: 10, prosince: 11
-    };
-    const mo = months[monthName];
-    if (Number.isFinite(mo)) {
-      out.endIso = pragueLocalToUtcIso(year, mo, day, hh, mm);
-    }
-  }
-
   // zahájení: (když by někdy bylo)
-  const mStart = desc.match(/zahájen[íi]\s*:\s*([0-9]{1,2})\.\s*([^\n,<]+?)\s*([0-9]{4}),?\s*([0-9]{1,2})\s*:\s*([0-9]{2})/i);
-  if (mStart) {
-    const day = Number(mStart[1]);
-    const monthName = String(mStart[2]).trim().toLowerCase();
-    const year = Number(mStart[3]);
-    const hh = Number(mStart[4]);
-    const mm = Number(mStart[5]);
-
-    const months = {
-      ledna: 0, února: 1, brezna: 2, března: 2, dubna: 3, května: 4, kvetna: 4,
-      června: 5, cervna: 5, července: 6, cervence: 6, srpna: 7, září: 8, zari: 8,
-      října: 9, rijna: 9, listopadu: 10, prosince: 11
-    };
-    const mo = months[monthName];
-    if (Number.isFinite(mo)) {
-      out.startIso = pragueLocalToUtcIso(year, mo, day, hh, mm);
-    }
-  }
+  out.startIso = parseLabeledDescriptionTime(desc, "zahájen[íi]");
+  const reference = out.startIso || referenceIso;
+
+  // ukončení: 31. ledna 2026, 15:07
+  out.endIso = parseLabeledDescriptionTime(desc, "ukončen[íi]", reference);
+  out.localizedIso = parseLabeledDescriptionTime(desc, "(?:lokalizace|lokalizov[áa]n[aoy]?)", reference);
+  out.extinguishedIso = parseLabeledDescriptionTime(desc, "(?:likvidace|likvidov[áa]n[aoy]?)", reference);
 
   return out;
 }
@@ -386,7 +553,7 @@ function extractCityFromDescription(descRaw) {
   const desc = String(descRaw || "").replaceAll("&lt;", "<").replaceAll("&gt;", ">").replaceAll("&amp;", "&");
   const lines = desc.split(/<br\s*\/?>|\n/g).map(s => s.trim()).filter(Boolean);
   // typicky: ["stav: ...", "ukončení: ...", "Město", "okres ..."]
-  const city = lines.find(l => !/^stav\s*:/i.test(l) && !/^ukončen/i.test(l) && !/^okres\s+/i.test(l));
+  const city = lines.find(l => !/^stav\s*:/i.test(l) && !/^(ukončen|lokaliz|likvid|zahájen)[^:]*:/i.test(l) && !/^okres\s+/i.test(l));
   return city || null;
 }
 
@@ -806,17 +973,273 @@ async function geocodePlace(placeText) {
   return null;
 }
 
+// ======================
+// Rozšířené filtry: od–do, více obcí, okres, stupeň poplachu, souřadnice, délka, okruh
+// ======================
+const FILTER_NEAR_DEFAULT_RADIUS_KM = 10;
+const FILTER_NEAR_MAX_RADIUS_KM = 200;
+const FILTER_MAX_CITIES = 20;
+const FILTER_SEARCH_MAX_LENGTH = 120;
+
+const FILTER_DATE_MIN_YEAR = 2000;
+const FILTER_DATE_MAX_YEAR = 2100;
+
+// Den musí v kalendáři existovat: Date.parse("2026-02-30") tiše přeteče na 2. 3.,
+// kdežto Postgres by ho v $n::date odmítl a dotaz spadl.
+function isCalendarDay(s) {
+  const d = new Date(`${s}T00:00:00Z`);
+  if (Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s) return false;
+  const year = d.getUTCFullYear();
+  return year >= FILTER_DATE_MIN_YEAR && year <= FILTER_DATE_MAX_YEAR;
+}
+
+// YYYY-MM-DD zůstává jako den (Praha), ISO čas (YYYY-MM-DDTHH:MM…) se převede na UTC ISO; nesmysl = "".
+function filterDateParam(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return "";
+  if (!/^\d{4}-\d{2}-\d{2}(?:$|[T ])/.test(s) || !isCalendarDay(s.slice(0, 10))) return "";
+  if (s.length === 10) return s;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? new Date(t).toISOString() : "";
+}
+
+// Zadané, ale neplatné od/do -> 400 místo tichého ignorování filtru.
+function invalidDateParams(req, filters) {
+  const q = req.query || {};
+  return ["from", "to"].filter(key => String(q[key] ?? "").trim() && !filters[key]);
+}
+
+function filterIntParam(v, min, max) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  if (!Number.isFinite(n)) return null;
+  return Math.max(min, Math.min(max, Math.round(n)));
+}
+
+// "a,b" i opakovaný parametr (?cities=a&cities=b)
+function filterListParam(v) {
+  return [...new Set([].concat(v ?? [])
+    .flatMap(x => String(x).split(","))
+    .map(x => x.trim())
+    .filter(Boolean))]
+    .slice(0, FILTER_MAX_CITIES);
+}
+
+function filterTriStateParam(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (["1", "true", "yes"].includes(s)) return true;
+  if (["0", "false", "no"].includes(s)) return false;
+  return null;
+}
+
+// near=lat,lon (+ radius_km)
+function filterNearParam(near, radius) {
+  const parts = String(near ?? "").split(",").map(x => Number(String(x).trim()));
+  if (parts.length !== 2 || !parts.every(Number.isFinite)) return null;
+  const [lat, lon] = parts;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  const r = Number(radius);
+  const radiusKm = Number.isFinite(r) && r > 0
+    ? Math.min(FILTER_NEAR_MAX_RADIUS_KM, Math.max(0.1, r))
+    : FILTER_NEAR_DEFAULT_RADIUS_KM;
+  return { lat, lon, radiusKm };
+}
+
 function parseFilters(req) {
-  const typeQ = String(req.query.type || "").trim();
+  const q = req.query || {};
+  const typeQ = String(q.type || "").trim();
   const types = typeQ ? typeQ.split(",").map(s => s.trim()).filter(Boolean) : [];
-  const city = String(req.query.city || "").trim();
-  const status = String(req.query.status || "all").trim();
-  const day = String(req.query.day || "all").trim();
-  const month = String(req.query.month || "").trim();
-  return { types, city, status, day, month };
+  const city = String(q.city || "").trim();
+  const status = String(q.status || "all").trim();
+  const day = String(q.day || "all").trim();
+  const month = String(q.month || "").trim();
+  const durationQuality = String(q.duration_quality || "").trim() === "reliable" ? "reliable" : "all";
+  return {
+    types, city, status, day, month, durationQuality,
+    q: String(q.q || "").trim().slice(0, FILTER_SEARCH_MAX_LENGTH),
+    from: filterDateParam(q.from),
+    to: filterDateParam(q.to),
+    cities: filterListParam(q.cities),
+    district: String(q.district || "").trim().slice(0, 80),
+    alarmLevelGte: filterIntParam(q.alarm_level_gte, 1, 4),
+    majorOnly: isTruthyFlag(q.major_only),
+    hasCoords: filterTriStateParam(q.has_coords),
+    durationMinGte: filterIntParam(q.duration_min_gte, 0, MAX_DURATION_MINUTES),
+    durationMinLte: filterIntParam(q.duration_min_lte, 0, MAX_DURATION_MINUTES),
+    near: filterNearParam(q.near, q.radius_km)
+  };
+}
+
+// ======================
+// Předvolby filtrů (per uživatel) – ukládají se ve tvaru query stringu dashboardu
+// ======================
+const FILTER_PRESET_KEYS = [
+  "q", "day", "type", "city", "status", "month", "duration_quality",
+  "from", "to", "cities", "district", "alarm_level_gte", "major_only", "has_coords",
+  "duration_min_gte", "duration_min_lte", "near", "radius_km"
+];
+const FILTER_PRESET_MAX_PER_USER = 50;
+const FILTER_PRESET_NAME_MAX = 60;
+
+// Vrací { filters, issues }. Prázdné/výchozí hodnoty se vynechají, ať je uložená předvolba i URL krátká.
+function normalizeFilterPresetInput(src = {}) {
+  const issues = [];
+  const out = {};
+
+  const day = String(src.day || "").trim();
+  if (day) {
+    if (["today", "yesterday", "all"].includes(day)) out.day = day;
+    else issues.push("invalid_day");
+  }
+
+  const type = String(src.type || "").trim();
+  if (type) {
+    if (/^[a-z_]+(:[a-z0-9_]+)?(,[a-z_]+(:[a-z0-9_]+)?)*$/.test(type)) out.type = type;
+    else issues.push("invalid_type");
+  }
+
+  const city = String(src.city || "").trim().slice(0, 120);
+  if (city) out.city = city;
+
+  const q = String(src.q || "").trim().slice(0, FILTER_SEARCH_MAX_LENGTH);
+  if (q) out.q = q;
+
+  const status = String(src.status || "").trim();
+  if (status && status !== "all") {
+    if (["open", "closed"].includes(status)) out.status = status;
+    else issues.push("invalid_status");
+  }
+
+  const month = String(src.month || "").trim();
+  if (month) {
+    if (/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) out.month = month;
+    else issues.push("invalid_month");
+  }
+
+  if (String(src.duration_quality || "").trim() === "reliable") out.duration_quality = "reliable";
+
+  for (const key of ["from", "to"]) {
+    if (!String(src[key] ?? "").trim()) continue;
+    const v = filterDateParam(src[key]);
+    if (v) out[key] = v;
+    else issues.push(`invalid_${key}`);
+  }
+
+  const cities = filterListParam(src.cities);
+  if (cities.length) out.cities = cities.join(",");
+
+  const district = String(src.district || "").trim().slice(0, 80);
+  if (district) out.district = district;
+
+  const alarm = filterIntParam(src.alarm_level_gte, 1, 4);
+  if (alarm != null) out.alarm_level_gte = String(alarm);
+
+  if (isTruthyFlag(src.major_only)) out.major_only = "1";
+
+  const hasCoords = filterTriStateParam(src.has_coords);
+  if (hasCoords != null) out.has_coords = hasCoords ? "1" : "0";
+
+  for (const key of ["duration_min_gte", "duration_min_lte"]) {
+    const v = filterIntParam(src[key], 0, MAX_DURATION_MINUTES);
+    if (v != null) out[key] = String(v);
+  }
+
+  if (String(src.near ?? "").trim()) {
+    const near = filterNearParam(src.near, src.radius_km);
+    if (near) {
+      out.near = `${near.lat},${near.lon}`;
+      out.radius_km = String(near.radiusKm);
+    } else {
+      issues.push("invalid_near");
+    }
+  }
+
+  return { filters: out, issues };
+}
+
+// ?preset=<id> – filtry z uložené předvolby přihlášeného uživatele.
+// Parametry přímo v URL mají přednost, takže jde předvolbu při exportu ještě zúžit.
+async function resolveRequestFilters(req) {
+  const rawPreset = String(req.query?.preset ?? "").trim();
+  if (!rawPreset) return { filters: parseFilters(req), preset: null };
+  // 1.5 / 1e30 by v Postgres spadlo na bigint – odmítneme rovnou.
+  const presetId = Number(rawPreset);
+  if (!Number.isSafeInteger(presetId) || presetId <= 0) return { error: { status: 400, code: "bad_preset" } };
+
+  const auth = await authFromRequest(req);
+  if (!auth?.user) return { error: { status: 401, code: "unauthorized" } };
+  const preset = await getUserFilterPreset(auth.user.id, presetId);
+  if (!preset) return { error: { status: 404, code: "preset_not_found" } };
+
+  const merged = { ...(preset.filters || {}) };
+  for (const key of FILTER_PRESET_KEYS) {
+    const v = String(req.query?.[key] ?? "").trim();
+    if (v) merged[key] = v;
+  }
+  return { filters: parseFilters({ query: merged }), preset };
+}
+
+// ======================
+// Fulltext – zvýraznění nalezených slov pro tabulku a admin hledání
+// ======================
+// Pořadí = priorita: titulek je v tabulce vidět vždy, proto ho jako úryvek bereme až nakonec.
+const SEARCH_SNIPPET_FIELDS = [
+  ["manual_detail_text", "poznámka"],
+  ["description_raw", "popis"],
+  ["place_text", "místo"],
+  ["title", "titulek"]
+];
+const SEARCH_SNIPPET_RADIUS = 70;
+
+function searchPlainText(field, value) {
+  const s = String(value || "");
+  if (field !== "description_raw") return s;
+  return s.replace(/<br\s*\/?>/gi, " · ").replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Úseky [od, do) v původním textu, kde slovo začíná některým z hledaných prefixů.
+// Skládáme po znacích, aby indexy ve složeném textu seděly na originál s diakritikou.
+function searchHitRanges(text, terms) {
+  let folded = "";
+  for (let i = 0; i < text.length; i++) folded += foldSearchText(text[i])[0] || " ";
+  const hits = [];
+  for (const m of folded.matchAll(/[a-z0-9]+/g)) {
+    if (terms.some(t => m[0].startsWith(t))) hits.push([m.index, m.index + m[0].length]);
+  }
+  return hits;
+}
+
+function searchSnippet(row, terms) {
+  for (const [field, label] of SEARCH_SNIPPET_FIELDS) {
+    const full = searchPlainText(field, row[field]);
+    if (!full) continue;
+    const hits = searchHitRanges(full, terms);
+    if (!hits.length) continue;
+
+    const from = Math.max(0, hits[0][0] - SEARCH_SNIPPET_RADIUS);
+    const to = Math.min(full.length, hits[0][1] + SEARCH_SNIPPET_RADIUS);
+    const prefix = from > 0 ? "…" : "";
+    const text = `${prefix}${full.slice(from, to)}${to < full.length ? "…" : ""}`;
+    const shift = prefix.length - from;
+    return {
+      field,
+      label,
+      text,
+      hits: hits.filter(([a, b]) => a >= from && b <= to).map(([a, b]) => [a + shift, b + shift])
+    };
+  }
+  return null;
 }
 
-function exportFiltersLabel(filters) {
+function attachSearchSnippets(rows, q) {
+  const terms = searchTerms(q);
+  if (!terms.length) return rows;
+  for (const row of rows || []) row.search_snippet = searchSnippet(row, terms);
+  return rows;
+}
+
+function exportFiltersLabel(filters, preset = null) {
   const dayLabel = filters.day === "today"
     ? "dnes"
     : filters.day === "yesterday"
@@ -835,7 +1258,21 @@ function exportFiltersLabel(filters) {
 
   const cityLabel = filters.city || "vše";
 
-  return `Den: ${dayLabel} | Typ: ${typeLabelText} | Město: ${cityLabel} | Stav: ${statusLabel}`;
+  const presetLabel = preset?.name ? `Předvolba: ${preset.name} | ` : "";
+  const extra = [];
+  if (filters.q) extra.push(`Hledání: „${filters.q}“`);
+  if (filters.from || filters.to) extra.push(`Období: ${filters.from || "…"} – ${filters.to || "…"}`);
+  if (filters.cities?.length) extra.push(`Obce: ${filters.cities.join(", ")}`);
+  if (filters.district) extra.push(`Okres: ${filters.district}`);
+  if (filters.alarmLevelGte != null) extra.push(`Stupeň poplachu: ≥ ${filters.alarmLevelGte}`);
+  if (filters.majorOnly) extra.push("Jen významné");
+  if (filters.hasCoords != null) extra.push(filters.hasCoords ? "Se souřadnicemi" : "Bez souřadnic");
+  if (filters.durationMinGte != null || filters.durationMinLte != null) {
+    extra.push(`Délka: ${filters.durationMinGte ?? 0}–${filters.durationMinLte ?? "∞"} min`);
+  }
+  if (filters.near) extra.push(`Okruh: ${filters.near.radiusKm} km od ${filters.near.lat.toFixed(4)}, ${filters.near.lon.toFixed(4)}`);
+
+  return `${presetLabel}Den: ${dayLabel} | Typ: ${typeLabelText} | Město: ${cityLabel} | Stav: ${statusLabel}${extra.length ? ` | ${extra.join(" | ")}` : ""}`;
 }
 
 
@@ -940,8 +1377,8 @@ function reportPeriodLabel(type, key) {
   return key;
 }
 
-function reportTypeLabel(type) {
-  return typeLabel(type || "other");
+function reportTypeLabel(type, subtype = null) {
+  return typeLabel(type || "other", subtype);
 }
 
 function safePercent(part, total) {
@@ -964,7 +1401,12 @@ function formatMinutesLong(min) {
   return `${h} h ${m} min`;
 }
 
-function buildAnalyticalReport(type, key, rows) {
+// "reliable" = délky s nízkým skóre spolehlivosti se v reportu nepočítají (nejdelší, doby fází).
+const REPORT_DURATION_QUALITY = String(process.env.FIREWATCH_REPORT_DURATION_QUALITY || "reliable").trim() === "all" ? "all" : "reliable";
+
+function buildAnalyticalReport(type, key, allRows, { durationQuality = REPORT_DURATION_QUALITY } = {}) {
+  const rows = durationQuality === "reliable" ? withReliableDurations(allRows) : allRows;
+  const excludedDurations = rows.filter(r => r.duration_excluded).length;
   const p = reportPeriodFromKey(type, key);
   const total = rows.length;
   const open = rows.filter(r => !r.is_closed).length;
@@ -1020,13 +1462,17 @@ function buildAnalyticalReport(type, key, rows) {
       id: r.id,
       title: r.title || "",
       city: r.city_text || r.place_text || "",
-      type: reportTypeLabel(r.event_type || "other"),
+      type: reportTypeLabel(r.event_type || "other", r.event_subtype),
       duration_min: Number(r.duration_min || 0),
       duration_text: formatMinutesLong(r.duration_min),
+      time_to_localize_min: r.time_to_localize_min == null ? null : Number(r.time_to_localize_min),
+      time_to_extinguish_min: r.time_to_extinguish_min == null ? null : Number(r.time_to_extinguish_min),
       date: eventDayKey(r),
       link: r.link || ""
     }));
 
+  const phaseTimes = buildPhaseTimeStats(rows, r => reportTypeLabel(r.event_type || "other"));
+
   const importantEvents = rows
     .filter(r => !r.is_closed || Number(r.duration_min || 0) >= 120)
     .slice(0, 30)
@@ -1034,7 +1480,7 @@ function buildAnalyticalReport(type, key, rows) {
       id: r.id,
       title: r.title || "",
       city: r.city_text || r.place_text || "",
-      type: reportTypeLabel(r.event_type || "other"),
+      type: reportTypeLabel(r.event_type || "other", r.event_subtype),
       is_closed: !!r.is_closed,
       duration_min: Number(r.duration_min || 0),
       duration_text: formatMinutesLong(r.duration_min),
@@ -1080,10 +1526,19 @@ function buildAnalyticalReport(type, key, rows) {
       by_day: byDayArr,
       busiest_days: busiestDays,
       longest,
+      phase_times: phaseTimes,
+      duration_quality: {
+        mode: durationQuality,
+        min_confidence: DURATION_MIN_CONFIDENCE,
+        excluded: excludedDurations
+      },
       important_events: importantEvents,
       notes: [
         "Souhrn je archivní snapshot vytvořený z dat dostupných v době generování.",
-        "Údaje mají orientační a analytický charakter."
+        "Údaje mají orientační a analytický charakter.",
+        ...(excludedDurations
+          ? [`${excludedDurations} délek s nízkou spolehlivostí (skóre pod ${DURATION_MIN_CONFIDENCE}) není započteno do nejdelších zásahů ani dob fází.`]
+          : [])
       ]
     }
   };
@@ -1153,6 +1608,403 @@ async function runArchivedReportsAutomation(reason = "interval") {
   }
 }
 
+// ======================
+// Odběry exportů – uživatel si předplatí předvolbu filtrů v daném formátu a rozvrhu
+// (denně při střídání směn, týdně, měsíčně). Plánovač běží vedle automatiky archivních reportů,
+// soubor se vygeneruje stejnými writery jako ruční export a doručí přes zvolený transport.
+// ======================
+const EXPORT_SUBSCRIPTION_INTERVAL_MS = Math.max(60_000, Math.min(60 * 60_000, Number(process.env.FIREWATCH_EXPORT_SUBSCRIPTION_INTERVAL_MS || 5 * 60_000)));
+const EXPORT_SUBSCRIPTION_MAX_ROWS = Math.max(100, Math.min(100_000, Number(process.env.FIREWATCH_EXPORT_SUBSCRIPTION_MAX_ROWS || 20_000)));
+const EXPORT_SUBSCRIPTION_MAX_PER_USER = 20;
+const EXPORT_SUBSCRIPTION_NAME_MAX = 80;
+const EXPORT_SUBSCRIPTION_MAX_ATTEMPTS = 3;
+const EXPORT_SUBSCRIPTION_RETRY_MS = 30 * 60_000;
+const EXPORT_DELIVERY_RETENTION_DAYS = 90;
+const EXPORT_SUBSCRIPTION_FORMATS = ["csv", "json", "ndjson", "geojson", "pdf"];
+const EXPORT_SUBSCRIPTION_SCHEDULES = {
+  daily: "denně při střídání směn",
+  weekly: "týdně (pondělí při střídání směn)",
+  monthly: "měsíčně (1. den při střídání směn)"
+};
+const EXPORT_OUTBOX_DIR = path.resolve(String(process.env.FIREWATCH_EXPORT_OUTBOX_DIR || path.join(__dirname, "outbox")));
+
+const SMTP_CONFIG = {
+  host: String(process.env.FIREWATCH_SMTP_HOST || "").trim(),
+  port: Math.max(1, Math.min(65535, Number(process.env.FIREWATCH_SMTP_PORT || 587))),
+  // 465 = TLS od začátku, jinak STARTTLS, pokud ho server nabídne
+  secure: ["1", "true", "on", "yes"].includes(String(process.env.FIREWATCH_SMTP_SECURE || (Number(process.env.FIREWATCH_SMTP_PORT) === 465 ? "1" : "0")).toLowerCase()),
+  user: String(process.env.FIREWATCH_SMTP_USER || ""),
+  pass: String(process.env.FIREWATCH_SMTP_PASS || ""),
+  from: String(process.env.FIREWATCH_SMTP_FROM || "firewatch@localhost").trim(),
+  maxAttachmentBytes: Math.max(1, Math.min(50, Number(process.env.FIREWATCH_SMTP_MAX_ATTACHMENT_MB || 15))) * 1024 * 1024,
+  // Domény, na které smí posílat i ne-admin (např. "hzscr.cz,firewatch.cz"); prázdné = e-mail jen pro admina.
+  userDomains: String(process.env.FIREWATCH_SMTP_USER_DOMAINS || "")
+    .split(",")
+    .map(d => d.trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean)
+};
+
+let exportSubscriptionsRunning = false;
+
+async function exportShiftBoundaryHour() {
+  const mode = await getSetting("default_shift_mode").catch(() => null);
+  return mode === "HZSP" ? 6 : 7;
+}
+
+function ymdShift(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function pragueBoundaryIso(ymd, hour) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return pragueLocalToUtcIso(y, m - 1, d, hour, 0);
+}
+
+// Poslední uzavřené období rozvrhu k okamžiku `now`. Klíč = den začátku (denní/týdenní) nebo YYYY-MM.
+function exportSubscriptionPeriod(schedule, now, boundaryHour) {
+  const today = pragueDateKey(now);
+  // den, jehož střídání směn už proběhlo
+  const lastBoundaryDay = pragueHour(now) >= boundaryHour ? today : ymdShift(today, -1);
+  let startDay;
+  let endDay;
+  if (schedule === "weekly") {
+    const dow = (new Date(`${lastBoundaryDay}T00:00:00Z`).getUTCDay() + 6) % 7; // 0 = pondělí
+    endDay = ymdShift(lastBoundaryDay, -dow);
+    startDay = ymdShift(endDay, -7);
+  } else if (schedule === "monthly") {
+    endDay = `${lastBoundaryDay.slice(0, 7)}-01`;
+    const d = new Date(`${endDay}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() - 1);
+    startDay = d.toISOString().slice(0, 10);
+  } else {
+    endDay = lastBoundaryDay;
+    startDay = ymdShift(endDay, -1);
+  }
+  const start = pragueBoundaryIso(startDay, boundaryHour);
+  const end = pragueBoundaryIso(endDay, boundaryHour);
+  return {
+    key: schedule === "monthly" ? startDay.slice(0, 7) : startDay,
+    start,
+    end,
+    endDay,
+    label: `${formatReportDateTimeCs(start)} – ${formatReportDateTimeCs(end)}`
+  };
+}
+
+// Kdy skončí právě běžící období (= příští plánované doručení).
+function exportSubscriptionNextRun(schedule, now, boundaryHour) {
+  const { endDay } = exportSubscriptionPeriod(schedule, now, boundaryHour);
+  if (schedule === "weekly") return pragueBoundaryIso(ymdShift(endDay, 7), boundaryHour);
+  if (schedule === "monthly") {
+    const d = new Date(`${endDay}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+    return pragueBoundaryIso(d.toISOString().slice(0, 10), boundaryHour);
+  }
+  return pragueBoundaryIso(ymdShift(endDay, 1), boundaryHour);
+}
+
+// ---------- transporty ----------
+// Nový transport = další položka: available() (je nakonfigurovaný?), validateTarget() a deliver().
+// adminOnly = jen admin; userAvailable()/userTarget(target) volitelně pustí i ostatní na omezené cíle.
+const EXPORT_TRANSPORTS = {
+  smtp: {
+    label: "e-mail (SMTP)",
+    // Libovolné adresy by z FireWatch udělaly relay na spam – ne-admin jen na povolené domény.
+    adminOnly: true,
+    userAvailable: () => SMTP_CONFIG.userDomains.length > 0,
+    userTarget: (target) => String(target || "").split(",").map(x => x.trim()).filter(Boolean)
+      .every(a => SMTP_CONFIG.userDomains.includes(a.slice(a.lastIndexOf("@") + 1).toLowerCase())),
+    available: () => !!SMTP_CONFIG.host,
+    validateTarget(target) {
+      const list = String(target || "").split(/[,;\s]+/).map(x => x.trim()).filter(Boolean);
+      if (!list.length) return { error: "missing_target" };
+      if (list.length > 5) return { error: "too_many_recipients" };
+      if (list.some(a => !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(a))) return { error: "invalid_email" };
+      return { target: list.join(", ") };
+    },
+    async deliver({ sub, file, period }) {
+      if (!SMTP_CONFIG.host) throw new Error("smtp_not_configured");
+      if (file.content.length > SMTP_CONFIG.maxAttachmentBytes) throw new Error("attachment_too_large");
+      await smtpSend({
+        to: String(sub.target || "").split(",").map(x => x.trim()).filter(Boolean),
+        subject: `FireWatch CZ – ${sub.name} (${period.label})`,
+        text: [
+          `Odběr exportu: ${sub.name}`,
+          `Období: ${period.label}`,
+          `Filtry: ${file.filtersLabel}`,
+          `Počet událostí: ${file.rows}`,
+          "",
+          "Soubor je v příloze. Odběr lze upravit nebo zrušit v dashboardu FireWatch CZ."
+        ].join("\r\n"),
+        attachment: file
+      });
+      return { target: sub.target };
+    }
+  },
+  webhook: {
+    label: "webhook (HTTP POST)",
+    adminOnly: true,
+    available: () => true,
+    validateTarget(target) {
+      try {
+        const u = new URL(String(target || "").trim());
+        if (!["http:", "https:"].includes(u.protocol)) return { error: "invalid_url" };
+        return { target: u.toString() };
+      } catch {
+        return { error: "invalid_url" };
+      }
+    },
+    async deliver({ sub, file, period }) {
+      // Soubor jde jako tělo požadavku, metadata v hlavičkách.
+      const r = await fetch(sub.target, {
+        method: "POST",
+        headers: {
+          "Content-Type": file.contentType,
+          "Content-Disposition": `attachment; filename="${file.name}"`,
+          "User-Agent": GEOCODE_UA,
+          "X-Firewatch-Subscription": String(sub.id),
+          "X-Firewatch-Period": period.key,
+          "X-Firewatch-Rows": String(file.rows)
+        },
+        body: file.content,
+        signal: AbortSignal.timeout(30_000)
+      });
+      if (!r.ok) throw new Error(`webhook_http_${r.status}`);
+      return { target: sub.target };
+    }
+  },
+  outbox: {
+    label: "lokální složka (outbox)",
+    available: () => true,
+    validateTarget: () => ({ target: null }),
+    async deliver({ sub, file, period }) {
+      await fs.promises.mkdir(EXPORT_OUTBOX_DIR, { recursive: true });
+      const full = path.join(EXPORT_OUTBOX_DIR, file.name);
+      await fs.promises.writeFile(full, file.content);
+      await fs.promises.writeFile(`${full}.json`, JSON.stringify({
+        subscription_id: sub.id,
+        subscription: sub.name,
+        user: sub.username || null,
+        period,
+        filters: file.filtersLabel,
+        rows: file.rows,
+        format: sub.format,
+        created_at: new Date().toISOString()
+      }, null, 2));
+      return { target: full };
+    }
+  }
+};
+
+// Minimální SMTP klient (EHLO, STARTTLS, AUTH PLAIN, jedna příloha) – bez další závislosti.
+async function smtpSend({ to, subject, text, attachment }) {
+  const cfg = SMTP_CONFIG;
+  let socket = cfg.secure
+    ? tls.connect({ host: cfg.host, port: cfg.port, servername: cfg.host })
+    : net.connect({ host: cfg.host, port: cfg.port });
+  socket.setTimeout(30_000);
+
+  let buffer = "";
+  let waiting = null;
+  let failure = null;
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    flush();
+  };
+  const flush = () => {
+    if (!waiting) return;
+    // víceřádková odpověď končí řádkem "250 " (mezera místo pomlčky)
+    const lines = buffer.split("\r\n");
+    const endIdx = lines.findIndex(l => /^\d{3} /.test(l) || /^\d{3}$/.test(l));
+    if (endIdx < 0) return;
+    const reply = lines.slice(0, endIdx + 1);
+    buffer = lines.slice(endIdx + 1).join("\r\n");
+    const w = waiting;
+    waiting = null;
+    w.resolve({ code: Number(reply[endIdx].slice(0, 3)), lines: reply });
+  };
+  const fail = (e) => {
+    failure = e;
+    if (waiting) { const w = waiting; waiting = null; w.reject(e); }
+  };
+  const attach = (s) => {
+    s.on("data", onData);
+    s.on("error", fail);
+    s.on("timeout", () => { fail(new Error("smtp_timeout")); s.destroy(); });
+    s.on("close", () => fail(new Error("smtp_connection_closed")));
+  };
+  attach(socket);
+
+  const read = () => new Promise((resolve, reject) => {
+    if (failure) return reject(failure);
+    waiting = { resolve, reject };
+    flush();
+  });
+  const cmd = async (line, expect) => {
+    if (line != null) socket.write(`${line}\r\n`);
+    const reply = await read();
+    if (!expect.includes(reply.code)) throw new Error(`smtp_${reply.code}: ${reply.lines.join(" ").slice(0, 200)}`);
+    return reply;
+  };
+
+  try {
+    await cmd(null, [220]);
+    const helo = os.hostname() || "firewatch";
+    let ehlo = await cmd(`EHLO ${helo}`, [250]);
+    if (!cfg.secure && ehlo.lines.some(l => /STARTTLS/i.test(l))) {
+      await cmd("STARTTLS", [220]);
+      socket.removeAllListeners("data");
+      socket.removeAllListeners("close");
+      socket.removeAllListeners("timeout");
+      socket = tls.connect({ socket, servername: cfg.host });
+      socket.setTimeout(30_000);
+      attach(socket);
+      await new Promise((resolve, reject) => { socket.once("secureConnect", resolve); socket.once("error", reject); });
+      ehlo = await cmd(`EHLO ${helo}`, [250]);
+    }
+    if (cfg.user) {
+      await cmd(`AUTH PLAIN ${Buffer.from(`\u0000${cfg.user}\u0000${cfg.pass}`).toString("base64")}`, [235]);
+    }
+    await cmd(`MAIL FROM:<${cfg.from}>`, [250]);
+    for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await cmd("DATA", [354]);
+
+    const boundary = `fw_${crypto.randomBytes(12).toString("hex")}`;
+    const b64 = (buf) => buf.toString("base64").replace(/.{76}/g, "$&\r\n");
+    const message = [
+      `From: FireWatch CZ <${cfg.from}>`,
+      `To: ${to.join(", ")}`,
+      `Subject: =?UTF-8?B?${Buffer.from(subject).toString("base64")}?=`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${cfg.from.split("@")[1] || "firewatch"}>`,
+      "MIME-Version: 1.0",
+      `Content-Type: multipart/mixed; boundary="${boundary}"`,
+      "",
+      `--${boundary}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      b64(Buffer.from(text)),
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType}; name="${attachment.name}"`,
+      `Content-Disposition: attachment; filename="${attachment.name}"`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      b64(attachment.content),
+      `--${boundary}--`,
+      ""
+    ].join("\r\n").replace(/^\./gm, "..");
+    socket.write(message);
+    await cmd(".", [250]);
+    await cmd("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.removeAllListeners("close");
+    socket.end();
+  }
+}
+
+// ---------- generování + doručení ----------
+function collectingWritable() {
+  const chunks = [];
+  const out = new Writable({
+    write(chunk, enc, cb) {
+      chunks.push(chunk);
+      cb();
+    }
+  });
+  out.toBuffer = () => Buffer.concat(chunks);
+  return out;
+}
+
+async function exportSubscriptionFilters(sub, period) {
+  let presetFilters = {};
+  if (sub.preset_id) {
+    const preset = await getUserFilterPreset(sub.user_id, sub.preset_id);
+    if (!preset) throw new Error("preset_not_found");
+    presetFilters = preset.filters || {};
+  }
+  // Období odběru má přednost před datem v předvolbě; "to" je včetně, proto o ms méně.
+  const filters = parseFilters({
+    query: { ...presetFilters, day: "all", from: period.start, to: new Date(Date.parse(period.end) - 1).toISOString() }
+  });
+  return { filters, preset: sub.preset_id ? { id: sub.preset_id, name: sub.preset_name } : null };
+}
+
+async function buildExportSubscriptionFile(sub, period) {
+  const { filters, preset } = await exportSubscriptionFilters(sub, period);
+  const filtersLabel = `${exportFiltersLabel(filters, preset)}`;
+  const out = collectingWritable();
+  let rows = 0;
+  if (sub.format === "pdf") {
+    const data = await collectPdfExportData(filters, { tableLimit: 2000, detailMode: null });
+    await writeEventsPdf(out, data, { filtersLabel, withMap: true });
+    rows = data.total;
+  } else {
+    const cols = parseExportColumns(null, sub.format);
+    const result = await writeEventsExport(out, { filters, preset, format: sub.format, columns: cols.columns, maxRows: EXPORT_SUBSCRIPTION_MAX_ROWS });
+    if (result.failed) throw new Error("export_failed");
+    rows = result.written;
+    out.end();
+  }
+  const ext = sub.format === "pdf" ? "pdf" : EXPORT_FORMATS[sub.format].ext;
+  const slug = foldSearchText(sub.name).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40) || "export";
+  return {
+    name: `firewatch_${slug}_${period.key}_s${sub.id}.${ext}`,
+    contentType: sub.format === "pdf" ? "application/pdf" : EXPORT_FORMATS[sub.format].contentType,
+    content: out.toBuffer(),
+    rows,
+    filtersLabel
+  };
+}
+
+// trigger: "schedule" | "manual"; ruční doručení neposouvá plán (last_period_key).
+async function deliverExportSubscription(sub, period, trigger = "schedule") {
+  const transport = EXPORT_TRANSPORTS[sub.transport];
+  const deliveryId = await insertExportDelivery({ subscriptionId: sub.id, periodKey: period.key, trigger, transport: sub.transport, target: sub.target });
+  try {
+    if (!transport) throw new Error("unknown_transport");
+    // Admin-only transport jen s ověřenou rolí admin (nebo na povolený cíl) – chybějící role = odmítnout.
+    if (!exportTransportAllowed(transport, sub.user_role, sub.target)) throw new Error("transport_not_allowed");
+    const file = await buildExportSubscriptionFile(sub, period);
+    const result = await transport.deliver({ sub, file, period });
+    await markExportSubscriptionAttempt(sub.id, { periodKey: period.key, ok: true, advancePeriod: trigger === "schedule" });
+    return await finishExportDelivery(deliveryId, { status: "ok", fileName: file.name, bytes: file.content.length, rows: file.rows, error: null, target: result?.target });
+  } catch (e) {
+    const error = String(e?.message || e).slice(0, 500);
+    console.warn(`[export-subscriptions] #${sub.id} ${sub.transport} failed:`, error);
+    await markExportSubscriptionAttempt(sub.id, { periodKey: period.key, ok: false, error, advancePeriod: trigger === "schedule" });
+    return await finishExportDelivery(deliveryId, { status: "failed", error });
+  }
+}
+
+async function runExportSubscriptions() {
+  if (exportSubscriptionsRunning) return;
+  exportSubscriptionsRunning = true;
+  try {
+    const now = new Date();
+    const boundaryHour = await exportShiftBoundaryHour();
+    const subs = await listEnabledExportSubscriptions();
+    for (const sub of subs) {
+      const period = exportSubscriptionPeriod(sub.schedule, now, boundaryHour);
+      if (sub.last_period_key === period.key) continue;
+      if (sub.last_attempt_key === period.key && sub.last_status === "failed") {
+        if (Number(sub.attempts || 0) >= EXPORT_SUBSCRIPTION_MAX_ATTEMPTS) continue;
+        if (sub.last_attempt_at && now - new Date(sub.last_attempt_at) < EXPORT_SUBSCRIPTION_RETRY_MS) continue;
+      }
+      // Výsledek jde do export_deliveries, do logu jen chyby (viz deliverExportSubscription).
+      // eslint-disable-next-line no-await-in-loop
+      await deliverExportSubscription(sub, period, "schedule");
+    }
+    await pruneExportDeliveries(EXPORT_DELIVERY_RETENTION_DAYS);
+  } catch (e) {
+    console.warn("[export-subscriptions] run failed:", e?.message || e);
+  } finally {
+    exportSubscriptionsRunning = false;
+  }
+}
+
 
 
 function pragueTodayUtcMidnight(date = new Date()) {
@@ -1339,6 +2191,25 @@ function drawReportPdf(doc, row) {
     { rowHeight: 24 }
   );
 
+  const phaseRows = data.phase_times?.byType || [];
+  if (phaseRows.length) {
+    const pt = (seg) => (seg?.count ? `${formatMinutesLong(seg.median)} (${seg.count}×)` : "—");
+    section("Doby fází zásahu (medián)");
+    drawPdfTableRows(
+      doc,
+      [{ name: "Celkem", ...data.phase_times.overall }, ...phaseRows].slice(0, 13),
+      [
+        { label: "Typ", x: left, w: 110, value: "name" },
+        { label: "Do lokalizace", x: left + 115, w: 95, value: (x) => pt(x.to_localize) },
+        { label: "Do likvidace", x: left + 215, w: 95, value: (x) => pt(x.to_extinguish) },
+        { label: "Lokalizace → likvidace", x: left + 315, w: 100, value: (x) => pt(x.localize_to_extinguish) },
+        { label: "Likvidace → ukončení", x: left + 420, w: usableW - 420, value: (x) => pt(x.extinguish_to_close) }
+      ],
+      doc.y,
+      { rowHeight: 16 }
+    );
+  }
+
   section("Významné / otevřené události");
   drawPdfTableRows(
     doc,
@@ -1513,6 +2384,58 @@ function buildHeatmap(items, start, end) {
   return out;
 }
 
+// Doby fází zásahu (minuty). Úseky: výjezd → lokalizace → likvidace → ukončení.
+// Úsek se počítá jen u událostí, které obě hraniční fáze mají (časy z popisu nebo zachycené změny stavu).
+function phaseSegmentsOf(ev) {
+  const toLocalize = ev.time_to_localize_min == null ? null : Number(ev.time_to_localize_min);
+  const toExtinguish = ev.time_to_extinguish_min == null ? null : Number(ev.time_to_extinguish_min);
+  const duration = ev.is_closed && ev.duration_min != null ? Number(ev.duration_min) : null;
+  const diff = (a, b) => (a == null || b == null || b < a ? null : b - a);
+  return {
+    to_localize: toLocalize,
+    to_extinguish: toExtinguish,
+    localize_to_extinguish: diff(toLocalize, toExtinguish),
+    extinguish_to_close: diff(toExtinguish, duration)
+  };
+}
+
+function phaseSegmentSummary(values) {
+  const vals = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!vals.length) return { count: 0, avg: null, median: null };
+  const mid = Math.floor(vals.length / 2);
+  const median = vals.length % 2 ? vals[mid] : (vals[mid - 1] + vals[mid]) / 2;
+  return {
+    count: vals.length,
+    avg: Math.round((vals.reduce((a, b) => a + b, 0) / vals.length) * 10) / 10,
+    median: Math.round(median * 10) / 10
+  };
+}
+
+const PHASE_SEGMENT_KEYS = ["to_localize", "to_extinguish", "localize_to_extinguish", "extinguish_to_close"];
+
+function buildPhaseTimeStats(rows, labelFn = typeNameForStats) {
+  const segmentsOf = (items) => {
+    const segs = items.map(phaseSegmentsOf);
+    return Object.fromEntries(PHASE_SEGMENT_KEYS.map(k => [k, phaseSegmentSummary(segs.map(x => x[k]))]));
+  };
+
+  const byType = new Map();
+  for (const ev of rows) {
+    const name = labelFn(ev);
+    if (!byType.has(name)) byType.set(name, []);
+    byType.get(name).push(ev);
+  }
+
+  return {
+    overall: segmentsOf(rows),
+    byType: [...byType.entries()]
+      .map(([name, items]) => ({ name, count: items.length, ...segmentsOf(items) }))
+      .filter(x => x.to_localize.count || x.to_extinguish.count)
+      .sort((a, b) => b.to_localize.count - a.to_localize.count || String(a.name).localeCompare(String(b.name), "cs"))
+      .slice(0, 12)
+  };
+}
+
 function buildStatsProPayload({ preset, currentRows, previousRows, range }) {
   const currentTotal = currentRows.length;
   const previousTotal = previousRows.length;
@@ -1562,7 +2485,8 @@ function buildStatsProPayload({ preset, currentRows, previousRows, range }) {
     hourStats,
     busiestHour,
     busiestDays,
-    heatmap: buildHeatmap(currentRows, range.currentStart, range.currentEnd)
+    heatmap: buildHeatmap(currentRows, range.currentStart, range.currentEnd),
+    phaseTimes: buildPhaseTimeStats(currentRows)
   };
 }
 
@@ -2364,59 +3288,295 @@ app.post("/api/auth/request-ops", requireAuthAny, async (req, res) => {
   }
 });
 
-app.get("/api/admin/ops-requests", requireAdmin, async (req, res) => {
+// Předvolby filtrů přihlášeného uživatele (dashboard, exporty, sledování).
+app.get("/api/filter-presets", requireAuthAny, async (req, res) => {
   try {
-    const limit = Math.max(1, Math.min(200, Number(req.query?.limit || 50)));
-    const rows = await listPendingOpsRequests(limit);
-    return res.json({ ok: true, rows });
+    const items = await listUserFilterPresets(req.auth.user.id);
+    return res.json({ ok: true, items, keys: FILTER_PRESET_KEYS });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ ok: false, error: "server_error" });
+    console.error("[filter-presets-list]", e);
+    return res.status(500).json({ ok: false, error: "filter_presets_list_failed", detail: String(e?.message || e) });
   }
 });
 
-app.post("/api/admin/ops-requests/:id/approve", requireAdmin, async (req, res) => {
+// Uložení pod existujícím názvem předvolbu přepíše.
+app.post("/api/filter-presets", requireAuthAny, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad_id" });
-    const out = await decideOpsRequest({ requestId: id, adminUserId: req.auth.user.id, approve: true });
-    if (!out.ok) return res.status(400).json(out);
-    await insertAudit({ actor_user_id: req.auth.user.id, action: "ops_request_approved", detail: JSON.stringify({ request_id: id, user_id: out.user_id }) });
-    return res.json({ ok: true });
+    const name = String(req.body?.name || "").replace(/\s+/g, " ").trim();
+    if (!name) return res.status(400).json({ ok: false, error: "missing_name" });
+    if (name.length > FILTER_PRESET_NAME_MAX) return res.status(400).json({ ok: false, error: "name_too_long" });
+
+    const { filters, issues } = normalizeFilterPresetInput(req.body?.filters || {});
+    if (issues.length) return res.status(400).json({ ok: false, error: "invalid_filters", issues });
+
+    const existing = await listUserFilterPresets(req.auth.user.id);
+    const overwrites = existing.some(p => p.name.toLowerCase() === name.toLowerCase());
+    if (!overwrites && existing.length >= FILTER_PRESET_MAX_PER_USER) {
+      return res.status(409).json({ ok: false, error: "too_many_presets", max: FILTER_PRESET_MAX_PER_USER });
+    }
+
+    const preset = await saveUserFilterPreset({ userId: req.auth.user.id, name, filters });
+    return res.json({ ok: true, preset });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ ok: false, error: "server_error" });
+    console.error("[filter-presets-save]", e);
+    return res.status(500).json({ ok: false, error: "filter_preset_save_failed", detail: String(e?.message || e) });
   }
 });
 
-app.post("/api/admin/ops-requests/:id/reject", requireAdmin, async (req, res) => {
+app.delete("/api/filter-presets/:id", requireAuthAny, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad_id" });
-    const out = await decideOpsRequest({ requestId: id, adminUserId: req.auth.user.id, approve: false });
-    if (!out.ok) return res.status(400).json(out);
-    await insertAudit({ actor_user_id: req.auth.user.id, action: "ops_request_rejected", detail: JSON.stringify({ request_id: id, user_id: out.user_id }) });
-    return res.json({ ok: true });
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const deleted = await deleteUserFilterPreset(req.auth.user.id, id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "preset_not_found" });
+    return res.json({ ok: true, deleted });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ ok: false, error: "server_error" });
+    console.error("[filter-presets-delete]", e);
+    return res.status(500).json({ ok: false, error: "filter_preset_delete_failed", detail: String(e?.message || e) });
   }
 });
 
+// Odběry exportů přihlášeného uživatele. Webhook smí nastavit jen admin (server volá libovolnou URL),
+// e-mail ostatní jen na domény z FIREWATCH_SMTP_USER_DOMAINS.
+const exportSubscriptionManualRuns = new Set();
 
+// target = null: smí uživatel transport použít aspoň na nějaký cíl?
+function exportTransportAllowed(transport, role, target = null) {
+  if (!transport.adminOnly || role === "admin") return true;
+  if (!transport.userAvailable?.()) return false;
+  return target == null || !!transport.userTarget?.(target);
+}
 
-app.get("/api/admin/geocode-suggestions/:id", requireAdmin, async (req, res) => {
-  try {
-    const ev = await getEventById(req.params.id);
-    if (!ev) return res.status(404).json({ ok: false, error: "not_found" });
-
-    const wrapped = {
-      id: ev.id,
-      title: ev.title,
-      placeText: ev.place_text,
-      cityText: ev.city_text,
-      descriptionRaw: ev.description_raw
-    };
+function exportTransportsMeta(user) {
+  return Object.entries(EXPORT_TRANSPORTS).map(([id, t]) => ({
+    id,
+    label: t.label,
+    available: t.available() && exportTransportAllowed(t, user?.role),
+    admin_only: !exportTransportAllowed(t, "user"),
+    ...(id === "smtp" && user?.role !== "admin" && SMTP_CONFIG.userDomains.length ? { allowed_domains: SMTP_CONFIG.userDomains } : {})
+  }));
+}
+
+function normalizeExportSubscriptionInput(src, user, { partial = false } = {}) {
+  const patch = {};
+  if (!partial || "name" in src) {
+    const name = String(src.name || "").replace(/\s+/g, " ").trim();
+    if (!name) return { error: "missing_name" };
+    if (name.length > EXPORT_SUBSCRIPTION_NAME_MAX) return { error: "name_too_long" };
+    patch.name = name;
+  }
+  if (!partial || "preset_id" in src) {
+    const presetId = Number(src.preset_id || 0);
+    if (src.preset_id != null && src.preset_id !== "" && (!Number.isSafeInteger(presetId) || presetId <= 0)) return { error: "bad_preset_id" };
+    patch.presetId = presetId || null;
+  }
+  if (!partial || "format" in src) {
+    const format = String(src.format || "csv").toLowerCase();
+    if (!EXPORT_SUBSCRIPTION_FORMATS.includes(format)) return { error: "bad_format" };
+    patch.format = format;
+  }
+  if (!partial || "schedule" in src) {
+    const schedule = String(src.schedule || "daily").toLowerCase();
+    if (!EXPORT_SUBSCRIPTION_SCHEDULES[schedule]) return { error: "bad_schedule" };
+    patch.schedule = schedule;
+  }
+  if (!partial || "transport" in src || "target" in src) {
+    const transportId = String(src.transport || "outbox").toLowerCase();
+    const transport = EXPORT_TRANSPORTS[transportId];
+    if (!transport) return { error: "bad_transport" };
+    if (!exportTransportAllowed(transport, user?.role)) return { error: "transport_not_allowed", status: 403 };
+    const t = transport.validateTarget(src.target);
+    if (t.error) return { error: t.error };
+    if (!exportTransportAllowed(transport, user?.role, t.target)) return { error: "recipient_not_allowed", status: 403 };
+    patch.transport = transportId;
+    patch.target = t.target;
+  }
+  if ("enabled" in src) patch.enabled = src.enabled !== false && src.enabled !== "false";
+  return { patch };
+}
+
+async function exportSubscriptionJson(sub, boundaryHour) {
+  return {
+    ...sub,
+    schedule_label: EXPORT_SUBSCRIPTION_SCHEDULES[sub.schedule] || sub.schedule,
+    next_run_at: sub.enabled ? exportSubscriptionNextRun(sub.schedule, new Date(), boundaryHour) : null,
+    deliveries: await listExportDeliveries(sub.id, 5)
+  };
+}
+
+app.get("/api/export-subscriptions", requireAuthAny, async (req, res) => {
+  try {
+    const boundaryHour = await exportShiftBoundaryHour();
+    const subs = await listExportSubscriptions(req.auth.user.id);
+    const items = await Promise.all(subs.map(s => exportSubscriptionJson(s, boundaryHour)));
+    return res.json({
+      ok: true,
+      items,
+      formats: EXPORT_SUBSCRIPTION_FORMATS,
+      schedules: EXPORT_SUBSCRIPTION_SCHEDULES,
+      transports: exportTransportsMeta(req.auth.user),
+      max: EXPORT_SUBSCRIPTION_MAX_PER_USER
+    });
+  } catch (e) {
+    console.error("[export-subscriptions-list]", e);
+    return res.status(500).json({ ok: false, error: "export_subscriptions_list_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.post("/api/export-subscriptions", requireAuthAny, async (req, res) => {
+  try {
+    const { patch, error, status } = normalizeExportSubscriptionInput(req.body || {}, req.auth.user);
+    if (error) return res.status(status || 400).json({ ok: false, error });
+    if (patch.presetId && !(await getUserFilterPreset(req.auth.user.id, patch.presetId))) {
+      return res.status(404).json({ ok: false, error: "preset_not_found" });
+    }
+    const existing = await listExportSubscriptions(req.auth.user.id);
+    if (existing.length >= EXPORT_SUBSCRIPTION_MAX_PER_USER) {
+      return res.status(409).json({ ok: false, error: "too_many_subscriptions", max: EXPORT_SUBSCRIPTION_MAX_PER_USER });
+    }
+
+    // Právě uzavřené období se nedoručuje zpětně – první soubor přijde při nejbližším střídání.
+    const boundaryHour = await exportShiftBoundaryHour();
+    const lastPeriodKey = exportSubscriptionPeriod(patch.schedule, new Date(), boundaryHour).key;
+    const sub = await createExportSubscription({ userId: req.auth.user.id, ...patch, lastPeriodKey });
+    await insertAudit({ userId: req.auth.user.id, username: req.auth.user.username, action: "export_subscription_created", details: JSON.stringify({ id: sub.id, format: sub.format, schedule: sub.schedule, transport: sub.transport }), ip: getClientIp(req) });
+    return res.json({ ok: true, item: await exportSubscriptionJson(sub, boundaryHour) });
+  } catch (e) {
+    console.error("[export-subscriptions-create]", e);
+    return res.status(500).json({ ok: false, error: "export_subscription_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.put("/api/export-subscriptions/:id", requireAuthAny, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const current = await getExportSubscription(req.auth.user.id, id);
+    if (!current) return res.status(404).json({ ok: false, error: "subscription_not_found" });
+
+    const body = req.body || {};
+    // target bez transportu = stávající transport
+    const src = "target" in body && !("transport" in body) ? { ...body, transport: current.transport } : body;
+    const { patch, error, status } = normalizeExportSubscriptionInput(src, req.auth.user, { partial: true });
+    if (error) return res.status(status || 400).json({ ok: false, error });
+    if (patch.presetId && !(await getUserFilterPreset(req.auth.user.id, patch.presetId))) {
+      return res.status(404).json({ ok: false, error: "preset_not_found" });
+    }
+
+    const boundaryHour = await exportShiftBoundaryHour();
+    if ((patch.schedule && patch.schedule !== current.schedule) || (patch.enabled && !current.enabled)) {
+      patch.lastPeriodKey = exportSubscriptionPeriod(patch.schedule || current.schedule, new Date(), boundaryHour).key;
+    }
+    const sub = await updateExportSubscription(req.auth.user.id, id, patch);
+    await insertAudit({ userId: req.auth.user.id, username: req.auth.user.username, action: "export_subscription_updated", details: JSON.stringify({ id, fields: Object.keys(patch) }), ip: getClientIp(req) });
+    return res.json({ ok: true, item: await exportSubscriptionJson(sub, boundaryHour) });
+  } catch (e) {
+    console.error("[export-subscriptions-update]", e);
+    return res.status(500).json({ ok: false, error: "export_subscription_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.delete("/api/export-subscriptions/:id", requireAuthAny, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const deleted = await deleteExportSubscription(req.auth.user.id, id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "subscription_not_found" });
+    await insertAudit({ userId: req.auth.user.id, username: req.auth.user.username, action: "export_subscription_deleted", details: JSON.stringify(deleted), ip: getClientIp(req) });
+    return res.json({ ok: true, deleted });
+  } catch (e) {
+    console.error("[export-subscriptions-delete]", e);
+    return res.status(500).json({ ok: false, error: "export_subscription_delete_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Ruční doručení posledního uzavřeného období (test transportu); plán se tím neposouvá.
+app.post("/api/export-subscriptions/:id/run", requireAuthAny, async (req, res) => {
+  const id = Number(req.params.id || 0);
+  if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+  if (exportSubscriptionManualRuns.has(id)) return res.status(409).json({ ok: false, error: "delivery_in_progress" });
+  exportSubscriptionManualRuns.add(id);
+  try {
+    const sub = await getExportSubscription(req.auth.user.id, id);
+    if (!sub) return res.status(404).json({ ok: false, error: "subscription_not_found" });
+    const period = exportSubscriptionPeriod(sub.schedule, new Date(), await exportShiftBoundaryHour());
+    const delivery = await deliverExportSubscription({ ...sub, username: req.auth.user.username, user_role: req.auth.user.role }, period, "manual");
+    return res.json({ ok: delivery?.status === "ok", delivery, period });
+  } catch (e) {
+    console.error("[export-subscriptions-run]", e);
+    return res.status(500).json({ ok: false, error: "export_subscription_run_failed", detail: String(e?.message || e) });
+  } finally {
+    exportSubscriptionManualRuns.delete(id);
+  }
+});
+
+app.get("/api/export-subscriptions/:id/deliveries", requireAuthAny, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const sub = await getExportSubscription(req.auth.user.id, id);
+    if (!sub) return res.status(404).json({ ok: false, error: "subscription_not_found" });
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
+    return res.json({ ok: true, items: await listExportDeliveries(id, limit) });
+  } catch (e) {
+    console.error("[export-subscriptions-deliveries]", e);
+    return res.status(500).json({ ok: false, error: "export_deliveries_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/ops-requests", requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(200, Number(req.query?.limit || 50)));
+    const rows = await listPendingOpsRequests(limit);
+    return res.json({ ok: true, rows });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+app.post("/api/admin/ops-requests/:id/approve", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad_id" });
+    const out = await decideOpsRequest({ requestId: id, adminUserId: req.auth.user.id, approve: true });
+    if (!out.ok) return res.status(400).json(out);
+    await insertAudit({ actor_user_id: req.auth.user.id, action: "ops_request_approved", detail: JSON.stringify({ request_id: id, user_id: out.user_id }) });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+app.post("/api/admin/ops-requests/:id/reject", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "bad_id" });
+    const out = await decideOpsRequest({ requestId: id, adminUserId: req.auth.user.id, approve: false });
+    if (!out.ok) return res.status(400).json(out);
+    await insertAudit({ actor_user_id: req.auth.user.id, action: "ops_request_rejected", detail: JSON.stringify({ request_id: id, user_id: out.user_id }) });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+
+
+app.get("/api/admin/geocode-suggestions/:id", requireAdmin, async (req, res) => {
+  try {
+    const ev = await getEventById(req.params.id);
+    if (!ev) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const wrapped = {
+      id: ev.id,
+      title: ev.title,
+      placeText: ev.place_text,
+      cityText: ev.city_text,
+      descriptionRaw: ev.description_raw
+    };
 
     const localSuggestions = buildGeocodeSuggestionsForEvent(wrapped, 10);
     const remoteSuggestions = [];
@@ -2466,7 +3626,8 @@ app.post("/api/admin/events/:id/coords", requireAdmin, async (req, res) => {
       return res.status(400).json({ ok: false, error: "coords_outside_cz" });
     }
 
-    await updateEventCoords(req.params.id, lat, lon, source, note);
+    await updateEventCoords(req.params.id, lat, lon, source, note, { actor: requestActor(req) });
+    publishLiveEventChanges([{ id: req.params.id, kind: "updated" }]);
     await insertAudit({
       actor_user_id: req.auth.user.id,
       action: "event_coords_updated",
@@ -2527,7 +3688,8 @@ app.post("/api/admin/geocode-missing", requireAdmin, async (req, res) => {
       }
 
       if (hit) {
-        await updateEventCoords(row.id, hit.lat, hit.lon, hit.source || "auto", usedQuery);
+        await updateEventCoords(row.id, hit.lat, hit.lon, hit.source || "auto", usedQuery, { actor: requestActor(req) });
+        publishLiveEventChanges([{ id: row.id, kind: "updated" }]);
         fixed++;
         results.push({
           id: row.id,
@@ -2580,7 +3742,8 @@ app.put("/api/admin/events/:id/coords", requireAdmin, async (req, res) => {
     if (!Number.isFinite(lat) || !Number.isFinite(lon)) return res.status(400).json({ ok: false, error: "bad_coords" });
     if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return res.status(400).json({ ok: false, error: "bad_coords" });
 
-    await updateEventCoords(id, lat, lon);
+    await updateEventCoords(id, lat, lon, "manual", "", { actor: requestActor(req) });
+    publishLiveEventChanges([{ id, kind: "updated" }]);
     await insertAudit({ actor_user_id: req.auth.user.id, action: "event_coords_set", detail: JSON.stringify({ event_id: id, lat, lon }) });
     return res.json({ ok: true });
   } catch (e) {
@@ -2593,7 +3756,8 @@ app.delete("/api/admin/events/:id/coords", requireAdmin, async (req, res) => {
   try {
     const id = String(req.params.id || "").trim();
     if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
-    await clearEventCoords(id);
+    await clearEventCoords(id, { actor: requestActor(req) });
+    publishLiveEventChanges([{ id, kind: "updated" }]);
     await insertAudit({ actor_user_id: req.auth.user.id, action: "event_coords_cleared", detail: JSON.stringify({ event_id: id }) });
     return res.json({ ok: true });
   } catch (e) {
@@ -2691,6 +3855,147 @@ app.patch("/api/admin/users/:id", requireAdmin, async (req, res) => {
 });
 
 
+// ---------------- INGEST KEYS (klíče ESP zařízení) ----------------
+// Plný klíč se ukáže jen jednou při vytvoření/rotaci, v DB je jen sha256 + prefix pro poznání.
+function generateIngestKeySecret() {
+  const secret = `fwk_${crypto.randomBytes(24).toString("hex")}`;
+  return { secret, keySha256: sha256Hex(secret), keyPrefix: secret.slice(0, 12) };
+}
+
+// Společná validace těla POST/PATCH; vrací { patch } nebo { error }.
+function parseIngestKeyBody(body = {}, { partial = false } = {}) {
+  const patch = {};
+
+  if (!partial || body.name != null) {
+    const name = String(body.name || "").trim();
+    if (!/^[a-zA-Z0-9_.-]{2,60}$/.test(name)) return { error: "invalid_name" };
+    patch.name = name;
+  }
+  if (!partial || body.source_label !== undefined) {
+    const label = String(body.source_label ?? "").trim();
+    if (label.length > 200) return { error: "invalid_source_label" };
+    patch.sourceLabel = label || null;
+  }
+  if (!partial || body.source_kind !== undefined) {
+    const kind = String(body.source_kind ?? "").trim();
+    if (kind && !ingestSourceKinds().includes(kind)) return { error: "invalid_source_kind" };
+    patch.sourceKind = kind || null;
+  }
+  if (!partial || body.scopes != null) {
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes.map(String))] : ["ingest"];
+    if (!scopes.length || scopes.some(sc => !INGEST_KEY_SCOPES.includes(sc))) return { error: "invalid_scopes" };
+    patch.scopes = scopes;
+  }
+  if (!partial || body.expires_at !== undefined) {
+    if (body.expires_at) {
+      const d = new Date(body.expires_at);
+      if (Number.isNaN(d.getTime())) return { error: "invalid_expires_at" };
+      patch.expiresAt = d.toISOString();
+    } else {
+      patch.expiresAt = null;
+    }
+  }
+  if (partial && body.revoked != null) patch.revoked = !!body.revoked;
+
+  return { patch };
+}
+
+app.get("/api/admin/ingest-keys", requireAdmin, async (req, res) => {
+  try {
+    const keys = await listIngestKeys();
+    return res.json({
+      ok: true,
+      keys,
+      scopes: INGEST_KEY_SCOPES,
+      source_kinds: ingestSourceKinds(),
+      legacy_key_enabled: !legacyApiKeyOffReason,
+      legacy_key_off_reason: legacyApiKeyOffReason
+    });
+  } catch (e) {
+    console.error("[ingest-keys]", e);
+    return res.status(500).json({ ok: false, error: "ingest_keys_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/ingest-keys", requireAdmin, async (req, res) => {
+  try {
+    const { patch, error } = parseIngestKeyBody(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const { secret, keySha256, keyPrefix } = generateIngestKeySecret();
+    const key = await createIngestKey({ ...patch, keySha256, keyPrefix, createdBy: req.auth.user.username });
+    await refreshLegacyApiKeyState();
+    await insertAudit({
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: "ingest_key_create",
+      details: `${key.name} source=${key.source_label || "*"} kind=${key.source_kind || "*"} scopes=${key.scopes.join(",")}`,
+      ip: getClientIp(req)
+    });
+    return res.json({ ok: true, key, secret });
+  } catch (e) {
+    const msg = String(e?.message || "");
+    if (msg.includes("duplicate") || msg.includes("unique")) {
+      return res.status(409).json({ ok: false, error: "name_taken" });
+    }
+    console.error("[ingest-keys-create]", e);
+    return res.status(500).json({ ok: false, error: "ingest_key_create_failed", detail: msg });
+  }
+});
+
+app.patch("/api/admin/ingest-keys/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, error: "bad_id" });
+
+    const { patch, error } = parseIngestKeyBody(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const key = await updateIngestKey(id, patch);
+    if (!key) return res.status(404).json({ ok: false, error: "not_found" });
+
+    await insertAudit({
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: patch.revoked === true ? "ingest_key_revoke" : "ingest_key_update",
+      details: `${key.name} ${Object.keys(patch).join(",")}`,
+      ip: getClientIp(req)
+    });
+    return res.json({ ok: true, key });
+  } catch (e) {
+    const msg = String(e?.message || "");
+    if (msg.includes("duplicate") || msg.includes("unique")) {
+      return res.status(409).json({ ok: false, error: "name_taken" });
+    }
+    console.error("[ingest-keys-update]", e);
+    return res.status(500).json({ ok: false, error: "ingest_key_update_failed", detail: msg });
+  }
+});
+
+app.post("/api/admin/ingest-keys/:id/rotate", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, error: "bad_id" });
+
+    const graceMinutes = Math.max(0, Math.min(Number(req.body?.grace_minutes || 0), 7 * 24 * 60));
+    const { secret, keySha256, keyPrefix } = generateIngestKeySecret();
+    const key = await rotateIngestKey(id, { keySha256, keyPrefix, graceMinutes });
+    if (!key) return res.status(404).json({ ok: false, error: "not_found_or_revoked" });
+
+    await insertAudit({
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: "ingest_key_rotate",
+      details: `${key.name} grace=${graceMinutes}min`,
+      ip: getClientIp(req)
+    });
+    return res.json({ ok: true, key, secret });
+  } catch (e) {
+    console.error("[ingest-keys-rotate]", e);
+    return res.status(500).json({ ok: false, error: "ingest_key_rotate_failed", detail: String(e?.message || e) });
+  }
+});
+
 // ======================
 // FireWatchCZ Web v2.2 – Významné události / stupeň poplachu
 // ======================
@@ -2774,75 +4079,328 @@ function normalizeStatusValue(value = "") {
     .trim());
 }
 
-function classifyExplicitStatus({ statusText = "", description = "" } = {}) {
+
+// ======================
+// FireWatchCZ – slovník stavových frází (fáze zásahu)
+// ======================
+// Fráze, podle kterých se ze statusText / řádku "stav:" / popisu pozná fáze zásahu, jsou
+// ve verzovaném slovníku v app_settings (klíč status_dictionary, editor v adminu).
+// Fáze se zkoušejí v pořadí slovníku, první shoda vyhrává. Porovnává se text malými písmeny
+// bez diakritiky; "a+b" = ve stejném textu musí být "a" i "b".
+// Fáze: key, label (popisek v UI), status_text (co se uloží do status_text), closed (ukončuje
+// zásah), rank (pořadí v průběhu zásahu – grafy) a seznamy frází:
+//   status_equals / status_contains – samostatný statusText nebo řádek "stav:" z RSS,
+//   description_contains – kdekoli v popisu (např. "ukončení:"),
+//   text_contains – záložní hledání ve statusText + popisu + názvu (starší/ruční texty),
+//   loose_status_contains – poslední záchrana ingestu nad samotným statusText.
+// Fáze "open" a "closed" jsou povinné (stojí na nich is_closed, auto-close i ruční úpravy).
+const STATUS_DICTIONARY_SETTING = "status_dictionary";
+const STATUS_PHRASE_LISTS = ["status_equals", "status_contains", "description_contains", "text_contains", "loose_status_contains"];
+const STATUS_REQUIRED_PHASES = { open: false, closed: true };
+const STATUS_DICTIONARY_MAX_PHASES = 20;
+const STATUS_DICTIONARY_MAX_PHRASES = 100;
+const STATUS_SAMPLE_MAX = 5000;
+
+const DEFAULT_STATUS_DICTIONARY = {
+  version: 1,
+  phases: [
+    {
+      key: "extinguished", label: "Likvidováno", status_text: "likvidován", closed: false, rank: 30,
+      status_contains: ["likvidovan", "zlikvidovan"],
+      text_contains: ["likvidovan", "zlikvidovan"]
+    },
+    {
+      key: "localized", label: "Lokalizováno", status_text: "lokalizován", closed: false, rank: 20,
+      status_contains: ["lokalizovan"],
+      text_contains: ["lokalizovan"]
+    },
+    {
+      key: "open", label: "Probíhá zásah", status_text: "probíhá zásah", closed: false, rank: 10,
+      // Samotné "nová" jen jako celý stav – v názvu to bývá obec (Nová Ves).
+      status_equals: ["nova", "novy", "neupresneno", "neupresnena", "neupresneny", "probiha"],
+      status_contains: ["probiha zasah", "probihajici zasah"],
+      text_contains: ["probiha zasah", "probihajici zasah", "probiha"]
+    },
+    {
+      key: "closed", label: "Ukončeno", status_text: "ukončená", closed: true, rank: 40,
+      status_contains: ["ukoncen"],
+      description_contains: ["ukonceni"],
+      text_contains: ["ukoncen"],
+      loose_status_contains: ["ukonc", "stav+ukon"]
+    }
+  ]
+};
+
+// Regresní vzorky: co musí slovník poznat (expect = klíč fáze, null = nic).
+// Vzorek s fází, kterou slovník nemá, se přeskočí.
+const STATUS_DICTIONARY_CASES = [
+  { name: "statusText probíhá zásah", statusText: "probíhá zásah", expect: "open" },
+  { name: "statusText nová", statusText: "nová", expect: "open" },
+  { name: "statusText ukončená", statusText: "ukončená", expect: "closed" },
+  { name: "RSS stav: probíhá zásah", description: "stav: probíhá zásah<br>Brno<br>okres Brno-město", expect: "open" },
+  { name: "RSS stav + ukončení:", description: "stav: ukončená<br>ukončení: 31. ledna 2026, 15:07<br>Praha<br>okres Hlavní město Praha", expect: "closed" },
+  { name: "RSS jen ukončení:", description: "ukončení: 2. února 2026, 08:10<br>Kolín", expect: "closed" },
+  { name: "statusText lokalizován", statusText: "lokalizován", expect: "localized" },
+  { name: "RSS stav: likvidovaná", description: "stav: likvidovaná<br>Kladno<br>okres Kladno", expect: "extinguished" },
+  { name: "RSS stav: likvidovaná + ukončení:", description: "stav: likvidovaná<br>ukončení: 3. února 2026, 11:40<br>Kladno<br>okres Kladno", expect: "closed" },
+  { name: "likvidace ukončena v textu", description: "Likvidace ukončena v 14:20.", expect: "closed" },
+  { name: "obec Nová Ves v názvu", title: "Požár - Nová Ves", expect: null }
+];
+
+let statusDictionary = compileStatusDictionary(normalizeStatusDictionary(DEFAULT_STATUS_DICTIONARY));
+let statusDictionaryIsDefault = true;
+
+function normalizeStatusPhrases(list) {
+  return [...new Set((Array.isArray(list) ? list : String(list || "").split(","))
+    .map(x => String(x || "").split("+").map(majorNormText).filter(Boolean).join("+"))
+    .filter(Boolean))]
+    .slice(0, STATUS_DICTIONARY_MAX_PHRASES);
+}
+
+function normalizeStatusDictionary(raw = {}) {
+  const phases = (Array.isArray(raw.phases) ? raw.phases : []).map((p) => {
+    const out = {
+      key: String(p?.key || "").trim().toLowerCase(),
+      label: String(p?.label || "").trim().slice(0, 60),
+      status_text: String(p?.status_text || "").trim().slice(0, 60),
+      closed: p?.closed === true,
+      rank: Number.isFinite(Number(p?.rank)) ? Math.round(Number(p.rank)) : 0
+    };
+    for (const list of STATUS_PHRASE_LISTS) out[list] = normalizeStatusPhrases(p?.[list]);
+    return out;
+  });
+  return {
+    version: Math.max(1, Math.round(Number(raw.version || 1)) || 1),
+    updated_at: raw.updated_at || null,
+    updated_by: raw.updated_by || null,
+    phases
+  };
+}
+
+// Chyby slovníku jako [{ index, error }]; prázdné = v pořádku.
+function statusDictionaryIssues(dict) {
+  const issues = [];
+  if (!dict.phases.length) return [{ index: null, error: "phases_missing" }];
+  if (dict.phases.length > STATUS_DICTIONARY_MAX_PHASES) return [{ index: null, error: "too_many_phases", max: STATUS_DICTIONARY_MAX_PHASES }];
+  const seen = new Set();
+  dict.phases.forEach((p, index) => {
+    if (!/^[a-z0-9_]{1,30}$/.test(p.key)) issues.push({ index, error: "invalid_key" });
+    else if (seen.has(p.key)) issues.push({ index, error: "duplicate_key" });
+    seen.add(p.key);
+    if (!p.label) issues.push({ index, error: "label_missing" });
+    if (!p.status_text) issues.push({ index, error: "status_text_missing" });
+    if (p.key in STATUS_REQUIRED_PHASES && p.closed !== STATUS_REQUIRED_PHASES[p.key]) issues.push({ index, error: "invalid_closed_flag" });
+    if (!STATUS_PHRASE_LISTS.some(list => p[list].length)) issues.push({ index, error: "phrases_missing" });
+  });
+  for (const key of Object.keys(STATUS_REQUIRED_PHASES)) {
+    if (!seen.has(key)) issues.push({ index: null, error: "required_phase_missing", phase: key });
+  }
+  return issues;
+}
+
+function compileStatusDictionary(dict) {
+  return { ...dict, byKey: new Map(dict.phases.map(p => [p.key, p])) };
+}
+
+function statusPhraseHit(text, phrases) {
+  return !!text && phrases.some(p => p.split("+").every(part => text.includes(part)));
+}
+
+// O otevřeno/ukončeno rozhoduje jen fáze "open" a uzavírací fáze. Mezifáze (lokalizace,
+// likvidace, …) nastaví jen status_phase – jinak by "likvidována" znovu otevřela ukončenou událost.
+function statusPhaseDecides(phase) {
+  return !!phase && (phase.closed || phase.key === "open");
+}
+
+function statusPhaseResult(phase) {
+  if (!statusPhaseDecides(phase)) return { isClosed: null, source: "unknown", label: phase.status_text, phase: phase.key };
+  return {
+    isClosed: phase.closed,
+    source: phase.closed ? "explicit_closed" : "explicit_open",
+    label: phase.status_text,
+    phase: phase.key
+  };
+}
+
+const UNKNOWN_STATUS_RESULT = { isClosed: null, source: "unknown", label: "", phase: null };
+
+function classifyExplicitStatus({ statusText = "", description = "" } = {}, dict = statusDictionary) {
   const direct = normalizeStatusValue(statusText);
   const fromDesc = normalizeStatusValue(extractStatusLineFromDescription(description));
   const candidates = [direct, fromDesc].filter(Boolean);
+  let intermediate = null;
 
   for (const s of candidates) {
     // Hodnotíme jen samostatný statusText nebo řádek "stav:" z RSS.
     // Nehodnotíme název události, aby např. "Nová Ves" nebyla omylem aktivní.
-    if (
-      s === "nova" ||
-      s === "novy" ||
-      s === "neupresneno" ||
-      s === "neupresnena" ||
-      s === "neupresneny" ||
-      s.includes("probiha zasah") ||
-      s.includes("probihajici zasah") ||
-      s === "probiha"
-    ) {
-      return { isClosed: false, source: "explicit_open", label: "probíhá zásah" };
-    }
-
-    if (
-      s.includes("ukoncena") ||
-      s.includes("ukoncen") ||
-      s.includes("ukonceno") ||
-      s.includes("ukonceny")
-    ) {
-      return { isClosed: true, source: "explicit_closed", label: "ukončená" };
-    }
+    const phase = dict.phases.find(p => p.status_equals.includes(s) || statusPhraseHit(s, p.status_contains));
+    if (statusPhaseDecides(phase)) return statusPhaseResult(phase);
+    intermediate ||= phase;
   }
 
+  // "ukončení:" v popisu rozhodne i tehdy, když řádek stav: uvádí jen mezifázi.
   const descNorm = majorNormText(description);
-  if (descNorm.includes("ukonceni")) {
-    return { isClosed: true, source: "explicit_closed", label: "ukončená" };
-  }
-
-  return { isClosed: null, source: "unknown", label: "" };
+  const byDesc = dict.phases.find(p => statusPhraseHit(descNorm, p.description_contains));
+  if (statusPhaseDecides(byDesc) || !intermediate) return byDesc ? statusPhaseResult(byDesc) : UNKNOWN_STATUS_RESULT;
+  return statusPhaseResult(intermediate);
 }
 
 
-function analyzeStatusFromText({ statusText = "", description = "", title = "" } = {}) {
-  const explicit = classifyExplicitStatus({ statusText, description });
-  if (explicit.source !== "unknown") return explicit;
+function analyzeStatusFromText({ statusText = "", description = "", title = "" } = {}, dict = statusDictionary) {
+  const explicit = classifyExplicitStatus({ statusText, description }, dict);
+  if (explicit.source !== "unknown" || explicit.phase) return explicit;
 
   // Fallback pro ruční/starší texty bez řádku "stav:".
-  // Aktivní fallback nesmí používat samotné slovo "nová", protože to může být město/část názvu.
   const text = majorNormText(`${statusText} ${description} ${title}`);
+  const phase = dict.phases.find(p => statusPhraseHit(text, p.text_contains));
+  return phase ? statusPhaseResult(phase) : UNKNOWN_STATUS_RESULT;
+}
 
-  if (
-    text.includes("probiha zasah") ||
-    text.includes("probihajici zasah") ||
-    text.includes("probiha")
-  ) {
-    return { isClosed: false, source: "explicit_open", label: "probíhá zásah" };
-  }
+// Ingest: statusText, který nesedí na žádnou fázi, ještě může zásah ukončit volnou frází.
+function looseStatusPhase(statusText = "", dict = statusDictionary) {
+  const s = majorNormText(statusText);
+  return dict.phases.find(p => statusPhraseHit(s, p.loose_status_contains)) || null;
+}
+
+function statusPhaseText(key, dict = statusDictionary) {
+  return dict.byKey.get(key)?.status_text || null;
+}
+
+// Fáze pro UI a grafy (pořadí podle průběhu zásahu).
+function statusPhaseCatalog(dict = statusDictionary) {
+  return [...dict.phases]
+    .sort((a, b) => a.rank - b.rank)
+    .map(p => ({ key: p.key, label: p.label, closed: p.closed, rank: p.rank }));
+}
 
-  if (
-    text.includes("ukoncena") ||
-    text.includes("ukoncen") ||
-    text.includes("ukonceno") ||
-    text.includes("ukonceny") ||
-    text.includes("likvidace ukoncena")
-  ) {
-    return { isClosed: true, source: "explicit_closed", label: "ukončená" };
+function statusDictionaryForClient(dict) {
+  const { byKey, ...plain } = dict;
+  return plain;
+}
+
+async function loadStatusDictionary() {
+  try {
+    const raw = await getSetting(STATUS_DICTIONARY_SETTING);
+    if (!raw) return;
+    const dict = normalizeStatusDictionary(JSON.parse(raw));
+    const issues = statusDictionaryIssues(dict);
+    if (issues.length) {
+      console.error("[status-dictionary] uložený slovník je neplatný (platí výchozí):", issues);
+      return;
+    }
+    statusDictionary = compileStatusDictionary(dict);
+    statusDictionaryIsDefault = false;
+  } catch (e) {
+    console.error("[status-dictionary] load error (using defaults):", e?.message || e);
   }
+}
 
-  return { isClosed: null, source: "unknown", label: "" };
+function runStatusDictionaryCases(dict) {
+  return STATUS_DICTIONARY_CASES.map((c) => {
+    if (c.expect && !dict.byKey.has(c.expect)) return { ...c, got: null, pass: null, skipped: true };
+    const got = analyzeStatusFromText({ statusText: c.statusText || "", description: c.description || "", title: c.title || "" }, dict).phase;
+    return { ...c, got, pass: got === c.expect, skipped: false };
+  });
 }
 
+app.get("/api/admin/status-dictionary", requireAdmin, (req, res) => {
+  res.json({
+    ok: true,
+    dictionary: statusDictionaryForClient(statusDictionary),
+    is_default: statusDictionaryIsDefault,
+    default: DEFAULT_STATUS_DICTIONARY,
+    phrase_lists: STATUS_PHRASE_LISTS,
+    required_phases: STATUS_REQUIRED_PHASES,
+    cases: runStatusDictionaryCases(statusDictionary)
+  });
+});
+
+// Uložení = nová verze. Neprošlé regresní vzorky uložení zastaví, pokud admin nepošle force.
+app.put("/api/admin/status-dictionary", requireAdmin, async (req, res) => {
+  try {
+    const draft = normalizeStatusDictionary(req.body?.dictionary || {});
+    const issues = statusDictionaryIssues(draft);
+    if (issues.length) return res.status(400).json({ ok: false, error: "invalid_dictionary", issues });
+
+    const compiled = compileStatusDictionary(draft);
+    const cases = runStatusDictionaryCases(compiled);
+    const failed = cases.filter(c => c.pass === false);
+    if (failed.length && req.body?.force !== true) {
+      return res.status(409).json({ ok: false, error: "regression_failed", cases });
+    }
+
+    const saved = {
+      ...draft,
+      version: statusDictionary.version + 1,
+      updated_at: new Date().toISOString(),
+      updated_by: req.auth.user.username
+    };
+    await setSetting(STATUS_DICTIONARY_SETTING, JSON.stringify(saved));
+    statusDictionary = compileStatusDictionary(saved);
+    statusDictionaryIsDefault = false;
+
+    await insertAudit({
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: "status_dictionary_update",
+      details: `version=${saved.version}; phases=${saved.phases.map(p => p.key).join(",")}; failed_cases=${failed.length}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: true, dictionary: statusDictionaryForClient(statusDictionary), cases });
+  } catch (e) {
+    console.error("[status-dictionary-save]", e);
+    return res.status(500).json({ ok: false, error: "status_dictionary_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Regresní běh: vestavěné vzorky + uložené description_raw/status_text posledních událostí.
+// Porovná uložený slovník s konceptem (body.dictionary) a s uloženým is_closed.
+app.post("/api/admin/status-dictionary/test", requireAdmin, async (req, res) => {
+  try {
+    let draft = statusDictionary;
+    if (req.body?.dictionary !== undefined) {
+      const normalized = normalizeStatusDictionary(req.body.dictionary || {});
+      const issues = statusDictionaryIssues(normalized);
+      if (issues.length) return res.status(400).json({ ok: false, error: "invalid_dictionary", issues });
+      draft = compileStatusDictionary(normalized);
+    }
+
+    const limit = Math.max(1, Math.min(Number(req.body?.limit || 1000), STATUS_SAMPLE_MAX));
+    const rows = await listEventsForStatusSample(limit);
+    const samples = { examined: rows.length, changed: 0, closed_mismatch: 0, unknown: 0, current: {}, draft: {}, items: [] };
+
+    for (const row of rows) {
+      const input = { statusText: row.status_text || "", description: row.description_raw || "", title: row.title || "" };
+      const before = analyzeStatusFromText(input, statusDictionary).phase;
+      const after = analyzeStatusFromText(input, draft).phase;
+      samples.current[before || "unknown"] = (samples.current[before || "unknown"] || 0) + 1;
+      samples.draft[after || "unknown"] = (samples.draft[after || "unknown"] || 0) + 1;
+      if (!after) samples.unknown++;
+      const afterPhase = after ? draft.byKey.get(after) : null;
+      const afterClosed = statusPhaseDecides(afterPhase) ? afterPhase.closed : null;
+      if (afterClosed !== null && afterClosed !== (row.is_closed === true)) samples.closed_mismatch++;
+      if (before === after) continue;
+      samples.changed++;
+      if (samples.items.length < 100) {
+        samples.items.push({
+          id: row.id,
+          title: row.title,
+          status_line: extractStatusLineFromDescription(row.description_raw) || row.status_text || "",
+          stored_phase: row.status_phase || null,
+          from: before,
+          to: after
+        });
+      }
+    }
+
+    return res.json({ ok: true, version: statusDictionary.version, cases: runStatusDictionaryCases(draft), samples });
+  } catch (e) {
+    console.error("[status-dictionary-test]", e);
+    return res.status(500).json({ ok: false, error: "status_dictionary_test_failed", detail: String(e?.message || e) });
+  }
+});
+
 function analyzeMajorEvent(it = {}, desc = "") {
   const alarm = parseAlarmLevelFromText(
     it.alarmLevelText,
@@ -2928,203 +4486,2019 @@ function publicSafeManualSourceNote() {
 }
 
 
-// ingest (data z ESP)
-app.post("/api/ingest", requireKey, async (req, res) => {
-  try {
-    const { source, items } = req.body || {};
+// ======================
+// FireWatchCZ – klasifikace typu a podtypu (pravidla)
+// ======================
+// Seřazená pravidla (tabulka classifier_rules, editor v adminu): první povolené pravidlo,
+// které sedí na název/popis, určí typ a podtyp. Text se před porovnáním převede na malá
+// písmena bez diakritiky – "keyword" = některé ze slov oddělených čárkou, "regex" = výraz.
+// Dokud se pravidla nenačtou z DB, platí DEFAULT_CLASSIFIER_RULES (stejné jako seed).
+const CLASSIFIER_TYPES = ["fire", "traffic", "tech", "rescue", "false_alarm", "other"];
+const CLASSIFIER_MATCH_MODES = ["keyword", "regex"];
+const CLASSIFIER_FIELDS = ["title", "description"];
+const CLASSIFIER_MAX_RULES = 200;
+const CLASSIFIER_PATTERN_MAX = 500;
+const CLASSIFIER_TEXT_MAX = 4000;
+const CLASSIFIER_SAMPLE_MAX = 2000;
+const CLASSIFIER_BACKFILL_MAX = Math.max(1000, Math.min(200000, Number(process.env.FIREWATCH_CLASSIFIER_BACKFILL_MAX || 50000)));
+
+const DEFAULT_CLASSIFIER_RULES = [
+  { name: "Planý poplach", match_mode: "keyword", pattern: "plany poplach", fields: ["title"], event_type: "false_alarm" },
+  { name: "Požár komína", match_mode: "regex", pattern: "pozar.*komin", fields: ["title", "description"], event_type: "fire", event_subtype: "chimney", subtype_label: "komín" },
+  { name: "Požár porostu", match_mode: "regex", pattern: "pozar.*(porost|trav|les|pole|strnist|krovi|odpad v prirode)", fields: ["title"], event_type: "fire", event_subtype: "vegetation", subtype_label: "porost / tráva / les" },
+  { name: "Požár vozidla", match_mode: "regex", pattern: "pozar.*(dopravni prostredek|vozidl|automobil|auta?\\b)", fields: ["title"], event_type: "fire", event_subtype: "vehicle", subtype_label: "vozidlo" },
+  { name: "Požár budovy", match_mode: "regex", pattern: "pozar.*(budov|objekt|byt|dum|domu|hala|chat|garaz|strech)", fields: ["title"], event_type: "fire", event_subtype: "building", subtype_label: "budova" },
+  { name: "Požár", match_mode: "keyword", pattern: "pozar", fields: ["title"], event_type: "fire" },
+  { name: "Dopravní nehoda", match_mode: "keyword", pattern: "doprav, nehoda", fields: ["title"], event_type: "traffic" },
+  { name: "Únik nebezpečné látky", match_mode: "regex", pattern: "(nebezpecn\\w* lat|unik\\w* (ropn|chemik|plyn|lat)|chemick)", fields: ["title", "description"], event_type: "tech", event_subtype: "hazmat", subtype_label: "nebezpečné látky" },
+  { name: "Záchrana z vody", match_mode: "regex", pattern: "(zachrana|vyprosteni).*(z vody|z ledu|tonouc|rek[auy]\\b|rybnik)", fields: ["title", "description"], event_type: "rescue", event_subtype: "water", subtype_label: "z vody" },
+  { name: "Záchrana zvířete", match_mode: "regex", pattern: "^(?=.*(zachrana|odchyt|vyprosteni))(?=.*(kock|\\bpes\\b|\\bpsa\\b|\\bkun\\b|\\bkone\\b|srn|labut|ptak|zvire\\b|zvirete))", fields: ["title", "description"], event_type: "rescue", event_subtype: "animal", subtype_label: "zvíře" },
+  { name: "Následky bouře / vichřice", match_mode: "regex", pattern: "(vichric|bour|polom|spadl\\w* strom|odstraneni stromu|padajic\\w* strom|utrzen\\w* strech)", fields: ["title", "description"], event_type: "tech", event_subtype: "storm", subtype_label: "bouře / strom" },
+  { name: "Technická pomoc", match_mode: "keyword", pattern: "technick, nebezpec", fields: ["title"], event_type: "tech" },
+  { name: "Záchrana", match_mode: "keyword", pattern: "zachrana, transport", fields: ["title"], event_type: "rescue" }
+];
+
+let classifierRules = compileClassifierRules(DEFAULT_CLASSIFIER_RULES.map(normalizeClassifierRule));
+let classifierBackfillInFlight = false;
+
+function classifierText(v) {
+  return deaccent(v).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function normalizeClassifierRule(raw = {}) {
+  const fields = (Array.isArray(raw.fields) ? raw.fields : [raw.fields])
+    .map(f => String(f || "").trim())
+    .filter(f => CLASSIFIER_FIELDS.includes(f));
+  return {
+    id: raw.id ?? null,
+    name: String(raw.name || "").trim().slice(0, 120),
+    match_mode: String(raw.match_mode || "keyword").trim(),
+    pattern: String(raw.pattern ?? "").trim(),
+    fields: fields.length ? [...new Set(fields)] : ["title"],
+    event_type: String(raw.event_type || "").trim(),
+    event_subtype: String(raw.event_subtype || "").trim().toLowerCase() || null,
+    subtype_label: String(raw.subtype_label || "").trim().slice(0, 80) || null,
+    enabled: raw.enabled !== false
+  };
+}
+
+// Chyba pravidla jako kód (invalid_regex, …), nebo null.
+function classifierRuleIssue(rule) {
+  if (!rule.name) return "name_missing";
+  if (!CLASSIFIER_MATCH_MODES.includes(rule.match_mode)) return "invalid_match_mode";
+  if (!rule.pattern) return "pattern_missing";
+  if (rule.pattern.length > CLASSIFIER_PATTERN_MAX) return "pattern_too_long";
+  if (!CLASSIFIER_TYPES.includes(rule.event_type)) return "invalid_event_type";
+  if (rule.event_subtype && !/^[a-z0-9_]{1,40}$/.test(rule.event_subtype)) return "invalid_event_subtype";
+  if (rule.match_mode === "regex") {
+    try {
+      new RegExp(rule.pattern, "su");
+    } catch {
+      return "invalid_regex";
+    }
+  }
+  return null;
+}
+
+function validateClassifierRules(rawRules) {
+  if (!Array.isArray(rawRules)) return { rules: [], issues: [{ index: null, error: "rules_missing" }] };
+  if (rawRules.length > CLASSIFIER_MAX_RULES) return { rules: [], issues: [{ index: null, error: "too_many_rules", max: CLASSIFIER_MAX_RULES }] };
+  const rules = rawRules.map(normalizeClassifierRule);
+  const issues = rules
+    .map((rule, index) => ({ index, error: classifierRuleIssue(rule) }))
+    .filter(x => x.error);
+  return { rules, issues };
+}
+
+function compileClassifierRules(rules) {
+  const out = [];
+  for (const rule of rules) {
+    if (rule.enabled === false || classifierRuleIssue(rule)) continue;
+    let test;
+    if (rule.match_mode === "regex") {
+      const re = new RegExp(rule.pattern, "su");
+      test = (text) => re.test(text);
+    } else {
+      const words = rule.pattern.split(/[,|]/).map(classifierText).filter(Boolean);
+      test = (text) => words.some(w => text.includes(w));
+    }
+    out.push({ ...rule, test });
+  }
+  return out;
+}
+
+// { type, subtype, rule_id, rule_name } – bez shody "other".
+function classifyEvent({ title = "", description = "" } = {}, rules = classifierRules) {
+  const texts = {
+    title: classifierText(title).slice(0, CLASSIFIER_TEXT_MAX),
+    description: classifierText(description).slice(0, CLASSIFIER_TEXT_MAX)
+  };
+  for (const rule of rules) {
+    const text = rule.fields.map(f => texts[f]).filter(Boolean).join(" | ");
+    if (text && rule.test(text)) {
+      return { type: rule.event_type, subtype: rule.event_subtype || null, rule_id: rule.id ?? null, rule_name: rule.name };
+    }
+  }
+  return { type: "other", subtype: null, rule_id: null, rule_name: null };
+}
+
+// ESP může poslat vlastní eventType; podtyp z pravidel pak platí jen při shodě typu.
+function classifyIngestItem(it, desc) {
+  const classified = classifyEvent({ title: it.title, description: desc });
+  const type = it.eventType || classified.type;
+  return { type, subtype: classified.type === type ? classified.subtype : null };
+}
+
+function subtypeLabel(type, subtype) {
+  if (!subtype) return null;
+  const rule = classifierRules.find(r => r.event_type === type && r.event_subtype === subtype);
+  return rule?.subtype_label || subtype;
+}
+
+// Typy a podtypy pro filtry, legendu mapy a exporty.
+function eventTypeCatalog() {
+  return CLASSIFIER_TYPES.map((type) => {
+    const subtypes = new Map();
+    for (const rule of classifierRules) {
+      if (rule.event_type !== type || !rule.event_subtype || subtypes.has(rule.event_subtype)) continue;
+      subtypes.set(rule.event_subtype, { subtype: rule.event_subtype, label: rule.subtype_label || rule.event_subtype });
+    }
+    return { type, label: typeLabel(type), subtypes: [...subtypes.values()] };
+  });
+}
+
+async function loadClassifierRules() {
+  try {
+    let rows = await listClassifierRules();
+    if (!rows.length) {
+      rows = await replaceClassifierRules(DEFAULT_CLASSIFIER_RULES.map(normalizeClassifierRule), "system");
+      console.log(`[classifier] seeded ${rows.length} default rules`);
+    }
+    classifierRules = compileClassifierRules(rows.map(normalizeClassifierRule));
+  } catch (e) {
+    console.error("[classifier] load error (using defaults):", e?.message || e);
+  }
+}
+
+// Rozdíl proti uloženému typu/podtypu; null = beze změny.
+function classifierChange(row, rules) {
+  const next = classifyEvent({ title: row.title, description: row.description_raw }, rules);
+  const oldType = row.event_type || null;
+  const oldSubtype = row.event_subtype || null;
+  if (oldType === next.type && oldSubtype === next.subtype) return null;
+  return {
+    id: row.id,
+    title: row.title,
+    from: { type: oldType, subtype: oldSubtype },
+    to: { type: next.type, subtype: next.subtype },
+    rule_name: next.rule_name
+  };
+}
+
+app.get("/api/event-types", (req, res) => {
+  res.json({ ok: true, types: eventTypeCatalog() });
+});
+
+app.get("/api/admin/classifier/rules", requireAdmin, async (req, res) => {
+  try {
+    const rules = await listClassifierRules();
+    return res.json({
+      ok: true,
+      rules,
+      types: eventTypeCatalog(),
+      match_modes: CLASSIFIER_MATCH_MODES,
+      fields: CLASSIFIER_FIELDS
+    });
+  } catch (e) {
+    console.error("[classifier-rules]", e);
+    return res.status(500).json({ ok: false, error: "classifier_rules_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.put("/api/admin/classifier/rules", requireAdmin, async (req, res) => {
+  try {
+    const { rules, issues } = validateClassifierRules(req.body?.rules);
+    if (issues.length) return res.status(400).json({ ok: false, error: "invalid_rules", issues });
+
+    const saved = await replaceClassifierRules(rules, req.auth.user.username);
+    classifierRules = compileClassifierRules(saved.map(normalizeClassifierRule));
+
+    await insertAudit({
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: "classifier_rules_update",
+      details: `rules=${saved.length}; enabled=${saved.filter(r => r.enabled).length}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: true, rules: saved, types: eventTypeCatalog() });
+  } catch (e) {
+    console.error("[classifier-rules-save]", e);
+    return res.status(500).json({ ok: false, error: "classifier_rules_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Test neuložených pravidel: body.rules (jinak aktuální), body.samples = [{ title, description }]
+// a sample_recent = kolik posledních událostí projít (co by se změnilo).
+app.post("/api/admin/classifier/test", requireAdmin, async (req, res) => {
+  try {
+    let rules = classifierRules;
+    if (req.body?.rules !== undefined) {
+      const v = validateClassifierRules(req.body.rules);
+      if (v.issues.length) return res.status(400).json({ ok: false, error: "invalid_rules", issues: v.issues });
+      rules = compileClassifierRules(v.rules);
+    }
+
+    const samples = (Array.isArray(req.body?.samples) ? req.body.samples : []).slice(0, 50).map((s) => ({
+      title: String(s?.title || ""),
+      description: String(s?.description || ""),
+      result: classifyEvent({ title: s?.title, description: s?.description }, rules)
+    }));
+
+    const recentLimit = Math.max(0, Math.min(Number(req.body?.sample_recent || 0), CLASSIFIER_SAMPLE_MAX));
+    let recent = null;
+    if (recentLimit) {
+      const rows = await listRecentEventsForClassifierSample(recentLimit);
+      const changes = rows.map(r => classifierChange(r, rules)).filter(Boolean);
+      recent = { examined: rows.length, changed: changes.length, items: changes.slice(0, 100) };
+    }
+
+    return res.json({ ok: true, samples, recent });
+  } catch (e) {
+    console.error("[classifier-test]", e);
+    return res.status(500).json({ ok: false, error: "classifier_test_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Přepočet typu/podtypu všech událostí podle uložených pravidel. Ručně zamčený typ se nemění.
+app.post("/api/admin/classifier/backfill", requireAdmin, async (req, res) => {
+  if (classifierBackfillInFlight) return res.status(409).json({ ok: false, error: "classifier_backfill_in_progress" });
+  classifierBackfillInFlight = true;
+  try {
+    const dryRun = req.body?.dry_run === true || isTruthyFlag(req.query?.dry_run);
+    const limit = Math.max(1, Math.min(Number(req.body?.limit || CLASSIFIER_BACKFILL_MAX), CLASSIFIER_BACKFILL_MAX));
+    const actor = requestActor(req);
+    const result = { dry_run: dryRun, examined: 0, changed: 0, applied: 0, locked: 0, drifted: 0, failed: 0, by_target: {}, items: [] };
+
+    let afterId = "";
+    while (result.examined < limit) {
+      // eslint-disable-next-line no-await-in-loop
+      const rows = await listEventsForReclassify({ afterId, limit: Math.min(500, limit - result.examined) });
+      if (!rows.length) break;
+      afterId = rows[rows.length - 1].id;
+      result.examined += rows.length;
+
+      for (const row of rows) {
+        const change = classifierChange(row, classifierRules);
+        if (!change) continue;
+        result.changed++;
+        const key = [change.to.type, change.to.subtype].filter(Boolean).join(":");
+        result.by_target[key] = (result.by_target[key] || 0) + 1;
+        if (result.items.length < 100) result.items.push(change);
+        if (dryRun) continue;
+
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const r = await applyEventReprocessPatch(row.id, row.source_kind || "esp", {
+            event_type: { old: change.from.type, new: change.to.type },
+            event_subtype: { old: change.from.subtype, new: change.to.subtype }
+          }, { actor, action: "reclassify" });
+          if (r.changed.length) {
+            result.applied++;
+            publishLiveEventChanges([{ id: row.id, kind: "updated" }]);
+          }
+          if (r.locked.length) result.locked++;
+          if (r.drifted.length) result.drifted++;
+        } catch (e) {
+          result.failed++;
+          console.error(`[classifier-backfill] ${row.id}:`, e?.message || e);
+        }
+      }
+    }
+
+    if (!dryRun) {
+      await insertAudit({
+        userId: actor.userId,
+        username: actor.username,
+        action: "classifier_backfill",
+        details: `examined=${result.examined}; changed=${result.changed}; applied=${result.applied}; locked=${result.locked}; drifted=${result.drifted}; failed=${result.failed}`,
+        ip: getClientIp(req)
+      });
+    }
+
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("[classifier-backfill]", e);
+    return res.status(500).json({ ok: false, error: "classifier_backfill_failed", detail: String(e?.message || e) });
+  } finally {
+    classifierBackfillInFlight = false;
+  }
+});
+
+
+// ======================
+// FireWatchCZ – schéma ingest payloadu (v1 / v2)
+// ======================
+// Pole, aliasy v1 a validace položek jsou v ingest-schema.js; tady jen napojení na request.
+// Verze z těla (schemaVersion) nebo hlavičky X-Firewatch-Schema, výchozí v1.
+const INGEST_ISSUES_IN_RESPONSE = 100;
+
+function ingestSchemaVersionFrom(req) {
+  return parseIngestSchemaVersion(req.body?.schemaVersion ?? req.get("x-firewatch-schema"));
+}
+
+// ======================
+// Ingest pipeline (společný pro ESP push i RSS/Atom poller)
+// ======================
+// Jedna položka = kanonický tvar po validateIngestItems:
+// { id, title, link, pubDate?, descriptionRaw?, statusText?, placeText?, cityText?, ... }
+
+// Čistý výpočet záznamu z jedné položky (bez zápisu do DB) – sdílí ingest i dry-run náhled.
+function buildIngestRecord(it, prev, sourceKind) {
+  const desc = it.descriptionRaw || it.descRaw || it.description || "";
+  const { type: eventType, subtype: eventSubtype } = classifyIngestItem(it, desc);
+  const times = parseTimesFromDescription(desc, { referenceIso: it.startTimeIso || it.pubDate || null });
+
+  // --- Server-side status intelligence ---
+  // ESP zůstává jen zdroj dat; server umí opravit stav podle textu/detailu.
+  // Explicitní "probíhá zásah" má prioritu a dokáže znovu otevřít dříve mylně ukončenou událost.
+  const statusAnalysis = analyzeStatusFromText({
+    statusText: it.statusText || it.status_text || "",
+    description: desc,
+    title: it.title || ""
+  });
+
+  let isClosed = false;
+  if (statusAnalysis.source === "explicit_open") {
+    isClosed = false;
+  } else if (statusAnalysis.source === "explicit_closed") {
+    isClosed = true;
+  } else {
+    isClosed = !!(
+      it.isClosed === true ||
+      it.is_closed === true ||
+      looseStatusPhase(it.statusText || it.status_text || "")?.closed === true ||
+      times.isClosed
+    );
+  }
+
+  // start / end timestamps podle finální logiky ESP/RSS:
+  // začátek = pubDate z ESP/RSS, konec = "ukončení:" z RSS description.
+  // Když konec v RSS není, použijeme okamžik, kdy FireWatch zjistí přechod aktivní -> ukončená.
+  const rssStartIso = eventStartIsoFromEspRss(it, times);
+
+  const startIso =
+    it.startTimeIso ||
+    times.startIso ||
+    rssStartIso ||
+    prev?.start_time_iso ||
+    null;
+
+  let endIso =
+    it.endTimeIso ||
+    times.endIso ||
+    null;
+
+  const wasKnownOpen = !!(prev && prev.is_closed === false && prev.status_source === "explicit_open");
+  const closingKnownOpen = isClosed && wasKnownOpen;
+
+  let durationMin = null;
+  let durationSource = null;
+
+  // 1) Pokud ESP někdy pošle délku explicitně, přijmeme ji.
+  if (Number.isFinite(it.durationMin)) {
+    const candidate = Math.round(it.durationMin);
+    durationMin = (candidate > 0 && candidate <= MAX_DURATION_MINUTES) ? candidate : null;
+    if (durationMin != null) durationSource = "esp_duration";
+  }
+
+  // 2) Nejlepší přesnost: RSS obsahuje "ukončení:".
+  // Délka = ukončení z RSS - pubDate z RSS.
+  if (durationMin == null && isClosed && endIso) {
+    durationMin = safeDurationFromStartEnd(rssStartIso || startIso, endIso);
+    if (durationMin != null) durationSource = "rss_end_time";
+  }
+
+  // 3) Bez "ukončení:" fallback jen při bezpečném přechodu aktivní -> ukončená.
+  // Délka = čas zjištění ukončení - pubDate z RSS.
+  if (durationMin == null && isClosed && closingKnownOpen) {
+    if (!endIso) endIso = new Date().toISOString();
+    durationMin = safeDurationFromStartEnd(rssStartIso || startIso, endIso);
+    if (durationMin != null) durationSource = "close_update";
+  }
+
+  // 4) Událost přišla rovnou ukončená bez času ukončení = délka zůstane neznámá.
+  if (!isClosed) {
+    endIso = null;
+    durationMin = null;
+    durationSource = null;
+  }
+
+  const placeText = it.placeText || null;
+  const cityFromDesc = extractCityFromDescription(desc);
+  const cityFromTitle = extractCityFromTitle(it.title);
+  const districtFromDesc = extractDistrictFromDescription(desc);
+
+  const major = analyzeMajorEvent(it, desc);
+
+  const cityText =
+    it.cityText ||
+    cityFromDesc ||
+    (!placeText ? cityFromTitle : (isDistrictPlace(placeText) ? cityFromTitle : placeText)) ||
+    null;
+
+  // Fáze ze slovníku; bez shody jen "ukončeno" podle příznaků, nová událost začíná jako "open".
+  // Mezifáze u ukončené události (ESP isClosed, "ukončení:") neplatí – událost je ukončená.
+  const analyzedPhase = statusAnalysis.phase && (!isClosed || statusDictionary.byKey.get(statusAnalysis.phase)?.closed)
+    ? statusAnalysis.phase
+    : null;
+  const statusPhase = analyzedPhase || (isClosed ? "closed" : (prev ? null : "open"));
+  // Časy lokalizace / likvidace z popisu HZS – přesnější než okamžik, kdy změnu zachytíme.
+  const phaseTimes = descriptionPhaseTimes(times);
+  const statusPhaseAt = statusDictionary.byKey.get(statusPhase)?.closed ? endIso : (phaseTimes[statusPhase] || null);
+
+  const ev = {
+    id: it.id,
+    title: it.title,
+    link: it.link,
+    pubDate: it.pubDate || null,
+    placeText,
+    cityText,
+    statusText: statusAnalysis.label || it.statusText || null,
+    eventType,
+    eventSubtype,
+    descriptionRaw: desc || null,
+    startTimeIso: startIso,
+    endTimeIso: endIso,
+    durationMin,
+    durationSource,
+    isClosed,
+    alarmLevel: major.alarmLevel,
+    alarmLevelText: major.alarmLevelText,
+    isMajorEvent: major.isMajorEvent,
+    majorReason: major.majorReason,
+    // Mezifáze o stavu nerozhoduje – null ponechá dosavadní status_source (explicit_open pro close_update).
+    statusSource: statusAnalysis.source === "unknown" && statusAnalysis.phase ? null : statusAnalysis.source,
+    statusPhase,
+    statusPhaseAt,
+    phaseTimes,
+    sourceKind
+  };
+
+  return { ev, statusAnalysis, major, districtFromDesc, prev };
+}
+// Dry-run geokódování: jen lokální tabulka + cache, nic se nezapisuje a nevolá se Nominatim.
+async function previewGeocodeCandidate(rec) {
+  const queries = buildGeocodeQueriesForEvent(rec.ev, rec.districtFromDesc);
+  for (const q of queries) {
+    const local = localGeocode(q);
+    if (local) return { queries, query: q, candidate: { lat: local.lat, lon: local.lon, source: "local" }, would_query_remote: false };
+    const cached = await getCachedGeocode(q);
+    if (cached && typeof cached.lat === "number" && typeof cached.lon === "number") {
+      return { queries, query: q, candidate: { lat: cached.lat, lon: cached.lon, source: "cache" }, would_query_remote: false };
+    }
+  }
+  return { queries, query: null, candidate: null, would_query_remote: queries.length > 0 };
+}
+
+// Duplicitní id v jedné dávce: platí poslední výskyt (ESP občas pošle stejnou položku dvakrát).
+function uniqueIngestItems(items) {
+  const byId = new Map();
+  for (const it of items || []) {
+    if (!it?.id || !it?.title || !it?.link) continue;
+    byId.set(String(it.id), it);
+  }
+  return [...byId.values()];
+}
+
+// Celá dávka = jedna transakce (všechno, nebo nic). Geokódování běží až po commitu,
+// protože čeká na síť a nesmí držet zamčené řádky.
+// batch = { key, source, sourceKind, payloadSha, itemCount, ttlMinutes } pro idempotenci.
+// Odmítnuté položky (schéma) se do transakce vůbec nedostanou – vrací se v rejected/warnings.
+async function processIngestItems(items, { sourceKind = "esp", dryRun = false, batch = null, schemaVersion = INGEST_DEFAULT_SCHEMA_VERSION } = {}) {
+  const validation = validateIngestItems(items, schemaVersion);
+  const { rejected, warnings } = validation;
+  const canonical = await canonicalIngestItems(validation.items);
+  warnings.push(...canonical.warnings);
+  const unique = uniqueIngestItems(canonical.items);
+  const prevById = await getEventMetaMany(unique.map(it => it.id));
+  const records = unique.map(it => buildIngestRecord(it, prevById.get(String(it.id)) || null, sourceKind));
+
+  if (dryRun) {
+    const preview = [];
+    for (const rec of records) {
+      preview.push({
+        id: rec.ev.id,
+        action: rec.prev ? (rec.ev.isClosed && rec.prev.is_closed === false ? "close" : "update") : "insert",
+        record: rec.ev,
+        status_analysis: rec.statusAnalysis,
+        duration_source: rec.ev.durationSource,
+        major: rec.major,
+        geocode: await previewGeocodeCandidate(rec)
+      });
+    }
+    return {
+      dryRun: true,
+      duplicate: false,
+      accepted: records.length,
+      inserted: preview.filter(p => p.action === "insert").length,
+      updated: preview.filter(p => p.action === "update").length,
+      closed: preview.filter(p => p.action === "close").length,
+      unchanged: 0,
+      geocoded: 0,
+      rejected,
+      warnings,
+      items: preview
+    };
+  }
+
+  let claimed = true;
+  const written = await runInTransaction(async (client) => {
+    if (batch && !(await claimIngestBatch(client, batch))) {
+      claimed = false;
+      return [];
+    }
+    const out = [];
+    for (const rec of records) {
+      // eslint-disable-next-line no-await-in-loop
+      out.push({ rec, result: await upsertEvent(rec.ev, { client }) });
+    }
+    return out;
+  });
+
+  if (!claimed) {
+    return { dryRun: false, duplicate: true, accepted: 0, inserted: 0, updated: 0, closed: 0, unchanged: 0, geocoded: 0, rejected, warnings };
+  }
+
+  // Každá událost se v dávce počítá právě jednou: nová / ukončená / změněná / beze změny.
+  let inserted = 0;
+  let updated = 0;
+  let closed = 0;
+  let unchanged = 0;
+  let geocoded = 0;
+  const liveChanges = [];
+  const escalations = [];
+  const webhookEvents = [];
+
+  for (const { rec, result } of written) {
+    const { before, after, changed } = result;
+    if (result.escalation) escalations.push(result.escalation);
+    if (!before) {
+      inserted++;
+      liveChanges.push({ id: rec.ev.id, kind: "created" });
+      webhookEvents.push({ id: rec.ev.id, kind: "created" });
+    } else if (after?.is_closed === true && before.is_closed === false) {
+      closed++;
+      liveChanges.push({ id: rec.ev.id, kind: "closed" });
+      webhookEvents.push({ id: rec.ev.id, kind: "closed" });
+    } else if (changed.length) {
+      updated++;
+      liveChanges.push({ id: rec.ev.id, kind: "updated" });
+      if (before.is_closed === true && after?.is_closed === false) webhookEvents.push({ id: rec.ev.id, kind: "reopened" });
+    } else unchanged++;
+    // Nová událost rovnou s vyšším stupněm je "created" (stupeň je v payloadu), ne eskalace;
+    // práh je stejný jako u upozornění na dashboardu.
+    if (result.escalation && before && Number(result.escalation.to_level) >= ESCALATION_MIN_LEVEL) webhookEvents.push({ id: rec.ev.id, kind: "escalated", escalation: result.escalation });
+
+    const needsGeocode = after && (
+      after.lat == null || after.lon == null ||
+      changed.includes("city_text") || changed.includes("place_text")
+    );
+    if (!needsGeocode) continue;
+
+    for (const q of buildGeocodeQueriesForEvent(rec.ev, rec.districtFromDesc)) {
+      const g = await geocodePlace(q);
+      if (g) {
+        // Ruční pozici admina geokodér nepřepíše (priorita zdrojů v db.js).
+        if (await updateEventCoords(rec.ev.id, g.lat, g.lon, g.source || "auto", q)) {
+          geocoded++;
+          liveChanges.push({ id: rec.ev.id, kind: "updated" });
+        }
+        break;
+      }
+    }
+  }
+
+  publishLiveEventChanges(liveChanges);
+  notifyAlarmEscalations(escalations).catch(e => console.error("[escalation] notify error:", e?.message || e));
+  // až po geokódování, ať payload nese souřadnice
+  queueWebhookEvents(webhookEvents).catch(e => console.error("[webhooks] queue error:", e?.message || e));
+
+  return { dryRun: false, duplicate: false, accepted: written.length, inserted, updated, closed, unchanged, geocoded, rejected, warnings };
+}
+
+// Klíč dávky: hlavička Idempotency-Key / body.batchId, jinak otisk obsahu.
+// Otisk platí jen krátce – ESP posílá stejný feed opakovaně a last_seen_at se musí dál obnovovat.
+const INGEST_IDEMPOTENCY_TTL_MINUTES = Math.max(10, Number(process.env.FIREWATCH_INGEST_IDEMPOTENCY_TTL_MINUTES || 1440));
+const INGEST_CONTENT_DEDUP_MINUTES = Math.max(1, Math.min(STALE_CLOSE_MINUTES - 1, Number(process.env.FIREWATCH_INGEST_CONTENT_DEDUP_MINUTES || 2)));
+
+function resolveIngestBatch(req, { source, sourceKind, items }) {
+  const payloadSha = sha256Hex(JSON.stringify({ source: source || null, items }));
+  const explicit = String(req.get("idempotency-key") || req.body?.batchId || req.body?.batch_id || "").trim().slice(0, 200);
+  return {
+    key: explicit ? `${sourceKind}:${source || "unknown"}:${explicit}` : `${sourceKind}:sha:${payloadSha}`,
+    explicit: !!explicit,
+    source: source || "unknown",
+    sourceKind,
+    payloadSha,
+    itemCount: items.length,
+    ttlMinutes: explicit ? INGEST_IDEMPOTENCY_TTL_MINUTES : INGEST_CONTENT_DEDUP_MINUTES
+  };
+}
+
+function isTruthyFlag(v) {
+  return ["1", "true", "yes", "on"].includes(String(v ?? "").toLowerCase());
+}
+
+// Odmítnuté položky a varování do odpovědi – u velké rozbité dávky jen prvních N.
+function ingestIssuesResponse(result) {
+  const rejected = result.rejected || [];
+  const warnings = result.warnings || [];
+  return {
+    rejected: rejected.length,
+    rejected_items: rejected.slice(0, INGEST_ISSUES_IN_RESPONSE),
+    warnings: warnings.slice(0, INGEST_ISSUES_IN_RESPONSE),
+    issues_truncated: rejected.length > INGEST_ISSUES_IN_RESPONSE || warnings.length > INGEST_ISSUES_IN_RESPONSE
+  };
+}
+
+app.get("/api/ingest/schema", (req, res) => {
+  res.json({ ok: true, ...ingestSchemaDescription() });
+});
+
+
+// Klíč s pevným source_kind smí posílat jen za něj; klíč bez něj (i legacy) si druh volí
+// polem "sourceKind" v těle. Povolené jsou jen zdroje registru s ingest: true.
+function ingestSourceKindFrom(req) {
+  const allowedKind = req.ingestKey?.source_kind || null;
+  const raw = req.body?.sourceKind ?? req.body?.source_kind;
+  const requested = raw === undefined || raw === null || raw === "" ? null : String(raw).trim();
+
+  if (requested && !ingestSourceKinds().includes(requested)) {
+    return { status: 400, error: "invalid_source_kind", extra: { allowed_source_kinds: ingestSourceKinds() } };
+  }
+  if (allowedKind && requested && requested !== allowedKind) {
+    return { status: 403, error: "source_kind_not_allowed", extra: { allowed_source_kind: allowedKind } };
+  }
+  return { sourceKind: allowedKind || requested || "esp" };
+}
+
+// ingest (data z ESP a dalších push zdrojů)
+app.post("/api/ingest", requireKey("ingest"), async (req, res) => {
+  // Klíč dávky zabraný tímto požadavkem – při chybě před uložením odpovědi se uvolní.
+  let claimedBatchKey = null;
+  try {
+    const { items } = req.body || {};
     if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ ok: false, error: "items missing" });
     }
 
-    let accepted = 0;
-    let updatedClosed = 0;
-    let geocoded = 0;
-    let inserted = 0;
-    let updated = 0;
+    const schemaVersion = ingestSchemaVersionFrom(req);
+    if (!schemaVersion) {
+      return res.status(400).json({ ok: false, error: "unsupported_schema_version", supported: INGEST_SCHEMA_VERSIONS });
+    }
+    if (schemaVersion >= 2 && (typeof req.body?.source !== "string" || !req.body.source.trim())) {
+      return res.status(400).json({ ok: false, error: "source_missing", schema_version: schemaVersion });
+    }
+
+    // Klíč zařízení smí posílat jen za svůj zdroj; v1 bez "source" převezme štítek z klíče.
+    const allowedSource = req.ingestKey?.source_label || null;
+    const source = req.body?.source || allowedSource;
+    if (allowedSource && source !== allowedSource) {
+      await insertIngestLog({
+        source: allowedSource,
+        sourceKind: req.ingestKey.source_kind || "esp",
+        receivedCount: items.length,
+        schemaVersion,
+        keyName: req.ingestKey.name,
+        errorText: `source_not_allowed: "${String(source).slice(0, 100)}" (klíč ${req.ingestKey.name} smí jen "${allowedSource}")`,
+        ip: getClientIp(req),
+        userAgent: req.get("user-agent") || null
+      });
+      return res.status(403).json({ ok: false, error: "source_not_allowed", allowed_source: allowedSource });
+    }
+
+    // Druh zdroje (priorita polí) z klíče zařízení, jinak z těla; výchozí esp.
+    const kindCheck = ingestSourceKindFrom(req);
+    if (kindCheck.error) {
+      return res.status(kindCheck.status).json({ ok: false, error: kindCheck.error, ...kindCheck.extra });
+    }
+    const { sourceKind } = kindCheck;
+
+    const dryRun = isTruthyFlag(req.query?.dry_run);
+    if (dryRun) {
+      // Náhled bez zápisu: žádný upsert, žádný ingest_log, žádný klíč dávky.
+      const preview = await processIngestItems(items, { sourceKind, dryRun: true, schemaVersion });
+      return res.json({
+        ok: true,
+        dry_run: true,
+        schema_version: schemaVersion,
+        source: source || "unknown",
+        source_kind: sourceKind,
+        received: items.length,
+        accepted: preview.accepted,
+        inserted: preview.inserted,
+        updated: preview.updated,
+        closed_seen_in_batch: preview.closed,
+        ...ingestIssuesResponse(preview),
+        items: preview.items
+      });
+    }
+
+    await archiveRawItemsSafe({ sourceKind, source, schemaVersion, items });
+
+    const batch = resolveIngestBatch(req, { source, sourceKind, items });
+    const stored = await getIngestBatch(batch.key);
+    if (stored?.response) {
+      return res.json({ ...stored.response, replayed: true, idempotency_key: batch.explicit ? batch.key : null });
+    }
+
+    const result = await processIngestItems(items, { sourceKind, batch, schemaVersion });
+    if (result.duplicate) {
+      // Stejná dávka se právě zpracovává v jiném requestu (retry z ESP během timeoutu).
+      return res.status(409).json({ ok: false, error: "batch_in_progress", replayed: true });
+    }
+    claimedBatchKey = batch.key;
+
+    await insertIngestLog({
+      source: source || "unknown",
+      sourceKind,
+      receivedCount: items.length,
+      acceptedCount: result.accepted,
+      newCount: result.inserted,
+      updatedCount: result.updated,
+      closedCount: result.closed,
+      geocodedCount: result.geocoded,
+      rejectedCount: result.rejected.length,
+      schemaVersion,
+      keyName: req.ingestKey?.name || null,
+      ip: getClientIp(req),
+      userAgent: req.get("user-agent") || null
+    });
+
+    if (result.rejected.length) {
+      console.warn(`[ingest] ${source || "unknown"}: odmítnuto ${result.rejected.length}/${items.length} položek (schema v${schemaVersion})`);
+    }
+
+    const response = {
+      ok: true,
+      schema_version: schemaVersion,
+      source: source || "unknown",
+      source_kind: sourceKind,
+      received: items.length,
+      accepted: result.accepted,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      closed_seen_in_batch: result.closed,
+      geocoded: result.geocoded,
+      ...ingestIssuesResponse(result)
+    };
+    await saveIngestBatchResponse(batch.key, response);
+    claimedBatchKey = null;
+
+    res.json(response);
+  } catch (e) {
+    console.error(e);
+    if (claimedBatchKey) {
+      await releaseIngestBatch(claimedBatchKey).catch(err => console.error("[ingest] release batch key failed:", err?.message || err));
+    }
+    try {
+      await insertIngestLog({
+        source: req.body?.source || req.ingestKey?.source_label || "unknown",
+        sourceKind: ingestSourceKindFrom(req).sourceKind || "esp",
+        receivedCount: Array.isArray(req.body?.items) ? req.body.items.length : 0,
+        keyName: req.ingestKey?.name || null,
+        errorText: e?.message || String(e),
+        ip: getClientIp(req),
+        userAgent: req.get("user-agent") || null
+      });
+    } catch {}
+    res.status(500).json({ ok: false, error: "server error" });
+  }
+});
+
+
+// ======================
+// FireWatchCZ – RSS/Atom poller (druhý zdroj vedle ESP)
+// ======================
+// Server si sám čte RSS/Atom feedy HZS a položky posílá stejnou pipeline jako /api/ingest.
+// Když ESP vypadne, data dál tečou. Konfigurace přes FIREWATCH_RSS_FEEDS (JSON pole):
+//   [{"name":"hzs-stc","url":"https://…/rss","intervalSec":120,"maxBackoffSec":1800}]
+// Pro testy stačí lokální fixture: "url":"file:///cesta/feed.xml" nebo absolutní cesta.
+// Samotné parsování (konfigurace, kódování, položky) je v rss-feed.js.
+const RSS_DEFAULT_INTERVAL_SEC = Math.max(30, Number(process.env.FIREWATCH_RSS_INTERVAL_SEC || 120));
+const RSS_DEFAULT_MAX_BACKOFF_SEC = Math.max(60, Number(process.env.FIREWATCH_RSS_MAX_BACKOFF_SEC || 1800));
+const RSS_FETCH_TIMEOUT_MS = Math.max(2000, Number(process.env.FIREWATCH_RSS_TIMEOUT_MS || 15000));
+const RSS_USER_AGENT = process.env.FIREWATCH_RSS_UA || GEOCODE_UA;
+
+const RSS_FEEDS = parseRssFeedsConfig(process.env.FIREWATCH_RSS_FEEDS, {
+  intervalSec: RSS_DEFAULT_INTERVAL_SEC,
+  maxBackoffSec: RSS_DEFAULT_MAX_BACKOFF_SEC
+});
+
+// Stav pollerů jen v paměti (jedna instance na Railway).
+const rssFeedState = new Map(); // name -> { failures, nextRunAt, lastRunAt, lastOkAt, lastError, lastResult, etag, lastModified, timer, inFlight }
+
+async function fetchFeedXml(feed, state) {
+  const url = feed.url;
+  if (url.startsWith("file://") || url.startsWith("/")) {
+    const filePath = url.startsWith("file://") ? fileURLToPath(url) : url;
+    return { notModified: false, xml: decodeFeedBuffer(await fs.promises.readFile(filePath)) };
+  }
+
+  const headers = {
+    "User-Agent": RSS_USER_AGENT,
+    "Accept": "application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8"
+  };
+  if (state.etag) headers["If-None-Match"] = state.etag;
+  if (state.lastModified) headers["If-Modified-Since"] = state.lastModified;
+
+  const r = await fetchWithTimeout(url, { headers }, RSS_FETCH_TIMEOUT_MS);
+  if (r.status === 304) return { notModified: true, xml: "" };
+  if (!r.ok) throw new Error(`http_${r.status}`);
+
+  state.etag = r.headers.get("etag") || null;
+  state.lastModified = r.headers.get("last-modified") || null;
+  return { notModified: false, xml: decodeFeedBuffer(new Uint8Array(await r.arrayBuffer()), r.headers.get("content-type")) };
+}
+
+function rssStateFor(feed) {
+  if (!rssFeedState.has(feed.name)) {
+    rssFeedState.set(feed.name, {
+      failures: 0,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastOkAt: null,
+      lastError: null,
+      lastResult: null,
+      etag: null,
+      lastModified: null,
+      timer: null,
+      inFlight: false
+    });
+  }
+  return rssFeedState.get(feed.name);
+}
+
+// Po chybě exponenciální backoff (interval * 2^n), strop maxBackoffSec.
+function rssNextDelaySec(feed, state) {
+  if (!state.failures) return feed.intervalSec;
+  return Math.min(feed.maxBackoffSec, feed.intervalSec * Math.pow(2, state.failures));
+}
+
+async function pollRssFeed(feed) {
+  const state = rssStateFor(feed);
+  if (state.inFlight) return state.lastResult;
+  state.inFlight = true;
+  state.lastRunAt = new Date().toISOString();
+
+  let items = [];
+  try {
+    const { notModified, xml } = await fetchFeedXml(feed, state);
+    items = notModified ? [] : parseFeedItems(xml);
+    if (items.length) await archiveRawItemsSafe({ sourceKind: "rss", source: feed.name, items });
+
+    const result = items.length
+      ? await processIngestItems(items, { sourceKind: "rss" })
+      : { accepted: 0, inserted: 0, updated: 0, closed: 0, unchanged: 0, geocoded: 0, rejected: [], warnings: [] };
+
+    await insertIngestLog({
+      source: feed.name,
+      sourceKind: "rss",
+      receivedCount: items.length,
+      acceptedCount: result.accepted,
+      newCount: result.inserted,
+      updatedCount: result.updated,
+      closedCount: result.closed,
+      geocodedCount: result.geocoded,
+      rejectedCount: result.rejected.length,
+      userAgent: RSS_USER_AGENT
+    });
+
+    state.failures = 0;
+    state.lastOkAt = new Date().toISOString();
+    state.lastError = null;
+    const { rejected, warnings, ...counts } = result;
+    state.lastResult = { ...counts, received: items.length, rejected: rejected.length, warnings: warnings.length, not_modified: notModified };
+    return state.lastResult;
+  } catch (e) {
+    state.failures++;
+    state.lastError = String(e?.message || e);
+    console.error(`[rss] ${feed.name} error (failures=${state.failures}):`, state.lastError);
+    try {
+      await insertIngestLog({
+        source: feed.name,
+        sourceKind: "rss",
+        receivedCount: items.length,
+        errorText: state.lastError,
+        userAgent: RSS_USER_AGENT
+      });
+    } catch {}
+    return null;
+  } finally {
+    state.inFlight = false;
+  }
+}
+
+function scheduleRssFeed(feed, delaySec) {
+  const state = rssStateFor(feed);
+  if (state.timer) clearTimeout(state.timer);
+  state.nextRunAt = new Date(Date.now() + delaySec * 1000).toISOString();
+  state.timer = setTimeout(async () => {
+    await pollRssFeed(feed);
+    scheduleRssFeed(feed, rssNextDelaySec(feed, state));
+  }, delaySec * 1000);
+}
+
+function startRssPollers() {
+  const active = RSS_FEEDS.filter(f => f.enabled);
+  if (!active.length) return;
+  // Rozložíme první běhy, ať se feedy nepotkají ve stejné vteřině.
+  active.forEach((feed, i) => scheduleRssFeed(feed, 5 + i * 10));
+  console.log(`[rss] pollers started: ${active.map(f => `${f.name} (${f.intervalSec}s)`).join(", ")}`);
+}
+
+function rssFeedsStatus() {
+  return RSS_FEEDS.map(feed => {
+    const s = rssFeedState.get(feed.name) || {};
+    return {
+      name: feed.name,
+      url: feed.url,
+      enabled: feed.enabled,
+      interval_sec: feed.intervalSec,
+      max_backoff_sec: feed.maxBackoffSec,
+      failures: s.failures || 0,
+      in_flight: !!s.inFlight,
+      last_run_at: s.lastRunAt || null,
+      last_ok_at: s.lastOkAt || null,
+      next_run_at: s.nextRunAt || null,
+      last_error: s.lastError || null,
+      last_result: s.lastResult || null
+    };
+  });
+}
+
+app.get("/api/admin/rss-feeds", requireAdmin, async (req, res) => {
+  return res.json({ ok: true, feeds: rssFeedsStatus() });
+});
+
+app.post("/api/admin/rss-feeds/:name/poll", requireAdmin, async (req, res) => {
+  try {
+    const feed = RSS_FEEDS.find(f => f.name === String(req.params.name || ""));
+    if (!feed) return res.status(404).json({ ok: false, error: "feed_not_found" });
+
+    if (isTruthyFlag(req.query?.dry_run)) {
+      // Náhled: feed se stáhne celý (bez ETag), nic se nezapíše a stav polleru se nemění.
+      const { xml } = await fetchFeedXml(feed, {});
+      const items = parseFeedItems(xml);
+      const preview = await processIngestItems(items, { sourceKind: "rss", dryRun: true });
+      return res.json({
+        ok: true,
+        dry_run: true,
+        feed: feed.name,
+        received: items.length,
+        accepted: preview.accepted,
+        inserted: preview.inserted,
+        updated: preview.updated,
+        closed: preview.closed,
+        ...ingestIssuesResponse(preview),
+        items: preview.items
+      });
+    }
+
+    const result = await pollRssFeed(feed);
+    if (feed.enabled) scheduleRssFeed(feed, rssNextDelaySec(feed, rssStateFor(feed)));
+
+    await insertAudit({
+      userId: req.auth?.user?.id || null,
+      username: req.auth?.user?.username || null,
+      action: "rss_feed_poll",
+      details: `feed=${feed.name}; ok=${result ? 1 : 0}; accepted=${result?.accepted ?? 0}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: !!result, feed: rssFeedsStatus().find(f => f.name === feed.name) });
+  } catch (e) {
+    console.error("[rss-feed-poll]", e);
+    return res.status(500).json({ ok: false, error: "rss_feed_poll_failed", detail: String(e?.message || e) });
+  }
+});
+
+
+
+// ======================
+// FireWatchCZ – watchdog ingestu (hlídání ticha zdrojů)
+// ======================
+// Každý zdroj (ESP podle "source", RSS feed podle názvu) má svůj obvyklý rozestup dávek –
+// medián mezer mezi úspěšnými zápisy v ingest_log. Když zdroj mlčí déle než
+// max(FIREWATCH_SILENCE_MIN_GAP_MINUTES, FIREWATCH_SILENCE_FACTOR × medián), je "silent"
+// a do místnosti SPRÁVA v rádiu odejde systémová zpráva. Po návratu dat přijde zpráva o obnovení.
+const WATCHDOG_INTERVAL_MS = Math.max(15_000, Number(process.env.FIREWATCH_WATCHDOG_INTERVAL_MS || 60_000));
+const WATCHDOG_WINDOW_HOURS = Math.max(1, Math.min(24 * 31, Number(process.env.FIREWATCH_WATCHDOG_WINDOW_HOURS || 168)));
+const SILENCE_MIN_GAP_MINUTES = Math.max(1, Number(process.env.FIREWATCH_SILENCE_MIN_GAP_MINUTES || 10));
+const SILENCE_FACTOR = Math.max(1.5, Number(process.env.FIREWATCH_SILENCE_FACTOR || 5));
+// Zdroj, který mlčí déle, bereme jako vyřazený (přejmenované ESP, vypnutý feed) – už se nehlásí.
+const SILENCE_FORGET_HOURS = Math.max(1, Number(process.env.FIREWATCH_SILENCE_FORGET_HOURS || 72));
+const SILENCE_ALERT_ROOM = process.env.FIREWATCH_SILENCE_ALERT_ROOM || "SPRÁVA";
+
+// FIREWATCH_SOURCE_SILENCE_MINUTES='{"esp":15,"esp:esp32-praha":5,"rss:hzs":60}'
+// klíč = "kind:source", "source" nebo jen "kind"; hodnota = povolené ticho v minutách.
+// Zdroj uvedený jako "kind:source" se hlídá, i když v ingest_log ještě žádný záznam nemá.
+function parseSourceSilenceOverrides(raw) {
+  const out = new Map();
+  const s = String(raw || "").trim();
+  if (!s) return out;
+  try {
+    for (const [key, minutes] of Object.entries(JSON.parse(s) || {})) {
+      const n = Number(minutes);
+      if (key && Number.isFinite(n) && n > 0) out.set(String(key), n);
+    }
+  } catch (e) {
+    console.error("[watchdog] FIREWATCH_SOURCE_SILENCE_MINUTES není validní JSON:", e?.message || e);
+  }
+  return out;
+}
+
+const SOURCE_SILENCE_OVERRIDES = parseSourceSilenceOverrides(process.env.FIREWATCH_SOURCE_SILENCE_MINUTES);
+const WATCHDOG_ALERT_STATUSES = ["silent", "failing"];
+const PROCESS_STARTED_AT = Date.now();
+
+let opsRadio = null;
+let ingestWatchdogInFlight = false;
+let ingestWatchdogSnapshot = { checked_at: null, status: "unknown", sources: [] };
+const ingestWatchdogState = new Map();
+
+function silenceOverrideFor(kind, source) {
+  return SOURCE_SILENCE_OVERRIDES.get(`${kind}:${source}`)
+    ?? SOURCE_SILENCE_OVERRIDES.get(source)
+    ?? SOURCE_SILENCE_OVERRIDES.get(kind)
+    ?? null;
+}
+
+function expectedGapMinutes(row) {
+  const override = silenceOverrideFor(row.source_kind, row.source);
+  if (override != null) return override;
+  let cadenceSec = row.median_gap_sec;
+  if (cadenceSec == null && row.source_kind === "rss") {
+    cadenceSec = RSS_FEEDS.find(f => f.name === row.source)?.intervalSec ?? null;
+  }
+  const byCadence = cadenceSec ? (cadenceSec * SILENCE_FACTOR) / 60 : 0;
+  return Math.round(Math.max(SILENCE_MIN_GAP_MINUTES, byCadence));
+}
+
+function ingestSourceLabel(row) {
+  return `${String(row.source_kind || "").toUpperCase()} ${row.source}`.trim();
+}
+
+// Zdroje, které by měly posílat data, i když v okně ještě nic nezapsaly.
+function expectedIngestSources() {
+  const out = RSS_FEEDS.filter(f => f.enabled).map(f => ({ source: f.name, source_kind: "rss" }));
+  for (const key of SOURCE_SILENCE_OVERRIDES.keys()) {
+    const i = key.indexOf(":");
+    if (i > 0) out.push({ source: key.slice(i + 1), source_kind: key.slice(0, i) });
+  }
+  return out;
+}
+
+function evaluateIngestSource(row, now) {
+  const expected = expectedGapMinutes(row);
+  const lastOkMs = row.last_ok_at ? new Date(row.last_ok_at).getTime() : null;
+  // Bez jediného úspěšného zápisu počítáme ticho od startu procesu.
+  const silentForMin = Math.max(0, Math.round((now - (lastOkMs ?? PROCESS_STARTED_AT)) / 60000));
+  const explicit = silenceOverrideFor(row.source_kind, row.source) != null;
+
+  const lastSeenMs = lastOkMs ?? (row.last_at ? new Date(row.last_at).getTime() : null);
+
+  let status;
+  if (silentForMin <= expected) status = lastOkMs == null ? "pending" : "ok";
+  else if (!explicit && lastSeenMs != null && now - lastSeenMs > SILENCE_FORGET_HOURS * 3600000) status = "inactive";
+  else status = row.last_error ? "failing" : "silent";
+
+  return {
+    key: `${row.source_kind}:${row.source}`,
+    source: row.source,
+    source_kind: row.source_kind,
+    status,
+    runs: row.runs || 0,
+    errors: row.errors || 0,
+    last_at: row.last_at || null,
+    last_ok_at: row.last_ok_at || null,
+    last_error: row.last_error || null,
+    median_gap_min: row.median_gap_sec == null ? null : Math.round((row.median_gap_sec / 60) * 10) / 10,
+    expected_gap_min: expected,
+    silent_for_min: silentForMin
+  };
+}
+
+function notifyIngestSourceTransition(src, prev) {
+  const label = ingestSourceLabel(src);
+  let text = null;
+
+  if (WATCHDOG_ALERT_STATUSES.includes(src.status) && !WATCHDOG_ALERT_STATUSES.includes(prev?.status)) {
+    const lastOk = src.last_ok_at ? `, poslední data ${formatReportDateTimeCs(src.last_ok_at)}` : ", zatím žádná data";
+    text = src.status === "failing"
+      ? `⚠ Zdroj ${label} hlásí chyby už ${src.silent_for_min} min${lastOk}: ${String(src.last_error || "").slice(0, 160)}`
+      : `⚠ Zdroj ${label} mlčí ${src.silent_for_min} min (limit ${src.expected_gap_min} min${lastOk}).`;
+  } else if (src.status === "ok" && WATCHDOG_ALERT_STATUSES.includes(prev?.status)) {
+    const outageMin = Math.max(0, Math.round((Date.now() - prev.since) / 60000));
+    text = `✅ Zdroj ${label} znovu posílá data (výpadek hlášen před ${outageMin} min).`;
+  }
+
+  if (!text) return;
+  console.warn(`[watchdog] ${text}`);
+  try {
+    opsRadio?.postSystemMessage?.(SILENCE_ALERT_ROOM, text);
+  } catch (e) {
+    console.error("[watchdog] radio message failed:", e?.message || e);
+  }
+}
+
+async function runIngestWatchdog() {
+  if (ingestWatchdogInFlight) return ingestWatchdogSnapshot;
+  ingestWatchdogInFlight = true;
+  try {
+    const now = Date.now();
+    const rows = await getIngestSourceActivity({ windowHours: WATCHDOG_WINDOW_HOURS });
+    const seen = new Set(rows.map(r => `${r.source_kind}:${r.source}`));
+    for (const exp of expectedIngestSources()) {
+      const key = `${exp.source_kind}:${exp.source}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rows.push({ ...exp, runs: 0, errors: 0, last_at: null, last_ok_at: null, last_error: null, median_gap_sec: null });
+    }
+
+    const sources = rows.map(r => evaluateIngestSource(r, now));
+    for (const src of sources) {
+      const prev = ingestWatchdogState.get(src.key);
+      notifyIngestSourceTransition(src, prev);
+      ingestWatchdogState.set(src.key, {
+        status: src.status,
+        since: prev && prev.status === src.status ? prev.since : now
+      });
+      src.status_since = new Date(ingestWatchdogState.get(src.key).since).toISOString();
+    }
+
+    const watched = sources.filter(s => s.status !== "inactive");
+    const status = !watched.length
+      ? "unknown"
+      : watched.some(s => WATCHDOG_ALERT_STATUSES.includes(s.status)) ? "degraded" : "ok";
+
+    ingestWatchdogSnapshot = { checked_at: new Date(now).toISOString(), status, sources };
+  } catch (e) {
+    console.error("[watchdog] error:", e?.message || e);
+    ingestWatchdogSnapshot = { ...ingestWatchdogSnapshot, status: "unknown", error: String(e?.message || e) };
+  } finally {
+    ingestWatchdogInFlight = false;
+  }
+  return ingestWatchdogSnapshot;
+}
+
+
+// ======================
+// FireWatchCZ – surový archiv ingestu + přehrání (reprocess)
+// ======================
+// Každá přijatá položka (ESP i RSS) se uloží beze změny do ingest_raw_items. Po úpravě
+// parseTimesFromDescription / analyzeStatusFromText / analyzeMajorEvent se zvolený rozsah
+// přehraje aktuální pipeline: nejdřív náhled změn, po potvrzení zápis (action "reprocess").
+// Přehrání nikdy nemaže hodnoty, neotvírá znovu ukončené události a nesahá na souřadnice.
+const RAW_ARCHIVE_RETENTION_DAYS = Math.max(0, Number(process.env.FIREWATCH_RAW_ARCHIVE_DAYS || 365));
+const REPROCESS_MAX_ITEMS = Math.max(100, Math.min(20000, Number(process.env.FIREWATCH_REPROCESS_MAX_ITEMS || 5000)));
+const REPROCESS_JOB_TTL_MS = 60 * 60 * 1000;
+const REPROCESS_PREVIEW_ITEMS = 200;
+
+const reprocessJobs = new Map();
+let reprocessApplyInFlight = false;
+
+async function archiveRawItemsSafe(args) {
+  try {
+    await archiveRawIngestItems(args);
+  } catch (e) {
+    // Archiv nesmí shodit příjem dat.
+    console.error("[raw-archive] error:", e?.message || e);
+  }
+}
+
+// ev (camelCase z buildIngestRecord) -> hodnoty sloupců v events
+function reprocessEventValues(ev) {
+  return {
+    event_type: ev.eventType,
+    event_subtype: ev.eventSubtype,
+    status_text: ev.statusText,
+    status_source: ev.statusSource,
+    status_phase: ev.statusPhase,
+    is_closed: ev.isClosed,
+    start_time_iso: ev.startTimeIso,
+    end_time_iso: ev.endTimeIso,
+    duration_min: ev.durationMin,
+    duration_source: ev.durationSource,
+    alarm_level: ev.alarmLevel,
+    alarm_level_text: ev.alarmLevelText,
+    is_major_event: ev.isMajorEvent,
+    major_reason: ev.majorReason,
+    city_text: ev.cityText,
+    place_text: ev.placeText
+  };
+}
+
+function reprocessComparable(v) {
+  return v === undefined || v === null || v === "" ? null : String(v);
+}
+
+// Co by přehrání změnilo na jedné události: { field: { old, new } }.
+function planEventReprocess(row, ev) {
+  const next = reprocessEventValues(ev);
+  const keepsOpenClosed = row.is_closed === true && ev.isClosed !== true;
+  const changes = {};
+
+  for (const field of REPROCESS_EVENT_FIELDS) {
+    const value = next[field];
+    // Podtyp se smí vyprázdnit jen spolu se změnou typu (jinak by zůstal podtyp cizího typu).
+    const clearsSubtype = field === "event_subtype" && !!changes.event_type;
+    if ((value === undefined || value === null || value === "") && !clearsSubtype) continue;
+    if (field === "is_major_event" && value !== true) continue;
+    if (keepsOpenClosed && ["is_closed", "status_text", "status_source", "status_phase"].includes(field)) continue;
+    if (!ev.isClosed && ["end_time_iso", "duration_min", "duration_source"].includes(field)) continue;
+    if (reprocessComparable(row[field]) === reprocessComparable(value)) continue;
+    changes[field] = { old: row[field] ?? null, new: value ?? null };
+  }
+  return changes;
+}
+
+function pruneReprocessJobs() {
+  const now = Date.now();
+  for (const [id, job] of reprocessJobs) {
+    if (job.status !== "applying" && now - job.createdAtMs > REPROCESS_JOB_TTL_MS) reprocessJobs.delete(id);
+  }
+}
+
+function reprocessJobPublic(job, { withItems = false } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    created_at: new Date(job.createdAtMs).toISOString(),
+    created_by: job.createdBy,
+    params: job.params,
+    summary: job.summary,
+    progress: job.progress,
+    result: job.result,
+    error: job.error || null,
+    ...(withItems ? { items: job.plans.slice(0, REPROCESS_PREVIEW_ITEMS) } : {})
+  };
+}
+
+// Náhled: archivní položky (+ volitelně události bez archivu) -> pipeline -> rozdíl proti DB.
+async function buildReprocessJob({ from, to, sourceKind, includeUnarchived, createdBy }) {
+  const raw = await listRawIngestForReplay({ from, to, sourceKind, limit: REPROCESS_MAX_ITEMS });
+  const inputs = [];
+  let rejected = 0;
+
+  for (const r of raw) {
+    const { items: valid, rejected: bad } = validateIngestItems([r.payload], r.schema_version || INGEST_DEFAULT_SCHEMA_VERSION);
+    rejected += bad.length;
+    if (valid[0]) inputs.push({ item: valid[0], sourceKind: r.source_kind, origin: "archive", receivedAt: r.last_received_at });
+  }
+
+  if (includeUnarchived && inputs.length < REPROCESS_MAX_ITEMS) {
+    const stored = await listUnarchivedEventsForReplay({ from, to, sourceKind, limit: REPROCESS_MAX_ITEMS - inputs.length });
+    for (const e of stored) {
+      inputs.push({
+        item: {
+          id: e.id,
+          title: e.title,
+          link: e.link,
+          pubDate: e.pub_date || undefined,
+          descriptionRaw: e.description_raw || undefined,
+          statusText: e.status_text || undefined,
+          placeText: e.place_text || undefined
+        },
+        sourceKind: e.source_kind,
+        origin: "stored_text",
+        receivedAt: null
+      });
+    }
+  }
+
+  const aliased = await applyEventAliases(inputs.map(x => x.item));
+  aliased.forEach((item, i) => { inputs[i].item = item; });
+
+  // Víc archivních id sloučených do jedné události = jeden plán: novější archivní položka
+  // nahradí starší, uložený text jen tam, kde archiv nic nemá.
+  const byEventId = new Map();
+  for (const input of inputs) {
+    const prev = byEventId.get(String(input.item.id));
+    if (!prev || prev.origin === input.origin) byEventId.set(String(input.item.id), input);
+  }
+  const replay = [...byEventId.values()];
+
+  const rows = await getTrackedEventsMany(replay.map(x => x.item.id));
+  const plans = [];
+  const fieldCounts = {};
+  let lockedEvents = 0;
+  let missing = 0;
+
+  for (const input of replay) {
+    const row = rows.get(String(input.item.id));
+    if (!row) {
+      missing++;
+      continue;
+    }
+    // prev jen se začátkem: přehrání nesmí dopočítat konec podle "teď" (close_update).
+    const rec = buildIngestRecord(input.item, { start_time_iso: row.start_time_iso }, input.sourceKind);
+    const changes = planEventReprocess(row, rec.ev);
+    const fields = Object.keys(changes);
+    if (!fields.length) continue;
+
+    const locked = lockedFieldsFor(input.sourceKind, row.field_sources).filter(f => fields.includes(f));
+    if (locked.length) lockedEvents++;
+    for (const f of fields) fieldCounts[f] = (fieldCounts[f] || 0) + 1;
+
+    plans.push({
+      id: row.id,
+      title: row.title,
+      source_kind: input.sourceKind,
+      origin: input.origin,
+      received_at: input.receivedAt,
+      changes,
+      locked,
+      geocode: { title: rec.ev.title, cityText: rec.ev.cityText, placeText: rec.ev.placeText, district: rec.districtFromDesc || "" }
+    });
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    status: "preview",
+    createdAtMs: Date.now(),
+    createdBy,
+    params: { from, to, source_kind: sourceKind, include_unarchived: includeUnarchived },
+    summary: {
+      scanned: inputs.length,
+      from_archive: inputs.filter(x => x.origin === "archive").length,
+      from_stored_text: inputs.filter(x => x.origin === "stored_text").length,
+      truncated: raw.length >= REPROCESS_MAX_ITEMS,
+      rejected_by_schema: rejected,
+      missing_events: missing,
+      would_change: plans.length,
+      with_locked_fields: lockedEvents,
+      fields: fieldCounts
+    },
+    progress: null,
+    result: null,
+    plans
+  };
+}
+
+async function applyReprocessJob(job, actor) {
+  const result = { applied: 0, unchanged: 0, locked_fields: 0, drifted_fields: 0, geocoded: 0, failed: 0 };
+  job.progress = { done: 0, total: job.plans.length };
+
+  for (const plan of job.plans) {
+    try {
+      const r = await applyEventReprocessPatch(plan.id, plan.source_kind, plan.changes, { actor });
+      result.locked_fields += r.locked.length;
+      result.drifted_fields += r.drifted.length;
+      if (r.changed.length) {
+        result.applied++;
+        publishLiveEventChanges([{ id: plan.id, kind: r.changed.includes("is_closed") ? "closed" : "updated" }]);
+      } else result.unchanged++;
+
+      // Nové místo -> nové souřadnice (ruční pozici admina geokodér nepřepíše).
+      if (r.changed.includes("city_text") || r.changed.includes("place_text")) {
+        for (const q of buildGeocodeQueriesForEvent(plan.geocode, plan.geocode.district)) {
+          const g = await geocodePlace(q);
+          if (g) {
+            if (await updateEventCoords(plan.id, g.lat, g.lon, g.source || "auto", q, { actor })) {
+              result.geocoded++;
+              publishLiveEventChanges([{ id: plan.id, kind: "updated" }]);
+            }
+            break;
+          }
+        }
+      }
+    } catch (e) {
+      result.failed++;
+      console.error(`[reprocess] ${plan.id}:`, e?.message || e);
+    }
+    job.progress.done++;
+  }
+  return result;
+}
+
+function parseReprocessRange(body = {}) {
+  const from = new Date(body.from || "");
+  const to = body.to ? new Date(body.to) : new Date();
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) return null;
+  if (to.getTime() - from.getTime() > 366 * 86400000) return null;
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+app.post("/api/admin/reprocess", requireAdmin, async (req, res) => {
+  try {
+    const range = parseReprocessRange(req.body || {});
+    if (!range) return res.status(400).json({ ok: false, error: "invalid_range" });
+
+    const sourceKind = req.body?.source_kind ? String(req.body.source_kind) : null;
+    if (sourceKind && !ingestSourceKinds().includes(sourceKind)) return res.status(400).json({ ok: false, error: "invalid_source_kind" });
+
+    pruneReprocessJobs();
+    const job = await buildReprocessJob({
+      ...range,
+      sourceKind,
+      includeUnarchived: req.body?.include_unarchived === true,
+      createdBy: req.auth.user.username
+    });
+    reprocessJobs.set(job.id, job);
+
+    return res.json({ ok: true, job: reprocessJobPublic(job, { withItems: true }) });
+  } catch (e) {
+    console.error("[reprocess-preview]", e);
+    return res.status(500).json({ ok: false, error: "reprocess_preview_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/reprocess/:jobId", requireAdmin, async (req, res) => {
+  const job = reprocessJobs.get(String(req.params.jobId || ""));
+  if (!job) return res.status(404).json({ ok: false, error: "job_not_found" });
+  return res.json({ ok: true, job: reprocessJobPublic(job, { withItems: isTruthyFlag(req.query?.items) }) });
+});
+
+// Potvrzení náhledu: zápis běží na pozadí, stav přes GET /api/admin/reprocess/:jobId.
+app.post("/api/admin/reprocess/:jobId/apply", requireAdmin, async (req, res) => {
+  const job = reprocessJobs.get(String(req.params.jobId || ""));
+  if (!job) return res.status(404).json({ ok: false, error: "job_not_found" });
+  if (job.status !== "preview") return res.status(409).json({ ok: false, error: "job_already_applied", job: reprocessJobPublic(job) });
+  if (reprocessApplyInFlight) return res.status(409).json({ ok: false, error: "reprocess_in_progress" });
+
+  reprocessApplyInFlight = true;
+  job.status = "applying";
+  const actor = requestActor(req);
+  const ip = getClientIp(req);
+
+  applyReprocessJob(job, actor)
+    .then(async (result) => {
+      job.result = result;
+      job.status = "applied";
+      await insertAudit({
+        userId: actor.userId,
+        username: actor.username,
+        action: "ingest_reprocess",
+        details: `from=${job.params.from}; to=${job.params.to}; planned=${job.plans.length}; applied=${result.applied}; locked=${result.locked_fields}; drifted=${result.drifted_fields}; failed=${result.failed}`,
+        ip
+      });
+    })
+    .catch((e) => {
+      job.status = "failed";
+      job.error = String(e?.message || e);
+      console.error("[reprocess-apply]", e);
+    })
+    .finally(() => {
+      reprocessApplyInFlight = false;
+    });
+
+  return res.status(202).json({ ok: true, job: reprocessJobPublic(job) });
+});
+
+async function runRawArchiveRetention() {
+  if (!RAW_ARCHIVE_RETENTION_DAYS) return;
+  try {
+    const deleted = await purgeRawIngestItems(RAW_ARCHIVE_RETENTION_DAYS);
+    if (deleted) console.log(`[raw-archive] purged ${deleted} items older than ${RAW_ARCHIVE_RETENTION_DAYS} days`);
+  } catch (e) {
+    console.error("[raw-archive] purge error:", e?.message || e);
+  }
+}
+
+// ======================
+// FireWatchCZ – duplicitní události (různá id, stejný zásah)
+// ======================
+// ESP a RSS (případně dva RSS kanály) občas hlásí tentýž zásah pod jiným id. Detektor
+// průběžně hledá páry blízko v čase i místě, oskóruje je a uloží do fronty. Admin pár
+// sloučí (jedna událost zůstane, druhá se stane aliasem) nebo označí jako různé.
+const DEDUP_MIN_SCORE = Math.max(0.1, Math.min(1, Number(process.env.FIREWATCH_DEDUP_MIN_SCORE || 0.6)));
+const DEDUP_WINDOW_MINUTES = Math.max(5, Math.min(720, Number(process.env.FIREWATCH_DEDUP_WINDOW_MINUTES || 90)));
+const DEDUP_SCAN_HOURS = Math.max(1, Math.min(24 * 30, Number(process.env.FIREWATCH_DEDUP_SCAN_HOURS || 72)));
+const DEDUP_MAX_DISTANCE_KM = 3;
+const DEDUP_INTERVAL_MS = Math.max(60 * 1000, Number(process.env.FIREWATCH_DEDUP_INTERVAL_MS || 10 * 60 * 1000));
+
+let duplicateScanInFlight = false;
+let lastDuplicateScan = null;
+
+// Ingest pod id, které už bylo sloučeno, zapisuje do cílové události.
+async function applyEventAliases(items) {
+  const aliases = await resolveEventAliases((items || []).map(it => it?.id));
+  if (!aliases.size) return items;
+  return items.map(it => (aliases.has(String(it.id)) ? { ...it, id: aliases.get(String(it.id)) } : it));
+}
+
+// Ingest dávka po přemapování aliasů: dvě položky (původní a sloučené id) můžou mířit na stejnou
+// kanonickou událost – zapíše se jen jednou, platí pozdější položka (stejně jako u duplicitního id).
+async function canonicalIngestItems(items) {
+  const aliased = await applyEventAliases(items);
+  const lastIndex = new Map();
+  aliased.forEach((it, i) => lastIndex.set(String(it.id), i));
+
+  const out = [];
+  const warnings = [];
+  aliased.forEach((it, i) => {
+    const keep = lastIndex.get(String(it.id));
+    if (keep === i) out.push(it);
+    else if (String(items[i].id) !== String(items[keep].id)) {
+      warnings.push({ index: null, id: String(items[i].id), issues: [ingestIssue("id", "duplicate_in_batch", `stejná událost ${it.id} jako pozdější položka ${items[keep].id} (sloučená id)`)] });
+    }
+  });
+  return { items: out, warnings };
+}
+
+function duplicateEventTimeMs(value) {
+  const ms = new Date(value || "").getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Skóre 0..1 a důvody (pro admin frontu). a/b = { ts, city_text, event_type, lat, lon }.
+function scoreDuplicatePair(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  const ta = duplicateEventTimeMs(a.ts);
+  const tb = duplicateEventTimeMs(b.ts);
+  if (ta != null && tb != null) {
+    const diffMin = Math.abs(ta - tb) / 60000;
+    if (diffMin > DEDUP_WINDOW_MINUTES) return { score: 0, reasons: [] };
+    score += 0.35 * (1 - diffMin / DEDUP_WINDOW_MINUTES);
+    reasons.push({ code: "time", minutes: Math.round(diffMin) });
+  }
+
+  const cityA = normalizePlaceKey(a.city_text);
+  const cityB = normalizePlaceKey(b.city_text);
+  if (cityA && cityA === cityB) {
+    score += 0.3;
+    reasons.push({ code: "same_city", city: a.city_text });
+  }
+
+  const typeA = String(a.event_type || "other");
+  const typeB = String(b.event_type || "other");
+  if (typeA === typeB) {
+    score += 0.15;
+    reasons.push({ code: "same_type", type: typeA });
+  } else if (typeA !== "other" && typeB !== "other") {
+    score -= 0.15;
+    reasons.push({ code: "different_type", a: typeA, b: typeB });
+  }
+
+  const hasCoords = [a.lat, a.lon, b.lat, b.lon].every(v => v != null && Number.isFinite(Number(v)));
+  if (hasCoords) {
+    const km = fwDistanceKm(Number(a.lat), Number(a.lon), Number(b.lat), Number(b.lon));
+    if (km <= 0.5) score += 0.2;
+    else if (km <= 2) score += 0.1;
+    else if (km > 5) score -= 0.2;
+    reasons.push({ code: "distance", km: Math.round(km * 10) / 10 });
+  }
+
+  return { score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)), reasons };
+}
+
+function duplicatePairSide(row, prefix) {
+  return {
+    id: row[`${prefix}_id`],
+    ts: row[`${prefix}_ts`],
+    city_text: row[`${prefix}_city_text`],
+    event_type: row[`${prefix}_event_type`],
+    lat: row[`${prefix}_lat`],
+    lon: row[`${prefix}_lon`]
+  };
+}
 
-    for (const it of items) {
-      if (!it?.id || !it?.title || !it?.link) continue;
+async function runDuplicateScan() {
+  if (duplicateScanInFlight) return lastDuplicateScan;
+  duplicateScanInFlight = true;
+  try {
+    const rows = await listDuplicateCandidatePairs({
+      sinceHours: DEDUP_SCAN_HOURS,
+      windowMinutes: DEDUP_WINDOW_MINUTES,
+      maxDistanceKm: DEDUP_MAX_DISTANCE_KM
+    });
+    const pairs = [];
+    for (const row of rows) {
+      const a = duplicatePairSide(row, "a");
+      const b = duplicatePairSide(row, "b");
+      const { score, reasons } = scoreDuplicatePair(a, b);
+      if (score >= DEDUP_MIN_SCORE) pairs.push({ a: a.id, b: b.id, score, reasons });
+    }
+    const saved = await upsertDuplicateCandidates(pairs);
+    lastDuplicateScan = { checked_at: new Date().toISOString(), examined: rows.length, candidates: pairs.length, saved };
+    if (pairs.length) console.log(`[dedup] ${pairs.length} candidate pair(s) from ${rows.length} examined`);
+    return lastDuplicateScan;
+  } catch (e) {
+    console.error("[dedup] scan error:", e?.message || e);
+    return lastDuplicateScan;
+  } finally {
+    duplicateScanInFlight = false;
+  }
+}
 
-      const prev = await getEventMeta(it.id);
+function duplicateQueueItem(row) {
+  const side = (prefix) => ({
+    id: row[`${prefix}_id`],
+    title: row[`${prefix}_title`],
+    link: row[`${prefix}_link`],
+    event_type: row[`${prefix}_event_type`],
+    city_text: row[`${prefix}_city_text`],
+    place_text: row[`${prefix}_place_text`],
+    status_text: row[`${prefix}_status_text`],
+    is_closed: row[`${prefix}_is_closed`],
+    pub_date: row[`${prefix}_pub_date`],
+    start_time_iso: row[`${prefix}_start_time_iso`],
+    lat: row[`${prefix}_lat`],
+    lon: row[`${prefix}_lon`],
+    source_kind: row[`${prefix}_source_kind`],
+    alarm_level: row[`${prefix}_alarm_level`],
+    first_seen_at: row[`${prefix}_first_seen_at`]
+  });
+  return {
+    id: row.id,
+    score: Number(row.score),
+    reasons: row.reasons || [],
+    status: row.status,
+    detected_at: row.detected_at,
+    updated_at: row.updated_at,
+    reviewed_at: row.reviewed_at,
+    reviewed_by: row.reviewed_by,
+    a: side("a"),
+    b: side("b")
+  };
+}
 
-      const eventType = it.eventType || classifyType(it.title);
-      const desc = it.descriptionRaw || it.descRaw || it.description || "";
-      const times = parseTimesFromDescription(desc);
+app.get("/api/admin/duplicates", requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.query?.status || "pending");
+    if (!["pending", "dismissed", "merged"].includes(status)) return res.status(400).json({ ok: false, error: "invalid_status" });
+    const rows = await listDuplicateQueue({ status, limit: Number(req.query?.limit || 100) });
+    return res.json({
+      ok: true,
+      status,
+      min_score: DEDUP_MIN_SCORE,
+      window_minutes: DEDUP_WINDOW_MINUTES,
+      last_scan: lastDuplicateScan,
+      items: rows.map(duplicateQueueItem)
+    });
+  } catch (e) {
+    console.error("[duplicates-list]", e);
+    return res.status(500).json({ ok: false, error: "duplicates_list_failed", detail: String(e?.message || e) });
+  }
+});
 
-// --- Server-side status intelligence ---
-// ESP zůstává jen zdroj dat; server umí opravit stav podle textu/detailu.
-// Explicitní "probíhá zásah" má prioritu a dokáže znovu otevřít dříve mylně ukončenou událost.
-const statusAnalysis = analyzeStatusFromText({
-  statusText: it.statusText || it.status_text || "",
-  description: desc,
-  title: it.title || ""
+app.post("/api/admin/duplicates/scan", requireAdmin, async (req, res) => {
+  try {
+    if (duplicateScanInFlight) return res.status(409).json({ ok: false, error: "duplicate_scan_in_progress" });
+    const result = await runDuplicateScan();
+    return res.json({ ok: true, scan: result });
+  } catch (e) {
+    console.error("[duplicates-scan]", e);
+    return res.status(500).json({ ok: false, error: "duplicates_scan_failed", detail: String(e?.message || e) });
+  }
 });
 
-let isClosed = false;
-if (statusAnalysis.source === "explicit_open") {
-  isClosed = false;
-} else if (statusAnalysis.source === "explicit_closed") {
-  isClosed = true;
-} else {
-  const statusLower = String(it.statusText || it.status_text || "").toLowerCase();
-  isClosed = !!(
-    it.isClosed === true ||
-    it.is_closed === true ||
-    (statusLower.includes("ukon") && statusLower.includes("stav")) ||
-    statusLower.includes("ukončen") ||
-    statusLower.includes("ukonc") ||
-    times.isClosed
-  );
-}
+// body: { keep: "<id>" } – která z dvojice zůstane; druhá se do ní sloučí.
+app.post("/api/admin/duplicates/:id/merge", requireAdmin, async (req, res) => {
+  try {
+    const cand = await getDuplicateCandidate(req.params.id);
+    if (!cand) return res.status(404).json({ ok: false, error: "candidate_not_found" });
+    if (cand.status !== "pending") return res.status(409).json({ ok: false, error: "candidate_not_pending", status: cand.status });
 
-// start / end timestamps podle finální logiky ESP/RSS:
-// začátek = pubDate z ESP/RSS, konec = "ukončení:" z RSS description.
-// Když konec v RSS není, použijeme okamžik, kdy FireWatch zjistí přechod aktivní -> ukončená.
-const rssStartIso = eventStartIsoFromEspRss(it, times);
+    const keep = String(req.body?.keep || "");
+    if (![cand.event_a, cand.event_b].includes(keep)) return res.status(400).json({ ok: false, error: "invalid_keep" });
+    const drop = keep === cand.event_a ? cand.event_b : cand.event_a;
 
-const startIso =
-  it.startTimeIso ||
-  times.startIso ||
-  rssStartIso ||
-  prev?.start_time_iso ||
-  null;
+    const actor = requestActor(req);
+    const result = await mergeEvents(keep, drop, { actor });
 
-let endIso =
-  it.endTimeIso ||
-  times.endIso ||
-  null;
+    await insertAudit({
+      userId: actor.userId,
+      username: actor.username,
+      action: "event_merge",
+      details: `keep=${keep}; drop=${drop}; score=${cand.score}; filled=${result.filled.join(",") || "-"}`,
+      ip: getClientIp(req)
+    });
+
+    publishLiveEventChanges([{ id: keep, kind: "updated" }, { id: drop, kind: "updated" }]);
+    return res.json({ ok: true, keep, drop, filled: result.filled, locked: result.locked });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ ok: false, error: String(e.message) });
+    console.error("[duplicates-merge]", e);
+    return res.status(500).json({ ok: false, error: "duplicates_merge_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/duplicates/:id/dismiss", requireAdmin, async (req, res) => {
+  try {
+    const cand = await getDuplicateCandidate(req.params.id);
+    if (!cand) return res.status(404).json({ ok: false, error: "candidate_not_found" });
+    if (cand.status !== "pending") return res.status(409).json({ ok: false, error: "candidate_not_pending", status: cand.status });
+
+    const actor = requestActor(req);
+    await setDuplicateCandidateStatus(cand.id, "dismissed", actor.username);
+    await insertAudit({
+      userId: actor.userId,
+      username: actor.username,
+      action: "event_duplicate_dismiss",
+      details: `a=${cand.event_a}; b=${cand.event_b}; score=${cand.score}`,
+      ip: getClientIp(req)
+    });
 
-const wasKnownOpen = !!(prev && prev.is_closed === false && prev.status_source === "explicit_open");
-const closingKnownOpen = isClosed && wasKnownOpen;
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[duplicates-dismiss]", e);
+    return res.status(500).json({ ok: false, error: "duplicates_dismiss_failed", detail: String(e?.message || e) });
+  }
+});
 
-let durationMin = null;
-let durationSource = null;
+// ======================
+// FireWatchCZ – shluky souvisejících událostí (incident clusters)
+// ======================
+// Velký zásah nebo vichřice se v RSS rozpadne na řadu položek v sousedních obcích během pár
+// minut. Shlukovač řetězově spojí události stejného typu, které jsou od sebe nejvýš
+// CLUSTER_RADIUS_KM a CLUSTER_GAP_MINUTES, a uloží shluky s aspoň CLUSTER_MIN_EVENTS členy.
+// Hustá vlna technických pomocí (STORM_BURST_*) je "bouřková" a porovná se s počasím
+// v regionálních zónách (stejná Open-Meteo cache jako karta počasí).
+const CLUSTER_RADIUS_KM = Math.max(1, Math.min(50, Number(process.env.FIREWATCH_CLUSTER_RADIUS_KM || 6)));
+const CLUSTER_GAP_MINUTES = Math.max(5, Math.min(360, Number(process.env.FIREWATCH_CLUSTER_GAP_MINUTES || 45)));
+const CLUSTER_MIN_EVENTS = Math.max(2, Math.min(50, Number(process.env.FIREWATCH_CLUSTER_MIN_EVENTS || 3)));
+const CLUSTER_LOOKBACK_HOURS = Math.max(6, Math.min(24 * 14, Number(process.env.FIREWATCH_CLUSTER_LOOKBACK_HOURS || 48)));
+const CLUSTER_INTERVAL_MS = Math.max(60 * 1000, Number(process.env.FIREWATCH_CLUSTER_INTERVAL_MS || 5 * 60 * 1000));
+const STORM_BURST_MIN_EVENTS = Math.max(3, Math.min(100, Number(process.env.FIREWATCH_STORM_BURST_MIN_EVENTS || 5)));
+const STORM_BURST_WINDOW_MINUTES = Math.max(30, Math.min(720, Number(process.env.FIREWATCH_STORM_BURST_WINDOW_MINUTES || 120)));
+const STORM_BURST_TYPES = ["tech"];
+const STORM_SUBTYPES = ["storm", "water"];
+
+let clusteringInFlight = false;
+let lastClustering = null;
+
+// Konvexní obal (monotone chain) nad [lat, lon]; méně než 3 různé body vrací tak, jak jsou.
+function convexHullLatLon(points) {
+  const uniq = [...new Map(points.map(p => [`${p[0].toFixed(5)},${p[1].toFixed(5)}`, p])).values()]
+    .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+  if (uniq.length < 3) return uniq;
+
+  const cross = (o, a, b) => (a[1] - o[1]) * (b[0] - o[0]) - (a[0] - o[0]) * (b[1] - o[1]);
+  const lower = [];
+  for (const p of uniq) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (const p of [...uniq].reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
 
-// 1) Pokud ESP někdy pošle délku explicitně, přijmeme ji.
-if (Number.isFinite(it.durationMin)) {
-  const candidate = Math.round(it.durationMin);
-  durationMin = (candidate > 0 && candidate <= MAX_DURATION_MINUTES) ? candidate : null;
-  if (durationMin != null) durationSource = "esp_duration";
+// Nejvíc členů v libovolném okně STORM_BURST_WINDOW_MINUTES (members seřazené podle času).
+function clusterPeakEvents(members) {
+  const windowMs = STORM_BURST_WINDOW_MINUTES * 60000;
+  let peak = 0;
+  let from = 0;
+  for (let i = 0; i < members.length; i++) {
+    while (members[i].ms - members[from].ms > windowMs) from++;
+    peak = Math.max(peak, i - from + 1);
+  }
+  return peak;
 }
 
-// 2) Nejlepší přesnost: RSS obsahuje "ukončení:".
-// Délka = ukončení z RSS - pubDate z RSS.
-if (durationMin == null && isClosed && endIso) {
-  durationMin = safeDurationFromStartEnd(rssStartIso || startIso, endIso);
-  if (durationMin != null) durationSource = "rss_end_time";
+function summarizeIncidentCluster(members) {
+  const n = members.length;
+  const centerLat = members.reduce((a, m) => a + m.lat, 0) / n;
+  const centerLon = members.reduce((a, m) => a + m.lon, 0) / n;
+  const radius = Math.max(...members.map(m => fwDistanceKm(centerLat, centerLon, m.lat, m.lon)));
+  const type = members[0].event_type || "other";
+  const peak = clusterPeakEvents(members);
+  const stormSubtypes = members.filter(m => STORM_SUBTYPES.includes(m.event_subtype)).length;
+
+  return {
+    id: `CL_${members[0].id}`,
+    event_type: type,
+    event_count: n,
+    event_ids: members.map(m => String(m.id)),
+    started_at: new Date(members[0].ms).toISOString(),
+    last_event_at: new Date(members[n - 1].ms).toISOString(),
+    center_lat: Math.round(centerLat * 1e6) / 1e6,
+    center_lon: Math.round(centerLon * 1e6) / 1e6,
+    radius_km: Math.round(radius * 10) / 10,
+    hull: convexHullLatLon(members.map(m => [m.lat, m.lon])),
+    cities: [...new Set(members.map(m => m.city_text || m.place_text).filter(Boolean))].slice(0, 20),
+    storm_like: (STORM_BURST_TYPES.includes(type) && peak >= STORM_BURST_MIN_EVENTS) || stormSubtypes * 2 >= n,
+    peak_events: peak,
+    weather_zones: [...new Set(members.map(m => assignEventToWeatherZone(m).zone.id))],
+    weather: null
+  };
 }
 
-// 3) Bez "ukončení:" fallback jen při bezpečném přechodu aktivní -> ukončená.
-// Délka = čas zjištění ukončení - pubDate z RSS.
-if (durationMin == null && isClosed && closingKnownOpen) {
-  if (!endIso) endIso = new Date().toISOString();
-  durationMin = safeDurationFromStartEnd(rssStartIso || startIso, endIso);
-  if (durationMin != null) durationSource = "close_update";
+// Single-linkage přes union-find; kořen = nejstarší člen, takže id shluku drží i při růstu.
+function buildIncidentClusters(rows) {
+  const items = rows
+    .map(r => ({ ...r, ms: new Date(r.ts || "").getTime(), lat: Number(r.lat), lon: Number(r.lon) }))
+    .filter(x => Number.isFinite(x.ms) && Number.isFinite(x.lat) && Number.isFinite(x.lon))
+    .sort((a, b) => a.ms - b.ms || String(a.id).localeCompare(String(b.id)));
+
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const gapMs = CLUSTER_GAP_MINUTES * 60000;
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i - 1; j >= 0 && items[i].ms - items[j].ms <= gapMs; j--) {
+      if ((items[i].event_type || "other") !== (items[j].event_type || "other")) continue;
+      if (fwDistanceKm(items[i].lat, items[i].lon, items[j].lat, items[j].lon) > CLUSTER_RADIUS_KM) continue;
+      const a = find(i);
+      const b = find(j);
+      if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((it, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(it);
+  });
+
+  return [...groups.values()]
+    .filter(g => g.length >= CLUSTER_MIN_EVENTS)
+    .map(summarizeIncidentCluster);
 }
 
-// 4) Událost přišla rovnou ukončená bez času ukončení = délka zůstane neznámá.
-if (!isClosed) {
-  endIso = null;
-  durationMin = null;
-  durationSource = null;
+function pragueHourKey(value) {
+  const day = pragueDateKey(value);
+  return day ? `${day}T${String(pragueHour(value)).padStart(2, "0")}` : "";
 }
 
-      const placeText = it.placeText || null;
-      const cityFromDesc = extractCityFromDescription(desc);
-      const cityFromTitle = extractCityFromTitle(it.title);
-      const districtFromDesc = extractDistrictFromDescription(desc);
+// Počasí v zónách shluku v době vlny (±1 h): bouřka, nárazy větru, srážky.
+async function clusterWeatherCheck(cluster) {
+  const fromKey = pragueHourKey(new Date(cluster.started_at).getTime() - 60 * 60 * 1000);
+  const toKey = pragueHourKey(new Date(cluster.last_event_at).getTime() + 60 * 60 * 1000);
+  const zones = [];
 
-      const major = analyzeMajorEvent(it, desc);
+  for (const zoneId of cluster.weather_zones) {
+    const zone = FIREWATCH_WEATHER_ZONES.find(z => z.id === zoneId);
+    if (!zone) continue;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const hourly = (await fetchCachedZoneWeather(zone)).hourly || {};
+      const idx = (hourly.time || [])
+        .map((t, i) => [String(t).slice(0, 13), i])
+        .filter(([key]) => key >= fromKey && key <= toKey)
+        .map(([, i]) => i);
+      const pick = (key) => idx.map(i => Number(hourly[key]?.[i])).filter(Number.isFinite);
+      zones.push({
+        id: zone.id,
+        name: zone.name,
+        available: idx.length > 0,
+        storm: pick("weather_code").some(c => [95, 96, 99].includes(c)),
+        max_gust_kmh: Math.round(Math.max(0, ...pick("wind_gusts_10m"))),
+        rain_mm: Math.round(pick("precipitation").reduce((a, b) => a + b, 0) * 10) / 10
+      });
+    } catch (e) {
+      zones.push({ id: zone.id, name: zone.name, available: false, error: String(e?.message || e) });
+    }
+  }
 
-      const cityText =
-        it.cityText ||
-        cityFromDesc ||
-        (!placeText ? cityFromTitle : (isDistrictPlace(placeText) ? cityFromTitle : placeText)) ||
-        null;
+  const factors = [];
+  if (zones.some(z => z.storm)) factors.push("bouřka");
+  if (zones.some(z => z.max_gust_kmh >= 50)) factors.push("silné nárazy větru");
+  if (zones.some(z => z.rain_mm >= 5)) factors.push("výrazné srážky");
 
-      const ev = {
-        id: it.id,
-        title: it.title,
-        link: it.link,
-        pubDate: it.pubDate || null,
-        placeText,
-        cityText,
-        statusText: statusAnalysis.label || it.statusText || null,
-        eventType,
-        descriptionRaw: desc || null,
-        startTimeIso: startIso,
-        endTimeIso: endIso,
-        durationMin,
-        durationSource,
-        isClosed,
-        alarmLevel: major.alarmLevel,
-        alarmLevelText: major.alarmLevelText,
-        isMajorEvent: major.isMajorEvent,
-        majorReason: major.majorReason,
-        statusSource: statusAnalysis.source
-      };
+  return {
+    checked_at: new Date().toISOString(),
+    confirmed: factors.length > 0,
+    available: zones.some(z => z.available),
+    factors,
+    zones
+  };
+}
 
-      await upsertEvent(ev);
-      accepted++;
-      if (prev) updated++; else inserted++;
+async function runIncidentClustering() {
+  if (clusteringInFlight) return lastClustering;
+  clusteringInFlight = true;
+  try {
+    const rows = await listEventsForClustering({ sinceHours: CLUSTER_LOOKBACK_HOURS });
+    const clusters = buildIncidentClusters(rows);
+    for (const c of clusters) {
+      // eslint-disable-next-line no-await-in-loop
+      if (c.storm_like) c.weather = await clusterWeatherCheck(c);
+    }
 
-      if (ev.isClosed) updatedClosed++;
+    const saved = await saveIncidentClusters({ clusters, examinedIds: rows.map(r => String(r.id)) });
 
-      const geoQueries = buildGeocodeQueriesForEvent(ev, districtFromDesc);
+    // Změna příslušnosti ke shluku = změna řádku události pro živé klienty.
+    const clusterOf = new Map(clusters.flatMap(c => c.event_ids.map(id => [id, c.id])));
+    const moved = rows.filter(r => (clusterOf.get(String(r.id)) || null) !== (r.incident_cluster_id || null));
+    if (moved.length) publishLiveEventChanges(moved.map(r => ({ id: r.id, kind: "updated" })));
 
-      let fixed = false;
-      for (const q of geoQueries) {
-        const g = await geocodePlace(q);
-        if (g) {
-          await updateEventCoords(ev.id, g.lat, g.lon);
-          geocoded++;
-          fixed = true;
-          break;
-        }
-      }
-      if (!fixed && (ev.cityText || ev.placeText)) {
-        // nic
-      }
+    lastClustering = {
+      checked_at: new Date().toISOString(),
+      examined: rows.length,
+      clusters: clusters.length,
+      storm_like: clusters.filter(c => c.storm_like).length,
+      moved: moved.length,
+      ...saved
+    };
+    if (moved.length || saved.removed) {
+      for (const client of liveClients) liveSend(client, "clusters_changed", lastClustering);
     }
+    return lastClustering;
+  } catch (e) {
+    console.error("[clusters] run error:", e?.message || e);
+    return lastClustering;
+  } finally {
+    clusteringInFlight = false;
+  }
+}
 
-    await insertIngestLog({
-      source: source || "unknown",
-      sourceKind: "esp",
-      receivedCount: items.length,
-      acceptedCount: accepted,
-      newCount: inserted,
-      updatedCount: updated,
-      closedCount: updatedClosed,
-      geocodedCount: geocoded,
-      ip: getClientIp(req),
-      userAgent: req.get("user-agent") || null
-    });
+function incidentClusterItem(row) {
+  const type = row.event_type || "other";
+  return {
+    id: row.id,
+    event_type: type,
+    type_label: typeLabel(type),
+    label: row.storm_like ? "Bouřková vlna" : `Shluk – ${typeLabel(type)}`,
+    event_count: Number(row.event_count || 0),
+    open_count: Number(row.open_count || 0),
+    started_at: row.started_at,
+    last_event_at: row.last_event_at,
+    center: { lat: row.center_lat, lon: row.center_lon },
+    radius_km: row.radius_km,
+    hull: row.hull || [],
+    cities: row.cities || [],
+    storm_like: !!row.storm_like,
+    peak_events: row.peak_events,
+    weather_zones: (row.weather_zones || []).map(id => ({ id, name: FIREWATCH_WEATHER_ZONES.find(z => z.id === id)?.name || id })),
+    weather: row.weather || null,
+    events: row.events || []
+  };
+}
 
-    res.json({
+// Veřejné: hours = jak daleko zpět (poslední událost shluku), storm=1 jen bouřkové, active=1 jen s aktivní událostí.
+app.get("/api/clusters", async (req, res) => {
+  try {
+    const hours = Math.max(1, Math.min(24 * 14, Number(req.query?.hours || 24)));
+    const rows = await listIncidentClusters({
+      sinceHours: hours,
+      stormOnly: isTruthyFlag(req.query?.storm),
+      activeOnly: isTruthyFlag(req.query?.active),
+      limit: Number(req.query?.limit || 50)
+    });
+    return res.json({
       ok: true,
-      source: source || "unknown",
-      accepted,
-      inserted,
-      updated,
-      closed_seen_in_batch: updatedClosed,
-      geocoded
+      hours,
+      params: {
+        radius_km: CLUSTER_RADIUS_KM,
+        gap_minutes: CLUSTER_GAP_MINUTES,
+        min_events: CLUSTER_MIN_EVENTS,
+        storm_burst_min_events: STORM_BURST_MIN_EVENTS,
+        storm_burst_window_minutes: STORM_BURST_WINDOW_MINUTES
+      },
+      last_run: lastClustering,
+      items: rows.map(incidentClusterItem)
     });
   } catch (e) {
-    console.error(e);
-    try {
-      await insertIngestLog({
-        source: req.body?.source || "unknown",
-        sourceKind: "esp",
-        receivedCount: Array.isArray(req.body?.items) ? req.body.items.length : 0,
-        errorText: e?.message || String(e),
-        ip: getClientIp(req),
-        userAgent: req.get("user-agent") || null
-      });
-    } catch {}
-    res.status(500).json({ ok: false, error: "server error" });
+    console.error("[clusters-list]", e);
+    return res.status(500).json({ ok: false, error: "clusters_list_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.get("/api/clusters/:id", async (req, res) => {
+  try {
+    const row = await getIncidentCluster(String(req.params.id));
+    if (!row) return res.status(404).json({ ok: false, error: "cluster_not_found" });
+    return res.json({ ok: true, cluster: incidentClusterItem(row) });
+  } catch (e) {
+    console.error("[clusters-get]", e);
+    return res.status(500).json({ ok: false, error: "cluster_get_failed", detail: String(e?.message || e) });
   }
 });
 
+app.post("/api/admin/clusters/recompute", requireAdmin, async (req, res) => {
+  try {
+    if (clusteringInFlight) return res.status(409).json({ ok: false, error: "clustering_in_progress" });
+    const result = await runIncidentClustering();
+    await insertAudit({
+      userId: req.auth?.user?.id || null,
+      username: req.auth?.user?.username || null,
+      action: "incident_clusters_recompute",
+      details: `examined=${result?.examined ?? 0}; clusters=${result?.clusters ?? 0}; storm_like=${result?.storm_like ?? 0}`,
+      ip: getClientIp(req)
+    });
+    return res.json({ ok: true, run: result });
+  } catch (e) {
+    console.error("[clusters-recompute]", e);
+    return res.status(500).json({ ok: false, error: "clusters_recompute_failed", detail: String(e?.message || e) });
+  }
+});
 
 
 function alarmLevelTextFromManual(level) {
@@ -3165,6 +6539,7 @@ function computeManualDurationMin(startIso, endIso, isClosed) {
 
 // ---------------- MAJOR EVENTS BACKFILL ----------------
 
+// Dílčí oprava jen stavů – obecnou náhradou je /api/admin/reprocess (přehrání surového archivu).
 app.post("/api/admin/recheck-event-statuses", requireAdmin, async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(Number(req.body?.limit || req.query?.limit || 5000), 20000));
@@ -3174,6 +6549,7 @@ app.post("/api/admin/recheck-event-statuses", requireAdmin, async (req, res) =>
     let changed = 0;
     let reopened = 0;
     let closed = 0;
+    let locked = 0;
 
     for (const row of rows) {
       scanned++;
@@ -3183,21 +6559,33 @@ app.post("/api/admin/recheck-event-statuses", requireAdmin, async (req, res) =>
         title: row.title || ""
       });
 
-      if (status.source === "unknown") continue;
+      if (status.source === "unknown" && !status.phase) continue;
 
+      // Mezifáze (lokalizace, likvidace) mění jen fázi a text stavu, otevřeno/ukončeno nechá být.
+      const decides = status.source !== "unknown";
       const shouldClosed = status.isClosed === true;
       const oldClosed = row.is_closed === true;
       const oldSource = String(row.status_source || "");
 
-      if (oldClosed !== shouldClosed || oldSource !== status.source || String(row.status_text || "") !== String(status.label || "")) {
-        await updateEventStatusFromRecheck(row.id, {
-          isClosed: shouldClosed,
-          statusSource: status.source,
-          statusText: status.label || null
-        });
+      if (
+        (decides && (oldClosed !== shouldClosed || oldSource !== status.source)) ||
+        String(row.status_text || "") !== String(status.label || "") ||
+        String(row.status_phase || "") !== String(status.phase || "")
+      ) {
+        const applied = await updateEventStatusFromRecheck(row.id, {
+          isClosed: decides ? shouldClosed : null,
+          statusSource: decides ? status.source : null,
+          statusText: status.label || null,
+          statusPhase: status.phase
+        }, { actor: requestActor(req) });
+        // Stav zamčený ruční úpravou (vyšší priorita zdroje) recheck nepřepíše.
+        if (!applied) {
+          locked++;
+          continue;
+        }
         changed++;
-        if (!shouldClosed) reopened++;
-        if (shouldClosed) closed++;
+        if (decides && !shouldClosed) reopened++;
+        if (decides && shouldClosed) closed++;
       }
     }
 
@@ -3205,11 +6593,11 @@ app.post("/api/admin/recheck-event-statuses", requireAdmin, async (req, res) =>
       userId: req.auth?.user?.id || null,
       username: req.auth?.user?.username || null,
       action: "recheck_event_statuses",
-      details: `scanned=${scanned}; changed=${changed}; reopened=${reopened}; closed=${closed}`,
+      details: `scanned=${scanned}; changed=${changed}; reopened=${reopened}; closed=${closed}; locked=${locked}`,
       ip: getClientIp(req)
     });
 
-    return res.json({ ok: true, scanned, changed, reopened, closed });
+    return res.json({ ok: true, scanned, changed, reopened, closed, locked });
   } catch (e) {
     console.error("[recheck-event-statuses]", e);
     return res.status(500).json({ ok: false, error: "recheck_event_statuses_failed", detail: String(e?.message || e) });
@@ -3217,6 +6605,7 @@ app.post("/api/admin/recheck-event-statuses", requireAdmin, async (req, res) =>
 });
 
 
+// Dílčí oprava jen stupňů poplachu – obecnou náhradou je /api/admin/reprocess.
 app.post("/api/admin/major-events/backfill", requireAdmin, async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(Number(req.body?.limit || req.query?.limit || 5000), 20000));
@@ -3255,7 +6644,8 @@ app.post("/api/admin/major-events/backfill", requireAdmin, async (req, res) => {
         alarmLevelText: analysis.alarmLevelText,
         isMajorEvent: analysis.isMajorEvent,
         majorReason: analysis.majorReason,
-        statusSource
+        statusSource,
+        statusPhase: statusAnalysis.phase
       };
 
       const changed =
@@ -3269,7 +6659,7 @@ app.post("/api/admin/major-events/backfill", requireAdmin, async (req, res) => {
 
       if (!changed) continue;
 
-      await updateEventMajorAnalysis(row.id, patch);
+      await updateEventMajorAnalysis(row.id, patch, { actor: requestActor(req) });
       updated++;
 
       if (patch.isMajorEvent) {
@@ -3313,6 +6703,49 @@ app.post("/api/admin/major-events/backfill", requireAdmin, async (req, res) => {
   }
 });
 
+// Zpětné doplnění časů lokalizace / likvidace z uložených popisů (starší události před parsováním fází).
+let phaseTimesBackfillInFlight = false;
+
+app.post("/api/admin/phase-times/backfill", requireAdmin, async (req, res) => {
+  if (phaseTimesBackfillInFlight) return res.status(409).json({ ok: false, error: "phase_times_backfill_in_progress" });
+  phaseTimesBackfillInFlight = true;
+  try {
+    const limit = Math.max(1, Math.min(Number(req.body?.limit || req.query?.limit || 5000), 20000));
+    const rows = await listEventsForMajorBackfill(limit);
+
+    let scanned = 0;
+    let withTimes = 0;
+    let written = 0;
+
+    for (const row of rows) {
+      scanned++;
+      const times = parseTimesFromDescription(row.description_raw || "", {
+        referenceIso: row.start_time_iso || row.pub_date || null
+      });
+      const phaseTimes = descriptionPhaseTimes(times);
+      if (!Object.keys(phaseTimes).length) continue;
+      withTimes++;
+      // eslint-disable-next-line no-await-in-loop
+      written += await backfillEventPhaseTimes(row.id, phaseTimes, "recheck");
+    }
+
+    await insertAudit({
+      userId: req.auth?.user?.id || null,
+      username: req.auth?.user?.username || null,
+      action: "phase_times_backfill",
+      details: `scanned=${scanned}; withTimes=${withTimes}; written=${written}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: true, scanned, withTimes, written });
+  } catch (e) {
+    console.error("[phase-times-backfill]", e);
+    return res.status(500).json({ ok: false, error: "phase_times_backfill_failed", detail: String(e?.message || e) });
+  } finally {
+    phaseTimesBackfillInFlight = false;
+  }
+});
+
 app.get("/api/admin/major-events", requireAdmin, async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(Number(req.query?.limit || 50), 200));
@@ -3349,77 +6782,310 @@ app.post("/api/admin/repair-closed-times", requireAdmin, async (req, res) => {
 
 
 
-app.post("/api/admin/clear-observed-durations", requireAdmin, async (req, res) => {
+app.post("/api/admin/clear-observed-durations", requireAdmin, async (req, res) => {
+  try {
+    const rows = await clearObservedDurations({
+      limit: Number(req.body?.limit || req.query?.limit || 10000)
+    });
+
+    await insertAudit({
+      userId: req.auth?.user?.id || null,
+      username: req.auth?.user?.username || null,
+      action: "clear_observed_durations",
+      details: `cleared=${rows.length}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: true, cleared: rows.length, rows });
+  } catch (e) {
+    console.error("[clear-observed-durations]", e);
+    return res.status(500).json({ ok: false, error: "clear_observed_durations_failed", detail: String(e?.message || e) });
+  }
+});
+
+
+app.post("/api/admin/recompute-observed-durations", requireAdmin, async (req, res) => {
+  try {
+    const rows = await recomputeObservedDurationsForClosedEvents({
+      limit: Number(req.body?.limit || req.query?.limit || 1000)
+    });
+
+    await insertAudit({
+      userId: req.auth?.user?.id || null,
+      username: req.auth?.user?.username || null,
+      action: "recompute_observed_durations",
+      details: `recomputed=${rows.length}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: true, recomputed: rows.length, rows });
+  } catch (e) {
+    console.error("[recompute-observed-durations]", e);
+    return res.status(500).json({ ok: false, error: "recompute_observed_durations_failed", detail: String(e?.message || e) });
+  }
+});
+
+
+app.post("/api/admin/clear-bogus-durations", requireAdmin, async (req, res) => {
+  try {
+    const rows = await clearEstimatedDurationsForAlreadyClosedEvents({
+      maxMinutes: Number(req.body?.maxMinutes || req.query?.maxMinutes || 20)
+    });
+
+    await insertAudit({
+      userId: req.auth?.user?.id || null,
+      username: req.auth?.user?.username || null,
+      action: "clear_bogus_durations",
+      details: `cleared=${rows.length}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: true, cleared: rows.length, rows });
+  } catch (e) {
+    console.error("[clear-bogus-durations]", e);
+    return res.status(500).json({ ok: false, error: "clear_bogus_durations_failed", detail: String(e?.message || e) });
+  }
+});
+
+
+// ======================
+// Spolehlivost délek zásahů (skóre 0–100) + fronta podezřelých délek
+// ======================
+// Skóre = důvěra zdroje délky − penalizace za mezeru mezi posledním výskytem a koncem
+// a za odlehlou hodnotu vůči typu (a typu v daném městě). Hodnotí se uzavřené s délkou.
+const DURATION_MIN_CONFIDENCE = Math.max(1, Math.min(100, Number(process.env.FIREWATCH_DURATION_MIN_CONFIDENCE || 50)));
+const DURATION_SCORE_INTERVAL_MS = Math.max(5 * 60 * 1000, Number(process.env.FIREWATCH_DURATION_SCORE_INTERVAL_MS || 30 * 60 * 1000));
+const DURATION_SCORE_DAYS = Math.max(30, Math.min(3650, Number(process.env.FIREWATCH_DURATION_SCORE_DAYS || 365)));
+const DURATION_SCORE_CHUNK = 2000;
+
+const DURATION_SOURCE_CONFIDENCE = {
+  manual: 95,
+  esp_duration: 90,
+  rss_end_time: 85,
+  close_update: 70,
+  observed_first_seen_to_close_update: 55,
+  estimated_close_seen: 45,
+  estimated_stale_close: 35
+};
+const DURATION_SOURCE_CONFIDENCE_DEFAULT = 50;
+
+// Robustní z-skóre nad logaritmem délky (délky zásahů jsou silně zešikmené).
+const DURATION_OUTLIER_Z = 3.5;
+const DURATION_OUTLIER_MIN_TYPE = 20;
+const DURATION_OUTLIER_MIN_CITY = 10;
+
+function durationGroupKeys(row) {
+  const type = row.event_type || "other";
+  const city = normalizePlaceKey(row.city_text || row.place_text || "");
+  return { type: `t:${type}`, city: city ? `c:${type}|${city}` : null };
+}
+
+function robustLogStats(values) {
+  const logs = values.map(v => Math.log(v)).sort((a, b) => a - b);
+  const mid = (arr) => {
+    const m = Math.floor(arr.length / 2);
+    return arr.length % 2 ? arr[m] : (arr[m - 1] + arr[m]) / 2;
+  };
+  const median = mid(logs);
+  const mad = mid(logs.map(x => Math.abs(x - median)).sort((a, b) => a - b));
+  return { n: logs.length, median, mad };
+}
+
+function buildDurationGroups(rows) {
+  const values = new Map();
+  for (const row of rows) {
+    const d = Number(row.duration_min);
+    if (!row.is_closed || !Number.isFinite(d) || d <= 0) continue;
+    const keys = durationGroupKeys(row);
+    for (const key of [keys.type, keys.city]) {
+      if (!key) continue;
+      if (!values.has(key)) values.set(key, []);
+      values.get(key).push(d);
+    }
+  }
+  return new Map([...values.entries()].map(([key, list]) => [key, robustLogStats(list)]));
+}
+
+function durationOutlierZ(stats, minN, d) {
+  if (!stats || stats.n < minN || !stats.mad) return 0;
+  return (0.6745 * (Math.log(d) - stats.median)) / stats.mad;
+}
+
+// { confidence, reasons } – reasons jsou kódy oddělené čárkou (popisky má UI).
+function scoreDurationConfidence(row, groups) {
+  const d = Number(row.duration_min);
+  if (!row.is_closed || !Number.isFinite(d) || d <= 0) return { confidence: null, reasons: null };
+  if (row.duration_reviewed_min != null && Number(row.duration_reviewed_min) === d) return { confidence: 100, reasons: "reviewed" };
+
+  const source = String(row.duration_source || "");
+  let score = DURATION_SOURCE_CONFIDENCE[source] ?? DURATION_SOURCE_CONFIDENCE_DEFAULT;
+  const reasons = [`source:${source || "unknown"}`];
+
+  // Konec po posledním výskytu = konec nikdo neviděl; výskyty dlouho po konci = konec nesedí se zdrojem.
+  const end = Date.parse(row.end_time_iso || "");
+  const seen = row.last_seen_at ? new Date(row.last_seen_at).getTime() : NaN;
+  if (!Number.isFinite(end)) {
+    score -= 10;
+    reasons.push("end_missing");
+  } else if (Number.isFinite(seen)) {
+    const gapMin = (end - seen) / 60000;
+    if (gapMin > 60) {
+      score -= 30;
+      reasons.push("end_after_last_seen");
+    } else if (gapMin > 15) {
+      score -= 15;
+      reasons.push("end_after_last_seen");
+    } else if (gapMin < -12 * 60) {
+      score -= 10;
+      reasons.push("seen_long_after_end");
+    }
+  }
+
+  if (d < 3) {
+    score -= 20;
+    reasons.push("very_short");
+  }
+
+  const keys = durationGroupKeys(row);
+  const zType = durationOutlierZ(groups.get(keys.type), DURATION_OUTLIER_MIN_TYPE, d);
+  if (Math.abs(zType) > DURATION_OUTLIER_Z) {
+    score -= 25;
+    reasons.push(zType > 0 ? "outlier_type_long" : "outlier_type_short");
+  }
+  const zCity = keys.city ? durationOutlierZ(groups.get(keys.city), DURATION_OUTLIER_MIN_CITY, d) : 0;
+  if (Math.abs(zCity) > DURATION_OUTLIER_Z) {
+    score -= 15;
+    reasons.push(zCity > 0 ? "outlier_city_long" : "outlier_city_short");
+  }
+
+  return { confidence: Math.max(0, Math.min(100, Math.round(score))), reasons: reasons.join(",") };
+}
+
+// Pro reporty / PRO statistiky: délky pod prahem se berou jako neznámé.
+function withReliableDurations(rows, minConfidence = DURATION_MIN_CONFIDENCE) {
+  return rows.map(r => (r.is_closed && r.duration_confidence != null && Number(r.duration_confidence) < minConfidence
+    ? { ...r, duration_min: null, duration_excluded: true }
+    : r));
+}
+
+let durationScoringInFlight = false;
+let lastDurationScoring = null;
+
+async function runDurationScoring() {
+  if (durationScoringInFlight) return lastDurationScoring;
+  durationScoringInFlight = true;
+  const startedAt = Date.now();
+  try {
+    const rows = await listDurationsForScoring({ sinceDays: DURATION_SCORE_DAYS });
+    const groups = buildDurationGroups(rows);
+    const changes = [];
+    let low = 0;
+    for (const row of rows) {
+      const next = scoreDurationConfidence(row, groups);
+      if (next.confidence != null && next.confidence < DURATION_MIN_CONFIDENCE) low++;
+      const current = row.duration_confidence == null ? null : Number(row.duration_confidence);
+      if (current !== next.confidence || (row.duration_confidence_reasons || null) !== next.reasons) {
+        changes.push({ id: row.id, ...next });
+      }
+    }
+
+    let updated = 0;
+    for (let i = 0; i < changes.length; i += DURATION_SCORE_CHUNK) {
+      // eslint-disable-next-line no-await-in-loop
+      updated += await updateDurationConfidence(changes.slice(i, i + DURATION_SCORE_CHUNK));
+    }
+
+    lastDurationScoring = {
+      at: new Date().toISOString(),
+      examined: rows.length,
+      updated,
+      low,
+      took_ms: Date.now() - startedAt
+    };
+    if (updated) console.log(`[duration-quality] scored ${rows.length}, updated ${updated}, low ${low}`);
+    return lastDurationScoring;
+  } catch (e) {
+    console.error("[duration-quality] error:", e?.message || e);
+    return lastDurationScoring;
+  } finally {
+    durationScoringInFlight = false;
+  }
+}
+
+app.get("/api/admin/duration-quality", requireAdmin, async (req, res) => {
   try {
-    const rows = await clearObservedDurations({
-      limit: Number(req.body?.limit || req.query?.limit || 10000)
+    const items = await listSuspiciousDurations({
+      maxConfidence: DURATION_MIN_CONFIDENCE,
+      limit: Number(req.query?.limit || 100)
     });
-
-    await insertAudit({
-      userId: req.auth?.user?.id || null,
-      username: req.auth?.user?.username || null,
-      action: "clear_observed_durations",
-      details: `cleared=${rows.length}`,
-      ip: getClientIp(req)
+    return res.json({
+      ok: true,
+      min_confidence: DURATION_MIN_CONFIDENCE,
+      last_run: lastDurationScoring,
+      running: durationScoringInFlight,
+      items: items.map(row => ({ ...row, type_label: typeLabel(row.event_type || "other", row.event_subtype) }))
     });
-
-    return res.json({ ok: true, cleared: rows.length, rows });
   } catch (e) {
-    console.error("[clear-observed-durations]", e);
-    return res.status(500).json({ ok: false, error: "clear_observed_durations_failed", detail: String(e?.message || e) });
+    console.error("[duration-quality-list]", e);
+    return res.status(500).json({ ok: false, error: "duration_quality_list_failed", detail: String(e?.message || e) });
   }
 });
 
-
-app.post("/api/admin/recompute-observed-durations", requireAdmin, async (req, res) => {
+app.post("/api/admin/duration-quality/rescore", requireAdmin, async (req, res) => {
+  if (durationScoringInFlight) return res.status(409).json({ ok: false, error: "duration_scoring_in_progress" });
   try {
-    const rows = await recomputeObservedDurationsForClosedEvents({
-      limit: Number(req.body?.limit || req.query?.limit || 1000)
-    });
-
+    const result = await runDurationScoring();
     await insertAudit({
-      userId: req.auth?.user?.id || null,
-      username: req.auth?.user?.username || null,
-      action: "recompute_observed_durations",
-      details: `recomputed=${rows.length}`,
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: "duration_quality_rescore",
+      details: `examined=${result?.examined ?? 0}; updated=${result?.updated ?? 0}; low=${result?.low ?? 0}`,
       ip: getClientIp(req)
     });
-
-    return res.json({ ok: true, recomputed: rows.length, rows });
+    return res.json({ ok: true, result });
   } catch (e) {
-    console.error("[recompute-observed-durations]", e);
-    return res.status(500).json({ ok: false, error: "recompute_observed_durations_failed", detail: String(e?.message || e) });
+    console.error("[duration-quality-rescore]", e);
+    return res.status(500).json({ ok: false, error: "duration_quality_rescore_failed", detail: String(e?.message || e) });
   }
 });
 
-
-app.post("/api/admin/clear-bogus-durations", requireAdmin, async (req, res) => {
+// action: confirm (délka sedí, skóre 100 do další změny) | clear (délku zahodit, ručně)
+app.post("/api/admin/duration-quality/:id", requireAdmin, async (req, res) => {
   try {
-    const rows = await clearEstimatedDurationsForAlreadyClosedEvents({
-      maxMinutes: Number(req.body?.maxMinutes || req.query?.maxMinutes || 20)
-    });
+    const id = String(req.params.id || "");
+    const action = String(req.body?.action || "");
+    let ok = false;
+    if (action === "confirm") ok = await confirmEventDuration(id);
+    else if (action === "clear") ok = await clearEventDuration(id, { actor: requestActor(req) });
+    else return res.status(400).json({ ok: false, error: "invalid_action" });
+    if (!ok) return res.status(404).json({ ok: false, error: "event_not_found" });
 
     await insertAudit({
-      userId: req.auth?.user?.id || null,
-      username: req.auth?.user?.username || null,
-      action: "clear_bogus_durations",
-      details: `cleared=${rows.length}`,
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: `duration_quality_${action}`,
+      details: `id=${id}`,
       ip: getClientIp(req)
     });
-
-    return res.json({ ok: true, cleared: rows.length, rows });
+    publishLiveEventChanges([{ id, kind: "updated" }]);
+    return res.json({ ok: true });
   } catch (e) {
-    console.error("[clear-bogus-durations]", e);
-    return res.status(500).json({ ok: false, error: "clear_bogus_durations_failed", detail: String(e?.message || e) });
+    console.error("[duration-quality-action]", e);
+    return res.status(500).json({ ok: false, error: "duration_quality_action_failed", detail: String(e?.message || e) });
   }
 });
 
 
+
 // ---------------- OWN EVENT DETAIL / MANUAL NOTES ----------------
 app.get("/api/events/:id/detail", async (req, res) => {
   try {
-    const row = await getEventDetailById(req.params.id);
+    const row = await getEventDetailById(await resolveEventId(req.params.id));
     if (!row) return res.status(404).json({ ok: false, error: "event_not_found" });
+    // Průběh fází (kdy událost poprvé dosáhla které fáze) s popisky z aktuálního slovníku.
+    const phases = await listEventStatusPhases(row.id);
+    row.status_phases = phases.map(p => ({ ...p, label: statusDictionary.byKey.get(p.phase)?.label || p.phase }));
+    row.alarm_escalations = await listEventAlarmEscalations(row.id);
     return res.json({ ok: true, event: row });
   } catch (e) {
     console.error("[event-detail-get]", e);
@@ -3427,6 +7093,40 @@ app.get("/api/events/:id/detail", async (req, res) => {
   }
 });
 
+// Historie změn události. Veřejnost vidí jen co a kdy se změnilo;
+// zdroj (ESP/RSS/ruční úprava) a uživatele vidí pouze admin.
+const EVENT_HISTORY_PUBLIC_FIELDS = new Set([
+  "status_text", "is_closed", "start_time_iso", "end_time_iso", "duration_min",
+  "alarm_level", "alarm_level_text", "is_major_event", "city_text", "place_text", "event_type", "event_subtype", "status_phase", "coords"
+]);
+
+app.get("/api/events/:id/history", async (req, res) => {
+  try {
+    const auth = await authFromRequest(req);
+    const isAdmin = String(auth?.user?.role || "") === "admin";
+    const eventId = await resolveEventId(req.params.id);
+    const rows = await getEventRevisions(eventId, { limit: Number(req.query?.limit || 200) });
+
+    const items = rows.map((r) => {
+      if (isAdmin) return r;
+      const fields = (r.changed_fields || []).filter(f => EVENT_HISTORY_PUBLIC_FIELDS.has(f));
+      return {
+        id: r.id,
+        event_id: r.event_id,
+        action: ["auto_close", "merge"].includes(r.action) ? r.action : (String(r.action || "").endsWith("_create") ? "create" : "update"),
+        changed_fields: fields,
+        diff: Object.fromEntries(fields.map(f => [f, r.diff?.[f] || null])),
+        created_at: r.created_at
+      };
+    }).filter(r => isAdmin || r.changed_fields.length || r.action === "merge");
+
+    return res.json({ ok: true, event_id: eventId, items });
+  } catch (e) {
+    console.error("[event-history]", e);
+    return res.status(500).json({ ok: false, error: "event_history_failed", detail: String(e?.message || e) });
+  }
+});
+
 app.post("/api/admin/events/:id/detail", requireAdmin, async (req, res) => {
   try {
     const updated = await updateEventManualDetail(req.params.id, {
@@ -3435,6 +7135,7 @@ app.post("/api/admin/events/:id/detail", requireAdmin, async (req, res) => {
     });
 
     if (!updated) return res.status(404).json({ ok: false, error: "event_not_found" });
+    publishLiveEventChanges([{ id: req.params.id, kind: "updated" }]);
 
     await insertAudit({
       userId: req.auth?.user?.id || null,
@@ -3461,11 +7162,13 @@ app.post("/api/admin/events/manual-create", requireAdmin, async (req, res) => {
 
     const cityText = String(req.body?.cityText || req.body?.city_text || "").trim() || null;
     const placeText = String(req.body?.placeText || req.body?.place_text || "").trim() || cityText;
-    const eventType = String(req.body?.eventType || req.body?.event_type || classifyType(title) || "other").trim();
+    const classified = classifyEvent({ title, description: req.body?.manualDetailText || "" });
+    const eventType = String(req.body?.eventType || req.body?.event_type || classified.type || "other").trim();
+    const eventSubtype = classified.type === eventType ? classified.subtype : null;
 
     const statusMode = String(req.body?.statusMode || "open").toLowerCase();
     const isClosed = statusMode === "closed";
-    const statusText = isClosed ? "ukončená" : "probíhá zásah";
+    const statusText = statusPhaseText(isClosed ? "closed" : "open");
 
     const startTimeIso = parseManualIso(req.body?.startTimeIso || req.body?.pubDate) || new Date().toISOString();
     const endTimeIso = isClosed
@@ -3499,6 +7202,7 @@ app.post("/api/admin/events/manual-create", requireAdmin, async (req, res) => {
       cityText,
       statusText,
       eventType,
+      eventSubtype,
       descriptionRaw: manualDetailText || null,
       startTimeIso,
       endTimeIso,
@@ -3509,10 +7213,11 @@ app.post("/api/admin/events/manual-create", requireAdmin, async (req, res) => {
       isMajorEvent,
       majorReason,
       statusSource: "manual",
+      statusPhase: isClosed ? "closed" : "open",
       sourceNote: publicSafeManualSourceNote(),
       lat,
       lon
-    });
+    }, { actor: requestActor(req) });
 
     if (manualDetailText) {
       await updateEventManualDetail(id, {
@@ -3520,6 +7225,7 @@ app.post("/api/admin/events/manual-create", requireAdmin, async (req, res) => {
         manualDetailSource: "Ručně doplněno administrátorem"
       });
     }
+    publishLiveEventChanges([{ id, kind: "created" }]);
 
     await insertIngestLog({
       source: "manual_create",
@@ -3555,7 +7261,7 @@ app.post("/api/admin/events/manual-create", requireAdmin, async (req, res) => {
 app.get("/api/admin/ingest-diagnostics", requireAdmin, async (req, res) => {
   try {
     const data = await getIngestDiagnostics({ limit: Number(req.query?.limit || 20) });
-    return res.json({ ok: true, ...data });
+    return res.json({ ok: true, ...data, sources: listSourceRegistry(), watchdog: ingestWatchdogSnapshot });
   } catch (e) {
     console.error("[ingest-diagnostics]", e);
     return res.status(500).json({ ok: false, error: "ingest_diagnostics_failed", detail: String(e?.message || e) });
@@ -3564,14 +7270,21 @@ app.get("/api/admin/ingest-diagnostics", requireAdmin, async (req, res) => {
 
 app.get("/api/admin/events/search", requireAdmin, async (req, res) => {
   try {
-    const items = await searchEventsAdmin({
-      q: req.query?.q || "",
+    const q = String(req.query?.q || "");
+    const items = attachSearchSnippets(await searchEventsAdmin({
+      q,
       limit: Number(req.query?.limit || 50)
-    });
+    }), q);
+    // Celé texty jen kvůli úryvku – do odpovědi je neposíláme.
+    for (const it of items) {
+      delete it.description_raw;
+      delete it.manual_detail_text;
+    }
 
     let visibleIds = new Set();
     try {
-      const filters = parseFilters(req);
+      // q je tady hledaný výraz admina, ne fulltext filtr přehledu.
+      const filters = parseFilters({ query: { ...req.query, q: "" } });
       const visibleRows = await getEventsFiltered(filters, 2000);
       visibleIds = new Set((visibleRows || []).map((x) => String(x.id)));
       for (const it of items) {
@@ -3606,7 +7319,7 @@ app.post("/api/admin/events/:id/manual", requireAdmin, async (req, res) => {
 
     const mode = String(req.body?.statusMode || "").toLowerCase();
     const isClosed = mode === "closed" ? true : mode === "open" ? false : !!current.is_closed;
-    const statusText = mode === "open" ? "probíhá zásah" : mode === "closed" ? "ukončená" : (current.status_text || null);
+    const statusText = mode === "open" || mode === "closed" ? statusPhaseText(mode) : (current.status_text || null);
 
     const startTimeIso = parseManualIso(req.body?.startTimeIso) || current.start_time_iso || current.pub_date || current.first_seen_at || current.created_at || null;
     const endTimeIso = isClosed
@@ -3647,7 +7360,17 @@ app.post("/api/admin/events/:id/manual", requireAdmin, async (req, res) => {
 
     const durationMin = computeManualDurationMin(startTimeIso, endTimeIso, isClosed);
 
-    await updateEventManualMeta(req.params.id, {
+    // Co admin výslovně nastavil, má přednost před ESP/RSS i auto-close.
+    // Režim "auto" naopak vrací stav a konec zásahu zpět automatice.
+    const statusFields = ["is_closed", "status_text", "status_source", "status_phase", "end_time_iso", "duration_min", "duration_source"];
+    const assertedFields = ["alarm_level", "alarm_level_text", "is_major_event", "major_reason"];
+    const releasedFields = [];
+    if (mode === "open" || mode === "closed") assertedFields.push(...statusFields);
+    else releasedFields.push(...statusFields);
+    if (parseManualIso(req.body?.startTimeIso)) assertedFields.push("start_time_iso");
+    if (isClosed && parseManualIso(req.body?.endTimeIso)) assertedFields.push("end_time_iso", "duration_min");
+
+    const written = await updateEventManualMeta(req.params.id, {
       isClosed,
       statusText,
       alarmLevel,
@@ -3657,10 +7380,13 @@ app.post("/api/admin/events/:id/manual", requireAdmin, async (req, res) => {
       startTimeIso,
       endTimeIso,
       durationMin,
+      statusPhase: mode === "open" || mode === "closed" ? mode : null,
       lat: manualLat,
       lon: manualLon,
-      clearCoords
-    });
+      clearCoords,
+      assertedFields,
+      releasedFields
+    }, { actor: requestActor(req) });
 
     await insertAudit({
       userId: req.auth?.user?.id || null,
@@ -3671,6 +7397,10 @@ app.post("/api/admin/events/:id/manual", requireAdmin, async (req, res) => {
     });
 
     const updated = await getEventForManualEdit(req.params.id);
+    publishLiveEventChanges([{ id: req.params.id, kind: !current.is_closed && updated?.is_closed ? "closed" : "updated" }]);
+    if (written?.escalation) {
+      notifyAlarmEscalations([written.escalation]).catch(e => console.error("[escalation] notify error:", e?.message || e));
+    }
     return res.json({ ok: true, event: updated });
   } catch (e) {
     console.error("[manual-event-post]", e);
@@ -3756,66 +7486,926 @@ app.get("/api/admin/visits/stats", requireAdmin, async (req, res) => {
 });
 
 
-// events (filters) + backfill coords + backfill duration
-app.get("/api/events", async (req, res) => {
-  const limit = Math.min(Number(req.query.limit || 2000), 2000);
-  const filters = parseFilters(req);
+// ======================
+// FireWatchCZ – živý stream událostí (SSE)
+// ======================
+// GET /api/events/stream se stejnými filtry jako /api/events (+ month, který stejně jako v UI
+// platí jen pro statistiky). Po commitu ingestu (a ručních úpravách, auto-close, sloučení)
+// dostane každý klient event_created / event_updated / event_closed s řádkem ve tvaru
+// /api/events a po chvíli stats_changed ve tvaru /api/stats. Událost, která filtrům
+// přestala odpovídat, přijde s in_filter=false. Polling v app.js zůstává jen jako záloha.
+const LIVE_MAX_CLIENTS = Math.max(10, Math.min(5000, Number(process.env.FIREWATCH_LIVE_MAX_CLIENTS || 500)));
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+const LIVE_FLUSH_DELAY_MS = 250;
+const LIVE_STATS_DELAY_MS = 2000;
+const LIVE_KIND_RANK = { updated: 0, closed: 1, created: 2 };
+
+const liveClients = new Set();
+const livePendingChanges = new Map();
+let liveFlushTimer = null;
+let liveStatsTimer = null;
+
+function liveFiltersKey(filters) {
+  // parseFilters vrací klíče vždy ve stejném pořadí, celý objekt je tedy stabilní klíč skupiny.
+  return JSON.stringify(filters);
+}
+
+function liveSend(client, type, data) {
+  try {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  } catch {
+    liveClients.delete(client);
+  }
+}
+
+// changes = [{ id, kind: "created" | "updated" | "closed" }]; zápisy se krátce slučují,
+// aby dávka z ESP znamenala jeden dotaz na skupinu filtrů, ne dotaz na položku.
+function publishLiveEventChanges(changes = []) {
+  for (const c of changes) {
+    if (!c?.id) continue;
+    const id = String(c.id);
+    const kind = LIVE_KIND_RANK[c.kind] != null ? c.kind : "updated";
+    const prev = livePendingChanges.get(id);
+    if (!prev || LIVE_KIND_RANK[kind] > LIVE_KIND_RANK[prev]) livePendingChanges.set(id, kind);
+  }
+  if (!livePendingChanges.size || liveFlushTimer) return;
+  liveFlushTimer = setTimeout(() => {
+    liveFlushTimer = null;
+    flushLiveEventChanges().catch(e => console.error("[live] flush error:", e?.message || e));
+  }, LIVE_FLUSH_DELAY_MS);
+}
+
+// Klienti se stejnými filtry sdílí jeden dotaz. part = "events" | "stats".
+function liveClientGroups(part) {
+  const groups = new Map();
+  for (const client of liveClients) {
+    const filters = client[part];
+    const key = liveFiltersKey(filters);
+    if (!groups.has(key)) groups.set(key, { filters, clients: [] });
+    groups.get(key).clients.push(client);
+  }
+  return groups;
+}
+
+async function flushLiveEventChanges() {
+  const changes = new Map(livePendingChanges);
+  livePendingChanges.clear();
+  if (!changes.size || !liveClients.size) return;
+
+  const ids = [...changes.keys()];
+  for (const { filters, clients } of liveClientGroups("events").values()) {
+    // eslint-disable-next-line no-await-in-loop
+    const rows = attachSearchSnippets(await getEventsFilteredByIds(filters, ids), filters.q);
+    const byId = new Map(rows.map(r => [String(r.id), r]));
+    for (const [id, kind] of changes) {
+      const row = byId.get(id);
+      if (!row && kind === "created") continue;
+      const payload = row ? { id, in_filter: true, event: row } : { id, in_filter: false };
+      for (const client of clients) liveSend(client, `event_${kind}`, payload);
+    }
+  }
+
+  if (!liveStatsTimer) {
+    liveStatsTimer = setTimeout(() => {
+      liveStatsTimer = null;
+      pushLiveStats().catch(e => console.error("[live] stats error:", e?.message || e));
+    }, LIVE_STATS_DELAY_MS);
+  }
+}
+
+async function pushLiveStats() {
+  for (const { filters, clients } of liveClientGroups("stats").values()) {
+    // eslint-disable-next-line no-await-in-loop
+    const stats = await statsForFilters(filters);
+    for (const client of clients) liveSend(client, "stats_changed", stats);
+  }
+}
+
+// ======================
+// ESKALACE STUPNĚ POPLACHU -> dashboard (SSE event_escalated) + FireWatch Talk (HLAVNÍ)
+// ======================
+// Zvýšení stupně zapisuje db.js (event_alarm_escalations); sem přijde jen nově dosažený stupeň
+// z ingestu nebo ruční úpravy. Přepočty a přehrání ingestu historii doplní, ale nehlásí.
+// Eskalace jde všem připojeným klientům bez ohledu na jejich filtry – III. stupeň se nesmí přehlédnout.
+const ESCALATION_MIN_LEVEL = Math.max(2, Math.min(4, Number(process.env.FIREWATCH_ESCALATION_MIN_LEVEL || 2)));
+const ESCALATION_RADIO_ROOM = process.env.FIREWATCH_ESCALATION_ROOM || "HLAVNÍ";
+const ALARM_LEVEL_ROMAN = ["", "I.", "II.", "III.", "IV."];
+
+function alarmLevelLabelCs(level, text = null) {
+  if (text) return text;
+  const n = Number(level || 0);
+  return n >= 4 ? "zvláštní stupeň poplachu" : `${ALARM_LEVEL_ROMAN[n] || n} stupeň poplachu`;
+}
+
+function escalationRadioText(esc, ev) {
+  const place = ev?.city_text || ev?.place_text || "";
+  const from = esc.from_level ? `z ${ALARM_LEVEL_ROMAN[esc.from_level] || esc.from_level} stupně` : "nová událost";
+  return `${Number(esc.to_level) >= 3 ? "🚨" : "⚠"} Eskalace na ${alarmLevelLabelCs(esc.to_level, esc.alarm_level_text)} (${from}): ` +
+    `${ev?.title || esc.event_id}${place ? `, ${place}` : ""} – ${formatReportDateTimeCs(esc.reached_at)}.`;
+}
+
+async function notifyAlarmEscalations(escalations = []) {
+  const list = (escalations || []).filter(e => e?.event_id && Number(e.to_level) >= ESCALATION_MIN_LEVEL);
+  for (const esc of list) {
+    // eslint-disable-next-line no-await-in-loop
+    const ev = await getEventDetailById(esc.event_id);
+    const payload = {
+      id: String(esc.event_id),
+      from_level: esc.from_level,
+      to_level: esc.to_level,
+      alarm_level_text: esc.alarm_level_text,
+      reached_at: esc.reached_at,
+      event: ev ? {
+        id: ev.id,
+        title: ev.title,
+        city_text: ev.city_text,
+        place_text: ev.place_text,
+        event_type: ev.event_type,
+        event_subtype: ev.event_subtype,
+        is_closed: ev.is_closed,
+        alarm_level: ev.alarm_level,
+        alarm_level_text: ev.alarm_level_text,
+        is_major_event: ev.is_major_event,
+        lat: ev.lat,
+        lon: ev.lon
+      } : null
+    };
+    for (const client of liveClients) liveSend(client, "event_escalated", payload);
+
+    const text = escalationRadioText(esc, ev);
+    console.warn(`[escalation] ${text}`);
+    try {
+      opsRadio?.postSystemMessage?.(ESCALATION_RADIO_ROOM, text);
+    } catch (e) {
+      console.error("[escalation] radio message failed:", e?.message || e);
+    }
+  }
+}
+
+// ======================
+// ODCHOZÍ WEBHOOKY – nové / ukončené / eskalované / znovu otevřené události z ingestu
+// ======================
+// Doručení jde přes frontu v DB (webhook_deliveries), takže restart ani výpadek příjemce nic neztratí.
+// Tělo je podepsané HMAC-SHA256 tajemstvím webhooku: X-Firewatch-Signature = sha256=hex(hmac(`${timestamp}.${body}`)).
+const WEBHOOK_EVENT_KINDS = {
+  created: "nová událost",
+  closed: "ukončení",
+  escalated: "eskalace stupně",
+  reopened: "znovu otevřeno"
+};
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Math.min(15, Number(process.env.FIREWATCH_WEBHOOK_MAX_ATTEMPTS || 8)));
+const WEBHOOK_BACKOFF_BASE_MS = Math.max(5_000, Math.min(10 * 60_000, Number(process.env.FIREWATCH_WEBHOOK_BACKOFF_BASE_MS || 30_000)));
+const WEBHOOK_BACKOFF_MAX_MS = 6 * 60 * 60_000;
+const WEBHOOK_TIMEOUT_MS = Math.max(2_000, Math.min(60_000, Number(process.env.FIREWATCH_WEBHOOK_TIMEOUT_MS || 10_000)));
+const WEBHOOK_WORKER_INTERVAL_MS = 10_000;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const WEBHOOK_MAX_HOOKS = 50;
+const WEBHOOK_NAME_MAX = 80;
+
+let webhookWorkerRunning = false;
+let webhooksCache = null; // aktivní webhooky; admin změny cache zahodí
+
+async function activeWebhooks() {
+  if (!webhooksCache) webhooksCache = await listWebhooks({ enabledOnly: true });
+  return webhooksCache;
+}
+
+// 30 s, 1 min, 2 min, 4 min … (strop 6 h) + až 20 % náhodně, ať se opakované pokusy nesejdou.
+function webhookBackoffMs(attempt) {
+  const base = Math.min(WEBHOOK_BACKOFF_MAX_MS, WEBHOOK_BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(base * (1 + Math.random() * 0.2));
+}
+
+function webhookEventJson(ev) {
+  return {
+    id: String(ev.id),
+    title: ev.title || null,
+    type: ev.event_type || "other",
+    subtype: ev.event_subtype || null,
+    type_label: typeLabel(ev.event_type || "other", ev.event_subtype),
+    city: ev.city_text || null,
+    place: ev.place_text || null,
+    district: extractDistrictFromDescription(ev.description_raw),
+    status_text: ev.status_text || null,
+    is_closed: !!ev.is_closed,
+    alarm_level: ev.alarm_level == null ? null : Number(ev.alarm_level),
+    alarm_level_text: ev.alarm_level_text || null,
+    is_major_event: !!ev.is_major_event,
+    major_reason: ev.major_reason || null,
+    pub_date: ev.pub_date || null,
+    start_time: ev.start_time_iso || null,
+    end_time: ev.end_time_iso || null,
+    duration_min: ev.duration_min == null ? null : Number(ev.duration_min),
+    lat: ev.lat == null ? null : Number(ev.lat),
+    lon: ev.lon == null ? null : Number(ev.lon),
+    link: ev.link || null
+  };
+}
+
+function webhookMatches(hook, kind, ev) {
+  if (!(hook.events || []).includes(kind)) return false;
+  const types = hook.filter_types || [];
+  if (types.length) {
+    const type = ev.event_type || "other";
+    const full = ev.event_subtype ? `${type}:${ev.event_subtype}` : type;
+    if (!types.includes(type) && !types.includes(full)) return false;
+  }
+  const cities = hook.filter_cities || [];
+  if (cities.length) {
+    const hay = foldSearchText(`${ev.city_text || ""} ${ev.place_text || ""}`);
+    if (!cities.some(c => hay.includes(foldSearchText(c)))) return false;
+  }
+  if (hook.major_only && !ev.is_major_event) return false;
+  if (hook.alarm_level_gte != null && Number(ev.alarm_level || 0) < Number(hook.alarm_level_gte)) return false;
+  return true;
+}
+
+// items: [{ id, kind, escalation? }] – zařadí doručení pro všechny aktivní webhooky, jejichž filtr sedí.
+async function queueWebhookEvents(items = []) {
+  const list = items.filter(x => x?.id && WEBHOOK_EVENT_KINDS[x.kind]);
+  if (!list.length) return;
+  const hooks = await activeWebhooks();
+  if (!hooks.length) return;
+
+  const rows = [];
+  const occurredAt = new Date().toISOString();
+  for (const item of list) {
+    const ev = await getEventDetailById(item.id);
+    if (!ev) continue;
+    const payload = { type: `event.${item.kind}`, occurred_at: occurredAt, event: webhookEventJson(ev) };
+    if (item.escalation) {
+      payload.escalation = {
+        from_level: item.escalation.from_level ?? null,
+        to_level: item.escalation.to_level,
+        alarm_level_text: item.escalation.alarm_level_text || null,
+        reached_at: item.escalation.reached_at || null
+      };
+    }
+    for (const hook of hooks) {
+      if (webhookMatches(hook, item.kind, ev)) rows.push({ webhookId: hook.id, eventId: ev.id, kind: item.kind, payload });
+    }
+  }
+  if (!rows.length) return;
+  await enqueueWebhookDeliveries(rows);
+  runWebhookDeliveries().catch(e => console.error("[webhooks] worker error:", e?.message || e));
+}
+
+async function postWebhook({ url, secret, deliveryId, kind, body }) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  const started = Date.now();
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json; charset=utf-8",
+        "User-Agent": GEOCODE_UA,
+        "X-Firewatch-Event": kind,
+        "X-Firewatch-Delivery": String(deliveryId),
+        "X-Firewatch-Timestamp": timestamp,
+        "X-Firewatch-Signature": `sha256=${signature}`
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    // tělo odpovědi nepotřebujeme, jen uvolníme spojení
+    await r.arrayBuffer().catch(() => null);
+    return { ok: r.ok, httpStatus: r.status, error: r.ok ? null : `http_${r.status}`, durationMs: Date.now() - started };
+  } catch (e) {
+    const error = e?.name === "TimeoutError" ? "timeout" : String(e?.cause?.code || e?.message || e);
+    return { ok: false, httpStatus: null, error, durationMs: Date.now() - started };
+  }
+}
+
+// 4xx kromě 408/429 je chyba příjemce (špatná URL, podpis) – opakování nepomůže.
+function webhookShouldRetry(result) {
+  if (!result.httpStatus) return true;
+  return result.httpStatus >= 500 || result.httpStatus === 408 || result.httpStatus === 429;
+}
+
+async function sendWebhookDelivery(d) {
+  if (!d.enabled) {
+    await finishWebhookDelivery(d.id, { status: "failed", error: "webhook_disabled" });
+    return;
+  }
+  const body = JSON.stringify({ delivery_id: String(d.id), attempt: d.attempts, ...d.payload });
+  const result = await postWebhook({ url: d.url, secret: d.secret, deliveryId: d.id, kind: d.payload?.type || d.event_kind, body });
+  if (result.ok) {
+    await finishWebhookDelivery(d.id, { status: "ok", httpStatus: result.httpStatus, durationMs: result.durationMs });
+    return;
+  }
+  const retry = webhookShouldRetry(result) && d.attempts < WEBHOOK_MAX_ATTEMPTS;
+  await finishWebhookDelivery(d.id, {
+    status: retry ? "pending" : "failed",
+    httpStatus: result.httpStatus,
+    error: result.error,
+    durationMs: result.durationMs,
+    nextAttemptAt: retry ? new Date(Date.now() + webhookBackoffMs(d.attempts)).toISOString() : null
+  });
+  console.warn(`[webhooks] delivery #${d.id} (${d.event_kind}) failed: ${result.error}${retry ? `, retry ${d.attempts}/${WEBHOOK_MAX_ATTEMPTS}` : ", giving up"}`);
+}
+
+async function runWebhookDeliveries() {
+  if (webhookWorkerRunning) return;
+  webhookWorkerRunning = true;
+  try {
+    for (;;) {
+      const batch = await claimDueWebhookDeliveries(20);
+      for (const d of batch) await sendWebhookDelivery(d);
+      if (batch.length < 20) break;
+    }
+  } catch (e) {
+    console.error("[webhooks] worker error:", e?.message || e);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+function webhookJson(hook, { revealSecret = false } = {}) {
+  const { secret, ...rest } = hook;
+  return revealSecret ? { ...rest, secret } : { ...rest, secret_hint: secret ? `…${String(secret).slice(-4)}` : null };
+}
+
+function normalizeWebhookInput(src, { partial = false } = {}) {
+  const patch = {};
+  const list = (v) => [...new Set([].concat(v ?? []).flatMap(x => String(x).split(",")).map(x => x.trim()).filter(Boolean))];
+
+  if (!partial || "name" in src) {
+    const name = String(src.name || "").replace(/\s+/g, " ").trim();
+    if (!name) return { error: "missing_name" };
+    if (name.length > WEBHOOK_NAME_MAX) return { error: "name_too_long" };
+    patch.name = name;
+  }
+  if (!partial || "url" in src) {
+    try {
+      const u = new URL(String(src.url || "").trim());
+      if (!["http:", "https:"].includes(u.protocol)) return { error: "invalid_url" };
+      patch.url = u.toString();
+    } catch {
+      return { error: "invalid_url" };
+    }
+  }
+  if ("secret" in src && String(src.secret || "").trim()) {
+    const secret = String(src.secret).trim();
+    if (secret.length < 16) return { error: "secret_too_short" };
+    patch.secret = secret;
+  }
+  if (!partial || "events" in src) {
+    const events = src.events == null ? Object.keys(WEBHOOK_EVENT_KINDS) : list(src.events);
+    if (!events.length) return { error: "missing_events" };
+    const unknown = events.filter(e => !WEBHOOK_EVENT_KINDS[e]);
+    if (unknown.length) return { error: "unknown_events", unknown };
+    patch.events = events;
+  }
+  if (!partial || "types" in src) {
+    const types = list(src.types);
+    const unknown = types.filter(t => !CLASSIFIER_TYPES.includes(t.split(":")[0]));
+    if (unknown.length) return { error: "unknown_types", unknown };
+    patch.filterTypes = types;
+  }
+  if (!partial || "cities" in src) {
+    const cities = list(src.cities);
+    if (cities.length > FILTER_MAX_CITIES) return { error: "too_many_cities", max: FILTER_MAX_CITIES };
+    patch.filterCities = cities;
+  }
+  if (!partial || "major_only" in src) patch.majorOnly = src.major_only === true || src.major_only === "1" || src.major_only === "true";
+  if (!partial || "alarm_level_gte" in src) {
+    const raw = String(src.alarm_level_gte ?? "").trim();
+    const n = Number(raw);
+    if (raw && (!Number.isInteger(n) || n < 1 || n > 4)) return { error: "bad_alarm_level" };
+    patch.alarmLevelGte = raw ? n : null;
+  }
+  if ("enabled" in src) patch.enabled = src.enabled !== false && src.enabled !== "false";
+  return { patch };
+}
+
+app.get("/api/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const items = await listWebhooks();
+    return res.json({
+      ok: true,
+      items: items.map(h => webhookJson(h)),
+      kinds: WEBHOOK_EVENT_KINDS,
+      types: CLASSIFIER_TYPES.map(t => ({ type: t, label: typeLabel(t) })),
+      max_attempts: WEBHOOK_MAX_ATTEMPTS
+    });
+  } catch (e) {
+    console.error("[webhooks-list]", e);
+    return res.status(500).json({ ok: false, error: "webhooks_list_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Tajemství se vrací celé jen při založení a rotaci – pak už jen poslední 4 znaky.
+app.post("/api/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const { patch, error, ...extra } = normalizeWebhookInput(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error, ...extra });
+    if ((await listWebhooks()).length >= WEBHOOK_MAX_HOOKS) {
+      return res.status(409).json({ ok: false, error: "too_many_webhooks", max: WEBHOOK_MAX_HOOKS });
+    }
+    const hook = await createWebhook({
+      ...patch,
+      secret: patch.secret || crypto.randomBytes(24).toString("hex"),
+      enabled: patch.enabled ?? true,
+      createdBy: req.auth.user.id
+    });
+    webhooksCache = null;
+    await insertAudit({ userId: req.auth.user.id, username: req.auth.user.username, action: "webhook_created", details: JSON.stringify({ id: hook.id, name: hook.name, url: hook.url }), ip: getClientIp(req) });
+    return res.json({ ok: true, item: webhookJson(hook, { revealSecret: true }) });
+  } catch (e) {
+    console.error("[webhooks-create]", e);
+    return res.status(500).json({ ok: false, error: "webhook_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.put("/api/admin/webhooks/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const { patch, error, ...extra } = normalizeWebhookInput(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ ok: false, error, ...extra });
+    const rotate = req.body?.rotate_secret === true;
+    if (rotate) patch.secret = crypto.randomBytes(24).toString("hex");
+
+    const hook = await updateWebhook(id, patch);
+    if (!hook) return res.status(404).json({ ok: false, error: "webhook_not_found" });
+    webhooksCache = null;
+    await insertAudit({ userId: req.auth.user.id, username: req.auth.user.username, action: "webhook_updated", details: JSON.stringify({ id, fields: Object.keys(patch).map(k => (k === "secret" ? "secret(rotated)" : k)) }), ip: getClientIp(req) });
+    return res.json({ ok: true, item: webhookJson(hook, { revealSecret: rotate || "secret" in patch }) });
+  } catch (e) {
+    console.error("[webhooks-update]", e);
+    return res.status(500).json({ ok: false, error: "webhook_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.delete("/api/admin/webhooks/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const deleted = await deleteWebhook(id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "webhook_not_found" });
+    webhooksCache = null;
+    await insertAudit({ userId: req.auth.user.id, username: req.auth.user.username, action: "webhook_deleted", details: JSON.stringify(deleted), ip: getClientIp(req) });
+    return res.json({ ok: true, deleted });
+  } catch (e) {
+    console.error("[webhooks-delete]", e);
+    return res.status(500).json({ ok: false, error: "webhook_delete_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Test: jedno doručení hned (bez fronty a opakování), výsledek jde do logu i do odpovědi.
+// Payload nese poslední událost, ať příjemce vidí skutečný tvar dat.
+app.post("/api/admin/webhooks/:id/test", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const hook = await getWebhook(id);
+    if (!hook) return res.status(404).json({ ok: false, error: "webhook_not_found" });
+
+    const latest = await getEventsPage(parseFilters({ query: { day: "all" } }), { sort: "time", dir: "desc", limit: 1 });
+    const payload = {
+      type: "webhook.test",
+      occurred_at: new Date().toISOString(),
+      message: `FireWatch CZ – testovací doručení webhooku „${hook.name}“`,
+      event: latest.rows[0] ? webhookEventJson(latest.rows[0]) : null
+    };
+    const [deliveryId] = await enqueueWebhookDeliveries([{ webhookId: hook.id, eventId: payload.event?.id, kind: "test", payload, status: "sending", attempts: 1 }]);
+    let result;
+    try {
+      const body = JSON.stringify({ delivery_id: String(deliveryId), attempt: 1, ...payload });
+      result = await postWebhook({ url: hook.url, secret: hook.secret, deliveryId, kind: payload.type, body });
+      await finishWebhookDelivery(deliveryId, {
+        status: result.ok ? "ok" : "failed",
+        httpStatus: result.httpStatus,
+        error: result.error,
+        durationMs: result.durationMs
+      });
+    } catch (e) {
+      // Řádek "sending" worker nevyzvedne – bez uzavření by v logu visel navždy.
+      await finishWebhookDelivery(deliveryId, { status: "failed", error: String(e?.message || e).slice(0, 500) }).catch(() => {});
+      throw e;
+    }
+    return res.json({ ok: result.ok, delivery_id: deliveryId, http_status: result.httpStatus, error: result.error, duration_ms: result.durationMs });
+  } catch (e) {
+    console.error("[webhooks-test]", e);
+    return res.status(500).json({ ok: false, error: "webhook_test_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/webhooks/:id/deliveries", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "bad_id" });
+    const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
+    const status = ["pending", "ok", "failed"].includes(String(req.query.status)) ? String(req.query.status) : null;
+    return res.json({ ok: true, items: await listWebhookDeliveries(id, { limit, status }) });
+  } catch (e) {
+    console.error("[webhooks-deliveries]", e);
+    return res.status(500).json({ ok: false, error: "webhook_deliveries_failed", detail: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/webhooks/:id/deliveries/:deliveryId/retry", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id || 0);
+    const deliveryId = Number(req.params.deliveryId || 0);
+    if (!id || !deliveryId) return res.status(400).json({ ok: false, error: "bad_id" });
+    const retried = await retryWebhookDelivery(id, deliveryId);
+    if (!retried) return res.status(404).json({ ok: false, error: "delivery_not_found" });
+    runWebhookDeliveries().catch(e => console.error("[webhooks] worker error:", e?.message || e));
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[webhooks-retry]", e);
+    return res.status(500).json({ ok: false, error: "webhook_retry_failed", detail: String(e?.message || e) });
+  }
+});
+
+setInterval(() => {
+  for (const client of liveClients) {
+    try {
+      client.res.write(": ping\n\n");
+    } catch {
+      liveClients.delete(client);
+    }
+  }
+}, LIVE_HEARTBEAT_MS).unref();
+
+app.get("/api/events/stream", (req, res) => {
+  if (liveClients.size >= LIVE_MAX_CLIENTS) {
+    return res.status(503).json({ ok: false, error: "live_stream_full" });
+  }
+
+  const filters = parseFilters(req);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write("retry: 5000\n\n");
+
+  const client = { res, events: { ...filters, month: "" }, stats: filters };
+  liveClients.add(client);
+  liveSend(client, "hello", { filters, heartbeat_ms: LIVE_HEARTBEAT_MS, escalation_min_level: ESCALATION_MIN_LEVEL });
+
+  req.on("close", () => {
+    liveClients.delete(client);
+  });
+});
+
+// Kurzor = base64url(JSON { s: řazení, d: směr, v: hodnoty klíče }) z getEventsPage.
+function encodeEventsCursor(cursor) {
+  return cursor ? Buffer.from(JSON.stringify(cursor), "utf8").toString("base64url") : null;
+}
+
+// Hodnota klíče řazení z kurzoru musí projít castem v getEventsPage (::int, ::real, ::timestamptz),
+// jinak by podvržený kurzor shodil dotaz na chybě Postgresu.
+const EVENTS_CURSOR_TEXT_MAX = 500;
+
+function isCursorTimestamp(v) {
+  const m = typeof v === "string" && v.match(/^(\d{4}-\d{2}-\d{2})[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?$/);
+  if (!m) return false;
+  const day = new Date(`${m[1]}T00:00:00Z`);
+  return !Number.isNaN(day.getTime()) && day.toISOString().slice(0, 10) === m[1] && Number.isFinite(Date.parse(v));
+}
+
+function isCursorSortValue(v, cast) {
+  if (typeof v !== "string" || v.length > EVENTS_CURSOR_TEXT_MAX) return false;
+  if (cast === "int") return /^-?\d{1,9}$/.test(v);
+  if (cast === "real") return v.trim() !== "" && Number.isFinite(Number(v));
+  if (cast === "timestamptz") return isCursorTimestamp(v);
+  return cast === "text";
+}
+
+// Neplatný kurzor (base64, JSON, tvar i typy hodnot) -> throw, handler vrátí 400 bad_cursor.
+function decodeEventsCursor(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const parsed = JSON.parse(Buffer.from(s, "base64url").toString("utf8"));
+  const def = parsed && typeof parsed === "object" && Object.hasOwn(EVENT_PAGE_SORTS, parsed.s) ? EVENT_PAGE_SORTS[parsed.s] : null;
+  if (!def || !["asc", "desc"].includes(parsed.d) || !Array.isArray(parsed.v)) throw new Error("bad_cursor");
+
+  const [key, time, id] = parsed.s === "time" ? [null, ...parsed.v] : parsed.v;
+  const ok = parsed.v.length === (parsed.s === "time" ? 2 : 3) &&
+    (parsed.s === "time" || isCursorSortValue(key, def.cast)) &&
+    isCursorTimestamp(time) &&
+    typeof id === "string" && id.length > 0 && id.length <= EVENTS_CURSOR_TEXT_MAX;
+  if (!ok) throw new Error("bad_cursor");
+  return { s: parsed.s, d: parsed.d, v: parsed.v };
+}
+
+// limit=abc / 1e9 / -5 -> celé číslo v [1, max], jinak výchozí.
+function eventsLimitParam(v, fallback, max) {
+  const n = Number(String(v ?? "").trim() || fallback);
+  return Number.isFinite(n) ? Math.max(1, Math.min(max, Math.trunc(n))) : fallback;
+}
+
+// events (filters) + backfill coords + backfill duration
+// Se sort= nebo cursor= jde o stránkovaný režim tabulky (keyset, bez stropu 2000);
+// bez nich zůstává původní výpis pro mapu a přehled (aktivní/významné nahoře).
+app.get("/api/events", async (req, res) => {
+  const filters = parseFilters(req);
+  const badDates = invalidDateParams(req, filters);
+  if (badDates.length) return res.status(400).json({ ok: false, error: "bad_date", params: badDates });
+
+  if (req.query.sort || req.query.cursor) {
+    let cursor = null;
+    try {
+      cursor = decodeEventsCursor(req.query.cursor);
+    } catch {
+      return res.status(400).json({ ok: false, error: "bad_cursor" });
+    }
+    try {
+      const limit = eventsLimitParam(req.query.limit, 50, 500);
+      const [page, totalMatching] = await Promise.all([
+        getEventsPage(filters, { sort: String(req.query.sort || cursor?.s || "time"), dir: String(req.query.dir || cursor?.d || "desc"), cursor, limit }),
+        countEventsFiltered(filters)
+      ]);
+      attachSearchSnippets(page.rows, filters.q);
+      return res.json({
+        ok: true,
+        filters,
+        sort: page.sort,
+        dir: page.dir,
+        limit,
+        total_matching: totalMatching,
+        next_cursor: encodeEventsCursor(page.nextCursor),
+        items: page.rows
+      });
+    } catch (e) {
+      console.error("[events-page]", e);
+      return res.status(500).json({ ok: false, error: "events_page_failed" });
+    }
+  }
+
+  try {
+    const limit = eventsLimitParam(req.query.limit, 2000, 2000);
 
-  const [rows, totalMatching] = await Promise.all([
-    getEventsFiltered(filters, limit),
-    countEventsFiltered(filters)
-  ]);
+    const [rows, totalMatching] = await Promise.all([
+      getEventsFiltered(filters, limit),
+      countEventsFiltered(filters)
+    ]);
+    attachSearchSnippets(rows, filters.q);
 
-  res.json({ ok: true, filters, limit, total_matching: totalMatching, backfilled_coords: 0, backfilled_durations: 0, items: rows });
+    return res.json({ ok: true, filters, limit, total_matching: totalMatching, backfilled_coords: 0, backfilled_durations: 0, items: rows });
+  } catch (e) {
+    // Veřejný endpoint – text chyby z DB jen do logu.
+    console.error("[events]", e);
+    return res.status(500).json({ ok: false, error: "events_failed" });
+  }
 });
 
 // ✅ stats (30 dní) – vždy ze všech dnů (ignoruje filtr "Den")
-app.get("/api/stats", async (req, res) => {
-  const filters = parseFilters(req);
+async function statsForFilters(filters) {
   const statsFilters = { ...filters, day: "all" };
 
-  const stats = await getStatsFiltered(statsFilters);
+  const stats = await getStatsFiltered({
+    ...statsFilters,
+    minDurationConfidence: statsFilters.durationQuality === "reliable" ? DURATION_MIN_CONFIDENCE : null
+  });
 
   const openCount = stats?.openVsClosed?.open ?? 0;
   const closedCount = stats?.openVsClosed?.closed ?? 0;
 
-  res.json({ ok: true, filters: statsFilters, ...stats, openCount, closedCount });
-});
+  return {
+    ok: true,
+    filters: statsFilters,
+    ...stats,
+    openCount,
+    closedCount,
+    statusPhases: statusPhaseCatalog(),
+    durationQuality: { minConfidence: DURATION_MIN_CONFIDENCE }
+  };
+}
 
-// export CSV
-app.get("/api/export.csv", async (req, res) => {
+app.get("/api/stats", async (req, res) => {
   const filters = parseFilters(req);
-  const limit = Math.min(Number(req.query.limit || 2000), 5000);
+  const badDates = invalidDateParams(req, filters);
+  if (badDates.length) return res.status(400).json({ ok: false, error: "bad_date", params: badDates });
 
-  // Export musí respektovat přesně aktuální filtry z UI.
-  // Žádný fallback bez filtrů – jinak uživatel dostane jiná data než vidí v tabulce.
-  const rows = await getEventsFiltered(filters, limit);
+  try {
+    return res.json(await statsForFilters(filters));
+  } catch (e) {
+    console.error("[stats]", e);
+    return res.status(500).json({ ok: false, error: "stats_failed" });
+  }
+});
+
+// ======================
+// Export dat (CSV / JSON / NDJSON / GeoJSON) – streamuje se po stránkách přes stejný kurzor
+// jako tabulka (getEventsPage), takže velký export nedrží řádky v paměti a nemá strop.
+// ======================
+const EXPORT_PAGE_SIZE = 500;
+const EXPORT_FORMATS = {
+  csv: { ext: "csv", contentType: "text/csv; charset=utf-8" },
+  json: { ext: "json", contentType: "application/json; charset=utf-8" },
+  ndjson: { ext: "ndjson", contentType: "application/x-ndjson; charset=utf-8" },
+  geojson: { ext: "geojson", contentType: "application/geo+json; charset=utf-8" }
+};
 
-  res.setHeader("Content-Type", "text/csv; charset=utf-8");
-  res.setHeader("Content-Disposition", `attachment; filename="jpo_vyjezdy_export.csv"`);
+function csvEscape(v) {
+  const s = String(v ?? "");
+  return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
 
-  const out = [];
-  // BOM pro Excel
-  out.push("\ufeff");
-  out.push("filtry;" + csvEscape(exportFiltersLabel(filters)));
-  out.push("pocet;" + csvEscape(String(rows.length)));
-  out.push("");
-  out.push("cas;stav;typ;mesto;delka;nazev;link");
+function fmtDate(v) {
+  if (!v) return "";
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return String(v);
+  return d.toLocaleString("cs-CZ", { timeZone: "Europe/Prague" });
+}
 
-  for (const r of rows) {
-    const cas = csvEscape(fmtDate(r.pub_date || r.created_at));
-    const stav = csvEscape(r.is_closed ? "ukoncena" : "aktivni");
-    const typ = csvEscape(typeLabel(r.event_type || "other"));
-    const mesto = csvEscape(r.city_text || r.place_text || "");
-    const delka = csvEscape(fmtDuration(r.duration_min));
-    const nazev = csvEscape(r.title || "");
-    const link = csvEscape(r.link || "");
-    out.push([cas, stav, typ, mesto, delka, nazev, link].join(";"));
+function fmtDuration(m) {
+  const n = Number(m);
+  if (m == null || !Number.isFinite(n) || n <= 0) return "";
+  const h = Math.floor(n / 60);
+  const mm = Math.round(n % 60);
+  return h <= 0 ? `${mm} min` : `${h} h ${mm} min`;
+}
+
+function exportIso(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? String(v) : d.toISOString();
+}
+
+function exportNumber(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Sloupce exportu: get = hodnota pro JSON/GeoJSON (čísla, bool, ISO časy), text = podoba v CSV.
+// Klíče navazují na původní CSV (cas;stav;typ;mesto;delka;nazev;link).
+const EXPORT_COLUMNS = {
+  id: { get: r => String(r.id) },
+  cas: { get: r => exportIso(r.pub_date || r.created_at), text: r => fmtDate(r.pub_date || r.created_at) },
+  stav: { get: r => (r.is_closed ? "ukoncena" : "aktivni") },
+  typ: { get: r => typeLabel(r.event_type || "other", r.event_subtype) },
+  typ_kod: { get: r => r.event_type || "other" },
+  podtyp: { get: r => r.event_subtype || null },
+  mesto: { get: r => r.city_text || r.place_text || "" },
+  misto: { get: r => r.place_text || null },
+  okres: { get: r => extractDistrictFromDescription(r.description_raw) },
+  delka: { get: r => exportNumber(r.duration_min), text: r => fmtDuration(r.duration_min) },
+  delka_min: { get: r => exportNumber(r.duration_min) },
+  zdroj_delky: { get: r => r.duration_source || null },
+  spolehlivost_delky: { get: r => exportNumber(r.duration_confidence) },
+  nazev: { get: r => r.title || "" },
+  link: { get: r => r.link || "" },
+  stupen: { get: r => exportNumber(r.alarm_level) },
+  stupen_text: { get: r => r.alarm_level_text || null },
+  vyznamna: { get: r => !!r.is_major_event, text: r => (r.is_major_event ? "ano" : "ne") },
+  duvod_vyznamu: { get: r => r.major_reason || null },
+  stav_text: { get: r => r.status_text || null },
+  faze: { get: r => r.status_phase || null },
+  zacatek: { get: r => exportIso(r.start_time_iso), text: r => fmtDate(r.start_time_iso) },
+  konec: { get: r => exportIso(r.end_time_iso), text: r => fmtDate(r.end_time_iso) },
+  lokalizace_min: { get: r => exportNumber(r.time_to_localize_min) },
+  likvidace_min: { get: r => exportNumber(r.time_to_extinguish_min) },
+  lat: { get: r => exportNumber(r.lat) },
+  lon: { get: r => exportNumber(r.lon) },
+  shluk: { get: r => r.incident_cluster_id || null },
+  poznamka: { get: r => r.manual_detail_text || null },
+  popis: { get: r => searchPlainText("description_raw", r.description_raw) || null },
+  prvni_videno: { get: r => exportIso(r.first_seen_at), text: r => fmtDate(r.first_seen_at) },
+  naposledy_videno: { get: r => exportIso(r.last_seen_at), text: r => fmtDate(r.last_seen_at) }
+};
+const EXPORT_DEFAULT_CSV_COLUMNS = ["cas", "stav", "typ", "mesto", "delka", "nazev", "link"];
+
+// columns= "a,b,c" | "all"; bez parametru CSV = původní sada, ostatní formáty = vše.
+function parseExportColumns(raw, format) {
+  // Bez filterListParam – ten ořezává na FILTER_MAX_CITIES, sloupců je víc.
+  const list = [...new Set([].concat(raw ?? []).flatMap(x => String(x).split(",")).map(x => x.trim()).filter(Boolean))];
+  if (!list.length) return { columns: format === "csv" ? EXPORT_DEFAULT_CSV_COLUMNS : Object.keys(EXPORT_COLUMNS) };
+  if (list.includes("all")) return { columns: Object.keys(EXPORT_COLUMNS) };
+  const unknown = list.filter(c => !EXPORT_COLUMNS[c]);
+  if (unknown.length) return { error: "unknown_columns", unknown };
+  return { columns: list };
+}
+
+// Zápis s ohledem na backpressure – pomalý klient (nebo disk) nesmí nafouknout buffer.
+async function exportWrite(out, chunk) {
+  if (out.write(chunk)) return;
+  await new Promise((resolve) => {
+    out.once("drain", resolve);
+    out.once("close", resolve);
+  });
+}
+
+// Zapíše export do libovolného Writable (HTTP odpověď, soubor). Hlavička nese popisek filtrů.
+// Vrací počet zapsaných řádků.
+async function writeEventsExport(out, { filters, preset = null, format = "csv", columns, maxRows = Infinity, meta = true, isAborted = () => false }) {
+  const total = Math.min(await countEventsFiltered(filters), maxRows);
+  const label = exportFiltersLabel(filters, preset);
+  const generatedAt = new Date().toISOString();
+  const cols = columns.map(key => [key, EXPORT_COLUMNS[key]]);
+
+  if (format === "csv") {
+    // BOM pro Excel
+    await exportWrite(out, "\ufeff");
+    if (meta) await exportWrite(out, `filtry;${csvEscape(label)}\npocet;${total}\nvygenerovano;${generatedAt}\n\n`);
+    await exportWrite(out, columns.join(";") + "\n");
+  } else if (format === "json") {
+    await exportWrite(out, `{"ok":true,"filters":${JSON.stringify(label)},"total":${total},"generated_at":"${generatedAt}","columns":${JSON.stringify(columns)},"items":[`);
+  } else if (format === "ndjson") {
+    if (meta) await exportWrite(out, JSON.stringify({ _meta: { filters: label, total, generated_at: generatedAt, columns } }) + "\n");
+  } else if (format === "geojson") {
+    await exportWrite(out, `{"type":"FeatureCollection","name":"jpo_vyjezdy","metadata":${JSON.stringify({ filters: label, total, generated_at: generatedAt })},"features":[`);
+  }
+
+  let cursor = null;
+  let written = 0;
+  try {
+    while (!isAborted() && written < maxRows) {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await getEventsPage(filters, { sort: "time", dir: "desc", cursor, limit: Math.min(EXPORT_PAGE_SIZE, maxRows - written) });
+      const chunks = page.rows.map((r, idx) => {
+        const first = written + idx === 0;
+        if (format === "csv") return cols.map(([, c]) => csvEscape(c.text ? c.text(r) : c.get(r))).join(";") + "\n";
+        const obj = Object.fromEntries(cols.map(([key, c]) => [key, c.get(r)]));
+        if (format === "ndjson") return JSON.stringify(obj) + "\n";
+        if (format === "json") return (first ? "" : ",") + JSON.stringify(obj);
+        const lat = exportNumber(r.lat);
+        const lon = exportNumber(r.lon);
+        const feature = {
+          type: "Feature",
+          id: String(r.id),
+          geometry: lat != null && lon != null ? { type: "Point", coordinates: [lon, lat] } : null,
+          properties: obj
+        };
+        return (first ? "" : ",") + JSON.stringify(feature);
+      });
+      written += page.rows.length;
+      // eslint-disable-next-line no-await-in-loop
+      if (chunks.length) await exportWrite(out, chunks.join(""));
+      if (!page.nextCursor) break;
+      cursor = page.nextCursor;
+    }
+  } catch (e) {
+    // Hlavička už odešla – chybu zapíšeme do souboru, ať export tiše neskončí v půlce.
+    console.error("[export]", e);
+    const detail = String(e?.message || e);
+    if (format === "csv") await exportWrite(out, `\nchyba;${csvEscape(detail)}\n`);
+    else if (format === "ndjson") await exportWrite(out, JSON.stringify({ _error: detail }) + "\n");
+    else await exportWrite(out, `],"error":${JSON.stringify(detail)}}`);
+    return { written, failed: true };
+  }
+
+  if (format === "json" || format === "geojson") await exportWrite(out, "]}");
+  return { written, failed: false };
+}
+
+async function handleEventsExport(req, res, format) {
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ ok: false, error: "bad_format", formats: Object.keys(EXPORT_FORMATS) });
+  let resolved;
+  try {
+    resolved = await resolveRequestFilters(req);
+  } catch (e) {
+    console.error("[export]", e);
+    return res.status(500).json({ ok: false, error: "export_failed", detail: String(e?.message || e) });
+  }
+  const { filters, preset, error } = resolved;
+  if (error) return res.status(error.status).json({ ok: false, error: error.code });
+  const cols = parseExportColumns(req.query.columns, format);
+  if (cols.error) return res.status(400).json({ ok: false, error: cols.error, unknown: cols.unknown, columns: Object.keys(EXPORT_COLUMNS) });
+  // Volitelný strop (?limit=); bez něj se exportuje vše, co odpovídá filtrům.
+  const maxRows = Number(req.query.limit) > 0 ? Math.floor(Number(req.query.limit)) : Infinity;
+
+  let aborted = false;
+  req.on("close", () => { aborted = true; });
+
+  // Export musí respektovat přesně aktuální filtry z UI.
+  // Žádný fallback bez filtrů – jinak uživatel dostane jiná data než vidí v tabulce.
+  const def = EXPORT_FORMATS[format];
+  res.setHeader("Content-Type", def.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="jpo_vyjezdy_export.${def.ext}"`);
+  try {
+    await writeEventsExport(res, {
+      filters,
+      preset,
+      format,
+      columns: cols.columns,
+      maxRows,
+      meta: String(req.query.meta ?? "1") !== "0",
+      isAborted: () => aborted
+    });
+  } catch (e) {
+    console.error("[export]", e);
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: "export_failed", detail: String(e?.message || e) });
   }
+  res.end();
+}
 
-  res.send(out.join("\n"));
+// Dostupné sloupce a formáty (pro UI exportu).
+app.get("/api/export/columns", (req, res) => {
+  res.json({ ok: true, columns: Object.keys(EXPORT_COLUMNS), default_csv: EXPORT_DEFAULT_CSV_COLUMNS, formats: Object.keys(EXPORT_FORMATS) });
 });
 
+// /api/export?format=csv|json|ndjson|geojson&columns=…  (+ všechny filtry z parseFilters, ?preset=, ?meta=0)
+app.get("/api/export", (req, res) => handleEventsExport(req, res, String(req.query.format || "csv").toLowerCase()));
+app.get("/api/export.csv", (req, res) => handleEventsExport(req, res, "csv"));
+
 
 // export PDF
 function tryApplyPdfFont(doc) {
@@ -3838,102 +8428,469 @@ function tryApplyPdfFont(doc) {
   }
 }
 
-app.get("/api/export.pdf", async (req, res) => {
-  const filters = parseFilters(req);
-  const limit = Math.min(Number(req.query.limit || 800), 2000);
+// ======================
+// Export PDF – titulní souhrn (typy, stavy, graf po dnech, TOP města, nejdelší zásahy),
+// statická mapa kreslená vektorově přes pdfkit, tabulka a volitelně detail každé události.
+// Souhrn se počítá ze všech odpovídajících událostí (po stránkách), tabulka má vlastní limit.
+// ======================
+const PDF_EXPORT_SUMMARY_MAX_ROWS = Math.max(1000, Math.min(100_000, Number(process.env.FIREWATCH_PDF_SUMMARY_MAX_ROWS || 20_000)));
+const PDF_EXPORT_MAP_MAX_POINTS = 5000;
+const PDF_EXPORT_DETAIL_MAX = 150;
+const PDF_TYPE_COLORS = {
+  fire: "#e0603f",
+  traffic: "#4a8fe0",
+  tech: "#8a8a8a",
+  rescue: "#2fb872",
+  false_alarm: "#e0a040",
+  other: "#9a70e0"
+};
 
-  // Export PDF musí respektovat přesně aktuální filtry z UI.
-  // Žádný fallback bez filtrů – jinak PDF neodpovídá tabulce na webu.
-  const rows = await getEventsFiltered(filters, limit);
+// Zjednodušený obrys Středočeského kraje [lon, lat]; druhý prstenec je Praha (otvor).
+// Přesnější hranici lze dodat GeoJSON souborem (Polygon / MultiPolygon / Feature / FeatureCollection).
+const PDF_REGION_OUTLINE_DEFAULT = [
+  [
+    [13.42, 50.12], [13.55, 50.26], [13.78, 50.33], [14.02, 50.39], [14.2, 50.47], [14.36, 50.53],
+    [14.55, 50.57], [14.75, 50.55], [14.92, 50.6], [15.05, 50.55], [15.16, 50.47], [15.22, 50.37],
+    [15.34, 50.28], [15.43, 50.16], [15.5, 50.03], [15.55, 49.9], [15.5, 49.79], [15.36, 49.7],
+    [15.16, 49.62], [14.93, 49.55], [14.68, 49.5], [14.42, 49.52], [14.16, 49.5], [13.92, 49.52],
+    [13.76, 49.61], [13.7, 49.77], [13.6, 49.89], [13.46, 49.98], [13.42, 50.12]
+  ],
+  [
+    [14.25, 50.1], [14.35, 50.17], [14.52, 50.18], [14.67, 50.12], [14.71, 50.03], [14.6, 49.95],
+    [14.4, 49.94], [14.25, 50.0], [14.25, 50.1]
+  ]
+];
+const PDF_REGION_GEOJSON_PATH = String(process.env.FIREWATCH_PDF_REGION_GEOJSON || "").trim();
+let pdfRegionOutlineCache = null;
+
+function geoJsonRings(g) {
+  if (!g || typeof g !== "object") return [];
+  if (g.type === "FeatureCollection") return (g.features || []).flatMap(geoJsonRings);
+  if (g.type === "Feature") return geoJsonRings(g.geometry);
+  if (g.type === "Polygon") return g.coordinates || [];
+  if (g.type === "MultiPolygon") return (g.coordinates || []).flat();
+  return [];
+}
 
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader("Content-Disposition", `attachment; filename="jpo_vyjezdy_export.pdf"`);
+function pdfRegionOutline() {
+  if (pdfRegionOutlineCache) return pdfRegionOutlineCache;
+  pdfRegionOutlineCache = PDF_REGION_OUTLINE_DEFAULT;
+  if (PDF_REGION_GEOJSON_PATH) {
+    try {
+      const rings = geoJsonRings(JSON.parse(fs.readFileSync(PDF_REGION_GEOJSON_PATH, "utf8")))
+        .filter(r => Array.isArray(r) && r.length >= 3);
+      if (rings.length) pdfRegionOutlineCache = rings;
+      else console.warn("[export-pdf] region GeoJSON has no polygons, using built-in outline");
+    } catch (e) {
+      console.warn("[export-pdf] region GeoJSON load failed:", e?.message || e);
+    }
+  }
+  return pdfRegionOutlineCache;
+}
 
-  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 24 });
-  doc.pipe(res);
+// Projde všechny odpovídající události po stránkách a složí souhrn; řádky drží jen pro tabulku a detaily.
+async function collectPdfExportData(filters, { tableLimit, detailMode }) {
+  const total = await countEventsFiltered(filters);
+  const byType = new Map();
+  const byDay = new Map();
+  const byCity = new Map();
+  const longest = [];
+  const points = [];
+  const tableRows = [];
+  const detailRows = [];
+  let open = 0;
+  let closed = 0;
+  let major = 0;
+  let missingCoords = 0;
+  let scanned = 0;
+  let cursor = null;
+
+  while (scanned < PDF_EXPORT_SUMMARY_MAX_ROWS) {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await getEventsPage(filters, { sort: "time", dir: "desc", cursor, limit: Math.min(EXPORT_PAGE_SIZE, PDF_EXPORT_SUMMARY_MAX_ROWS - scanned) });
+    for (const r of page.rows) {
+      scanned++;
+      const type = r.event_type || "other";
+      const t = byType.get(type) || { type, name: typeNameForStats(r), count: 0, active: 0, closed: 0 };
+      t.count++;
+      if (r.is_closed) { t.closed++; closed++; } else { t.active++; open++; }
+      byType.set(type, t);
+      if (r.is_major_event) major++;
+
+      const day = eventDayKeyForStats(r);
+      if (day) byDay.set(day, (byDay.get(day) || 0) + 1);
+      const city = String(r.city_text || r.place_text || "Neznámé místo").trim() || "Neznámé místo";
+      byCity.set(city, (byCity.get(city) || 0) + 1);
+
+      // Stejná politika jako v archivních reportech – nespolehlivé délky do žebříčku nepatří.
+      const [dr] = REPORT_DURATION_QUALITY === "reliable" ? withReliableDurations([r]) : [r];
+      if (Number(dr.duration_min || 0) > 0) {
+        longest.push({ id: r.id, title: r.title || "", city, type: reportTypeLabel(type, r.event_subtype), duration_min: Number(dr.duration_min), date: eventDayKeyForStats(r) });
+        if (longest.length > 50) longest.sort((a, b) => b.duration_min - a.duration_min).splice(12);
+      }
 
-  tryApplyPdfFont(doc);
+      const lat = Number(r.lat);
+      const lon = Number(r.lon);
+      if (r.lat != null && r.lon != null && Number.isFinite(lat) && Number.isFinite(lon)) {
+        if (points.length < PDF_EXPORT_MAP_MAX_POINTS) points.push({ lat, lon, type, major: !!r.is_major_event || Number(r.alarm_level || 0) >= 2 });
+      } else {
+        missingCoords++;
+      }
 
-  const now = new Date();
-  doc.fontSize(18).fillColor("#000").text("JPO výjezdy – export");
-  doc.moveDown(0.2);
-    doc.fontSize(10).fillColor("#333").text(`Vygenerováno: ${now.toLocaleString("cs-CZ")}`);
-  doc.moveDown(0.2);
-  doc.fontSize(10).fillColor("#333").text(`Filtry: ${exportFiltersLabel(filters)}`);
-  doc.moveDown(0.2);
-  doc.fontSize(10).fillColor("#333").text(`Počet záznamů v exportu: ${rows.length}`);
-  doc.moveDown(0.8);
-
-  if (rows.length === 0) {
-    doc.fontSize(13).fillColor("#b45309").text("Pro aktuální filtry nebyly nalezeny žádné záznamy.");
-    doc.end();
-    return;
+      if (tableRows.length < tableLimit) tableRows.push(r);
+      if (detailMode && detailRows.length < PDF_EXPORT_DETAIL_MAX && (detailMode === "all" || safeText(r.manual_detail_text))) detailRows.push(r);
+    }
+    if (!page.nextCursor) break;
+    cursor = page.nextCursor;
   }
 
-  const col = {
-    time: 24,
-    state: 155,
-    type: 240,
-    city: 330,
-    dur: 470,
-    title: 555
+  const sortDesc = (a, b) => b.count - a.count;
+  return {
+    total,
+    scanned,
+    open,
+    closed,
+    major,
+    missingCoords,
+    typeStats: [...byType.values()].map(t => ({ ...t, percent: safePercent(t.count, scanned) })).sort(sortDesc),
+    topCities: [...byCity.entries()].map(([name, count]) => ({ name, count, percent: safePercent(count, scanned) })).sort(sortDesc).slice(0, 10),
+    dayBuckets: pdfDayBuckets(byDay),
+    longest: longest.sort((a, b) => b.duration_min - a.duration_min).slice(0, 10),
+    points,
+    tableRows,
+    detailRows
   };
+}
 
-  doc.fontSize(10).fillColor("#000");
-  doc.text("Čas", col.time, doc.y);
-  doc.text("Stav", col.state, doc.y);
-  doc.text("Typ", col.type, doc.y);
-  doc.text("Město", col.city, doc.y);
-  doc.text("Délka", col.dur, doc.y);
-  doc.text("Název", col.title, doc.y);
-  doc.moveDown(0.5);
-  doc.moveTo(24, doc.y).lineTo(820, doc.y).strokeColor("#ddd").stroke();
-  doc.moveDown(0.3);
-
-  const fmt = (v) => {
-    if (!v) return "";
-    const d = new Date(v);
-    if (Number.isNaN(d.getTime())) return String(v);
-    return d.toLocaleString("cs-CZ");
-  };
+// Souvislá řada dnů (i s nulami); při delším období než ~2 měsíce se sčítá po měsících.
+function pdfDayBuckets(byDay) {
+  const keys = [...byDay.keys()].sort();
+  if (!keys.length) return { unit: "day", items: [] };
+  const start = new Date(`${keys[0]}T00:00:00Z`);
+  const end = new Date(`${keys[keys.length - 1]}T00:00:00Z`);
+  const days = Math.round((end - start) / 86_400_000) + 1;
+  if (days > 62) {
+    const byMonth = new Map();
+    for (const [k, n] of byDay) byMonth.set(k.slice(0, 7), (byMonth.get(k.slice(0, 7)) || 0) + n);
+    const items = [];
+    for (let d = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1)); d <= end; d.setUTCMonth(d.getUTCMonth() + 1)) {
+      const k = d.toISOString().slice(0, 7);
+      items.push({ key: k, label: `${k.slice(5, 7)}/${k.slice(2, 4)}`, count: byMonth.get(k) || 0 });
+    }
+    return { unit: "month", items };
+  }
+  const items = [];
+  for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    const k = d.toISOString().slice(0, 10);
+    items.push({ key: k, label: `${Number(k.slice(8, 10))}.${Number(k.slice(5, 7))}.`, count: byDay.get(k) || 0 });
+  }
+  return { unit: "day", items };
+}
 
-  const fmtDur = (m) => {
-    if (!Number.isFinite(m) || m <= 0) return "—";
-    const h = Math.floor(m / 60);
-    const mm = m % 60;
-    if (h <= 0) return `${mm} min`;
-    return `${h} h ${mm} min`;
-  };
+function drawPdfBarChart(doc, buckets, x, y, w, h) {
+  const items = buckets.items;
+  doc.rect(x, y, w, h).strokeColor("#ddd").lineWidth(0.5).stroke();
+  if (!items.length) {
+    doc.fontSize(9).fillColor("#888").text("Bez dat", x, y + h / 2 - 5, { width: w, align: "center" });
+    return;
+  }
+  const padL = 26;
+  const padB = 16;
+  const plotW = w - padL - 6;
+  const plotH = h - padB - 8;
+  const max = Math.max(1, ...items.map(i => i.count));
+  const slot = plotW / items.length;
+  const barW = Math.max(1, slot * 0.75);
+  const baseY = y + 8 + plotH;
+
+  doc.fontSize(7).fillColor("#777");
+  doc.text(String(max), x + 2, y + 4, { width: padL - 4, align: "right" });
+  doc.text("0", x + 2, baseY - 6, { width: padL - 4, align: "right" });
+  doc.moveTo(x + padL, baseY).lineTo(x + w - 6, baseY).strokeColor("#bbb").lineWidth(0.5).stroke();
+
+  items.forEach((it, idx) => {
+    if (!it.count) return;
+    const bh = (it.count / max) * plotH;
+    doc.rect(x + padL + idx * slot + (slot - barW) / 2, baseY - bh, barW, bh).fill("#e0603f");
+  });
 
-  for (const r of rows) {
+  // popisky osy X jen řídce, ať se nepřekrývají
+  const every = Math.max(1, Math.ceil(items.length / Math.max(1, Math.floor(plotW / 34))));
+  doc.fontSize(6.5).fillColor("#666");
+  items.forEach((it, idx) => {
+    if (idx % every) return;
+    doc.text(it.label, x + padL + idx * slot - 12 + slot / 2, baseY + 3, { width: 24, align: "center", lineBreak: false });
+  });
+}
+
+function drawPdfSummaryPage(doc, data, { filtersLabel }) {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const usableW = right - left;
+
+  doc.fontSize(18).fillColor("#111").text("JPO výjezdy – export", left, doc.page.margins.top, { width: usableW });
+  doc.fontSize(9).fillColor("#555");
+  doc.text(`Vygenerováno: ${formatReportDateTimeCs(Date.now())}`, left, doc.y + 2, { width: usableW });
+  doc.text(`Filtry: ${filtersLabel}`, left, doc.y, { width: usableW });
+  if (data.scanned < data.total) {
+    doc.fillColor("#b45309").text(`Souhrn zahrnuje ${data.scanned} nejnovějších z ${data.total} odpovídajících událostí.`, left, doc.y, { width: usableW });
+  }
+  doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).strokeColor("#ddd").lineWidth(0.8).stroke();
+
+  const gap = 10;
+  const cards = [
+    ["Celkem", data.total],
+    ["Aktivní", data.open],
+    ["Ukončené", data.closed],
+    ["Významné", data.major],
+    ["Bez GPS", data.missingCoords]
+  ];
+  const cardW = (usableW - gap * (cards.length - 1)) / cards.length;
+  const cardH = 42;
+  const y0 = doc.y + 12;
+  cards.forEach((c, idx) => {
+    const x = left + idx * (cardW + gap);
+    doc.roundedRect(x, y0, cardW, cardH, 6).strokeColor("#c8c8c8").lineWidth(0.8).stroke();
+    doc.fontSize(8).fillColor("#666").text(c[0], x + 8, y0 + 6, { width: cardW - 16 });
+    doc.fontSize(15).fillColor("#111").text(String(c[1] ?? 0), x + 8, y0 + 19, { width: cardW - 16 });
+  });
+
+  const halfGap = 20;
+  const halfW = (usableW - halfGap) / 2;
+  const rightX = left + halfW + halfGap;
+  const y1 = y0 + cardH + 14;
+
+  doc.fontSize(12).fillColor("#111").text("Podle typu a stavu", left, y1, { width: halfW });
+  drawPdfTableRows(doc, data.typeStats.slice(0, 8), [
+    { label: "Typ", x: left, w: halfW - 170, value: "name" },
+    { label: "Celkem", x: left + halfW - 165, w: 40, value: "count" },
+    { label: "Aktivní", x: left + halfW - 120, w: 40, value: "active" },
+    { label: "Ukončené", x: left + halfW - 75, w: 45, value: "closed" },
+    { label: "%", x: left + halfW - 28, w: 28, value: "percent" }
+  ], y1 + 18, { rowHeight: 14 });
+  const yTypesEnd = doc.y;
+
+  doc.fontSize(12).fillColor("#111").text(data.dayBuckets.unit === "month" ? "Události po měsících" : "Události po dnech", rightX, y1, { width: halfW });
+  const chartH = 140;
+  drawPdfBarChart(doc, data.dayBuckets, rightX, y1 + 18, halfW, chartH);
+
+  const y2 = Math.max(yTypesEnd, y1 + 18 + chartH) + 12;
+  doc.fontSize(12).fillColor("#111").text("TOP města / lokality", left, y2, { width: halfW });
+  drawPdfTableRows(doc, data.topCities, [
+    { label: "Město", x: left, w: halfW - 90, value: "name" },
+    { label: "Počet", x: left + halfW - 85, w: 40, value: "count" },
+    { label: "%", x: left + halfW - 40, w: 40, value: "percent" }
+  ], y2 + 18, { rowHeight: 14 });
+
+  doc.fontSize(12).fillColor("#111").text("Nejdelší zásahy", rightX, y2, { width: halfW });
+  drawPdfTableRows(doc, data.longest, [
+    { label: "Datum", x: rightX, w: 52, value: (x) => formatReportDateCs(x.date) },
+    { label: "Délka", x: rightX + 54, w: 58, value: (x) => formatMinutesLong(x.duration_min) },
+    { label: "Město", x: rightX + 114, w: 90, value: "city" },
+    { label: "Název", x: rightX + 206, w: halfW - 206, value: "title" }
+  ], y2 + 18, { rowHeight: 14 });
+}
+
+// Statická mapa: obrys kraje + body událostí, ekvidistantní projekce s korekcí cos(lat).
+function drawPdfEventsMap(doc, data) {
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const legendW = 170;
+  const boxW = doc.page.width - doc.page.margins.left - doc.page.margins.right - legendW - 16;
+  const boxY = top + 26;
+  const boxH = doc.page.height - doc.page.margins.bottom - boxY;
+
+  doc.fontSize(14).fillColor("#111").text("Mapa událostí", left, top, { width: boxW });
+  doc.rect(left, boxY, boxW, boxH).strokeColor("#ddd").lineWidth(0.5).stroke();
+
+  const rings = pdfRegionOutline();
+  const all = rings.flat();
+  let minLon = Math.min(...all.map(p => p[0]));
+  let maxLon = Math.max(...all.map(p => p[0]));
+  let minLat = Math.min(...all.map(p => p[1]));
+  let maxLat = Math.max(...all.map(p => p[1]));
+  const padLon = (maxLon - minLon) * 0.04;
+  const padLat = (maxLat - minLat) * 0.04;
+  minLon -= padLon; maxLon += padLon; minLat -= padLat; maxLat += padLat;
+
+  const kx = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const scale = Math.min(boxW / ((maxLon - minLon) * kx), boxH / (maxLat - minLat));
+  const offX = left + (boxW - (maxLon - minLon) * kx * scale) / 2;
+  const offY = boxY + (boxH - (maxLat - minLat) * scale) / 2;
+  const project = (lon, lat) => [offX + (lon - minLon) * kx * scale, offY + (maxLat - lat) * scale];
+
+  doc.save();
+  for (const ring of rings) {
+    ring.forEach(([lon, lat], idx) => {
+      const [px, py] = project(lon, lat);
+      if (idx === 0) doc.moveTo(px, py);
+      else doc.lineTo(px, py);
+    });
+    doc.closePath();
+  }
+  doc.lineWidth(0.8).fillAndStroke("#f4f1ea", "#9a8f7a", "even-odd");
+  doc.restore();
+
+  let outside = 0;
+  const counts = new Map();
+  // významné až nakonec, ať nejsou schované pod ostatními
+  const ordered = [...data.points].sort((a, b) => Number(a.major) - Number(b.major));
+  for (const p of ordered) {
+    if (p.lon < minLon || p.lon > maxLon || p.lat < minLat || p.lat > maxLat) {
+      outside++;
+      continue;
+    }
+    const [px, py] = project(p.lon, p.lat);
+    const color = PDF_TYPE_COLORS[p.type] || PDF_TYPE_COLORS.other;
+    doc.circle(px, py, p.major ? 4 : 2.4).lineWidth(p.major ? 1 : 0.4).fillAndStroke(color, p.major ? "#111" : "#fff");
+    counts.set(p.type, (counts.get(p.type) || 0) + 1);
+  }
+
+  const lx = left + boxW + 16;
+  let ly = boxY + 4;
+  doc.fontSize(10).fillColor("#111").text("Legenda", lx, ly, { width: legendW });
+  ly += 18;
+  for (const [type, color] of Object.entries(PDF_TYPE_COLORS)) {
+    doc.circle(lx + 5, ly + 5, 4).fill(color);
+    doc.fontSize(9).fillColor("#222").text(`${typeLabel(type)} (${counts.get(type) || 0})`, lx + 16, ly, { width: legendW - 16 });
+    ly += 15;
+  }
+  doc.circle(lx + 5, ly + 5, 4).lineWidth(1).fillAndStroke("#fff", "#111");
+  doc.fontSize(9).fillColor("#222").text("Významná / 2.+ stupeň", lx + 16, ly, { width: legendW - 16 });
+  ly += 24;
+
+  doc.fontSize(8).fillColor("#666");
+  const notes = [`Na mapě: ${data.points.length - outside}`, `Bez souřadnic: ${data.missingCoords}`];
+  if (outside) notes.push(`Mimo výřez mapy: ${outside}`);
+  if (data.points.length >= PDF_EXPORT_MAP_MAX_POINTS) notes.push(`Zobrazeno prvních ${PDF_EXPORT_MAP_MAX_POINTS} bodů.`);
+  notes.push(PDF_REGION_GEOJSON_PATH && pdfRegionOutline() !== PDF_REGION_OUTLINE_DEFAULT ? "Hranice kraje z konfigurace." : "Obrys kraje je zjednodušený.");
+  notes.forEach(n => { doc.text(n, lx, ly, { width: legendW }); ly += 12; });
+}
+
+function drawPdfEventDetail(doc, r) {
+  const left = doc.page.margins.left;
+  const usableW = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const fmtMin = (m) => (m == null ? "—" : formatMinutesLong(m));
+
+  doc.fontSize(15).fillColor("#111").text(r.title || "(bez názvu)", left, doc.page.margins.top, { width: usableW });
+  doc.moveDown(0.4);
+  const facts = [
+    ["Čas", fmtDate(r.pub_date || r.created_at)],
+    ["Typ", typeLabel(r.event_type || "other", r.event_subtype)],
+    ["Stav", `${r.is_closed ? "ukončeno" : "aktivní"}${r.status_text ? ` – ${r.status_text}` : ""}`],
+    ["Místo", [r.city_text, r.place_text].filter(Boolean).filter((v, i, a) => a.indexOf(v) === i).join(", ") || "—"],
+    ["Okres", extractDistrictFromDescription(r.description_raw) || "—"],
+    ["Stupeň poplachu", r.alarm_level_text || (r.alarm_level != null ? String(r.alarm_level) : "—")],
+    ["Významná událost", r.is_major_event ? `ano${r.major_reason ? ` (${r.major_reason})` : ""}` : "ne"],
+    ["Začátek / konec", `${fmtDate(r.start_time_iso) || "—"} / ${fmtDate(r.end_time_iso) || "—"}`],
+    ["Délka", fmtDuration(r.duration_min) || "—"],
+    ["Do lokalizace / likvidace", `${fmtMin(r.time_to_localize_min)} / ${fmtMin(r.time_to_extinguish_min)}`],
+    ["Souřadnice", r.lat != null && r.lon != null ? `${Number(r.lat).toFixed(5)}, ${Number(r.lon).toFixed(5)}` : "—"],
+    ["Odkaz", r.link || "—"]
+  ];
+  for (const [k, v] of facts) {
     const y = doc.y;
+    doc.fontSize(9).fillColor("#666").text(k, left, y, { width: 150 });
+    doc.fontSize(9).fillColor("#111").text(String(v), left + 155, y, { width: usableW - 155 });
+    doc.y = Math.max(doc.y, y + 12) + 2;
+  }
 
-    const time = fmt(r.pub_date || r.created_at);
-    const state = r.is_closed ? "UKONČENO" : "AKTIVNÍ";
-    const typ = typeLabel(r.event_type || "other");
-    const city = r.city_text || r.place_text || "";
-    const dur = fmtDur(r.duration_min);
-    const title = r.title || "";
-
-    doc.fillColor("#000").text(time, col.time, y, { width: 120 });
-    doc.fillColor("#000").text(state, col.state, y, { width: 80 });
-    doc.fillColor("#000").text(typ, col.type, y, { width: 85 });
-    doc.fillColor("#000").text(city, col.city, y, { width: 130 });
-    doc.fillColor("#000").text(dur, col.dur, y, { width: 70 });
-    doc.fillColor("#000").text(title, col.title, y, { width: 260 });
-
-    doc.moveDown(0.35);
-    doc.moveTo(24, doc.y).lineTo(820, doc.y).strokeColor("#f0f0f0").stroke();
-    doc.moveDown(0.25);
+  const block = (title, text) => {
+    if (!text) return;
+    doc.moveDown(0.6);
+    doc.fontSize(11).fillColor("#111").text(title, left, doc.y, { width: usableW });
+    doc.moveDown(0.2);
+    doc.fontSize(9).fillColor("#222").text(text, left, doc.y, { width: usableW, lineGap: 1.5 });
+  };
+  block("Doplňující informace", safeText(r.manual_detail_text));
+  block("Popis z hlášení", safeText(searchPlainText("description_raw", r.description_raw)));
+}
+
+// Vykreslí PDF do libovolného Writable (HTTP odpověď, buffer odběru) a počká na dopsání.
+function writeEventsPdf(out, data, { filtersLabel, withMap = true }) {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 24 });
+  const done = new Promise((resolve, reject) => {
+    out.once("finish", resolve);
+    out.once("close", resolve);
+    out.once("error", reject);
+    doc.once("error", reject);
+  });
+  doc.pipe(out);
 
-    if (doc.y > 560) doc.addPage();
+  tryApplyPdfFont(doc);
+
+  drawPdfSummaryPage(doc, data, { filtersLabel });
+
+  if (!data.tableRows.length) {
+    doc.moveDown(1);
+    doc.fontSize(13).fillColor("#b45309").text("Pro aktuální filtry nebyly nalezeny žádné záznamy.", doc.page.margins.left);
+    doc.end();
+    return done;
+  }
+
+  if (withMap) {
+    doc.addPage();
+    drawPdfEventsMap(doc, data);
+  }
+
+  doc.addPage();
+  const left = doc.page.margins.left;
+  doc.fontSize(14).fillColor("#111").text("Seznam událostí", left, doc.page.margins.top);
+  if (data.tableRows.length < data.total) {
+    doc.fontSize(9).fillColor("#555").text(`Tabulka obsahuje ${data.tableRows.length} nejnovějších z ${data.total} událostí.`, left, doc.y);
+  }
+  drawPdfTableRows(doc, data.tableRows, [
+    { label: "Čas", x: 24, w: 120, value: (r) => fmtDate(r.pub_date || r.created_at) },
+    { label: "Stav", x: 150, w: 60, value: (r) => (r.is_closed ? "UKONČENO" : "AKTIVNÍ") },
+    { label: "Typ", x: 215, w: 110, value: (r) => typeLabel(r.event_type || "other", r.event_subtype) },
+    { label: "Město", x: 330, w: 130, value: (r) => r.city_text || r.place_text || "" },
+    { label: "Délka", x: 465, w: 70, value: (r) => fmtDuration(r.duration_min) || "—" },
+    { label: "Název", x: 540, w: 278, value: "title" }
+  ], doc.y + 6, { rowHeight: 16 });
+
+  for (const r of data.detailRows) {
+    doc.addPage();
+    drawPdfEventDetail(doc, r);
   }
 
   doc.end();
+  return done;
+}
+
+app.get("/api/export.pdf", async (req, res) => {
+  const limit = Math.max(1, Math.min(Number(req.query.limit || 800) || 800, 2000));
+  // ?details=1 → detail každé události z tabulky, ?details=manual → jen ty s ručně doplněným textem
+  const detailsRaw = String(req.query.details || "").toLowerCase();
+  const detailMode = detailsRaw === "manual" ? "manual" : ["1", "true", "all"].includes(detailsRaw) ? "all" : null;
+  const withMap = String(req.query.map ?? "1") !== "0";
+
+  // Export PDF musí respektovat přesně aktuální filtry z UI.
+  // Žádný fallback bez filtrů – jinak PDF neodpovídá tabulce na webu.
+  let data;
+  let filters;
+  let preset;
+  try {
+    const resolved = await resolveRequestFilters(req);
+    if (resolved.error) return res.status(resolved.error.status).json({ ok: false, error: resolved.error.code });
+    ({ filters, preset } = resolved);
+    data = await collectPdfExportData(filters, { tableLimit: limit, detailMode });
+  } catch (e) {
+    console.error("[export-pdf]", e);
+    return res.status(500).json({ ok: false, error: "export_failed", detail: String(e?.message || e) });
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="jpo_vyjezdy_export.pdf"`);
+  try {
+    await writeEventsPdf(res, data, { filtersLabel: exportFiltersLabel(filters, preset), withMap });
+  } catch (e) {
+    console.error("[export-pdf]", e);
+    res.end();
+  }
 });
 
 // admin: geocode cache purge + re-geocode (ponecháno na API key)
-app.post("/api/admin/fix-geocode", requireKey, async (req, res) => {
+app.post("/api/admin/fix-geocode", requireKey("fix-geocode"), async (req, res) => {
   try {
     const mode = String(req.body?.mode || "preview");
     const bad = await getEventsOutsideCz(300);
@@ -3950,13 +8907,14 @@ app.post("/api/admin/fix-geocode", requireKey, async (req, res) => {
       if (mode !== "preview") {
         await deleteCachedGeocode(q);
         cacheDeleted++;
-        await clearEventCoords(r.id);
+        await clearEventCoords(r.id, { source: "auto" });
         coordsCleared++;
+        publishLiveEventChanges([{ id: r.id, kind: "updated" }]);
       }
 
       const g = await geocodePlace(q);
       if (g && mode !== "preview") {
-        await updateEventCoords(r.id, g.lat, g.lon);
+        await updateEventCoords(r.id, g.lat, g.lon, g.source || "auto", q);
         reGeocoded++;
       } else if (!g) {
         failed++;
@@ -4019,7 +8977,14 @@ app.get("/api/stats/pro", async (req, res) => {
       getEventsForPeriod(dateOnlyIso(range.previousStart), dateOnlyIso(range.previousEnd))
     ]);
 
-    const payload = buildStatsProPayload({ preset: chosen, currentRows, previousRows, range });
+    const durationQuality = String(req.query.duration_quality || "").trim() === "reliable" ? "reliable" : "all";
+    const payload = buildStatsProPayload({
+      preset: chosen,
+      currentRows: durationQuality === "reliable" ? withReliableDurations(currentRows) : currentRows,
+      previousRows,
+      range
+    });
+    payload.durationQuality = durationQuality;
     res.json({ ok: true, stats: payload });
   } catch (e) {
     console.error("[stats-pro]", e);
@@ -4107,7 +9072,31 @@ app.get("/api/reports/:type/:key", async (req, res) => {
 
 
 
-app.get("/health", (req, res) => res.send("OK"));
+// Vždy 200: ticho ESP není důvod, aby platforma restartovala server. Stav je v JSON.
+app.get("/health", (req, res) => {
+  const ingest = ingestWatchdogSnapshot;
+  res.set("Cache-Control", "no-store");
+  res.json({
+    ok: true,
+    status: ingest.status === "degraded" ? "degraded" : "ok",
+    uptime_sec: Math.round(process.uptime()),
+    checked_at: new Date().toISOString(),
+    ingest: {
+      status: ingest.status,
+      checked_at: ingest.checked_at,
+      sources: (ingest.sources || [])
+        .filter(s => s.status !== "inactive")
+        .map(s => ({
+          name: s.source,
+          kind: s.source_kind,
+          status: s.status,
+          last_at: s.last_ok_at,
+          silent_for_min: s.silent_for_min,
+          expected_gap_min: s.expected_gap_min
+        }))
+    }
+  });
+});
 
 async function ensureInitialAdmin() {
   // optional bootstrap via env vars
@@ -4125,19 +9114,164 @@ async function ensureInitialAdmin() {
 }
 
 
+// ======================
+// Auto-close neaktivních událostí – politiky podle typu, stupně poplachu a významnosti
+// ======================
+// Pravidla se zkoušejí shora dolů, první zapnuté, které sedí, určí práh; jinak platí "default".
+// stale_minutes = jak dlouho událost nesmí přijít, než je podezřelá; grace_minutes = jak dlouho pak ještě
+// čeká (označená ve frontě), než se zavře. mode "confirm" = nikdy nezavírat automaticky, jen označit k potvrzení.
+const STALE_POLICY_SETTING = "stale_close_policy";
+const STALE_POLICY_MODES = ["auto", "confirm"];
+const STALE_POLICY_MAJOR = ["any", "yes", "no"];
+const STALE_POLICY_MAX_RULES = 30;
+const STALE_POLICY_MAX_MINUTES = 7 * 24 * 60;
+const STALE_POLICY_DEFAULT_NAME = "Výchozí";
+
+const DEFAULT_STALE_POLICY = {
+  version: 1,
+  default: { stale_minutes: STALE_CLOSE_MINUTES, grace_minutes: 0, mode: "auto" },
+  rules: [
+    { name: "III. stupeň a vyšší", enabled: true, event_type: "", min_alarm_level: 3, major: "any", stale_minutes: 60, grace_minutes: 0, mode: "confirm" },
+    { name: "Významné události", enabled: true, event_type: "", min_alarm_level: null, major: "yes", stale_minutes: 60, grace_minutes: 120, mode: "auto" },
+    { name: "II. stupeň", enabled: true, event_type: "", min_alarm_level: 2, major: "any", stale_minutes: 40, grace_minutes: 30, mode: "auto" }
+  ]
+};
+
+let stalePolicy = DEFAULT_STALE_POLICY;
+let stalePolicyIsDefault = true;
+
+function staleMinutesOrNull(v) {
+  if (v === "" || v == null) return null;
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function normalizeStaleLimits(raw = {}) {
+  return {
+    stale_minutes: staleMinutesOrNull(raw.stale_minutes),
+    grace_minutes: staleMinutesOrNull(raw.grace_minutes) ?? 0,
+    mode: String(raw.mode || "auto").trim()
+  };
+}
+
+function normalizeStaleRule(raw = {}) {
+  return {
+    name: String(raw.name || "").trim().slice(0, 120),
+    enabled: raw.enabled !== false,
+    event_type: String(raw.event_type || "").trim(),
+    min_alarm_level: staleMinutesOrNull(raw.min_alarm_level),
+    major: String(raw.major || "any").trim(),
+    ...normalizeStaleLimits(raw)
+  };
+}
+
+function normalizeStalePolicy(raw = {}) {
+  return {
+    version: Math.max(1, Math.round(Number(raw.version) || 1)),
+    default: normalizeStaleLimits(raw.default || {}),
+    rules: (Array.isArray(raw.rules) ? raw.rules : []).map(normalizeStaleRule),
+    updated_at: raw.updated_at || null,
+    updated_by: raw.updated_by || null
+  };
+}
+
+// Chyba limitů jako kód (invalid_stale_minutes, …), nebo null.
+function staleLimitsIssue(x) {
+  if (!Number.isInteger(x.stale_minutes) || x.stale_minutes < 5 || x.stale_minutes > STALE_POLICY_MAX_MINUTES) return "invalid_stale_minutes";
+  if (!Number.isInteger(x.grace_minutes) || x.grace_minutes < 0 || x.grace_minutes > STALE_POLICY_MAX_MINUTES) return "invalid_grace_minutes";
+  if (!STALE_POLICY_MODES.includes(x.mode)) return "invalid_mode";
+  return null;
+}
+
+function stalePolicyIssues(policy) {
+  const issues = [];
+  const defaultIssue = staleLimitsIssue(policy.default);
+  if (defaultIssue) issues.push({ index: null, error: defaultIssue });
+  if (policy.rules.length > STALE_POLICY_MAX_RULES) issues.push({ index: null, error: "too_many_rules", max: STALE_POLICY_MAX_RULES });
+  const names = new Set([STALE_POLICY_DEFAULT_NAME]);
+  policy.rules.forEach((rule, index) => {
+    let error = staleLimitsIssue(rule);
+    if (!rule.name) error = "name_missing";
+    else if (names.has(rule.name)) error = "duplicate_name";
+    else if (rule.event_type && !CLASSIFIER_TYPES.includes(rule.event_type)) error = "invalid_event_type";
+    else if (Number.isNaN(rule.min_alarm_level) || (rule.min_alarm_level != null && (rule.min_alarm_level < 1 || rule.min_alarm_level > 5))) error = "invalid_min_alarm_level";
+    else if (!STALE_POLICY_MAJOR.includes(rule.major)) error = "invalid_major";
+    names.add(rule.name);
+    if (error) issues.push({ index, error });
+  });
+  return issues;
+}
+
+// Politika pro konkrétní událost: { name, stale_minutes, grace_minutes, mode }.
+function stalePolicyFor(ev, policy = stalePolicy) {
+  const level = Number(ev.alarm_level || 0);
+  const major = ev.is_major_event === true;
+  for (const rule of policy.rules) {
+    if (!rule.enabled) continue;
+    if (rule.event_type && rule.event_type !== (ev.event_type || "other")) continue;
+    if (rule.min_alarm_level != null && level < rule.min_alarm_level) continue;
+    if (rule.major === "yes" && !major) continue;
+    if (rule.major === "no" && major) continue;
+    return { name: rule.name, stale_minutes: rule.stale_minutes, grace_minutes: rule.grace_minutes, mode: rule.mode };
+  }
+  return { name: STALE_POLICY_DEFAULT_NAME, ...policy.default };
+}
+
+async function loadStalePolicy() {
+  try {
+    const raw = await getSetting(STALE_POLICY_SETTING);
+    if (!raw) return;
+    const policy = normalizeStalePolicy(JSON.parse(raw));
+    const issues = stalePolicyIssues(policy);
+    if (issues.length) {
+      console.error("[stale-policy] uložená politika je neplatná (platí výchozí):", issues);
+      return;
+    }
+    stalePolicy = policy;
+    stalePolicyIsDefault = false;
+  } catch (e) {
+    console.error("[stale-policy] load error (using defaults):", e?.message || e);
+  }
+}
+
 let staleCloserInFlight = false;
 
 async function runStaleAutoClose() {
   if (staleCloserInFlight) return;
   staleCloserInFlight = true;
   try {
-    const closed = await autoCloseStaleOpenEvents({
-      staleMinutes: STALE_CLOSE_MINUTES,
-      limit: STALE_CLOSE_BATCH
-    });
+    const policy = stalePolicy;
+    const enabledRules = policy.rules.filter(r => r.enabled);
+    const minMinutes = Math.min(policy.default.stale_minutes, ...enabledRules.map(r => r.stale_minutes));
+    const skipPolicies = [
+      ...enabledRules.filter(r => r.mode === "confirm").map(r => r.name),
+      ...(policy.default.mode === "confirm" ? [STALE_POLICY_DEFAULT_NAME] : [])
+    ];
+    const rows = await listStaleOpenEvents({ minMinutes, limit: STALE_CLOSE_BATCH, skipPolicies });
+
+    const toClose = [];
+    const toFlag = [];
+    for (const row of rows) {
+      const p = stalePolicyFor(row, policy);
+      const unseen = Number(row.unseen_min || 0);
+      if (unseen < p.stale_minutes) continue;
+      const closeAfter = p.stale_minutes + p.grace_minutes;
+      if (p.mode === "auto" && unseen >= closeAfter) toClose.push({ id: row.id, policy: p.name, minutes: closeAfter });
+      else toFlag.push({ id: row.id, policy: p.name });
+    }
+
+    const flagged = await flagStaleEventsForReview(toFlag);
+    const closed = await autoCloseStaleOpenEvents({ items: toClose });
 
+    if (flagged.length) {
+      console.log(`[stale-close] ${flagged.length} events awaiting close (grace / confirmation)`);
+      publishLiveEventChanges(flagged.map(id => ({ id, kind: "updated" })));
+    }
     if (closed?.length) {
-      console.log(`[stale-close] auto-closed ${closed.length} events (>${STALE_CLOSE_MINUTES} min since last_seen)`);
+      console.log(`[stale-close] auto-closed ${closed.length} events (policy thresholds, default ${policy.default.stale_minutes} min since last_seen)`);
+      publishLiveEventChanges(closed.map(r => ({ id: r.id, kind: "closed" })));
+      // ESP událost přestal posílat = konec zásahu z pohledu ingestu, příjemci webhooků ho čekají stejně
+      queueWebhookEvents(closed.map(r => ({ id: r.id, kind: "closed" }))).catch(e => console.error("[webhooks] queue error:", e?.message || e));
     }
   } catch (e) {
     console.error("[stale-close] error:", e?.message || e);
@@ -4146,6 +9280,114 @@ async function runStaleAutoClose() {
   }
 }
 
+app.get("/api/admin/stale-policy", requireAdmin, (req, res) => {
+  res.json({
+    ok: true,
+    policy: stalePolicy,
+    is_default: stalePolicyIsDefault,
+    default: DEFAULT_STALE_POLICY,
+    default_name: STALE_POLICY_DEFAULT_NAME,
+    types: CLASSIFIER_TYPES,
+    modes: STALE_POLICY_MODES
+  });
+});
+
+app.put("/api/admin/stale-policy", requireAdmin, async (req, res) => {
+  try {
+    const draft = normalizeStalePolicy(req.body?.policy || {});
+    const issues = stalePolicyIssues(draft);
+    if (issues.length) return res.status(400).json({ ok: false, error: "invalid_policy", issues });
+
+    const saved = {
+      ...draft,
+      version: stalePolicy.version + 1,
+      updated_at: new Date().toISOString(),
+      updated_by: req.auth.user.username
+    };
+    await setSetting(STALE_POLICY_SETTING, JSON.stringify(saved));
+    stalePolicy = saved;
+    stalePolicyIsDefault = false;
+
+    await insertAudit({
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: "stale_policy_update",
+      details: `version=${saved.version}; default=${saved.default.stale_minutes}+${saved.default.grace_minutes}/${saved.default.mode}; rules=${saved.rules.length}`,
+      ip: getClientIp(req)
+    });
+
+    return res.json({ ok: true, policy: stalePolicy });
+  } catch (e) {
+    console.error("[stale-policy-save]", e);
+    return res.status(500).json({ ok: false, error: "stale_policy_save_failed", detail: String(e?.message || e) });
+  }
+});
+
+// Fronta ke kontrole auto-close. close_at = kdy closer událost zavře (jen režim auto v grace periodě).
+app.get("/api/admin/stale-review", requireAdmin, async (req, res) => {
+  try {
+    const rows = await listStaleReviewEvents(Number(req.query?.limit || 200));
+    const items = rows.map((row) => {
+      const p = stalePolicyFor(row);
+      const awaiting = row.stale_review === "awaiting_close";
+      const closeAt = awaiting && p.mode === "auto" && row.last_seen_at
+        ? new Date(new Date(row.last_seen_at).getTime() + (p.stale_minutes + p.grace_minutes) * 60000).toISOString()
+        : null;
+      return {
+        ...row,
+        type_label: typeLabel(row.event_type || "other", row.event_subtype),
+        policy: p,
+        close_at: closeAt,
+        seen_after_close: !awaiting && row.stale_review_at && row.last_seen_at && new Date(row.last_seen_at) > new Date(row.stale_review_at)
+      };
+    });
+    return res.json({ ok: true, items });
+  } catch (e) {
+    console.error("[stale-review-list]", e);
+    return res.status(500).json({ ok: false, error: "stale_review_list_failed", detail: String(e?.message || e) });
+  }
+});
+
+// action: confirm (auto-close platí) | reopen (auto-close byl předčasný) | close (zavřít čekající) | keep_open (nechat běžet)
+app.post("/api/admin/stale-review/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    const action = String(req.body?.action || "");
+    const actor = requestActor(req);
+    let ok = false;
+
+    if (action === "confirm") ok = await setStaleReview(id, { from: "pending", to: "confirmed", isClosed: true });
+    else if (action === "keep_open") ok = await setStaleReview(id, { from: "awaiting_close", to: "kept_open", isClosed: false });
+    else if (action === "reopen") ok = await reopenStaleClosedEvent(id, { actor });
+    else if (action === "close") {
+      const closed = await autoCloseStaleOpenEvents({
+        items: [{ id, policy: null, minutes: 0 }],
+        review: "confirmed",
+        onlyReview: "awaiting_close",
+        actor
+      });
+      ok = closed.length > 0;
+    } else {
+      return res.status(400).json({ ok: false, error: "invalid_action" });
+    }
+
+    if (!ok) return res.status(409).json({ ok: false, error: "stale_review_state_changed" });
+
+    await insertAudit({
+      userId: req.auth.user.id,
+      username: req.auth.user.username,
+      action: `stale_review_${action}`,
+      details: `id=${id}`,
+      ip: getClientIp(req)
+    });
+    publishLiveEventChanges([{ id, kind: action === "close" ? "closed" : "updated" }]);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("[stale-review-action]", e);
+    return res.status(500).json({ ok: false, error: "stale_review_action_failed", detail: String(e?.message || e) });
+  }
+});
+
 const port = process.env.PORT || 3000;
 
 async function initDbWithRetry() {
@@ -4166,16 +9408,53 @@ async function initDbWithRetry() {
 
 await initDb();
 await ensureInitialAdmin();
+await refreshLegacyApiKeyState({ startup: true });
+await loadClassifierRules();
+await loadStatusDictionary();
+await loadStalePolicy();
 
 // start stale closer loop (ESP-only)
 await runStaleAutoClose();
 setInterval(runStaleAutoClose, STALE_CLOSE_INTERVAL_MS);
 
+// skóre spolehlivosti délek (první běh na pozadí, ať nezdržuje start)
+runDurationScoring();
+setInterval(runDurationScoring, DURATION_SCORE_INTERVAL_MS);
+
+// RSS/Atom poller (záložní zdroj, když ESP mlčí)
+startRssPollers();
+
+// retence surového archivu ingestu
+await runRawArchiveRetention();
+setInterval(runRawArchiveRetention, 24 * 60 * 60 * 1000);
+
+runDuplicateScan();
+setInterval(runDuplicateScan, DEDUP_INTERVAL_MS);
+
+// shluky souvisejících událostí (bouřkové vlny)
+runIncidentClustering();
+setInterval(runIncidentClustering, CLUSTER_INTERVAL_MS);
+
 // archived analytical reports automation
 await runArchivedReportsAutomation("startup");
 setInterval(() => runArchivedReportsAutomation("interval"), 6 * 60 * 60 * 1000);
 
+// odchozí webhooky – fronta doručení (opakování s backoffem) + úklid logu
+runWebhookDeliveries();
+setInterval(runWebhookDeliveries, WEBHOOK_WORKER_INTERVAL_MS);
+const pruneWebhookLog = () => pruneWebhookDeliveries(WEBHOOK_DELIVERY_RETENTION_DAYS).catch(e => console.warn("[webhooks] prune failed:", e?.message || e));
+pruneWebhookLog();
+setInterval(pruneWebhookLog, 24 * 60 * 60 * 1000);
+
+// odběry exportů (denně / týdně / měsíčně při střídání směn)
+runExportSubscriptions();
+setInterval(runExportSubscriptions, EXPORT_SUBSCRIPTION_INTERVAL_MS);
+
 const server = http.createServer(app);
-attachOpsRadio(server);
+opsRadio = attachOpsRadio(server);
+
+// watchdog ingestu (ticho zdrojů -> /health + zpráva do SPRÁVA); až po rádiu, ať první alarm neutekl
+await runIngestWatchdog();
+setInterval(runIngestWatchdog, WATCHDOG_INTERVAL_MS);
 
 server.listen(port, () => console.log(`listening on ${port}`));
@@ -0,0 +1,126 @@
+// ---------------- SOURCE REGISTRY (priorita zdrojů + pravidla důvěry) ----------------
+// Čistá logika bez DB (db.js ji používá při zápisu, testy přímo).
+// Každý zdroj má prioritu; volitelně i prioritu pro jednotlivá pole (fields).
+// Pole smí přepsat jen zdroj se stejnou nebo vyšší prioritou, než má zdroj, který ho nastavil naposledy.
+// sticky = nárok na pole nevyprší ani když událost přestane chodit (jen ruční úprava admina).
+// Nesticky nároky (ESP/RSS) smí auto-close přebít až ve chvíli, kdy zdroj událost přestal posílat.
+// ingest = zdroj smí posílat data přes /api/ingest (klíč zařízení nebo "sourceKind" v těle).
+const SOURCE_REGISTRY_DEFAULTS = {
+  manual: { label: "Ruční úprava (admin)", priority: 100, sticky: true },
+  esp: { label: "ESP32 push (/api/ingest)", priority: 60, ingest: true },
+  recheck: { label: "Přepočet stavů z uloženého textu", priority: 55 },
+  rss: {
+    label: "RSS/Atom poller",
+    priority: 50,
+    ingest: true,
+    // "ukončení:" z RSS je stejný údaj, jaký posílá ESP – konec zásahu má stejnou váhu.
+    fields: { end_time_iso: 60, duration_min: 60, duration_source: 60 }
+  },
+  county: { label: "Krajské feedy", priority: 45, ingest: true },
+  geocode: { label: "Automatické geokódování", priority: 30 },
+  stale_close: { label: "Auto-close neaktivních událostí", priority: 10 },
+  // Sloučení duplicit jen doplňuje prázdná pole ze zrušené události.
+  merge: { label: "Sloučení duplicit (admin)", priority: 40 }
+};
+
+export const SOURCE_DEFAULT_PRIORITY = 40;
+
+// Pole, u kterých sledujeme, kdo je nastavil naposledy. "coords" = lat + lon dohromady.
+export const TRACKED_EVENT_FIELDS = [
+  "place_text", "city_text", "status_text", "event_type", "event_subtype",
+  "start_time_iso", "end_time_iso", "duration_min", "duration_source",
+  "is_closed", "status_source", "status_phase",
+  "alarm_level", "alarm_level_text", "is_major_event", "major_reason",
+  "coords"
+];
+
+// FIREWATCH_SOURCE_PRIORITIES='{"rss":{"priority":65},"county":70}'
+// Nový zdroj přes /api/ingest jen s "ingest": true – interní zdroje (manual, merge…) zvenku nejdou.
+export function loadSourceRegistry(raw = process.env.FIREWATCH_SOURCE_PRIORITIES, { log = console } = {}) {
+  const out = {};
+  for (const [kind, def] of Object.entries(SOURCE_REGISTRY_DEFAULTS)) {
+    out[kind] = { ...def, fields: { ...(def.fields || {}) } };
+  }
+
+  const text = String(raw || "").trim();
+  if (text) {
+    try {
+      const overrides = JSON.parse(text);
+      for (const [kind, v] of Object.entries(overrides || {})) {
+        const base = out[kind] || { label: kind, priority: SOURCE_DEFAULT_PRIORITY, fields: {} };
+        if (typeof v === "number") {
+          out[kind] = { ...base, priority: v };
+        } else if (v && typeof v === "object") {
+          out[kind] = {
+            ...base,
+            ...v,
+            priority: Number.isFinite(Number(v.priority)) ? Number(v.priority) : base.priority,
+            fields: { ...base.fields, ...(v.fields || {}) }
+          };
+        }
+      }
+    } catch (e) {
+      log.error("[sources] FIREWATCH_SOURCE_PRIORITIES není validní JSON:", e?.message || e);
+    }
+  }
+  return out;
+}
+
+export const SOURCE_REGISTRY = loadSourceRegistry();
+
+// Zdroje, za které smí data posílat /api/ingest (výchozí "esp" první).
+export function ingestSourceKinds(registry = SOURCE_REGISTRY) {
+  return Object.entries(registry)
+    .filter(([, def]) => def.ingest === true)
+    .map(([kind]) => kind)
+    .sort((a, b) => (a === "esp" ? -1 : b === "esp" ? 1 : a.localeCompare(b)));
+}
+
+export function sourcePriority(kind, field = null, registry = SOURCE_REGISTRY) {
+  const def = registry[kind];
+  if (!def) return SOURCE_DEFAULT_PRIORITY;
+  const fieldPriority = field ? def.fields?.[field] : undefined;
+  return Number.isFinite(Number(fieldPriority)) ? Number(fieldPriority) : def.priority;
+}
+
+export function listSourceRegistry(registry = SOURCE_REGISTRY) {
+  return Object.entries(registry)
+    .map(([kind, def]) => ({
+      kind,
+      label: def.label || kind,
+      priority: def.priority,
+      sticky: !!def.sticky,
+      ingest: def.ingest === true,
+      fields: def.fields || {}
+    }))
+    .sort((a, b) => b.priority - a.priority);
+}
+
+export function lockedFieldsFor(sourceKind, fieldSources, registry = SOURCE_REGISTRY) {
+  const locked = [];
+  for (const field of TRACKED_EVENT_FIELDS) {
+    const stamp = fieldSources?.[field];
+    if (!stamp) continue;
+    if (Number(stamp.priority || 0) > sourcePriority(sourceKind, field, registry)) locked.push(field);
+  }
+  return locked;
+}
+
+// Razítka do field_sources: kdo pole nastavil, s jakou prioritou a kdy.
+export function fieldStamps(sourceKind, fields, at = new Date().toISOString(), registry = SOURCE_REGISTRY) {
+  return Object.fromEntries(fields.map(f => [f, { source: sourceKind, priority: sourcePriority(sourceKind, f, registry), at }]));
+}
+
+export function trackedValue(row, field) {
+  if (!row) return null;
+  if (field === "coords") {
+    return row.lat == null || row.lon == null ? null : `${Number(row.lat)},${Number(row.lon)}`;
+  }
+  const v = row[field];
+  return v === undefined || v === null || v === "" ? null : String(v);
+}
+
+export function changedTrackedFields(before, after) {
+  if (!after) return [];
+  return TRACKED_EVENT_FIELDS.filter(f => trackedValue(before, f) !== trackedValue(after, f));
+}
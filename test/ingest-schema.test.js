@@ -0,0 +1,115 @@
+// Unit testy schématu ingest payloadu (v1 / v2) – deterministické, bez DB a serveru.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  INGEST_DEFAULT_SCHEMA_VERSION,
+  parseIngestSchemaVersion,
+  normalizeIngestItem,
+  validateIngestItems,
+  ingestSchemaDescription
+} from "../ingest-schema.js";
+
+const base = { id: "hzs-1001", title: "požár - Kladno", link: "https://example.invalid/udalost/1001" };
+const codes = (issues) => issues.map(i => `${i.field}:${i.code}`);
+
+test("parseIngestSchemaVersion: výchozí v1, tolerantní zápis, neznámá verze = null", () => {
+  assert.equal(parseIngestSchemaVersion(), INGEST_DEFAULT_SCHEMA_VERSION);
+  assert.equal(parseIngestSchemaVersion(null), 1);
+  assert.equal(parseIngestSchemaVersion("2"), 2);
+  assert.equal(parseIngestSchemaVersion("v2"), 2);
+  assert.equal(parseIngestSchemaVersion(3), null);
+  assert.equal(parseIngestSchemaVersion("abc"), null);
+});
+
+test("v1: aliasy firmware se převedou na kanonická pole", () => {
+  const { item, errors, warnings } = normalizeIngestItem({
+    ...base,
+    id: 1001,
+    descRaw: "stav: probíhá zásah<br>Kladno",
+    status_text: "probíhá zásah",
+    is_closed: false,
+    pub_date: "Mon, 19 Oct 2026 08:15:00 +0200",
+    poplachovy_stupen: "III.",
+    alarm_level_text: "III. stupeň poplachu",
+    firmware: "1.4.2"
+  }, 1);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(item, {
+    id: "1001",
+    title: base.title,
+    link: base.link,
+    pubDate: "Mon, 19 Oct 2026 08:15:00 +0200",
+    statusText: "probíhá zásah",
+    isClosed: false,
+    alarmLevel: "III.",
+    alarmLevelText: "III. stupeň poplachu",
+    descriptionRaw: "stav: probíhá zásah<br>Kladno"
+  });
+});
+
+test("v1: vadné volitelné pole se zahodí s varováním, položka projde", () => {
+  const { item, errors, warnings } = normalizeIngestItem({ ...base, durationMin: 0, pubDate: "včera", isClosed: "ano" }, 1);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(codes(warnings), ["pubDate:invalid_date", "durationMin:out_of_range", "isClosed:invalid_type"]);
+  assert.deepEqual(item, base);
+});
+
+test("v1: desetinná délka se zaokrouhlí, číselný stupeň poplachu mimo rozsah je varování", () => {
+  const { item, warnings } = normalizeIngestItem({ ...base, durationMin: 42.6, alarmLevel: 7 }, 1);
+
+  assert.equal(item.durationMin, 43);
+  assert.equal(item.alarmLevel, undefined);
+  assert.deepEqual(codes(warnings), ["alarmLevel:out_of_range"]);
+});
+
+test("v2: neznámé pole, alias i špatný typ položku odmítnou", () => {
+  const { item, errors } = normalizeIngestItem({ ...base, descRaw: "x", durationMin: 42.5, alarmLevel: "III." }, 2);
+
+  assert.equal(item, null);
+  assert.deepEqual(codes(errors), ["descRaw:unknown_field", "durationMin:invalid_type", "alarmLevel:invalid_type"]);
+});
+
+test("v2: číselné id se nepřevádí, kanonická položka projde beze změny", () => {
+  assert.deepEqual(codes(normalizeIngestItem({ ...base, id: 1001 }, 2).errors), ["id:invalid_type"]);
+
+  const ok = normalizeIngestItem({ ...base, description: "stav: ukončená", alarmLevel: 2, isClosed: true }, 2);
+  assert.deepEqual(ok.errors, []);
+  assert.deepEqual(ok.item, { ...base, isClosed: true, alarmLevel: 2, descriptionRaw: "stav: ukončená" });
+});
+
+test("povinná pole a tvar položky platí pro obě verze", () => {
+  for (const version of [1, 2]) {
+    assert.deepEqual(codes(normalizeIngestItem({ id: " ", title: "x", link: "ftp://example.invalid" }, version).errors), ["id:missing_field", "link:invalid_url"]);
+    assert.deepEqual(codes(normalizeIngestItem(["x"], version).errors), ["null:not_an_object"]);
+    assert.deepEqual(codes(normalizeIngestItem({ ...base, title: "x".repeat(501) }, version).errors), ["title:too_long"]);
+  }
+});
+
+test("validateIngestItems: odmítnuté s indexem, duplicitní id – platí poslední výskyt", () => {
+  const result = validateIngestItems([
+    { ...base, statusText: "probíhá zásah" },
+    { id: "hzs-1002", title: "technická pomoc - Slaný" },
+    null,
+    { ...base, statusText: "ukončená" }
+  ], 1);
+
+  assert.deepEqual(result.items.map(it => [it.id, it.statusText]), [["hzs-1001", "probíhá zásah"], ["hzs-1001", "ukončená"]]);
+  assert.deepEqual(result.rejected.map(r => [r.index, r.id, codes(r.issues)]), [
+    [1, "hzs-1002", ["link:missing_field"]],
+    [2, null, ["null:not_an_object"]]
+  ]);
+  assert.deepEqual(result.warnings.map(w => [w.index, w.id, codes(w.issues)]), [[0, "hzs-1001", ["id:duplicate_in_batch"]]]);
+});
+
+test("ingestSchemaDescription: aliasy jen ve v1, payload zmiňuje sourceKind", () => {
+  const desc = ingestSchemaDescription();
+
+  assert.equal(desc.default_version, 1);
+  assert.deepEqual(desc.versions[1].fields.alarmLevel.aliases, ["alarmLevel", "alarm_level", "alarm_degree", "poplachovy_stupen", "grade"]);
+  assert.equal(desc.versions[2].fields.alarmLevel.aliases, undefined);
+  assert.match(desc.versions[2].payload.sourceKind, /esp/);
+  assert.ok(desc.issue_codes.includes("duplicate_in_batch"));
+});
@@ -0,0 +1,88 @@
+// Integrační testy ingestu – běží proti spuštěné instanci s databází:
+//   FIREWATCH_TEST_URL=http://localhost:3000 FIREWATCH_TEST_INGEST_KEY=… npm test
+// Bez těchto proměnných se přeskočí.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const BASE_URL = String(process.env.FIREWATCH_TEST_URL || "").replace(/\/+$/, "");
+const INGEST_KEY = process.env.FIREWATCH_TEST_INGEST_KEY || "";
+const skip = !BASE_URL || !INGEST_KEY ? "nastav FIREWATCH_TEST_URL a FIREWATCH_TEST_INGEST_KEY" : false;
+
+async function ingest(items, body = {}) {
+  const r = await fetch(`${BASE_URL}/api/ingest`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": INGEST_KEY },
+    body: JSON.stringify({ ...body, items })
+  });
+  return { status: r.status, json: await r.json() };
+}
+
+async function eventDetail(id) {
+  const r = await fetch(`${BASE_URL}/api/events/${encodeURIComponent(id)}/detail`);
+  assert.equal(r.status, 200);
+  return (await r.json()).event;
+}
+
+test("v1 ESP položka s alarmLevel uloží stupeň poplachu a velkou událost", { skip }, async () => {
+  const id = `test-alarm-${Date.now()}`;
+  const { status, json } = await ingest([{
+    id,
+    title: "požár - Testovice",
+    link: `https://example.invalid/${id}`,
+    pubDate: new Date().toISOString(),
+    descRaw: "stav: probíhá zásah<br>Testovice<br>okres Kladno",
+    statusText: "probíhá zásah",
+    alarmLevel: 3
+  }]);
+
+  assert.equal(status, 200);
+  assert.equal(json.accepted, 1);
+  assert.equal(json.warnings.length, 0);
+
+  const ev = await eventDetail(id);
+  assert.equal(Number(ev.alarm_level), 3);
+  assert.equal(ev.is_major_event, true);
+});
+
+test("v1 aliasy alarm_level_text / poplachovy_stupen projdou validací", { skip }, async () => {
+  const id = `test-alarm-alias-${Date.now()}`;
+  const { status, json } = await ingest([{
+    id,
+    title: "požár - Testovice",
+    link: `https://example.invalid/${id}`,
+    poplachovy_stupen: "IV.",
+    alarm_level_text: "IV. stupeň poplachu"
+  }]);
+
+  assert.equal(status, 200);
+  assert.equal(json.accepted, 1);
+
+  const ev = await eventDetail(id);
+  assert.equal(Number(ev.alarm_level), 4);
+  assert.equal(ev.is_major_event, true);
+});
+
+test("neznámý sourceKind v těle se odmítne s 400", { skip }, async () => {
+  const { status, json } = await ingest([{ id: `test-kind-${Date.now()}`, title: "x", link: "https://example.invalid/x" }], { sourceKind: "manual" });
+
+  assert.equal(status, 400);
+  assert.equal(json.error, "invalid_source_kind");
+  assert.ok(json.allowed_source_kinds.includes("esp"));
+});
+
+// Klíč FIREWATCH_TEST_INGEST_KEY musí být bez pevného druhu zdroje (source_kind = libovolný).
+test("dva zdroje píšou stejné pole: RSS nepřepíše stav nastavený z ESP", { skip }, async () => {
+  const id = `test-kind-priority-${Date.now()}`;
+  const base = { id, title: "požár - Testovice", link: `https://example.invalid/${id}`, pubDate: new Date().toISOString() };
+
+  const esp = await ingest([{ ...base, statusText: "probíhá zásah" }], { sourceKind: "esp" });
+  assert.equal(esp.status, 200);
+  assert.equal(esp.json.source_kind, "esp");
+
+  const rss = await ingest([{ ...base, statusText: "lokalizovaná" }], { sourceKind: "rss" });
+  assert.equal(rss.status, 200);
+  assert.equal(rss.json.source_kind, "rss");
+
+  const ev = await eventDetail(id);
+  assert.equal(ev.status_text, "probíhá zásah");
+});
@@ -0,0 +1,113 @@
+// Unit testy parsování RSS/Atom feedů – bez sítě a DB, fixtures v test/fixtures/.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseFeedItems, parseRssFeedsConfig, decodeFeedBuffer } from "../rss-feed.js";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+function captureLog() {
+  const log = { errors: [], warnings: [] };
+  log.error = (...args) => log.errors.push(args.join(" "));
+  log.warn = (...args) => log.warnings.push(args.join(" "));
+  return log;
+}
+
+test("parseFeedItems: RSS fixture – CDATA, entity, ISO datum", () => {
+  const items = parseFeedItems(decodeFeedBuffer(fixture("hzs-feed.xml")));
+  const first = items.find(it => it.id === "hzs-stc-1001");
+
+  assert.equal(first.title, "požár - Kladno");
+  assert.equal(first.link, "https://example.invalid/udalost/1001");
+  assert.equal(first.pubDate, "2026-10-19T06:15:00.000Z");
+  assert.equal(first.descriptionRaw, "stav: probíhá zásah<br>Kladno<br>okres Kladno");
+});
+
+test("parseFeedItems: bez GUID je id odkaz, bez odkazu i GUID se položka zahodí", () => {
+  const items = parseFeedItems(decodeFeedBuffer(fixture("hzs-feed.xml")));
+  const noGuid = items.find(it => it.link === "https://example.invalid/udalost/1002");
+
+  assert.equal(noGuid.id, "https://example.invalid/udalost/1002");
+  assert.equal(noGuid.title, "technická pomoc - Slaný & okolí");
+  assert.equal(noGuid.descriptionRaw, "stav: ukončená<br>Slaný<br>okres Kladno");
+  assert.ok(!items.some(it => it.title === "položka bez odkazu i GUID"));
+});
+
+test("parseFeedItems: duplicitní položka ve feedu projde jen jednou (první výskyt)", () => {
+  const items = parseFeedItems(decodeFeedBuffer(fixture("hzs-feed.xml")));
+
+  assert.deepEqual(items.map(it => it.id), ["hzs-stc-1001", "https://example.invalid/udalost/1002"]);
+  assert.equal(items[0].title, "požár - Kladno");
+});
+
+test("parseFeedItems: Atom entry s rel=alternate odkazem", () => {
+  const items = parseFeedItems(`<?xml version="1.0"?>
+    <feed xmlns="http://www.w3.org/2005/Atom">
+      <entry>
+        <id>urn:hzs:3001</id>
+        <title>dopravní nehoda - D5</title>
+        <link rel="self" href="https://example.invalid/api/3001"/>
+        <link rel="alternate" href="https://example.invalid/udalost/3001"/>
+        <updated>2026-10-19T12:00:00Z</updated>
+        <summary>stav: probíhá zásah</summary>
+      </entry>
+    </feed>`);
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].id, "urn:hzs:3001");
+  assert.equal(items[0].link, "https://example.invalid/udalost/3001");
+  assert.equal(items[0].pubDate, "2026-10-19T12:00:00.000Z");
+});
+
+test("decodeFeedBuffer: windows-1250 podle XML deklarace", () => {
+  const items = parseFeedItems(decodeFeedBuffer(fixture("hzs-feed-cp1250.xml")));
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].title, "únik nebezpečných látek - Plzeň, Škoda");
+  assert.equal(items[0].descriptionRaw, "stav: probíhá zásah<br>Plzeň<br>okres Plzeň-město");
+});
+
+test("decodeFeedBuffer: charset z Content-Type má přednost, neznámý charset = UTF-8", () => {
+  const cp1250 = fixture("hzs-feed-cp1250.xml");
+  const utf8 = fixture("hzs-feed.xml");
+
+  assert.match(decodeFeedBuffer(cp1250, "application/rss+xml; charset=windows-1250"), /Plzeň/);
+  assert.match(decodeFeedBuffer(utf8, "text/xml; charset=x-neexistuje"), /požár - Kladno/);
+});
+
+test("parseRssFeedsConfig: neplatný JSON = žádné feedy a chyba v logu", () => {
+  const log = captureLog();
+
+  assert.deepEqual(parseRssFeedsConfig('[{"url": "https://example.invalid/rss",]', { log }), []);
+  assert.equal(log.errors.length, 1);
+  assert.match(log.errors[0], /není validní JSON/);
+});
+
+test("parseRssFeedsConfig: neznámé klíče se ignorují s varováním", () => {
+  const log = captureLog();
+  const feeds = parseRssFeedsConfig(JSON.stringify([
+    { name: "hzs-stc", url: "https://example.invalid/rss", interval: 60, intervalSec: 90 }
+  ]), { log });
+
+  assert.deepEqual(feeds, [{
+    name: "hzs-stc",
+    url: "https://example.invalid/rss",
+    intervalSec: 90,
+    maxBackoffSec: 1800,
+    enabled: true
+  }]);
+  assert.equal(log.warnings.length, 1);
+  assert.match(log.warnings[0], /interval\b/);
+});
+
+test("parseRssFeedsConfig: výchozí hodnoty, zkrácený zápis a duplicitní jména", () => {
+  const log = captureLog();
+  const feeds = parseRssFeedsConfig("https://a.invalid/rss, https://b.invalid/rss", { intervalSec: 300, maxBackoffSec: 100, log });
+
+  assert.deepEqual(feeds.map(f => [f.name, f.intervalSec, f.maxBackoffSec]), [["rss-1", 300, 300], ["rss-2", 300, 300]]);
+  assert.deepEqual(
+    parseRssFeedsConfig('[{"name":"x","url":"u1"},{"name":"x","url":"u2"},{"name":"y"}]', { log }).map(f => f.name),
+    ["x", "x-2"]
+  );
+  assert.equal(log.warnings.length, 0);
+});
@@ -0,0 +1,70 @@
+// Unit testy skládání diakritiky – JS (foldSearchText) a SQL (fw_unaccent) musí dát stejný text.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FOLD_FROM, FOLD_TO, foldSearchText, foldSqlExpr } from "../search-fold.js";
+
+// translate() z Postgresu: znak z "from" -> znak na stejné pozici v "to", chybí-li, znak se smaže;
+// při opakování platí první výskyt. Pracuje po znacích (code points), ne po UTF-16 jednotkách.
+function pgTranslate(text, from, to) {
+  const fromChars = [...from];
+  const toChars = [...to];
+  let out = "";
+  for (const ch of text) {
+    const i = fromChars.indexOf(ch);
+    if (i < 0) out += ch;
+    else if (i < toChars.length) out += toChars[i];
+  }
+  return out;
+}
+
+// Tabulku pro SQL bereme přímo z vygenerovaného výrazu, ať test hlídá i to, co jde do DB.
+function sqlFold(text) {
+  const m = foldSqlExpr("t").match(/^translate\(COALESCE\(t, ''\), '([^']*)', '([^']*)'\)$/u);
+  assert.ok(m, "neočekávaný tvar SQL výrazu");
+  return pgTranslate(String(text ?? ""), m[1], m[2]);
+}
+
+const SAMPLES = [
+  "Požár rodinného domu – Čáslav, Žižkova",
+  "ÚNIK NEBEZPEČNÝCH LÁTEK: Ústí nad Labem",
+  "Dopravní nehoda D1 km 104,5 (směr Brno)",
+  "Ľubochňa, Ružomberok – požiar lesa",
+  "Łódź, Gdańsk, Świnoujście",
+  "Győr – Debrecen, Őrség",
+  "Müller & Söhne GmbH, Straße",
+  "Gârbău, Brașov, Timișoara",
+  "Ærøskøbing, Ålesund, Þórshöfn",
+  "technická pomoc – odstranění stromu",
+  "",
+  "čerpadlo"
+];
+
+test("foldSearchText a SQL translate dávají pro stejné řetězce stejný výsledek", () => {
+  for (const s of SAMPLES) assert.equal(foldSearchText(s), sqlFold(s), s);
+});
+
+test("každý znak tabulky se složí stejně v JS i SQL", () => {
+  for (const ch of FOLD_FROM) assert.equal(foldSearchText(ch), sqlFold(ch), ch);
+});
+
+test("tabulka: stejná délka, bez duplicit, výsledek jen malé ASCII", () => {
+  const from = [...FOLD_FROM];
+  assert.equal(from.length, [...FOLD_TO].length);
+  assert.equal(new Set(from).size, from.length);
+  assert.match(FOLD_TO, /^[a-z]+$/);
+  assert.ok(!FOLD_FROM.includes("'"));
+});
+
+test("tabulka odpovídá Unicode rozkladu: znak s diakritikou -> jeho základ malým písmenem", () => {
+  const from = [...FOLD_FROM];
+  from.forEach((ch, i) => {
+    const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    // đ, ł, ø se nerozkládají – základ je v tabulce ručně.
+    if (base.length === 1 && /[a-z]/.test(base)) assert.equal(FOLD_TO[i], base, ch);
+  });
+});
+
+test("foldSearchText: česká diakritika a velká písmena", () => {
+  assert.equal(foldSearchText("Příliš ŽLUŤOUČKÝ kůň úpěl ďábelské ódy"), "prilis zlutoucky kun upel dabelske ody");
+  assert.equal(foldSearchText(null), "");
+});
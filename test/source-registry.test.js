@@ -0,0 +1,79 @@
+// Unit testy priorit zdrojů – kdo smí přepsat pole, které už nastavil jiný zdroj. Bez DB.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SOURCE_REGISTRY,
+  loadSourceRegistry,
+  ingestSourceKinds,
+  sourcePriority,
+  lockedFieldsFor,
+  fieldStamps,
+  changedTrackedFields
+} from "../source-registry.js";
+
+const AT = "2026-10-19T08:00:00.000Z";
+
+test("dva zdroje píšou stejné pole: RSS nepřepíše status_text od ESP, ESP přepíše RSS", () => {
+  const fromEsp = fieldStamps("esp", ["status_text", "city_text"], AT);
+  assert.deepEqual(lockedFieldsFor("rss", fromEsp), ["city_text", "status_text"]);
+
+  const fromRss = fieldStamps("rss", ["status_text", "city_text"], AT);
+  assert.deepEqual(lockedFieldsFor("esp", fromRss), []);
+});
+
+test("priorita pole: konec zásahu z RSS má stejnou váhu jako z ESP", () => {
+  const fromEsp = fieldStamps("esp", ["end_time_iso", "duration_min", "status_text"], AT);
+
+  assert.equal(sourcePriority("rss", "end_time_iso"), 60);
+  assert.equal(sourcePriority("rss", "status_text"), 50);
+  assert.deepEqual(lockedFieldsFor("rss", fromEsp), ["status_text"]);
+});
+
+test("stejný zdroj svoje pole přepsat smí, ruční úpravu nepřepíše nikdo automatický", () => {
+  assert.deepEqual(lockedFieldsFor("county", fieldStamps("county", ["event_type"], AT)), []);
+
+  const manual = fieldStamps("manual", ["event_type", "is_closed"], AT);
+  for (const kind of ["esp", "rss", "county", "stale_close", "merge"]) {
+    assert.deepEqual(lockedFieldsFor(kind, manual), ["event_type", "is_closed"], kind);
+  }
+  assert.deepEqual(lockedFieldsFor("manual", manual), []);
+});
+
+test("neznámý zdroj má výchozí prioritu a razítko nese prioritu v okamžiku zápisu", () => {
+  const stamps = fieldStamps("neznamy", ["place_text"], AT);
+
+  assert.deepEqual(stamps, { place_text: { source: "neznamy", priority: 40, at: AT } });
+  assert.deepEqual(lockedFieldsFor("geocode", stamps), ["place_text"]);
+  assert.deepEqual(lockedFieldsFor("county", stamps), []);
+});
+
+test("FIREWATCH_SOURCE_PRIORITIES: přetížení priority otočí výsledek arbitráže", () => {
+  const registry = loadSourceRegistry('{"county":70,"rss":{"fields":{"status_text":65}}}');
+  const fromEsp = fieldStamps("esp", ["status_text", "city_text"], AT, registry);
+
+  assert.deepEqual(lockedFieldsFor("county", fromEsp, registry), []);
+  assert.deepEqual(lockedFieldsFor("rss", fromEsp, registry), ["city_text"]);
+  assert.equal(sourcePriority("rss", "end_time_iso", registry), 60);
+  assert.equal(SOURCE_REGISTRY.county.priority, 45);
+});
+
+test("loadSourceRegistry: neplatný JSON ponechá výchozí registr", () => {
+  const errors = [];
+  const registry = loadSourceRegistry("{county:", { log: { error: (...args) => errors.push(args.join(" ")) } });
+
+  assert.equal(registry.county.priority, 45);
+  assert.equal(errors.length, 1);
+});
+
+test("ingestSourceKinds: jen zdroje s ingest: true, esp první", () => {
+  assert.deepEqual(ingestSourceKinds(), ["esp", "county", "rss"]);
+  assert.deepEqual(ingestSourceKinds(loadSourceRegistry('{"krajsky_api":{"priority":48,"ingest":true},"manual":{"ingest":false}}')), ["esp", "county", "krajsky_api", "rss"]);
+});
+
+test("changedTrackedFields: souřadnice jako jedno pole, prázdný text = null", () => {
+  const before = { status_text: "", lat: 50.1, lon: 14.4, alarm_level: 2 };
+  const after = { status_text: null, lat: 50.1, lon: 14.5, alarm_level: "2" };
+
+  assert.deepEqual(changedTrackedFields(before, after), ["coords"]);
+  assert.deepEqual(changedTrackedFields(before, null), []);
+});